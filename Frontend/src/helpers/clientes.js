@@ -0,0 +1,49 @@
+// =================================================================
+// ARCHIVO: src/helpers/clientes.js
+// ROL: Utilidades del directorio de clientes en las vistas de
+//      facturación y clientes. Replica los tipos de documento del
+//      backend y el formato con que se imprime el documento.
+// =================================================================
+
+/**
+ * Tipos de documento de identidad aceptados, con el nombre que se muestra.
+ */
+export const TIPOS_DOCUMENTO = Object.freeze({
+    CC: 'Cédula de ciudadanía',
+    NIT: 'NIT',
+    CE: 'Cédula de extranjería',
+    TI: 'Tarjeta de identidad',
+    PP: 'Pasaporte'
+});
+
+// Pesos de la DIAN para el dígito de verificación, del último dígito del NIT hacia el primero.
+const PESOS_DIGITO_VERIFICACION = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+/**
+ * Calcula el dígito de verificación de un NIT.
+ * @param {string} nit - NIT sin dígito de verificación.
+ * @returns {string}
+ */
+export const calcularDigitoVerificacion = (nit) => {
+    const digitos = String(nit ?? '').replace(/\D/g, '').split('').reverse();
+    const suma = digitos.reduce((acc, digito, index) => acc + Number(digito) * PESOS_DIGITO_VERIFICACION[index], 0);
+    const residuo = suma % 11;
+    return String(residuo > 1 ? 11 - residuo : residuo);
+};
+
+/**
+ * Da formato al documento de un cliente (el NIT con su dígito de verificación).
+ * @param {object} cliente - Cliente con 'tipo_documento' y 'numero_documento'.
+ * @returns {string} Ej. 'CC 1020304050' o 'NIT 900123456-7'.
+ */
+export const formatearDocumento = (cliente) => (cliente.tipo_documento === 'NIT'
+    ? `NIT ${cliente.numero_documento}-${calcularDigitoVerificacion(cliente.numero_documento)}`
+    : `${cliente.tipo_documento} ${cliente.numero_documento}`);
+
+/**
+ * Opciones del selector de tipo de documento.
+ * @returns {string} HTML de las opciones.
+ */
+export const getOpcionesTipoDocumento = () => Object.entries(TIPOS_DOCUMENTO)
+    .map(([codigo, nombre]) => `<option value="${codigo}">${nombre}</option>`)
+    .join('');
@@ -0,0 +1,25 @@
+// =================================================================
+// ARCHIVO: src/helpers/descargas.js
+// ROL: Descarga de archivos generados por el backend (reportes en
+//      CSV o PDF) usando la sesión del usuario.
+// =================================================================
+
+import { api } from './solicitudes.js';
+
+/**
+ * Descarga un archivo de la API y lo guarda en el equipo del usuario.
+ * @param {string} endpoint - Endpoint que devuelve el archivo (ej. 'propinas/reporte?formato=csv').
+ * @param {string} fileName - Nombre con que se guarda el archivo.
+ * @returns {Promise<void>}
+ */
+export const downloadFile = async (endpoint, fileName) => {
+    const blob = await api.getBlob(endpoint);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
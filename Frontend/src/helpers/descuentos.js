@@ -0,0 +1,64 @@
+// =================================================================
+// ARCHIVO: src/helpers/descuentos.js
+// ROL: Utilidades para previsualizar los descuentos de una factura
+//      en la vista de facturación. Replica el cálculo del backend:
+//      primero los descuentos por línea y luego los del pedido,
+//      repartidos entre las líneas antes de calcular los impuestos.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+
+/**
+ * Calcula el monto de un descuento sobre una base, sin superar la base.
+ * @param {object} descuento - Regla con 'tipo' y 'valor'.
+ * @param {number} base
+ * @returns {number}
+ */
+const montoSobreBase = (descuento, base) => {
+    const monto = descuento.tipo === 'porcentaje' ? base * Number(descuento.valor) / 100 : Number(descuento.valor);
+    return redondear(Math.min(Math.max(monto, 0), base));
+};
+
+/**
+ * Aplica los descuentos a las líneas de la factura.
+ * @param {Array<{detalle_id: number, base: number, impuesto: object}>} lineas - Líneas a cobrar.
+ * @param {Array<{descuento: object, detalle_id?: number}>} aplicados - Descuentos elegidos.
+ * @returns {{lineas: Array<object>, descuentos: Array<object>, descuento_total: number}}
+ */
+export const calcularDescuentos = (lineas, aplicados = []) => {
+    const resultado = lineas.map(linea => ({ ...linea, base: redondear(linea.base) }));
+    const descuentos = [];
+    const ordenados = [
+        ...aplicados.filter(({ descuento }) => descuento.alcance === 'linea'),
+        ...aplicados.filter(({ descuento }) => descuento.alcance !== 'linea')
+    ];
+
+    for (const aplicado of ordenados) {
+        const { descuento } = aplicado;
+        if (descuento.alcance === 'linea') {
+            const linea = resultado.find(l => Number(l.detalle_id) === Number(aplicado.detalle_id));
+            if (!linea) continue; // La línea no se cobra en esta factura.
+            const monto = montoSobreBase(descuento, linea.base);
+            linea.base = redondear(linea.base - monto);
+            descuentos.push({ ...aplicado, monto });
+            continue;
+        }
+
+        const restante = redondear(resultado.reduce((acc, linea) => acc + linea.base, 0));
+        const monto = montoSobreBase(descuento, restante);
+        const conBase = resultado.filter(linea => linea.base > 0);
+        let repartido = 0;
+        conBase.forEach((linea, index) => {
+            const parte = index === conBase.length - 1 ? redondear(monto - repartido) : redondear(monto * linea.base / restante);
+            repartido = redondear(repartido + parte);
+            linea.base = redondear(linea.base - parte);
+        });
+        descuentos.push({ ...aplicado, monto });
+    }
+
+    return {
+        lineas: resultado,
+        descuentos,
+        descuento_total: redondear(descuentos.reduce((acc, d) => acc + d.monto, 0))
+    };
+};
@@ -0,0 +1,48 @@
+// =================================================================
+// ARCHIVO: src/helpers/impuestos.js
+// ROL: Utilidades para calcular el desglose de impuestos por tarifa
+//      en la vista de facturación. Replica el cálculo del backend.
+// =================================================================
+
+/**
+ * Tarifa usada para las líneas sin impuesto asignado.
+ */
+export const SIN_IMPUESTO = Object.freeze({ impuesto_id: null, nombre: 'Sin impuesto', porcentaje: 0 });
+
+/**
+ * Redondea un valor monetario a dos decimales.
+ * @param {number} valor
+ * @returns {number}
+ */
+export const redondear = (valor) => Math.round((Number(valor) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Agrupa las líneas por tarifa y calcula el impuesto de cada grupo sobre su base acumulada.
+ * @param {Array<{base: number, impuesto: object}>} lineas - Base gravable de cada línea y su tarifa.
+ * @returns {{desglose: Array<object>, impuesto_total: number}}
+ */
+export const calcularDesgloseImpuestos = (lineas) => {
+    const grupos = new Map();
+
+    for (const { base, impuesto } of lineas) {
+        const tarifa = impuesto || SIN_IMPUESTO;
+        const clave = `${tarifa.impuesto_id ?? 'ninguno'}|${tarifa.porcentaje}`;
+        const grupo = grupos.get(clave) || {
+            impuesto_id: tarifa.impuesto_id ?? null,
+            nombre: tarifa.nombre,
+            porcentaje: Number(tarifa.porcentaje) || 0,
+            base: 0
+        };
+        grupo.base += Number(base) || 0;
+        grupos.set(clave, grupo);
+    }
+
+    const desglose = [...grupos.values()]
+        .map((grupo) => ({ ...grupo, base: redondear(grupo.base), valor: redondear(grupo.base * grupo.porcentaje / 100) }))
+        .sort((a, b) => b.porcentaje - a.porcentaje);
+
+    return {
+        desglose,
+        impuesto_total: redondear(desglose.reduce((acc, grupo) => acc + grupo.valor, 0))
+    };
+};
@@ -35,4 +35,42 @@ export const showRoleSelectModal = async (title, currentRolId) => {
     });
 
     return nuevoRol;
-};
\ No newline at end of file
+};
+// FUNCIÓN PARA PEDIR UN MOTIVO (Anulaciones, cortesías, etc.)
+export const showReasonModal = async (title, message) => {
+    const { value: motivo, isConfirmed } = await Swal.fire({
+        title: title,
+        html: message,
+        input: 'textarea',
+        inputPlaceholder: 'Escriba el motivo...',
+        inputValidator: (value) => (!value || !value.trim()) && 'El motivo es requerido.',
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#4CAF50',
+        cancelButtonColor: '#6c757d',
+        confirmButtonText: 'Sí, confirmar',
+        cancelButtonText: 'Cancelar'
+    });
+
+    if (isConfirmed) return motivo.trim();
+    return Promise.reject();
+};
+
+// FUNCIÓN PARA PEDIR UN CORREO (Reenvío de facturas)
+export const showEmailModal = async (title, defaultEmail = '') => {
+    const { value: email, isConfirmed } = await Swal.fire({
+        title: title,
+        input: 'email',
+        inputValue: defaultEmail,
+        inputPlaceholder: 'correo@ejemplo.com',
+        validationMessage: 'Formato de correo inválido.',
+        showCancelButton: true,
+        confirmButtonColor: '#4CAF50',
+        cancelButtonColor: '#6c757d',
+        confirmButtonText: 'Enviar',
+        cancelButtonText: 'Cancelar'
+    });
+
+    if (isConfirmed) return email.trim();
+    return Promise.reject();
+};
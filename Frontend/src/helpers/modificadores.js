@@ -0,0 +1,33 @@
+// =================================================================
+// ARCHIVO: src/helpers/modificadores.js
+// ROL: Utilidades para mostrar y calcular los modificadores de
+//      producto (opciones con ajuste de precio) en las vistas de
+//      mesero, cocina y facturación. Replica el cálculo del backend.
+// =================================================================
+
+/**
+ * Calcula el precio unitario de una línea sumando los ajustes de sus modificadores.
+ * @param {number|string} valorNeto - Precio base del producto.
+ * @param {Array<object>} [modificadores] - Modificadores de la línea ({ precio_delta }).
+ * @returns {number}
+ */
+export const calcularPrecioUnitario = (valorNeto, modificadores) => {
+    const ajuste = (modificadores || []).reduce((acc, m) => acc + (Number(m.precio_delta) || 0), 0);
+    return Math.max(0, (parseFloat(valorNeto) || 0) + ajuste);
+};
+
+/**
+ * Describe los modificadores de una línea en una cadena legible.
+ * @param {Array<object>} [modificadores] - Modificadores de la línea ({ nombre, precio_delta }).
+ * @param {boolean} [conPrecio=true] - Si es false, omite los ajustes de precio (ej. en cocina).
+ * @returns {string}
+ */
+export const describirModificadores = (modificadores, conPrecio = true) => {
+    return (modificadores || [])
+        .map((m) => {
+            const delta = Number(m.precio_delta) || 0;
+            if (!conPrecio || delta === 0) return m.nombre;
+            return `${m.nombre} (${delta > 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)})`;
+        })
+        .join(', ');
+};
@@ -0,0 +1,50 @@
+// =================================================================
+// ARCHIVO: src/helpers/pagos.js
+// ROL: Utilidades para los pagos divididos de una factura en la vista
+//      de facturación. Replica las reglas del backend: los pagos deben
+//      cubrir el total y solo el efectivo puede devolver cambio.
+// =================================================================
+
+/**
+ * Indica si un método de pago es en efectivo (el único que admite devolver cambio).
+ * @param {object} metodo - Método de pago con 'nombre_metodo'.
+ * @returns {boolean}
+ */
+export const esEfectivo = (metodo) => String(metodo?.nombre_metodo || '').trim().toLowerCase() === 'efectivo';
+
+/**
+ * Indica si un método de pago es la tarjeta de regalo (el pago debe indicar el código de la tarjeta).
+ * @param {object} metodo - Método de pago con 'nombre_metodo'.
+ * @returns {boolean}
+ */
+export const esTarjetaRegalo = (metodo) => String(metodo?.nombre_metodo || '').trim().toLowerCase() === 'tarjeta de regalo';
+
+/**
+ * Resume los pagos ingresados frente al total de la factura.
+ * @param {Array<{metodo_pago_id: number, monto: number, codigo_tarjeta?: string}>} pagos - Pagos ingresados.
+ * @param {number} total - Total de la factura.
+ * @param {Array<object>} metodos - Métodos de pago disponibles.
+ * @returns {{pagado: number, restante: number, cambio: number, error: string|null}}
+ */
+export const resumirPagos = (pagos, total, metodos) => {
+    const redondear = (valor) => Math.round((Number(valor) + Number.EPSILON) * 100) / 100;
+    const pagado = redondear(pagos.reduce((acc, pago) => acc + (Number(pago.monto) || 0), 0));
+    const excedente = redondear(pagado - total);
+    const efectivo = redondear(pagos
+        .filter(pago => esEfectivo(metodos.find(m => m.metodo_pago_id === Number(pago.metodo_pago_id))))
+        .reduce((acc, pago) => acc + (Number(pago.monto) || 0), 0));
+
+    let error = null;
+    if (pagos.length === 0) error = 'Debe registrar al menos un pago.';
+    else if (pagos.some(pago => !(Number(pago.monto) > 0))) error = 'Cada pago debe tener un monto mayor a 0.';
+    else if (pagos.some(pago => esTarjetaRegalo(metodos.find(m => m.metodo_pago_id === Number(pago.metodo_pago_id))) && !String(pago.codigo_tarjeta || '').trim())) error = 'Cada pago con tarjeta de regalo debe indicar el código de la tarjeta.';
+    else if (excedente < 0) error = `Faltan $${Math.abs(excedente).toFixed(2)} para cubrir el total.`;
+    else if (excedente > efectivo) error = 'El excedente solo puede devolverse como cambio de un pago en efectivo.';
+
+    return {
+        pagado,
+        restante: Math.max(0, -excedente),
+        cambio: excedente > 0 && excedente <= efectivo ? excedente : 0,
+        error
+    };
+};
@@ -0,0 +1,64 @@
+// =================================================================
+// ARCHIVO: src/helpers/pedidoEstados.js
+// ROL: Acceso al ciclo de vida de los pedidos definido en el backend.
+//      Las vistas de cocina y mesero lo usan para mostrar solo las
+//      acciones que la API aceptará para el rol del usuario.
+// =================================================================
+
+import { api } from './solicitudes.js';
+
+let cicloVidaPromise = null;
+let cicloVidaRol = null; // Rol de la sesión con que se pidió el ciclo de vida guardado.
+
+/**
+ * Obtiene (y guarda en memoria) la definición del ciclo de vida desde la API.
+ * La API la arma según el rol, así que se vuelve a pedir si otro rol inicia sesión.
+ * @returns {Promise<object>} - { estados, etiquetas, transiciones, estados_detalle, transiciones_detalle, rol }.
+ */
+export const getCicloVidaPedido = () => {
+    const rol = localStorage.getItem('userRole');
+    if (!cicloVidaPromise || cicloVidaRol !== rol) {
+        cicloVidaRol = rol;
+        const promesa = api.get('pedidos/estados').catch((error) => {
+            // Si falla, se descarta la promesa para reintentar en la siguiente llamada.
+            if (cicloVidaPromise === promesa) cicloVidaPromise = null;
+            throw error;
+        });
+        cicloVidaPromise = promesa;
+    }
+    return cicloVidaPromise;
+};
+
+/**
+ * Calcula los estados a los que el rol indicado puede mover un pedido.
+ * @param {object} cicloVida - Definición devuelta por getCicloVidaPedido.
+ * @param {string} estadoActual - Estado actual del pedido.
+ * @param {string} [rol] - Rol del usuario; por defecto el de la sesión.
+ * @returns {Array<string>}
+ */
+export const getSiguientesEstados = (cicloVida, estadoActual, rol = cicloVida?.rol) => {
+    const destinos = cicloVida?.transiciones?.[estadoActual] || {};
+    return Object.keys(destinos).filter((destino) => destinos[destino].includes(rol));
+};
+
+/**
+ * Devuelve la etiqueta legible de un estado.
+ * @param {object} cicloVida - Definición devuelta por getCicloVidaPedido.
+ * @param {string} estado - Estado del pedido.
+ * @returns {string}
+ */
+export const getEtiquetaEstado = (cicloVida, estado) => {
+    return cicloVida?.etiquetas?.[estado] || estado;
+};
+
+/**
+ * Calcula los estados a los que el rol indicado puede mover una línea del pedido.
+ * @param {object} cicloVida - Definición devuelta por getCicloVidaPedido.
+ * @param {string} estadoActual - Estado de preparación actual de la línea.
+ * @param {string} [rol] - Rol del usuario; por defecto el de la sesión.
+ * @returns {Array<string>}
+ */
+export const getSiguientesEstadosDetalle = (cicloVida, estadoActual, rol = cicloVida?.rol) => {
+    const destinos = cicloVida?.transiciones_detalle?.[estadoActual] || {};
+    return Object.keys(destinos).filter((destino) => destinos[destino].includes(rol));
+};
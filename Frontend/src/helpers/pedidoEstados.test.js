@@ -0,0 +1,27 @@
+import { describe, expect, it, vi } from 'vitest';
+
+const { api } = vi.hoisted(() => ({ api: { get: vi.fn() } }));
+vi.mock('./solicitudes.js', () => ({ api }));
+
+const sesion = new Map();
+vi.stubGlobal('localStorage', {
+    getItem: (clave) => sesion.get(clave) ?? null,
+    setItem: (clave, valor) => sesion.set(clave, String(valor))
+});
+
+const { getCicloVidaPedido } = await import('./pedidoEstados.js');
+
+describe('ciclo de vida de pedidos', () => {
+    it('vuelve a pedir el ciclo de vida cuando inicia sesión otro rol', async () => {
+        api.get.mockImplementation(async () => ({ rol: localStorage.getItem('userRole') }));
+
+        localStorage.setItem('userRole', 'mesero');
+        expect(await getCicloVidaPedido()).toEqual({ rol: 'mesero' });
+        expect(await getCicloVidaPedido()).toEqual({ rol: 'mesero' });
+        expect(api.get).toHaveBeenCalledTimes(1);
+
+        localStorage.setItem('userRole', 'cocinero');
+        expect(await getCicloVidaPedido()).toEqual({ rol: 'cocinero' });
+        expect(api.get).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,32 @@
+// =================================================================
+// ARCHIVO: src/helpers/propinas.js
+// ROL: Utilidades para las propinas sugeridas y el cargo por servicio
+//      en la vista de facturación. Replica el cálculo del backend.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+
+/**
+ * Calcula las propinas sugeridas sobre el subtotal de la factura.
+ * @param {number} subtotal
+ * @param {Array<number>|null} porcentajes - Porcentajes configurados.
+ * @returns {Array<{porcentaje: number, monto: number}>} De menor a mayor porcentaje.
+ */
+export const calcularPropinasSugeridas = (subtotal, porcentajes) => (porcentajes || [])
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(porcentaje => ({ porcentaje, monto: redondear(Number(subtotal) * porcentaje / 100) }));
+
+/**
+ * Calcula el cargo por servicio: un porcentaje del subtotal con descuentos que se cobra
+ * cuando el cargo está activo y la mesa tiene al menos el mínimo de comensales.
+ * @param {{base: number, comensales: number|null}} factura
+ * @param {object} config - Configuración de propinas con los campos 'cargo_servicio_*'.
+ * @returns {number} El valor del cargo antes de impuestos (0 si no aplica).
+ */
+export const calcularCargoServicio = ({ base, comensales }, config) => {
+    if (!config?.cargo_servicio_activo || !(Number(comensales) >= Number(config.cargo_servicio_min_comensales))) {
+        return 0;
+    }
+    return Math.max(0, redondear(Number(base) * Number(config.cargo_servicio_porcentaje) / 100));
+};
@@ -123,10 +123,12 @@ async function performLogout() {
  * @param {string} method - El método HTTP a utilizar ('GET', 'POST', 'PUT', 'DELETE').
  * @param {object} [data=null] - El cuerpo de la petición para métodos POST o PUT.
  * @param {boolean} [isPublic=false] - Si es 'true', la petición no incluirá el token de autenticación.
- * @returns {Promise<any>} - Una promesa que se resuelve con la respuesta JSON de la API.
+ * @param {boolean} [retryAfterRefresh=false] - Si es 'true', la petición ya se reintentó tras refrescar el token.
+ * @param {string} [responseType='json'] - 'blob' para recibir un archivo (CSV, PDF) en lugar de JSON.
+ * @returns {Promise<any>} - Una promesa que se resuelve con la respuesta JSON de la API (o el archivo como Blob).
  * @throws {Error} - Lanza un error si la petición falla, para ser capturado por el llamador.
  */
-async function fetchAPI(endpoint, method, data = null, isPublic = false, retryAfterRefresh = false) {
+async function fetchAPI(endpoint, method, data = null, isPublic = false, retryAfterRefresh = false, responseType = 'json') {
     // Configuración inicial de las cabeceras.
     const headers = { ...DEFAULT_HEADERS };
     const config = {
@@ -166,7 +168,7 @@ async function fetchAPI(endpoint, method, data = null, isPublic = false, retryAf
         if (shouldTryRefresh({ endpoint, isPublic, responseStatus: response.status, retryAfterRefresh })) {
             try {
                 await refreshAccessToken();
-                return await fetchAPI(endpoint, method, data, isPublic, true);
+                return await fetchAPI(endpoint, method, data, isPublic, true, responseType);
             } catch (error) {
                 await performLogout();
                 clearSessionAndRedirect('Tu sesión expiró. Inicia sesión nuevamente.');
@@ -174,6 +176,11 @@ async function fetchAPI(endpoint, method, data = null, isPublic = false, retryAf
             }
         }
         
+        // Los archivos se devuelven tal cual; los errores siguen llegando en JSON.
+        if (response.ok && responseType === 'blob') {
+            return await response.blob();
+        }
+
         // Se intenta parsear la respuesta como JSON.
         const responseData = await parseJsonSafely(response);
 
@@ -211,6 +218,8 @@ export const api = {
     put: (endpoint, data) => fetchAPI(endpoint, 'PUT', data),
     // Peticiones DELETE (protegidas por defecto)
     delete: (endpoint) => fetchAPI(endpoint, 'DELETE'),
+    // Descarga de archivos (CSV, PDF) como Blob (protegida)
+    getBlob: (endpoint) => fetchAPI(endpoint, 'GET', null, false, false, 'blob'),
     
     // Métodos específicos para rutas públicas que no requieren token.
     publicGet: (endpoint) => fetchAPI(endpoint, 'GET', null, true),
@@ -14,10 +14,19 @@ import { dashboardController } from "../views/admin/dashboard/dashboardControlle
 import { usersController } from "../views/admin/users/usersController.js";
 import { menuController } from "../views/admin/menu/menuController.js";
 import { statsController } from "../views/admin/stats/statsController.js";
+import { discountsController } from "../views/admin/discounts/discountsController.js";
+import { tipsController } from "../views/admin/tips/tipsController.js";
+import { invoicesController } from "../views/admin/invoices/invoicesController.js";
+import { inventoryController } from "../views/admin/inventory/inventoryController.js";
+import { purchaseOrdersController } from "../views/admin/purchases/purchaseOrdersController.js";
 import { kitchenOrdersController } from "../views/kitchen/kitchenOrdersController.js";
 import { waiterOrdersController } from "../views/waiter/waiterOrdersController.js";
 import { waiterInvoiceGeneratorController } from "../views/waiter/waiterInvoiceGeneratorController.js";
 import { waiterOrdersStatusController } from "../views/waiter/waiterOrdersStatusController.js";
+import { waiterCashRegisterController } from "../views/waiter/waiterCashRegisterController.js";
+import { customersController } from "../views/customers/customersController.js";
+import { giftCardsController } from "../views/giftCards/giftCardsController.js";
+import { availabilityController } from "../views/availability/availabilityController.js";
 import { navigationController } from "../views/shared/navigationController.js";
 import { showAlert } from '../helpers/alerts.js';
 import { loadView } from '../helpers/loadview.js'; 
@@ -41,14 +50,27 @@ export const routes = {
     "admin/users": { template: "admin/users/usersManagement.html", controller: usersController, title: "Gestión de Usuarios", roles: ['administrador'] },
     "admin/menu": { template: "admin/menu/menuManagement.html", controller: menuController, title: "Gestión de Menú y mesas", roles: ['administrador'] },
     "admin/stats": { template: "admin/stats/statsOverview.html", controller: statsController, title: "Estadísticas", roles: ['administrador'] },
+    "admin/discounts": { template: "admin/discounts/discountsManagement.html", controller: discountsController, title: "Descuentos y Promociones", roles: ['administrador'] },
+    "admin/tips": { template: "admin/tips/tipsManagement.html", controller: tipsController, title: "Reparto de Propinas", roles: ['administrador'] },
+    "admin/invoices": { template: "admin/invoices/invoicesManagement.html", controller: invoicesController, title: "Facturas", roles: ['administrador'] },
+    "admin/inventory": { template: "admin/inventory/inventoryManagement.html", controller: inventoryController, title: "Inventario", roles: ['administrador'] },
+    "admin/purchases": { template: "admin/purchases/purchaseOrders.html", controller: purchaseOrdersController, title: "Compras", roles: ['administrador'] },
     
     // Resto de rutas (Kitchen, Waiter, 404)...
     "kitchen/orders/pending": { template: "kitchen/kitchenOrders.html", controller: kitchenOrdersController, title: "Pedidos Pendientes", roles: ['cocinero'], status: 'pendiente' },
     "kitchen/orders/preparing": { template: "kitchen/kitchenOrders.html", controller: kitchenOrdersController, title: "Pedidos en Preparación", roles: ['cocinero'], status: 'en_preparacion' },
-    "kitchen/orders/ready": { template: "kitchen/kitchenOrders.html", controller: kitchenOrdersController, title: "Pedidos Listos", roles: ['cocinero'], status: 'preparado' },
+    "kitchen/orders/ready": { template: "kitchen/kitchenOrders.html", controller: kitchenOrdersController, title: "Pedidos Listos", roles: ['cocinero'], status: 'listo' },
     "waiter/orders": { template: "waiter/waiterOrdersManagement.html", controller: waiterOrdersController, title: "Gestión de Pedidos", roles: ['mesero'] },
     "waiter/orders-status": { template: "waiter/waiterOrdersStatus.html", controller: waiterOrdersStatusController, title: "Estado de Pedidos", roles: ['mesero'] },
     "waiter/invoice": { template: "waiter/waiterInvoiceGenerator.html", controller: waiterInvoiceGeneratorController, title: "Generación de Factura", roles: ['mesero'] },
+    "waiter/cash-register": { template: "waiter/waiterCashRegister.html", controller: waiterCashRegisterController, title: "Caja", roles: ['mesero'] },
+
+    // Clientes (meseros y administradores)
+    "customers": { template: "customers/customers.html", controller: customersController, title: "Clientes", roles: ['mesero', 'administrador'] },
+    // Tarjetas de regalo (meseros y administradores; el reporte de pasivo es solo para administradores)
+    "gift-cards": { template: "giftCards/giftCards.html", controller: giftCardsController, title: "Tarjetas de Regalo", roles: ['mesero', 'administrador'] },
+    // Disponibilidad del menú (cocina y administradores)
+    "availability": { template: "availability/availability.html", controller: availabilityController, title: "Disponibilidad del Menú", roles: ['cocinero', 'administrador'] },
     "404": { template: "shared/404.html", title: "Página No Encontrada", public: true }
 };
 
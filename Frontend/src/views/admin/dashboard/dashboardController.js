@@ -2,7 +2,8 @@
 // ARCHIVO: src/views/admin/dashboard/dashboardController.js
 // ROL: Controlador para la vista del Dashboard de Administración.
 //      Se encarga de inicializar los componentes visuales y de
-//      cargar los datos de resumen desde la API.
+//      cargar los datos de resumen desde la API, incluido el
+//      inventario bajo, que se refresca con las alertas en vivo.
 // =================================================================
 
 import { showAlert } from '../../../helpers/alerts.js';
@@ -58,6 +59,38 @@ export const dashboardController = () => {
         }
     };
 
+    /**
+     * Obtiene y renderiza los ingredientes en su punto de reorden y los productos
+     * agotados por falta de ingredientes.
+     */
+    const loadLowInventory = async () => {
+        const lowInventoryList = document.getElementById('low-inventory-list');
+        if (!lowInventoryList) return; // La vista ya no está montada.
+        try {
+            const { ingredientes, productos } = await api.get('inventario/alertas'); // Lo que está bajo en el inventario
+            const items = [
+                ...ingredientes.map(i => `<li class="low-inventory__item"><span class="activity-date">${i.nombre}:</span> ${Number(i.stock)} ${i.unidad} (mínimo ${Number(i.stock_minimo)} ${i.unidad})</li>`),
+                ...productos.map(p => `<li class="low-inventory__item"><span class="activity-date">${p.nombre_producto}:</span> agotado por falta de ingredientes</li>`)
+            ];
+            lowInventoryList.innerHTML = items.length > 0 ? items.join('') : '<li>Todo el inventario está sobre su punto de reorden.</li>';
+        } catch (error) {
+            console.error("Error al cargar el inventario bajo:", error);
+            lowInventoryList.innerHTML = '<li>Error al cargar el inventario.</li>';
+        }
+    };
+
+    /**
+     * Envía ahora el resumen de inventario bajo al correo de los administradores.
+     */
+    const sendInventoryDigest = async () => {
+        try {
+            const response = await api.post('inventario/resumen', {}); // Envía el resumen por correo
+            showAlert(response.message, 'success');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
     /**
      * @description Renderiza la sección de "Actividad Reciente" usando la estructura
      *              de notificaciones emitidas por Socket.IO.
@@ -105,6 +138,12 @@ export const dashboardController = () => {
 
         socket.off('historial_dashboard');
         socket.off('actualizar_dashboard');
+        socket.off('alerta_inventario', loadLowInventory);
+        socket.off('disponibilidad_actualizada', loadLowInventory);
+
+        // Las alertas de inventario y los productos agotados o habilitados refrescan el inventario bajo.
+        socket.on('alerta_inventario', loadLowInventory);
+        socket.on('disponibilidad_actualizada', loadLowInventory);
 
         socket.on('historial_dashboard', (payload) => {
             const items = Array.isArray(payload?.notifications) ? payload.notifications : [];
@@ -169,7 +208,9 @@ export const dashboardController = () => {
     const init = () => {
         loadDashboardData(); // Carga los datos del dashboard al iniciar el controlador
         loadRecentActivity(); // Carga la actividad reciente al iniciar el controlador
+        loadLowInventory(); // Carga el inventario bajo al iniciar el controlador
         startRealtimeActivity();
+        document.getElementById('send-inventory-digest-btn')?.addEventListener('click', sendInventoryDigest);
 
         // Inicia el carrusel
         const slides = document.querySelectorAll(".carousel__slide"); // Selecciona todas las diapositivas del carrusel.
@@ -0,0 +1,229 @@
+// =================================================================
+// ARCHIVO: src/views/admin/discounts/discountsController.js
+// ROL: Controlador para la vista de Descuentos y Promociones.
+//      Permite al administrador crear, editar y eliminar las reglas
+//      de descuento que los meseros aplican al facturar, y configurar
+//      el programa de puntos de los clientes.
+// =================================================================
+
+import { showAlert } from '../../../helpers/alerts.js';
+import { showConfirmModal } from '../../../helpers/modalHelper.js';
+import { api } from '../../../helpers/solicitudes.js';
+
+/**
+ * Controlador principal para la vista de Descuentos.
+ */
+export const discountsController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const formSection = document.getElementById('discount-form-section');
+    const form = document.getElementById('discount-form');
+    const formTitle = document.getElementById('discount-form-title');
+    const tableBody = document.querySelector('#discounts-table tbody');
+    const idInput = document.getElementById('discount-id');
+    const nameInput = document.getElementById('discount-name');
+    const codeInput = document.getElementById('discount-code');
+    const typeSelect = document.getElementById('discount-type');
+    const valueInput = document.getElementById('discount-value');
+    const scopeSelect = document.getElementById('discount-scope');
+    const startInput = document.getElementById('discount-start');
+    const endInput = document.getElementById('discount-end');
+    const roleCheckboxes = document.querySelectorAll('.discount-role');
+    const requiresReasonInput = document.getElementById('discount-requires-reason');
+    const requiresApprovalInput = document.getElementById('discount-requires-approval');
+    const activeInput = document.getElementById('discount-active');
+    const loyaltyForm = document.getElementById('loyalty-form');
+
+    // --- Estado Local del Controlador ---
+    let allDiscounts = []; // Reglas de descuento cargadas desde la API.
+
+    /**
+     * Describe el valor de un descuento (ej. "10%" o "$5000.00").
+     * @param {object} discount - Regla de descuento.
+     * @returns {string}
+     */
+    const formatValue = (discount) => discount.tipo === 'porcentaje'
+        ? `${Number(discount.valor)}%`
+        : `$${parseFloat(discount.valor).toFixed(2)}`;
+
+    /**
+     * Renderiza la tabla de reglas de descuento.
+     */
+    const renderDiscounts = () => {
+        if (allDiscounts.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="8">No hay descuentos configurados.</td></tr>';
+            return;
+        }
+        tableBody.innerHTML = allDiscounts.map(discount => {
+            const vigencia = discount.fecha_inicio || discount.fecha_fin
+                ? `${discount.fecha_inicio || '...'} a ${discount.fecha_fin || '...'}`
+                : 'Siempre'; // Sin fechas el descuento no vence
+            const condiciones = [
+                discount.roles_permitidos?.length ? `Solo ${discount.roles_permitidos.join(', ')}` : 'Todos los roles',
+                discount.requiere_motivo ? 'Requiere motivo' : null,
+                discount.requiere_aprobacion ? 'Requiere autorización' : null
+            ].filter(Boolean); // Descarta las condiciones que no aplican
+            return `
+                <tr>
+                    <td>${discount.nombre}</td>
+                    <td>${discount.codigo || '-'}</td>
+                    <td>${formatValue(discount)}</td>
+                    <td>${discount.alcance === 'linea' ? 'Un artículo' : 'Todo el pedido'}</td>
+                    <td>${vigencia}</td>
+                    <td>${condiciones.map(condicion => `<small>${condicion}</small>`).join('')}</td>
+                    <td>${discount.activo ? 'Activo' : 'Inactivo'}</td>
+                    <td class="table-actions">
+                        <button class="btn btn--info btn--small edit-discount-btn" data-id="${discount.descuento_id}">Editar</button>
+                        <button class="btn btn--danger btn--small delete-discount-btn" data-id="${discount.descuento_id}" data-name="${discount.nombre}">Eliminar</button>
+                    </td>
+                </tr>`;
+        }).join('');
+    };
+
+    /**
+     * Carga las reglas de descuento desde la API.
+     */
+    const loadDiscounts = async () => {
+        try {
+            allDiscounts = await api.get('descuentos'); // El administrador recibe todas las reglas
+            renderDiscounts();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Muestra el formulario, vacío para crear o con los datos de una regla para editarla.
+     * @param {object|null} discount - Regla a editar, o null para crear una nueva.
+     */
+    const openForm = (discount = null) => {
+        form.reset();
+        formTitle.textContent = discount ? 'Editar Descuento' : 'Nuevo Descuento';
+        idInput.value = discount?.descuento_id || '';
+        nameInput.value = discount?.nombre || '';
+        codeInput.value = discount?.codigo || '';
+        typeSelect.value = discount?.tipo || 'porcentaje';
+        valueInput.value = discount ? Number(discount.valor) : '';
+        scopeSelect.value = discount?.alcance || 'pedido';
+        startInput.value = discount?.fecha_inicio || '';
+        endInput.value = discount?.fecha_fin || '';
+        roleCheckboxes.forEach(checkbox => { checkbox.checked = Boolean(discount?.roles_permitidos?.includes(checkbox.value)); }); // Marca los roles permitidos
+        requiresReasonInput.checked = Boolean(discount?.requiere_motivo);
+        requiresApprovalInput.checked = Boolean(discount?.requiere_aprobacion);
+        activeInput.checked = discount ? Boolean(discount.activo) : true;
+        formSection.style.display = 'block';
+        nameInput.focus();
+    };
+
+    /**
+     * Guarda la regla del formulario (la crea o la actualiza).
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (startInput.value && endInput.value && startInput.value > endInput.value) { // Valida el rango antes de enviar
+            showAlert('La fecha de inicio no puede ser posterior a la fecha de fin.', 'warning');
+            return;
+        }
+        if (typeSelect.value === 'porcentaje' && Number(valueInput.value) > 100) {
+            showAlert('El porcentaje de descuento no puede superar 100.', 'warning');
+            return;
+        }
+        const payload = {
+            nombre: nameInput.value.trim(),
+            codigo: codeInput.value.trim() || null, // El backend lo guarda en mayúsculas
+            tipo: typeSelect.value,
+            valor: parseFloat(valueInput.value),
+            alcance: scopeSelect.value,
+            fecha_inicio: startInput.value || null,
+            fecha_fin: endInput.value || null,
+            roles_permitidos: [...roleCheckboxes].filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+            requiere_motivo: requiresReasonInput.checked,
+            requiere_aprobacion: requiresApprovalInput.checked,
+            activo: activeInput.checked
+        };
+        try {
+            if (idInput.value) {
+                await api.put(`descuentos/${idInput.value}`, payload);
+                showAlert('Descuento actualizado con éxito.', 'success');
+            } else {
+                await api.post('descuentos', payload);
+                showAlert('Descuento creado con éxito.', 'success');
+            }
+            formSection.style.display = 'none';
+            loadDiscounts(); // Recarga la tabla con los cambios
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Maneja los clics en los botones de editar y eliminar de la tabla.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleTableClick = async (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const discount = allDiscounts.find(item => item.descuento_id === Number(button.dataset.id));
+
+        if (button.classList.contains('edit-discount-btn') && discount) {
+            openForm(discount);
+        }
+
+        if (button.classList.contains('delete-discount-btn')) {
+            try {
+                await showConfirmModal('Confirmar Eliminación', `¿Seguro que desea eliminar <strong>${button.dataset.name}</strong>? Las facturas emitidas conservan el descuento aplicado.`);
+                await api.delete(`descuentos/${button.dataset.id}`);
+                showAlert('Descuento eliminado exitosamente.', 'success');
+                loadDiscounts();
+            } catch (error) {
+                if (error && error.message) showAlert(error.message, 'error'); // Si se cancela el modal no hay mensaje que mostrar
+            }
+        }
+    };
+
+    /**
+     * Carga la configuración del programa de puntos en su formulario.
+     */
+    const loadLoyaltySettings = async () => {
+        try {
+            const config = await api.get('puntos/configuracion');
+            document.getElementById('loyalty-pesos-per-point').value = config.pesos_por_punto;
+            document.getElementById('loyalty-point-value').value = config.valor_punto;
+            document.getElementById('loyalty-min-redeem').value = config.minimo_canje;
+            document.getElementById('loyalty-validity').value = config.vigencia_dias;
+            document.getElementById('loyalty-active').checked = Boolean(config.activo);
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Guarda la configuración del programa de puntos.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleLoyaltySubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api.put('puntos/configuracion', {
+                pesos_por_punto: document.getElementById('loyalty-pesos-per-point').value,
+                valor_punto: document.getElementById('loyalty-point-value').value,
+                minimo_canje: document.getElementById('loyalty-min-redeem').value,
+                vigencia_dias: document.getElementById('loyalty-validity').value,
+                activo: document.getElementById('loyalty-active').checked
+            });
+            showAlert(response.message, 'success');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    document.getElementById('add-discount-btn').addEventListener('click', () => openForm());
+    document.getElementById('cancel-discount-btn').addEventListener('click', () => { formSection.style.display = 'none'; });
+    form.addEventListener('submit', handleSubmit);
+    tableBody.addEventListener('click', handleTableClick);
+    loyaltyForm.addEventListener('submit', handleLoyaltySubmit);
+
+    loadDiscounts();
+    loadLoyaltySettings();
+};
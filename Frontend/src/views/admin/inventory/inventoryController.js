@@ -0,0 +1,359 @@
+// =================================================================
+// ARCHIVO: src/views/admin/inventory/inventoryController.js
+// ROL: Controlador para la vista de Inventario del administrador.
+//      Permite registrar ingredientes, ajustar su existencia con un
+//      motivo, definir la receta de cada producto (lo que descuenta
+//      cada pedido) y consultar el libro de movimientos.
+// =================================================================
+
+import { showAlert } from '../../../helpers/alerts.js';
+import { api } from '../../../helpers/solicitudes.js';
+import { downloadFile } from '../../../helpers/descargas.js';
+
+// Nombre de cada tipo de movimiento en la tabla.
+const MOVEMENT_TYPES = { consumo: 'Consumo', devolucion: 'Devolución', ajuste: 'Ajuste', compra: 'Compra' };
+
+/**
+ * Controlador principal para la vista de Inventario.
+ */
+export const inventoryController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const formSection = document.getElementById('ingredient-form-section');
+    const form = document.getElementById('ingredient-form');
+    const formTitle = document.getElementById('ingredient-form-title');
+    const idInput = document.getElementById('ingredient-id');
+    const nameInput = document.getElementById('ingredient-name');
+    const unitSelect = document.getElementById('ingredient-unit');
+    const stockGroup = document.getElementById('ingredient-stock-group');
+    const stockInput = document.getElementById('ingredient-stock');
+    const minStockInput = document.getElementById('ingredient-min-stock');
+    const activeInput = document.getElementById('ingredient-active');
+    const showInactiveInput = document.getElementById('ingredients-show-inactive');
+    const ingredientsBody = document.querySelector('#ingredients-table tbody');
+    const adjustmentForm = document.getElementById('adjustment-form');
+    const adjustmentIngredientSelect = document.getElementById('adjustment-ingredient');
+    const recipeProductSelect = document.getElementById('recipe-product');
+    const recipeBody = document.querySelector('#recipe-table tbody');
+    const movementsForm = document.getElementById('movements-filter-form');
+    const movementsIngredientSelect = document.getElementById('movements-ingredient');
+    const movementsBody = document.querySelector('#movements-table tbody');
+    const prevBtn = document.getElementById('movements-prev-btn');
+    const nextBtn = document.getElementById('movements-next-btn');
+    const pageInfo = document.getElementById('movements-page-info');
+
+    // --- Estado Local del Controlador ---
+    let ingredients = []; // Ingredientes (incluidos los inactivos).
+    let recipeLines = []; // Líneas de la receta del producto elegido: { ingrediente_id, cantidad }.
+    let pagination = { pagina: 1, total_paginas: 1, total: 0 }; // Paginación del libro de movimientos.
+
+    /**
+     * Da formato a una cantidad de inventario (hasta 3 decimales).
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatQuantity = (value) => Number(value || 0).toLocaleString('es-CO', { maximumFractionDigits: 3 });
+
+    /**
+     * Opciones de un select de ingredientes activos.
+     * @param {number} [selectedId] - Ingrediente elegido.
+     * @returns {string}
+     */
+    const ingredientOptions = (selectedId) => ingredients
+        .filter(ingredient => ingredient.activo || ingredient.ingrediente_id === selectedId) // Un inactivo se muestra solo si ya está elegido
+        .map(ingredient => `<option value="${ingredient.ingrediente_id}" ${ingredient.ingrediente_id === selectedId ? 'selected' : ''}>${ingredient.nombre} (${ingredient.unidad})</option>`)
+        .join('');
+
+    /**
+     * Indica si un ingrediente llegó a su punto de reorden.
+     * @param {object} ingredient
+     * @returns {boolean}
+     */
+    const isLow = (ingredient) => ingredient.stock_minimo !== null && Number(ingredient.stock) <= Number(ingredient.stock_minimo);
+
+    /**
+     * Renderiza la tabla de ingredientes y los selects que dependen de ellos.
+     */
+    const renderIngredients = () => {
+        const visible = ingredients.filter(ingredient => showInactiveInput.checked || ingredient.activo);
+        ingredientsBody.innerHTML = visible.length
+            ? visible.map(ingredient => `
+                <tr class="${ingredient.activo ? '' : 'is-inactive'} ${isLow(ingredient) ? 'is-low' : ''}">
+                    <td>${ingredient.nombre}</td>
+                    <td>${ingredient.unidad}</td>
+                    <td class="${Number(ingredient.stock) < 0 ? 'inventory__stock--negative' : ''}">${formatQuantity(ingredient.stock)}</td>
+                    <td>${ingredient.stock_minimo === null ? '—' : formatQuantity(ingredient.stock_minimo)}</td>
+                    <td>${ingredient.costo_promedio === null ? '—' : `$${Number(ingredient.costo_promedio).toLocaleString('es-CO', { maximumFractionDigits: 4 })}`}</td>
+                    <td>${ingredient.activo ? 'Activo' : 'Inactivo'}</td>
+                    <td class="table-actions">
+                        <button class="btn btn--info btn--small edit-ingredient-btn" data-id="${ingredient.ingrediente_id}">Editar</button>
+                        <button class="btn btn--secondary btn--small movements-ingredient-btn" data-id="${ingredient.ingrediente_id}">Movimientos</button>
+                    </td>
+                </tr>`).join('')
+            : '<tr><td colspan="7">No hay ingredientes registrados.</td></tr>';
+
+        adjustmentIngredientSelect.innerHTML = ingredientOptions(Number(adjustmentIngredientSelect.value));
+        const selectedFilter = movementsIngredientSelect.value;
+        movementsIngredientSelect.innerHTML = '<option value="">Todos</option>' +
+            ingredients.map(ingredient => `<option value="${ingredient.ingrediente_id}">${ingredient.nombre}</option>`).join('');
+        movementsIngredientSelect.value = selectedFilter;
+    };
+
+    /**
+     * Carga los ingredientes desde la API.
+     */
+    const loadIngredients = async () => {
+        try {
+            ingredients = await api.get('inventario/ingredientes?incluir_inactivos=true');
+            renderIngredients();
+            renderRecipe();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Muestra el formulario, vacío para crear o con los datos de un ingrediente para editarlo.
+     * La existencia inicial solo se indica al crearlo; después se corrige con un ajuste.
+     * @param {object|null} ingredient - Ingrediente a editar, o null para crear uno nuevo.
+     */
+    const openForm = (ingredient = null) => {
+        form.reset();
+        formTitle.textContent = ingredient ? 'Editar Ingrediente' : 'Nuevo Ingrediente';
+        idInput.value = ingredient?.ingrediente_id || '';
+        nameInput.value = ingredient?.nombre || '';
+        unitSelect.value = ingredient?.unidad || 'g';
+        minStockInput.value = ingredient?.stock_minimo ?? ''; // Vacío = sin alerta de reorden
+        activeInput.checked = ingredient ? Boolean(ingredient.activo) : true;
+        stockGroup.style.display = ingredient ? 'none' : 'block';
+        formSection.style.display = 'block';
+        nameInput.focus();
+    };
+
+    /**
+     * Guarda el ingrediente del formulario (lo crea o lo actualiza).
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const payload = { nombre: nameInput.value.trim(), unidad: unitSelect.value, stock_minimo: minStockInput.value, activo: activeInput.checked };
+        try {
+            if (idInput.value) {
+                const response = await api.put(`inventario/ingredientes/${idInput.value}`, payload);
+                showAlert(response.message, 'success');
+            } else {
+                const response = await api.post('inventario/ingredientes', { ...payload, stock: stockInput.value || 0 });
+                showAlert(response.message, 'success');
+            }
+            formSection.style.display = 'none';
+            await loadIngredients();
+            loadMovements(pagination.pagina); // La existencia inicial queda como un ajuste
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Maneja los clics en los botones de editar y ver movimientos de la tabla de ingredientes.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleIngredientsClick = (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const ingredient = ingredients.find(item => item.ingrediente_id === Number(button.dataset.id));
+        if (button.classList.contains('edit-ingredient-btn') && ingredient) {
+            openForm(ingredient);
+        }
+        if (button.classList.contains('movements-ingredient-btn')) {
+            movementsIngredientSelect.value = button.dataset.id;
+            loadMovements();
+            movementsForm.scrollIntoView({ behavior: 'smooth' });
+        }
+    };
+
+    /**
+     * Registra un ajuste manual de existencia.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleAdjustment = async (e) => {
+        e.preventDefault();
+        const quantity = parseFloat(document.getElementById('adjustment-quantity').value);
+        if (!quantity) { // Un ajuste en cero no cambia nada
+            showAlert('La cantidad del ajuste debe ser distinta de 0.', 'warning');
+            return;
+        }
+        try {
+            const response = await api.post(`inventario/ingredientes/${adjustmentIngredientSelect.value}/ajustes`, {
+                cantidad: quantity,
+                motivo: document.getElementById('adjustment-reason').value.trim()
+            });
+            showAlert(response.message, 'success');
+            adjustmentForm.reset();
+            await loadIngredients();
+            loadMovements();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Renderiza las líneas de la receta del producto elegido.
+     */
+    const renderRecipe = () => {
+        if (!recipeProductSelect.value) {
+            recipeBody.innerHTML = '<tr><td colspan="3">Seleccione un producto.</td></tr>';
+            return;
+        }
+        recipeBody.innerHTML = recipeLines.length
+            ? recipeLines.map((line, index) => `
+                <tr>
+                    <td><select class="form-control recipe-ingredient" data-index="${index}">${ingredientOptions(line.ingrediente_id)}</select></td>
+                    <td><input type="number" class="form-control recipe-quantity" data-index="${index}" min="0.001" step="0.001" value="${line.cantidad}"></td>
+                    <td class="table-actions">
+                        <button class="btn btn--danger btn--small remove-recipe-line-btn" data-index="${index}">Quitar</button>
+                    </td>
+                </tr>`).join('')
+            : '<tr><td colspan="3">El producto no tiene receta: no descuenta inventario.</td></tr>';
+    };
+
+    /**
+     * Carga la receta del producto elegido.
+     */
+    const loadRecipe = async () => {
+        recipeLines = [];
+        if (recipeProductSelect.value) {
+            try {
+                const recipe = await api.get(`productos/${recipeProductSelect.value}/receta`);
+                recipeLines = recipe.map(line => ({ ingrediente_id: line.ingrediente_id, cantidad: Number(line.cantidad) }));
+            } catch (error) {
+                showAlert(error.message, 'error');
+            }
+        }
+        renderRecipe();
+    };
+
+    /**
+     * Carga los productos del menú en el select de recetas.
+     */
+    const loadProducts = async () => {
+        try {
+            const products = await api.get('productos');
+            recipeProductSelect.innerHTML = '<option value="">Seleccione un producto</option>' +
+                products.map(product => `<option value="${product.producto_id}">${product.nombre_producto}</option>`).join('');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Guarda la receta del producto elegido.
+     */
+    const saveRecipe = async () => {
+        if (!recipeProductSelect.value) {
+            showAlert('Seleccione un producto.', 'warning');
+            return;
+        }
+        try {
+            const response = await api.put(`productos/${recipeProductSelect.value}/receta`, { ingredientes: recipeLines });
+            showAlert(response.message, 'success');
+            loadRecipe();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Mantiene las líneas de la receta al día cuando se edita un select o una cantidad.
+     * @param {Event} e - Evento de cambio.
+     */
+    const handleRecipeChange = (e) => {
+        const line = recipeLines[Number(e.target.dataset.index)];
+        if (!line) return;
+        if (e.target.classList.contains('recipe-ingredient')) line.ingrediente_id = Number(e.target.value);
+        if (e.target.classList.contains('recipe-quantity')) line.cantidad = parseFloat(e.target.value) || 0;
+    };
+
+    /**
+     * Arma la consulta con los filtros del libro de movimientos; los vacíos no se envían.
+     * @param {number} [page] - Página a consultar.
+     * @returns {string}
+     */
+    const getMovementsQuery = (page = 1) => {
+        const params = new URLSearchParams({
+            ingrediente_id: movementsIngredientSelect.value,
+            tipo: document.getElementById('movements-type').value,
+            desde: document.getElementById('movements-from').value,
+            hasta: document.getElementById('movements-to').value,
+            pagina: page
+        });
+        [...params.entries()].filter(([, value]) => value === '').forEach(([key]) => params.delete(key));
+        return params.toString();
+    };
+
+    /**
+     * Busca una página del libro de movimientos con los filtros elegidos.
+     * @param {number} [page] - Página a consultar.
+     */
+    const loadMovements = async (page = 1) => {
+        try {
+            const result = await api.get(`inventario/movimientos?${getMovementsQuery(page)}`);
+            pagination = result.paginacion;
+            movementsBody.innerHTML = result.movimientos.length
+                ? result.movimientos.map(movement => `
+                    <tr>
+                        <td>${new Date(movement.fecha).toLocaleString()}</td>
+                        <td>${movement.Ingrediente?.nombre || '-'}</td>
+                        <td>${MOVEMENT_TYPES[movement.tipo] || movement.tipo}</td>
+                        <td class="${Number(movement.cantidad) < 0 ? 'inventory__stock--negative' : ''}">${Number(movement.cantidad) > 0 ? '+' : ''}${formatQuantity(movement.cantidad)} ${movement.Ingrediente?.unidad || ''}</td>
+                        <td>${formatQuantity(movement.stock_resultante)}</td>
+                        <td>${movement.motivo || (movement.pedido_id ? `Pedido #${movement.pedido_id}` : '') || (movement.orden_compra_id ? `Orden de compra #${movement.orden_compra_id}` : '-')}</td>
+                        <td>${movement.Usuario?.nombre || '-'}</td>
+                    </tr>`).join('')
+                : '<tr><td colspan="7">No hay movimientos con esos filtros.</td></tr>';
+            pageInfo.textContent = `Página ${pagination.pagina} de ${pagination.total_paginas} (${pagination.total} movimientos)`;
+            prevBtn.disabled = pagination.pagina <= 1;
+            nextBtn.disabled = pagination.pagina >= pagination.total_paginas;
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    document.getElementById('add-ingredient-btn').addEventListener('click', () => openForm());
+    document.getElementById('cancel-ingredient-btn').addEventListener('click', () => { formSection.style.display = 'none'; });
+    form.addEventListener('submit', handleSubmit);
+    showInactiveInput.addEventListener('change', renderIngredients);
+    ingredientsBody.addEventListener('click', handleIngredientsClick);
+    adjustmentForm.addEventListener('submit', handleAdjustment);
+    recipeProductSelect.addEventListener('change', loadRecipe);
+    recipeBody.addEventListener('change', handleRecipeChange);
+    recipeBody.addEventListener('click', (e) => {
+        const button = e.target.closest('.remove-recipe-line-btn');
+        if (!button) return;
+        recipeLines.splice(Number(button.dataset.index), 1);
+        renderRecipe();
+    });
+    document.getElementById('add-recipe-line-btn').addEventListener('click', () => {
+        const firstActive = ingredients.find(ingredient => ingredient.activo);
+        if (!recipeProductSelect.value || !firstActive) {
+            showAlert(recipeProductSelect.value ? 'Registre primero un ingrediente.' : 'Seleccione un producto.', 'warning');
+            return;
+        }
+        recipeLines.push({ ingrediente_id: firstActive.ingrediente_id, cantidad: 1 });
+        renderRecipe();
+    });
+    document.getElementById('save-recipe-btn').addEventListener('click', saveRecipe);
+    movementsForm.addEventListener('submit', (e) => { e.preventDefault(); loadMovements(); });
+    document.getElementById('movements-csv-btn').addEventListener('click', async () => {
+        try {
+            await downloadFile(`inventario/movimientos?${getMovementsQuery()}&formato=csv`, 'movimientos_inventario.csv');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    });
+    prevBtn.addEventListener('click', () => loadMovements(pagination.pagina - 1));
+    nextBtn.addEventListener('click', () => loadMovements(pagination.pagina + 1));
+
+    loadIngredients();
+    loadProducts();
+    loadMovements();
+};
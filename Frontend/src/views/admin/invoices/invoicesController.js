@@ -0,0 +1,192 @@
+// =================================================================
+// ARCHIVO: src/views/admin/invoices/invoicesController.js
+// ROL: Controlador para la vista de Facturas del administrador.
+//      Permite buscar facturas por número, fechas, mesero, mesa,
+//      método de pago, monto y estado, exportar el resultado a CSV
+//      y reimprimir o reenviar por correo cada factura.
+// =================================================================
+
+import { showAlert } from '../../../helpers/alerts.js';
+import { showEmailModal } from '../../../helpers/modalHelper.js';
+import { api } from '../../../helpers/solicitudes.js';
+import { downloadFile } from '../../../helpers/descargas.js';
+import { formatearDocumento } from '../../../helpers/clientes.js';
+
+/**
+ * Controlador principal para la vista de Facturas.
+ */
+export const invoicesController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const filterForm = document.getElementById('invoices-filter-form');
+    const numberInput = document.getElementById('invoices-number');
+    const fromInput = document.getElementById('invoices-from');
+    const toInput = document.getElementById('invoices-to');
+    const waiterSelect = document.getElementById('invoices-waiter');
+    const tableSelect = document.getElementById('invoices-table');
+    const methodSelect = document.getElementById('invoices-method');
+    const minInput = document.getElementById('invoices-min');
+    const maxInput = document.getElementById('invoices-max');
+    const statusSelect = document.getElementById('invoices-status');
+    const orderSelect = document.getElementById('invoices-order');
+    const tableBody = document.querySelector('#invoices-table-list tbody');
+    const prevBtn = document.getElementById('invoices-prev-btn');
+    const nextBtn = document.getElementById('invoices-next-btn');
+    const pageInfo = document.getElementById('invoices-page-info');
+
+    // --- Estado Local del Controlador ---
+    let invoices = []; // Facturas de la página actual.
+    let pagination = { pagina: 1, total_paginas: 1, total: 0 }; // Paginación de la última búsqueda.
+
+    /**
+     * Da formato de moneda a un valor.
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+    /**
+     * Número con que se muestra una factura (las anteriores a la numeración se muestran por su ID).
+     * @param {object} invoice
+     * @returns {string}
+     */
+    const getInvoiceNumber = (invoice) => invoice.numero || `#${invoice.factura_id}`;
+
+    /**
+     * Arma la consulta con los filtros del formulario; los vacíos no se envían.
+     * @param {number} [page] - Página a consultar.
+     * @returns {string}
+     */
+    const getFilterQuery = (page = 1) => {
+        const [orden, direccion] = orderSelect.value.split(':');
+        const params = new URLSearchParams({
+            numero: numberInput.value.trim(),
+            desde: fromInput.value,
+            hasta: toInput.value,
+            mesero_id: waiterSelect.value,
+            mesa_id: tableSelect.value,
+            metodo_pago_id: methodSelect.value,
+            monto_min: minInput.value,
+            monto_max: maxInput.value,
+            anulada: statusSelect.value,
+            orden,
+            direccion,
+            pagina: page
+        });
+        [...params.entries()].filter(([, value]) => value === '').forEach(([key]) => params.delete(key));
+        return params.toString();
+    };
+
+    /**
+     * Renderiza la tabla de facturas y los controles de paginación.
+     */
+    const renderInvoices = () => {
+        tableBody.innerHTML = invoices.length
+            ? invoices.map(invoice => `
+                <tr class="${invoice.anulada ? 'is-voided' : ''}">
+                    <td>${getInvoiceNumber(invoice)}</td>
+                    <td>${new Date(invoice.fecha_factura).toLocaleString()}</td>
+                    <td>${invoice.Pedido?.Mesa ? `Mesa ${invoice.Pedido.Mesa.numero_mesa}` : '-'}</td>
+                    <td>${invoice.Pedido?.Usuario?.nombre || '-'}</td>
+                    <td>${invoice.Cliente ? `${invoice.Cliente.nombre} - ${formatearDocumento(invoice.Cliente)}` : 'Consumidor final'}</td>
+                    <td>${invoice.MetodoPago?.nombre_metodo || '-'}</td>
+                    <td>${formatMoney(invoice.total)}</td>
+                    <td>${invoice.anulada ? `Anulada (NC #${invoice.NotaCredito?.nota_credito_id})` : 'Vigente'}</td>
+                    <td class="table-actions">
+                        <button class="btn btn--info btn--small pdf-invoice-btn" data-id="${invoice.factura_id}">PDF</button>
+                        <button class="btn btn--primary btn--small email-invoice-btn" data-id="${invoice.factura_id}">Reenviar</button>
+                    </td>
+                </tr>`).join('')
+            : '<tr><td colspan="9">No se encontraron facturas con esos filtros.</td></tr>';
+        pageInfo.textContent = `Página ${pagination.pagina} de ${pagination.total_paginas} (${pagination.total} facturas)`;
+        prevBtn.disabled = pagination.pagina <= 1;
+        nextBtn.disabled = pagination.pagina >= pagination.total_paginas;
+    };
+
+    /**
+     * Busca las facturas de una página con los filtros del formulario.
+     * @param {number} [page] - Página a consultar.
+     */
+    const loadInvoices = async (page = 1) => {
+        try {
+            const result = await api.get(`facturas?${getFilterQuery(page)}`);
+            invoices = result.facturas;
+            pagination = result.paginacion;
+            renderInvoices();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Carga las opciones de los filtros de mesero, mesa y método de pago.
+     */
+    const loadFilterOptions = async () => {
+        try {
+            const [users, tables, methods] = await Promise.all([api.get('usuarios'), api.get('mesas'), api.get('metodos-pago')]);
+            waiterSelect.innerHTML = '<option value="">Todos</option>' +
+                users.map(user => `<option value="${user.usuario_id}">${user.nombre}</option>`).join('');
+            tableSelect.innerHTML = '<option value="">Todas</option>' +
+                tables.map(table => `<option value="${table.mesa_id}">Mesa ${table.numero_mesa}</option>`).join('');
+            methodSelect.innerHTML = '<option value="">Todos</option>' +
+                methods.map(method => `<option value="${method.metodo_pago_id}">${method.nombre_metodo}</option>`).join('');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Descarga las facturas que cumplen los filtros (todas las páginas) en CSV.
+     */
+    const handleExportCsv = async () => {
+        try {
+            await downloadFile(`facturas?${getFilterQuery()}&formato=csv`, 'facturas.csv');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Reenvía una factura por correo; se sugiere el correo de su cliente.
+     * @param {object} invoice
+     */
+    const resendInvoice = async (invoice) => {
+        try {
+            const email = await showEmailModal(`Reenviar la factura ${getInvoiceNumber(invoice)}`, invoice.Cliente?.email || '');
+            const response = await api.post(`facturas/${invoice.factura_id}/send-email`, { email });
+            showAlert(response.message, 'success');
+        } catch (error) {
+            if (error) showAlert(error.message, 'error'); // Si se canceló el modal no hay error que mostrar
+        }
+    };
+
+    /**
+     * Maneja los clics en los botones de reimprimir y reenviar de la tabla.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleTableClick = async (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const invoice = invoices.find(item => item.factura_id === Number(button.dataset.id));
+        if (button.classList.contains('pdf-invoice-btn')) {
+            try {
+                await downloadFile(`facturas/${invoice.factura_id}/pdf`, `factura_${invoice.numero || invoice.factura_id}.pdf`);
+            } catch (error) {
+                showAlert(error.message, 'error');
+            }
+        }
+        if (button.classList.contains('email-invoice-btn')) {
+            resendInvoice(invoice);
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    filterForm.addEventListener('submit', (e) => { e.preventDefault(); loadInvoices(); });
+    document.getElementById('invoices-clear-btn').addEventListener('click', () => { filterForm.reset(); loadInvoices(); });
+    document.getElementById('invoices-csv-btn').addEventListener('click', handleExportCsv);
+    prevBtn.addEventListener('click', () => loadInvoices(pagination.pagina - 1));
+    nextBtn.addEventListener('click', () => loadInvoices(pagination.pagina + 1));
+    tableBody.addEventListener('click', handleTableClick);
+
+    loadFilterOptions();
+    loadInvoices();
+};
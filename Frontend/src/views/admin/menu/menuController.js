@@ -1,6 +1,7 @@
 // =================================================================
 // ARCHIVO: src/views/admin/menu/menuController.js
-// ROL: Controlador para la vista de gestión de Menú, Categorías y Mesas.
+// ROL: Controlador para la vista de gestión de Menú, Categorías, Estaciones
+//      de cocina y Mesas.
 //      Este es un controlador complejo que maneja múltiples entidades
 //      y sus interacciones CRUD en una sola interfaz.
 // =================================================================
@@ -21,6 +22,11 @@ export const menuController = () => {
     const menuItemsTableBody = document.querySelector('#menu-items-table tbody');
     const categoriesTableBody = document.querySelector('#categories-table tbody');
     const tablesTableBody = document.querySelector('#tables-table tbody');
+    const stationsTableBody = document.querySelector('#stations-table tbody');
+    const addStationForm = document.getElementById('add-station-form');
+    const taxesTableBody = document.querySelector('#taxes-table tbody');
+    const addTaxForm = document.getElementById('add-tax-form');
+    const itemTaxSelect = document.getElementById('item-tax');
     const addCategoryForm = document.getElementById('add-category-form');
     const addTableForm = document.getElementById('add-table-form');
     const itemCategorySelect = document.getElementById('item-category');
@@ -39,12 +45,16 @@ export const menuController = () => {
     const restoreProductBtn = document.getElementById('restore-product-btn');
     const restoreCategoryBtn = document.getElementById('restore-category-btn');
     const restoreTableBtn = document.getElementById('restore-table-btn');
+    const modifiersSection = document.getElementById('modifiers-section');
+    const modifiersTitle = document.getElementById('modifiers-title');
+    const modifiersTableBody = document.querySelector('#modifiers-table tbody');
+    const addModifierGroupForm = document.getElementById('add-modifier-group-form');
 
     // --- Estado Local del Controlador ---
     // Almacena los datos completos de la API y el estado de la paginación.
     const categoryColorMap = {}; // Objeto para asignar colores consistentes a las categorías.
     let categoryNameMap = new Map(); // Mapa para una búsqueda eficiente de nombres de categoría por ID.
-    let allMenuItems = [], allCategories = [], allTables = []; // Arrays para guardar todos los datos.
+    let allMenuItems = [], allCategories = [], allTables = [], allStations = [], allTaxes = []; // Arrays para guardar todos los datos.
     let currentPage = 1, currentCategoriesPage = 1, currentTablesPage = 1; // Contadores de página para cada tabla.
     const itemsPerPage = 5; // Número de ítems a mostrar por página.
 
@@ -93,12 +103,14 @@ export const menuController = () => {
                     <td><span class="category-badge" ${style}>${categoryName}</span></td>
                     <td class="table-actions">
                         <button class="btn btn--info btn--small edit-item-btn" data-id="${item.producto_id}">Editar</button> 
+                        <button class="btn btn--secondary btn--small modifiers-item-btn" data-id="${item.producto_id}" data-name="${item.nombre_producto}">Modificadores</button> 
                         <button class="btn btn--danger btn--small delete-item-btn" data-id="${item.producto_id}" data-name="${item.nombre_producto}">Eliminar</button> 
                     </td>
                 </tr>`;
         }).join(''); // Convierte el array de filas en un string HTML
         // Se reasignan los listeners a los nuevos botones creados.
         menuItemsTableBody.querySelectorAll('.edit-item-btn').forEach(btn => btn.addEventListener('click', (e) => handleEditClick(e.currentTarget.dataset.id))); // Asigna el listener de edición a cada botón de editar
+        menuItemsTableBody.querySelectorAll('.modifiers-item-btn').forEach(btn => btn.addEventListener('click', (e) => openModifiers(e.currentTarget.dataset.id, e.currentTarget.dataset.name))); // Abre la gestión de modificadores del producto
         menuItemsTableBody.querySelectorAll('.delete-item-btn').forEach(btn => btn.addEventListener('click', (e) => handleDeleteClick(e.currentTarget.dataset.id, e.currentTarget.dataset.name, 'productos'))); // Asigna el listener de eliminación a cada botón de eliminar
         // Se actualiza la paginación.
         renderPagination(menuItemsPagination, allMenuItems.length, currentPage, (page) => { // Actualiza la paginación de productos
@@ -116,9 +128,23 @@ export const menuController = () => {
         categoriesTableBody.innerHTML = pageItems.map(cat => ` 
             <tr>
                 <td><span class="category-badge" ${getCategoryStyle(cat.nombre)}>${cat.nombre}</span></td> 
+                <td>
+                    <select class="form-control category-station-select" data-id="${cat.categoria_id}">
+                        <option value="">Sin estación</option>
+                        ${allStations.map(st => `<option value="${st.estacion_id}" ${st.estacion_id === cat.estacion_id ? 'selected' : ''}>${st.nombre}</option>`).join('')}
+                    </select>
+                </td>
+                <td>
+                    <select class="form-control category-tax-select" data-id="${cat.categoria_id}">
+                        <option value="">Sin impuesto</option>
+                        ${allTaxes.map(tax => `<option value="${tax.impuesto_id}" ${tax.impuesto_id === cat.impuesto_id ? 'selected' : ''}>${tax.nombre} (${Number(tax.porcentaje)}%)</option>`).join('')}
+                    </select>
+                </td>
                 <td class="table-actions"><button class="btn btn--danger btn--small delete-category-btn" data-id="${cat.categoria_id}" data-name="${cat.nombre}">Eliminar</button></td> 
             </tr>
         `).join(''); // Convierte el array de filas en un string HTML
+        categoriesTableBody.querySelectorAll('.category-station-select').forEach(select => select.addEventListener('change', (e) => handleCategoryStationChange(e.currentTarget.dataset.id, e.currentTarget.value))); // Asigna la estación de cocina elegida a la categoría
+        categoriesTableBody.querySelectorAll('.category-tax-select').forEach(select => select.addEventListener('change', (e) => handleCategoryTaxChange(e.currentTarget.dataset.id, e.currentTarget.value))); // Asigna la tarifa de impuesto elegida a la categoría
         categoriesTableBody.querySelectorAll('.delete-category-btn').forEach(btn => btn.addEventListener('click', (e) => handleDeleteClick(e.currentTarget.dataset.id, e.currentTarget.dataset.name, 'categorias'))); // Asigna el listener de eliminación a cada botón de eliminar categoría
         renderPagination(categoriesPagination, allCategories.length, currentCategoriesPage, (page) => { // Actualiza la paginación de categorías
             currentCategoriesPage = page; // Actualiza la página actual de categorías
@@ -126,6 +152,42 @@ export const menuController = () => {
         });
     };
 
+    /**
+     * Renderiza la tabla de estaciones de cocina con sus categorías asignadas.
+     */
+    const renderStations = () => {
+        if (!stationsTableBody) return;
+        stationsTableBody.innerHTML = allStations.map(station => {
+            const categorias = allCategories.filter(cat => cat.estacion_id === station.estacion_id).map(cat => cat.nombre); // Categorías que se envían a esta estación
+            return `
+                <tr>
+                    <td>${station.nombre}</td>
+                    <td>${categorias.length ? categorias.join(', ') : 'Ninguna'}</td>
+                    <td class="table-actions"><button class="btn btn--danger btn--small delete-station-btn" data-id="${station.estacion_id}" data-name="${station.nombre}">Eliminar</button></td>
+                </tr>`;
+        }).join('');
+        stationsTableBody.querySelectorAll('.delete-station-btn').forEach(btn => btn.addEventListener('click', (e) => handleDeleteClick(e.currentTarget.dataset.id, e.currentTarget.dataset.name, 'estaciones'))); // Asigna el listener de eliminación a cada estación
+    };
+
+    /**
+     * Renderiza la tabla de tarifas de impuesto con las categorías que las usan.
+     */
+    const renderTaxes = () => {
+        if (!taxesTableBody) return;
+        taxesTableBody.innerHTML = allTaxes.map(tax => {
+            const categorias = allCategories.filter(cat => cat.impuesto_id === tax.impuesto_id).map(cat => cat.nombre); // Categorías que usan esta tarifa
+            return `
+                <tr>
+                    <td>${tax.nombre}</td>
+                    <td>${Number(tax.porcentaje)}%</td>
+                    <td>${tax.codigo_dian || 'No se reporta'}</td>
+                    <td>${categorias.length ? categorias.join(', ') : 'Ninguna'}</td>
+                    <td class="table-actions"><button class="btn btn--danger btn--small delete-tax-btn" data-id="${tax.impuesto_id}" data-name="${tax.nombre}">Eliminar</button></td>
+                </tr>`;
+        }).join('');
+        taxesTableBody.querySelectorAll('.delete-tax-btn').forEach(btn => btn.addEventListener('click', (e) => handleDeleteClick(e.currentTarget.dataset.id, e.currentTarget.dataset.name, 'impuestos'))); // Asigna el listener de eliminación a cada tarifa
+    };
+
     /**
      * Renderiza la página actual de la tabla de mesas.
      */
@@ -262,11 +324,13 @@ export const menuController = () => {
      */
     const loadAllData = async () => {
         try {
-            const [menuData, categoryData, tableData] = await Promise.all([api.get('productos'), api.get('categorias'), api.get('mesas')]); // Realiza solicitudes paralelas a la API para obtener productos, categorías y mesas
+            const [menuData, categoryData, tableData, stationData, taxData] = await Promise.all([api.get('productos'), api.get('categorias'), api.get('mesas'), api.get('estaciones'), api.get('impuestos')]); // Realiza solicitudes paralelas a la API para obtener productos, categorías, mesas, estaciones e impuestos
             
             allMenuItems = menuData;
             allCategories = categoryData;
             allTables = tableData;
+            allStations = stationData;
+            allTaxes = taxData;
 
             currentPage = 1;
             currentCategoriesPage = 1;
@@ -274,9 +338,12 @@ export const menuController = () => {
 
             categoryNameMap = new Map(allCategories.map(cat => [cat.categoria_id, cat.nombre])); // Crea un mapa de ID a nombre de categoría para búsquedas rápidas
             itemCategorySelect.innerHTML = `<option value="" disabled selected>Seleccione...</option>` + allCategories.map(c => `<option value="${c.categoria_id}">${c.nombre}</option>`).join(''); // Llena el select de categorías con las opciones disponibles
+            itemTaxSelect.innerHTML = `<option value="">Usar el de la categoría</option>` + allTaxes.map(t => `<option value="${t.impuesto_id}">${t.nombre} (${Number(t.porcentaje)}%)</option>`).join(''); // Llena el select de impuestos; vacío significa heredar la tarifa de la categoría
 
             renderMenuItems();
             renderCategories();
+            renderStations();
+            renderTaxes();
             renderTables();
         } catch (error) {
             showAlert(error.message, 'error');
@@ -292,7 +359,8 @@ export const menuController = () => {
             nombre_producto: document.getElementById('item-name').value, // Obtiene el nombre del producto
             descripcion_ingredientes: document.getElementById('item-description').value, // Obtiene la descripción de los ingredientes
             valor_neto: parseFloat(document.getElementById('item-price').value), // Obtiene el precio del producto y lo convierte a float
-            categoria_id: parseInt(itemCategorySelect.value) // Obtiene el ID de la categoría seleccionada y lo convierte a entero
+            categoria_id: parseInt(itemCategorySelect.value), // Obtiene el ID de la categoría seleccionada y lo convierte a entero
+            impuesto_id: itemTaxSelect.value ? parseInt(itemTaxSelect.value) : null // Tarifa propia del producto, o null para usar la de la categoría
         };
         try {
             const endpoint = id ? `productos/${id}` : 'productos'; // Define el endpoint de la API dependiendo de si se está editando o creando un nuevo producto
@@ -315,6 +383,7 @@ export const menuController = () => {
             document.getElementById('item-description').value = item.descripcion_ingredientes; // Asigna la descripción de los ingredientes al campo de entrada
             document.getElementById('item-price').value = item.valor_neto; // Asigna el precio del producto al campo de entrada
             itemCategorySelect.value = item.categoria_id; // Asigna el ID de la categoría al select
+            itemTaxSelect.value = item.impuesto_id ?? ''; // Asigna la tarifa propia del producto (vacío si usa la de la categoría)
             menuItemFormSection.style.display = 'block'; // Muestra el formulario de producto para editar
         } catch (error) {
             showAlert(error.message, 'error');
@@ -350,6 +419,150 @@ export const menuController = () => {
         }
     };
 
+    const handleAddStation = async (e) => {
+        e.preventDefault();
+        const nameInput = document.getElementById('new-station-name'); // Obtiene el nombre de la nueva estación de cocina
+        try {
+            await api.post('estaciones', { nombre: nameInput.value }); // Crea la estación en la API
+            showAlert('Estación creada con éxito.', 'success');
+            nameInput.value = '';
+            loadAllData(); // Recarga los datos para que la estación aparezca en los selectores de categoría
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Asigna (o quita) la estación de cocina de una categoría.
+     * @param {string} categoryId - ID de la categoría.
+     * @param {string} stationId - ID de la estación ('' para dejarla sin estación).
+     */
+    const handleCategoryStationChange = async (categoryId, stationId) => {
+        try {
+            await api.put(`categorias/${categoryId}`, { estacion_id: stationId ? parseInt(stationId) : null });
+            showAlert('Estación de la categoría actualizada.', 'success');
+            loadAllData();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Asigna (o quita) la tarifa de impuesto de una categoría.
+     * @param {string} categoryId - ID de la categoría.
+     * @param {string} taxId - ID de la tarifa ('' para dejarla sin impuesto).
+     */
+    const handleCategoryTaxChange = async (categoryId, taxId) => {
+        try {
+            await api.put(`categorias/${categoryId}`, { impuesto_id: taxId ? parseInt(taxId) : null });
+            showAlert('Impuesto de la categoría actualizado.', 'success');
+            loadAllData();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    const handleAddTax = async (e) => {
+        e.preventDefault();
+        const nameInput = document.getElementById('new-tax-name'); // Obtiene el nombre de la nueva tarifa
+        const rateInput = document.getElementById('new-tax-rate'); // Obtiene el porcentaje de la nueva tarifa
+        const codeSelect = document.getElementById('new-tax-code'); // Tributo con el que se reporta en la factura electrónica
+        try {
+            await api.post('impuestos', { nombre: nameInput.value, porcentaje: parseFloat(rateInput.value), codigo_dian: codeSelect.value || null }); // Crea la tarifa en la API
+            showAlert('Tarifa de impuesto creada con éxito.', 'success');
+            addTaxForm.reset();
+            loadAllData(); // Recarga los datos para que la tarifa aparezca en los selectores
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- Modificadores de producto ---
+    let modifiersProductId = null; // Producto cuyos modificadores se están gestionando.
+
+    /**
+     * Muestra la sección de modificadores de un producto y carga sus grupos.
+     * @param {string} productId - ID del producto.
+     * @param {string} productName - Nombre del producto para el título.
+     */
+    const openModifiers = async (productId, productName) => {
+        modifiersProductId = productId;
+        modifiersTitle.textContent = `Modificadores de ${productName}`;
+        addModifierGroupForm.reset();
+        modifiersSection.style.display = 'block';
+        await loadModifiers();
+    };
+
+    /**
+     * Carga y renderiza los grupos de modificadores del producto actual.
+     */
+    const loadModifiers = async () => {
+        if (!modifiersProductId) return;
+        try {
+            const groups = await api.get(`productos/${modifiersProductId}/modificadores`);
+            modifiersTableBody.innerHTML = groups.length > 0 ? groups.map(group => {
+                const rule = `${group.min_seleccion} a ${group.max_seleccion ?? 'sin límite'}`; // Rango de selección del grupo
+                const options = group.opciones.map(o => `${o.nombre}${Number(o.precio_delta) ? ` (${Number(o.precio_delta) > 0 ? '+' : ''}${parseFloat(o.precio_delta).toFixed(2)})` : ''}${o.activo ? '' : ' [inactiva]'}`).join(', '); // Opciones con su ajuste de precio
+                return `
+                    <tr>
+                        <td>${group.nombre}</td>
+                        <td>${group.tipo}</td>
+                        <td>${rule}</td>
+                        <td>${options}</td>
+                        <td><button class="btn btn--danger btn--small delete-modifier-group-btn" data-id="${group.grupo_id}" data-name="${group.nombre}">Eliminar</button></td>
+                    </tr>`;
+            }).join('') : '<tr><td colspan="5">Este producto no tiene modificadores.</td></tr>';
+            modifiersTableBody.querySelectorAll('.delete-modifier-group-btn').forEach(btn => btn.addEventListener('click', (e) => handleDeleteModifierGroup(e.currentTarget.dataset.id, e.currentTarget.dataset.name))); // Asigna el listener de eliminación a cada grupo
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Crea un grupo de modificadores para el producto actual. Las opciones se escriben
+     * una por línea con el formato "Nombre | ajuste de precio".
+     */
+    const handleAddModifierGroup = async (e) => {
+        e.preventDefault();
+        const maxValue = document.getElementById('modifier-group-max').value; // Vacío significa sin límite
+        const opciones = document.getElementById('modifier-group-options').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [nombre, precio] = line.split('|').map(part => part.trim());
+                return { nombre, precio_delta: parseFloat(precio) || 0 };
+            }); // Convierte cada línea en una opción con su ajuste de precio
+        try {
+            await api.post(`productos/${modifiersProductId}/modificadores`, {
+                nombre: document.getElementById('modifier-group-name').value,
+                tipo: document.getElementById('modifier-group-type').value,
+                min_seleccion: parseInt(document.getElementById('modifier-group-min').value) || 0,
+                max_seleccion: maxValue ? parseInt(maxValue) : null,
+                opciones
+            });
+            showAlert('Grupo de modificadores creado.', 'success');
+            addModifierGroupForm.reset();
+            await loadModifiers();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Elimina un grupo de modificadores. Los pedidos ya tomados conservan sus opciones.
+     */
+    const handleDeleteModifierGroup = async (groupId, name) => {
+        try {
+            await showConfirmModal('Confirmar Eliminación', `¿Seguro que desea eliminar el grupo <strong>${name}</strong>?`);
+            await api.delete(`productos/modificadores/${groupId}`);
+            showAlert(`${name} eliminado exitosamente.`, 'success');
+            await loadModifiers();
+        } catch (error) {
+            if (error && error.message) showAlert(error.message, 'error');
+        }
+    };
+
     const handleAddTable = async (e) => {
         e.preventDefault(); // Previene el comportamiento por defecto del formulario
         const numInput = document.getElementById('table-number'); // Obtiene el valor del campo de entrada para el número de la nueva mesa
@@ -378,6 +591,13 @@ export const menuController = () => {
         menuItemForm.addEventListener('submit', handleSaveMenuItem); // Asigna el listener al formulario de producto para manejar el guardado
         addCategoryForm.addEventListener('submit', handleAddCategory); // Asigna el listener al formulario de categorías para manejar la creación de nuevas categorías
         addTableForm.addEventListener('submit', handleAddTable); // Asigna el listener al formulario de mesas para manejar la creación de nuevas mesas
+        addStationForm?.addEventListener('submit', handleAddStation); // Asigna el listener al formulario de estaciones de cocina
+        addTaxForm?.addEventListener('submit', handleAddTax); // Asigna el listener al formulario de tarifas de impuesto
+        addModifierGroupForm?.addEventListener('submit', handleAddModifierGroup); // Asigna el listener al formulario de grupos de modificadores
+        document.getElementById('close-modifiers-btn')?.addEventListener('click', () => { // Oculta la gestión de modificadores
+            modifiersSection.style.display = 'none';
+            modifiersProductId = null;
+        });
 
         toggleRestoreProductsBtn?.addEventListener('click', () => toggleRestorePanel(restoreProductsContent));
         toggleRestoreCategoriesBtn?.addEventListener('click', () => toggleRestorePanel(restoreCategoriesContent));
@@ -0,0 +1,489 @@
+// =================================================================
+// ARCHIVO: src/views/admin/purchases/purchaseOrdersController.js
+// ROL: Controlador para la vista de Compras del administrador.
+//      Administra el directorio de proveedores y las órdenes de
+//      compra: crea y edita los borradores, los envía al proveedor
+//      (con el PDF por correo), registra la mercancía recibida
+//      (total o parcial) y cancela o cierra las órdenes.
+// =================================================================
+
+import { showAlert } from '../../../helpers/alerts.js';
+import { api } from '../../../helpers/solicitudes.js';
+import { downloadFile } from '../../../helpers/descargas.js';
+import { showConfirmModal, showEmailModal } from '../../../helpers/modalHelper.js';
+
+// Nombre de cada estado de una orden de compra.
+const ORDER_STATUSES = {
+    borrador: 'Borrador',
+    enviada: 'Enviada',
+    recibida_parcial: 'Recibida parcialmente',
+    recibida: 'Recibida',
+    cancelada: 'Cancelada'
+};
+
+/**
+ * Controlador principal para la vista de Compras.
+ */
+export const purchaseOrdersController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const supplierFormSection = document.getElementById('supplier-form-section');
+    const supplierForm = document.getElementById('supplier-form');
+    const supplierIdInput = document.getElementById('supplier-id');
+    const supplierActiveInput = document.getElementById('supplier-active');
+    const showInactiveInput = document.getElementById('suppliers-show-inactive');
+    const suppliersBody = document.querySelector('#suppliers-table tbody');
+    const orderFormSection = document.getElementById('order-form-section');
+    const orderForm = document.getElementById('order-form');
+    const orderIdInput = document.getElementById('order-id');
+    const orderSupplierSelect = document.getElementById('order-supplier');
+    const orderNotesInput = document.getElementById('order-notes');
+    const orderLinesBody = document.querySelector('#order-lines-table tbody');
+    const orderTotal = document.getElementById('order-total');
+    const detailSection = document.getElementById('order-detail-section');
+    const detailBody = document.querySelector('#order-detail-table tbody');
+    const detailActions = document.getElementById('order-detail-actions');
+    const ordersFilterForm = document.getElementById('orders-filter-form');
+    const ordersSupplierSelect = document.getElementById('orders-supplier');
+    const ordersBody = document.querySelector('#orders-table tbody');
+
+    // --- Estado Local del Controlador ---
+    let suppliers = []; // Proveedores (incluidos los inactivos).
+    let ingredients = []; // Ingredientes activos que se pueden pedir.
+    let orders = []; // Órdenes de la búsqueda actual.
+    let orderLines = []; // Líneas del borrador en edición: { ingrediente_id, cantidad, costo_unitario }.
+    let currentOrder = null; // Orden abierta en el detalle.
+
+    /**
+     * Da formato a un valor en pesos.
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatMoney = (value) => `$${Number(value || 0).toLocaleString('es-CO', { maximumFractionDigits: 2 })}`;
+
+    /**
+     * Da formato a una cantidad de inventario (hasta 3 decimales).
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatQuantity = (value) => Number(value || 0).toLocaleString('es-CO', { maximumFractionDigits: 3 });
+
+    // --- PROVEEDORES ---
+
+    /**
+     * Renderiza la tabla de proveedores y los selects que dependen de ellos.
+     */
+    const renderSuppliers = () => {
+        const visible = suppliers.filter(supplier => showInactiveInput.checked || supplier.activo);
+        suppliersBody.innerHTML = visible.length
+            ? visible.map(supplier => `
+                <tr class="${supplier.activo ? '' : 'is-inactive'}">
+                    <td>${supplier.nombre}</td>
+                    <td>${supplier.nit || '-'}</td>
+                    <td>${supplier.contacto || '-'}</td>
+                    <td>${supplier.email || '-'}</td>
+                    <td>${supplier.telefono || '-'}</td>
+                    <td>${supplier.activo ? 'Activo' : 'Inactivo'}</td>
+                    <td class="table-actions">
+                        <button class="btn btn--info btn--small edit-supplier-btn" data-id="${supplier.proveedor_id}">Editar</button>
+                        <button class="btn btn--secondary btn--small supplier-orders-btn" data-id="${supplier.proveedor_id}">Órdenes</button>
+                    </td>
+                </tr>`).join('')
+            : '<tr><td colspan="7">No hay proveedores registrados.</td></tr>';
+
+        const selectedFilter = ordersSupplierSelect.value;
+        ordersSupplierSelect.innerHTML = '<option value="">Todos</option>' +
+            suppliers.map(supplier => `<option value="${supplier.proveedor_id}">${supplier.nombre}</option>`).join('');
+        ordersSupplierSelect.value = selectedFilter;
+    };
+
+    /**
+     * Carga los proveedores desde la API.
+     */
+    const loadSuppliers = async () => {
+        try {
+            suppliers = await api.get('proveedores?incluir_inactivos=true');
+            renderSuppliers();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Muestra el formulario de proveedor, vacío para crear o con sus datos para editarlo.
+     * @param {object|null} supplier - Proveedor a editar, o null para crear uno nuevo.
+     */
+    const openSupplierForm = (supplier = null) => {
+        supplierForm.reset();
+        document.getElementById('supplier-form-title').textContent = supplier ? 'Editar Proveedor' : 'Nuevo Proveedor';
+        supplierIdInput.value = supplier?.proveedor_id || '';
+        document.getElementById('supplier-name').value = supplier?.nombre || '';
+        document.getElementById('supplier-nit').value = supplier?.nit || '';
+        document.getElementById('supplier-contact').value = supplier?.contacto || '';
+        document.getElementById('supplier-email').value = supplier?.email || '';
+        document.getElementById('supplier-phone').value = supplier?.telefono || '';
+        document.getElementById('supplier-address').value = supplier?.direccion || '';
+        supplierActiveInput.checked = supplier ? Boolean(supplier.activo) : true;
+        supplierFormSection.style.display = 'block';
+        document.getElementById('supplier-name').focus();
+    };
+
+    /**
+     * Guarda el proveedor del formulario (lo crea o lo actualiza).
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleSupplierSubmit = async (e) => {
+        e.preventDefault();
+        const payload = {
+            nombre: document.getElementById('supplier-name').value.trim(),
+            nit: document.getElementById('supplier-nit').value.trim(),
+            contacto: document.getElementById('supplier-contact').value.trim(),
+            email: document.getElementById('supplier-email').value.trim(),
+            telefono: document.getElementById('supplier-phone').value.trim(),
+            direccion: document.getElementById('supplier-address').value.trim(),
+            activo: supplierActiveInput.checked
+        };
+        try {
+            const response = supplierIdInput.value
+                ? await api.put(`proveedores/${supplierIdInput.value}`, payload)
+                : await api.post('proveedores', payload);
+            showAlert(response.message, 'success');
+            supplierFormSection.style.display = 'none';
+            loadSuppliers();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Maneja los clics en los botones de editar y ver órdenes de la tabla de proveedores.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleSuppliersClick = (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const supplier = suppliers.find(item => item.proveedor_id === Number(button.dataset.id));
+        if (button.classList.contains('edit-supplier-btn') && supplier) {
+            openSupplierForm(supplier);
+        }
+        if (button.classList.contains('supplier-orders-btn')) {
+            ordersSupplierSelect.value = button.dataset.id;
+            loadOrders();
+            ordersFilterForm.scrollIntoView({ behavior: 'smooth' });
+        }
+    };
+
+    // --- BORRADORES DE ÓRDENES ---
+
+    /**
+     * Opciones del select de ingredientes de una línea.
+     * @param {number} selectedId - Ingrediente elegido.
+     * @returns {string}
+     */
+    const ingredientOptions = (selectedId) => ingredients
+        .map(ingredient => `<option value="${ingredient.ingrediente_id}" ${ingredient.ingrediente_id === selectedId ? 'selected' : ''}>${ingredient.nombre} (${ingredient.unidad})</option>`)
+        .join('');
+
+    /**
+     * Renderiza las líneas del borrador en edición y su total.
+     */
+    const renderOrderLines = () => {
+        orderLinesBody.innerHTML = orderLines.length
+            ? orderLines.map((line, index) => `
+                <tr>
+                    <td><select class="form-control order-line-ingredient" data-index="${index}">${ingredientOptions(line.ingrediente_id)}</select></td>
+                    <td><input type="number" class="form-control order-line-quantity" data-index="${index}" min="0.001" step="0.001" value="${line.cantidad}"></td>
+                    <td><input type="number" class="form-control order-line-cost" data-index="${index}" min="0" step="0.0001" value="${line.costo_unitario}"></td>
+                    <td>${formatMoney(line.cantidad * line.costo_unitario)}</td>
+                    <td class="table-actions">
+                        <button type="button" class="btn btn--danger btn--small remove-order-line-btn" data-index="${index}">Quitar</button>
+                    </td>
+                </tr>`).join('')
+            : '<tr><td colspan="5">Agregue los ingredientes que se van a pedir.</td></tr>';
+        orderTotal.textContent = formatMoney(orderLines.reduce((acc, line) => acc + line.cantidad * line.costo_unitario, 0));
+    };
+
+    /**
+     * Muestra el formulario de la orden, vacío para crear un borrador o con sus datos para editarlo.
+     * @param {object|null} order - Borrador a editar, o null para crear uno nuevo.
+     */
+    const openOrderForm = (order = null) => {
+        const activeSuppliers = suppliers.filter(supplier => supplier.activo);
+        if (!activeSuppliers.length || !ingredients.length) {
+            showAlert(activeSuppliers.length ? 'Registre primero un ingrediente en Inventario.' : 'Registre primero un proveedor.', 'warning');
+            return;
+        }
+        orderForm.reset();
+        document.getElementById('order-form-title').textContent = order ? `Editar Orden de Compra #${order.orden_compra_id}` : 'Nueva Orden de Compra';
+        orderIdInput.value = order?.orden_compra_id || '';
+        orderSupplierSelect.innerHTML = activeSuppliers
+            .map(supplier => `<option value="${supplier.proveedor_id}">${supplier.nombre}</option>`).join('');
+        if (order) orderSupplierSelect.value = order.proveedor_id;
+        orderNotesInput.value = order?.notas || '';
+        orderLines = order
+            ? order.DetalleOrdenCompras.map(line => ({ ingrediente_id: line.ingrediente_id, cantidad: Number(line.cantidad), costo_unitario: Number(line.costo_unitario) }))
+            : [];
+        renderOrderLines();
+        detailSection.style.display = 'none';
+        orderFormSection.style.display = 'block';
+        orderFormSection.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    /**
+     * Mantiene las líneas del borrador al día cuando se edita un select o un número.
+     * @param {Event} e - Evento de cambio.
+     */
+    const handleOrderLinesChange = (e) => {
+        const line = orderLines[Number(e.target.dataset.index)];
+        if (!line) return;
+        if (e.target.classList.contains('order-line-ingredient')) line.ingrediente_id = Number(e.target.value);
+        if (e.target.classList.contains('order-line-quantity')) line.cantidad = parseFloat(e.target.value) || 0;
+        if (e.target.classList.contains('order-line-cost')) line.costo_unitario = parseFloat(e.target.value) || 0;
+        renderOrderLines();
+    };
+
+    /**
+     * Guarda el borrador del formulario (lo crea o lo actualiza) y lo abre en el detalle.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleOrderSubmit = async (e) => {
+        e.preventDefault();
+        const payload = { proveedor_id: Number(orderSupplierSelect.value), notas: orderNotesInput.value.trim(), lineas: orderLines };
+        try {
+            const response = orderIdInput.value
+                ? await api.put(`ordenes-compra/${orderIdInput.value}`, payload)
+                : await api.post('ordenes-compra', payload);
+            showAlert(response.message, 'success');
+            orderFormSection.style.display = 'none';
+            loadOrders();
+            openOrderDetail(response.orden.orden_compra_id);
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- DETALLE, ENVÍO Y RECEPCIÓN ---
+
+    /**
+     * Renderiza la orden abierta: sus líneas con lo pendiente, las acciones que permite
+     * su estado y las recepciones registradas.
+     */
+    const renderOrderDetail = () => {
+        const order = currentOrder;
+        const canReceive = ['enviada', 'recibida_parcial'].includes(order.estado);
+        document.getElementById('order-detail-title').textContent = `Orden de Compra #${order.orden_compra_id} - ${ORDER_STATUSES[order.estado]}`;
+        document.getElementById('order-detail-info').textContent = [
+            `Proveedor: ${order.Proveedor?.nombre || '-'}`,
+            `Creada: ${new Date(order.fecha_creacion).toLocaleString()}`,
+            order.fecha_envio ? `Enviada: ${new Date(order.fecha_envio).toLocaleString()}` : '',
+            order.notas ? `Notas: ${order.notas}` : ''
+        ].filter(Boolean).join(' | ');
+
+        detailBody.innerHTML = order.DetalleOrdenCompras.map(line => {
+            const pending = Math.max(Number(line.cantidad) - Number(line.cantidad_recibida), 0);
+            const unit = line.Ingrediente?.unidad || '';
+            return `
+                <tr>
+                    <td>${line.Ingrediente?.nombre || '-'}</td>
+                    <td>${formatQuantity(line.cantidad)} ${unit}</td>
+                    <td>${formatQuantity(line.cantidad_recibida)} ${unit}</td>
+                    <td>${formatQuantity(pending)} ${unit}</td>
+                    <td>${formatMoney(line.costo_unitario)}</td>
+                    <td>${canReceive && pending > 0
+                        ? `<input type="number" class="form-control receive-quantity" data-id="${line.detalle_orden_compra_id}" min="0" max="${pending}" step="0.001" value="${pending}">`
+                        : '-'}</td>
+                </tr>`;
+        }).join('');
+        document.getElementById('order-detail-total').textContent = formatMoney(order.total);
+
+        // Solo se muestran las acciones que permite el estado de la orden.
+        const actions = [
+            order.estado === 'borrador' && '<button type="button" class="btn btn--info" data-action="edit">Editar</button>',
+            order.estado === 'borrador' && '<button type="button" class="btn btn--secondary" data-action="sent">Marcar como enviada</button>',
+            order.estado !== 'cancelada' && '<button type="button" class="btn btn--secondary" data-action="email"><i class="fas fa-envelope"></i> Enviar por correo</button>',
+            '<button type="button" class="btn btn--secondary" data-action="pdf"><i class="fas fa-file-pdf"></i> PDF</button>',
+            ['borrador', 'enviada'].includes(order.estado) && '<button type="button" class="btn btn--danger" data-action="cancel">Cancelar orden</button>',
+            order.estado === 'recibida_parcial' && '<button type="button" class="btn btn--secondary" data-action="close">Cerrar con lo recibido</button>',
+            canReceive && '<button type="button" class="btn btn--primary" data-action="receive">Registrar recepción</button>'
+        ];
+        detailActions.innerHTML = actions.filter(Boolean).join('');
+
+        document.getElementById('order-receipts-list').innerHTML = order.recepciones?.length
+            ? order.recepciones.map(receipt => `
+                <li>${new Date(receipt.fecha).toLocaleString()}: +${formatQuantity(receipt.cantidad)} ${receipt.Ingrediente?.unidad || ''} de ${receipt.Ingrediente?.nombre || '-'} (${receipt.Usuario?.nombre || '-'})</li>`).join('')
+            : '<li>Aún no se ha recibido mercancía.</li>';
+    };
+
+    /**
+     * Carga una orden con sus líneas y recepciones y la muestra en el detalle.
+     * @param {number} orderId
+     */
+    const openOrderDetail = async (orderId) => {
+        try {
+            currentOrder = await api.get(`ordenes-compra/${orderId}`);
+            renderOrderDetail();
+            detailSection.style.display = 'block';
+            detailSection.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Cambia el estado de la orden abierta (enviada, cancelada o cerrada con lo recibido).
+     * @param {string} status - Estado nuevo.
+     * @param {string} [confirmMessage] - Si se indica, se pide confirmación antes.
+     */
+    const changeOrderStatus = async (status, confirmMessage) => {
+        try {
+            if (confirmMessage) await showConfirmModal(`Orden de Compra #${currentOrder.orden_compra_id}`, confirmMessage);
+            const response = await api.put(`ordenes-compra/${currentOrder.orden_compra_id}/estado`, { estado: status });
+            showAlert(response.message, 'success');
+            loadOrders();
+            openOrderDetail(currentOrder.orden_compra_id);
+        } catch (error) {
+            if (error) showAlert(error.message, 'error'); // Si se canceló el modal no hay error que mostrar
+        }
+    };
+
+    /**
+     * Registra la mercancía recibida con las cantidades digitadas en el detalle.
+     */
+    const receiveOrder = async () => {
+        const lines = Array.from(detailBody.querySelectorAll('.receive-quantity')).map(input => ({
+            detalle_orden_compra_id: Number(input.dataset.id),
+            cantidad: parseFloat(input.value) || 0
+        }));
+        try {
+            const response = await api.post(`ordenes-compra/${currentOrder.orden_compra_id}/recepciones`, { lineas: lines });
+            showAlert(response.message, 'success');
+            loadOrders();
+            openOrderDetail(currentOrder.orden_compra_id);
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Envía la orden abierta por correo; se sugiere el correo del proveedor.
+     */
+    const emailOrder = async () => {
+        try {
+            const email = await showEmailModal(`Enviar la orden de compra #${currentOrder.orden_compra_id}`, currentOrder.Proveedor?.email || '');
+            const response = await api.post(`ordenes-compra/${currentOrder.orden_compra_id}/send-email`, { email });
+            showAlert(response.message, 'success');
+            loadOrders();
+            openOrderDetail(currentOrder.orden_compra_id); // Un borrador enviado por correo queda 'enviada'
+        } catch (error) {
+            if (error) showAlert(error.message, 'error'); // Si se canceló el modal no hay error que mostrar
+        }
+    };
+
+    /**
+     * Maneja los botones de acción del detalle de la orden.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleDetailActions = async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button || !currentOrder) return;
+        switch (button.dataset.action) {
+            case 'edit':
+                openOrderForm(currentOrder);
+                break;
+            case 'sent':
+                changeOrderStatus('enviada');
+                break;
+            case 'cancel':
+                changeOrderStatus('cancelada', '¿Desea cancelar esta orden de compra?');
+                break;
+            case 'close':
+                changeOrderStatus('recibida', 'Lo que no ha llegado ya no se recibirá en esta orden. ¿Desea cerrarla?');
+                break;
+            case 'receive':
+                receiveOrder();
+                break;
+            case 'email':
+                emailOrder();
+                break;
+            case 'pdf':
+                try {
+                    await downloadFile(`ordenes-compra/${currentOrder.orden_compra_id}/pdf`, `orden_compra_${currentOrder.orden_compra_id}.pdf`);
+                } catch (error) {
+                    showAlert(error.message, 'error');
+                }
+                break;
+        }
+    };
+
+    // --- LISTADO DE ÓRDENES ---
+
+    /**
+     * Busca las órdenes de compra con los filtros elegidos.
+     */
+    const loadOrders = async () => {
+        const params = new URLSearchParams({
+            estado: document.getElementById('orders-status').value,
+            proveedor_id: ordersSupplierSelect.value
+        });
+        [...params.entries()].filter(([, value]) => value === '').forEach(([key]) => params.delete(key));
+        try {
+            orders = await api.get(`ordenes-compra?${params.toString()}`);
+            ordersBody.innerHTML = orders.length
+                ? orders.map(order => `
+                    <tr>
+                        <td>#${order.orden_compra_id}</td>
+                        <td>${new Date(order.fecha_creacion).toLocaleString()}</td>
+                        <td>${order.Proveedor?.nombre || '-'}</td>
+                        <td><span class="purchases__status purchases__status--${order.estado}">${ORDER_STATUSES[order.estado]}</span></td>
+                        <td>${formatMoney(order.total)}</td>
+                        <td class="table-actions">
+                            <button class="btn btn--info btn--small view-order-btn" data-id="${order.orden_compra_id}">Ver</button>
+                        </td>
+                    </tr>`).join('')
+                : '<tr><td colspan="6">No hay órdenes de compra con esos filtros.</td></tr>';
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Carga los ingredientes activos que se pueden pedir.
+     */
+    const loadIngredients = async () => {
+        try {
+            ingredients = await api.get('inventario/ingredientes');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    document.getElementById('add-supplier-btn').addEventListener('click', () => openSupplierForm());
+    document.getElementById('cancel-supplier-btn').addEventListener('click', () => { supplierFormSection.style.display = 'none'; });
+    supplierForm.addEventListener('submit', handleSupplierSubmit);
+    showInactiveInput.addEventListener('change', renderSuppliers);
+    suppliersBody.addEventListener('click', handleSuppliersClick);
+    document.getElementById('add-order-btn').addEventListener('click', () => openOrderForm());
+    document.getElementById('cancel-order-btn').addEventListener('click', () => { orderFormSection.style.display = 'none'; });
+    document.getElementById('add-order-line-btn').addEventListener('click', () => {
+        orderLines.push({ ingrediente_id: ingredients[0].ingrediente_id, cantidad: 1, costo_unitario: Number(ingredients[0].costo_promedio) || 0 });
+        renderOrderLines();
+    });
+    orderForm.addEventListener('submit', handleOrderSubmit);
+    orderLinesBody.addEventListener('change', handleOrderLinesChange);
+    orderLinesBody.addEventListener('click', (e) => {
+        const button = e.target.closest('.remove-order-line-btn');
+        if (!button) return;
+        orderLines.splice(Number(button.dataset.index), 1);
+        renderOrderLines();
+    });
+    detailActions.addEventListener('click', handleDetailActions);
+    ordersFilterForm.addEventListener('submit', (e) => { e.preventDefault(); loadOrders(); });
+    ordersBody.addEventListener('click', (e) => {
+        const button = e.target.closest('.view-order-btn');
+        if (button) openOrderDetail(Number(button.dataset.id));
+    });
+
+    loadSuppliers();
+    loadIngredients();
+    loadOrders();
+};
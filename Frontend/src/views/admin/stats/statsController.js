@@ -6,6 +6,7 @@
 // =================================================================
 
 import { showAlert } from '../../../helpers/alerts.js';
+import { showConfirmModal } from '../../../helpers/modalHelper.js';
 import { api } from '../../../helpers/solicitudes.js';
 
 /**
@@ -17,6 +18,9 @@ export const statsController = () => {
     const endDateInput = document.getElementById('end-date');
     const generateBtn = document.getElementById('generate-stats-btn');
     const statsResultsContainer = document.getElementById('stats-results-container');
+    const zReportDateInput = document.getElementById('z-report-date');
+    const generateZReportBtn = document.getElementById('generate-z-report-btn');
+    const zReportsTableBody = document.querySelector('#z-reports-table tbody');
     
     // --- Estado Local del Controlador ---
     let currentRanking = [];      // Almacena la lista completa del ranking de productos.
@@ -25,6 +29,65 @@ export const statsController = () => {
 
     // --- Lógica de Renderizado y Paginación ---
 
+    /**
+     * Formatea un valor opcional de la rentabilidad (los productos sin costo de receta no lo tienen).
+     * @param {number|null} value - El valor a mostrar.
+     * @param {string} [prefix] - Texto antes del valor (ej. '$').
+     * @param {string} [suffix] - Texto después del valor (ej. '%').
+     * @returns {string}
+     */
+    const formatOptional = (value, prefix = '', suffix = '') => (value === null || value === undefined ? '-' : `${prefix}${parseFloat(value).toFixed(2)}${suffix}`);
+
+    /**
+     * Genera la sección de costo, margen e ingeniería de menú por producto.
+     * @param {object} profitability - La rentabilidad por producto devuelta por la API.
+     * @returns {string} El HTML de la sección.
+     */
+    const renderProfitabilitySection = (profitability) => {
+        const { products, totals, averageContributionMargin, popularityThreshold } = profitability;
+        const rows = products.length > 0 ? products.map(product => `
+            <tr>
+                <td>${product.name}</td>
+                <td>${product.quantity}</td>
+                <td>$${parseFloat(product.revenue).toFixed(2)}</td>
+                <td>${formatOptional(product.foodCostPercentage, '', '%')}</td>
+                <td>${formatOptional(product.marginPercentage, '', '%')}</td>
+                <td>${formatOptional(product.contributionMargin, '$')}</td>
+                <td>${formatOptional(product.totalContributionMargin, '$')}</td>
+                <td>${product.classification
+                    ? `<span class="menu-class menu-class--${product.classification}" title="${product.action}">${product.classificationLabel}</span>`
+                    : 'Sin costo de receta'}</td>
+            </tr>
+        `).join('') + `
+            <tr>
+                <td colspan="2"><strong>Total con costo</strong></td>
+                <td><strong>$${parseFloat(totals.revenue).toFixed(2)}</strong></td>
+                <td><strong>${formatOptional(totals.foodCostPercentage, '', '%')}</strong></td>
+                <td colspan="2"></td>
+                <td><strong>$${parseFloat(totals.contributionMargin).toFixed(2)}</strong></td>
+                <td></td>
+            </tr>` : '<tr><td colspan="8">No hay pedidos pagados en este período.</td></tr>'; // Sin ventas no hay nada que analizar.
+
+        return `
+            <div class="profitability-section">
+                <h3>Costo y Margen por Producto</h3>
+                ${averageContributionMargin !== null ? `
+                    <p class="profitability-section__note">
+                        Costo teórico según la receta y el costo promedio actual de los ingredientes.
+                        Los precios son el precio base actual de cada producto, sin los recargos de los modificadores; si un precio cambió durante el período, el margen usa el precio nuevo.
+                        MC promedio: $${parseFloat(averageContributionMargin).toFixed(2)} por unidad; popular desde ${popularityThreshold}% de las unidades vendidas.
+                        ${totals.withoutCost > 0 ? `${totals.withoutCost} producto(s) sin costo de receta no se clasifican.` : ''}
+                    </p>` : ''}
+                <div class="table-container">
+                    <table class="table" id="product-profitability-table">
+                        <thead><tr><th>Producto</th><th>Vendidos</th><th>Ventas</th><th>Costo %</th><th>Margen %</th><th>MC Unitario</th><th>MC Total</th><th>Clase</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    };
+
     /**
      * Renderiza los controles de paginación para la tabla de ranking.
      */
@@ -88,6 +151,8 @@ export const statsController = () => {
         // Por defecto, desde el primer día del mes actual.
         const firstDayOfMonth = new Date(new Date().setDate(1)).toISOString().split('T')[0]; // Obtiene el primer día del mes actual en formato YYYY-MM-DD.
         startDateInput.value = firstDayOfMonth; // Establece la fecha de inicio como el primer día del mes actual.
+        zReportDateInput.max = today; // El reporte Z no se puede generar para días futuros.
+        zReportDateInput.value = today; // Por defecto, el cierre de hoy.
     };
 
     // --- Carga de Datos y Renderizado Principal ---
@@ -122,7 +187,23 @@ export const statsController = () => {
                     </div>
                     <div class="stat-card stat-card--secondary">
                         <div class="stat-card__value">$${statsData.summary.totalRevenue}</div> 
-                        <div class="stat-card__label">Ingresos Totales</div>
+                        <div class="stat-card__label">Ingresos Netos</div>
+                    </div>
+                    <div class="stat-card stat-card--secondary">
+                        <div class="stat-card__value">-$${statsData.summary.creditNotesAmount}</div> 
+                        <div class="stat-card__label">Notas Crédito (${statsData.summary.creditNotesCount})</div>
+                    </div>
+                    <div class="stat-card stat-card--secondary">
+                        <div class="stat-card__value">$${statsData.summary.totalDiscounts}</div> 
+                        <div class="stat-card__label">Descuentos Otorgados</div>
+                    </div>
+                    <div class="stat-card stat-card--secondary">
+                        <div class="stat-card__value">$${statsData.summary.totalServiceCharges}</div> 
+                        <div class="stat-card__label">Cargos por Servicio</div>
+                    </div>
+                    <div class="stat-card stat-card--secondary">
+                        <div class="stat-card__value">$${statsData.summary.totalTips}</div> 
+                        <div class="stat-card__label">Propinas Voluntarias</div>
                     </div>
                 </div>
 
@@ -133,13 +214,77 @@ export const statsController = () => {
                         ${statsData.paymentMethods.length > 0 ? statsData.paymentMethods.map(method => ` 
                             <div class="stat-card stat-card--secondary">
                                 <div class="stat-card__value">$${parseFloat(method.totalAmount).toFixed(2)}</div> 
-                                <div class="stat-card__label">${method.name}</div> 
+                                <div class="stat-card__label">${method.name} (${method.payments} pagos)</div> 
                             </div>
                         `).join('') : '<p>No hay datos de pago para este período.</p>'} 
                     </div>
                 </div>
-                 
-                
+
+                <div class="tax-breakdown-section">
+                    <h3>Impuestos por Tarifa</h3>
+                    <div class="table-container">
+                        <table class="table" id="tax-breakdown-table">
+                            <thead><tr><th>Tarifa</th><th>Base Gravable</th><th>Impuesto</th></tr></thead>
+                            <tbody>
+                                ${statsData.taxBreakdown.length > 0 ? statsData.taxBreakdown.map(tax => `
+                                    <tr>
+                                        <td>${tax.nombre} (${Number(tax.porcentaje)}%)</td>
+                                        <td>$${parseFloat(tax.base).toFixed(2)}</td>
+                                        <td>$${parseFloat(tax.totalTax).toFixed(2)}</td>
+                                    </tr>
+                                `).join('') : '<tr><td colspan="3">No hay impuestos para este período.</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="discounts-breakdown-section">
+                    <h3>Descuentos Aplicados</h3>
+                    <div class="table-container">
+                        <table class="table" id="discounts-breakdown-table">
+                            <thead><tr><th>Descuento</th><th>Veces Aplicado</th><th>Monto Descontado</th></tr></thead>
+                            <tbody>
+                                ${statsData.discountsBreakdown.length > 0 ? statsData.discountsBreakdown.map(discount => `
+                                    <tr>
+                                        <td>${discount.nombre}</td>
+                                        <td>${discount.count}</td>
+                                        <td>$${parseFloat(discount.totalAmount).toFixed(2)}</td>
+                                    </tr>
+                                `).join('') : '<tr><td colspan="3">No hay descuentos para este período.</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="cash-sessions-section">
+                    <h3>Cierres de Caja</h3>
+                    <div class="table-container">
+                        <table class="table" id="cash-sessions-table">
+                            <thead><tr><th>Sesión</th><th>Cajero</th><th>Cierre</th><th>Esperado</th><th>Contado</th><th>Diferencia</th></tr></thead>
+                            <tbody>
+                                ${statsData.cashSessions.sessions.length > 0 ? statsData.cashSessions.sessions.map(session => `
+                                    <tr>
+                                        <td>#${session.id}</td>
+                                        <td>${session.cashier}</td>
+                                        <td>${new Date(session.closedAt).toLocaleString()}</td>
+                                        <td>$${parseFloat(session.expected).toFixed(2)}</td>
+                                        <td>$${parseFloat(session.counted).toFixed(2)}</td>
+                                        <td>$${parseFloat(session.variance).toFixed(2)}</td>
+                                    </tr>
+                                `).join('') + `
+                                    <tr>
+                                        <td colspan="3"><strong>Total</strong></td>
+                                        <td><strong>$${statsData.cashSessions.totalExpected}</strong></td>
+                                        <td><strong>$${statsData.cashSessions.totalCounted}</strong></td>
+                                        <td><strong>$${statsData.cashSessions.totalVariance}</strong></td>
+                                    </tr>` : '<tr><td colspan="6">No hay cierres de caja para este período.</td></tr>'}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                ${renderProfitabilitySection(statsData.productProfitability)}
+
                 <div class="ranking-section">
                     <h3>Ranking de productos</h3>
                     <div class="table-container">
@@ -188,10 +333,91 @@ export const statsController = () => {
         }
     };
     
+    // --- Reporte Z ---
+
+    /**
+     * Renderiza la tabla de reportes Z generados.
+     * @param {Array<object>} reports - Reportes Z, los más recientes primero.
+     */
+    const renderZReports = (reports) => {
+        if (reports.length === 0) {
+            zReportsTableBody.innerHTML = '<tr><td colspan="6">Aún no se han generado reportes Z.</td></tr>';
+            return;
+        }
+        zReportsTableBody.innerHTML = reports.map(report => {
+            const { invoices, netTotal } = report.datos; // Cifras guardadas al generar el reporte
+            const invoiceNumber = (number) => (typeof number === 'number' ? `#${number}` : number); // Los reportes anteriores a la numeración guardaban el ID
+            const range = invoices.count > 0 ? ` (${invoiceNumber(invoices.firstNumber)} a ${invoiceNumber(invoices.lastNumber)})` : '';
+            return `
+                <tr>
+                    <td>#${report.reporte_z_id}</td>
+                    <td>${report.fecha}</td>
+                    <td>${invoices.count}${range}</td>
+                    <td>$${netTotal}</td>
+                    <td>${report.Usuario?.nombre || 'Usuario eliminado'}</td>
+                    <td><button class="btn btn--primary btn--small resend-z-report-btn" data-id="${report.reporte_z_id}">Reenviar</button></td>
+                </tr>`;
+        }).join('');
+    };
+
+    /**
+     * Carga los reportes Z generados.
+     */
+    const loadZReports = async () => {
+        try {
+            renderZReports(await api.get('stats/z-reports'));
+        } catch (error) {
+            zReportsTableBody.innerHTML = `<tr><td colspan="6">${error.message}</td></tr>`;
+        }
+    };
+
+    /**
+     * Genera el reporte Z del día seleccionado, después de confirmar (no se puede volver a generar).
+     */
+    const handleGenerateZReport = async () => {
+        const fecha = zReportDateInput.value;
+        if (!fecha) {
+            showAlert('Por favor, seleccione el día del reporte Z.', 'warning');
+            return;
+        }
+        try {
+            await showConfirmModal('Generar Reporte Z', `El reporte Z del <strong>${fecha}</strong> quedará cerrado y no se podrá volver a generar. ¿Desea continuar?`);
+            generateZReportBtn.disabled = true;
+            const response = await api.post('stats/z-reports', { fecha });
+            showAlert(response.message, 'success');
+            loadZReports();
+        } catch (error) {
+            if (error && error.message) showAlert(error.message, 'error'); // Si se cancela el modal no hay mensaje que mostrar
+        } finally {
+            generateZReportBtn.disabled = false;
+        }
+    };
+
+    /**
+     * Reenvía por correo el PDF guardado de un reporte Z.
+     * @param {Event} e - Evento de clic en la tabla de reportes.
+     */
+    const handleResendZReport = async (e) => {
+        const button = e.target.closest('.resend-z-report-btn');
+        if (!button) return;
+        button.disabled = true;
+        try {
+            const response = await api.post(`stats/z-reports/${button.dataset.id}/send-email`);
+            showAlert(response.message, 'success');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    };
+
     // --- Inicialización del Controlador ---
     const init = () => {
         setDateLimits(); // Configura los filtros de fecha.
         generateBtn.addEventListener('click', handleGenerateStats); // Asigna el evento principal.
+        generateZReportBtn.addEventListener('click', handleGenerateZReport); // Genera el cierre del día.
+        zReportsTableBody.addEventListener('click', handleResendZReport); // Reenvía un reporte Z.
+        loadZReports(); // Carga los reportes Z ya generados.
     };
 
     // Llama a la función de inicialización.
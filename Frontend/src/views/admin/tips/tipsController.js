@@ -0,0 +1,272 @@
+// =================================================================
+// ARCHIVO: src/views/admin/tips/tipsController.js
+// ROL: Controlador para la vista de Reparto de Propinas del
+//      administrador. Permite configurar la regla de reparto, las
+//      propinas sugeridas y el cargo por servicio, registrar las
+//      horas trabajadas y calcular (y exportar en CSV
+//      o PDF) la parte de cada empleado en un período.
+// =================================================================
+
+import { showAlert } from '../../../helpers/alerts.js';
+import { showConfirmModal } from '../../../helpers/modalHelper.js';
+import { api } from '../../../helpers/solicitudes.js';
+import { downloadFile } from '../../../helpers/descargas.js';
+
+/**
+ * Controlador principal para la vista de Reparto de Propinas.
+ */
+export const tipsController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const configForm = document.getElementById('tips-config-form');
+    const modeSelect = document.getElementById('tips-mode');
+    const kitchenGroup = document.getElementById('tips-kitchen-group');
+    const kitchenPercentInput = document.getElementById('tips-kitchen-percent');
+    const billingForm = document.getElementById('billing-config-form');
+    const suggestedInput = document.getElementById('tips-suggested');
+    const serviceActiveInput = document.getElementById('service-charge-active');
+    const servicePercentInput = document.getElementById('service-charge-percent');
+    const serviceGuestsInput = document.getElementById('service-charge-guests');
+    const serviceTaxSelect = document.getElementById('service-charge-tax');
+    const periodForm = document.getElementById('tips-period-form');
+    const fromInput = document.getElementById('tips-from');
+    const toInput = document.getElementById('tips-to');
+    const reportTableBody = document.querySelector('#tips-report-table tbody');
+    const hoursForm = document.getElementById('hours-form');
+    const employeeSelect = document.getElementById('hours-employee');
+    const hoursDateInput = document.getElementById('hours-date');
+    const hoursAmountInput = document.getElementById('hours-amount');
+    const hoursTableBody = document.querySelector('#hours-table tbody');
+
+    /**
+     * Da formato de moneda a un valor.
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+    // Nombre de cada área del reparto.
+    const AREA_LABELS = { cocina: 'Cocina', salon: 'Salón' };
+
+    /**
+     * Devuelve una fecha como YYYY-MM-DD en la hora local.
+     * @param {Date} date
+     * @returns {string}
+     */
+    const toDateInput = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+    /**
+     * Arma el filtro del período elegido.
+     * @returns {string}
+     */
+    const getPeriodQuery = () => `desde=${fromInput.value}&hasta=${toInput.value}`;
+
+    /**
+     * Muestra el porcentaje de la cocina solo en el modo por área.
+     */
+    const toggleKitchenPercent = () => {
+        kitchenGroup.style.display = modeSelect.value === 'por_area' ? 'block' : 'none';
+    };
+
+    /**
+     * Carga la configuración de propinas y las tarifas de impuesto para el cargo por servicio.
+     */
+    const loadConfig = async () => {
+        try {
+            const [config, taxes] = await Promise.all([api.get('propinas/configuracion'), api.get('impuestos')]);
+            modeSelect.value = config.modo;
+            kitchenPercentInput.value = Number(config.porcentaje_cocina);
+            toggleKitchenPercent();
+            serviceTaxSelect.innerHTML = '<option value="">Sin impuesto</option>' +
+                taxes.map(tax => `<option value="${tax.impuesto_id}">${tax.nombre} (${Number(tax.porcentaje)}%)</option>`).join('');
+            suggestedInput.value = (config.porcentajes_sugeridos || []).join(', ');
+            serviceActiveInput.checked = config.cargo_servicio_activo;
+            servicePercentInput.value = Number(config.cargo_servicio_porcentaje);
+            serviceGuestsInput.value = config.cargo_servicio_min_comensales;
+            serviceTaxSelect.value = config.cargo_servicio_impuesto_id ?? '';
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Guarda toda la configuración de propinas (la API la actualiza completa).
+     * @returns {Promise<object>} La respuesta de la API.
+     */
+    const saveConfig = () => api.put('propinas/configuracion', {
+        modo: modeSelect.value,
+        porcentaje_cocina: parseFloat(kitchenPercentInput.value) || 0,
+        porcentajes_sugeridos: suggestedInput.value.split(',').map(value => value.trim()).filter(Boolean).map(Number), // "10, 15, 20" -> [10, 15, 20]
+        cargo_servicio_activo: serviceActiveInput.checked,
+        cargo_servicio_porcentaje: parseFloat(servicePercentInput.value) || 0,
+        cargo_servicio_min_comensales: parseInt(serviceGuestsInput.value, 10) || 0,
+        cargo_servicio_impuesto_id: serviceTaxSelect.value ? Number(serviceTaxSelect.value) : null
+    });
+
+    /**
+     * Guarda la regla de reparto y recalcula el reporte con ella.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleConfigSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await saveConfig();
+            showAlert(response.message, 'success');
+            loadReport();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Guarda las propinas sugeridas y el cargo por servicio.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleBillingSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await saveConfig();
+            showAlert(response.message, 'success');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Calcula y muestra el reparto del período.
+     */
+    const loadReport = async () => {
+        try {
+            const report = await api.get(`propinas/reporte?${getPeriodQuery()}`);
+            document.getElementById('tips-invoices').textContent = report.facturas;
+            document.getElementById('tips-unassigned').textContent = formatMoney(report.sin_asignar);
+            document.getElementById('tips-total').textContent = formatMoney(report.total_propinas);
+            reportTableBody.innerHTML = report.participantes.length
+                ? report.participantes.map(participant => `
+                    <tr>
+                        <td>${participant.nombre}</td>
+                        <td>${participant.rol || '-'}</td>
+                        <td>${AREA_LABELS[participant.area] || '-'}</td>
+                        <td>${participant.horas.toFixed(2)}</td>
+                        <td>${participant.facturas}</td>
+                        <td>${formatMoney(participant.monto)}</td>
+                    </tr>`).join('')
+                : '<tr><td colspan="6">No hay propinas ni horas registradas en este período.</td></tr>';
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Carga los empleados para el registro de horas.
+     */
+    const loadEmployees = async () => {
+        try {
+            const users = await api.get('usuarios');
+            employeeSelect.innerHTML = users
+                .map(user => `<option value="${user.usuario_id}">${user.nombre} (${user.rol || 'Sin rol'})</option>`)
+                .join('');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Carga las horas registradas en el período.
+     */
+    const loadHours = async () => {
+        try {
+            const records = await api.get(`propinas/horas?${getPeriodQuery()}`);
+            hoursTableBody.innerHTML = records.length
+                ? records.map(record => `
+                    <tr>
+                        <td>${record.fecha}</td>
+                        <td>${record.Usuario?.nombre || '-'}</td>
+                        <td>${record.Usuario?.Rol?.nombre_rol || '-'}</td>
+                        <td>${parseFloat(record.horas).toFixed(2)}</td>
+                        <td class="table-actions">
+                            <button class="btn btn--danger btn--small delete-hours-btn" data-id="${record.registro_id}">Eliminar</button>
+                        </td>
+                    </tr>`).join('')
+                : '<tr><td colspan="5">No hay horas registradas en este período.</td></tr>';
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Recarga el reparto y las horas del período elegido.
+     * @param {Event} [e] - Evento de envío del formulario del período.
+     */
+    const handlePeriodSubmit = (e) => {
+        e?.preventDefault();
+        loadReport();
+        loadHours();
+    };
+
+    /**
+     * Registra (o reemplaza) las horas de un empleado en un día.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleHoursSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api.post('propinas/horas', {
+                usuario_id: Number(employeeSelect.value),
+                fecha: hoursDateInput.value,
+                horas: parseFloat(hoursAmountInput.value)
+            });
+            showAlert(response.message, 'success');
+            hoursAmountInput.value = '';
+            handlePeriodSubmit(); // Las horas cambian el reparto
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Elimina un registro de horas tras confirmarlo.
+     * @param {Event} e - Evento de clic en la tabla de horas.
+     */
+    const handleHoursTableClick = async (e) => {
+        const button = e.target.closest('.delete-hours-btn');
+        if (!button) return;
+        try {
+            await showConfirmModal('Confirmar Eliminación', '¿Seguro que desea eliminar este registro de horas? El reparto del período se recalculará.');
+            const response = await api.delete(`propinas/horas/${button.dataset.id}`);
+            showAlert(response.message, 'success');
+            handlePeriodSubmit();
+        } catch (error) {
+            if (error && error.message) showAlert(error.message, 'error'); // Si se cancela el modal no hay mensaje que mostrar
+        }
+    };
+
+    /**
+     * Descarga el reparto del período en CSV o PDF.
+     * @param {'csv'|'pdf'} format
+     */
+    const handleExport = async (format) => {
+        try {
+            await downloadFile(`propinas/reporte?${getPeriodQuery()}&formato=${format}`, `reparto_propinas_${fromInput.value}_${toInput.value}.${format}`);
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    const today = new Date();
+    fromInput.value = toDateInput(new Date(today.getFullYear(), today.getMonth(), 1)); // Por defecto, el mes en curso
+    toInput.value = toDateInput(today);
+    hoursDateInput.value = toDateInput(today);
+    modeSelect.addEventListener('change', toggleKitchenPercent);
+    configForm.addEventListener('submit', handleConfigSubmit);
+    billingForm.addEventListener('submit', handleBillingSubmit);
+    periodForm.addEventListener('submit', handlePeriodSubmit);
+    hoursForm.addEventListener('submit', handleHoursSubmit);
+    hoursTableBody.addEventListener('click', handleHoursTableClick);
+    document.getElementById('tips-csv-btn').addEventListener('click', () => handleExport('csv'));
+    document.getElementById('tips-pdf-btn').addEventListener('click', () => handleExport('pdf'));
+
+    loadConfig();
+    loadEmployees();
+    handlePeriodSubmit();
+};
@@ -0,0 +1,142 @@
+// =================================================================
+// ARCHIVO: src/views/availability/availabilityController.js
+// ROL: Controlador para la vista de Disponibilidad del Menú. Permite
+//      a la cocina y a los administradores agotar o habilitar
+//      productos y categorías completas; los meseros reciben el
+//      cambio en tiempo real.
+// =================================================================
+
+import { showAlert } from '../../helpers/alerts.js';
+import { api } from '../../helpers/solicitudes.js';
+import { connectSocket, getSocket } from '../../helpers/socketClient.js';
+
+/**
+ * Controlador principal para la vista de Disponibilidad del Menú.
+ */
+export const availabilityController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const categoriesContainer = document.getElementById('availability-categories');
+    const searchInput = document.getElementById('availability-search');
+    const categoryFilterSelect = document.getElementById('availability-category-filter');
+    const onlyUnavailableInput = document.getElementById('availability-only-unavailable');
+    const tableBody = document.querySelector('#availability-table tbody');
+
+    // --- Estado Local del Controlador ---
+    let products = []; // Productos del menú con su categoría.
+    let categories = []; // Categorías del menú.
+
+    /**
+     * Renderiza una tarjeta por categoría con el botón para agotarla o habilitarla.
+     */
+    const renderCategories = () => {
+        categoriesContainer.innerHTML = categories.map(category => `
+            <div class="availability__category ${category.disponible ? '' : 'is-unavailable'}">
+                <span>${category.nombre}${category.disponible ? '' : ' (agotada)'}</span>
+                <button class="btn btn--small ${category.disponible ? 'btn--danger' : 'btn--secondary'} toggle-category-btn" data-id="${category.categoria_id}">
+                    ${category.disponible ? 'Agotar' : 'Habilitar'}
+                </button>
+            </div>`).join('') || '<p>No hay categorías registradas.</p>';
+        const selected = categoryFilterSelect.value;
+        categoryFilterSelect.innerHTML = '<option value="all">Todas</option>' +
+            categories.map(category => `<option value="${category.categoria_id}">${category.nombre}</option>`).join('');
+        categoryFilterSelect.value = selected || 'all';
+    };
+
+    /**
+     * Renderiza la tabla de productos con los filtros elegidos.
+     */
+    const renderProducts = () => {
+        const term = searchInput.value.trim().toLowerCase();
+        const categoryById = new Map(categories.map(category => [category.categoria_id, category]));
+        const filtered = products.filter(product =>
+            (!term || product.nombre_producto.toLowerCase().includes(term))
+            && (categoryFilterSelect.value === 'all' || product.categoria_id === Number(categoryFilterSelect.value))
+            && (!onlyUnavailableInput.checked || !product.disponible || categoryById.get(product.categoria_id)?.disponible === false));
+        tableBody.innerHTML = filtered.length
+            ? filtered.map(product => {
+                const category = categoryById.get(product.categoria_id);
+                const status = !product.disponible
+                    ? '<span class="availability__status--unavailable">Agotado</span>'
+                    : category?.disponible === false ? '<span class="availability__status--unavailable">Categoría agotada</span>' : 'Disponible';
+                return `
+                    <tr>
+                        <td>${product.nombre_producto}</td>
+                        <td>${category?.nombre || '-'}</td>
+                        <td>${status}</td>
+                        <td class="table-actions">
+                            <button class="btn btn--small ${product.disponible ? 'btn--danger' : 'btn--secondary'} toggle-product-btn" data-id="${product.producto_id}">
+                                ${product.disponible ? 'Agotar' : 'Habilitar'}
+                            </button>
+                        </td>
+                    </tr>`;
+            }).join('')
+            : '<tr><td colspan="4">No hay productos con esos filtros.</td></tr>';
+    };
+
+    /**
+     * Carga los productos y las categorías del menú.
+     */
+    const loadData = async () => {
+        try {
+            [products, categories] = await Promise.all([api.get('productos'), api.get('categorias')]);
+            renderCategories();
+            renderProducts();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Agota o habilita un producto o una categoría.
+     * @param {'productos'|'categorias'} resource - Recurso de la API.
+     * @param {number} id - ID del producto o de la categoría.
+     * @param {boolean} disponible - Nueva disponibilidad.
+     */
+    const toggleAvailability = async (resource, id, disponible) => {
+        try {
+            const response = await api.put(`${resource}/${id}/disponibilidad`, { disponible });
+            showAlert(response.message, 'success');
+            await loadData(); // Recarga los estados; los demás usuarios reciben el cambio por el socket
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Maneja los clics en los botones de agotar o habilitar.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleClick = (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const id = Number(button.dataset.id);
+        if (button.classList.contains('toggle-category-btn')) {
+            const category = categories.find(item => item.categoria_id === id);
+            toggleAvailability('categorias', id, !category.disponible);
+        }
+        if (button.classList.contains('toggle-product-btn')) {
+            const product = products.find(item => item.producto_id === id);
+            toggleAvailability('productos', id, !product.disponible);
+        }
+    };
+
+    /**
+     * Mantiene la vista al día cuando otro usuario cambia la disponibilidad.
+     */
+    const startRealtimeAvailability = () => {
+        const socket = getSocket() || connectSocket();
+        if (!socket) return;
+        socket.off('disponibilidad_actualizada');
+        socket.on('disponibilidad_actualizada', loadData);
+    };
+
+    // --- Asignación de Eventos ---
+    categoriesContainer.addEventListener('click', handleClick);
+    tableBody.addEventListener('click', handleClick);
+    searchInput.addEventListener('input', renderProducts);
+    categoryFilterSelect.addEventListener('change', renderProducts);
+    onlyUnavailableInput.addEventListener('change', renderProducts);
+
+    loadData();
+    startRealtimeAvailability();
+};
@@ -0,0 +1,199 @@
+// =================================================================
+// ARCHIVO: src/views/customers/customersController.js
+// ROL: Controlador para la vista de Clientes. Permite buscar,
+//      registrar y editar clientes y consultar el historial de
+//      compras y el libro de puntos de cada uno. La usan meseros y
+//      administradores.
+// =================================================================
+
+import { showAlert } from '../../helpers/alerts.js';
+import { api } from '../../helpers/solicitudes.js';
+import { formatearDocumento, getOpcionesTipoDocumento } from '../../helpers/clientes.js';
+
+/**
+ * Controlador principal para la vista de Clientes.
+ */
+export const customersController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const formSection = document.getElementById('customer-form-section');
+    const form = document.getElementById('customer-form');
+    const formTitle = document.getElementById('customer-form-title');
+    const idInput = document.getElementById('customer-id');
+    const docTypeSelect = document.getElementById('customer-doc-type');
+    const docNumberInput = document.getElementById('customer-doc-number');
+    const nameInput = document.getElementById('customer-name');
+    const emailInput = document.getElementById('customer-email');
+    const phoneInput = document.getElementById('customer-phone');
+    const searchForm = document.getElementById('customer-search-form');
+    const searchInput = document.getElementById('customer-search');
+    const tableBody = document.querySelector('#customers-table tbody');
+    const historySection = document.getElementById('customer-history-section');
+    const historyTableBody = document.querySelector('#history-table tbody');
+    const pointsTableBody = document.querySelector('#points-table tbody');
+
+    // --- Estado Local del Controlador ---
+    let customers = []; // Clientes de la última búsqueda.
+
+    /**
+     * Da formato de moneda a un valor.
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+    // Nombre de cada tipo de movimiento del libro de puntos.
+    const POINTS_MOVEMENT_LABELS = { acumulacion: 'Acumulación', canje: 'Canje', vencimiento: 'Vencimiento', reverso: 'Reverso por anulación' };
+
+    /**
+     * Renderiza la tabla de clientes.
+     */
+    const renderCustomers = () => {
+        if (customers.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="5">No se encontraron clientes.</td></tr>';
+            return;
+        }
+        tableBody.innerHTML = customers.map(customer => `
+            <tr>
+                <td>${customer.nombre}</td>
+                <td>${formatearDocumento(customer)}</td>
+                <td>${customer.email || '-'}</td>
+                <td>${customer.telefono || '-'}</td>
+                <td class="table-actions">
+                    <button class="btn btn--primary btn--small history-customer-btn" data-id="${customer.cliente_id}">Historial</button>
+                    <button class="btn btn--info btn--small edit-customer-btn" data-id="${customer.cliente_id}">Editar</button>
+                </td>
+            </tr>`).join('');
+    };
+
+    /**
+     * Busca clientes; sin término muestra los registrados más recientemente.
+     */
+    const loadCustomers = async () => {
+        try {
+            const term = searchInput.value.trim();
+            customers = await api.get(term ? `clientes?q=${encodeURIComponent(term)}` : 'clientes');
+            renderCustomers();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Muestra el formulario, vacío para registrar o con los datos de un cliente para editarlo.
+     * @param {object|null} customer - Cliente a editar, o null para registrar uno nuevo.
+     */
+    const openForm = (customer = null) => {
+        form.reset();
+        formTitle.textContent = customer ? 'Editar Cliente' : 'Nuevo Cliente';
+        idInput.value = customer?.cliente_id || '';
+        docTypeSelect.value = customer?.tipo_documento || 'CC';
+        docNumberInput.value = customer?.numero_documento || '';
+        nameInput.value = customer?.nombre || '';
+        emailInput.value = customer?.email || '';
+        phoneInput.value = customer?.telefono || '';
+        formSection.style.display = 'block';
+        nameInput.focus();
+    };
+
+    /**
+     * Guarda el cliente del formulario (lo registra o lo actualiza).
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const payload = {
+            tipo_documento: docTypeSelect.value,
+            numero_documento: docNumberInput.value, // El backend quita puntos, guiones y espacios
+            nombre: nameInput.value.trim(),
+            email: emailInput.value.trim() || null,
+            telefono: phoneInput.value.trim() || null
+        };
+        try {
+            const response = idInput.value
+                ? await api.put(`clientes/${idInput.value}`, payload)
+                : await api.post('clientes', payload);
+            showAlert(response.message, 'success');
+            formSection.style.display = 'none';
+            loadCustomers(); // Recarga la tabla con los cambios
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Muestra el saldo de puntos de un cliente y sus últimos movimientos.
+     * @param {{saldo: number, proximo_vencimiento: string|null, movimientos: Array<object>}} points
+     */
+    const renderPoints = ({ saldo, proximo_vencimiento, movimientos }) => {
+        document.getElementById('points-balance').textContent = saldo;
+        document.getElementById('points-expiry').textContent = proximo_vencimiento ? new Date(proximo_vencimiento).toLocaleDateString() : '-';
+        pointsTableBody.innerHTML = movimientos.length
+            ? movimientos.map(movement => `
+                <tr>
+                    <td>${new Date(movement.fecha).toLocaleString()}</td>
+                    <td>${POINTS_MOVEMENT_LABELS[movement.tipo] || movement.tipo}</td>
+                    <td>${movement.descripcion || '-'}</td>
+                    <td class="${movement.puntos < 0 ? 'points--negative' : ''}">${movement.puntos > 0 ? '+' : ''}${movement.puntos}</td>
+                    <td>${movement.puntos > 0 && movement.fecha_vencimiento ? new Date(movement.fecha_vencimiento).toLocaleDateString() : '-'}</td>
+                </tr>`).join('')
+            : '<tr><td colspan="5">El cliente aún no tiene movimientos de puntos.</td></tr>';
+    };
+
+    /**
+     * Carga y muestra el historial de compras y los puntos de un cliente.
+     * @param {number|string} customerId
+     */
+    const showHistory = async (customerId) => {
+        try {
+            const [{ cliente, resumen, facturas }, points] = await Promise.all([
+                api.get(`clientes/${customerId}/facturas`),
+                api.get(`clientes/${customerId}/puntos`)
+            ]);
+            document.getElementById('customer-history-title').textContent = `Historial de Compras - ${cliente.nombre}`;
+            document.getElementById('history-count').textContent = resumen.facturas;
+            document.getElementById('history-last').textContent = resumen.ultima_compra ? new Date(resumen.ultima_compra).toLocaleString() : '-';
+            document.getElementById('history-total').textContent = formatMoney(resumen.total_comprado);
+            historyTableBody.innerHTML = facturas.length
+                ? facturas.map(factura => `
+                    <tr class="${factura.anulada ? 'is-voided' : ''}">
+                        <td>${factura.numero || `#${factura.factura_id}`}</td>
+                        <td>${new Date(factura.fecha_factura).toLocaleString()}</td>
+                        <td>#${factura.pedido_id}</td>
+                        <td>${formatMoney(factura.descuento_total)}</td>
+                        <td>${formatMoney(factura.total)}</td>
+                        <td>${factura.anulada ? `Anulada (NC #${factura.NotaCredito?.nota_credito_id})` : 'Vigente'}</td>
+                    </tr>`).join('')
+                : '<tr><td colspan="6">El cliente aún no tiene facturas.</td></tr>';
+            renderPoints(points);
+            historySection.style.display = 'block';
+            historySection.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Maneja los clics en los botones de historial y editar de la tabla.
+     * @param {Event} e - Evento de clic.
+     */
+    const handleTableClick = (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.classList.contains('history-customer-btn')) {
+            showHistory(button.dataset.id);
+        }
+        if (button.classList.contains('edit-customer-btn')) {
+            openForm(customers.find(customer => customer.cliente_id === Number(button.dataset.id)));
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    docTypeSelect.innerHTML = getOpcionesTipoDocumento(); // Tipos de documento aceptados
+    document.getElementById('add-customer-btn').addEventListener('click', () => openForm());
+    document.getElementById('cancel-customer-btn').addEventListener('click', () => { formSection.style.display = 'none'; });
+    form.addEventListener('submit', handleSubmit);
+    searchForm.addEventListener('submit', (e) => { e.preventDefault(); loadCustomers(); });
+    tableBody.addEventListener('click', handleTableClick);
+
+    loadCustomers();
+};
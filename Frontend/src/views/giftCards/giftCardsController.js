@@ -0,0 +1,150 @@
+// =================================================================
+// ARCHIVO: src/views/giftCards/giftCardsController.js
+// ROL: Controlador para la vista de Tarjetas de Regalo. Permite
+//      venderlas, consultar el saldo y los movimientos de una tarjeta
+//      y, a los administradores, ver el saldo pendiente por redimir.
+// =================================================================
+
+import { showAlert } from '../../helpers/alerts.js';
+import { api } from '../../helpers/solicitudes.js';
+import { esTarjetaRegalo } from '../../helpers/pagos.js';
+
+/**
+ * Controlador principal para la vista de Tarjetas de Regalo.
+ */
+export const giftCardsController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const saleForm = document.getElementById('gift-card-sale-form');
+    const amountInput = document.getElementById('gift-card-amount');
+    const methodSelect = document.getElementById('gift-card-method');
+    const customerInput = document.getElementById('gift-card-customer');
+    const soldBox = document.getElementById('gift-card-sold');
+    const lookupForm = document.getElementById('gift-card-lookup-form');
+    const lookupInput = document.getElementById('gift-card-lookup-code');
+    const lookupResult = document.getElementById('gift-card-lookup-result');
+    const movementsTableBody = document.querySelector('#gift-card-movements-table tbody');
+    const reportSection = document.getElementById('gift-card-report-section');
+    const reportTableBody = document.querySelector('#gift-card-report-table tbody');
+
+    /**
+     * Da formato de moneda a un valor.
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+    // Nombre de cada tipo de movimiento de una tarjeta.
+    const MOVEMENT_LABELS = { venta: 'Venta', redencion: 'Pago de factura', reverso: 'Reverso por anulación' };
+
+    /**
+     * Carga los métodos con que se puede pagar una tarjeta (todos menos la propia tarjeta de regalo).
+     */
+    const loadPaymentMethods = async () => {
+        try {
+            const methods = await api.get('metodos-pago');
+            methodSelect.innerHTML = methods
+                .filter(method => !esTarjetaRegalo(method))
+                .map(method => `<option value="${method.metodo_pago_id}">${method.nombre_metodo}</option>`)
+                .join('');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Busca al comprador por su número de documento.
+     * @param {string} documentNumber - Número de documento digitado.
+     * @returns {Promise<object|null>} El cliente, o null si no se indicó documento.
+     */
+    const findCustomer = async (documentNumber) => {
+        if (!documentNumber) return null;
+        const normalized = documentNumber.replace(/[.\-\s]/g, '').toUpperCase(); // El backend guarda el documento sin puntos, guiones ni espacios
+        const results = await api.get(`clientes?q=${encodeURIComponent(normalized)}`);
+        const customer = results.find(result => result.numero_documento === normalized);
+        if (!customer) throw new Error('No se encontró un cliente con ese documento. Regístrelo en la vista de Clientes.');
+        return customer;
+    };
+
+    /**
+     * Vende una tarjeta y muestra su código para entregarlo al comprador.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleSale = async (e) => {
+        e.preventDefault();
+        try {
+            const customer = await findCustomer(customerInput.value.trim());
+            const response = await api.post('tarjetas-regalo', {
+                monto: parseFloat(amountInput.value),
+                metodo_pago_id: Number(methodSelect.value),
+                cliente_id: customer?.cliente_id ?? null
+            });
+            showAlert(response.message, 'success');
+            document.getElementById('gift-card-sold-code').textContent = response.tarjeta.codigo_formateado;
+            soldBox.style.display = 'flex';
+            saleForm.reset();
+            loadReport(); // El pasivo cambia con cada venta
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Consulta una tarjeta por su código y muestra su saldo y movimientos.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleLookup = async (e) => {
+        e.preventDefault();
+        try {
+            const card = await api.get(`tarjetas-regalo/${encodeURIComponent(lookupInput.value.trim())}`); // El backend acepta el código con o sin guiones
+            document.getElementById('lookup-initial').textContent = formatMoney(card.monto_inicial);
+            document.getElementById('lookup-sold-at').textContent = new Date(card.fecha_venta).toLocaleString();
+            document.getElementById('lookup-balance').textContent = formatMoney(card.saldo);
+            movementsTableBody.innerHTML = card.MovimientoTarjetaRegalos.map(movement => `
+                <tr>
+                    <td>${new Date(movement.fecha).toLocaleString()}</td>
+                    <td>${MOVEMENT_LABELS[movement.tipo] || movement.tipo}</td>
+                    <td>${movement.factura_id ? `#${movement.factura_id}` : '-'}</td>
+                    <td class="${Number(movement.monto) < 0 ? 'gift-cards--negative' : ''}">${formatMoney(movement.monto)}</td>
+                    <td>${formatMoney(movement.saldo_resultante)}</td>
+                </tr>`).join('');
+            lookupResult.style.display = 'block';
+        } catch (error) {
+            lookupResult.style.display = 'none';
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Carga el reporte del saldo pendiente por redimir (solo administradores).
+     */
+    const loadReport = async () => {
+        if (localStorage.getItem('userRole') !== 'administrador') return;
+        try {
+            const { resumen, tarjetas } = await api.get('tarjetas-regalo/reporte');
+            document.getElementById('report-cards').textContent = `${resumen.tarjetas} (${resumen.tarjetas_con_saldo} con saldo)`;
+            document.getElementById('report-sold').textContent = formatMoney(resumen.vendido);
+            document.getElementById('report-redeemed').textContent = formatMoney(resumen.redimido);
+            document.getElementById('report-liability').textContent = formatMoney(resumen.pasivo_pendiente);
+            reportTableBody.innerHTML = tarjetas.length
+                ? tarjetas.map(card => `
+                    <tr>
+                        <td>${card.codigo_formateado}</td>
+                        <td>${new Date(card.fecha_venta).toLocaleDateString()}</td>
+                        <td>${card.Cliente?.nombre || '-'}</td>
+                        <td>${formatMoney(card.monto_inicial)}</td>
+                        <td>${formatMoney(card.saldo)}</td>
+                    </tr>`).join('')
+                : '<tr><td colspan="5">No hay tarjetas con saldo pendiente.</td></tr>';
+            reportSection.style.display = 'block';
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    saleForm.addEventListener('submit', handleSale);
+    lookupForm.addEventListener('submit', handleLookup);
+
+    loadPaymentMethods();
+    loadReport();
+};
@@ -2,12 +2,14 @@
 // ARCHIVO: src/views/kitchen/kitchenOrdersController.js
 // ROL: Controlador para la vista de la cocina.
 //      Muestra los pedidos filtrados por estado (pendiente, en preparación, listo)
-//      y permite al personal de cocina actualizar su estado.
+//      y, opcionalmente, por estación de cocina; permite al personal de cocina
+//      actualizar su estado.
 // =================================================================
 
 import { showAlert } from '../../helpers/alerts.js';
 import { api } from '../../helpers/solicitudes.js';
 import { connectSocket, getSocket } from '../../helpers/socketClient.js';
+import { getCicloVidaPedido, getSiguientesEstados, getSiguientesEstadosDetalle, getEtiquetaEstado } from '../../helpers/pedidoEstados.js';
 
 /**
  * Controlador principal para la vista de la cocina.
@@ -22,11 +24,17 @@ export const kitchenOrdersController = (params) => {
     // --- Referencias a Elementos del DOM ---
     const ordersListContainer = document.getElementById('orders-list');
     const paginationContainer = document.getElementById('pagination-container');
+    const stationSelect = document.getElementById('station-select');
 
     // --- Estado Local del Controlador ---
     let allOrders = []; // Almacena la lista completa de pedidos para el estado actual.
+    let cicloVida = null; // Ciclo de vida de los pedidos (transiciones permitidas por rol).
+    let currentStation = localStorage.getItem('estacionCocina') || ''; // Estación elegida por el cocinero ('' = todas).
     let currentPage = 1; // Página actual de la paginación.
     const itemsPerPage = 6; // Cantidad de pedidos a mostrar por página.
+    const STATUS_BUTTON_CLASSES = { en_preparacion: 'btn--primary', listo: 'btn--success', cancelado: 'btn--danger' }; // Estilo del botón según el estado destino.
+    const ITEM_ACTION_LABELS = { en_preparacion: 'Iniciar', listo: 'Listo', pendiente: 'Pausar' }; // Texto corto de las acciones por línea.
+    const ESTADOS_CON_LINEAS = ['pendiente', 'en_preparacion']; // Estados del pedido en los que se trabajan las líneas.
 
     // --- Lógica de la API ---
 
@@ -37,7 +45,11 @@ export const kitchenOrdersController = (params) => {
         ordersListContainer.innerHTML = '<div class="loading-message">Cargando...</div>'; // Mensaje de carga inicial.
         try {
             // Se realiza una petición GET a la API, pasando el estado como un query param.
-            allOrders = await api.get(`pedidos?estado=${currentStatus}`);
+            const stationFilter = currentStation ? `&estacion_id=${currentStation}` : ''; // Con estación, solo llegan sus productos.
+            [allOrders, cicloVida] = await Promise.all([
+                api.get(`pedidos?estado=${currentStatus}${stationFilter}`),
+                getCicloVidaPedido()
+            ]);
             currentPage = 1; // Resetea a la primera página cada vez que se cargan los datos.
             renderPage();
         } catch (error) {
@@ -45,25 +57,76 @@ export const kitchenOrdersController = (params) => {
         }
     };
 
+    /**
+     * Carga las estaciones de cocina en el selector y restaura la elegida previamente.
+     */
+    const loadStations = async () => {
+        if (!stationSelect) return;
+        try {
+            const estaciones = await api.get('estaciones');
+            stationSelect.innerHTML = '<option value="">Todas las estaciones</option>' +
+                estaciones.map(e => `<option value="${e.estacion_id}">${e.nombre}</option>`).join('');
+            // Si la estación guardada ya no existe, se vuelve a 'todas'.
+            if (currentStation && !estaciones.some(e => String(e.estacion_id) === currentStation)) {
+                changeStation('');
+            }
+            stationSelect.value = currentStation;
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Cambia la estación del cocinero: la guarda, une el socket a su sala y recarga la lista.
+     * @param {string} estacionId - ID de la estación ('' para ver todas).
+     */
+    const changeStation = (estacionId) => {
+        currentStation = estacionId;
+        if (estacionId) {
+            localStorage.setItem('estacionCocina', estacionId);
+        } else {
+            localStorage.removeItem('estacionCocina');
+        }
+        getSocket()?.emit('unir_estacion', { estacionId: estacionId || null });
+        loadOrders();
+    };
+
     /**
      * @description Inicia los listeners de Socket.IO para refrescar la lista de pedidos
-     *              en las diferentes subvistas de cocina (pendiente, en_preparacion, preparado).
+     *              en las diferentes subvistas de cocina (pendiente, en_preparacion, listo).
      * @returns {void}
      */
     const startRealtimeKitchen = () => {
         const socket = getSocket() || connectSocket();
         if (!socket) return;
 
+        socket.off('connect');
         socket.off('nuevo_pedido');
         socket.off('cambio_estado_pedido');
+        socket.off('cambio_estado_detalle');
+        socket.off('pedido_modificado');
         socket.off('pedido_cancelado');
 
         const refrescarPedidos = () => {
             loadOrders();
         };
 
+        // Las salas se pierden al reconectar: se vuelve a unir a la estación elegida.
+        const unirEstacion = () => socket.emit('unir_estacion', { estacionId: currentStation || null });
+        socket.on('connect', unirEstacion);
+        if (socket.connected) unirEstacion();
+
         socket.on('nuevo_pedido', refrescarPedidos);
         socket.on('cambio_estado_pedido', refrescarPedidos);
+        socket.on('cambio_estado_detalle', refrescarPedidos);
+        socket.on('pedido_modificado', (notificacion) => {
+            // Solo se avisa si el cambio afecta a la estación (o a la cocina completa).
+            const { agregados = [], eliminados = [], modificados = [] } = notificacion.data || {};
+            if (agregados.length || eliminados.length || modificados.length) {
+                showAlert(notificacion.message, 'warning');
+            }
+            refrescarPedidos();
+        });
         socket.on('pedido_cancelado', refrescarPedidos);
     };
 
@@ -75,7 +138,7 @@ export const kitchenOrdersController = (params) => {
     const handleUpdateStatus = async (orderId, newStatus) => { // Se recibe el ID del pedido y el nuevo estado.
         try {
             await api.put(`pedidos/${orderId}/estado`, { estado: newStatus }); // Se realiza una petición PUT a la API para actualizar el estado del pedido.
-            showAlert(`Pedido #${orderId} actualizado a '${newStatus}'.`, 'success'); // Muestra un mensaje de éxito al usuario.
+            showAlert(`Pedido #${orderId} actualizado a '${getEtiquetaEstado(cicloVida, newStatus)}'.`, 'success'); // Muestra un mensaje de éxito al usuario.
             // Se recargan los pedidos. El pedido actualizado ya no aparecerá en esta vista.
             loadOrders();
         } catch (error) {
@@ -83,6 +146,25 @@ export const kitchenOrdersController = (params) => {
         }
     };
 
+    /**
+     * Actualiza el estado de preparación de una línea del pedido.
+     * El backend se encarga de avanzar el pedido cuando corresponde.
+     * @param {number} orderId - El ID del pedido.
+     * @param {number} detalleId - El ID de la línea (DetallePedido).
+     * @param {string} newStatus - El nuevo estado de la línea.
+     */
+    const handleUpdateItemStatus = async (orderId, detalleId, newStatus) => {
+        try {
+            const respuesta = await api.put(`pedidos/${orderId}/detalles/${detalleId}/estado`, { estado: newStatus });
+            if (respuesta.estado_pedido && respuesta.estado_pedido !== currentStatus) {
+                showAlert(`Pedido #${orderId} pasó a '${getEtiquetaEstado(cicloVida, respuesta.estado_pedido)}'.`, 'success');
+            }
+            loadOrders();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
     // --- Lógica de Renderizado ---
 
     /**
@@ -95,24 +177,47 @@ export const kitchenOrdersController = (params) => {
         const pageItems = allOrders.slice(startIndex, startIndex + itemsPerPage); // Obtiene los pedidos para la página actual.
 
         if (pageItems.length === 0) { // Si no hay pedidos para mostrar, se muestra un mensaje.
-            ordersListContainer.innerHTML = `<div class="empty-message">No hay pedidos en estado '${currentStatus}'.</div>`;
+            ordersListContainer.innerHTML = `<div class="empty-message">No hay pedidos en estado '${getEtiquetaEstado(cicloVida, currentStatus)}'.</div>`;
         } else {
             const formatDate = (dateString) => new Date(dateString).toLocaleTimeString('es-CO', { hour: '2-digit', minute: '2-digit' }); // Formatea la fecha de creación del pedido a una cadena legible.
             
             ordersListContainer.innerHTML = pageItems.map(order => { // Mapea cada pedido a una tarjeta HTML.
+                // Cambios de la última edición del pedido para resaltarlos en la comanda.
+                const { agregados = [], eliminados = [], modificados = [] } = order.ultima_revision?.cambios || {};
+                const detallesAgregados = new Set(agregados.map(l => l.detalle_id));
+                const detallesModificados = new Set(modificados.map(m => m.despues.detalle_id));
+
                 // Se genera el HTML para la lista de productos, incluyendo notas individuales.
                 const productosHTML = Array.isArray(order.Productos) ? order.Productos.map(p => { // Itera sobre los productos del pedido.
                     const notaProducto = p.DetallePedido?.notas
                         ? `<p class="order-card__item-note">Nota: ${p.DetallePedido.notas}</p>`
                         : ''; // Si el producto tiene notas, se muestra debajo del nombre del producto.
+                    const modificadoresProducto = p.DetallePedido?.modificadores?.length
+                        ? `<p class="order-card__item-modifiers">${p.DetallePedido.modificadores.map(m => `<span class="order-card__modifier order-card__modifier--${m.tipo}">${m.nombre}</span>`).join('')}</p>`
+                        : ''; // Modificadores elegidos (proteína, salsas, extras, sin ...); los 'sin' se resaltan.
+                    const estadoLinea = p.DetallePedido?.estado_preparacion || 'pendiente';
+                    const detalleId = p.DetallePedido?.detalle_id;
+                    const cambioLinea = detallesAgregados.has(detalleId) ? 'agregado' : detallesModificados.has(detalleId) ? 'modificado' : ''; // Resalta las líneas nuevas o cambiadas en la última edición.
                     return `
-                        <li class="order-card__item">
+                        <li class="order-card__item order-card__item--${estadoLinea} ${cambioLinea ? `order-card__item--${cambioLinea}` : ''}">
+                            ${cambioLinea ? `<span class="order-card__change-tag">${cambioLinea === 'agregado' ? 'Nuevo' : 'Modificado'}</span>` : ''}
                             <span>${p.DetallePedido?.cantidad || 0}x ${p.nombre_producto}</span>
+                            <span class="order-card__item-status">${getEtiquetaEstado(cicloVida, estadoLinea)}</span>
+                            ${modificadoresProducto}
                             ${notaProducto}
+                            ${renderItemButtons(order, p.DetallePedido)}
                         </li>
                     `;
                 }).join('') : '<li>Error al cargar productos</li>'; // Si no hay productos, se muestra un mensaje de error.
 
+                // Productos retirados en la última edición: se muestran tachados para que cocina no los prepare.
+                const retiradosHTML = eliminados.map(l => `
+                    <li class="order-card__item order-card__item--retirado">
+                        <span class="order-card__change-tag">Retirado</span>
+                        <span>${l.cantidad}x ${l.nombre_producto || `Producto ${l.producto_id}`}</span>
+                    </li>
+                `).join('');
+
                 return `
                     <div class="order-card order-card--${order.estado}" data-order-id="${order.pedido_id}">
                         <div class="order-card__header">
@@ -123,11 +228,12 @@ export const kitchenOrdersController = (params) => {
                             <p><strong>Mesa:</strong> ${order.Mesa?.numero_mesa || 'N/A'}</p>
                             <ul class="order-card__items">
                                 ${productosHTML}
+                                ${retiradosHTML}
                             </ul>
+                            ${order.ultima_revision ? `<p class="order-card__revision">Editado (revisión #${order.ultima_revision.numero_revision}) a las ${formatDate(order.ultima_revision.fecha_revision)}</p>` : ''}
                         </div>
                         <div class="order-card__actions">
-                            ${order.estado === 'pendiente' ? `<button class="btn btn--primary start-preparing-btn" data-id="${order.pedido_id}">En Preparación</button>` : ''}
-                            ${order.estado === 'en_preparacion' ? `<button class="btn btn--success mark-ready-btn" data-id="${order.pedido_id}">Marcar Listo</button>` : ''}
+                            ${renderStatusButtons(order)}
                         </div>
                     </div>
                 `;
@@ -138,6 +244,38 @@ export const kitchenOrdersController = (params) => {
         attachButtonListeners();
     };
     
+    /**
+     * Genera los botones de cambio de estado que el ciclo de vida permite al rol actual.
+     * @param {object} order - El pedido a renderizar.
+     * @returns {string} - HTML de los botones.
+     */
+    const renderStatusButtons = (order) => {
+        // Con una estación elegida, el avance del pedido lo marcan sus líneas;
+        // solo se deja la cancelación a nivel de pedido.
+        const estados = getSiguientesEstados(cicloVida, order.estado)
+            .filter(estado => !currentStation || estado === 'cancelado');
+        return estados.map(estado => {
+            const buttonClass = STATUS_BUTTON_CLASSES[estado] || 'btn--secondary';
+            return `<button class="btn ${buttonClass} change-status-btn" data-id="${order.pedido_id}" data-estado="${estado}">${getEtiquetaEstado(cicloVida, estado)}</button>`;
+        }).join('');
+    };
+
+    /**
+     * Genera los botones de cambio de estado de una línea del pedido.
+     * Solo se muestran mientras el pedido sigue en cocina.
+     * @param {object} order - El pedido al que pertenece la línea.
+     * @param {object} detalle - Datos de la línea (DetallePedido).
+     * @returns {string} - HTML de los botones.
+     */
+    const renderItemButtons = (order, detalle) => {
+        if (!detalle?.detalle_id || !ESTADOS_CON_LINEAS.includes(order.estado)) return '';
+        const botones = getSiguientesEstadosDetalle(cicloVida, detalle.estado_preparacion || 'pendiente').map(estado => {
+            const buttonClass = STATUS_BUTTON_CLASSES[estado] || 'btn--secondary';
+            return `<button class="btn btn--small ${buttonClass} change-item-status-btn" data-pedido="${order.pedido_id}" data-detalle="${detalle.detalle_id}" data-estado="${estado}">${ITEM_ACTION_LABELS[estado] || getEtiquetaEstado(cicloVida, estado)}</button>`;
+        }).join('');
+        return botones ? `<div class="order-card__item-actions">${botones}</div>` : '';
+    };
+
     /**
      * Renderiza los controles de paginación.
      */
@@ -166,12 +304,17 @@ export const kitchenOrdersController = (params) => {
      * Asigna los listeners a los botones de acción de las tarjetas de pedido.
      */
     const attachButtonListeners = () => { // Asigna los listeners a los botones de acción de las tarjetas de pedido.
-        ordersListContainer.querySelectorAll('.start-preparing-btn').forEach(b => b.onclick = (e) => handleUpdateStatus(e.currentTarget.dataset.id, 'en_preparacion')); // Asigna un listener a los botones de "En Preparación" para actualizar el estado del pedido.
-        ordersListContainer.querySelectorAll('.mark-ready-btn').forEach(b => b.onclick = (e) => handleUpdateStatus(e.currentTarget.dataset.id, 'preparado')); // Asigna un listener a los botones de "Marcar Listo" para actualizar el estado del pedido.
+        ordersListContainer.querySelectorAll('.change-status-btn').forEach(b => b.onclick = (e) => handleUpdateStatus(e.currentTarget.dataset.id, e.currentTarget.dataset.estado)); // Asigna un listener a cada botón de cambio de estado con el estado destino indicado en 'data-estado'.
+        ordersListContainer.querySelectorAll('.change-item-status-btn').forEach(b => b.onclick = (e) => { // Botones por línea: cambian solo el estado de preparación de ese producto.
+            const { pedido, detalle, estado } = e.currentTarget.dataset;
+            handleUpdateItemStatus(pedido, detalle, estado);
+        });
     };
     
     // --- Inicialización ---
     // Carga los pedidos iniciales en cuanto se monta la vista.
+    stationSelect?.addEventListener('change', (e) => changeStation(e.target.value));
+    loadStations();
     loadOrders();
     startRealtimeKitchen();
 };
@@ -26,17 +26,29 @@ export const navigationController = (props) => {
             <a href="#/admin/dashboard" class="nav__link" data-path="admin/dashboard">Dashboard</a>
             <a href="#/admin/users" class="nav__link" data-path="admin/users">Gestión de Usuarios</a>
             <a href="#/admin/menu" class="nav__link" data-path="admin/menu">Menú y mesas</a>
+            <a href="#/availability" class="nav__link" data-path="availability">Disponibilidad</a>
             <a href="#/admin/stats" class="nav__link" data-path="admin/stats">Estadísticas ventas</a>
+            <a href="#/admin/discounts" class="nav__link" data-path="admin/discounts">Descuentos</a>
+            <a href="#/admin/tips" class="nav__link" data-path="admin/tips">Propinas</a>
+            <a href="#/admin/invoices" class="nav__link" data-path="admin/invoices">Facturas</a>
+            <a href="#/admin/inventory" class="nav__link" data-path="admin/inventory">Inventario</a>
+            <a href="#/admin/purchases" class="nav__link" data-path="admin/purchases">Compras</a>
+            <a href="#/customers" class="nav__link" data-path="customers">Clientes</a>
+            <a href="#/gift-cards" class="nav__link" data-path="gift-cards">Tarjetas de Regalo</a>
         `,
         mesero: `
             <a href="#/waiter/orders" class="nav__link" data-path="waiter/orders">Gestión de Pedidos</a>
             <a href="#/waiter/orders-status" class="nav__link" data-path="waiter/orders-status">Estado Pedidos</a>
             <a href="#/waiter/invoice" class="nav__link" data-path="waiter/invoice">Facturar pedido</a>
+            <a href="#/waiter/cash-register" class="nav__link" data-path="waiter/cash-register">Caja</a>
+            <a href="#/customers" class="nav__link" data-path="customers">Clientes</a>
+            <a href="#/gift-cards" class="nav__link" data-path="gift-cards">Tarjetas de Regalo</a>
         `,
         cocinero: `
             <a href="#/kitchen/orders/pending" class="nav__link" data-path="kitchen/orders/pending">Pendientes</a>
             <a href="#/kitchen/orders/preparing" class="nav__link" data-path="kitchen/orders/preparing">En Preparación</a>
             <a href="#/kitchen/orders/ready" class="nav__link" data-path="kitchen/orders/ready">Listos</a>
+            <a href="#/availability" class="nav__link" data-path="availability">Disponibilidad</a>
         `,
     };
     
@@ -0,0 +1,180 @@
+// =================================================================
+// ARCHIVO: src/views/waiter/waiterCashRegisterController.js
+// ROL: Controlador para la vista de Caja del mesero. Permite abrir
+//      la sesión de caja con la base de efectivo, ver el efectivo
+//      esperado, cerrarla contando el efectivo y enviar el reporte
+//      de cierre por correo.
+// =================================================================
+
+import { showAlert } from '../../helpers/alerts.js';
+import { showConfirmModal } from '../../helpers/modalHelper.js';
+import { api } from '../../helpers/solicitudes.js';
+
+/**
+ * Controlador principal para la vista de Caja.
+ */
+export const waiterCashRegisterController = () => {
+    // --- Referencias a Elementos del DOM ---
+    const openSection = document.getElementById('open-session-section');
+    const openForm = document.getElementById('open-session-form');
+    const openingFloatInput = document.getElementById('opening-float');
+    const currentSection = document.getElementById('current-session-section');
+    const currentTitle = document.getElementById('current-session-title');
+    const closeForm = document.getElementById('close-session-form');
+    const countedCashInput = document.getElementById('counted-cash');
+    const closeNotesInput = document.getElementById('close-notes');
+    const varianceText = document.getElementById('close-variance');
+    const sessionsTableBody = document.querySelector('#sessions-table tbody');
+
+    // --- Estado Local del Controlador ---
+    let currentSession = null; // Sesión de caja abierta del usuario, o null.
+
+    /**
+     * Da formato de moneda a un valor.
+     * @param {number|string} value
+     * @returns {string}
+     */
+    const formatMoney = (value) => `$${parseFloat(value || 0).toFixed(2)}`;
+
+    /**
+     * Muestra la diferencia entre el efectivo contado y el esperado mientras se digita el conteo.
+     */
+    const renderVariance = () => {
+        varianceText.className = 'cash-register__variance';
+        if (!currentSession || countedCashInput.value === '') {
+            varianceText.textContent = '';
+            return;
+        }
+        const variance = Math.round((parseFloat(countedCashInput.value) - parseFloat(currentSession.efectivo_esperado)) * 100) / 100;
+        if (variance === 0) {
+            varianceText.textContent = 'La caja cuadra.';
+        } else if (variance < 0) {
+            varianceText.textContent = `Faltante: ${formatMoney(Math.abs(variance))}`;
+            varianceText.classList.add('cash-register__variance--short');
+        } else {
+            varianceText.textContent = `Sobrante: ${formatMoney(variance)}`;
+            varianceText.classList.add('cash-register__variance--over');
+        }
+    };
+
+    /**
+     * Muestra el formulario de apertura o el resumen de la sesión abierta.
+     */
+    const renderCurrentSession = () => {
+        openSection.style.display = currentSession ? 'none' : 'block';
+        currentSection.style.display = currentSession ? 'block' : 'none';
+        if (!currentSession) return;
+
+        currentTitle.textContent = `Sesión de Caja #${currentSession.sesion_caja_id}`;
+        document.getElementById('session-opened-at').textContent = new Date(currentSession.fecha_apertura).toLocaleString();
+        document.getElementById('session-float').textContent = formatMoney(currentSession.monto_apertura);
+        document.getElementById('session-cash-sales').textContent = `${formatMoney(currentSession.ventas_efectivo)} (${currentSession.pagos_efectivo} pagos)`;
+        document.getElementById('session-change').textContent = formatMoney(currentSession.cambio_entregado);
+        document.getElementById('session-expected').textContent = formatMoney(currentSession.efectivo_esperado);
+        renderVariance();
+    };
+
+    /**
+     * Renderiza el historial de sesiones de caja del usuario.
+     * @param {Array<object>} sessions - Sesiones de caja, las más recientes primero.
+     */
+    const renderSessions = (sessions) => {
+        if (sessions.length === 0) {
+            sessionsTableBody.innerHTML = '<tr><td colspan="7">Aún no tiene sesiones de caja.</td></tr>';
+            return;
+        }
+        sessionsTableBody.innerHTML = sessions.map(session => {
+            const closed = session.estado === 'cerrada';
+            return `
+                <tr>
+                    <td>#${session.sesion_caja_id}</td>
+                    <td>${new Date(session.fecha_apertura).toLocaleString()}</td>
+                    <td>${closed ? new Date(session.fecha_cierre).toLocaleString() : 'Abierta'}</td>
+                    <td>${closed ? formatMoney(session.efectivo_esperado) : '-'}</td>
+                    <td>${closed ? formatMoney(session.efectivo_contado) : '-'}</td>
+                    <td>${closed ? formatMoney(session.diferencia) : '-'}</td>
+                    <td><button class="btn btn--primary btn--small send-report-btn" data-id="${session.sesion_caja_id}">Enviar</button></td>
+                </tr>`;
+        }).join('');
+    };
+
+    /**
+     * Carga la sesión abierta y el historial de sesiones del usuario.
+     */
+    const loadSessions = async () => {
+        try {
+            const [current, sessions] = await Promise.all([api.get('caja/sesiones/actual'), api.get('caja/sesiones')]);
+            currentSession = current.sesion;
+            renderCurrentSession();
+            renderSessions(sessions);
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Abre la sesión de caja con la base de efectivo indicada.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleOpenSession = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api.post('caja/sesiones', { monto_apertura: parseFloat(openingFloatInput.value) });
+            showAlert(response.message, 'success');
+            openForm.reset();
+            loadSessions();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Cierra la sesión de caja con el efectivo contado.
+     * @param {Event} e - Evento de envío del formulario.
+     */
+    const handleCloseSession = async (e) => {
+        e.preventDefault();
+        if (!currentSession) return;
+        try {
+            await showConfirmModal('Cerrar Caja', `¿Desea cerrar la sesión de caja <strong>#${currentSession.sesion_caja_id}</strong> con <strong>${formatMoney(countedCashInput.value)}</strong> contados?`);
+            const response = await api.post(`caja/sesiones/${currentSession.sesion_caja_id}/cerrar`, {
+                efectivo_contado: parseFloat(countedCashInput.value),
+                observaciones: closeNotesInput.value.trim() || null
+            });
+            showAlert(response.message, 'success');
+            closeForm.reset();
+            loadSessions();
+        } catch (error) {
+            if (error && error.message) showAlert(error.message, 'error'); // Si se cancela el modal no hay mensaje que mostrar
+        }
+    };
+
+    /**
+     * Envía el reporte de cierre de una sesión al correo del usuario.
+     * @param {Event} e - Evento de clic en la tabla de sesiones.
+     */
+    const handleSendReport = async (e) => {
+        const button = e.target.closest('.send-report-btn');
+        if (!button) return;
+        const originalText = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<span class="spinner"></span>';
+        try {
+            const response = await api.post(`caja/sesiones/${button.dataset.id}/send-report`);
+            showAlert(response.message, 'success');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        } finally {
+            button.disabled = false;
+            button.innerHTML = originalText;
+        }
+    };
+
+    // --- Asignación de Eventos ---
+    openForm.addEventListener('submit', handleOpenSession);
+    closeForm.addEventListener('submit', handleCloseSession);
+    countedCashInput.addEventListener('input', renderVariance);
+    sessionsTableBody.addEventListener('click', handleSendReport);
+
+    loadSessions();
+};
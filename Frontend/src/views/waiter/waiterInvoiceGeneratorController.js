@@ -6,10 +6,16 @@
 // =================================================================
 
 import { showAlert } from '../../helpers/alerts.js';
-import { showConfirmModal } from '../../helpers/modalHelper.js';
+import { showConfirmModal, showReasonModal } from '../../helpers/modalHelper.js';
 import { api } from '../../helpers/solicitudes.js';
 import { validateEmail } from '../../helpers/auth.js';
 import { connectSocket, getSocket } from '../../helpers/socketClient.js';
+import { calcularPrecioUnitario, describirModificadores } from '../../helpers/modificadores.js';
+import { SIN_IMPUESTO, calcularDesgloseImpuestos } from '../../helpers/impuestos.js';
+import { calcularCargoServicio, calcularPropinasSugeridas } from '../../helpers/propinas.js';
+import { esTarjetaRegalo, resumirPagos } from '../../helpers/pagos.js';
+import { calcularDescuentos } from '../../helpers/descuentos.js';
+import { formatearDocumento, getOpcionesTipoDocumento } from '../../helpers/clientes.js';
 
 /**
  * Controlador principal para la vista de Generación de Factura.
@@ -18,8 +24,13 @@ export const waiterInvoiceGeneratorController = () => {
     // --- Referencias a todos los Elementos del DOM ---
     const selectOrder = document.getElementById('select-order-for-invoice'), loadBtn = document.getElementById('load-invoice-details-btn');
     const detailsSection = document.getElementById('invoice-details-section'), tableBody = document.getElementById('invoice-items-table-body');
-    const summarySubtotal = document.getElementById('summary-subtotal'), summaryTax = document.getElementById('summary-tax'), tipInput = document.getElementById('tip-amount'), summaryTotal = document.getElementById('summary-total');
-    const paymentMethodSelect = document.getElementById('payment-method');
+    const summarySubtotal = document.getElementById('summary-subtotal'), summaryTax = document.getElementById('summary-tax'), summaryTaxBreakdown = document.getElementById('summary-tax-breakdown'), tipInput = document.getElementById('tip-amount'), summaryTotal = document.getElementById('summary-total');
+    const splitModeSelect = document.getElementById('split-mode'), splitPartsGroup = document.getElementById('split-parts-group'), splitPartsInput = document.getElementById('split-parts');
+    const paymentsList = document.getElementById('payments-list'), addPaymentBtn = document.getElementById('add-payment-btn');
+    const discountSelect = document.getElementById('discount-select'), discountCodeInput = document.getElementById('discount-code'), discountLineSelect = document.getElementById('discount-line'), discountReasonInput = document.getElementById('discount-reason');
+    const addDiscountBtn = document.getElementById('add-discount-btn'), discountsList = document.getElementById('discounts-list'), summaryDiscounts = document.getElementById('summary-discounts');
+    const discountApproval = document.getElementById('discount-approval'), approvalEmailInput = document.getElementById('approval-email'), approvalPasswordInput = document.getElementById('approval-password');
+    const paymentsPaid = document.getElementById('payments-paid'), paymentsRemaining = document.getElementById('payments-remaining'), paymentsChange = document.getElementById('payments-change');
     const finalizeBtn = document.getElementById('finalize-invoice-btn'), finalInvoiceSection = document.getElementById('final-invoice-section'), finalInvoiceContent = document.getElementById('final-invoice-content'), finalInvoiceTitle = document.getElementById('final-invoice-title');
     const voidInvoiceBtn = document.getElementById('void-invoice-btn'), sendEmailBtn = document.getElementById('send-email-btn');
     const sendEmailModal = document.getElementById('send-email-modal'), sendEmailForm = document.getElementById('send-email-form'), emailInput = document.getElementById('email-input'), cancelEmailBtn = document.getElementById('cancel-email-btn');
@@ -28,28 +39,377 @@ export const waiterInvoiceGeneratorController = () => {
     const editItemQuantity = document.getElementById('edit-item-quantity'), cancelEditBtn = document.getElementById('cancel-edit-btn'), saveEditBtn = document.getElementById('save-edit-btn');
     const addItemModal = document.getElementById('add-item-modal'), addItemForm = document.getElementById('add-item-form'), addItemProduct = document.getElementById('add-item-product');
     const addItemQuantity = document.getElementById('add-item-quantity'), cancelAddBtn = document.getElementById('cancel-add-btn'), saveAddBtn = document.getElementById('save-add-btn'), addItemBtn = document.getElementById('add-item-btn');
+    const customerSearchInput = document.getElementById('customer-search'), customerSearchBtn = document.getElementById('customer-search-btn'), newCustomerBtn = document.getElementById('new-customer-btn');
+    const customerResults = document.getElementById('customer-results'), selectedCustomerBox = document.getElementById('selected-customer'), customerSearchGroup = document.getElementById('customer-search-group');
+    const customerModal = document.getElementById('customer-modal'), customerForm = document.getElementById('customer-form'), customerDocType = document.getElementById('customer-doc-type');
+    const cancelCustomerBtn = document.getElementById('cancel-customer-btn'), saveCustomerBtn = document.getElementById('save-customer-btn');
+    const guestsInput = document.getElementById('invoice-guests'), tipSuggestions = document.getElementById('tip-suggestions');
+    const serviceChargeRow = document.getElementById('summary-service-charge-row'), serviceChargeLabel = document.getElementById('summary-service-charge-label'), summaryServiceCharge = document.getElementById('summary-service-charge');
+    const customerPointsBox = document.getElementById('customer-points'), customerPointsBalance = document.getElementById('customer-points-balance'), redeemPointsInput = document.getElementById('redeem-points');
 
     // --- Estado Local del Controlador ---
     let currentOrder = null; // Almacena el pedido cargado y sus ítems en memoria.
     let generatedInvoiceId = null; // Guarda el ID de la factura una vez generada.
     let availableProducts = []; // Almacena los productos disponibles para añadir a la factura.
+    let paymentMethods = []; // Métodos de pago disponibles.
+    let payments = []; // Pagos de la factura: [{ metodo_pago_id, monto, codigo_tarjeta }].
+    let paymentsTouched = false; // Se vuelve true cuando el usuario edita los pagos; mientras sea false, el único pago sigue al total.
+    let currentTotal = 0; // Total actual de la factura (subtotal - descuentos + cargo por servicio + impuestos + propina).
+    let availableDiscounts = []; // Descuentos que el usuario puede elegir de la lista (los códigos promocionales se digitan).
+    let appliedDiscounts = []; // Descuentos de la factura: [{ descuento, detalle_id, motivo, codigo }].
+    let foundCustomers = []; // Resultados de la última búsqueda de clientes.
+    let selectedCustomer = null; // Cliente de la factura; null si es de consumidor final.
+    let invoiceCustomer = null; // Cliente de la última factura generada (para proponer su correo al enviarla).
+    let loyaltyConfig = null; // Configuración del programa de puntos (valor del punto y mínimo por canje).
+    let customerPoints = null; // Saldo de puntos del cliente elegido: { saldo, proximo_vencimiento }.
+    let tipConfig = null; // Configuración de propinas: porcentajes sugeridos y cargo por servicio (con su tarifa en 'Impuesto').
+    let selectedTipPercent = null; // Porcentaje sugerido elegido; mientras no sea null, la propina sigue al subtotal.
+    const isAdminUser = localStorage.getItem('userRole') === 'administrador'; // El administrador autoriza sus propios descuentos.
 
     // --- Lógica de Cálculo y Renderizado ---
 
     /**
-     * Calcula y muestra los totales (subtotal, impuesto, propina, total) en tiempo real.
+     * Cantidad de una línea que aún no se ha cobrado (la cuenta puede haberse dividido antes).
+     * @param {object} item - Ítem de currentOrder.Productos.
+     * @returns {number}
+     */
+    const getPendingQuantity = (item) => Math.max(0, item.DetallePedido.cantidad - (Number(item.DetallePedido.cantidad_facturada) || 0));
+
+    /**
+     * Cantidad de una línea que se cobra en esta factura según el modo de división elegido.
+     * @param {object} item - Ítem de currentOrder.Productos.
+     * @returns {number}
+     */
+    const getBillQuantity = (item) => {
+        const pending = getPendingQuantity(item); // Lo que falta por cobrar de la línea.
+        if (splitModeSelect.value === 'articulos') return Math.min(pending, item.billQuantity ?? pending); // Cantidad elegida por el mesero.
+        if (splitModeSelect.value === 'partes') { // Parte proporcional de lo pendiente (la última parte cobra todo lo que queda).
+            const parts = Math.max(1, parseInt(splitPartsInput.value, 10) || 1);
+            return Math.round((pending / parts) * 10000) / 10000;
+        }
+        return pending; // Cuenta completa: se cobra todo lo pendiente.
+    };
+
+    /**
+     * Tarifa con que se grava el cargo por servicio (la configurada, o sin impuesto).
+     * @returns {{impuesto_id: number|null, nombre: string, porcentaje: number}}
+     */
+    const getServiceChargeTax = () => tipConfig?.Impuesto
+        ? { impuesto_id: tipConfig.Impuesto.impuesto_id, nombre: tipConfig.Impuesto.nombre, porcentaje: Number(tipConfig.Impuesto.porcentaje) || 0 }
+        : SIN_IMPUESTO;
+
+    /**
+     * Muestra un botón por cada propina sugerida sobre el subtotal.
+     * @param {number} subtotal
+     */
+    const renderTipSuggestions = (subtotal) => {
+        const suggestions = calcularPropinasSugeridas(subtotal, tipConfig?.porcentajes_sugeridos); // Monto de cada porcentaje configurado.
+        const selected = suggestions.find(s => s.porcentaje === selectedTipPercent);
+        if (selected) tipInput.value = selected.monto.toFixed(2); // La propina elegida sigue al subtotal si cambian las líneas o la división.
+        tipSuggestions.innerHTML = suggestions.map(s => `
+            <button type="button" class="btn btn--secondary btn--small tip-suggestion-btn${s.porcentaje === selectedTipPercent ? ' is-active' : ''}" data-percent="${s.porcentaje}">${s.porcentaje}% ($${s.monto.toFixed(2)})</button>
+        `).join('');
+    };
+
+    /**
+     * Calcula y muestra los totales (subtotal, cargo por servicio, impuesto, propina, total) en tiempo real.
      */
     const calculateAndRenderTotals = () => {
         if (!currentOrder) return;  // Si no hay un pedido cargado, no hace nada.
-        // Suma el valor neto de cada producto multiplicado por su cantidad.
-        const subtotal = currentOrder.Productos.reduce((acc, item) => acc + (item.valor_neto * item.DetallePedido.cantidad), 0);
-        // Se calcula el impuesto sobre el subtotal.
-        const tax = subtotal * 0.08; 
+        // Base de cada línea: precio del producto (con sus modificadores) por su cantidad, junto a la tarifa que le aplica.
+        const lines = currentOrder.Productos.map(item => ({
+            detalle_id: item.DetallePedido.detalle_id,
+            base: calcularPrecioUnitario(item.valor_neto, item.DetallePedido.modificadores) * getBillQuantity(item),
+            impuesto: item.impuesto
+        }));
+        const subtotal = lines.reduce((acc, line) => acc + line.base, 0); // Suma de las bases de todas las líneas.
+        // Los descuentos reducen la base de las líneas antes de calcular el impuesto (igual que el backend).
+        // El canje de puntos es un descuento sobre el pedido que se aplica después de los demás.
+        const redeem = getRedeemDiscount();
+        const { lineas: discountedLines, descuentos, descuento_total: discount } = calcularDescuentos(lines, redeem ? [...appliedDiscounts, redeem] : appliedDiscounts);
+        // Se calcula el impuesto agrupado por tarifa (igual que el backend al generar la factura).
+        // El cargo por servicio (grupos grandes) se grava con su propia tarifa, en el mismo desglose que las líneas.
+        const serviceCharge = calcularCargoServicio({ base: subtotal - discount, comensales: guestsInput.value }, tipConfig);
+        const { desglose, impuesto_total: tax } = calcularDesgloseImpuestos(serviceCharge > 0
+            ? [...discountedLines, { base: serviceCharge, impuesto: getServiceChargeTax() }]
+            : discountedLines);
+        renderTipSuggestions(subtotal); // Las propinas sugeridas se calculan sobre el subtotal.
         const tip = parseFloat(tipInput.value) || 0; // Propina ingresada por el usuario, o 0 si no se ha ingresado.
-        const total = subtotal + tax + tip; // Total final incluyendo subtotal, impuesto y propina.
+        const total = subtotal - discount + serviceCharge + tax + tip; // Total final: subtotal menos descuentos, más cargo por servicio, impuesto y propina.
         summarySubtotal.textContent = `$${subtotal.toFixed(2)}`; // Muestra el subtotal formateado a 2 decimales.
-        summaryTax.textContent = `$${tax.toFixed(2)}`; // Muestra el impuesto formateado a 2 decimales.
+        serviceChargeRow.style.display = serviceCharge > 0 ? 'flex' : 'none'; // El renglón solo aparece cuando el cargo aplica.
+        serviceChargeLabel.textContent = `Cargo por servicio (${Number(tipConfig?.cargo_servicio_porcentaje)}%, ${guestsInput.value} comensales):`;
+        summaryServiceCharge.textContent = `$${serviceCharge.toFixed(2)}`;
+        summaryDiscounts.innerHTML = descuentos
+            .map(d => `<div class="summary-row summary-row--discount"><span>${d.descuento.nombre}:</span><span>-$${d.monto.toFixed(2)}</span></div>`)
+            .join(''); // Un renglón por cada descuento aplicado.
+        summaryTaxBreakdown.innerHTML = desglose
+            .filter(tarifa => tarifa.porcentaje > 0) // Las tarifas en 0% no generan renglón.
+            .map(tarifa => `<div class="summary-row summary-row--tax"><span>${tarifa.nombre} (${tarifa.porcentaje}%):</span><span>$${tarifa.valor.toFixed(2)}</span></div>`)
+            .join(''); // Un renglón por cada tarifa de impuesto.
+        summaryTax.textContent = `$${tax.toFixed(2)}`; // Muestra el total de impuestos formateado a 2 decimales.
         summaryTotal.textContent = `$${total.toFixed(2)}`; // Muestra el total formateado a 2 decimales.
+        currentTotal = Math.round(total * 100) / 100; // Guarda el total para validar los pagos.
+        if (!paymentsTouched && payments.length === 1) { // Si el usuario no ha tocado los pagos, el único pago cubre el total.
+            payments[0].monto = currentTotal;
+        }
+        renderPayments(); // Actualiza la lista de pagos y su resumen.
+    };
+
+    /**
+     * Actualiza el resumen de pagos (pagado, restante y cambio) sin volver a dibujar las filas.
+     */
+    const renderPaymentsSummary = () => {
+        const { pagado, restante, cambio } = resumirPagos(payments, currentTotal, paymentMethods); // Compara los pagos con el total actual.
+        paymentsPaid.textContent = `$${pagado.toFixed(2)}`; // Suma de todos los pagos ingresados.
+        paymentsRemaining.textContent = `$${restante.toFixed(2)}`; // Lo que falta por cubrir.
+        paymentsChange.textContent = `$${cambio.toFixed(2)}`; // Cambio a devolver en efectivo.
+    };
+
+    /**
+     * Indica si un pago se hace con tarjeta de regalo.
+     * @param {object} payment
+     * @returns {boolean}
+     */
+    const isGiftCardPayment = (payment) => esTarjetaRegalo(paymentMethods.find(m => m.metodo_pago_id === Number(payment.metodo_pago_id)));
+
+    /**
+     * Dibuja una fila por pago (método y monto, y el código si es con tarjeta de regalo) y actualiza su resumen.
+     */
+    const renderPayments = () => {
+        paymentsList.innerHTML = payments.map((payment, index) => `
+            <div class="payment-row">
+                <select class="form-control payment-method-select" data-index="${index}">
+                    ${paymentMethods.map(m => `<option value="${m.metodo_pago_id}" ${m.metodo_pago_id === Number(payment.metodo_pago_id) ? 'selected' : ''}>${m.nombre_metodo}</option>`).join('')}
+                </select>
+                <input type="number" class="form-control payment-amount-input" data-index="${index}" min="0" step="0.01" value="${Number(payment.monto).toFixed(2)}">
+                ${isGiftCardPayment(payment) ? `
+                    <input type="text" class="form-control payment-card-input" data-index="${index}" placeholder="Código de la tarjeta" maxlength="14" value="${payment.codigo_tarjeta || ''}">
+                    <button class="btn btn--info btn--small check-card-btn" data-index="${index}">Saldo</button>` : ''}
+                ${payments.length > 1 ? `<button class="btn btn--danger btn--small remove-payment-btn" data-index="${index}">&times;</button>` : ''}
+            </div>
+        `).join(''); // Una fila por cada pago; solo se puede quitar un pago si hay más de uno.
+        renderPaymentsSummary();
+    };
+
+    /**
+     * Consulta el saldo de la tarjeta de regalo de un pago.
+     * @param {number} index - Posición del pago en la lista.
+     */
+    const handleCheckGiftCard = async (index) => {
+        const code = String(payments[index]?.codigo_tarjeta || '').trim();
+        if (!code) {
+            showAlert('Ingrese el código de la tarjeta de regalo.', 'warning');
+            return;
+        }
+        try {
+            const card = await api.get(`tarjetas-regalo/${encodeURIComponent(code)}`); // El backend acepta el código con o sin guiones.
+            showAlert(`La tarjeta ${card.codigo_formateado} tiene $${parseFloat(card.saldo).toFixed(2)} disponibles.`, 'info');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Añade un pago con otro método, proponiendo como monto lo que falta por cubrir.
+     */
+    const handleAddPayment = () => {
+        const { restante } = resumirPagos(payments, currentTotal, paymentMethods); // Calcula cuánto falta por pagar.
+        const usedIds = payments.map(p => Number(p.metodo_pago_id)); // Métodos ya usados en la factura.
+        const nextMethod = paymentMethods.find(m => !usedIds.includes(m.metodo_pago_id)) || paymentMethods[0]; // Propone un método que aún no se haya usado.
+        payments.push({ metodo_pago_id: nextMethod?.metodo_pago_id, monto: restante });
+        paymentsTouched = true;
+        renderPayments();
+    };
+
+    /**
+     * Llena el selector de artículos a los que se puede aplicar un descuento por línea.
+     */
+    const renderDiscountLineOptions = () => {
+        const billedItems = currentOrder.Productos.filter(item => item.DetallePedido.detalle_id && getBillQuantity(item) > 0); // Solo líneas guardadas que se cobran en esta factura.
+        discountLineSelect.innerHTML = '<option value="">-- Artículo a descontar --</option>' +
+            billedItems.map(item => `<option value="${item.DetallePedido.detalle_id}">${item.nombre_producto}</option>`).join('');
+    };
+
+    /**
+     * Dibuja los descuentos aplicados y muestra la autorización si alguno la requiere.
+     */
+    const renderDiscounts = () => {
+        discountsList.innerHTML = appliedDiscounts.map((applied, index) => {
+            const line = applied.detalle_id ? currentOrder.Productos.find(item => item.DetallePedido.detalle_id === applied.detalle_id) : null; // Artículo descontado (descuentos por línea).
+            return `
+            <div class="discount-row">
+                <span>${applied.descuento.nombre}${line ? ` - ${line.nombre_producto}` : ''}${applied.motivo ? `<br><small>Motivo: ${applied.motivo}</small>` : ''}</span>
+                <button class="btn btn--danger btn--small remove-discount-btn" data-index="${index}">&times;</button>
+            </div>`;
+        }).join('');
+        const needsApproval = !isAdminUser && appliedDiscounts.some(applied => applied.descuento.requiere_aprobacion); // El administrador no necesita autorizar sus propios descuentos.
+        discountApproval.style.display = needsApproval ? 'flex' : 'none';
+        calculateAndRenderTotals();
+    };
+
+    /**
+     * Aplica el descuento elegido de la lista o el código promocional digitado.
+     */
+    const handleAddDiscount = async () => {
+        const code = discountCodeInput.value.trim(); // El código promocional tiene prioridad sobre la lista.
+        let discount = null;
+        try {
+            discount = code
+                ? await api.get(`descuentos/codigo/${encodeURIComponent(code)}`) // El backend valida vigencia y rol del código.
+                : availableDiscounts.find(d => d.descuento_id === Number(discountSelect.value));
+        } catch (error) {
+            showAlert(error.message, 'error');
+            return;
+        }
+        if (!discount) { showAlert('Seleccione un descuento o ingrese un código promocional.', 'warning'); return; }
+
+        const motivo = discountReasonInput.value.trim();
+        if (discount.requiere_motivo && !motivo) { showAlert(`El descuento "${discount.nombre}" requiere un motivo.`, 'warning'); return; }
+
+        let detalleId = null;
+        if (discount.alcance === 'linea') { // Los descuentos por línea necesitan el artículo a descontar.
+            detalleId = Number(discountLineSelect.value) || null;
+            if (!detalleId) {
+                discountLineSelect.style.display = 'block';
+                showAlert('Seleccione el artículo a descontar.', 'warning');
+                return;
+            }
+        }
+        if (appliedDiscounts.some(applied => applied.descuento.descuento_id === discount.descuento_id && applied.detalle_id === detalleId)) {
+            showAlert('Ese descuento ya fue aplicado.', 'warning');
+            return;
+        }
+
+        appliedDiscounts.push({ descuento: discount, detalle_id: detalleId, motivo: motivo || null, codigo: code || null });
+        discountSelect.value = ''; // Limpia el formulario para el siguiente descuento.
+        discountCodeInput.value = '';
+        discountReasonInput.value = '';
+        discountLineSelect.value = '';
+        discountLineSelect.style.display = 'none';
+        renderDiscounts();
+    };
+
+    /**
+     * Quita los descuentos de la factura anterior y las credenciales de autorización.
+     */
+    const resetDiscounts = () => {
+        appliedDiscounts = [];
+        approvalEmailInput.value = '';
+        approvalPasswordInput.value = '';
+        discountsList.innerHTML = '';
+        discountApproval.style.display = 'none';
+    };
+
+    /**
+     * Arma el canje de puntos como descuento en pesos, si los puntos digitados son válidos.
+     * @returns {object|null} Descuento del canje, o null si no se canjean puntos.
+     */
+    const getRedeemDiscount = () => {
+        const points = parseInt(redeemPointsInput.value, 10) || 0; // Puntos que el cliente quiere canjear.
+        if (!customerPoints || !loyaltyConfig || points < loyaltyConfig.minimo_canje || points > customerPoints.saldo) return null;
+        return {
+            descuento: { descuento_id: null, nombre: `Canje de ${points} puntos`, tipo: 'monto', valor: points * Number(loyaltyConfig.valor_punto), alcance: 'pedido' }
+        };
+    };
+
+    /**
+     * Muestra el saldo de puntos del cliente elegido y el campo para canjearlos.
+     */
+    const renderCustomerPoints = () => {
+        customerPointsBox.style.display = customerPoints ? 'flex' : 'none';
+        if (!customerPoints) return;
+        const value = customerPoints.saldo * Number(loyaltyConfig.valor_punto); // Pesos que equivalen a todo el saldo.
+        const expiry = customerPoints.proximo_vencimiento ? `, los próximos vencen el ${new Date(customerPoints.proximo_vencimiento).toLocaleDateString()}` : '';
+        customerPointsBalance.textContent = `Puntos: ${customerPoints.saldo} (equivalen a $${value.toFixed(2)}; mínimo ${loyaltyConfig.minimo_canje} por canje${expiry})`;
+        redeemPointsInput.max = customerPoints.saldo;
+        redeemPointsInput.disabled = customerPoints.saldo < loyaltyConfig.minimo_canje; // Sin el mínimo no hay nada que canjear.
+    };
+
+    /**
+     * Consulta el saldo de puntos del cliente elegido (si el programa está activo).
+     */
+    const loadCustomerPoints = async () => {
+        customerPoints = null;
+        redeemPointsInput.value = '';
+        if (selectedCustomer && loyaltyConfig?.activo) {
+            try {
+                customerPoints = await api.get(`clientes/${selectedCustomer.cliente_id}/puntos`);
+            } catch (error) {
+                showAlert(error.message, 'error');
+            }
+        }
+        renderCustomerPoints();
+        calculateAndRenderTotals(); // Un canje anterior deja de aplicar al cambiar de cliente.
+    };
+
+    /**
+     * Muestra el cliente elegido para la factura, o consumidor final si no hay uno.
+     */
+    const renderSelectedCustomer = () => {
+        customerSearchGroup.style.display = selectedCustomer ? 'none' : 'flex'; // Con un cliente elegido se oculta la búsqueda.
+        customerResults.innerHTML = '';
+        selectedCustomerBox.innerHTML = selectedCustomer
+            ? `<span>${selectedCustomer.nombre} - ${formatearDocumento(selectedCustomer)}${selectedCustomer.email ? ` (${selectedCustomer.email})` : ''}</span>
+               <button class="btn btn--danger btn--small" id="remove-customer-btn">Quitar</button>`
+            : '<span>Consumidor final</span>';
+    };
+
+    /**
+     * Busca clientes por nombre, documento o correo y muestra los resultados.
+     */
+    const handleSearchCustomers = async () => {
+        const term = customerSearchInput.value.trim();
+        if (!term) { showAlert('Ingrese un nombre, documento o correo para buscar.', 'warning'); return; }
+        try {
+            foundCustomers = await api.get(`clientes?q=${encodeURIComponent(term)}`);
+            customerResults.innerHTML = foundCustomers.length
+                ? foundCustomers.map((customer, index) => `
+                    <div class="customer-result">
+                        <span>${customer.nombre} - ${formatearDocumento(customer)}</span>
+                        <button class="btn btn--primary btn--small select-customer-btn" data-index="${index}">Elegir</button>
+                    </div>`).join('')
+                : '<p>No se encontraron clientes. Puede registrarlo con "Nuevo cliente".</p>';
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Registra un cliente desde el modal y lo deja elegido para la factura.
+     */
+    const handleSaveCustomer = async () => {
+        if (!customerForm.checkValidity()) { customerForm.reportValidity(); return; }
+        try {
+            const response = await api.post('clientes', {
+                tipo_documento: customerDocType.value,
+                numero_documento: document.getElementById('customer-doc-number').value,
+                nombre: document.getElementById('customer-name').value,
+                email: document.getElementById('customer-email').value,
+                telefono: document.getElementById('customer-phone').value
+            });
+            selectedCustomer = response.cliente; // El cliente recién registrado queda en la factura.
+            customerForm.reset();
+            customerModal.classList.remove('is-active');
+            renderSelectedCustomer();
+            loadCustomerPoints();
+            showAlert(response.message, 'success');
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Quita el cliente de la factura anterior.
+     */
+    const resetCustomer = () => {
+        selectedCustomer = null;
+        foundCustomers = [];
+        customerSearchInput.value = '';
+        renderSelectedCustomer();
+        customerPoints = null;
+        redeemPointsInput.value = '';
+        renderCustomerPoints();
     };
 
     /**
@@ -90,18 +450,31 @@ export const waiterInvoiceGeneratorController = () => {
      */
     const renderTable = () => {
         // Mapea los productos del pedido y genera filas de tabla.
-        tableBody.innerHTML = currentOrder.Productos.map((item, index) => `
+        // Las líneas ya cobradas por completo en facturas anteriores no se muestran.
+        tableBody.innerHTML = currentOrder.Productos.map((item, index) => {
+            const pending = getPendingQuantity(item); // Lo que falta por cobrar de la línea.
+            if (pending <= 0) return '';
+            const billQuantity = getBillQuantity(item); // Lo que se cobra en esta factura.
+            const unitPrice = calcularPrecioUnitario(item.valor_neto, item.DetallePedido.modificadores); // Precio unitario con los ajustes de los modificadores.
+            const modifiers = describirModificadores(item.DetallePedido.modificadores); // Opciones elegidas en la línea.
+            const billCell = splitModeSelect.value === 'articulos'
+                ? `<input type="number" class="form-control bill-quantity-input" data-index="${index}" min="0" max="${pending}" step="1" value="${billQuantity}">`
+                : `${Number(billQuantity.toFixed(4))}`; // En división por artículos el mesero elige cuánto cobrar de cada línea.
+            return `
             <tr>
-                <td>${item.nombre_producto}</td>
-                <td>${item.DetallePedido.cantidad}</td>
-                <td>$${parseFloat(item.valor_neto).toFixed(2)}</td>
-                <td>$${(item.valor_neto * item.DetallePedido.cantidad).toFixed(2)}</td>
+                <td>${item.nombre_producto}${modifiers ? `<br><small class="invoice-item-modifiers">${modifiers}</small>` : ''}</td>
+                <td>${pending}</td>
+                <td>${billCell}</td>
+                <td>$${unitPrice.toFixed(2)}</td>
+                <td>$${(unitPrice * billQuantity).toFixed(2)}</td>
                 <td class="table-actions">
                     <button class="btn btn--info btn--small edit-item-btn" data-index="${index}">Editar</button>
                     <button class="btn btn--danger btn--small delete-item-btn" data-index="${index}" data-name="${item.nombre_producto}">Eliminar</button>
                 </td>
             </tr>
-        `).join(''); 
+        `;
+        }).join(''); 
+        renderDiscountLineOptions(); // Los artículos descontables dependen de lo que se cobra en esta factura.
         calculateAndRenderTotals();// Llama a la función para calcular y mostrar los totales actualizados.
     };
 
@@ -117,6 +490,16 @@ export const waiterInvoiceGeneratorController = () => {
         try {
             currentOrder = await api.get(`pedidos/${orderId}`);// Llama a la API para obtener los detalles del pedido seleccionado.
             tipInput.value = "0.00"; // Resetea el campo de propina a 0.00.
+            selectedTipPercent = null; // Ninguna propina sugerida elegida.
+            guestsInput.value = currentOrder.comensales ?? ''; // Comensales registrados al tomar el pedido (se pueden corregir).
+            payments = [{ metodo_pago_id: paymentMethods[0]?.metodo_pago_id, monto: 0 }]; // Un único pago que seguirá al total hasta que el usuario lo edite.
+            paymentsTouched = false;
+            resetDiscounts(); // Los descuentos se eligen por factura.
+            resetCustomer(); // El cliente también.
+            if (!currentOrder.Productos.some(item => Number(item.DetallePedido.cantidad_facturada) > 0)) { // Si aún no se ha dividido la cuenta, empieza como cuenta completa.
+                splitModeSelect.value = 'completa';
+                splitPartsGroup.style.display = 'none';
+            }
             renderTable(); // Renderiza la tabla con los ítems del pedido actual.
             detailsSection.style.display = 'block'; // Muestra la sección de detalles del pedido.
             finalInvoiceSection.style.display = 'none'; // Asegura que la sección de factura final esté oculta al cargar un nuevo pedido.
@@ -125,6 +508,43 @@ export const waiterInvoiceGeneratorController = () => {
         }
     };
     
+    /**
+     * Vuelve a cargar el pedido actual para reflejar lo ya cobrado en otras facturas.
+     */
+    const reloadCurrentOrder = async () => {
+        if (!currentOrder) return;
+        try {
+            currentOrder = await api.get(`pedidos/${currentOrder.pedido_id}`); // Trae las cantidades facturadas actualizadas.
+            payments = [{ metodo_pago_id: paymentMethods[0]?.metodo_pago_id, monto: 0 }]; // Cada factura de la cuenta dividida lleva su propio pago...
+            paymentsTouched = false;
+            tipInput.value = "0.00"; // ...y su propia propina.
+            selectedTipPercent = null;
+            resetDiscounts(); // ...y sus propios descuentos.
+            resetCustomer(); // ...y su propio cliente.
+            renderTable();
+        } catch (error) {
+            showAlert(error.message, 'error');
+        }
+    };
+
+    /**
+     * Construye los datos de división de la cuenta que se envían al generar la factura.
+     * @returns {object} { lineas } en división por artículos, { partes } en partes iguales o {} para la cuenta completa.
+     */
+    const getSplitPayload = () => {
+        if (splitModeSelect.value === 'articulos') {
+            return {
+                lineas: currentOrder.Productos
+                    .filter(item => item.DetallePedido.detalle_id && getBillQuantity(item) > 0)
+                    .map(item => ({ detalle_id: item.DetallePedido.detalle_id, cantidad: getBillQuantity(item) }))
+            };
+        }
+        if (splitModeSelect.value === 'partes') {
+            return { partes: Math.max(1, parseInt(splitPartsInput.value, 10) || 1) };
+        }
+        return {};
+    };
+
     /**
      * Abre y configura el modal para editar la cantidad de un ítem.
      * @param {number} index - El índice del ítem en el array currentOrder.Productos.
@@ -168,6 +588,30 @@ export const waiterInvoiceGeneratorController = () => {
      */
     const handleFinalizeInvoice = async () => { 
         if (!currentOrder) return; // Si no hay un pedido cargado, no hace nada.
+
+        const billedIds = currentOrder.Productos.filter(item => getBillQuantity(item) > 0).map(item => item.DetallePedido.detalle_id); // Líneas que se cobran en esta factura.
+        const orphanDiscount = appliedDiscounts.find(applied => applied.detalle_id && !billedIds.includes(applied.detalle_id));
+        if (orphanDiscount) { // Un descuento por línea solo aplica si el artículo se cobra en esta factura.
+            showAlert(`El descuento "${orphanDiscount.descuento.nombre}" es de un artículo que no se cobra en esta factura.`, 'warning');
+            return;
+        }
+        const needsApproval = !isAdminUser && appliedDiscounts.some(applied => applied.descuento.requiere_aprobacion);
+        if (needsApproval && (!approvalEmailInput.value.trim() || !approvalPasswordInput.value)) {
+            showAlert('Ingrese el correo y la contraseña del administrador que autoriza el descuento.', 'warning');
+            return;
+        }
+
+        const redeemPoints = parseInt(redeemPointsInput.value, 10) || 0; // Puntos a canjear en esta factura.
+        if (redeemPoints && !getRedeemDiscount()) {
+            showAlert(`Los puntos a canjear deben estar entre ${loyaltyConfig?.minimo_canje} y ${customerPoints?.saldo ?? 0}.`, 'warning');
+            return;
+        }
+
+        const { error: paymentsError } = resumirPagos(payments, currentTotal, paymentMethods); // Valida los pagos antes de enviarlos.
+        if (paymentsError) {
+            showAlert(paymentsError, 'warning');
+            return;
+        }
         
         const originalButtonText = finalizeBtn.innerHTML; // Guarda el texto original del botón de finalización para restaurarlo después.
         finalizeBtn.disabled = true; // Deshabilita el botón para evitar múltiples clics mientras se procesa la solicitud.
@@ -175,25 +619,63 @@ export const waiterInvoiceGeneratorController = () => {
 
         const invoiceData = { // Prepara los datos necesarios para crear la factura.
             pedido_id: currentOrder.pedido_id, 
-            metodo_pago_id: paymentMethodSelect.value,
-            propina: parseFloat(tipInput.value) || 0
-        }; // Incluye el ID del pedido, el método de pago seleccionado y la propina ingresada por el usuario.
+            ...getSplitPayload(), // Líneas o partes a cobrar si la cuenta se divide.
+            pagos: payments.map(p => ({ metodo_pago_id: Number(p.metodo_pago_id), monto: Number(p.monto), ...(isGiftCardPayment(p) ? { codigo_tarjeta: p.codigo_tarjeta } : {}) })),
+            propina: parseFloat(tipInput.value) || 0,
+            comensales: guestsInput.value ? Number(guestsInput.value) : null, // Con el mínimo configurado se cobra el cargo por servicio.
+            descuentos: appliedDiscounts.map(applied => ({
+                ...(applied.codigo ? { codigo: applied.codigo } : { descuento_id: applied.descuento.descuento_id }), // Los códigos promocionales se envían como código.
+                detalle_id: applied.detalle_id,
+                motivo: applied.motivo
+            })),
+            ...(needsApproval ? { autorizacion: { correo: approvalEmailInput.value.trim(), contraseña: approvalPasswordInput.value } } : {}), // Credenciales del administrador que autoriza.
+            cliente_id: selectedCustomer?.cliente_id ?? null, // Sin cliente, la factura es de consumidor final.
+            puntos_canjeados: redeemPoints || undefined // Puntos del cliente canjeados como descuento.
+        }; // Incluye el ID del pedido, los pagos (uno o varios métodos), la propina, los comensales, los descuentos, el cliente y el canje de puntos.
 
         try {
             const result = await api.post('facturas', invoiceData); // Envía una solicitud POST a la API para crear la factura con los datos preparados.
             generatedInvoiceId = result.factura.factura_id; // Guarda el ID de la factura generada para futuras referencias (como anulación o envío por email).
-            showAlert(result.message, 'success'); 
+            invoiceCustomer = result.factura.cliente; // Cliente de la factura generada.
+            showAlert(result.alerta_numeracion ? `${result.message} ${result.alerta_numeracion}` : result.message, result.alerta_numeracion ? 'warning' : 'success'); // Avisa si la resolución de facturación se está agotando o por vencer.
             
             await init(true); // Recarga la lista de pedidos a facturar.
 
-            detailsSection.style.display = 'none'; // Oculta la sección de detalles del pedido para mostrar la factura generada.
-            document.getElementById('order-selection-section').style.display = 'block'; // Muestra la sección de selección de pedidos para permitir al usuario generar otra factura si lo desea.
-            finalInvoiceTitle.textContent = `Factura #${generatedInvoiceId} Generada`; // Actualiza el título de la sección final para reflejar el ID de la factura generada.
-            const finalTableHTML = `<table class="invoice-table"><thead>${document.getElementById('invoice-items-table').querySelector('thead').innerHTML}</thead><tbody>${tableBody.innerHTML}</tbody></table>`; // Crea el HTML de la tabla de ítems de la factura generada.
-            const finalSummaryHTML = `<div class="invoice-summary">${document.querySelector('.invoice-summary-details').outerHTML}</div>`; // Crea el HTML del resumen de la factura generada.
-            finalInvoiceContent.innerHTML = finalTableHTML + finalSummaryHTML; // Muestra el contenido final de la factura generada.
+            const billedRows = [...tableBody.querySelectorAll('tr')].map(row => { // Copia de las filas cobradas (sin los campos editables).
+                const input = row.querySelector('.bill-quantity-input');
+                if (input && !(parseFloat(input.value) > 0)) return ''; // Las líneas que no se cobraron en esta factura no se copian.
+                const clone = row.cloneNode(true);
+                clone.querySelectorAll('.bill-quantity-input').forEach(input => input.replaceWith(input.value));
+                return clone.outerHTML;
+            }).join('');
+            finalInvoiceTitle.textContent = `Factura ${result.factura.numero} Generada`; // Actualiza el título de la sección final con el número de la factura generada.
+            const finalTableHTML = `<table class="invoice-table"><thead>${document.getElementById('invoice-items-table').querySelector('thead').innerHTML}</thead><tbody>${billedRows}</tbody></table>`; // Crea el HTML de la tabla de ítems de la factura generada.
+            const summaryCopy = document.querySelector('.invoice-summary-details').cloneNode(true); // Copia del resumen sin los botones de propina sugerida.
+            summaryCopy.querySelector('.tip-suggestions')?.remove();
+            const finalSummaryHTML = `<div class="invoice-summary">${summaryCopy.outerHTML}</div>`; // Crea el HTML del resumen de la factura generada.
+            const methodName = (id) => paymentMethods.find(m => m.metodo_pago_id === Number(id))?.nombre_metodo || 'Método'; // Nombre del método de cada pago.
+            const finalPaymentsHTML = `<div class="invoice-payments"><h4>Pagos</h4>${result.factura.pagos.map(p => `
+                <div class="summary-row"><span>${methodName(p.metodo_pago_id)}${Number(p.cambio) > 0 ? ` (recibido $${Number(p.monto_recibido).toFixed(2)}, cambio $${Number(p.cambio).toFixed(2)})` : ''}:</span><span>$${Number(p.monto_pagado).toFixed(2)}</span></div>
+            `).join('')}</div>`; // Lista cada pago registrado con el cambio devuelto en efectivo.
+            const finalCustomerHTML = `<p class="invoice-customer__selected">Cliente: ${invoiceCustomer ? `${invoiceCustomer.nombre} - ${formatearDocumento(invoiceCustomer)}` : 'Consumidor final'}</p>`; // Cliente impreso en la factura.
+            const { puntos } = result.factura;
+            const finalPointsHTML = puntos ? `<div class="invoice-payments"><h4>Puntos</h4>
+                <div class="summary-row"><span>Ganados / canjeados:</span><span>${puntos.ganados} / ${puntos.canjeados}</span></div>
+                <div class="summary-row"><span>Saldo del cliente:</span><span>${puntos.saldo} puntos</span></div>
+            </div>` : ''; // Puntos del cliente tras la factura.
+            finalInvoiceContent.innerHTML = finalCustomerHTML + finalTableHTML + finalSummaryHTML + finalPaymentsHTML + finalPointsHTML; // Muestra el contenido final de la factura generada.
             finalInvoiceSection.style.display = 'block'; // Muestra la sección final de la factura generada al usuario.
 
+            if (result.pedido_pagado) { // La cuenta quedó saldada: se vuelve a la selección de pedidos.
+                detailsSection.style.display = 'none';
+                document.getElementById('order-selection-section').style.display = 'block';
+            } else { // Quedan artículos por cobrar: se recarga el pedido para la siguiente factura.
+                if (splitModeSelect.value === 'partes') {
+                    splitPartsInput.value = Math.max(1, (parseInt(splitPartsInput.value, 10) || 1) - 1); // Una parte menos por cobrar.
+                }
+                await reloadCurrentOrder();
+            }
+
         } catch (error) {
             showAlert(error.message, 'error');
         } finally {
@@ -213,8 +695,8 @@ export const waiterInvoiceGeneratorController = () => {
         voidInvoiceBtn.innerHTML = `<span class="spinner"></span> Anulando...`;
 
         try {
-            await showConfirmModal('Confirmar Anulación', `¿Está seguro de que desea anular la factura <strong>#${generatedInvoiceId}</strong>? Esta acción no se puede deshacer.`); // Muestra un modal de confirmación.
-            const response = await api.post(`facturas/${generatedInvoiceId}/void`); // Envía una solicitud POST a la API para anular la factura.
+            const motivo = await showReasonModal('Confirmar Anulación', `La factura <strong>#${generatedInvoiceId}</strong> quedará anulada con una nota crédito. Esta acción no se puede deshacer.`); // Pide el motivo que queda en la nota crédito.
+            const response = await api.post(`facturas/${generatedInvoiceId}/void`, { motivo }); // Envía una solicitud POST a la API para anular la factura.
             showAlert(response.message, 'success'); // Muestra una alerta de éxito.
             
             // Vuelve a la pantalla de edición para corregir el pedido.
@@ -222,6 +704,7 @@ export const waiterInvoiceGeneratorController = () => {
             detailsSection.style.display = 'block';  // Muestra la sección de detalles del pedido para permitir al usuario corregirlo.
             
             await init(true); // Recarga la lista de pedidos.
+            await reloadCurrentOrder(); // Las líneas de la factura anulada vuelven a quedar pendientes.
 
         } catch (error) {
             if (error && error.message) {
@@ -309,8 +792,8 @@ export const waiterInvoiceGeneratorController = () => {
             return;
         }
 
-        // Verificar si el producto ya está en el pedido
-        const existingItemIndex = currentOrder.Productos.findIndex(p => p.producto_id == productId);
+        // Verificar si el producto ya está en el pedido (en una línea sin modificadores)
+        const existingItemIndex = currentOrder.Productos.findIndex(p => p.producto_id == productId && !p.DetallePedido.modificadores?.length);
         if (existingItemIndex !== -1) {
             // Si ya existe, solo actualizamos la cantidad
             currentOrder.Productos[existingItemIndex].DetallePedido.cantidad += quantity;
@@ -320,6 +803,7 @@ export const waiterInvoiceGeneratorController = () => {
                 producto_id: selectedProduct.producto_id,
                 nombre_producto: selectedProduct.nombre_producto,
                 valor_neto: selectedProduct.valor_neto,
+                impuesto: selectedProduct.Impuesto || selectedProduct.Categoria?.Impuesto || null, // Tarifa propia del producto o, si no tiene, la de su categoría.
                 DetallePedido: {
                     cantidad: quantity
                 }
@@ -340,8 +824,12 @@ export const waiterInvoiceGeneratorController = () => {
         try {
             // Carga los métodos de pago solo la primera vez.
             if (!isRefresh) { 
-                const paymentMethods = await api.get('metodos-pago'); // Llama a la API para obtener la lista de métodos de pago.
-                paymentMethodSelect.innerHTML = paymentMethods.map(p => `<option value="${p.metodo_pago_id}">${p.nombre_metodo}</option>`).join(''); // Agrega los métodos de pago al selector.
+                paymentMethods = await api.get('metodos-pago'); // Llama a la API para obtener la lista de métodos de pago usados en los selectores de cada pago.
+                availableDiscounts = (await api.get('descuentos')).filter(d => d.activo && !d.codigo); // Descuentos que se eligen de la lista.
+                loyaltyConfig = await api.get('puntos/configuracion').catch(() => null); // Valor del punto y mínimo por canje (sin configuración no se muestran puntos).
+                tipConfig = await api.get('propinas/configuracion').catch(() => null); // Propinas sugeridas y cargo por servicio (sin configuración no se muestran).
+                discountSelect.innerHTML = '<option value="">-- Seleccione un descuento --</option>' +
+                    availableDiscounts.map(d => `<option value="${d.descuento_id}">${d.nombre} (${d.tipo === 'porcentaje' ? `${Number(d.valor)}%` : `$${parseFloat(d.valor).toFixed(2)}`})</option>`).join('');
                 await loadAvailableProducts(); // Carga los productos disponibles.
             }
             // Carga (o recarga) la lista de pedidos en estado 'entregado'.
@@ -355,6 +843,18 @@ export const waiterInvoiceGeneratorController = () => {
     };
     
     // --- Asignación de Event Listeners ---
+    tableBody.addEventListener('change', (e) => { // Cantidad a cobrar de una línea (división por artículos).
+        if (!e.target.matches('.bill-quantity-input')) return;
+        const item = currentOrder.Productos[e.target.dataset.index];
+        item.billQuantity = Math.max(0, parseFloat(e.target.value) || 0);
+        renderTable();
+    });
+    splitModeSelect.onchange = () => { // Cambio del modo de división de la cuenta.
+        splitPartsGroup.style.display = splitModeSelect.value === 'partes' ? 'block' : 'none';
+        if (currentOrder) renderTable();
+    };
+    splitPartsInput.oninput = () => { if (currentOrder) renderTable(); }; // Recalcula la parte al cambiar el número de partes.
+
     tableBody.addEventListener('click', (e) => { // Escucha los clics en la tabla de ítems.
         const target = e.target; // Obtiene el elemento que disparó el evento.
         if (target.matches('.edit-item-btn')) {
@@ -364,11 +864,91 @@ export const waiterInvoiceGeneratorController = () => {
         }
     });
 
+    paymentsList.addEventListener('change', (e) => { // Cambio del método de un pago.
+        if (!e.target.matches('.payment-method-select')) return;
+        payments[e.target.dataset.index].metodo_pago_id = Number(e.target.value);
+        paymentsTouched = true;
+        renderPayments(); // Redibuja para mostrar u ocultar el código de la tarjeta de regalo.
+    });
+    paymentsList.addEventListener('input', (e) => { // Cambio del monto o del código de tarjeta de un pago (sin redibujar para no perder el foco).
+        if (e.target.matches('.payment-card-input')) {
+            payments[e.target.dataset.index].codigo_tarjeta = e.target.value.trim();
+            renderPaymentsSummary();
+            return;
+        }
+        if (!e.target.matches('.payment-amount-input')) return;
+        payments[e.target.dataset.index].monto = parseFloat(e.target.value) || 0;
+        paymentsTouched = true;
+        renderPaymentsSummary();
+    });
+    paymentsList.addEventListener('click', (e) => { // Consulta el saldo de una tarjeta de regalo o quita un pago de la lista.
+        if (e.target.matches('.check-card-btn')) {
+            handleCheckGiftCard(Number(e.target.dataset.index));
+            return;
+        }
+        if (!e.target.matches('.remove-payment-btn')) return;
+        payments.splice(e.target.dataset.index, 1);
+        paymentsTouched = true;
+        renderPayments();
+    });
+    addPaymentBtn.onclick = handleAddPayment; // Añade un pago con otro método.
+
+    discountSelect.onchange = () => { // Los descuentos por línea piden el artículo a descontar.
+        const discount = availableDiscounts.find(d => d.descuento_id === Number(discountSelect.value));
+        discountLineSelect.style.display = discount?.alcance === 'linea' ? 'block' : 'none';
+    };
+    addDiscountBtn.onclick = handleAddDiscount; // Aplica el descuento o código promocional.
+    discountsList.addEventListener('click', (e) => { // Quita un descuento de la factura.
+        if (!e.target.matches('.remove-discount-btn')) return;
+        appliedDiscounts.splice(e.target.dataset.index, 1);
+        renderDiscounts();
+    });
+
+    customerSearchBtn.onclick = handleSearchCustomers; // Busca clientes.
+    customerSearchInput.onkeydown = (e) => { if (e.key === 'Enter') handleSearchCustomers(); }; // Enter también busca.
+    customerResults.addEventListener('click', (e) => { // Elige un cliente de los resultados.
+        if (!e.target.matches('.select-customer-btn')) return;
+        selectedCustomer = foundCustomers[e.target.dataset.index];
+        renderSelectedCustomer();
+        loadCustomerPoints(); // Saldo de puntos del cliente elegido.
+    });
+    selectedCustomerBox.addEventListener('click', (e) => { // Quita el cliente: la factura vuelve a ser de consumidor final.
+        if (e.target.id !== 'remove-customer-btn') return;
+        resetCustomer();
+        calculateAndRenderTotals(); // Sin cliente no hay canje de puntos.
+    });
+    newCustomerBtn.onclick = () => { // Abre el modal de registro, proponiendo el documento buscado si es numérico.
+        customerForm.reset();
+        const term = customerSearchInput.value.trim();
+        if (/^[\d.\-\s]+$/.test(term)) document.getElementById('customer-doc-number').value = term;
+        customerModal.classList.add('is-active');
+    };
+    cancelCustomerBtn.onclick = () => customerModal.classList.remove('is-active'); // Cierra el modal de cliente.
+    customerModal.querySelector('.modal__close-btn').onclick = () => customerModal.classList.remove('is-active'); // Cierra el modal de cliente.
+    saveCustomerBtn.onclick = handleSaveCustomer; // Registra el cliente.
+    customerDocType.innerHTML = getOpcionesTipoDocumento(); // Tipos de documento aceptados.
+
     loadBtn.onclick = handleLoadOrder; // Asigna el manejador de eventos para cargar los detalles del pedido.
-    tipInput.oninput = () => calculateAndRenderTotals(); // Asigna el manejador de eventos para calcular los totales cuando se ingresa una propina.
+    redeemPointsInput.oninput = () => calculateAndRenderTotals(); // Recalcula el total con el canje de puntos.
+    tipInput.oninput = () => { // Una propina digitada reemplaza a la sugerida.
+        selectedTipPercent = null;
+        calculateAndRenderTotals();
+    };
+    tipSuggestions.addEventListener('click', (e) => { // Elige (o quita) una propina sugerida.
+        const button = e.target.closest('.tip-suggestion-btn');
+        if (!button) return;
+        const percent = Number(button.dataset.percent);
+        selectedTipPercent = selectedTipPercent === percent ? null : percent;
+        if (selectedTipPercent === null) tipInput.value = "0.00";
+        calculateAndRenderTotals();
+    });
+    guestsInput.oninput = () => calculateAndRenderTotals(); // El cargo por servicio depende de los comensales.
     finalizeBtn.onclick = handleFinalizeInvoice; // Asigna el manejador de eventos para finalizar la factura.
     voidInvoiceBtn.onclick = handleVoidInvoice; // Asigna el manejador de eventos para anular la factura.
-    sendEmailBtn.onclick = () => sendEmailModal.classList.add('is-active'); // Abre el modal de envío de correo.
+    sendEmailBtn.onclick = () => { // Abre el modal de envío de correo, proponiendo el correo del cliente de la factura.
+        emailInput.value = invoiceCustomer?.email || '';
+        sendEmailModal.classList.add('is-active');
+    };
     addItemBtn.onclick = handleAddItem; // Abre el modal para añadir producto.
     
     cancelEditBtn.onclick = () => editItemModal.classList.remove('is-active'); // Cierra el modal de edición.
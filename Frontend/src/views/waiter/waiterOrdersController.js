@@ -8,6 +8,7 @@
 import { showAlert } from '../../helpers/alerts.js';
 import { api } from '../../helpers/solicitudes.js';
 import { connectSocket, getSocket } from '../../helpers/socketClient.js';
+import { calcularPrecioUnitario, describirModificadores } from '../../helpers/modificadores.js';
 
 /**
  * Controlador principal para la vista de Gestión de Pedidos del Mesero.
@@ -25,6 +26,8 @@ export const waiterOrdersController = () => {
     const orderForm = document.getElementById('order-form');
     const orderIdInput = document.getElementById('order-id');
     const tableIdHiddenInput = document.getElementById('table-id-hidden');
+    const orderGuestsGroup = document.getElementById('order-guests-group');
+    const orderGuestsInput = document.getElementById('order-guests');
     const orderStatusContainer = document.getElementById('order-status-container');
     const orderStatusDisplay = document.getElementById('order-status-display');
     const orderItemsList = document.getElementById('order-items-list');
@@ -32,6 +35,7 @@ export const waiterOrdersController = () => {
     const addItemSection = document.getElementById('add-item-section');
     const categoryFilterSelect = document.getElementById('item-category-filter');
     const itemSelect = document.getElementById('item-select');
+    const itemModifiersContainer = document.getElementById('item-modifiers');
     const itemQuantityInput = document.getElementById('item-quantity');
     const itemNotesInput = document.getElementById('item-notes');
     const confirmAddItemBtn = document.getElementById('confirm-add-item-btn');
@@ -111,17 +115,31 @@ export const waiterOrdersController = () => {
 
         socket.off('nuevo_pedido');
         socket.off('cambio_estado_pedido');
+        socket.off('pedido_modificado');
         socket.off('pedido_cancelado');
         socket.off('mesa_actualizada');
+        socket.off('disponibilidad_actualizada');
 
         const refrescar = () => {
             loadInitialData();
         };
 
+        // Al agotarse o habilitarse un producto (o una categoría completa) se actualiza el selector sin recargar.
+        const actualizarDisponibilidad = ({ message, data }) => {
+            allMenuItems.forEach(item => {
+                if (data.tipo === 'producto' && item.producto_id === data.id) item.disponible = data.disponible;
+                if (data.tipo === 'categoria' && item.categoria_id === data.id) item.Categoria = { ...item.Categoria, disponible: data.disponible };
+            });
+            populateItemSelect(categoryFilterSelect.value);
+            showAlert(message, data.disponible ? 'info' : 'warning');
+        };
+
         socket.on('nuevo_pedido', refrescar);
         socket.on('cambio_estado_pedido', refrescar);
+        socket.on('pedido_modificado', refrescar);
         socket.on('pedido_cancelado', refrescar);
         socket.on('mesa_actualizada', refrescar);
+        socket.on('disponibilidad_actualizada', actualizarDisponibilidad);
     };
 
     // --- Lógica de Renderizado ---
@@ -175,12 +193,14 @@ export const waiterOrdersController = () => {
         let total = 0; // Se inicializa el total del pedido a 0.
         if (currentOrderItems.length > 0) { // Si hay ítems en el pedido actual, se renderiza la lista de ítems.
             orderItemsList.innerHTML = currentOrderItems.map((item, index) => { // Se itera sobre cada ítem del pedido actual.
-                const subtotal = item.valor_neto * item.cantidad; // Se calcula el subtotal del ítem multiplicando su valor neto por la cantidad.
+                const subtotal = calcularPrecioUnitario(item.valor_neto, item.modificadores) * item.cantidad; // Se calcula el subtotal del ítem: precio con modificadores por la cantidad.
+                const modificadores = describirModificadores(item.modificadores); // Se describen las opciones elegidas (ej. "Salmón, Extra salsa (+$2000.00)").
                 total += subtotal; // Se suma el subtotal al total del pedido.
                 return `
                     <div class="order-item-entry">
                         <div class="order-item-details">
                             <span>${item.cantidad}x ${item.nombre_producto}</span>
+                            ${modificadores ? `<small class="order-item-modifiers">${modificadores}</small>` : ''}
                             ${item.notas ? `<em class="order-item-notes">(${item.notas})</em>` : ''}
                         </div>
                         <div class="order-item-actions">
@@ -198,9 +218,64 @@ export const waiterOrdersController = () => {
 
     const populateCategoryFilter = () => categoryFilterSelect.innerHTML = ['<option value="all">Todas</option>', ...allCategories.map(c => `<option value="${c.categoria_id}">${c.nombre}</option>`)].join(''); // Se llena el filtro de categorías con las categorías disponibles, incluyendo una opción para mostrar todos los ítems.
     
+    const isAvailable = (item) => item.disponible !== false && item.Categoria?.disponible !== false; // Un producto agotado, o de una categoría agotada, no se puede pedir.
+
     const populateItemSelect = (categoryId = 'all') => { // Se llena el selector de ítems del menú según la categoría seleccionada.
+        const previousValue = itemSelect.value; // Se conserva el producto elegido si sigue disponible.
         const items = categoryId === 'all' ? allMenuItems : allMenuItems.filter(i => i.categoria_id == categoryId); // Se filtran los ítems del menú según la categoría seleccionada, o se muestran todos si se selecciona "Todas".
-        itemSelect.innerHTML = items.map(i => `<option value="${i.producto_id}">${i.nombre_producto} ($${parseFloat(i.valor_neto).toFixed(2)})</option>`).join(''); // Se llena el selector de ítems con los ítems filtrados, mostrando el nombre del producto y su valor neto formateado a dos decimales.
+        itemSelect.innerHTML = items.map(i => `<option value="${i.producto_id}" ${isAvailable(i) ? '' : 'disabled'}>${i.nombre_producto} ($${parseFloat(i.valor_neto).toFixed(2)})${isAvailable(i) ? '' : ' - Agotado'}</option>`).join(''); // Se llena el selector de ítems con los ítems filtrados, mostrando el nombre del producto y su valor neto; los agotados aparecen deshabilitados.
+        const previousOption = [...itemSelect.options].find(option => option.value === previousValue && !option.disabled);
+        if (previousOption) itemSelect.value = previousValue;
+        renderModifierGroups(); // Se muestran los modificadores del producto seleccionado.
+    };
+
+    /**
+     * Renderiza los grupos de modificadores del producto seleccionado.
+     * Un grupo con máximo 1 se muestra como opciones únicas (radio); los demás como casillas.
+     */
+    const renderModifierGroups = () => {
+        const product = allMenuItems.find(i => i.producto_id == itemSelect.value); // Se obtiene el producto seleccionado.
+        const groups = product?.grupos_modificadores || []; // Grupos de modificadores del producto (pueden no existir).
+        itemModifiersContainer.innerHTML = groups.filter(g => g.opciones?.length > 0).map(group => {
+            const single = group.max_seleccion === 1; // Si solo se puede elegir una opción se usan radios.
+            const rule = group.min_seleccion > 0
+                ? (group.max_seleccion ? `Elige ${group.min_seleccion === group.max_seleccion ? group.min_seleccion : `${group.min_seleccion} a ${group.max_seleccion}`}` : `Elige al menos ${group.min_seleccion}`)
+                : (group.max_seleccion ? `Opcional, máximo ${group.max_seleccion}` : 'Opcional'); // Se describe la regla de selección del grupo.
+            return `
+                <fieldset class="item-modifiers__group" data-group-id="${group.grupo_id}">
+                    <legend>${group.nombre} <span class="item-modifiers__rule">(${rule})</span></legend>
+                    ${group.opciones.map(option => `
+                        <label class="item-modifiers__option">
+                            <input type="${single ? 'radio' : 'checkbox'}" name="modificador-grupo-${group.grupo_id}" value="${option.opcion_id}">
+                            ${describirModificadores([option])}
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
+        }).join(''); // Se genera un bloque por grupo con sus opciones.
+    };
+
+    /**
+     * Lee las opciones marcadas para el producto seleccionado y valida las reglas de cada grupo.
+     * @param {object} product - Producto seleccionado (con 'grupos_modificadores').
+     * @returns {{error: string|null, modificadores: Array<object>}}
+     */
+    const getSelectedModifiers = (product) => {
+        const modificadores = [];
+        for (const group of product.grupos_modificadores || []) {
+            const checked = [...itemModifiersContainer.querySelectorAll(`input[name="modificador-grupo-${group.grupo_id}"]:checked`)].map(input => Number(input.value)); // IDs marcados en el grupo.
+            if (checked.length < group.min_seleccion) return { error: `Debe elegir al menos ${group.min_seleccion} opción(es) en "${group.nombre}".`, modificadores: [] };
+            if (group.max_seleccion != null && checked.length > group.max_seleccion) return { error: `Puede elegir máximo ${group.max_seleccion} opción(es) en "${group.nombre}".`, modificadores: [] };
+            (group.opciones || []).filter(o => checked.includes(o.opcion_id)).forEach(o => modificadores.push({
+                opcion_id: o.opcion_id,
+                grupo_id: group.grupo_id,
+                grupo: group.nombre,
+                tipo: group.tipo,
+                nombre: o.nombre,
+                precio_delta: Number(o.precio_delta) || 0
+            })); // Se guarda una copia de cada opción para mostrarla y calcular el precio.
+        }
+        return { error: null, modificadores };
     };
     
     /**
@@ -209,13 +284,15 @@ export const waiterOrdersController = () => {
      */
     const openOrderModal = (config) => { // Se configura y abre el modal de pedido con la configuración proporcionada.
         orderForm.reset(); // Se reinicia el formulario del modal para evitar datos residuales de pedidos anteriores.
+        renderModifierGroups(); // Se muestran los modificadores del producto que queda seleccionado tras el reinicio.
         orderModalTitle.textContent = config.title; // Se establece el título del modal según la configuración proporcionada.
         orderIdInput.value = config.orderId || ''; // Se establece el ID del pedido en el campo oculto del formulario, si se proporciona.
         tableIdHiddenInput.value = config.tableId; // Se establece el ID de la mesa en el campo oculto del formulario.
+        orderGuestsGroup.style.display = config.orderId ? 'none' : 'block'; // Los comensales se indican al crear el pedido (al facturar se pueden corregir).
         currentOrderItems = config.items || []; // Se inicializa la lista de ítems del pedido actual con los ítems proporcionados en la configuración, o se deja vacía si no se proporciona.
         renderOrderItems(); // Se renderiza la lista de ítems del pedido actual para mostrar los ítems en el modal.
         
-        const isEditable = !config.status || config.status === 'pendiente'; // Se determina si el pedido es editable: si no tiene estado o si su estado es 'pendiente'.
+        const isEditable = !config.status || ['pendiente', 'en_preparacion'].includes(config.status); // Se determina si el pedido es editable: si es nuevo o si aún está en cocina (pendiente o en preparación).
         
         orderStatusContainer.style.display = config.status ? 'block' : 'none';// Se muestra el contenedor del estado del pedido solo si se proporciona un estado en la configuración.
         if (config.status) { // Si se proporciona un estado, se actualiza el texto y la clase del estado del pedido.
@@ -245,11 +322,13 @@ export const waiterOrdersController = () => {
         try {
             const order = await api.get(`pedidos/${orderId}`); // Se obtiene el pedido completo desde la API.
             const items = order.Productos.map(p => ({ // Se mapea cada producto del pedido para crear una lista de ítems con sus detalles.
+                detalle_id: p.DetallePedido.detalle_id, // Identifica la línea para que la edición la conserve en lugar de recrearla.
                 producto_id: p.producto_id,
                 nombre_producto: p.nombre_producto,
                 valor_neto: p.valor_neto,
                 cantidad: p.DetallePedido.cantidad,
                 notas: p.DetallePedido.notas,
+                modificadores: p.DetallePedido.modificadores || [], // Opciones elegidas en la línea (con su precio del momento).
             }));
             openOrderModal({ title: `Detalles del Pedido #${orderId}`, orderId: order.pedido_id, tableId: order.mesa_id, status: order.estado, items }); // Se abre el modal con los detalles del pedido, incluyendo el ID del pedido, el ID de la mesa, el estado del pedido y los ítems del pedido.
         } catch (error) {
@@ -277,12 +356,13 @@ export const waiterOrdersController = () => {
         }
         const orderData = { // Se prepara el objeto de datos del pedido para enviar a la API.
             mesa_id: tableId,
-            items: currentOrderItems.map(item => ({ producto_id: item.producto_id, cantidad: item.cantidad, notas: item.notas }))
-        }; // Se mapea cada ítem del pedido actual para crear un objeto con el ID del producto, la cantidad y las notas.
+            comensales: orderGuestsInput.value ? Number(orderGuestsInput.value) : null, // Número de personas en la mesa (opcional).
+            items: currentOrderItems.map(item => ({ detalle_id: item.detalle_id, producto_id: item.producto_id, cantidad: item.cantidad, notas: item.notas, modificadores: (item.modificadores || []).map(m => m.opcion_id) }))
+        }; // Se mapea cada ítem del pedido actual con su línea (si ya existía), el ID del producto, la cantidad, las notas y los IDs de los modificadores elegidos.
         try {
             if (orderId) {
-                await api.put(`pedidos/${orderId}`, { items: orderData.items }); // Si hay un ID de pedido, se actualiza el pedido existente con los nuevos ítems.
-                showAlert('Pedido actualizado correctamente.', 'success'); // Se muestra una alerta de éxito al usuario.
+                const result = await api.put(`pedidos/${orderId}`, { items: orderData.items }); // Si hay un ID de pedido, se envían los ítems; el backend aplica solo las líneas que cambiaron.
+                showAlert(result.revision ? `Pedido actualizado (revisión #${result.revision.numero_revision}).` : 'El pedido no tenía cambios.', 'success'); // Se muestra una alerta de éxito al usuario.
             } else {
                 await api.post('pedidos', orderData); // Si no hay un ID de pedido, se crea un nuevo pedido con los ítems actuales.
                 showAlert('Pedido creado correctamente.', 'success'); // Se muestra una alerta de éxito al usuario.
@@ -312,21 +392,33 @@ export const waiterOrdersController = () => {
         });
 
         categoryFilterSelect.onchange = () => populateItemSelect(categoryFilterSelect.value); // Se agrega un evento onchange al filtro de categorías para actualizar el selector de ítems según la categoría seleccionada.
+        itemSelect.onchange = renderModifierGroups; // Al cambiar de producto se muestran sus modificadores.
 
         confirmAddItemBtn.onclick = () => { // Se maneja el clic en el botón "Agregar Ítem" para añadir un ítem al pedido actual.
             const selectedItem = allMenuItems.find(i => i.producto_id == itemSelect.value); // Se busca el ítem seleccionado en el menú según el ID del producto seleccionado en el selector.
+            if (selectedItem && !isAvailable(selectedItem)) { // El producto pudo agotarse mientras estaba seleccionado.
+                showAlert(`${selectedItem.nombre_producto} está agotado en este momento.`, 'warning');
+                return;
+            }
             if (selectedItem) { // Si se encontró el ítem seleccionado, se procede a añadirlo al pedido actual.
+                const { error, modificadores } = getSelectedModifiers(selectedItem); // Se leen y validan los modificadores marcados.
+                if (error) {
+                    showAlert(error, 'warning');
+                    return;
+                }
                 currentOrderItems.push({ // Se crea un nuevo objeto para el ítem del pedido con los detalles del ítem seleccionado y la cantidad y notas ingresadas por el usuario.
                     producto_id: selectedItem.producto_id,
                     nombre_producto: selectedItem.nombre_producto,
                     valor_neto: selectedItem.valor_neto,
                     cantidad: itemQuantityInput.valueAsNumber,
                     notas: itemNotesInput.value,
+                    modificadores,
                 });// Se añade el nuevo ítem al pedido actual.
                 renderOrderItems(); // Se renderiza la lista de ítems del pedido para mostrar el nuevo ítem añadido.
             }
             itemQuantityInput.value = 1;// Se reinicia el campo de cantidad a 1 para facilitar la adición de más ítems.
             itemNotesInput.value = ''; // Se reinicia el campo de notas a vacío para facilitar la adición de más ítems.
+            renderModifierGroups(); // Se desmarcan los modificadores para el siguiente artículo.
         };
 
         orderForm.onsubmit = handleSaveOrder;// Se agrega un evento onsubmit al formulario del modal de pedido para manejar el guardado del pedido cuando se envía el formulario.
@@ -8,6 +8,7 @@
 import { showAlert } from '../../helpers/alerts.js';
 import { api } from '../../helpers/solicitudes.js';
 import { connectSocket, getSocket } from '../../helpers/socketClient.js';
+import { getCicloVidaPedido, getSiguientesEstados, getEtiquetaEstado } from '../../helpers/pedidoEstados.js';
 
 /**
  * Controlador principal para la vista de Estado de Pedidos.
@@ -22,6 +23,7 @@ export const waiterOrdersStatusController = () => {
     const itemsPerPage = 10; // Número de pedidos a mostrar por página.
     let currentPage = 1; // Página actual de la tabla.
     let allOrdersData = []; // Almacenará la lista completa de todos los pedidos.
+    let cicloVida = null; // Ciclo de vida de los pedidos (transiciones permitidas por rol).
 
     /**
      * Carga todos los pedidos desde la API y renderiza la tabla.
@@ -32,7 +34,10 @@ export const waiterOrdersStatusController = () => {
         paginationContainer.innerHTML = ''; // Limpia el contenedor de paginación antes de cargar los datos.
         try {
             // Se obtienen todos los pedidos sin filtrar por estado.
-            allOrdersData = await api.get('pedidos'); // Llama a la API para obtener todos los pedidos.
+            [allOrdersData, cicloVida] = await Promise.all([
+                api.get('pedidos'), // Llama a la API para obtener todos los pedidos.
+                getCicloVidaPedido() // Obtiene las transiciones permitidas para decidir qué acciones mostrar.
+            ]);
             currentPage = 1; // Reinicia la página actual a 1 para mostrar los pedidos desde el inicio.
             renderOrdersStatusTable(); // Renderiza la tabla de estado de pedidos con los datos obtenidos.
         } catch (error) { // Maneja cualquier error que ocurra al intentar obtener los pedidos.
@@ -63,18 +68,32 @@ export const waiterOrdersStatusController = () => {
     };
 
     /**
-     * Maneja la acción de marcar un pedido como 'entregado'.
+     * Maneja el cambio de estado de un pedido (ej. marcarlo como 'entregado').
      * @param {number} orderId - El ID del pedido a actualizar.
+     * @param {string} newStatus - El estado destino permitido por el ciclo de vida.
      */
-    const handleMarkAsDelivered = async (orderId) => { // Función para manejar la acción de marcar un pedido como entregado.
+    const handleChangeStatus = async (orderId, newStatus) => { // Función para manejar el cambio de estado de un pedido.
         try {
-            await api.put(`pedidos/${orderId}/estado`, { estado: 'entregado' }); // Llama a la API para actualizar el estado del pedido a 'entregado'.
-            showAlert('Pedido marcado como entregado.', 'success'); // Muestra una alerta de éxito al usuario indicando que el pedido ha sido marcado como entregado.
+            await api.put(`pedidos/${orderId}/estado`, { estado: newStatus }); // Llama a la API para actualizar el estado del pedido.
+            showAlert(`Pedido marcado como ${getEtiquetaEstado(cicloVida, newStatus).toLowerCase()}.`, 'success'); // Muestra una alerta de éxito al usuario.
             loadOrdersStatus(); // Recarga la tabla para reflejar el cambio de estado.
-        } catch (error) { // Maneja cualquier error que ocurra al intentar marcar el pedido como entregado.
+        } catch (error) { // Maneja cualquier error que ocurra al intentar cambiar el estado (ej. 409 por transición no permitida).
             showAlert(error.message, 'error');
         }
     };
+
+    /**
+     * Genera los botones de acción según las transiciones que el rol puede aplicar.
+     * @param {object} order - El pedido de la fila.
+     * @returns {string} - HTML de los botones o '---' si no hay acciones.
+     */
+    const renderStatusActions = (order) => {
+        const siguientes = getSiguientesEstados(cicloVida, order.estado);
+        if (siguientes.length === 0) return '---';
+        return siguientes.map(estado => `
+            <button class="btn ${estado === 'cancelado' ? 'btn--danger' : 'btn--primary'} btn--small change-status-btn" data-id="${order.pedido_id}" data-estado="${estado}">Marcar ${getEtiquetaEstado(cicloVida, estado)}</button>
+        `).join('');
+    };
     
     /**
      * Renderiza la tabla de estado de pedidos con los datos de la página actual.
@@ -116,16 +135,11 @@ export const waiterOrdersStatusController = () => {
                 <td>${order.pedido_id}</td>
                 <td>${order.Usuario?.nombre || 'N/A'}</td>
                 <td>${order.Mesa?.numero_mesa || 'N/A'}</td>
-                <td><span class="status-badge status-badge--${order.estado}">${order.estado}</span></td>
+                <td><span class="status-badge status-badge--${order.estado}">${getEtiquetaEstado(cicloVida, order.estado)}</span></td>
                 <td>${formatDate(order.fecha_creacion)}</td>
                 <td>${formatDate(order.fecha_modificacion)}</td>
                 <td class="table-actions">
-                    ${
-                        // Renderizado condicional del botón de acción.
-                        order.estado === 'preparado' 
-                        ? `<button class="btn btn--primary btn--small mark-delivered-btn" data-id="${order.pedido_id}">Marcar Entregado</button>`
-                        : '---'
-                    }
+                    ${renderStatusActions(order)}
                 </td>
             </tr>
         `).join(''); // Se une el array de filas en una sola cadena HTML para insertarlo en el cuerpo de la tabla.
@@ -160,9 +174,9 @@ export const waiterOrdersStatusController = () => {
     const init = () => {
         // Se utiliza delegación de eventos para una gestión eficiente de los clics en los botones.
         ordersStatusTableBody.addEventListener('click', (e) => { // Se agrega un evento de clic al cuerpo de la tabla para manejar los clics en los botones dentro de las filas.
-            if (e.target.matches('.mark-delivered-btn')) { // Si se clickeó en un botón de "Marcar Entregado", se maneja la acción de marcar el pedido como entregado.
+            if (e.target.matches('.change-status-btn')) { // Si se clickeó en un botón de cambio de estado, se aplica la transición indicada.
                 const orderId = e.target.dataset.id; // Se obtiene el ID del pedido desde el atributo data-id del botón clickeado.
-                handleMarkAsDelivered(orderId); // Se llama a la función para marcar el pedido como entregado, pasando el ID del pedido.
+                handleChangeStatus(orderId, e.target.dataset.estado); // Se llama a la función de cambio de estado con el estado destino del botón.
             }
         });
         // Carga inicial de los datos al entrar a la vista.
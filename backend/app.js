@@ -16,6 +16,7 @@ import { createSocketServer } from './src/socket/index.js'; // Configuración de
 import { env, validateEnvironment } from './src/config/env.js';
 import { applySecurityHeaders } from './src/middleware/securityHeaders.middleware.js';
 import { createAuthRateLimiter } from './src/middleware/rateLimit.middleware.js';
+import { programarResumenInventario } from './src/utils/resumenInventario.js';
 
 // Carga las variables de entorno definidas en el archivo .env a process.env.
 dotenv.config();
@@ -32,6 +33,19 @@ import pedidoRoutes from './src/routes/pedido.routes.js';
 import facturaRoutes from './src/routes/factura.routes.js';
 import metodoPagoRoutes from './src/routes/metodo_pago.routes.js';
 import statsRoutes from './src/routes/stats.routes.js';
+import estacionRoutes from './src/routes/estacion.routes.js';
+import impuestoRoutes from './src/routes/impuesto.routes.js';
+import descuentoRoutes from './src/routes/descuento.routes.js';
+import notaCreditoRoutes from './src/routes/nota_credito.routes.js';
+import cajaRoutes from './src/routes/caja.routes.js';
+import resolucionRoutes from './src/routes/resolucion.routes.js';
+import clienteRoutes from './src/routes/cliente.routes.js';
+import puntosRoutes from './src/routes/puntos.routes.js';
+import tarjetaRegaloRoutes from './src/routes/tarjeta_regalo.routes.js';
+import propinaRoutes from './src/routes/propina.routes.js';
+import inventarioRoutes from './src/routes/inventario.routes.js';
+import proveedorRoutes from './src/routes/proveedor.routes.js';
+import ordenCompraRoutes from './src/routes/orden_compra.routes.js';
 
 // Se crea una instancia de la aplicación Express.
 const app = express();
@@ -86,6 +100,19 @@ app.use('/api/pedidos', pedidoRoutes);
 app.use('/api/facturas', facturaRoutes);
 app.use('/api/metodos-pago', metodoPagoRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/estaciones', estacionRoutes);
+app.use('/api/impuestos', impuestoRoutes);
+app.use('/api/descuentos', descuentoRoutes);
+app.use('/api/notas-credito', notaCreditoRoutes);
+app.use('/api/caja', cajaRoutes);
+app.use('/api/resoluciones', resolucionRoutes);
+app.use('/api/clientes', clienteRoutes);
+app.use('/api/puntos', puntosRoutes);
+app.use('/api/tarjetas-regalo', tarjetaRegaloRoutes);
+app.use('/api/propinas', propinaRoutes);
+app.use('/api/inventario', inventarioRoutes);
+app.use('/api/proveedores', proveedorRoutes);
+app.use('/api/ordenes-compra', ordenCompraRoutes);
 
 // --- Conexión a la Base de Datos y Arranque del Servidor ---
 
@@ -111,6 +138,15 @@ db.sequelize.sync().then(() => {
         console.log(`Servidor HTTP corriendo en el puerto ${PORT}.`);
         console.log(`Servidor Socket.IO habilitado para notificaciones en tiempo real.`);
     });
+
+    // Resumen diario de inventario bajo por correo (opcional).
+    if (env.resumenInventarioHora) {
+        if (programarResumenInventario(env.resumenInventarioHora)) {
+            console.log(`Resumen de inventario programado a diario a las ${env.resumenInventarioHora}.`);
+        } else {
+            console.warn(`INVENTARIO_RESUMEN_HORA no es una hora válida (HH:MM): ${env.resumenInventarioHora}.`);
+        }
+    }
 }).catch((err) => {
     // Si la conexión a la base de datos falla, se muestra un error y el servidor no arranca.
     console.error('Fallo al sincronizar la base de datos:', err);
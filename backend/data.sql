@@ -85,6 +85,9 @@ CREATE TABLE pedidos (
   FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id),
   FOREIGN KEY (mesa_id) REFERENCES mesas(mesa_id)
 );
+-- actualizacion del ciclo de vida de pedidos: el estado 'preparado' pasa a llamarse 'listo'
+-- (pendiente -> en_preparacion -> listo -> entregado -> pagado, y cancelado)
+UPDATE pedidos SET estado = 'listo' WHERE estado = 'preparado';
 
 -- 7. Tabla detalle_pedido: Contiene los productos específicos de cada pedido.
 -- Es la tabla pivote entre 'pedidos' y 'productos'.
@@ -98,6 +101,9 @@ CREATE TABLE detalle_pedido (
   FOREIGN KEY (producto_id) REFERENCES productos(producto_id),
   FOREIGN KEY (pedido_id) REFERENCES pedidos(pedido_id) ON DELETE CASCADE
 );
+-- actualizacion de la tabla detalle_pedido con el estado de preparacion por linea
+alter table detalle_pedido
+ADD COLUMN estado_preparacion VARCHAR(20) NOT NULL DEFAULT 'pendiente' COMMENT 'Estado de preparación de la línea: pendiente, en_preparacion o listo.';
 
 -- 8. Tabla metodos_pago: Para registrar los diferentes métodos de pago aceptados.
 -- No tiene dependencias externas.
@@ -131,6 +137,498 @@ CREATE TABLE transacciones_pago (
   FOREIGN KEY (factura_id) REFERENCES facturas(factura_id),
   FOREIGN KEY (metodo_pago_id) REFERENCES metodos_pago(metodo_pago_id)
 );
+-- actualizacion de la tabla transacciones_pago con el monto recibido y el cambio devuelto (pagos divididos)
+alter table transacciones_pago
+ADD COLUMN monto_recibido DECIMAL(10, 2) NULL COMMENT 'Monto entregado por el cliente con este método.',
+ADD COLUMN cambio DECIMAL(10, 2) NOT NULL DEFAULT 0.0 COMMENT 'Cambio devuelto al cliente (solo pagos en efectivo).';
+
+-- 11. Tabla estaciones_cocina: Zonas de la cocina (ej. barra de sushi, parrilla).
+-- No tiene dependencias externas.
+CREATE TABLE estaciones_cocina (
+  estacion_id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL UNIQUE COMMENT 'Nombre de la estación de cocina.'
+);
+-- actualizacion de la tabla categorias con la estacion que la prepara
+alter table categorias
+ADD COLUMN estacion_id INT NULL COMMENT 'Estación de cocina a la que se envían los productos de esta categoría.',
+ADD FOREIGN KEY (estacion_id) REFERENCES estaciones_cocina(estacion_id) ON DELETE SET NULL;
+
+-- 12. Tabla pedido_revisiones: Historial de ediciones de los productos de un pedido.
+-- Depende de 'pedidos' y 'usuarios'.
+CREATE TABLE pedido_revisiones (
+  revision_id INT AUTO_INCREMENT PRIMARY KEY,
+  pedido_id INT NOT NULL,
+  usuario_id INT COMMENT 'Usuario que realizó la edición.',
+  numero_revision INT NOT NULL COMMENT 'Número correlativo de la revisión dentro del pedido.',
+  cambios JSON NOT NULL COMMENT 'Líneas agregadas, eliminadas y modificadas.',
+  detalles_antes JSON NOT NULL COMMENT 'Líneas del pedido antes de la edición.',
+  detalles_despues JSON NOT NULL COMMENT 'Líneas del pedido después de la edición.',
+  fecha_revision DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (pedido_id) REFERENCES pedidos(pedido_id) ON DELETE CASCADE,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id)
+);
+
+-- 13. Tabla grupos_modificadores: Grupos de opciones de un producto (proteínas, salsas, extras, sin ...).
+-- Depende de 'productos'.
+CREATE TABLE grupos_modificadores (
+  grupo_id INT AUTO_INCREMENT PRIMARY KEY,
+  producto_id INT NOT NULL,
+  nombre VARCHAR(100) NOT NULL COMMENT 'Nombre visible del grupo (ej. "Elige tu proteína").',
+  tipo VARCHAR(20) NOT NULL DEFAULT 'extra' COMMENT 'Tipo de grupo: proteina, salsa, extra o sin.',
+  min_seleccion INT NOT NULL DEFAULT 0 COMMENT 'Mínimo de opciones que se deben elegir (0 = opcional).',
+  max_seleccion INT NULL COMMENT 'Máximo de opciones que se pueden elegir (NULL = sin límite).',
+  orden INT NOT NULL DEFAULT 0 COMMENT 'Orden en que se muestra el grupo.',
+  FOREIGN KEY (producto_id) REFERENCES productos(producto_id) ON DELETE CASCADE
+);
+
+-- 14. Tabla opciones_modificador: Opciones de cada grupo con su ajuste de precio.
+-- Depende de 'grupos_modificadores'.
+CREATE TABLE opciones_modificador (
+  opcion_id INT AUTO_INCREMENT PRIMARY KEY,
+  grupo_id INT NOT NULL,
+  nombre VARCHAR(100) NOT NULL COMMENT 'Nombre de la opción (ej. "Extra salsa", "Sin cebolla").',
+  precio_delta DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Valor que se suma (o resta) al precio unitario del producto.',
+  activo BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'Las opciones inactivas no se ofrecen en nuevos pedidos.',
+  FOREIGN KEY (grupo_id) REFERENCES grupos_modificadores(grupo_id) ON DELETE CASCADE
+);
+-- actualizacion de la tabla detalle_pedido con los modificadores elegidos en cada linea
+alter table detalle_pedido
+ADD COLUMN modificadores JSON NULL COMMENT 'Copia de las opciones elegidas (nombre, grupo y precio al momento del pedido).';
+
+-- 15. Tabla impuestos: Tarifas de impuesto (ej. impoconsumo 8%, IVA 19%, exento 0%).
+-- No tiene dependencias externas.
+CREATE TABLE impuestos (
+  impuesto_id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL UNIQUE COMMENT 'Nombre de la tarifa (ej. "Impoconsumo", "IVA exento").',
+  porcentaje DECIMAL(5,2) NOT NULL DEFAULT 0.00 COMMENT 'Porcentaje que se aplica sobre la base gravable.'
+);
+-- actualizacion de las tablas categorias y productos con su tarifa de impuesto
+-- (la del producto reemplaza a la de su categoria)
+alter table categorias
+ADD COLUMN impuesto_id INT NULL COMMENT 'Tarifa de impuesto de los productos de esta categoría.',
+ADD FOREIGN KEY (impuesto_id) REFERENCES impuestos(impuesto_id) ON DELETE SET NULL;
+alter table productos
+ADD COLUMN impuesto_id INT NULL COMMENT 'Tarifa propia del producto; si es NULL se usa la de su categoría.',
+ADD FOREIGN KEY (impuesto_id) REFERENCES impuestos(impuesto_id) ON DELETE SET NULL;
+
+-- 16. Tabla factura_impuestos: Desglose de impuestos de cada factura por tarifa.
+-- Depende de 'facturas'. Guarda nombre y porcentaje para que la factura no cambie si la tarifa cambia.
+CREATE TABLE factura_impuestos (
+  factura_impuesto_id INT AUTO_INCREMENT PRIMARY KEY,
+  factura_id INT NOT NULL,
+  impuesto_id INT NULL COMMENT 'Tarifa aplicada (NULL para las líneas sin impuesto).',
+  nombre VARCHAR(100) NOT NULL,
+  porcentaje DECIMAL(5,2) NOT NULL,
+  base DECIMAL(10,2) NOT NULL COMMENT 'Suma de las líneas gravadas con esta tarifa.',
+  valor DECIMAL(10,2) NOT NULL COMMENT 'Impuesto calculado para esta tarifa.',
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id) ON DELETE CASCADE
+);
+
+-- actualizacion de la tabla facturas: un pedido puede tener varias facturas (cuenta dividida)
+alter table facturas
+ADD INDEX idx_facturas_pedido (pedido_id),
+DROP INDEX pedido_id;
+
+-- 17. Tabla factura_detalles: Cantidad de cada línea del pedido cobrada en cada factura.
+-- Depende de 'facturas' y 'detalle_pedido'.
+CREATE TABLE factura_detalles (
+  factura_detalle_id INT AUTO_INCREMENT PRIMARY KEY,
+  factura_id INT NOT NULL,
+  detalle_id INT NOT NULL,
+  cantidad DECIMAL(10,4) NOT NULL COMMENT 'Cantidad cobrada en esta factura (fraccionaria al dividir en partes iguales).',
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id) ON DELETE CASCADE,
+  FOREIGN KEY (detalle_id) REFERENCES detalle_pedido(detalle_id)
+);
+-- las facturas existentes cobraron todas las lineas de su pedido
+INSERT INTO factura_detalles (factura_id, detalle_id, cantidad)
+SELECT f.factura_id, d.detalle_id, d.cantidad
+FROM facturas f JOIN detalle_pedido d ON d.pedido_id = f.pedido_id;
+
+-- 18. Tabla descuentos: Reglas de descuento configuradas por el administrador
+-- (comida de personal, cortesía, porcentaje, código promocional). No tiene dependencias externas.
+CREATE TABLE descuentos (
+  descuento_id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL UNIQUE,
+  codigo VARCHAR(50) NULL UNIQUE COMMENT 'Código promocional; NULL si el descuento se elige de la lista.',
+  tipo ENUM('porcentaje', 'monto') NOT NULL,
+  valor DECIMAL(10,2) NOT NULL COMMENT 'Porcentaje (0-100) o monto fijo según el tipo.',
+  alcance ENUM('linea', 'pedido') NOT NULL DEFAULT 'pedido',
+  fecha_inicio DATE NULL,
+  fecha_fin DATE NULL,
+  roles_permitidos JSON NULL COMMENT 'Roles que pueden aplicarlo; NULL permite a todos.',
+  requiere_motivo BOOLEAN NOT NULL DEFAULT FALSE,
+  requiere_aprobacion BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Si es TRUE un administrador debe autorizarlo.',
+  activo BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- actualizacion de la tabla facturas con el total descontado
+alter table facturas
+ADD COLUMN descuento_total DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Suma de los descuentos aplicados antes de impuestos.' AFTER subtotal;
+
+-- 19. Tabla factura_descuentos: Descuentos aplicados en cada factura.
+-- Depende de 'facturas', 'descuentos' y 'usuarios'. Guarda una copia de la regla aplicada.
+CREATE TABLE factura_descuentos (
+  factura_descuento_id INT AUTO_INCREMENT PRIMARY KEY,
+  factura_id INT NOT NULL,
+  descuento_id INT NULL,
+  nombre VARCHAR(100) NOT NULL,
+  codigo VARCHAR(50) NULL,
+  tipo ENUM('porcentaje', 'monto') NOT NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  alcance ENUM('linea', 'pedido') NOT NULL,
+  detalle_id INT NULL COMMENT 'Línea descontada (solo descuentos por línea).',
+  monto DECIMAL(10,2) NOT NULL COMMENT 'Valor descontado de la base gravable.',
+  motivo VARCHAR(255) NULL,
+  aplicado_por INT NULL,
+  aprobado_por INT NULL COMMENT 'Administrador que autorizó el descuento.',
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id) ON DELETE CASCADE,
+  FOREIGN KEY (descuento_id) REFERENCES descuentos(descuento_id) ON DELETE SET NULL,
+  FOREIGN KEY (aplicado_por) REFERENCES usuarios(usuario_id) ON DELETE SET NULL,
+  FOREIGN KEY (aprobado_por) REFERENCES usuarios(usuario_id) ON DELETE SET NULL
+);
+
+-- actualizacion de la tabla facturas: las facturas anuladas se conservan
+alter table facturas
+ADD COLUMN anulada BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'TRUE si la factura fue anulada con una nota crédito.';
+
+-- 20. Tabla notas_credito: Documento contable que anula una factura.
+-- Depende de 'facturas' y 'usuarios'. Su ID es el número de la nota; copia los montos de la factura.
+CREATE TABLE notas_credito (
+  nota_credito_id INT AUTO_INCREMENT PRIMARY KEY,
+  factura_id INT NOT NULL UNIQUE COMMENT 'Factura anulada por esta nota.',
+  motivo VARCHAR(255) NOT NULL,
+  usuario_id INT NULL COMMENT 'Usuario que emitió la nota crédito.',
+  fecha_nota DATETIME DEFAULT CURRENT_TIMESTAMP,
+  subtotal DECIMAL(10,2) NOT NULL,
+  descuento_total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  impuesto_total DECIMAL(10,2) NOT NULL,
+  propina DECIMAL(10,2) NULL DEFAULT 0.00,
+  total DECIMAL(10,2) NOT NULL,
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id),
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id) ON DELETE SET NULL
+);
+
+-- 21. Tabla sesiones_caja: Turnos de caja con su base de apertura y el cuadre al cierre.
+-- Depende de 'usuarios'. Los montos del cierre se guardan para que el reporte no cambie después.
+CREATE TABLE sesiones_caja (
+  sesion_caja_id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NULL COMMENT 'Usuario que abrió la caja y recibe el efectivo.',
+  estado ENUM('abierta', 'cerrada') NOT NULL DEFAULT 'abierta',
+  fecha_apertura DATETIME DEFAULT CURRENT_TIMESTAMP,
+  monto_apertura DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Base de efectivo con la que abre la caja.',
+  fecha_cierre DATETIME NULL,
+  cerrada_por INT NULL COMMENT 'Usuario que contó el efectivo y cerró la caja.',
+  ventas_efectivo DECIMAL(10,2) NULL COMMENT 'Efectivo cobrado en la sesión, neto del cambio.',
+  efectivo_esperado DECIMAL(10,2) NULL,
+  efectivo_contado DECIMAL(10,2) NULL,
+  diferencia DECIMAL(10,2) NULL COMMENT 'Contado menos esperado: negativo es faltante.',
+  observaciones VARCHAR(255) NULL,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id) ON DELETE SET NULL,
+  FOREIGN KEY (cerrada_por) REFERENCES usuarios(usuario_id) ON DELETE SET NULL
+);
+
+-- actualizacion de la tabla transacciones_pago: cada pago en efectivo queda en la sesión de caja abierta
+alter table transacciones_pago
+ADD COLUMN sesion_caja_id INT NULL COMMENT 'Sesión de caja que recibió el pago en efectivo.',
+ADD FOREIGN KEY (sesion_caja_id) REFERENCES sesiones_caja(sesion_caja_id) ON DELETE SET NULL;
+
+-- 22. Tabla reportes_z: Cierre diario (reporte Z). Se genera una sola vez por día y no se modifica.
+-- Depende de 'usuarios'. Guarda las cifras del día y el PDF enviado.
+CREATE TABLE reportes_z (
+  reporte_z_id INT AUTO_INCREMENT PRIMARY KEY,
+  fecha DATE NOT NULL UNIQUE COMMENT 'Día que cierra el reporte.',
+  generado_por INT NULL,
+  fecha_generacion DATETIME DEFAULT CURRENT_TIMESTAMP,
+  datos JSON NOT NULL COMMENT 'Cifras del día tal como se reportaron.',
+  pdf LONGBLOB NOT NULL,
+  enviado_a VARCHAR(100) NULL COMMENT 'Correo al que se envió el PDF.',
+  FOREIGN KEY (generado_por) REFERENCES usuarios(usuario_id) ON DELETE SET NULL
+);
+
+-- actualizacion de la tabla impuestos con el código del tributo para la factura electrónica
+alter table impuestos
+ADD COLUMN codigo_dian VARCHAR(2) NULL COMMENT 'Tributo DIAN: 01 IVA, 04 impuesto al consumo, 03 ICA. NULL si no se reporta.';
+
+-- 23. Tabla resoluciones_facturacion: Resoluciones de la DIAN que autorizan la numeración de facturas.
+-- No tiene dependencias externas. Solo una resolución está activa; 'ultimo_numero' es el último consecutivo usado.
+CREATE TABLE resoluciones_facturacion (
+  resolucion_id INT AUTO_INCREMENT PRIMARY KEY,
+  numero_resolucion VARCHAR(30) NOT NULL,
+  prefijo VARCHAR(4) NOT NULL DEFAULT '',
+  rango_desde INT NOT NULL,
+  rango_hasta INT NOT NULL,
+  fecha_desde DATE NOT NULL,
+  fecha_hasta DATE NOT NULL,
+  clave_tecnica VARCHAR(100) NOT NULL COMMENT 'Clave técnica de la resolución, usada en el CUFE.',
+  ultimo_numero INT NULL COMMENT 'Último consecutivo asignado (NULL si no se ha usado).',
+  activa BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- 24. Tabla documentos_electronicos: Factura electrónica (XML UBL 2.1) generada para cada factura.
+-- Depende de 'facturas' y 'resoluciones_facturacion'. Guarda el XML, el CUFE y la respuesta de la validación.
+CREATE TABLE documentos_electronicos (
+  documento_id INT AUTO_INCREMENT PRIMARY KEY,
+  factura_id INT NOT NULL UNIQUE,
+  resolucion_id INT NOT NULL,
+  consecutivo INT NOT NULL,
+  numero VARCHAR(20) NOT NULL UNIQUE COMMENT 'Prefijo y consecutivo (ej. SETP990000001).',
+  cufe VARCHAR(96) NOT NULL,
+  fecha_emision DATETIME NOT NULL,
+  xml MEDIUMTEXT NOT NULL,
+  estado ENUM('generado', 'aceptado', 'rechazado') NOT NULL DEFAULT 'generado',
+  adaptador VARCHAR(30) NULL COMMENT 'Adaptador de envío que validó el documento.',
+  mensajes JSON NULL COMMENT 'Mensajes de la validación.',
+  fecha_validacion DATETIME NULL,
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id),
+  FOREIGN KEY (resolucion_id) REFERENCES resoluciones_facturacion(resolucion_id)
+);
+
+-- 25. Tabla clientes: Directorio de clientes identificados por su documento.
+-- No tiene dependencias externas. El NIT se guarda sin dígito de verificación.
+CREATE TABLE clientes (
+  cliente_id INT AUTO_INCREMENT PRIMARY KEY,
+  tipo_documento ENUM('CC', 'NIT', 'CE', 'TI', 'PP') NOT NULL,
+  numero_documento VARCHAR(20) NOT NULL,
+  nombre VARCHAR(150) NOT NULL,
+  email VARCHAR(100) NULL,
+  telefono VARCHAR(20) NULL,
+  fecha_registro DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tipo_documento, numero_documento)
+);
+
+-- actualizacion de la tabla facturas con el cliente (NULL = consumidor final)
+alter table facturas
+ADD COLUMN cliente_id INT NULL,
+ADD FOREIGN KEY (cliente_id) REFERENCES clientes(cliente_id);
+
+-- 26. Tabla configuracion_puntos: Parámetros del programa de puntos (una sola fila).
+-- No tiene dependencias externas. La modifica el administrador.
+CREATE TABLE configuracion_puntos (
+  configuracion_id INT PRIMARY KEY DEFAULT 1,
+  activo BOOLEAN NOT NULL DEFAULT TRUE,
+  pesos_por_punto DECIMAL(10,2) NOT NULL COMMENT 'Valor facturado (sin propina) que otorga un punto.',
+  valor_punto DECIMAL(10,2) NOT NULL COMMENT 'Pesos que descuenta cada punto al canjearlo.',
+  minimo_canje INT NOT NULL COMMENT 'Mínimo de puntos por canje.',
+  vigencia_dias INT NOT NULL COMMENT 'Días que duran los puntos desde que se ganan.'
+);
+
+-- 27. Tabla movimientos_puntos: Libro de puntos de cada cliente (acumulación, canje, vencimiento y reverso).
+-- Depende de 'clientes', 'facturas' y 'usuarios'. Los movimientos positivos son lotes que vencen;
+-- 'puntos_disponibles' es lo que queda sin usar de cada lote.
+CREATE TABLE movimientos_puntos (
+  movimiento_id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  factura_id INT NULL,
+  tipo ENUM('acumulacion', 'canje', 'vencimiento', 'reverso') NOT NULL,
+  puntos INT NOT NULL COMMENT 'Positivo si suma puntos, negativo si los descuenta.',
+  puntos_disponibles INT NOT NULL DEFAULT 0,
+  fecha_vencimiento DATETIME NULL,
+  descripcion VARCHAR(255) NULL,
+  usuario_id INT NULL,
+  fecha DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cliente_id) REFERENCES clientes(cliente_id),
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id),
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id) ON DELETE SET NULL,
+  INDEX (cliente_id, fecha_vencimiento)
+);
+
+-- 28. Tabla tarjetas_regalo: Tarjetas de regalo vendidas, con su código único y su saldo.
+-- Depende de 'clientes', 'metodos_pago', 'sesiones_caja' y 'usuarios'. El saldo pendiente es un pasivo del restaurante.
+CREATE TABLE tarjetas_regalo (
+  tarjeta_id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo CHAR(12) NOT NULL UNIQUE COMMENT 'Código sin guiones; se imprime como XXXX-XXXX-XXXX.',
+  monto_inicial DECIMAL(10,2) NOT NULL,
+  saldo DECIMAL(10,2) NOT NULL,
+  cliente_id INT NULL COMMENT 'Comprador de la tarjeta (opcional).',
+  metodo_pago_id INT NOT NULL COMMENT 'Método con que se pagó la tarjeta.',
+  sesion_caja_id INT NULL COMMENT 'Sesión de caja que recibió el pago en efectivo.',
+  vendida_por INT NULL,
+  fecha_venta DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cliente_id) REFERENCES clientes(cliente_id),
+  FOREIGN KEY (metodo_pago_id) REFERENCES metodos_pago(metodo_pago_id),
+  FOREIGN KEY (sesion_caja_id) REFERENCES sesiones_caja(sesion_caja_id),
+  FOREIGN KEY (vendida_por) REFERENCES usuarios(usuario_id) ON DELETE SET NULL
+);
+
+-- actualizacion de la tabla transacciones_pago con la tarjeta de regalo usada en el pago
+alter table transacciones_pago
+ADD COLUMN tarjeta_regalo_id INT NULL,
+ADD FOREIGN KEY (tarjeta_regalo_id) REFERENCES tarjetas_regalo(tarjeta_id);
+
+-- 29. Tabla movimientos_tarjeta_regalo: Venta, redenciones y reversos de cada tarjeta de regalo.
+-- Depende de 'tarjetas_regalo', 'facturas', 'transacciones_pago' y 'usuarios'.
+CREATE TABLE movimientos_tarjeta_regalo (
+  movimiento_id INT AUTO_INCREMENT PRIMARY KEY,
+  tarjeta_id INT NOT NULL,
+  tipo ENUM('venta', 'redencion', 'reverso') NOT NULL,
+  monto DECIMAL(10,2) NOT NULL COMMENT 'Positivo si suma saldo, negativo si lo descuenta.',
+  saldo_resultante DECIMAL(10,2) NOT NULL,
+  factura_id INT NULL,
+  transaccion_id INT NULL,
+  usuario_id INT NULL,
+  fecha DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tarjeta_id) REFERENCES tarjetas_regalo(tarjeta_id),
+  FOREIGN KEY (factura_id) REFERENCES facturas(factura_id),
+  FOREIGN KEY (transaccion_id) REFERENCES transacciones_pago(transaccion_id),
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id) ON DELETE SET NULL
+);
+
+-- 30. Tabla configuracion_propinas: Regla con que se reparten las propinas entre los empleados (una sola fila).
+-- No tiene dependencias externas. La modifica el administrador.
+CREATE TABLE configuracion_propinas (
+  configuracion_id INT PRIMARY KEY DEFAULT 1,
+  modo ENUM('por_mesero', 'por_horas', 'por_area') NOT NULL DEFAULT 'por_mesero' COMMENT 'Por el mesero que tomó el pedido, en un fondo común por horas trabajadas o por área (cocina/salón).',
+  porcentaje_cocina DECIMAL(5,2) NOT NULL DEFAULT 30.00 COMMENT 'Porcentaje del fondo para la cocina en el modo por área; el resto es para el salón.'
+);
+
+-- 31. Tabla horas_trabajadas: Horas trabajadas por cada empleado en cada día, para repartir las propinas.
+-- Depende de 'usuarios'. Las registra el administrador.
+CREATE TABLE horas_trabajadas (
+  registro_id INT AUTO_INCREMENT PRIMARY KEY,
+  usuario_id INT NOT NULL,
+  fecha DATE NOT NULL,
+  horas DECIMAL(5,2) NOT NULL,
+  registrado_por INT NULL,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id),
+  FOREIGN KEY (registrado_por) REFERENCES usuarios(usuario_id) ON DELETE SET NULL,
+  UNIQUE (usuario_id, fecha)
+);
+
+-- actualizacion de la tabla pedidos con el número de comensales (activa el cargo por servicio de los grupos grandes)
+alter table pedidos
+ADD COLUMN comensales INT NULL;
+
+-- actualizacion de la tabla configuracion_propinas con las propinas sugeridas y el cargo por servicio
+alter table configuracion_propinas
+ADD COLUMN porcentajes_sugeridos JSON NULL COMMENT 'Porcentajes de propina sugeridos sobre el subtotal (ej. [10, 15, 20]).',
+ADD COLUMN cargo_servicio_activo BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN cargo_servicio_porcentaje DECIMAL(5,2) NOT NULL DEFAULT 10.00 COMMENT 'Porcentaje sobre el subtotal con descuentos.',
+ADD COLUMN cargo_servicio_min_comensales INT NOT NULL DEFAULT 8 COMMENT 'Comensales desde los que se cobra el cargo por servicio.',
+ADD COLUMN cargo_servicio_impuesto_id INT NULL COMMENT 'Tarifa con que se grava el cargo; NULL si no causa impuesto.',
+ADD FOREIGN KEY (cargo_servicio_impuesto_id) REFERENCES impuestos(impuesto_id);
+
+-- actualizacion de las tablas facturas y notas_credito con el cargo por servicio (aparte de la propina voluntaria)
+alter table facturas
+ADD COLUMN cargo_servicio DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Base del cargo por servicio; su impuesto va en impuesto_total.',
+ADD COLUMN impuesto_cargo_servicio DECIMAL(10,2) NOT NULL DEFAULT 0.00 COMMENT 'Parte de impuesto_total que grava el cargo por servicio.';
+alter table notas_credito
+ADD COLUMN cargo_servicio DECIMAL(10,2) NOT NULL DEFAULT 0.00;
+
+-- actualizacion de la tabla resoluciones_facturacion con el aviso de rango por agotarse
+alter table resoluciones_facturacion
+ADD COLUMN alerta_restantes INT NOT NULL DEFAULT 100 COMMENT 'Se avisa cuando quedan estos números o menos.';
+
+-- actualizacion de la tabla facturas con su número: prefijo y consecutivo de la resolución activa al facturar
+alter table facturas
+ADD COLUMN resolucion_id INT NULL,
+ADD COLUMN consecutivo INT NULL,
+ADD COLUMN numero VARCHAR(20) NULL UNIQUE COMMENT 'Prefijo y consecutivo (ej. SETP990000001); NULL en las facturas anteriores a la numeración.',
+ADD FOREIGN KEY (resolucion_id) REFERENCES resoluciones_facturacion(resolucion_id);
+
+-- actualizacion de las tablas productos y categorias con la disponibilidad (productos agotados temporalmente)
+alter table productos
+ADD COLUMN disponible BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'FALSE mientras el producto esté agotado; no se puede pedir.';
+alter table categorias
+ADD COLUMN disponible BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'FALSE agota todos los productos de la categoría.';
+
+-- 32. Tabla ingredientes: Insumos del inventario, con su unidad de medida y la existencia actual.
+-- No tiene dependencias externas. La existencia solo cambia junto con un movimiento de inventario.
+CREATE TABLE ingredientes (
+  ingrediente_id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL UNIQUE,
+  unidad ENUM('g', 'kg', 'ml', 'l', 'unidad') NOT NULL,
+  stock DECIMAL(12,3) NOT NULL DEFAULT 0.000 COMMENT 'Puede quedar negativo si se vende sin existencia registrada.',
+  activo BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- 33. Tabla recetas: Ingredientes (y su cantidad) que consume una unidad de cada producto.
+-- Depende de 'productos' e 'ingredientes'.
+CREATE TABLE recetas (
+  receta_id INT AUTO_INCREMENT PRIMARY KEY,
+  producto_id INT NOT NULL,
+  ingrediente_id INT NOT NULL,
+  cantidad DECIMAL(12,3) NOT NULL COMMENT 'En la unidad del ingrediente, por unidad del producto.',
+  FOREIGN KEY (producto_id) REFERENCES productos(producto_id) ON DELETE CASCADE,
+  FOREIGN KEY (ingrediente_id) REFERENCES ingredientes(ingrediente_id),
+  UNIQUE (producto_id, ingrediente_id)
+);
+
+-- 34. Tabla movimientos_inventario: Consumos de los pedidos, devoluciones al cancelarlos y ajustes manuales.
+-- Depende de 'ingredientes', 'pedidos' y 'usuarios'.
+CREATE TABLE movimientos_inventario (
+  movimiento_id INT AUTO_INCREMENT PRIMARY KEY,
+  ingrediente_id INT NOT NULL,
+  tipo ENUM('consumo', 'devolucion', 'ajuste') NOT NULL,
+  cantidad DECIMAL(12,3) NOT NULL COMMENT 'Positivo si suma existencia, negativo si la descuenta.',
+  stock_resultante DECIMAL(12,3) NOT NULL,
+  pedido_id INT NULL COMMENT 'Pedido que consumió o devolvió; se conserva el movimiento si el pedido se elimina.',
+  motivo VARCHAR(255) NULL COMMENT 'Requerido en los ajustes manuales.',
+  usuario_id INT NULL,
+  fecha DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (ingrediente_id) REFERENCES ingredientes(ingrediente_id),
+  FOREIGN KEY (pedido_id) REFERENCES pedidos(pedido_id) ON DELETE SET NULL,
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id) ON DELETE SET NULL,
+  INDEX (ingrediente_id, fecha)
+);
+
+-- actualizacion de la tabla ingredientes con el punto de reorden (alerta de inventario bajo)
+alter table ingredientes
+ADD COLUMN stock_minimo DECIMAL(12,3) NULL COMMENT 'Se avisa cuando la existencia llega a este valor o baja de él; NULL sin alerta.';
+
+-- actualizacion de la tabla productos con el agotado automático por inventario
+alter table productos
+ADD COLUMN agotado_por_inventario BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'TRUE si el sistema lo agotó porque su receta ya no alcanza; se habilita solo al reponer.';
+
+-- 35. Tabla proveedores: Directorio de proveedores a los que se compran los ingredientes.
+CREATE TABLE proveedores (
+  proveedor_id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(150) NOT NULL UNIQUE,
+  nit VARCHAR(20) NULL,
+  contacto VARCHAR(100) NULL COMMENT 'Persona con quien se hacen los pedidos.',
+  email VARCHAR(100) NULL COMMENT 'Correo al que se envían las órdenes de compra.',
+  telefono VARCHAR(20) NULL,
+  direccion VARCHAR(255) NULL,
+  activo BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- 36. Tabla ordenes_compra: Órdenes de compra a los proveedores (borrador, enviada, recibida parcial o totalmente, cancelada).
+CREATE TABLE ordenes_compra (
+  orden_compra_id INT AUTO_INCREMENT PRIMARY KEY,
+  proveedor_id INT NOT NULL,
+  estado ENUM('borrador', 'enviada', 'recibida_parcial', 'recibida', 'cancelada') NOT NULL DEFAULT 'borrador',
+  total DECIMAL(12,2) NOT NULL DEFAULT 0 COMMENT 'Suma de cantidad pedida por costo unitario de las líneas.',
+  notas VARCHAR(255) NULL,
+  usuario_id INT NULL COMMENT 'Quien creó la orden.',
+  fecha_creacion DATETIME DEFAULT CURRENT_TIMESTAMP,
+  fecha_envio DATETIME NULL,
+  fecha_recepcion DATETIME NULL COMMENT 'Última recepción de mercancía.',
+  FOREIGN KEY (proveedor_id) REFERENCES proveedores(proveedor_id),
+  FOREIGN KEY (usuario_id) REFERENCES usuarios(usuario_id) ON DELETE SET NULL,
+  INDEX (estado, fecha_creacion)
+);
+
+-- 37. Tabla detalle_orden_compra: Ingredientes, cantidades y costos de cada orden de compra, con lo recibido.
+CREATE TABLE detalle_orden_compra (
+  detalle_orden_compra_id INT AUTO_INCREMENT PRIMARY KEY,
+  orden_compra_id INT NOT NULL,
+  ingrediente_id INT NOT NULL,
+  cantidad DECIMAL(12,3) NOT NULL COMMENT 'Cantidad pedida, en la unidad del ingrediente.',
+  cantidad_recibida DECIMAL(12,3) NOT NULL DEFAULT 0,
+  costo_unitario DECIMAL(12,4) NOT NULL COMMENT 'Costo por unidad del ingrediente.',
+  FOREIGN KEY (orden_compra_id) REFERENCES ordenes_compra(orden_compra_id) ON DELETE CASCADE,
+  FOREIGN KEY (ingrediente_id) REFERENCES ingredientes(ingrediente_id),
+  UNIQUE (orden_compra_id, ingrediente_id)
+);
+
+-- actualizacion de la tabla ingredientes con el costo promedio ponderado (se recalcula con cada compra recibida)
+alter table ingredientes
+ADD COLUMN costo_promedio DECIMAL(12,4) NULL COMMENT 'Costo promedio ponderado por unidad; NULL hasta la primera compra.';
+
+-- actualizacion de la tabla movimientos_inventario con las compras recibidas de las órdenes de compra
+alter table movimientos_inventario
+MODIFY COLUMN tipo ENUM('consumo', 'devolucion', 'ajuste', 'compra') NOT NULL,
+ADD COLUMN orden_compra_id INT NULL COMMENT 'Orden de compra de la que se recibió la mercancía.',
+ADD FOREIGN KEY (orden_compra_id) REFERENCES ordenes_compra(orden_compra_id) ON DELETE SET NULL;
 
 --  -----------------------------------------------
 #scripts iniciales para manipular la DB:
@@ -148,6 +646,23 @@ describe detalle_pedido;
 describe mesas;
 describe metodos_pago;
 describe transacciones_pago;
+describe impuestos;
+describe factura_impuestos;
+describe factura_detalles;
+describe descuentos;
+describe factura_descuentos;
+describe notas_credito;
+describe sesiones_caja;
+describe reportes_z;
+describe resoluciones_facturacion;
+describe documentos_electronicos;
+describe clientes;
+describe configuracion_puntos;
+describe movimientos_puntos;
+describe tarjetas_regalo;
+describe movimientos_tarjeta_regalo;
+describe configuracion_propinas;
+describe horas_trabajadas;
 
 select * from categorias;
 select * from usuarios;
@@ -171,7 +686,8 @@ INSERT INTO metodos_pago (nombre_metodo) VALUES
 ('Efectivo'),
 ('Nequi'),
 ('Daviplata'),
-('Transferencia bancaria');
+('Transferencia bancaria'),
+('Tarjeta de regalo');
 
 -- Insertar roles iniciales
 INSERT INTO roles (nombre_rol) VALUES
@@ -189,6 +705,33 @@ INSERT IGNORE INTO categorias (categoria_id, nombre) VALUES
 (6, 'Acompañamientos'),
 (13, 'vegano');
 
+-- Insertar las tarifas de impuesto iniciales y asignar el impoconsumo a todas las categorías
+INSERT INTO impuestos (impuesto_id, nombre, porcentaje) VALUES
+(1, 'Impoconsumo', 8.00),
+(2, 'IVA', 19.00),
+(3, 'Exento', 0.00);
+UPDATE categorias SET impuesto_id = 1 WHERE impuesto_id IS NULL;
+UPDATE impuestos SET codigo_dian = '04' WHERE impuesto_id = 1;
+UPDATE impuestos SET codigo_dian = '01' WHERE impuesto_id = 2;
+
+-- Insertar la resolución de facturación de pruebas (reemplazar por la resolución real de la DIAN)
+INSERT INTO resoluciones_facturacion (numero_resolucion, prefijo, rango_desde, rango_hasta, fecha_desde, fecha_hasta, clave_tecnica) VALUES
+('18760000001', 'SETP', 990000000, 995000000, '2019-01-19', '2030-01-19', 'fc8eac422eba16e22ffd8c6f94b3f40a6e38162c');
+
+-- Insertar la configuración inicial del programa de puntos (1 punto por cada $1.000; cada punto vale $10)
+INSERT INTO configuracion_puntos (configuracion_id, activo, pesos_por_punto, valor_punto, minimo_canje, vigencia_dias) VALUES
+(1, TRUE, 1000.00, 10.00, 100, 365);
+
+-- Insertar la regla inicial de reparto de propinas (cada mesero recibe la propina de sus pedidos; se sugiere 10, 15 o 20%)
+INSERT INTO configuracion_propinas (configuracion_id, modo, porcentaje_cocina, porcentajes_sugeridos) VALUES
+(1, 'por_mesero', 30.00, '[10, 15, 20]');
+
+-- Insertar los descuentos iniciales
+INSERT INTO descuentos (nombre, codigo, tipo, valor, alcance, roles_permitidos, requiere_motivo, requiere_aprobacion) VALUES
+('Comida de personal', NULL, 'porcentaje', 50.00, 'pedido', NULL, TRUE, FALSE),
+('Cortesía de gerencia', NULL, 'porcentaje', 100.00, 'linea', NULL, TRUE, TRUE),
+('Descuento 10%', NULL, 'porcentaje', 10.00, 'pedido', NULL, FALSE, FALSE);
+
 -- Insertar productos de Entradas
 INSERT INTO productos (nombre_producto, descripcion_ingredientes, valor_neto, categoria_id) VALUES
 ('LANGOSTINOS TEMPURA', 'Langostinos tempurizados acompañados de salsas de la casa.', 17900.00, 4),
@@ -53,6 +53,17 @@ export const env = {
     resetPasswordUrl: normalizeUrl(process.env.RESET_PASSWORD_URL || `${DEFAULT_FRONTEND_URL}/#/reset-password`),
     authRateLimitWindowMs: parseNumber(process.env.AUTH_RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
     authRateLimitMaxRequests: parseNumber(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS, 20),
+    resumenInventarioHora: String(process.env.INVENTARIO_RESUMEN_HORA || '').trim(),
+    facturaElectronica: {
+        nitEmisor: process.env.DIAN_NIT_EMISOR || '',
+        dvEmisor: process.env.DIAN_DV_EMISOR || '',
+        razonSocial: process.env.DIAN_RAZON_SOCIAL || 'Sushi Burrito',
+        direccionEmisor: process.env.DIAN_DIRECCION_EMISOR || '',
+        ambiente: process.env.DIAN_AMBIENTE || '2',
+        softwareId: process.env.DIAN_SOFTWARE_ID || '',
+        softwarePin: process.env.DIAN_SOFTWARE_PIN || '',
+        adaptador: process.env.DIAN_ADAPTADOR || 'local',
+    },
 };
 
 export function getPrimaryFrontendOrigin() {
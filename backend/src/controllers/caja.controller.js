@@ -0,0 +1,366 @@
+// =================================================================
+// ARCHIVO: src/controllers/caja.controller.js
+// ROL: Controlador para las sesiones de caja: apertura con base de
+//      efectivo, consulta de la sesión en curso, cierre con conteo
+//      del efectivo y reporte de cierre (en PDF o por correo).
+// =================================================================
+
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import { ESTADOS_SESION_CAJA, calcularCuadre, describirDiferencia, validarMontoCaja } from '../helpers/caja.js';
+import { redondear } from '../helpers/impuestos.js';
+import { sendPdfEmail } from '../helpers/email.js';
+
+const { SesionCaja, TransaccionPago, TarjetaRegalo, Factura, Usuario, sequelize } = db;
+
+// Usuarios asociados a una sesión: quien la abrió y quien la cerró.
+const INCLUDE_USUARIOS_SESION = [
+    { model: Usuario, as: 'cajero', attributes: ['usuario_id', 'nombre'] },
+    { model: Usuario, as: 'cerrador', attributes: ['usuario_id', 'nombre'] }
+];
+
+/**
+ * Suma el efectivo recibido en una sesión: los pagos de facturas (sin contar las anuladas)
+ * y las tarjetas de regalo vendidas en efectivo.
+ * @param {number} sesionCajaId - ID de la sesión de caja.
+ * @param {object} [transaction] - Transacción de Sequelize en curso.
+ * @returns {Promise<{pagos: number, ventas_efectivo: number, cambio_entregado: number}>}
+ */
+const getResumenEfectivo = async (sesionCajaId, transaction) => {
+    const tarjetas = await TarjetaRegalo.findOne({
+        attributes: [
+            [sequelize.fn('COUNT', sequelize.col('tarjeta_id')), 'ventas'],
+            [sequelize.fn('SUM', sequelize.col('monto_inicial')), 'total']
+        ],
+        where: { sesion_caja_id: sesionCajaId },
+        raw: true,
+        transaction
+    });
+    const resumen = await TransaccionPago.findOne({
+        attributes: [
+            [sequelize.fn('COUNT', sequelize.col('transaccion_id')), 'pagos'],
+            [sequelize.fn('SUM', sequelize.col('monto_pagado')), 'ventas_efectivo'],
+            [sequelize.fn('SUM', sequelize.col('cambio')), 'cambio_entregado']
+        ],
+        where: { sesion_caja_id: sesionCajaId },
+        include: [{ model: Factura, attributes: [], where: { anulada: false } }],
+        raw: true,
+        transaction
+    });
+    return {
+        pagos: Number(resumen?.pagos || 0) + Number(tarjetas?.ventas || 0),
+        ventas_efectivo: redondear(Number(resumen?.ventas_efectivo || 0) + Number(tarjetas?.total || 0)),
+        cambio_entregado: redondear(resumen?.cambio_entregado || 0)
+    };
+};
+
+/**
+ * Arma el reporte de una sesión. Una sesión cerrada usa el cuadre guardado al cierre;
+ * una abierta muestra el efectivo esperado hasta el momento.
+ * @param {object} sesion - La sesión de caja de Sequelize.
+ * @returns {Promise<object>}
+ */
+const getReporteSesion = async (sesion) => {
+    const resumen = await getResumenEfectivo(sesion.sesion_caja_id);
+    const reporte = { ...sesion.toJSON(), pagos_efectivo: resumen.pagos, cambio_entregado: resumen.cambio_entregado };
+    if (sesion.estado === ESTADOS_SESION_CAJA.ABIERTA) {
+        reporte.ventas_efectivo = resumen.ventas_efectivo;
+        reporte.efectivo_esperado = calcularCuadre({ monto_apertura: sesion.monto_apertura, ventas_efectivo: resumen.ventas_efectivo }).efectivo_esperado;
+    }
+    return reporte;
+};
+
+/**
+ * Indica si el usuario de la petición puede ver o cerrar la sesión (su dueño o un administrador).
+ * @param {object} sesion - La sesión de caja.
+ * @param {object} req - El objeto de la petición de Express (con 'userId' y 'userRol').
+ * @returns {boolean}
+ */
+const puedeGestionarSesion = (sesion, req) => Number(sesion.usuario_id) === Number(req.userId) || req.userRol === 'administrador';
+
+/**
+ * Abre una sesión de caja para el usuario con la base de efectivo indicada.
+ * Cada usuario puede tener una sola sesión abierta.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const abrirSesion = async (req, res) => {
+    const { monto_apertura } = req.body;
+    const error = validarMontoCaja(monto_apertura, 'la base de apertura');
+    if (error) {
+        return res.status(400).send({ message: error });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const abierta = await SesionCaja.findOne({
+            where: { usuario_id: req.userId, estado: ESTADOS_SESION_CAJA.ABIERTA },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+        if (abierta) {
+            await t.rollback();
+            return res.status(409).send({ message: `Ya tiene abierta la sesión de caja #${abierta.sesion_caja_id}.` });
+        }
+
+        const sesion = await SesionCaja.create({
+            usuario_id: req.userId,
+            monto_apertura: redondear(monto_apertura)
+        }, { transaction: t });
+
+        await t.commit();
+        res.status(201).send({ message: `Sesión de caja #${sesion.sesion_caja_id} abierta.`, sesion });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: "Error al abrir la sesión de caja: " + error.message });
+    }
+};
+
+/**
+ * Obtiene la sesión de caja abierta del usuario, con el efectivo esperado hasta el momento.
+ * Si no tiene una abierta, responde 'sesion: null'.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getSesionActual = async (req, res) => {
+    try {
+        const sesion = await SesionCaja.findOne({
+            where: { usuario_id: req.userId, estado: ESTADOS_SESION_CAJA.ABIERTA },
+            include: INCLUDE_USUARIOS_SESION
+        });
+        res.status(200).send({ sesion: sesion ? await getReporteSesion(sesion) : null });
+    } catch (error) {
+        res.status(500).send({ message: "Error al obtener la sesión de caja: " + error.message });
+    }
+};
+
+/**
+ * Cierra una sesión de caja con el efectivo contado y guarda el cuadre:
+ * efectivo esperado (base más ventas en efectivo), contado y diferencia.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const cerrarSesion = async (req, res) => {
+    const { id } = req.params;
+    const { efectivo_contado, observaciones } = req.body;
+    const error = validarMontoCaja(efectivo_contado, 'el efectivo contado');
+    if (error) {
+        return res.status(400).send({ message: error });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        // Se bloquea la sesión para que no entren pagos mientras se cuadra.
+        const sesion = await SesionCaja.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!sesion) {
+            await t.rollback();
+            return res.status(404).send({ message: "Sesión de caja no encontrada." });
+        }
+        if (!puedeGestionarSesion(sesion, req)) {
+            await t.rollback();
+            return res.status(403).send({ message: "Solo el dueño de la caja o un administrador pueden cerrarla." });
+        }
+        if (sesion.estado === ESTADOS_SESION_CAJA.CERRADA) {
+            await t.rollback();
+            return res.status(409).send({ message: `La sesión de caja #${id} ya está cerrada.` });
+        }
+
+        const { ventas_efectivo } = await getResumenEfectivo(sesion.sesion_caja_id, t);
+        const contado = redondear(efectivo_contado);
+        const { efectivo_esperado, diferencia } = calcularCuadre({ monto_apertura: sesion.monto_apertura, ventas_efectivo, efectivo_contado: contado });
+        await sesion.update({
+            estado: ESTADOS_SESION_CAJA.CERRADA,
+            fecha_cierre: new Date(),
+            cerrada_por: req.userId,
+            ventas_efectivo,
+            efectivo_esperado,
+            efectivo_contado: contado,
+            diferencia,
+            observaciones: String(observaciones ?? '').trim() || null
+        }, { transaction: t });
+
+        await t.commit();
+        res.status(200).send({
+            message: `Sesión de caja #${id} cerrada. ${describirDiferencia(diferencia)}: $${Math.abs(diferencia).toFixed(2)}.`,
+            sesion
+        });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: "Error al cerrar la sesión de caja: " + error.message });
+    }
+};
+
+/**
+ * Lista las sesiones de caja, las más recientes primero. El administrador ve todas;
+ * los demás usuarios solo las suyas. Filtros opcionales: 'estado', 'startDate' y 'endDate'
+ * (sobre la fecha de apertura).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getSesiones = async (req, res) => {
+    try {
+        const { estado, startDate, endDate } = req.query;
+        const where = {};
+        if (req.userRol !== 'administrador') where.usuario_id = req.userId;
+        if (estado) where.estado = estado;
+        if (startDate || endDate) {
+            where.fecha_apertura = {};
+            if (startDate) where.fecha_apertura[Op.gte] = new Date(startDate);
+            if (endDate) {
+                const finalEndDate = new Date(endDate);
+                finalEndDate.setDate(finalEndDate.getDate() + 1); // Se incluye el día final completo.
+                where.fecha_apertura[Op.lt] = finalEndDate;
+            }
+        }
+        const sesiones = await SesionCaja.findAll({ where, include: INCLUDE_USUARIOS_SESION, order: [['fecha_apertura', 'DESC']] });
+        res.status(200).send(sesiones);
+    } catch (error) {
+        res.status(500).send({ message: "Error al obtener las sesiones de caja: " + error.message });
+    }
+};
+
+/**
+ * Obtiene el reporte de una sesión de caja.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getSesionById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const sesion = await SesionCaja.findByPk(id, { include: INCLUDE_USUARIOS_SESION });
+        if (!sesion) {
+            return res.status(404).send({ message: `Sesión de caja con id=${id} no encontrada.` });
+        }
+        if (!puedeGestionarSesion(sesion, req)) {
+            return res.status(403).send({ message: "No tiene permiso para ver esta sesión de caja." });
+        }
+        res.status(200).send(await getReporteSesion(sesion));
+    } catch (error) {
+        res.status(500).send({ message: "Error al obtener la sesión de caja: " + error.message });
+    }
+};
+
+/**
+ * Descarga el reporte de cierre de una sesión de caja en formato PDF.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const downloadReportePdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const sesion = await SesionCaja.findByPk(id, { include: INCLUDE_USUARIOS_SESION });
+        if (!sesion) {
+            return res.status(404).send({ message: "Sesión de caja no encontrada." });
+        }
+        if (!puedeGestionarSesion(sesion, req)) {
+            return res.status(403).send({ message: "No tiene permiso para ver esta sesión de caja." });
+        }
+
+        const pdfBuffer = await createReportePdfBuffer(await getReporteSesion(sesion));
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="cierre_caja_${sesion.sesion_caja_id}.pdf"`);
+        res.status(200).send(pdfBuffer);
+    } catch (error) {
+        console.error("Error al generar el reporte de caja:", error);
+        res.status(500).send({ message: "Error interno al generar el reporte de caja." });
+    }
+};
+
+/**
+ * Envía el reporte de cierre de una sesión de caja al correo del usuario que lo solicita.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const sendReporteByEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const [sesion, usuario] = await Promise.all([
+            SesionCaja.findByPk(id, { include: INCLUDE_USUARIOS_SESION }),
+            Usuario.findByPk(req.userId)
+        ]);
+        if (!sesion) {
+            return res.status(404).send({ message: "Sesión de caja no encontrada." });
+        }
+        if (!usuario) {
+            return res.status(404).send({ message: "Usuario no encontrado." });
+        }
+        if (!puedeGestionarSesion(sesion, req)) {
+            return res.status(403).send({ message: "No tiene permiso para ver esta sesión de caja." });
+        }
+
+        const pdfBuffer = await createReportePdfBuffer(await getReporteSesion(sesion));
+        await sendPdfEmail({
+            to: usuario.correo,
+            subject: `Cierre de Caja #${sesion.sesion_caja_id} - Sushi Burrito`,
+            text: 'Adjunto encontrarás el reporte de cierre de la sesión de caja.',
+            filename: `cierre_caja_${sesion.sesion_caja_id}.pdf`,
+            pdfBuffer,
+            fromName: 'Caja Sushi Burrito'
+        });
+
+        res.status(200).send({ message: `Reporte de caja enviado exitosamente a ${usuario.correo}` });
+    } catch (error) {
+        console.error("Error al enviar el reporte de caja por correo:", error);
+        res.status(500).send({ message: "Error interno al procesar el envío del reporte de caja." });
+    }
+};
+
+/**
+ * Función auxiliar para generar el reporte de cierre de caja en PDF usando pdfkit.
+ * @param {object} reporte - El reporte armado por 'getReporteSesion'.
+ * @returns {Promise<Buffer>} - Una promesa que se resuelve con el buffer del PDF.
+ */
+async function createReportePdfBuffer(reporte) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+        if (fs.existsSync('assets/logo.jpg')) {
+            doc.image('assets/logo.jpg', { fit: [60, 60], x: 50, y: 45 });
+        }
+
+        const cerrada = reporte.estado === ESTADOS_SESION_CAJA.CERRADA;
+        doc.fontSize(20).font('Helvetica-Bold').text(`Cierre de Caja #${reporte.sesion_caja_id}`, { align: 'center' });
+        if (!cerrada) {
+            doc.fontSize(12).fillColor('#c0392b').text('SESIÓN ABIERTA - Reporte parcial', { align: 'center' }).fillColor('black');
+        }
+        doc.moveDown(2);
+        doc.fontSize(12).font('Helvetica').text(`Cajero: ${reporte.cajero?.nombre || 'Usuario eliminado'}`);
+        doc.text(`Apertura: ${new Date(reporte.fecha_apertura).toLocaleString()}`);
+        if (cerrada) {
+            doc.text(`Cierre: ${new Date(reporte.fecha_cierre).toLocaleString()} por ${reporte.cerrador?.nombre || 'Usuario eliminado'}`);
+        }
+        doc.moveDown(2);
+
+        const filas = [
+            ['Base de apertura:', `$${parseFloat(reporte.monto_apertura).toFixed(2)}`],
+            [`Ventas en efectivo (${reporte.pagos_efectivo} pagos):`, `$${parseFloat(reporte.ventas_efectivo).toFixed(2)}`],
+            ['Cambio entregado:', `$${parseFloat(reporte.cambio_entregado).toFixed(2)}`],
+            ['Efectivo esperado:', `$${parseFloat(reporte.efectivo_esperado).toFixed(2)}`]
+        ];
+        if (cerrada) {
+            filas.push(['Efectivo contado:', `$${parseFloat(reporte.efectivo_contado).toFixed(2)}`]);
+        }
+        let totalsY = doc.y;
+        filas.forEach(([etiqueta, valor]) => {
+            doc.text(etiqueta, 200, totalsY, { width: 240, align: 'right' }).text(valor, 450, totalsY, { width: 80, align: 'right' });
+            totalsY += 18;
+        });
+        if (cerrada) {
+            const diferencia = Number(reporte.diferencia);
+            doc.font('Helvetica-Bold').fillColor(diferencia < 0 ? '#c0392b' : 'black')
+                .text(`Diferencia (${describirDiferencia(diferencia)}):`, 200, totalsY, { width: 240, align: 'right' })
+                .text(`$${diferencia.toFixed(2)}`, 450, totalsY, { width: 80, align: 'right' })
+                .fillColor('black').font('Helvetica');
+            if (reporte.observaciones) {
+                doc.moveDown(2).text(`Observaciones: ${reporte.observaciones}`, 50, doc.y);
+            }
+        }
+
+        doc.end();
+    });
+}
@@ -7,7 +7,10 @@
 
 import db from '../models/index.js';
 import { Op } from 'sequelize';
+import { ROLES_DISPONIBILIDAD } from '../helpers/disponibilidad.js';
+import { emitDisponibilidadActualizada } from '../socket/events.js';
 const Categoria = db.Categoria; // Se obtiene el modelo Categoria desde el objeto db.
+const Producto = db.Producto;
 
 /**
  * Crea una nueva categoría en la base de datos.
@@ -129,6 +132,20 @@ export const getCategoryById = async (req, res) => {
 export const updateCategory = async (req, res) => {
     try {
         const { id } = req.params;
+        // Si se asigna una estación de cocina, se verifica que exista.
+        if (req.body.estacion_id) {
+            const estacion = await db.EstacionCocina.findByPk(req.body.estacion_id);
+            if (!estacion) {
+                return res.status(400).send({ message: `La estación con id=${req.body.estacion_id} no existe.` });
+            }
+        }
+        // Lo mismo para la tarifa de impuesto de la categoría.
+        if (req.body.impuesto_id) {
+            const impuesto = await db.Impuesto.findByPk(req.body.impuesto_id);
+            if (!impuesto) {
+                return res.status(400).send({ message: `El impuesto con id=${req.body.impuesto_id} no existe.` });
+            }
+        }
         // 'update' devuelve un array donde el primer elemento es el número de filas afectadas.
         const [num] = await Categoria.update(req.body, { where: { categoria_id: id } });
 
@@ -237,3 +254,50 @@ export const permanentDeleteCategory = async (req, res) => {
     }
 };
 // FIN DE LOS CAMBIOS ASOCIADOS A SOFT DELETE
+
+/**
+ * Agota todos los productos de una categoría o la vuelve a habilitar ({ disponible }).
+ * No cambia la disponibilidad propia de cada producto: al habilitar la categoría, los
+ * productos que estaban agotados por separado siguen agotados.
+ * Lo pueden hacer la cocina y los administradores; el cambio se avisa en tiempo real.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateCategoryAvailability = async (req, res) => {
+    if (!ROLES_DISPONIBILIDAD.includes(req.userRol)) {
+        return res.status(403).send({ message: 'Solo la cocina y los administradores pueden cambiar la disponibilidad.' });
+    }
+    const { disponible } = req.body;
+    if (typeof disponible !== 'boolean') {
+        return res.status(400).send({ message: "El campo 'disponible' debe ser true o false." });
+    }
+
+    try {
+        const { id } = req.params;
+        const categoria = await Categoria.findByPk(id);
+        if (!categoria) {
+            return res.status(404).send({ message: `No se encontró la categoría con id=${id}.` });
+        }
+        await categoria.update({ disponible });
+
+        const io = req.app.get('io');
+        if (io) {
+            const productos = await Producto.findAll({ where: { categoria_id: categoria.categoria_id, is_deleted: 0 }, attributes: ['producto_id'] });
+            emitDisponibilidadActualizada(io, {
+                tipo: 'categoria',
+                id: categoria.categoria_id,
+                nombre: categoria.nombre,
+                disponible,
+                producto_ids: productos.map(producto => producto.producto_id),
+                usuario: req.userId
+            });
+        }
+
+        res.status(200).send({
+            message: disponible ? `La categoría ${categoria.nombre} vuelve a estar disponible.` : `La categoría ${categoria.nombre} quedó agotada.`,
+            categoria
+        });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
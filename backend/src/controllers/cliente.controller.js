@@ -0,0 +1,193 @@
+// =================================================================
+// ARCHIVO: src/controllers/cliente.controller.js
+// ROL: Controlador del directorio de clientes. Permite buscarlos,
+//      registrarlos (también desde la pantalla de facturación),
+//      actualizarlos y consultar su historial de compras.
+// =================================================================
+
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import { normalizarDocumento, validarCliente } from '../helpers/clientes.js';
+import { redondear } from '../helpers/impuestos.js';
+import { cargarPuntosCliente } from '../utils/movimientosPuntos.js';
+const { Cliente, Factura, Pedido, NotaCredito, MovimientoPuntos, sequelize } = db;
+
+// Cantidad de movimientos de puntos que se muestran, del más reciente al más antiguo.
+const LIMITE_MOVIMIENTOS_PUNTOS = 50;
+
+// Cantidad máxima de clientes que devuelve una búsqueda.
+const LIMITE_BUSQUEDA = 20;
+
+/**
+ * Arma los campos de un cliente a partir del cuerpo de la petición.
+ * @param {object} body - Cuerpo de la petición.
+ * @returns {object} Campos listos para guardar.
+ */
+const getDatosCliente = (body) => ({
+    tipo_documento: String(body.tipo_documento ?? '').trim().toUpperCase(),
+    numero_documento: normalizarDocumento(body.numero_documento),
+    nombre: String(body.nombre ?? '').trim(),
+    email: String(body.email ?? '').trim().toLowerCase() || null,
+    telefono: String(body.telefono ?? '').trim() || null
+});
+
+/**
+ * Busca clientes por nombre, número de documento o correo. Sin término de búsqueda
+ * devuelve los registrados más recientemente.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getClientes = async (req, res) => {
+    try {
+        const termino = String(req.query.q ?? '').trim();
+        const where = termino
+            ? {
+                [Op.or]: [
+                    { nombre: { [Op.like]: `%${termino}%` } },
+                    { numero_documento: { [Op.like]: `${normalizarDocumento(termino)}%` } },
+                    { email: { [Op.like]: `%${termino.toLowerCase()}%` } }
+                ]
+            }
+            : {};
+        const clientes = await Cliente.findAll({
+            where,
+            order: termino ? [['nombre', 'ASC']] : [['fecha_registro', 'DESC']],
+            limit: LIMITE_BUSQUEDA
+        });
+        res.status(200).send(clientes);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene un cliente por su ID.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getClienteById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const cliente = await Cliente.findByPk(id);
+        if (cliente) {
+            res.status(200).send(cliente);
+        } else {
+            res.status(404).send({ message: `Cliente con id=${id} no encontrado.` });
+        }
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Registra un cliente.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createCliente = async (req, res) => {
+    try {
+        const datos = getDatosCliente(req.body);
+        const errores = validarCliente(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'Los datos del cliente no son válidos.', errores });
+        }
+        const cliente = await Cliente.create(datos);
+        res.status(201).send({ message: 'Cliente registrado exitosamente.', cliente });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un cliente con ese documento.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza los datos de un cliente.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateCliente = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const datos = getDatosCliente(req.body);
+        const errores = validarCliente(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'Los datos del cliente no son válidos.', errores });
+        }
+        const cliente = await Cliente.findByPk(id);
+        if (!cliente) {
+            return res.status(404).send({ message: `No se encontró el cliente con id=${id}.` });
+        }
+        await cliente.update(datos);
+        res.status(200).send({ message: 'Cliente actualizado exitosamente.', cliente });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un cliente con ese documento.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene el historial de compras de un cliente: sus facturas (las más recientes
+ * primero) y un resumen con lo comprado, sin contar las facturas anuladas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getHistorialCliente = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const cliente = await Cliente.findByPk(id);
+        if (!cliente) {
+            return res.status(404).send({ message: `No se encontró el cliente con id=${id}.` });
+        }
+        const facturas = await Factura.findAll({
+            where: { cliente_id: id },
+            attributes: ['factura_id', 'numero', 'pedido_id', 'fecha_factura', 'subtotal', 'descuento_total', 'impuesto_total', 'propina', 'total', 'anulada'],
+            include: [
+                { model: Pedido, attributes: ['pedido_id', 'mesa_id'] },
+                { model: NotaCredito, attributes: ['nota_credito_id', 'motivo'] }
+            ],
+            order: [['fecha_factura', 'DESC']]
+        });
+        const vigentes = facturas.filter(factura => !factura.anulada);
+        res.status(200).send({
+            cliente,
+            resumen: {
+                facturas: vigentes.length,
+                total_comprado: redondear(vigentes.reduce((acc, factura) => acc + Number(factura.total), 0)),
+                ultima_compra: vigentes[0]?.fecha_factura || null
+            },
+            facturas
+        });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene el saldo de puntos vigente de un cliente y sus últimos movimientos. Antes de
+ * consultarlos registra en el libro el vencimiento de los puntos que ya caducaron.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getPuntosCliente = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const cliente = await Cliente.findByPk(id);
+        if (!cliente) {
+            return res.status(404).send({ message: `No se encontró el cliente con id=${id}.` });
+        }
+        const { lotes, saldo } = await sequelize.transaction((t) => cargarPuntosCliente(cliente.cliente_id, t));
+        const proximo_vencimiento = lotes.find(lote => lote.fecha_vencimiento)?.fecha_vencimiento ?? null;
+        const movimientos = await MovimientoPuntos.findAll({
+            where: { cliente_id: cliente.cliente_id },
+            attributes: ['movimiento_id', 'factura_id', 'tipo', 'puntos', 'fecha_vencimiento', 'descripcion', 'fecha'],
+            order: [['fecha', 'DESC'], ['movimiento_id', 'DESC']],
+            limit: LIMITE_MOVIMIENTOS_PUNTOS
+        });
+        res.status(200).send({ saldo, proximo_vencimiento, movimientos });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
@@ -0,0 +1,137 @@
+// =================================================================
+// ARCHIVO: src/controllers/descuento.controller.js
+// ROL: Controlador que maneja las operaciones CRUD de las reglas de
+//      descuento (comidas de personal, cortesías, porcentajes y
+//      códigos promocionales) que se aplican al facturar.
+// =================================================================
+
+import db from '../models/index.js';
+import { esDescuentoVigente, normalizarCodigo, puedeAplicarDescuento, validarDescuento } from '../helpers/descuentos.js';
+const { Descuento } = db;
+
+/**
+ * Arma los campos de una regla a partir del cuerpo de la petición.
+ * @param {object} body - Cuerpo de la petición.
+ * @returns {object} Campos listos para guardar.
+ */
+const getDatosDescuento = (body) => ({
+    nombre: String(body.nombre ?? '').trim(),
+    codigo: normalizarCodigo(body.codigo),
+    tipo: body.tipo,
+    valor: Number(body.valor),
+    alcance: body.alcance,
+    fecha_inicio: body.fecha_inicio || null,
+    fecha_fin: body.fecha_fin || null,
+    roles_permitidos: Array.isArray(body.roles_permitidos) && body.roles_permitidos.length > 0 ? body.roles_permitidos : null,
+    requiere_motivo: Boolean(body.requiere_motivo),
+    requiere_aprobacion: Boolean(body.requiere_aprobacion),
+    activo: body.activo === undefined ? true : Boolean(body.activo)
+});
+
+/**
+ * Crea una nueva regla de descuento.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createDescuento = async (req, res) => {
+    try {
+        const datos = getDatosDescuento(req.body);
+        const errores = validarDescuento(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'Los datos del descuento no son válidos.', errores });
+        }
+        const nuevoDescuento = await Descuento.create(datos);
+        res.status(201).send({ message: 'Descuento creado exitosamente.', descuento: nuevoDescuento });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un descuento con ese nombre o código.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene las reglas de descuento. El administrador recibe todas; los demás roles
+ * solo las vigentes que pueden aplicar y que no son códigos promocionales
+ * (los códigos se digitan al facturar).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getAllDescuentos = async (req, res) => {
+    try {
+        const descuentos = await Descuento.findAll({ order: [['nombre', 'ASC']] });
+        if (req.userRol === 'administrador') {
+            return res.status(200).send(descuentos);
+        }
+        res.status(200).send(descuentos.filter(descuento =>
+            !descuento.codigo && esDescuentoVigente(descuento) && puedeAplicarDescuento(descuento, req.userRol)
+        ));
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Busca un código promocional para aplicarlo al facturar. Responde 404 si el código no existe,
+ * no está vigente o el rol del usuario no puede aplicarlo.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getDescuentoPorCodigo = async (req, res) => {
+    try {
+        const codigo = normalizarCodigo(req.params.codigo);
+        const descuento = codigo ? await Descuento.findOne({ where: { codigo } }) : null;
+        if (!descuento || !esDescuentoVigente(descuento) || !puedeAplicarDescuento(descuento, req.userRol)) {
+            return res.status(404).send({ message: `El código promocional "${req.params.codigo}" no es válido.` });
+        }
+        res.status(200).send(descuento);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza una regla de descuento.
+ * Las facturas ya emitidas conservan una copia de la regla con la que se aplicó.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateDescuento = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const datos = getDatosDescuento(req.body);
+        const errores = validarDescuento(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'Los datos del descuento no son válidos.', errores });
+        }
+        const descuento = await Descuento.findByPk(id);
+        if (!descuento) {
+            return res.status(404).send({ message: `No se pudo actualizar el descuento con id=${id}.` });
+        }
+        await descuento.update(datos);
+        res.send({ message: 'Descuento actualizado exitosamente.' });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un descuento con ese nombre o código.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Elimina una regla de descuento. Las facturas que la usaron conservan su copia.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const deleteDescuento = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const num = await Descuento.destroy({ where: { descuento_id: id } });
+        if (num != 1) {
+            return res.status(404).send({ message: `No se pudo eliminar el descuento con id=${id}.` });
+        }
+        res.send({ message: 'Descuento eliminado exitosamente.' });
+    } catch (error) {
+        res.status(500).send({ message: 'Error al eliminar el descuento.' });
+    }
+};
@@ -0,0 +1,98 @@
+// =================================================================
+// ARCHIVO: src/controllers/estacion.controller.js
+// ROL: Controlador que maneja las operaciones CRUD de las
+//      estaciones de cocina y su relación con las categorías.
+// =================================================================
+
+import db from '../models/index.js';
+const { EstacionCocina, Categoria, sequelize } = db;
+
+/**
+ * Crea una nueva estación de cocina.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createEstacion = async (req, res) => {
+    try {
+        const { nombre } = req.body;
+        if (!nombre || !nombre.trim()) {
+            return res.status(400).send({ message: 'El nombre de la estación es requerido.' });
+        }
+        const nuevaEstacion = await EstacionCocina.create({ nombre: nombre.trim() });
+        res.status(201).send({ message: 'Estación creada exitosamente.', estacion: nuevaEstacion });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe una estación con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene todas las estaciones de cocina.
+ * La usan el panel de administración y la vista de cocina (selector de estación).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getAllEstaciones = async (req, res) => {
+    try {
+        const estaciones = await EstacionCocina.findAll({ order: [['nombre', 'ASC']] });
+        res.status(200).send(estaciones);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza el nombre de una estación.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateEstacion = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nombre } = req.body;
+        if (!nombre || !nombre.trim()) {
+            return res.status(400).send({ message: 'El nombre de la estación es requerido.' });
+        }
+        const [num] = await EstacionCocina.update({ nombre: nombre.trim() }, { where: { estacion_id: id } });
+
+        if (num == 1) {
+            res.send({ message: 'Estación actualizada exitosamente.' });
+        } else {
+            res.status(404).send({ message: `No se pudo actualizar la estación con id=${id}.` });
+        }
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe una estación con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Elimina una estación. Sus categorías quedan sin estación asignada
+ * y sus productos vuelven a llegar solo a la sala general de cocina.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const deleteEstacion = async (req, res) => {
+    const { id } = req.params;
+    const t = await sequelize.transaction();
+    try {
+        // paranoid: false también libera las categorías eliminadas (soft delete).
+        await Categoria.update({ estacion_id: null }, { where: { estacion_id: id }, paranoid: false, transaction: t });
+        const num = await EstacionCocina.destroy({ where: { estacion_id: id }, transaction: t });
+
+        if (num != 1) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se pudo eliminar la estación con id=${id}.` });
+        }
+
+        await t.commit();
+        res.send({ message: 'Estación eliminada exitosamente.' });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: 'Error al eliminar la estación.' });
+    }
+};
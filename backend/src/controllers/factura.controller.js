@@ -5,74 +5,380 @@
 // =================================================================
 
 import db from '../models/index.js';
-import nodemailer from 'nodemailer';
 import PDFDocument from 'pdfkit';
 import fs from 'fs'; // Se importa el módulo 'fs' para interactuar con el sistema de archivos.
+import bcrypt from 'bcryptjs';
+import { Op } from 'sequelize';
+import { ESTADOS_PEDIDO, ROL_SISTEMA, esTransicionValida } from '../helpers/pedidoEstados.js';
+import { calcularPrecioUnitario, describirModificadores } from '../helpers/modificadores.js';
+import { calcularDesgloseImpuestos, getImpuestoAplicable, redondear } from '../helpers/impuestos.js';
+import { esEfectivo, validarPagos } from '../helpers/pagos.js';
+import { ESTADOS_SESION_CAJA } from '../helpers/caja.js';
+import { calcularPendientes, resolverLineasFactura, quedaPendiente } from '../helpers/divisionCuenta.js';
+import { calcularDescuentos, normalizarCodigo, validarAplicacion } from '../helpers/descuentos.js';
+import { formatearDocumento } from '../helpers/clientes.js';
+import { TIPOS_MOVIMIENTO_PUNTOS, calcularPuntosGanados, crearDescuentoCanje, puntosParaMonto, validarCanje } from '../helpers/puntos.js';
+import { acumularPuntos, canjearPuntos, cargarPuntosCliente, getConfiguracionPuntos, getSaldoPuntos, reversarPuntosFactura } from '../utils/movimientosPuntos.js';
+import { calcularCargoServicio, validarComensales } from '../helpers/propinas.js';
+import { enmascararCodigoTarjeta } from '../helpers/tarjetasRegalo.js';
+import { cargarTarjetasPago, redimirTarjetas, reversarTarjetasFactura } from '../utils/movimientosTarjetaRegalo.js';
+import { asignarNumeroFactura } from '../utils/numeracionFacturas.js';
+import { ORDENES_FACTURAS, getPaginacion, validarFiltrosFacturas } from '../helpers/busquedaFacturas.js';
+import { generarCsv } from '../helpers/csv.js';
+import { sendPdfEmail } from '../helpers/email.js';
+import { getNumeroFactura } from '../helpers/reportesVentas.js';
+
+const { Pedido, Factura, FacturaDetalle, FacturaDescuento, NotaCredito, SesionCaja, Cliente, MovimientoPuntos, Descuento, Producto, Categoria, Impuesto, FacturaImpuesto, MetodoPago, DetallePedido, TransaccionPago, TarjetaRegalo, ConfiguracionPropinas, ResolucionFacturacion, Mesa, Usuario, Rol, sequelize } = db;
+
+// Producto de cada línea con su tarifa propia y la de su categoría (incluidas categorías eliminadas).
+const INCLUDE_PRODUCTO_CON_IMPUESTO = {
+    model: Producto,
+    attributes: ['nombre_producto', 'valor_neto', 'impuesto_id', 'categoria_id'],
+    include: [
+        { model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] },
+        {
+            model: Categoria,
+            attributes: ['categoria_id'],
+            paranoid: false,
+            include: [{ model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] }]
+        }
+    ]
+};
+
+// Líneas cobradas en una factura, con el producto para mostrar nombre y precio.
+const INCLUDE_DETALLES_FACTURA = {
+    model: FacturaDetalle,
+    include: [{
+        model: DetallePedido,
+        include: [{ model: Producto, attributes: ['nombre_producto', 'valor_neto'] }]
+    }]
+};
+
+/**
+ * Obtiene la cantidad ya cobrada de cada línea del pedido en facturas anteriores
+ * (las facturas anuladas con nota crédito no cuentan).
+ * @param {Array<number>} detalleIds - IDs de las líneas del pedido.
+ * @param {object} [transaction] - Transacción de Sequelize.
+ * @returns {Promise<Map<number, number>>}
+ */
+const getCantidadesFacturadas = async (detalleIds, transaction) => {
+    if (detalleIds.length === 0) return new Map();
+    const filas = await FacturaDetalle.findAll({
+        attributes: ['detalle_id', [sequelize.fn('SUM', sequelize.col('FacturaDetalle.cantidad')), 'cantidad']],
+        where: { detalle_id: detalleIds },
+        include: [{ model: Factura, attributes: [], where: { anulada: false } }],
+        group: ['FacturaDetalle.detalle_id'],
+        raw: true,
+        transaction
+    });
+    return new Map(filas.map((fila) => [Number(fila.detalle_id), Number(fila.cantidad)]));
+};
+
+/**
+ * Verifica las credenciales de un administrador que autoriza un descuento.
+ * @param {{correo?: string, contraseña?: string}} [autorizacion] - Credenciales enviadas al facturar.
+ * @param {object} [transaction] - Transacción de Sequelize.
+ * @returns {Promise<number|null>} El ID del administrador, o null si las credenciales no son válidas.
+ */
+const verificarAutorizacion = async (autorizacion, transaction) => {
+    if (!autorizacion?.correo || !autorizacion?.contraseña) return null;
+    const usuario = await Usuario.findOne({
+        where: { correo: autorizacion.correo, is_deleted: false },
+        include: [{ model: Rol, attributes: ['nombre_rol'] }],
+        transaction
+    });
+    if (!usuario || usuario.Rol?.nombre_rol !== 'administrador') return null;
+    const valida = await bcrypt.compare(String(autorizacion.contraseña), usuario.contraseña);
+    return valida ? usuario.usuario_id : null;
+};
 
-const { Pedido, Factura, Producto, MetodoPago, DetallePedido, TransaccionPago, sequelize } = db;
+/**
+ * Carga las reglas de los descuentos solicitados ([{ descuento_id | codigo, detalle_id?, motivo? }])
+ * y valida que el usuario pueda aplicarlas. Si alguna requiere autorización y quien factura no es
+ * administrador, se verifican las credenciales del administrador enviadas en 'autorizacion'.
+ * @param {Array<object>} solicitados - Descuentos enviados al facturar.
+ * @param {{usuarioId: number, rol: string|null, autorizacion?: object}} contexto
+ * @param {object} [transaction] - Transacción de Sequelize.
+ * @returns {Promise<{errores: Array<string>, aplicados: Array<object>}>}
+ */
+const resolverDescuentos = async (solicitados, { usuarioId, rol, autorizacion }, transaction) => {
+    if (!Array.isArray(solicitados) || solicitados.length === 0) return { errores: [], aplicados: [] };
+
+    const ids = solicitados.map(d => Number(d?.descuento_id)).filter(Boolean);
+    const codigos = solicitados.map(d => normalizarCodigo(d?.codigo)).filter(Boolean);
+    const reglas = await Descuento.findAll({
+        where: { [Op.or]: [{ descuento_id: ids }, { codigo: codigos }] },
+        transaction
+    });
+
+    let aprobadoPor = null;
+    if (reglas.some(regla => regla.requiere_aprobacion)) {
+        aprobadoPor = rol === 'administrador' ? usuarioId : await verificarAutorizacion(autorizacion, transaction);
+    }
+
+    const errores = [];
+    const aplicados = [];
+    solicitados.forEach((solicitado, index) => {
+        const codigo = normalizarCodigo(solicitado?.codigo);
+        const descuento = codigo
+            ? reglas.find(regla => regla.codigo === codigo)
+            : reglas.find(regla => regla.descuento_id === Number(solicitado?.descuento_id));
+        if (!descuento) {
+            errores.push(codigo ? `El código promocional "${codigo}" no es válido.` : `El descuento ${index + 1} no existe.`);
+            return;
+        }
+        const motivo = String(solicitado.motivo ?? '').trim() || null;
+        const aprobado_por = descuento.requiere_aprobacion ? aprobadoPor : null;
+        const error = validarAplicacion(descuento, { rol, motivo, aprobado_por });
+        if (error) {
+            errores.push(error);
+            return;
+        }
+        aplicados.push({ descuento, detalle_id: solicitado.detalle_id, motivo, aprobado_por });
+    });
+    return { errores, aplicados };
+};
 
 /**
- * Crea una nueva factura, su transacción de pago asociada, y actualiza el estado del pedido.
+ * Crea una nueva factura, sus transacciones de pago, y actualiza el estado del pedido.
+ * Los pagos llegan en 'pagos' ([{ metodo_pago_id, monto }]) y pueden combinar varios
+ * métodos; si solo se envía 'metodo_pago_id', se registra un único pago por el total.
+ * Para dividir la cuenta se envía 'lineas' ([{ detalle_id, cantidad }]) o 'partes'
+ * (número de partes iguales en que se reparte lo pendiente); sin ellas se cobra todo
+ * lo pendiente. El pedido pasa a 'pagado' solo cuando todas sus líneas están cobradas.
+ * Los descuentos llegan en 'descuentos' y, si alguno requiere autorización, en 'autorizacion'
+ * van el correo y la contraseña del administrador que lo aprueba.
+ * Si la factura tiene cliente, gana puntos por su total sin propina y puede canjear
+ * 'puntos_canjeados' como un descuento sobre el pedido, aplicado después de los demás.
+ * Los pagos en efectivo quedan en la sesión de caja abierta del usuario que factura.
+ * Los pagos con tarjeta de regalo indican su 'codigo_tarjeta' y descuentan su saldo.
+ * Si la mesa alcanza el mínimo de comensales, se cobra el cargo por servicio configurado,
+ * gravado con su propia tarifa; 'comensales' permite corregir el número antes de facturar.
+ * La factura recibe el siguiente número de la resolución activa; si el rango está por
+ * agotarse o la resolución por vencer, la respuesta trae el aviso en 'alerta_numeracion'.
  * Toda la operación se ejecuta dentro de una transacción de base de datos para garantizar la integridad.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
 export const createInvoice = async (req, res) => {
-    const { pedido_id, metodo_pago_id, propina } = req.body;
+    const { pedido_id, metodo_pago_id, propina, pagos, lineas: lineasSolicitadas, partes, descuentos: descuentosSolicitados, autorizacion, cliente_id, puntos_canjeados, comensales } = req.body;
 
-    if (!pedido_id || !metodo_pago_id) {
-        return res.status(400).send({ message: "El ID del pedido y el método de pago son requeridos." });
+    if (!pedido_id || (!metodo_pago_id && !(Array.isArray(pagos) && pagos.length > 0))) {
+        return res.status(400).send({ message: "El ID del pedido y al menos un pago son requeridos." });
+    }
+    const errorComensales = validarComensales(comensales);
+    if (errorComensales) {
+        return res.status(400).send({ message: errorComensales });
     }
 
     // Se inicia una transacción de Sequelize.
     const t = await sequelize.transaction();
     try {
-        // Se busca el pedido y se incluyen sus productos para el cálculo.
-        const pedido = await Pedido.findByPk(pedido_id, {
-            include: [{ model: Producto, through: { attributes: ['cantidad'] } }],
-            transaction: t
-        });
+        // Se busca el pedido bloqueándolo, para que dos facturas simultáneas no cobren las mismas líneas.
+        const pedido = await Pedido.findByPk(pedido_id, { transaction: t, lock: t.LOCK.UPDATE });
 
         if (!pedido) {
             await t.rollback();
             return res.status(404).send({ message: "Pedido no encontrado." });
         }
-        // Se valida que el pedido esté en el estado correcto para ser facturado.
-        if (pedido.estado !== 'entregado') {
+        // Se valida que el ciclo de vida permita pasar el pedido a 'pagado'.
+        if (!esTransicionValida(pedido.estado, ESTADOS_PEDIDO.PAGADO, ROL_SISTEMA)) {
              await t.rollback();
              return res.status(400).send({ message: `El pedido no se puede facturar en estado: ${pedido.estado}` });
         }
 
-        // Se calculan los montos de la factura.
-        let subtotal = 0;
-        pedido.Productos.forEach(producto => {
-            const cantidad = producto.DetallePedido.cantidad;
-            subtotal += cantidad * parseFloat(producto.valor_neto);
+        // La factura sin cliente es de consumidor final.
+        const cliente = cliente_id ? await Cliente.findByPk(cliente_id, { transaction: t }) : null;
+        if (cliente_id && !cliente) {
+            await t.rollback();
+            return res.status(400).send({ message: "El cliente indicado no existe." });
+        }
+
+        // Se cargan los puntos vigentes del cliente (registrando los vencidos) y se valida el canje.
+        const puntosSolicitados = Number(puntos_canjeados) || 0;
+        if (puntosSolicitados && !cliente) {
+            await t.rollback();
+            return res.status(400).send({ message: "Solo se pueden canjear puntos en una factura con cliente." });
+        }
+        const configPuntos = cliente ? await getConfiguracionPuntos(t) : null;
+        const puntosCliente = cliente ? await cargarPuntosCliente(cliente.cliente_id, t) : null;
+        if (puntosSolicitados) {
+            const errorCanje = validarCanje(puntosSolicitados, puntosCliente.saldo, configPuntos);
+            if (errorCanje) {
+                await t.rollback();
+                return res.status(400).send({ message: errorCanje });
+            }
+        }
+
+        // Se cargan las líneas (con producto, tarifa y modificadores) y se determina
+        // qué cantidad de cada una se cobra en esta factura.
+        const detalles = await DetallePedido.findAll({
+            where: { pedido_id },
+            include: [INCLUDE_PRODUCTO_CON_IMPUESTO],
+            transaction: t
         });
-        
-        const impuesto_total = subtotal * 0.08;
+        const facturado = await getCantidadesFacturadas(detalles.map(d => d.detalle_id), t);
+        const pendientes = calcularPendientes(detalles, facturado);
+        const division = resolverLineasFactura(pendientes, { lineas: lineasSolicitadas, partes });
+        if (division.errores.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: "La división de la cuenta no es válida.", errores: division.errores });
+        }
+        const detallesPorId = new Map(detalles.map(d => [d.detalle_id, d]));
+
+        // Se calculan los montos de la factura. El precio unitario de cada línea
+        // incluye los ajustes de sus modificadores, y cada línea se grava con la
+        // tarifa de su producto (o de su categoría).
+        const lineas = division.lineas.map(({ detalle_id, cantidad }) => {
+            const detalle = detallesPorId.get(detalle_id);
+            return {
+                detalle_id,
+                base: cantidad * calcularPrecioUnitario(detalle.Producto.valor_neto, detalle.modificadores),
+                impuesto: getImpuestoAplicable(detalle.Producto)
+            };
+        });
+        const subtotal = redondear(lineas.reduce((acc, linea) => acc + linea.base, 0));
+
+        // Los descuentos reducen la base de las líneas antes de calcular los impuestos.
+        const solicitud = await resolverDescuentos(descuentosSolicitados, { usuarioId: req.userId, rol: req.userRol, autorizacion }, t);
+        const canje = puntosSolicitados ? { descuento: crearDescuentoCanje(puntosSolicitados, configPuntos), detalle_id: null, motivo: null, aprobado_por: null } : null;
+        const calculo = calcularDescuentos(lineas, canje ? [...solicitud.aplicados, canje] : solicitud.aplicados);
+        const erroresDescuento = [...solicitud.errores, ...calculo.errores];
+        if (erroresDescuento.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: "Los descuentos de la factura no son válidos.", errores: erroresDescuento });
+        }
+        const { descuento_total } = calculo;
+        // El cargo por servicio se calcula sobre el subtotal con descuentos y se grava con
+        // su propia tarifa, en el mismo desglose que las líneas.
+        if (comensales !== undefined && comensales !== '') {
+            await pedido.update({ comensales: comensales === null ? null : Number(comensales) }, { transaction: t });
+        }
+        const configPropinas = await ConfiguracionPropinas.findByPk(1, { include: [{ model: Impuesto }], transaction: t });
+        const cargo_servicio = calcularCargoServicio({ base: subtotal - descuento_total, comensales: pedido.comensales }, configPropinas);
+        const impuestoCargo = getImpuestoAplicable({ Impuesto: configPropinas?.Impuesto });
+        const impuesto_cargo_servicio = redondear(cargo_servicio * impuestoCargo.porcentaje / 100);
+        const { desglose, impuesto_total } = calcularDesgloseImpuestos(cargo_servicio > 0
+            ? [...calculo.lineas, { base: cargo_servicio, impuesto: impuestoCargo }]
+            : calculo.lineas);
         const propina_valor = parseFloat(propina) || 0;
-        const total = subtotal + impuesto_total + propina_valor;
+        const total = redondear(subtotal - descuento_total + cargo_servicio + impuesto_total + propina_valor);
+        // Si la cuenta es menor que el valor canjeado, solo se consumen los puntos que la cubren.
+        const aplicadoCanje = canje ? calculo.descuentos.find(aplicado => aplicado.descuento === canje.descuento) : null;
+        const puntosUsados = aplicadoCanje ? puntosParaMonto(aplicadoCanje.monto, configPuntos) : 0;
+        if (aplicadoCanje && puntosUsados === 0) {
+            await t.rollback();
+            return res.status(400).send({ message: "La cuenta ya no tiene saldo para canjear puntos." });
+        }
+        if (aplicadoCanje) {
+            aplicadoCanje.descuento = crearDescuentoCanje(puntosUsados, configPuntos);
+        }
+
+        // Se validan los pagos contra el total y se calcula el cambio en efectivo.
+        const metodos = await MetodoPago.findAll({ transaction: t });
+        const metodosPorId = new Map(metodos.map(metodo => [metodo.metodo_pago_id, metodo]));
+        const pagosRecibidos = Array.isArray(pagos) && pagos.length > 0 ? pagos : [{ metodo_pago_id, monto: total }];
+        const { errores, transacciones, cambio } = validarPagos(pagosRecibidos, total, metodosPorId);
+        if (errores.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: "Los pagos de la factura no son válidos.", errores });
+        }
+        // Las tarjetas de regalo se bloquean hasta confirmar la factura, para que su saldo no se use dos veces.
+        const { errores: erroresTarjetas, tarjetasPorCodigo } = await cargarTarjetasPago(transacciones, t);
+        if (erroresTarjetas.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: "Los pagos de la factura no son válidos.", errores: erroresTarjetas });
+        }
+        // Los pagos en efectivo entran a la sesión de caja abierta de quien factura.
+        const recibeEfectivo = transacciones.some(tx => esEfectivo(metodosPorId.get(tx.metodo_pago_id)));
+        const sesionCaja = recibeEfectivo
+            ? await SesionCaja.findOne({ where: { usuario_id: req.userId, estado: ESTADOS_SESION_CAJA.ABIERTA }, transaction: t, lock: t.LOCK.UPDATE })
+            : null;
+        if (recibeEfectivo && !sesionCaja) {
+            await t.rollback();
+            return res.status(400).send({ message: "Debe abrir una sesión de caja para recibir pagos en efectivo." });
+        }
+        // La factura conserva como método principal el que aportó el mayor monto.
+        const metodoPrincipal = transacciones.reduce((mayor, tx) => (tx.monto_pagado > mayor.monto_pagado ? tx : mayor));
+
+        // Se numera al final, con todo validado, para no bloquear la resolución más de lo necesario.
+        const numeracion = await asignarNumeroFactura(t);
+        if (numeracion.error) {
+            await t.rollback();
+            return res.status(400).send({ message: numeracion.error });
+        }
 
-        // 1. Se crea el registro de la factura.
+        // 1. Se crea el registro de la factura con su número y su desglose de impuestos por tarifa.
         const nuevaFactura = await Factura.create({
-            pedido_id, metodo_pago_id, subtotal, impuesto_total,
-            propina: propina_valor, total
+            numero: numeracion.numero, resolucion_id: numeracion.resolucion.resolucion_id, consecutivo: numeracion.consecutivo,
+            pedido_id, metodo_pago_id: metodoPrincipal.metodo_pago_id, subtotal, descuento_total, impuesto_total,
+            cargo_servicio, impuesto_cargo_servicio, propina: propina_valor, total, cliente_id: cliente?.cliente_id ?? null
         }, { transaction: t });
+        await FacturaImpuesto.bulkCreate(desglose.map(tarifa => ({
+            factura_id: nuevaFactura.factura_id,
+            ...tarifa
+        })), { transaction: t });
 
-        // 2. Se crea el registro de la transacción de pago.
-        await TransaccionPago.create({
+        await FacturaDetalle.bulkCreate(division.lineas.map(linea => ({
             factura_id: nuevaFactura.factura_id,
-            metodo_pago_id: metodo_pago_id,
-            monto_pagado: total 
-        }, { transaction: t });
+            ...linea
+        })), { transaction: t });
+
+        // Cada descuento guarda una copia de su regla, quién lo aplicó y quién lo autorizó.
+        const descuentosCreados = await FacturaDescuento.bulkCreate(calculo.descuentos.map(({ descuento, detalle_id, monto, motivo, aprobado_por }) => ({
+            factura_id: nuevaFactura.factura_id,
+            descuento_id: descuento.descuento_id,
+            nombre: descuento.nombre,
+            codigo: descuento.codigo,
+            tipo: descuento.tipo,
+            valor: descuento.valor,
+            alcance: descuento.alcance,
+            detalle_id,
+            monto,
+            motivo,
+            aplicado_por: req.userId,
+            aprobado_por
+        })), { transaction: t });
+
+        // 2. Se registra una transacción por cada pago.
+        const transaccionesCreadas = await TransaccionPago.bulkCreate(transacciones.map(({ codigo_tarjeta, ...tx }) => ({
+            factura_id: nuevaFactura.factura_id,
+            ...tx,
+            sesion_caja_id: esEfectivo(metodosPorId.get(tx.metodo_pago_id)) ? sesionCaja.sesion_caja_id : null,
+            tarjeta_regalo_id: codigo_tarjeta ? tarjetasPorCodigo.get(codigo_tarjeta).tarjeta_id : null
+        })), { transaction: t });
+        // Los pagos con tarjeta de regalo descuentan su saldo.
+        await redimirTarjetas({ facturaId: nuevaFactura.factura_id, transacciones: transaccionesCreadas, tarjetasPorCodigo, usuarioId: req.userId }, t);
         
-        // 3. Se actualiza el estado del pedido a 'pagado'.
-        await pedido.update({ estado: 'pagado' }, { transaction: t });
+        // 3. El cliente canjea los puntos usados y gana los de esta factura.
+        let puntos = null;
+        if (cliente) {
+            if (puntosUsados > 0) {
+                await canjearPuntos({ clienteId: cliente.cliente_id, facturaId: nuevaFactura.factura_id, puntos: puntosUsados, usuarioId: req.userId, lotes: puntosCliente.lotes }, t);
+            }
+            const ganados = calcularPuntosGanados({ total, propina: propina_valor }, configPuntos);
+            if (ganados > 0) {
+                await acumularPuntos({ clienteId: cliente.cliente_id, facturaId: nuevaFactura.factura_id, puntos: ganados, usuarioId: req.userId, config: configPuntos }, t);
+            }
+            puntos = { canjeados: puntosUsados, ganados, saldo: puntosCliente.saldo - puntosUsados + ganados };
+        }
+
+        // 4. Si ya no queda nada por cobrar, el pedido pasa a 'pagado'.
+        const pedidoPagado = !quedaPendiente(pendientes, division.lineas);
+        if (pedidoPagado) {
+            await pedido.update({ estado: ESTADOS_PEDIDO.PAGADO }, { transaction: t });
+        }
         
         // Si todas las operaciones son exitosas, se confirman los cambios en la base de datos.
         await t.commit();
-        res.status(201).send({ message: "Factura creada exitosamente.", factura: nuevaFactura });
+        res.status(201).send({
+            message: pedidoPagado
+                ? `Factura ${nuevaFactura.numero} creada exitosamente.`
+                : `Factura ${nuevaFactura.numero} creada exitosamente. El pedido aún tiene artículos pendientes por facturar.`,
+            factura: { ...nuevaFactura.toJSON(), cliente, puntos, impuestos: desglose, descuentos: descuentosCreados, pagos: transaccionesCreadas, cambio, lineas: division.lineas },
+            pedido_pagado: pedidoPagado,
+            alerta_numeracion: numeracion.alerta
+        });
 
     } catch (error) {
         // Si alguna operación falla, se revierten todos los cambios.
@@ -82,20 +388,38 @@ export const createInvoice = async (req, res) => {
 };
 
 /**
- * Anula una factura existente y revierte el estado del pedido asociado.
+ * Anula una factura emitiendo una nota crédito que la referencia, con el motivo y el
+ * usuario que la emite. La factura se conserva (marcada como anulada) como soporte contable.
+ * Si el pedido estaba 'pagado' vuelve a 'entregado'; si la cuenta estaba dividida, las
+ * líneas de la factura anulada quedan de nuevo pendientes. Al cliente se le devuelven los
+ * puntos que canjeó y se le retiran los que ganó con la factura, y a las tarjetas de regalo
+ * el saldo que se pagó con ellas.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
 export const voidInvoice = async (req, res) => {
     const { id } = req.params; 
+    const motivo = String(req.body?.motivo ?? '').trim();
+
+    if (!motivo) {
+        return res.status(400).send({ message: "El motivo de la anulación es requerido." });
+    }
 
     const t = await sequelize.transaction();
     try {
-        const factura = await Factura.findByPk(id, { transaction: t });
+        const factura = await Factura.findByPk(id, {
+            include: [{ model: NotaCredito, attributes: ['nota_credito_id'] }],
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
         if (!factura) {
             await t.rollback();
             return res.status(404).send({ message: "Factura no encontrada para anular." });
         }
+        if (factura.anulada) {
+            await t.rollback();
+            return res.status(409).send({ message: `La factura #${id} ya fue anulada con la nota crédito #${factura.NotaCredito?.nota_credito_id}.` });
+        }
 
         const pedido = await Pedido.findByPk(factura.pedido_id, { transaction: t });
         if (!pedido) {
@@ -103,13 +427,41 @@ export const voidInvoice = async (req, res) => {
             return res.status(404).send({ message: "Pedido asociado no encontrado." });
         }
 
-        // Se eliminan en orden: transacciones, factura y luego se actualiza el pedido.
-        await TransaccionPago.destroy({ where: { factura_id: id }, transaction: t });
-        await Factura.destroy({ where: { factura_id: id }, transaction: t });
-        await pedido.update({ estado: 'entregado' }, { transaction: t });
+        // Un pedido con la cuenta dividida sigue 'entregado' mientras tenga líneas pendientes.
+        const cuentaParcial = pedido.estado === ESTADOS_PEDIDO.ENTREGADO;
+        if (!cuentaParcial && !esTransicionValida(pedido.estado, ESTADOS_PEDIDO.ENTREGADO, ROL_SISTEMA)) {
+            await t.rollback();
+            return res.status(409).send({ message: `El pedido asociado está en estado '${pedido.estado}' y no se puede revertir.` });
+        }
+
+        // Se emite la nota crédito por el valor total de la factura y se marca la factura como anulada.
+        const notaCredito = await NotaCredito.create({
+            factura_id: factura.factura_id,
+            motivo,
+            usuario_id: req.userId,
+            subtotal: factura.subtotal,
+            descuento_total: factura.descuento_total,
+            impuesto_total: factura.impuesto_total,
+            propina: factura.propina,
+            cargo_servicio: factura.cargo_servicio,
+            total: factura.total
+        }, { transaction: t });
+        await factura.update({ anulada: true }, { transaction: t });
+        const reversosPuntos = factura.cliente_id
+            ? await reversarPuntosFactura({ factura, usuarioId: req.userId, config: await getConfiguracionPuntos(t) }, t)
+            : [];
+        const reversosTarjetas = await reversarTarjetasFactura({ factura, usuarioId: req.userId }, t);
+        if (!cuentaParcial) {
+            await pedido.update({ estado: ESTADOS_PEDIDO.ENTREGADO }, { transaction: t });
+        }
 
         await t.commit();
-        res.status(200).send({ message: `Factura #${id} anulada correctamente. El pedido está listo para ser corregido y refacturado.` });
+        res.status(200).send({
+            message: `Factura ${getNumeroFactura(factura)} anulada con la nota crédito #${notaCredito.nota_credito_id}. El pedido está listo para ser corregido y refacturado.`,
+            nota_credito: notaCredito,
+            reversos_puntos: reversosPuntos,
+            reversos_tarjetas: reversosTarjetas
+        });
 
     } catch (error) {
         await t.rollback();
@@ -118,6 +470,144 @@ export const voidInvoice = async (req, res) => {
     }
 };
 
+// Relaciones que necesita el PDF de una factura.
+const INCLUDE_FACTURA_PDF = [
+    { model: Pedido },
+    { model: Cliente },
+    INCLUDE_DETALLES_FACTURA,
+    { model: MetodoPago },
+    { model: FacturaImpuesto },
+    { model: FacturaDescuento },
+    { model: NotaCredito, attributes: ['nota_credito_id'] },
+    { model: MovimientoPuntos, attributes: ['tipo', 'puntos'] },
+    { model: ResolucionFacturacion },
+    { model: TransaccionPago, include: [{ model: MetodoPago, attributes: ['nombre_metodo'] }, { model: TarjetaRegalo, attributes: ['codigo'] }] }
+];
+
+// Columnas del listado de facturas exportado a CSV.
+const ENCABEZADOS_LISTADO = ['Número', 'Fecha', 'Pedido', 'Mesa', 'Mesero', 'Cliente', 'Método de pago', 'Subtotal', 'Descuentos', 'Impuestos', 'Cargo por servicio', 'Propina', 'Total', 'Estado'];
+
+/**
+ * Arma la consulta del listado de facturas a partir de los filtros validados.
+ * El filtro por método de pago incluye las facturas pagadas en parte con ese método.
+ * @param {object} filtros - Filtros normalizados por 'validarFiltrosFacturas'.
+ * @returns {{where: object, include: Array<object>, order: Array<Array<string>>}}
+ */
+const getConsultaListado = (filtros) => {
+    const where = {};
+    if (filtros.desde || filtros.hasta) {
+        where.fecha_factura = {};
+        if (filtros.desde) where.fecha_factura[Op.gte] = new Date(`${filtros.desde}T00:00:00`);
+        if (filtros.hasta) {
+            const finPeriodo = new Date(`${filtros.hasta}T00:00:00`);
+            finPeriodo.setDate(finPeriodo.getDate() + 1); // Se incluye el día final completo.
+            where.fecha_factura[Op.lt] = finPeriodo;
+        }
+    }
+    if (filtros.monto_min !== null || filtros.monto_max !== null) {
+        where.total = {};
+        if (filtros.monto_min !== null) where.total[Op.gte] = filtros.monto_min;
+        if (filtros.monto_max !== null) where.total[Op.lte] = filtros.monto_max;
+    }
+    if (filtros.anulada !== null) where.anulada = filtros.anulada;
+    if (filtros.numero) where.numero = { [Op.like]: `%${filtros.numero}%` };
+    if (filtros.metodo_pago_id) {
+        where.factura_id = { [Op.in]: sequelize.literal(`(SELECT factura_id FROM transacciones_pago WHERE metodo_pago_id = ${filtros.metodo_pago_id})`) };
+    }
+
+    const wherePedido = {};
+    if (filtros.mesero_id) wherePedido.usuario_id = filtros.mesero_id;
+    if (filtros.mesa_id) wherePedido.mesa_id = filtros.mesa_id;
+
+    return {
+        where,
+        include: [
+            {
+                model: Pedido,
+                attributes: ['pedido_id', 'mesa_id', 'usuario_id'],
+                where: wherePedido,
+                include: [
+                    { model: Mesa, attributes: ['numero_mesa'], paranoid: false },
+                    { model: Usuario, attributes: ['nombre'], paranoid: false }
+                ]
+            },
+            { model: Cliente, attributes: ['cliente_id', 'nombre', 'tipo_documento', 'numero_documento', 'email'] },
+            { model: MetodoPago, attributes: ['nombre_metodo'] },
+            { model: NotaCredito, attributes: ['nota_credito_id'] }
+        ],
+        order: [[ORDENES_FACTURAS[filtros.orden], filtros.direccion.toUpperCase()], ['factura_id', 'DESC']]
+    };
+};
+
+/**
+ * Lista las facturas con filtros opcionales (?desde=&hasta=&mesero_id=&mesa_id=&metodo_pago_id=
+ * &monto_min=&monto_max=&anulada=&numero=), ordenadas por fecha, total o número
+ * (?orden=&direccion=) y paginadas (?pagina=&por_pagina=). Con '?formato=csv' se descargan
+ * todas las facturas que cumplen los filtros, sin paginar.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getInvoices = async (req, res) => {
+    const { formato = 'json' } = req.query;
+    const { errores, filtros } = validarFiltrosFacturas(req.query);
+    if (!['json', 'csv'].includes(formato)) {
+        errores.push("El formato del listado debe ser 'json' o 'csv'.");
+    }
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'Los filtros de la búsqueda no son válidos.', errores });
+    }
+
+    try {
+        const consulta = getConsultaListado(filtros);
+        if (formato === 'csv') {
+            const facturas = await Factura.findAll(consulta);
+            const filas = facturas.map(factura => [
+                getNumeroFactura(factura),
+                new Date(factura.fecha_factura).toLocaleString('es-CO'),
+                factura.pedido_id,
+                factura.Pedido?.Mesa?.numero_mesa ?? '',
+                factura.Pedido?.Usuario?.nombre ?? '',
+                factura.Cliente ? `${factura.Cliente.nombre} (${formatearDocumento(factura.Cliente)})` : 'Consumidor final',
+                factura.MetodoPago?.nombre_metodo ?? '',
+                Number(factura.subtotal).toFixed(2),
+                Number(factura.descuento_total).toFixed(2),
+                Number(factura.impuesto_total).toFixed(2),
+                Number(factura.cargo_servicio).toFixed(2),
+                Number(factura.propina).toFixed(2),
+                Number(factura.total).toFixed(2),
+                factura.anulada ? `Anulada (NC #${factura.NotaCredito?.nota_credito_id ?? ''})` : 'Vigente'
+            ]);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="facturas.csv"');
+            return res.status(200).send(generarCsv(ENCABEZADOS_LISTADO, filas));
+        }
+
+        const { count, rows } = await Factura.findAndCountAll({
+            ...consulta,
+            limit: filtros.por_pagina,
+            offset: (filtros.pagina - 1) * filtros.por_pagina,
+            distinct: true
+        });
+        res.status(200).send({ facturas: rows, paginacion: getPaginacion(count, filtros.pagina, filtros.por_pagina) });
+    } catch (error) {
+        console.error("Error al listar las facturas:", error);
+        res.status(500).send({ message: "Error al listar las facturas: " + error.message });
+    }
+};
+
+// Relaciones que se cargan al consultar una factura.
+const INCLUDE_FACTURA_COMPLETA = [
+    { model: Pedido },
+    { model: Cliente },
+    { model: MetodoPago },
+    { model: FacturaImpuesto },
+    { model: FacturaDescuento },
+    { model: NotaCredito },
+    { model: ResolucionFacturacion },
+    INCLUDE_DETALLES_FACTURA,
+    { model: TransaccionPago, include: [{ model: MetodoPago, attributes: ['nombre_metodo'] }, { model: TarjetaRegalo, attributes: ['codigo'] }] }
+];
+
 /**
  * Obtiene los detalles de una factura específica por su ID.
  * @param {object} req - El objeto de la petición de Express.
@@ -126,12 +616,7 @@ export const voidInvoice = async (req, res) => {
 export const getInvoiceById = async (req, res) => {
     try {
         const { id } = req.params;
-        const factura = await Factura.findByPk(id, {
-            include: [
-                { model: Pedido },
-                { model: MetodoPago }
-            ]
-        });
+        const factura = await Factura.findByPk(id, { include: INCLUDE_FACTURA_COMPLETA });
 
         if (factura) {
             res.status(200).send(factura);
@@ -144,40 +629,74 @@ export const getInvoiceById = async (req, res) => {
 };
 
 /**
- * Envía una factura en formato PDF al correo electrónico de un cliente.
+ * Busca una factura por su número (prefijo y consecutivo, ej. 'SETP990000123').
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
-export const sendInvoiceByEmail = async (req, res) => {
-    const { id } = req.params;
-    const { email } = req.body;
+export const getInvoiceByNumero = async (req, res) => {
+    try {
+        const numero = String(req.params.numero).replace(/\s/g, '').toUpperCase();
+        const factura = await Factura.findOne({ where: { numero }, include: INCLUDE_FACTURA_COMPLETA });
 
-    if (!email) {
-        return res.status(400).send({ message: "La dirección de correo es requerida." });
+        if (factura) {
+            res.status(200).send(factura);
+        } else {
+            res.status(404).send({ message: `No existe una factura con el número ${numero}.` });
+        }
+    } catch (error) {
+        res.status(500).send({ message: "Error al buscar la factura: " + error.message });
     }
+};
+
+/**
+ * Descarga una factura en formato PDF, para reimprimirla.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const downloadInvoicePdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const factura = await Factura.findByPk(id, { include: INCLUDE_FACTURA_PDF });
+        if (!factura) {
+            return res.status(404).send({ message: "Factura no encontrada." });
+        }
+
+        const saldoPuntos = factura.Cliente ? await getSaldoPuntos(factura.cliente_id) : null;
+        const pdfBuffer = await createInvoicePdfBuffer(factura, saldoPuntos);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="factura_${factura.numero || factura.factura_id}.pdf"`);
+        res.status(200).send(pdfBuffer);
+    } catch (error) {
+        console.error("Error al generar el PDF de la factura:", error);
+        res.status(500).send({ message: "Error interno al generar la factura." });
+    }
+};
+
+/**
+ * Envía una factura en formato PDF al correo indicado o, si no se indica, al del
+ * cliente de la factura.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const sendInvoiceByEmail = async (req, res) => {
+    const { id } = req.params;
 
     try {
         // Se obtienen todos los datos necesarios para construir el PDF.
-        const factura = await Factura.findByPk(id, {
-            include: [
-                {
-                    model: Pedido,
-                    include: [{
-                        model: Producto,
-                        through: { attributes: ['cantidad', 'notas'] }
-                    }]
-                },
-                { model: MetodoPago }
-            ]
-        });
+        const factura = await Factura.findByPk(id, { include: INCLUDE_FACTURA_PDF });
 
         if (!factura) {
             return res.status(404).send({ message: "Factura no encontrada." });
         }
+        const email = req.body.email || factura.Cliente?.email;
+        if (!email) {
+            return res.status(400).send({ message: "La dirección de correo es requerida (el cliente de la factura no tiene correo registrado)." });
+        }
 
         // Se generan el PDF y el correo de forma secuencial.
-        const pdfBuffer = await createInvoicePdfBuffer(factura);
-        await sendEmailWithAttachment(email, pdfBuffer, factura.factura_id);
+        const saldoPuntos = factura.Cliente ? await getSaldoPuntos(factura.cliente_id) : null;
+        const pdfBuffer = await createInvoicePdfBuffer(factura, saldoPuntos);
+        await sendEmailWithAttachment(email, pdfBuffer, factura);
 
         res.status(200).send({ message: `Factura enviada exitosamente a ${email}` });
 
@@ -190,9 +709,10 @@ export const sendInvoiceByEmail = async (req, res) => {
 /**
  * Función auxiliar para generar un PDF en memoria usando pdfkit.
  * @param {object} factura - El objeto de la factura de Sequelize.
+ * @param {{saldo: number, proximo_vencimiento: Date|null}|null} saldoPuntos - Saldo de puntos del cliente, o null sin cliente.
  * @returns {Promise<Buffer>} - Una promesa que se resuelve con el buffer del PDF.
  */
-async function createInvoicePdfBuffer(factura) {
+async function createInvoicePdfBuffer(factura, saldoPuntos) {
     return new Promise((resolve) => {
         const doc = new PDFDocument({ size: 'A4', margin: 50 });
         const buffers = [];
@@ -209,11 +729,32 @@ async function createInvoicePdfBuffer(factura) {
         }
 
         // Se construye el contenido del PDF.
-        doc.fontSize(20).font('Helvetica-Bold').text(`Factura #${factura.factura_id}`, { align: 'center' });
+        doc.fontSize(20).font('Helvetica-Bold').text(`Factura ${getNumeroFactura(factura)}`, { align: 'center' });
+        // La autorización de la numeración se imprime debajo del número.
+        if (factura.ResolucionFacturacion) {
+            const resolucion = factura.ResolucionFacturacion;
+            doc.fontSize(9).font('Helvetica').fillColor('#555555')
+                .text(`Resolución DIAN N° ${resolucion.numero_resolucion} del ${resolucion.fecha_desde}, numeración autorizada ${resolucion.prefijo}${resolucion.rango_desde} a ${resolucion.prefijo}${resolucion.rango_hasta}, vigente hasta ${resolucion.fecha_hasta}.`, { align: 'center' })
+                .fillColor('black');
+        }
         doc.moveDown(2);
         doc.fontSize(12).font('Helvetica').text(`Fecha: ${new Date(factura.fecha_factura).toLocaleString()}`);
         doc.text(`Pedido: #${factura.pedido_id}`);
-        doc.text(`Método de Pago: ${factura.MetodoPago.nombre_metodo}`);
+        // Datos del cliente; sin cliente, la factura es de consumidor final.
+        if (factura.Cliente) {
+            const { Cliente: cliente } = factura;
+            doc.text(`Cliente: ${cliente.nombre} - ${formatearDocumento(cliente)}`);
+            const contacto = [cliente.email, cliente.telefono].filter(Boolean).join(' | ');
+            if (contacto) doc.text(contacto);
+        } else {
+            doc.text('Cliente: Consumidor final');
+        }
+        // Una factura anulada se sigue pudiendo enviar, pero indica la nota crédito que la anuló.
+        if (factura.anulada) {
+            doc.moveDown(0.5).font('Helvetica-Bold').fillColor('#c0392b')
+                .text(`ANULADA - Nota crédito #${factura.NotaCredito?.nota_credito_id}`)
+                .fillColor('black').font('Helvetica');
+        }
         doc.moveDown(2);
 
         const tableTop = doc.y;
@@ -222,116 +763,101 @@ async function createInvoicePdfBuffer(factura) {
         doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke().moveDown();
         doc.font('Helvetica');
 
-        factura.Pedido.Productos.forEach(item => {
+        // Se listan solo las cantidades cobradas en esta factura (la cuenta puede estar dividida).
+        factura.FacturaDetalles.forEach(({ cantidad, DetallePedido: detalle }) => {
             const y = doc.y;
-            const subtotalItem = item.DetallePedido.cantidad * parseFloat(item.valor_neto);
-            doc.text(item.nombre_producto, 50, y, {width: 250});
-            doc.text(item.DetallePedido.cantidad, 300, y);
-            doc.text(`$${parseFloat(item.valor_neto).toFixed(2)}`, 370, y, {width: 60, align: 'right'});
+            const precioUnitario = calcularPrecioUnitario(detalle.Producto.valor_neto, detalle.modificadores);
+            const subtotalItem = Number(cantidad) * precioUnitario;
+            doc.text(detalle.Producto.nombre_producto, 50, y, {width: 250});
+            doc.text(String(Number(cantidad)), 300, y);
+            doc.text(`$${precioUnitario.toFixed(2)}`, 370, y, {width: 60, align: 'right'});
             doc.text(`$${subtotalItem.toFixed(2)}`, 450, y, {width: 60, align: 'right'});
+            // Los modificadores se listan debajo del producto en letra pequeña.
+            const modificadores = describirModificadores(detalle.modificadores);
+            if (modificadores) {
+                doc.fontSize(9).fillColor('#555555').text(modificadores, 60, doc.y, {width: 240});
+                doc.fontSize(12).fillColor('black');
+            }
             doc.moveDown();
         });
         
-        const totalsY = doc.y + 20;
+        let totalsY = doc.y + 20;
         doc.font('Helvetica-Bold').text('Subtotal:', 370, totalsY).text(`$${factura.subtotal}`, 450, totalsY, {width: 60, align: 'right'});
-        doc.font('Helvetica').text('Impuesto (8%):', 370, totalsY + 15).text(`$${factura.impuesto_total}`, 450, totalsY + 15, {width: 60, align: 'right'});
-        doc.text('Propina:', 370, totalsY + 30).text(`$${factura.propina}`, 450, totalsY + 30, {width: 60, align: 'right'});
+        // Un renglón por descuento aplicado, con su motivo si lo tiene.
+        doc.font('Helvetica');
+        factura.FacturaDescuentos.forEach(descuento => {
+            totalsY += 15;
+            const etiqueta = descuento.codigo ? `${descuento.nombre} (${descuento.codigo})` : descuento.nombre;
+            doc.text(`${etiqueta}:`, 200, totalsY, {width: 240, align: 'right'}).text(`-$${descuento.monto}`, 450, totalsY, {width: 60, align: 'right'});
+            if (descuento.motivo) {
+                totalsY += 12;
+                doc.fontSize(9).fillColor('#555555').text(`Motivo: ${descuento.motivo}`, 200, totalsY, {width: 240, align: 'right'});
+                doc.fontSize(12).fillColor('black');
+            }
+        });
+        // El cargo por servicio va aparte de la propina voluntaria; su impuesto está en el desglose por tarifa.
+        if (Number(factura.cargo_servicio) > 0) {
+            totalsY += 15;
+            doc.text('Cargo por servicio:', 300, totalsY, {width: 140, align: 'right'}).text(`$${factura.cargo_servicio}`, 450, totalsY, {width: 60, align: 'right'});
+            if (Number(factura.impuesto_cargo_servicio) > 0) {
+                totalsY += 12;
+                doc.fontSize(9).fillColor('#555555').text(`Impuesto del cargo por servicio: $${factura.impuesto_cargo_servicio}`, 200, totalsY, {width: 240, align: 'right'});
+                doc.fontSize(12).fillColor('black');
+            }
+        }
+        // Un renglón por tarifa de impuesto (las tarifas en 0% se omiten).
+        doc.font('Helvetica');
+        factura.FacturaImpuestos.filter(tarifa => Number(tarifa.porcentaje) > 0).forEach(tarifa => {
+            totalsY += 15;
+            doc.text(`${tarifa.nombre} (${Number(tarifa.porcentaje)}%):`, 300, totalsY, {width: 140, align: 'right'}).text(`$${tarifa.valor}`, 450, totalsY, {width: 60, align: 'right'});
+        });
+        doc.text('Total impuestos:', 300, totalsY + 15, {width: 140, align: 'right'}).text(`$${factura.impuesto_total}`, 450, totalsY + 15, {width: 60, align: 'right'});
+        doc.text('Propina voluntaria:', 300, totalsY + 30, {width: 140, align: 'right'}).text(`$${factura.propina}`, 450, totalsY + 30, {width: 60, align: 'right'});
         doc.font('Helvetica-Bold').text('TOTAL:', 370, totalsY + 45).text(`$${factura.total}`, 450, totalsY + 45, {width: 60, align: 'right'});
 
+        // Se lista cada pago recibido, con el cambio devuelto en los pagos en efectivo.
+        let pagosY = totalsY + 75;
+        doc.font('Helvetica-Bold').text('Pagos:', 50, pagosY);
+        doc.font('Helvetica');
+        factura.TransaccionPagos.forEach(pago => {
+            pagosY += 15;
+            const detalleCambio = Number(pago.cambio) > 0 ? ` (recibido $${pago.monto_recibido}, cambio $${pago.cambio})` : '';
+            const detalleTarjeta = pago.TarjetaRegalo ? ` ${enmascararCodigoTarjeta(pago.TarjetaRegalo.codigo)}` : '';
+            doc.text(`${pago.MetodoPago?.nombre_metodo || 'Método eliminado'}${detalleTarjeta}: $${pago.monto_pagado}${detalleCambio}`, 60, pagosY);
+        });
+
+        // Puntos del cliente: los que ganó y canjeó en esta factura y su saldo actual.
+        if (saldoPuntos) {
+            const sumarPuntos = (tipo) => factura.MovimientoPuntos
+                .filter(movimiento => movimiento.tipo === tipo)
+                .reduce((acc, movimiento) => acc + Math.abs(movimiento.puntos), 0);
+            const vencimiento = saldoPuntos.proximo_vencimiento
+                ? ` (los próximos vencen el ${new Date(saldoPuntos.proximo_vencimiento).toLocaleDateString()})`
+                : '';
+            const puntosY = pagosY + 30;
+            doc.font('Helvetica-Bold').text('Puntos:', 50, puntosY);
+            doc.font('Helvetica');
+            doc.text(`Ganados en esta factura: ${sumarPuntos(TIPOS_MOVIMIENTO_PUNTOS.ACUMULACION)} | Canjeados: ${sumarPuntos(TIPOS_MOVIMIENTO_PUNTOS.CANJE)}`, 60, puntosY + 15);
+            doc.text(`Saldo disponible: ${saldoPuntos.saldo} puntos${vencimiento}`, 60, puntosY + 30);
+        }
+
         doc.end();
     });
 }
 
 /**
- * Función auxiliar para enviar un correo con un archivo adjunto usando nodemailer.
+ * Función auxiliar para enviar la factura en PDF por correo.
  * @param {string} recipientEmail - El correo del destinatario.
  * @param {Buffer} pdfBuffer - El buffer del PDF a adjuntar.
- * @param {number} invoiceId - El ID de la factura para el asunto y nombre del archivo.
+ * @param {object} factura - La factura, cuyo número va en el asunto y el nombre del archivo.
  */
-async function sendEmailWithAttachment(recipientEmail, pdfBuffer, invoiceId) {
-    const mailProvider = String(process.env.MAIL_PROVIDER || 'smtp').toLowerCase();
-    const emailService = process.env.EMAIL_SERVICE || 'gmail';
-    const emailUser = process.env.EMAIL_USER;
-    const emailPassword = process.env.EMAIL_PASSWORD || process.env.EMAIL_PASS;
-    const emailHost = process.env.EMAIL_HOST || 'smtp.gmail.com';
-    const emailPort = Number(process.env.EMAIL_PORT || 465);
-    const emailSecure = String(process.env.EMAIL_SECURE || 'true').toLowerCase() === 'true';
-    const resendApiKey = process.env.RESEND_API_KEY;
-    const emailFrom = process.env.EMAIL_FROM || emailUser;
-
-    const subject = `Tu Factura #${invoiceId} de Sushi Burrito`;
-    const text = '¡Gracias por tu compra! Adjunto encontrarás tu factura en formato PDF.';
-    const filename = `factura_${invoiceId}.pdf`;
-
-    if (mailProvider === 'resend') {
-        if (!resendApiKey || !emailFrom) {
-            throw new Error('Configuración Resend incompleta: define RESEND_API_KEY y EMAIL_FROM en backend/.env');
-        }
-
-        const resendResponse = await fetch('https://api.resend.com/emails', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${resendApiKey}`
-            },
-            body: JSON.stringify({
-                from: emailFrom,
-                to: [recipientEmail],
-                subject,
-                text,
-                attachments: [{
-                    filename,
-                    content: pdfBuffer.toString('base64'),
-                    content_type: 'application/pdf'
-                }]
-            })
-        });
-
-        const resendBody = await resendResponse.json().catch(() => ({}));
-        if (!resendResponse.ok) {
-            throw new Error(`Resend ${resendResponse.status}: ${resendBody.message || resendBody.error || 'No fue posible enviar la factura.'}`);
-        }
-
-        return;
-    }
-
-    if (!emailUser || !emailPassword) {
-        throw new Error('Configuración SMTP incompleta: define EMAIL_USER y EMAIL_PASSWORD en backend/.env');
-    }
-
-    const baseTransport = {
-        auth: {
-            user: emailUser,
-            pass: emailPassword
-        },
-        connectionTimeout: 10000,
-        greetingTimeout: 10000,
-        socketTimeout: 15000
-    };
-
-    const transporter = nodemailer.createTransport(
-        process.env.EMAIL_HOST || process.env.EMAIL_PORT || process.env.EMAIL_SECURE
-            ? {
-                ...baseTransport,
-                host: emailHost,
-                port: emailPort,
-                secure: emailSecure
-            }
-            : {
-                ...baseTransport,
-                service: emailService
-            }
-    );
-
-    await transporter.sendMail({
-        from: `"Facturación Sushi Burrito" <${emailFrom}>`,
+async function sendEmailWithAttachment(recipientEmail, pdfBuffer, factura) {
+    await sendPdfEmail({
         to: recipientEmail,
-        subject,
-        text,
-        attachments: [{
-            filename,
-            content: pdfBuffer,
-            contentType: 'application/pdf'
-        }]
+        subject: `Tu Factura ${getNumeroFactura(factura)} de Sushi Burrito`,
+        text: '¡Gracias por tu compra! Adjunto encontrarás tu factura en formato PDF.',
+        filename: `factura_${factura.numero || factura.factura_id}.pdf`,
+        pdfBuffer,
+        fromName: 'Facturación Sushi Burrito'
     });
-}
\ No newline at end of file
+}
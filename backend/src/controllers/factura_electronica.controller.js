@@ -0,0 +1,317 @@
+// =================================================================
+// ARCHIVO: src/controllers/factura_electronica.controller.js
+// ROL: Controlador de la factura electrónica. Toma el número de la
+//      factura (o numera con la resolución activa las facturas
+//      anteriores a la numeración), genera su XML UBL 2.1 con el CUFE, lo
+//      envía al adaptador configurado (DIAN_ADAPTADOR) y guarda si
+//      fue aceptado o rechazado. También permite consultar el
+//      documento, descargar el XML y reenviarlo.
+// =================================================================
+
+import db from '../models/index.js';
+import { env } from '../config/env.js';
+import { calcularPrecioUnitario } from '../helpers/modificadores.js';
+import { getImpuestoAplicable, redondear } from '../helpers/impuestos.js';
+import { calcularDescuentos } from '../helpers/descuentos.js';
+import { esEfectivo } from '../helpers/pagos.js';
+import { ESTADOS_DOCUMENTO, construirXmlUbl } from '../helpers/facturaElectronica.js';
+import { getAdaptador } from '../helpers/facturaElectronicaAdaptadores.js';
+import { getAdquiriente } from '../helpers/clientes.js';
+import { asignarNumeroFactura } from '../utils/numeracionFacturas.js';
+
+const { Factura, Cliente, FacturaDetalle, FacturaImpuesto, FacturaDescuento, DetallePedido, Producto, Categoria, Impuesto, MetodoPago, DocumentoElectronico, ResolucionFacturacion, sequelize } = db;
+
+// Datos de la factura que se reportan: líneas con su producto y tarifa, impuestos, descuentos, pago y cliente.
+const INCLUDE_FACTURA_ELECTRONICA = [
+    {
+        model: FacturaDetalle,
+        include: [{
+            model: DetallePedido,
+            include: [{
+                model: Producto,
+                attributes: ['nombre_producto', 'valor_neto', 'impuesto_id'],
+                paranoid: false,
+                include: [
+                    { model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] },
+                    {
+                        model: Categoria,
+                        attributes: ['categoria_id'],
+                        paranoid: false,
+                        include: [{ model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] }]
+                    }
+                ]
+            }]
+        }]
+    },
+    { model: FacturaImpuesto },
+    { model: FacturaDescuento },
+    { model: MetodoPago },
+    { model: Cliente },
+    { model: DocumentoElectronico, attributes: ['documento_id'] }
+];
+
+// Códigos del medio de pago en la factura electrónica.
+const MEDIO_PAGO_EFECTIVO = '10';
+const MEDIO_PAGO_OTRO = 'ZZZ';
+
+/**
+ * Quita el XML de un documento para responder solo sus datos.
+ * @param {object} documento - Documento electrónico de Sequelize.
+ * @returns {object}
+ */
+const sinXml = (documento) => {
+    const { xml, ...datos } = documento.toJSON();
+    return datos;
+};
+
+/**
+ * Arma los datos de la factura electrónica a partir de una factura. Las líneas se
+ * reconstruyen con los montos de descuento guardados, de modo que su base quede
+ * igual a la que se usó al facturar.
+ * @param {object} factura - Factura de Sequelize con INCLUDE_FACTURA_ELECTRONICA.
+ * @param {Map<number, string|null>} codigosDian - Código DIAN de cada tarifa por ID.
+ * @returns {object} Líneas, impuestos, totales y adquiriente para 'construirXmlUbl'.
+ */
+const armarDatosFactura = (factura, codigosDian) => {
+    const conCodigo = (impuesto) => ({ ...impuesto, codigo_dian: codigosDian.get(impuesto.impuesto_id) ?? null });
+
+    const lineas = factura.FacturaDetalles.map(({ detalle_id, cantidad, DetallePedido: detalle }) => {
+        const precio_unitario = calcularPrecioUnitario(detalle.Producto.valor_neto, detalle.modificadores);
+        return {
+            detalle_id,
+            descripcion: detalle.Producto.nombre_producto,
+            cantidad: Number(cantidad),
+            precio_unitario,
+            base: Number(cantidad) * precio_unitario,
+            impuesto: conCodigo(getImpuestoAplicable(detalle.Producto))
+        };
+    });
+    const calculo = calcularDescuentos(lineas, factura.FacturaDescuentos.map(descuento => ({
+        descuento: {
+            descuento_id: descuento.factura_descuento_id,
+            nombre: descuento.nombre,
+            tipo: 'monto',
+            valor: descuento.monto,
+            alcance: descuento.alcance
+        },
+        detalle_id: descuento.detalle_id
+    })));
+
+    return {
+        lineas: calculo.lineas.map((linea, index) => {
+            const bruto = redondear(lineas[index].base);
+            return { ...linea, bruto, descuento: redondear(bruto - linea.base) };
+        }),
+        impuestos: factura.FacturaImpuestos.map(tarifa => conCodigo({
+            impuesto_id: tarifa.impuesto_id,
+            porcentaje: Number(tarifa.porcentaje),
+            base: Number(tarifa.base),
+            valor: Number(tarifa.valor)
+        })),
+        propina: Number(factura.propina),
+        cargo_servicio: Number(factura.cargo_servicio),
+        total: Number(factura.total),
+        medio_pago: esEfectivo(factura.MetodoPago) ? MEDIO_PAGO_EFECTIVO : MEDIO_PAGO_OTRO,
+        // Sin cliente, 'construirXmlUbl' reporta al consumidor final.
+        adquiriente: factura.Cliente ? getAdquiriente(factura.Cliente) : undefined
+    };
+};
+
+/**
+ * Envía un documento al adaptador configurado y guarda el resultado de la validación.
+ * @param {object} documento - Documento electrónico de Sequelize.
+ * @param {string} claveTecnica - Clave técnica de la resolución del documento.
+ * @returns {Promise<{estado: string, mensajes: Array<string>}>}
+ */
+const enviarDocumento = async (documento, claveTecnica) => {
+    const nombre = env.facturaElectronica.adaptador;
+    const resultado = await getAdaptador(nombre).enviar({
+        numero: documento.numero,
+        xml: documento.xml,
+        clave_tecnica: claveTecnica
+    });
+    await documento.update({
+        estado: resultado.estado,
+        mensajes: resultado.mensajes,
+        adaptador: nombre,
+        fecha_validacion: new Date()
+    });
+    return resultado;
+};
+
+/**
+ * Genera la factura electrónica de una factura: usa el número de la factura (o le asigna
+ * el siguiente de la resolución activa si no lo tiene), construye el XML con su CUFE, lo
+ * guarda y lo envía al adaptador.
+ * Si el envío falla, el documento queda 'generado' para reenviarlo después.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const generarFacturaElectronica = async (req, res) => {
+    const { id } = req.params;
+    const config = env.facturaElectronica;
+    if (!config.nitEmisor) {
+        return res.status(500).send({ message: "La facturación electrónica no está configurada (DIAN_NIT_EMISOR)." });
+    }
+
+    let documento;
+    let resolucion;
+    const t = await sequelize.transaction();
+    try {
+        getAdaptador(config.adaptador);
+        const factura = await Factura.findByPk(id, { include: INCLUDE_FACTURA_ELECTRONICA, transaction: t });
+        if (!factura) {
+            await t.rollback();
+            return res.status(404).send({ message: "Factura no encontrada." });
+        }
+        if (factura.anulada) {
+            await t.rollback();
+            return res.status(400).send({ message: "No se genera factura electrónica de una factura anulada." });
+        }
+        if (factura.DocumentoElectronico) {
+            await t.rollback();
+            return res.status(409).send({ message: `La factura #${id} ya tiene factura electrónica.` });
+        }
+
+        // La factura electrónica lleva el número que ya tiene la factura; solo las
+        // facturas anteriores a la numeración toman uno nuevo de la resolución activa.
+        const fecha = new Date();
+        let consecutivo;
+        let numero;
+        if (factura.numero) {
+            resolucion = await ResolucionFacturacion.findByPk(factura.resolucion_id, { transaction: t });
+            ({ consecutivo, numero } = factura);
+        } else {
+            const numeracion = await asignarNumeroFactura(t, fecha);
+            if (numeracion.error) {
+                await t.rollback();
+                return res.status(400).send({ message: numeracion.error });
+            }
+            ({ resolucion, consecutivo, numero } = numeracion);
+        }
+
+        const impuestos = await Impuesto.findAll({ attributes: ['impuesto_id', 'codigo_dian'], transaction: t });
+        const codigosDian = new Map(impuestos.map(impuesto => [impuesto.impuesto_id, impuesto.codigo_dian]));
+        const { xml, cufe } = construirXmlUbl({
+            ...armarDatosFactura(factura, codigosDian),
+            numero,
+            fecha,
+            ambiente: config.ambiente,
+            resolucion,
+            software: { id: config.softwareId, pin: config.softwarePin },
+            emisor: {
+                tipo_documento: '31',
+                numero: config.nitEmisor,
+                dv: config.dvEmisor,
+                nombre: config.razonSocial,
+                direccion: config.direccionEmisor
+            }
+        });
+
+        documento = await DocumentoElectronico.create({
+            factura_id: factura.factura_id,
+            resolucion_id: resolucion.resolucion_id,
+            consecutivo,
+            numero,
+            cufe,
+            fecha_emision: fecha,
+            xml
+        }, { transaction: t });
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: `La factura #${id} ya tiene factura electrónica.` });
+        }
+        console.error("Error al generar la factura electrónica:", error);
+        return res.status(500).send({ message: "Error al generar la factura electrónica: " + error.message });
+    }
+
+    // El documento ya quedó numerado; un fallo en el envío no lo revierte.
+    try {
+        const resultado = await enviarDocumento(documento, resolucion.clave_tecnica);
+        res.status(201).send({
+            message: resultado.estado === ESTADOS_DOCUMENTO.ACEPTADO
+                ? `Factura electrónica ${documento.numero} generada y aceptada.`
+                : `Factura electrónica ${documento.numero} generada, pero fue rechazada.`,
+            documento: sinXml(documento)
+        });
+    } catch (error) {
+        console.error("Error al enviar la factura electrónica:", error);
+        res.status(201).send({
+            message: `Factura electrónica ${documento.numero} generada, pero no se pudo enviar: ${error.message}`,
+            documento: sinXml(documento)
+        });
+    }
+};
+
+/**
+ * Reenvía al adaptador una factura electrónica que no ha sido aceptada.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const reenviarFacturaElectronica = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const documento = await DocumentoElectronico.findOne({ where: { factura_id: id }, include: [{ model: ResolucionFacturacion }] });
+        if (!documento) {
+            return res.status(404).send({ message: `La factura #${id} no tiene factura electrónica.` });
+        }
+        if (documento.estado === ESTADOS_DOCUMENTO.ACEPTADO) {
+            return res.status(409).send({ message: `La factura electrónica ${documento.numero} ya fue aceptada.` });
+        }
+
+        const resultado = await enviarDocumento(documento, documento.ResolucionFacturacion.clave_tecnica);
+        res.status(200).send({
+            message: resultado.estado === ESTADOS_DOCUMENTO.ACEPTADO
+                ? `Factura electrónica ${documento.numero} aceptada.`
+                : `Factura electrónica ${documento.numero} rechazada.`,
+            documento: sinXml(documento)
+        });
+    } catch (error) {
+        console.error("Error al reenviar la factura electrónica:", error);
+        res.status(500).send({ message: "Error al reenviar la factura electrónica: " + error.message });
+    }
+};
+
+/**
+ * Obtiene los datos de la factura electrónica de una factura (sin el XML).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getFacturaElectronica = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const documento = await DocumentoElectronico.findOne({
+            where: { factura_id: id },
+            attributes: { exclude: ['xml'] },
+            include: [{ model: ResolucionFacturacion, attributes: ['numero_resolucion', 'prefijo', 'rango_desde', 'rango_hasta', 'fecha_desde', 'fecha_hasta'] }]
+        });
+        if (!documento) {
+            return res.status(404).send({ message: `La factura #${id} no tiene factura electrónica.` });
+        }
+        res.status(200).send(documento);
+    } catch (error) {
+        res.status(500).send({ message: "Error al obtener la factura electrónica: " + error.message });
+    }
+};
+
+/**
+ * Descarga el XML UBL 2.1 de la factura electrónica de una factura.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const downloadFacturaElectronicaXml = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const documento = await DocumentoElectronico.findOne({ where: { factura_id: id }, attributes: ['numero', 'xml'] });
+        if (!documento) {
+            return res.status(404).send({ message: `La factura #${id} no tiene factura electrónica.` });
+        }
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${documento.numero}.xml"`);
+        res.status(200).send(documento.xml);
+    } catch (error) {
+        res.status(500).send({ message: "Error al descargar la factura electrónica: " + error.message });
+    }
+};
@@ -0,0 +1,125 @@
+// =================================================================
+// ARCHIVO: src/controllers/impuesto.controller.js
+// ROL: Controlador que maneja las operaciones CRUD de las tarifas
+//      de impuesto que se asignan a categorías y productos.
+// =================================================================
+
+import db from '../models/index.js';
+import { CODIGOS_TRIBUTO } from '../helpers/facturaElectronica.js';
+const { Impuesto, Categoria, Producto, sequelize } = db;
+
+/**
+ * Valida el nombre, el porcentaje y el código DIAN de una tarifa.
+ * @param {object} datos - { nombre, porcentaje, codigo_dian }.
+ * @returns {string|null} El mensaje de error, o null si los datos son válidos.
+ */
+const validarImpuesto = ({ nombre, porcentaje, codigo_dian }) => {
+    if (!nombre || !String(nombre).trim()) {
+        return 'El nombre del impuesto es requerido.';
+    }
+    const valor = Number(porcentaje);
+    if (porcentaje === undefined || porcentaje === null || porcentaje === '' || !Number.isFinite(valor) || valor < 0 || valor > 100) {
+        return 'El porcentaje debe ser un número entre 0 y 100.';
+    }
+    if (codigo_dian && !Object.values(CODIGOS_TRIBUTO).includes(codigo_dian)) {
+        return `El código DIAN debe ser uno de: ${Object.values(CODIGOS_TRIBUTO).join(', ')}.`;
+    }
+    return null;
+};
+
+/**
+ * Crea una nueva tarifa de impuesto.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createImpuesto = async (req, res) => {
+    try {
+        const { nombre, porcentaje, codigo_dian } = req.body;
+        const error = validarImpuesto({ nombre, porcentaje, codigo_dian });
+        if (error) {
+            return res.status(400).send({ message: error });
+        }
+        const nuevoImpuesto = await Impuesto.create({ nombre: String(nombre).trim(), porcentaje: Number(porcentaje), codigo_dian: codigo_dian || null });
+        res.status(201).send({ message: 'Impuesto creado exitosamente.', impuesto: nuevoImpuesto });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un impuesto con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene todas las tarifas de impuesto.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getAllImpuestos = async (req, res) => {
+    try {
+        const impuestos = await Impuesto.findAll({ order: [['nombre', 'ASC']] });
+        res.status(200).send(impuestos);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza el nombre, el porcentaje y el código DIAN de una tarifa.
+ * Las facturas ya emitidas conservan la tarifa con la que se calcularon.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateImpuesto = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nombre, porcentaje, codigo_dian } = req.body;
+        const error = validarImpuesto({ nombre, porcentaje, codigo_dian });
+        if (error) {
+            return res.status(400).send({ message: error });
+        }
+        const impuesto = await Impuesto.findByPk(id);
+        if (!impuesto) {
+            return res.status(404).send({ message: `No se pudo actualizar el impuesto con id=${id}.` });
+        }
+        // Si no se envía el código DIAN, se conserva el que tenía la tarifa.
+        await impuesto.update({
+            nombre: String(nombre).trim(),
+            porcentaje: Number(porcentaje),
+            ...(codigo_dian !== undefined && { codigo_dian: codigo_dian || null })
+        });
+        res.send({ message: 'Impuesto actualizado exitosamente.' });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un impuesto con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Elimina una tarifa. Las categorías y productos que la usaban quedan sin
+ * impuesto asignado (los productos vuelven a usar el de su categoría).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const deleteImpuesto = async (req, res) => {
+    const { id } = req.params;
+    const t = await sequelize.transaction();
+    try {
+        // paranoid: false también libera las categorías eliminadas (soft delete).
+        await Categoria.update({ impuesto_id: null }, { where: { impuesto_id: id }, paranoid: false, transaction: t });
+        await Producto.update({ impuesto_id: null }, { where: { impuesto_id: id }, transaction: t });
+        const num = await Impuesto.destroy({ where: { impuesto_id: id }, transaction: t });
+
+        if (num != 1) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se pudo eliminar el impuesto con id=${id}.` });
+        }
+
+        await t.commit();
+        res.send({ message: 'Impuesto eliminado exitosamente.' });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: 'Error al eliminar el impuesto.' });
+    }
+};
@@ -0,0 +1,268 @@
+// =================================================================
+// ARCHIVO: src/controllers/inventario.controller.js
+// ROL: Controlador del inventario de ingredientes: alta y edición
+//      de ingredientes, ajustes manuales de existencia con su motivo
+//      y consulta del libro de movimientos (consumos de pedidos,
+//      devoluciones, ajustes y compras), exportable en CSV. También lista lo
+//      que está bajo (puntos de reorden y productos agotados por
+//      inventario) y envía ese resumen por correo. Las recetas se
+//      administran desde el controlador de productos.
+// =================================================================
+
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import { validarAjuste, validarFiltrosMovimientos, validarIngrediente } from '../helpers/inventario.js';
+import { getPaginacion } from '../helpers/busquedaFacturas.js';
+import { generarCsv } from '../helpers/csv.js';
+import { getInventarioBajo, registrarAjuste } from '../utils/movimientosInventario.js';
+import { enviarResumenInventario } from '../utils/resumenInventario.js';
+import { emitAlertasInventario } from '../socket/events.js';
+
+const { Ingrediente, MovimientoInventario, Usuario, sequelize } = db;
+
+// Columnas del libro de movimientos exportado en CSV.
+const ENCABEZADOS_MOVIMIENTOS = ['Fecha', 'Ingrediente', 'Unidad', 'Tipo', 'Cantidad', 'Existencia resultante', 'Pedido', 'Orden de compra', 'Motivo', 'Usuario'];
+
+/**
+ * Obtiene los ingredientes ordenados por nombre. Con '?incluir_inactivos=true' también
+ * se listan los que ya no se usan.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getIngredientes = async (req, res) => {
+    try {
+        const ingredientes = await Ingrediente.findAll({
+            where: req.query.incluir_inactivos === 'true' ? {} : { activo: true },
+            order: [['nombre', 'ASC']]
+        });
+        res.status(200).send(ingredientes);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Convierte el punto de reorden recibido al valor que se guarda (vacío = sin alerta).
+ * @param {any} valor
+ * @returns {number|null}
+ */
+const leerStockMinimo = (valor) => (valor === undefined || valor === null || valor === '' ? null : Number(valor));
+
+/**
+ * Registra un ingrediente. La existencia inicial, si se indica, queda en el libro
+ * como un ajuste.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createIngrediente = async (req, res) => {
+    const { nombre, unidad, stock, stock_minimo } = req.body;
+    const errores = validarIngrediente({ nombre, unidad, stock, stock_minimo });
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'El ingrediente no es válido.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const ingrediente = await Ingrediente.create({ nombre: String(nombre).trim(), unidad, stock: 0, stock_minimo: leerStockMinimo(stock_minimo) }, { transaction: t });
+        if (Number(stock) > 0) {
+            await registrarAjuste({ ingredienteId: ingrediente.ingrediente_id, cantidad: Number(stock), motivo: 'Existencia inicial', usuarioId: req.userId }, t);
+        }
+        await t.commit();
+        res.status(201).send({ message: 'Ingrediente registrado exitosamente.', ingrediente: await ingrediente.reload() });
+    } catch (error) {
+        await t.rollback();
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un ingrediente con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza el nombre, la unidad, el punto de reorden o el estado (activo/inactivo) de un ingrediente.
+ * La existencia no se edita aquí: se corrige con un ajuste. La unidad no se puede
+ * cambiar si el ingrediente ya tiene movimientos, porque cambiaría el sentido de su historial.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateIngrediente = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const ingrediente = await Ingrediente.findByPk(id);
+        if (!ingrediente) {
+            return res.status(404).send({ message: `No se encontró el ingrediente con id=${id}.` });
+        }
+        const datos = {
+            nombre: req.body.nombre ?? ingrediente.nombre,
+            unidad: req.body.unidad ?? ingrediente.unidad,
+            stock_minimo: req.body.stock_minimo === undefined ? ingrediente.stock_minimo : leerStockMinimo(req.body.stock_minimo)
+        };
+        const errores = validarIngrediente(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'El ingrediente no es válido.', errores });
+        }
+        if (datos.unidad !== ingrediente.unidad && await MovimientoInventario.count({ where: { ingrediente_id: id } }) > 0) {
+            return res.status(409).send({ message: 'No se puede cambiar la unidad de un ingrediente con movimientos. Registre un ingrediente nuevo.' });
+        }
+        await ingrediente.update({
+            nombre: String(datos.nombre).trim(),
+            unidad: datos.unidad,
+            stock_minimo: datos.stock_minimo,
+            activo: req.body.activo === undefined ? ingrediente.activo : Boolean(req.body.activo)
+        });
+        res.send({ message: 'Ingrediente actualizado exitosamente.', ingrediente });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un ingrediente con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Ajusta manualmente la existencia de un ingrediente ('cantidad' positiva para sumar,
+ * negativa para descontar) con un motivo obligatorio (conteo físico, merma, compra...).
+ * Si la existencia llega al punto de reorden se avisa a los administradores, y los productos
+ * cuya receta deja de alcanzar (o vuelve a alcanzar) se agotan (o se habilitan) solos.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createAjuste = async (req, res) => {
+    const { id } = req.params;
+    const { cantidad, motivo } = req.body;
+    const errores = validarAjuste({ cantidad, motivo });
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'El ajuste de inventario no es válido.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const resultado = await registrarAjuste({ ingredienteId: id, cantidad: Number(cantidad), motivo, usuarioId: req.userId }, t);
+        if (!resultado) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró el ingrediente con id=${id}.` });
+        }
+        await t.commit();
+        const { ingrediente, movimiento, alertas } = resultado;
+        const io = req.app.get('io');
+        if (io) {
+            emitAlertasInventario(io, alertas, req.userId);
+        }
+        res.status(201).send({
+            message: `Existencia de ${ingrediente.nombre} ajustada a ${Number(ingrediente.stock)} ${ingrediente.unidad}.`,
+            movimiento
+        });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Arma la consulta del libro de movimientos con los filtros ya validados.
+ * @param {object} filtros - Filtros normalizados por 'validarFiltrosMovimientos'.
+ * @returns {object} Opciones de consulta de Sequelize (sin paginación).
+ */
+const getConsultaMovimientos = (filtros) => {
+    const where = {};
+    if (filtros.ingrediente_id) where.ingrediente_id = filtros.ingrediente_id;
+    if (filtros.tipo) where.tipo = filtros.tipo;
+    if (filtros.desde || filtros.hasta) {
+        where.fecha = {};
+        if (filtros.desde) where.fecha[Op.gte] = new Date(`${filtros.desde}T00:00:00`);
+        if (filtros.hasta) {
+            const fin = new Date(`${filtros.hasta}T00:00:00`);
+            fin.setDate(fin.getDate() + 1); // Se incluye el día final completo.
+            where.fecha[Op.lt] = fin;
+        }
+    }
+    return {
+        where,
+        include: [
+            { model: Ingrediente, attributes: ['ingrediente_id', 'nombre', 'unidad'] },
+            { model: Usuario, attributes: ['usuario_id', 'nombre'], paranoid: false }
+        ],
+        order: [['fecha', 'DESC'], ['movimiento_id', 'DESC']]
+    };
+};
+
+/**
+ * Obtiene el libro de movimientos de inventario, filtrado (?ingrediente_id=&tipo=&desde=&hasta=)
+ * y paginado (?pagina=&por_pagina=). Con '?formato=csv' se descargan todos los movimientos
+ * que cumplen los filtros.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getMovimientos = async (req, res) => {
+    const { errores, filtros } = validarFiltrosMovimientos(req.query);
+    const formato = req.query.formato || 'json';
+    if (!['json', 'csv'].includes(formato)) {
+        errores.push("El formato del libro debe ser 'json' o 'csv'.");
+    }
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'Los filtros de los movimientos no son válidos.', errores });
+    }
+
+    try {
+        const consulta = getConsultaMovimientos(filtros);
+        if (formato === 'csv') {
+            const movimientos = await MovimientoInventario.findAll(consulta);
+            const filas = movimientos.map(movimiento => [
+                new Date(movimiento.fecha).toLocaleString('es-CO'),
+                movimiento.Ingrediente?.nombre,
+                movimiento.Ingrediente?.unidad,
+                movimiento.tipo,
+                Number(movimiento.cantidad),
+                Number(movimiento.stock_resultante),
+                movimiento.pedido_id ?? '',
+                movimiento.orden_compra_id ?? '',
+                movimiento.motivo ?? '',
+                movimiento.Usuario?.nombre ?? ''
+            ]);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename="movimientos_inventario.csv"');
+            return res.status(200).send(generarCsv(ENCABEZADOS_MOVIMIENTOS, filas));
+        }
+
+        const { rows, count } = await MovimientoInventario.findAndCountAll({
+            ...consulta,
+            limit: filtros.por_pagina,
+            offset: (filtros.pagina - 1) * filtros.por_pagina
+        });
+        res.status(200).send({ movimientos: rows, paginacion: getPaginacion(count, filtros.pagina, filtros.por_pagina) });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene lo que está bajo en el inventario: los ingredientes en su punto de reorden
+ * y los productos agotados por falta de ingredientes. Lo muestra el dashboard.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getAlertas = async (req, res) => {
+    try {
+        res.status(200).send(await getInventarioBajo());
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Envía en este momento el resumen de inventario bajo a los administradores
+ * (el mismo que se envía a diario si está programado).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const sendResumen = async (req, res) => {
+    try {
+        const { destinatarios } = await enviarResumenInventario();
+        if (destinatarios.length === 0) {
+            return res.status(409).send({ message: 'No hay administradores con correo registrado para enviar el resumen.' });
+        }
+        res.status(200).send({ message: `Resumen de inventario enviado a ${destinatarios.join(', ')}.` });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
@@ -0,0 +1,147 @@
+// =================================================================
+// ARCHIVO: src/controllers/nota_credito.controller.js
+// ROL: Controlador para consultar las notas crédito emitidas al
+//      anular facturas, descargarlas en PDF y enviarlas por correo.
+//      Las notas se crean desde 'voidInvoice' en factura.controller.
+// =================================================================
+
+import db from '../models/index.js';
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import { sendPdfEmail } from '../helpers/email.js';
+
+const { NotaCredito, Factura, Usuario } = db;
+
+// Datos que acompañan a una nota crédito: la factura que anula y el usuario que la emitió.
+const INCLUDE_NOTA_CREDITO = [
+    { model: Factura, attributes: ['factura_id', 'numero', 'pedido_id', 'fecha_factura'] },
+    { model: Usuario, attributes: ['usuario_id', 'nombre'] }
+];
+
+/**
+ * Obtiene una nota crédito por su número.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getNotaCreditoById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const notaCredito = await NotaCredito.findByPk(id, { include: INCLUDE_NOTA_CREDITO });
+
+        if (notaCredito) {
+            res.status(200).send(notaCredito);
+        } else {
+            res.status(404).send({ message: `Nota crédito con id=${id} no encontrada.` });
+        }
+    } catch (error) {
+        res.status(500).send({ message: "Error al obtener la nota crédito: " + error.message });
+    }
+};
+
+/**
+ * Descarga una nota crédito en formato PDF.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const downloadNotaCreditoPdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const notaCredito = await NotaCredito.findByPk(id, { include: INCLUDE_NOTA_CREDITO });
+        if (!notaCredito) {
+            return res.status(404).send({ message: "Nota crédito no encontrada." });
+        }
+
+        const pdfBuffer = await createNotaCreditoPdfBuffer(notaCredito);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="nota_credito_${notaCredito.nota_credito_id}.pdf"`);
+        res.status(200).send(pdfBuffer);
+    } catch (error) {
+        console.error("Error al generar el PDF de la nota crédito:", error);
+        res.status(500).send({ message: "Error interno al generar la nota crédito." });
+    }
+};
+
+/**
+ * Envía una nota crédito en formato PDF a un correo electrónico.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const sendNotaCreditoByEmail = async (req, res) => {
+    const { id } = req.params;
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).send({ message: "La dirección de correo es requerida." });
+    }
+
+    try {
+        const notaCredito = await NotaCredito.findByPk(id, { include: INCLUDE_NOTA_CREDITO });
+        if (!notaCredito) {
+            return res.status(404).send({ message: "Nota crédito no encontrada." });
+        }
+
+        const pdfBuffer = await createNotaCreditoPdfBuffer(notaCredito);
+        await sendPdfEmail({
+            to: email,
+            subject: `Nota Crédito #${notaCredito.nota_credito_id} de Sushi Burrito`,
+            text: `Adjunto encontrarás la nota crédito que anula la factura ${notaCredito.Factura?.numero || `#${notaCredito.factura_id}`}.`,
+            filename: `nota_credito_${notaCredito.nota_credito_id}.pdf`,
+            pdfBuffer,
+            fromName: 'Facturación Sushi Burrito'
+        });
+
+        res.status(200).send({ message: `Nota crédito enviada exitosamente a ${email}` });
+    } catch (error) {
+        console.error("Error al enviar la nota crédito por correo:", error);
+        res.status(500).send({ message: "Error interno al procesar el envío de la nota crédito." });
+    }
+};
+
+/**
+ * Función auxiliar para generar el PDF de una nota crédito en memoria usando pdfkit.
+ * @param {object} notaCredito - La nota crédito de Sequelize, con su Factura y Usuario.
+ * @returns {Promise<Buffer>} - Una promesa que se resuelve con el buffer del PDF.
+ */
+async function createNotaCreditoPdfBuffer(notaCredito) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+        if (fs.existsSync('assets/logo.jpg')) {
+            doc.image('assets/logo.jpg', { fit: [60, 60], x: 50, y: 45 });
+        }
+
+        doc.fontSize(20).font('Helvetica-Bold').text(`Nota Crédito #${notaCredito.nota_credito_id}`, { align: 'center' });
+        doc.moveDown(2);
+        doc.fontSize(12).font('Helvetica').text(`Fecha: ${new Date(notaCredito.fecha_nota).toLocaleString()}`);
+        doc.text(`Factura anulada: ${notaCredito.Factura?.numero || `#${notaCredito.factura_id}`}`);
+        if (notaCredito.Factura) {
+            doc.text(`Fecha de la factura: ${new Date(notaCredito.Factura.fecha_factura).toLocaleString()}`);
+            doc.text(`Pedido: #${notaCredito.Factura.pedido_id}`);
+        }
+        doc.text(`Emitida por: ${notaCredito.Usuario?.nombre || 'Usuario eliminado'}`);
+        doc.moveDown();
+        doc.font('Helvetica-Bold').text('Motivo:');
+        doc.font('Helvetica').text(notaCredito.motivo);
+        doc.moveDown(2);
+
+        // Se acreditan los mismos valores de la factura anulada.
+        const filas = [
+            ['Subtotal:', `$${notaCredito.subtotal}`],
+            ['Descuentos:', `-$${notaCredito.descuento_total}`],
+            ...(Number(notaCredito.cargo_servicio) > 0 ? [['Cargo por servicio:', `$${notaCredito.cargo_servicio}`]] : []),
+            ['Total impuestos:', `$${notaCredito.impuesto_total}`],
+            ['Propina voluntaria:', `$${notaCredito.propina}`]
+        ];
+        let totalsY = doc.y;
+        filas.forEach(([etiqueta, valor]) => {
+            doc.text(etiqueta, 300, totalsY, { width: 140, align: 'right' }).text(valor, 450, totalsY, { width: 60, align: 'right' });
+            totalsY += 15;
+        });
+        doc.font('Helvetica-Bold').text('TOTAL ACREDITADO:', 250, totalsY, { width: 190, align: 'right' }).text(`$${notaCredito.total}`, 450, totalsY, { width: 60, align: 'right' });
+
+        doc.end();
+    });
+}
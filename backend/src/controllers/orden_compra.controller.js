@@ -0,0 +1,431 @@
+// =================================================================
+// ARCHIVO: src/controllers/orden_compra.controller.js
+// ROL: Controlador de las órdenes de compra a los proveedores.
+//      Crea y edita los borradores, los envía (a mano o por correo
+//      con el PDF de la orden), registra las recepciones de mercancía
+//      (totales o parciales), que suman existencia y recalculan el
+//      costo promedio de los ingredientes, y cancela o cierra las
+//      órdenes.
+// =================================================================
+
+import db from '../models/index.js';
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import {
+    ESTADOS_CON_RECEPCION,
+    ESTADOS_ORDEN_COMPRA,
+    ETIQUETAS_ESTADO_ORDEN,
+    calcularTotalOrden,
+    esTransicionOrdenValida,
+    getEstadoTrasRecepcion,
+    getPendienteLinea,
+    validarLineasOrden,
+    validarRecepcion
+} from '../helpers/compras.js';
+import { redondearCantidad } from '../helpers/inventario.js';
+import { registrarCompra } from '../utils/movimientosInventario.js';
+import { emitAlertasInventario } from '../socket/events.js';
+import { sendPdfEmail } from '../helpers/email.js';
+
+const { OrdenCompra, DetalleOrdenCompra, Proveedor, Ingrediente, MovimientoInventario, Usuario, sequelize } = db;
+
+// Datos que se incluyen al consultar una orden o generar su PDF.
+const INCLUDE_ORDEN = [
+    { model: Proveedor },
+    { model: Usuario, attributes: ['usuario_id', 'nombre'], paranoid: false },
+    { model: DetalleOrdenCompra, include: [{ model: Ingrediente, attributes: ['ingrediente_id', 'nombre', 'unidad'] }] }
+];
+
+/**
+ * Obtiene una orden con su proveedor y sus líneas.
+ * @param {number|string} id - ID de la orden.
+ * @param {object} [opciones] - Opciones adicionales de Sequelize (transacción, bloqueo).
+ * @returns {Promise<object|null>}
+ */
+const getOrden = (id, opciones = {}) => OrdenCompra.findByPk(id, {
+    include: INCLUDE_ORDEN,
+    order: [[DetalleOrdenCompra, 'detalle_orden_compra_id', 'ASC']],
+    ...opciones
+});
+
+/**
+ * Verifica que el proveedor y los ingredientes de una orden existan y estén activos.
+ * @param {number} proveedorId
+ * @param {Array<{ingrediente_id: number}>} lineas - Líneas ya validadas.
+ * @returns {Promise<string|null>} El mensaje de error, o null si todo está bien.
+ */
+const verificarReferencias = async (proveedorId, lineas) => {
+    const proveedor = await Proveedor.findByPk(proveedorId);
+    if (!proveedor || !proveedor.activo) {
+        return `No se encontró un proveedor activo con id=${proveedorId}.`;
+    }
+    const ids = lineas.map(linea => Number(linea.ingrediente_id));
+    const activos = await Ingrediente.count({ where: { ingrediente_id: ids, activo: true } });
+    return activos === ids.length ? null : 'Uno o más ingredientes de la orden no existen o están inactivos.';
+};
+
+/**
+ * Crea las líneas de una orden a partir del cuerpo de la petición.
+ * @param {number} ordenCompraId
+ * @param {Array<object>} lineas - Líneas ya validadas.
+ * @param {object} transaction - Transacción de Sequelize.
+ */
+const crearLineas = (ordenCompraId, lineas, transaction) => DetalleOrdenCompra.bulkCreate(lineas.map(linea => ({
+    orden_compra_id: ordenCompraId,
+    ingrediente_id: Number(linea.ingrediente_id),
+    cantidad: Number(linea.cantidad),
+    costo_unitario: Number(linea.costo_unitario)
+})), { transaction });
+
+/**
+ * Obtiene las órdenes de compra, las más recientes primero, filtradas por
+ * estado (?estado=) y proveedor (?proveedor_id=).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getOrdenes = async (req, res) => {
+    const where = {};
+    if (req.query.estado) {
+        if (!Object.values(ESTADOS_ORDEN_COMPRA).includes(req.query.estado)) {
+            return res.status(400).send({ message: `El estado debe ser uno de: ${Object.values(ESTADOS_ORDEN_COMPRA).join(', ')}.` });
+        }
+        where.estado = req.query.estado;
+    }
+    if (req.query.proveedor_id) where.proveedor_id = req.query.proveedor_id;
+    try {
+        const ordenes = await OrdenCompra.findAll({
+            where,
+            include: [{ model: Proveedor, attributes: ['proveedor_id', 'nombre'] }],
+            order: [['fecha_creacion', 'DESC'], ['orden_compra_id', 'DESC']]
+        });
+        res.status(200).send(ordenes);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene una orden de compra con sus líneas y las recepciones de mercancía registradas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getOrdenById = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const orden = await getOrden(id);
+        if (!orden) {
+            return res.status(404).send({ message: `No se encontró la orden de compra con id=${id}.` });
+        }
+        const recepciones = await MovimientoInventario.findAll({
+            where: { orden_compra_id: id },
+            include: [
+                { model: Ingrediente, attributes: ['ingrediente_id', 'nombre', 'unidad'] },
+                { model: Usuario, attributes: ['usuario_id', 'nombre'], paranoid: false }
+            ],
+            order: [['fecha', 'DESC'], ['movimiento_id', 'DESC']]
+        });
+        res.status(200).send({ ...orden.toJSON(), recepciones });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Crea una orden de compra en borrador con sus líneas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createOrden = async (req, res) => {
+    const { proveedor_id, notas, lineas } = req.body;
+    const errores = validarLineasOrden(lineas);
+    if (!proveedor_id) errores.unshift('El proveedor de la orden es requerido.');
+    if (notas && String(notas).trim().length > 255) errores.push('Las notas de la orden admiten máximo 255 caracteres.');
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'La orden de compra no es válida.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const errorReferencias = await verificarReferencias(proveedor_id, lineas);
+        if (errorReferencias) {
+            await t.rollback();
+            return res.status(400).send({ message: errorReferencias });
+        }
+        const orden = await OrdenCompra.create({
+            proveedor_id,
+            notas: String(notas ?? '').trim() || null,
+            total: calcularTotalOrden(lineas),
+            usuario_id: req.userId
+        }, { transaction: t });
+        await crearLineas(orden.orden_compra_id, lineas, t);
+        await t.commit();
+        res.status(201).send({ message: `Orden de compra #${orden.orden_compra_id} creada en borrador.`, orden: await getOrden(orden.orden_compra_id) });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Reemplaza el proveedor, las notas y las líneas de una orden. Solo se edita en borrador:
+ * una vez enviada, lo pedido ya no cambia.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateOrden = async (req, res) => {
+    const { id } = req.params;
+    const { proveedor_id, notas, lineas } = req.body;
+    const errores = validarLineasOrden(lineas);
+    if (!proveedor_id) errores.unshift('El proveedor de la orden es requerido.');
+    if (notas && String(notas).trim().length > 255) errores.push('Las notas de la orden admiten máximo 255 caracteres.');
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'La orden de compra no es válida.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const orden = await OrdenCompra.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!orden) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró la orden de compra con id=${id}.` });
+        }
+        if (orden.estado !== ESTADOS_ORDEN_COMPRA.BORRADOR) {
+            await t.rollback();
+            return res.status(409).send({ message: `La orden está ${ETIQUETAS_ESTADO_ORDEN[orden.estado].toLowerCase()}: solo se editan los borradores.` });
+        }
+        const errorReferencias = await verificarReferencias(proveedor_id, lineas);
+        if (errorReferencias) {
+            await t.rollback();
+            return res.status(400).send({ message: errorReferencias });
+        }
+        await orden.update({ proveedor_id, notas: String(notas ?? '').trim() || null, total: calcularTotalOrden(lineas) }, { transaction: t });
+        await DetalleOrdenCompra.destroy({ where: { orden_compra_id: id }, transaction: t });
+        await crearLineas(orden.orden_compra_id, lineas, t);
+        await t.commit();
+        res.status(200).send({ message: `Orden de compra #${id} actualizada.`, orden: await getOrden(id) });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Cambia a mano el estado de una orden: enviarla (si se pidió por teléfono o en persona),
+ * cancelarla antes de recibir mercancía o cerrar una recepción parcial con lo que llegó.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateOrdenStatus = async (req, res) => {
+    const { id } = req.params;
+    const { estado } = req.body;
+    try {
+        const orden = await OrdenCompra.findByPk(id);
+        if (!orden) {
+            return res.status(404).send({ message: `No se encontró la orden de compra con id=${id}.` });
+        }
+        if (!esTransicionOrdenValida(orden.estado, estado)) {
+            return res.status(409).send({ message: `La orden no puede pasar de '${orden.estado}' a '${estado}'.` });
+        }
+        await orden.update({
+            estado,
+            fecha_envio: estado === ESTADOS_ORDEN_COMPRA.ENVIADA ? new Date() : orden.fecha_envio
+        });
+        res.status(200).send({ message: `Orden de compra #${id}: ${ETIQUETAS_ESTADO_ORDEN[estado].toLowerCase()}.`, orden });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Registra una recepción de mercancía: suma lo recibido a la existencia de cada
+ * ingrediente con el costo de la orden (recalculando su costo promedio) y deja la
+ * orden 'recibida' si ya llegó todo o 'recibida_parcial' si aún falta algo.
+ * Body: { lineas: [{ detalle_orden_compra_id, cantidad }] }.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const receiveOrden = async (req, res) => {
+    const { id } = req.params;
+    const t = await sequelize.transaction();
+    try {
+        const orden = await OrdenCompra.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!orden) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró la orden de compra con id=${id}.` });
+        }
+        if (!ESTADOS_CON_RECEPCION.includes(orden.estado)) {
+            await t.rollback();
+            return res.status(409).send({ message: `La orden está ${ETIQUETAS_ESTADO_ORDEN[orden.estado].toLowerCase()}: no puede recibir mercancía.` });
+        }
+        const lineasOrden = await DetalleOrdenCompra.findAll({ where: { orden_compra_id: id }, transaction: t });
+        const { errores, recibidas } = validarRecepcion(req.body.lineas, lineasOrden);
+        if (errores.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: 'La recepción no es válida.', errores });
+        }
+
+        for (const { linea, cantidad } of recibidas) {
+            await linea.update({ cantidad_recibida: redondearCantidad(Number(linea.cantidad_recibida) + cantidad) }, { transaction: t });
+        }
+        const { alertas } = await registrarCompra({
+            ordenCompraId: orden.orden_compra_id,
+            lineas: recibidas.map(({ linea, cantidad }) => ({ ingredienteId: linea.ingrediente_id, cantidad, costoUnitario: Number(linea.costo_unitario) })),
+            usuarioId: req.userId
+        }, t);
+        const estado = getEstadoTrasRecepcion(lineasOrden);
+        await orden.update({ estado, fecha_recepcion: new Date() }, { transaction: t });
+        await t.commit();
+
+        // Los productos agotados por inventario que vuelven a alcanzar se habilitan solos.
+        const io = req.app.get('io');
+        if (io) {
+            emitAlertasInventario(io, alertas, req.userId);
+        }
+        const pendientes = lineasOrden.filter(linea => getPendienteLinea(linea) > 0).length;
+        res.status(200).send({
+            message: estado === ESTADOS_ORDEN_COMPRA.RECIBIDA
+                ? `Orden de compra #${id} recibida completa.`
+                : `Recepción registrada. Quedan ${pendientes} ingrediente(s) pendientes en la orden #${id}.`,
+            orden: await getOrden(id)
+        });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Descarga una orden de compra en formato PDF.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const downloadOrdenPdf = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const orden = await getOrden(id);
+        if (!orden) {
+            return res.status(404).send({ message: "Orden de compra no encontrada." });
+        }
+
+        const pdfBuffer = await createPurchaseOrderPdfBuffer(orden);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="orden_compra_${orden.orden_compra_id}.pdf"`);
+        res.status(200).send(pdfBuffer);
+    } catch (error) {
+        console.error("Error al generar el PDF de la orden de compra:", error);
+        res.status(500).send({ message: "Error interno al generar la orden de compra." });
+    }
+};
+
+/**
+ * Envía una orden de compra en PDF al correo indicado o, si no se indica, al del
+ * proveedor. Un borrador enviado por correo queda como 'enviada'.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const sendOrdenByEmail = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const orden = await getOrden(id);
+        if (!orden) {
+            return res.status(404).send({ message: "Orden de compra no encontrada." });
+        }
+        if (orden.estado === ESTADOS_ORDEN_COMPRA.CANCELADA) {
+            return res.status(409).send({ message: "La orden de compra está cancelada." });
+        }
+        const email = req.body.email || orden.Proveedor?.email;
+        if (!email) {
+            return res.status(400).send({ message: "La dirección de correo es requerida (el proveedor no tiene correo registrado)." });
+        }
+
+        if (orden.estado === ESTADOS_ORDEN_COMPRA.BORRADOR) {
+            await orden.update({ estado: ESTADOS_ORDEN_COMPRA.ENVIADA, fecha_envio: new Date() });
+        }
+        const pdfBuffer = await createPurchaseOrderPdfBuffer(orden);
+        await sendPdfEmail({
+            to: email,
+            subject: `Orden de compra #${orden.orden_compra_id} de Sushi Burrito`,
+            text: `Adjunto encontrará nuestra orden de compra #${orden.orden_compra_id} en formato PDF. Gracias.`,
+            filename: `orden_compra_${orden.orden_compra_id}.pdf`,
+            pdfBuffer,
+            fromName: 'Compras Sushi Burrito'
+        });
+
+        res.status(200).send({ message: `Orden de compra enviada exitosamente a ${email}`, orden });
+    } catch (error) {
+        console.error("Error al enviar la orden de compra por correo:", error);
+        res.status(500).send({ message: "Error interno al procesar el envío de la orden de compra." });
+    }
+};
+
+/**
+ * Función auxiliar para generar el PDF de una orden de compra en memoria usando pdfkit,
+ * con el mismo formato de la factura.
+ * @param {object} orden - La orden de compra con su proveedor y sus líneas.
+ * @returns {Promise<Buffer>} - Una promesa que se resuelve con el buffer del PDF.
+ */
+async function createPurchaseOrderPdfBuffer(orden) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+        // Se añade el logo si el archivo existe.
+        if (fs.existsSync('assets/logo.jpg')) {
+            doc.image('assets/logo.jpg', {
+                fit: [60, 60],
+                x: 50,
+                y: 45
+            });
+        }
+
+        doc.fontSize(20).font('Helvetica-Bold').text(`Orden de compra #${orden.orden_compra_id}`, { align: 'center' });
+        doc.fontSize(9).font('Helvetica').fillColor('#555555')
+            .text(`Estado: ${ETIQUETAS_ESTADO_ORDEN[orden.estado]}`, { align: 'center' })
+            .fillColor('black');
+        doc.moveDown(2);
+        doc.fontSize(12).font('Helvetica').text(`Fecha: ${new Date(orden.fecha_envio || orden.fecha_creacion).toLocaleString()}`);
+        // Datos del proveedor.
+        const { Proveedor: proveedor } = orden;
+        doc.text(`Proveedor: ${proveedor.nombre}${proveedor.nit ? ` - NIT ${proveedor.nit}` : ''}`);
+        const contacto = [proveedor.contacto, proveedor.email, proveedor.telefono].filter(Boolean).join(' | ');
+        if (contacto) doc.text(contacto);
+        if (proveedor.direccion) doc.text(proveedor.direccion);
+        // Una orden cancelada se sigue pudiendo descargar, pero lo indica.
+        if (orden.estado === ESTADOS_ORDEN_COMPRA.CANCELADA) {
+            doc.moveDown(0.5).font('Helvetica-Bold').fillColor('#c0392b')
+                .text('CANCELADA')
+                .fillColor('black').font('Helvetica');
+        }
+        doc.moveDown(2);
+
+        const tableTop = doc.y;
+        doc.font('Helvetica-Bold');
+        doc.text('Ingrediente', 50, tableTop).text('Cant.', 250, tableTop).text('Recibido', 310, tableTop).text('C. Unit.', 370, tableTop, {width: 60, align: 'right'}).text('Subtotal', 450, tableTop, {width: 60, align: 'right'});
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke().moveDown();
+        doc.font('Helvetica');
+
+        orden.DetalleOrdenCompras.forEach(linea => {
+            const y = doc.y;
+            const unidad = linea.Ingrediente?.unidad || '';
+            const subtotal = Number(linea.cantidad) * Number(linea.costo_unitario);
+            doc.text(linea.Ingrediente?.nombre || `Ingrediente #${linea.ingrediente_id}`, 50, y, {width: 195});
+            doc.text(`${Number(linea.cantidad)} ${unidad}`, 250, y, {width: 60});
+            doc.text(`${Number(linea.cantidad_recibida)} ${unidad}`, 310, y, {width: 60});
+            doc.text(`$${Number(linea.costo_unitario)}`, 370, y, {width: 60, align: 'right'});
+            doc.text(`$${subtotal.toFixed(2)}`, 450, y, {width: 60, align: 'right'});
+            doc.moveDown();
+        });
+
+        const totalsY = doc.y + 20;
+        doc.font('Helvetica-Bold').text('TOTAL:', 370, totalsY).text(`$${orden.total}`, 450, totalsY, {width: 60, align: 'right'});
+
+        if (orden.notas) {
+            doc.font('Helvetica-Bold').text('Notas:', 50, totalsY + 30);
+            doc.font('Helvetica').text(orden.notas, 60, totalsY + 45, {width: 450});
+        }
+
+        doc.end();
+    });
+}
@@ -5,13 +5,166 @@
 // =================================================================
 
 import db from '../models/index.js';
-import { emitNuevoPedido, emitCambioEstado, emitPedidoCancelado, emitMesaActualizada } from '../socket/events.js';
+import { Op } from 'sequelize';
+import { emitNuevoPedido, emitCambioEstado, emitCambioEstadoDetalle, emitPedidoModificado, emitPedidoCancelado, emitMesaActualizada, emitAlertasInventario } from '../socket/events.js';
+import {
+    ESTADOS_PEDIDO,
+    ESTADOS_DETALLE,
+    ETIQUETAS_ESTADO,
+    TRANSICIONES_PEDIDO,
+    TRANSICIONES_DETALLE,
+    esEstadoValido,
+    esTransicionDetalleValida,
+    esTransicionValida,
+    getAvanceDerivado,
+    getSiguientesEstados
+} from '../helpers/pedidoEstados.js';
+import { dividirPedidoPorEstacion } from '../helpers/estacionesCocina.js';
+import { calcularDiferenciaDetalles, esDiferenciaVacia, normalizarLinea } from '../helpers/pedidoRevisiones.js';
+import { getOpcionIds, validarSeleccionModificadores } from '../helpers/modificadores.js';
+import { getImpuestoAplicable } from '../helpers/impuestos.js';
+import { validarComensales } from '../helpers/propinas.js';
+import { validarDisponibilidad } from '../helpers/disponibilidad.js';
+import { devolverConsumoPedido, sincronizarConsumoDetalles, sincronizarConsumoPedido } from '../utils/movimientosInventario.js';
 
 // Se desestructuran los modelos necesarios para un acceso más limpio.
-const { Pedido, DetallePedido, Mesa, Producto, sequelize } = db;
+const { Pedido, DetallePedido, PedidoRevision, Mesa, Producto, Categoria, EstacionCocina, GrupoModificador, OpcionModificador, Impuesto, Factura, FacturaDetalle, sequelize } = db;
+
+/**
+ * Construye el mapa categoría -> estación usado para enrutar los pedidos a cocina.
+ * Incluye categorías eliminadas (soft delete) porque sus productos pueden seguir en pedidos abiertos.
+ * @returns {Promise<Map<number, {estacion_id: number, nombre: string}>>}
+ */
+const getEstacionPorCategoria = async () => {
+    const [estaciones, categorias] = await Promise.all([
+        EstacionCocina.findAll({ attributes: ['estacion_id', 'nombre'] }),
+        Categoria.findAll({
+            attributes: ['categoria_id', 'estacion_id'],
+            where: { estacion_id: { [Op.ne]: null } },
+            paranoid: false
+        })
+    ]);
+    const estacionesPorId = new Map(estaciones.map((e) => [e.estacion_id, e.toJSON()]));
+    return new Map(
+        categorias
+            .filter((c) => estacionesPorId.has(c.estacion_id))
+            .map((c) => [c.categoria_id, estacionesPorId.get(c.estacion_id)])
+    );
+};
+
+/**
+ * Valida los modificadores elegidos en cada ítem y los reemplaza por la copia
+ * que se guarda en la línea (nombre, grupo y precio del momento).
+ * Una línea existente que conserva el mismo producto y las mismas opciones
+ * mantiene su copia original, aunque el menú haya cambiado después.
+ * @param {Array<object>} items - Ítems recibidos; 'modificadores' es una lista de IDs de opción.
+ * @param {Array<object>} [detallesActuales] - Líneas actuales del pedido (al editarlo).
+ * @param {object} [transaction] - Transacción de Sequelize en curso.
+ * @returns {Promise<{errores: Array<string>, items: Array<object>}>}
+ */
+const resolverModificadores = async (items, detallesActuales = [], transaction) => {
+    const grupos = await GrupoModificador.findAll({
+        where: { producto_id: [...new Set(items.map((item) => Number(item.producto_id)))] },
+        include: [{ model: OpcionModificador, as: 'opciones' }],
+        order: [['orden', 'ASC'], ['grupo_id', 'ASC'], [{ model: OpcionModificador, as: 'opciones' }, 'opcion_id', 'ASC']],
+        transaction
+    });
+    const gruposPorProducto = new Map();
+    for (const grupo of grupos) {
+        const lista = gruposPorProducto.get(grupo.producto_id) || [];
+        lista.push(grupo.toJSON());
+        gruposPorProducto.set(grupo.producto_id, lista);
+    }
+    const actualesPorId = new Map(detallesActuales.map((d) => [Number(d.detalle_id), d]));
+
+    const errores = [];
+    const resueltos = items.map((item, index) => {
+        const actual = item.detalle_id != null ? actualesPorId.get(Number(item.detalle_id)) : null;
+        if (actual
+            && actual.producto_id === Number(item.producto_id)
+            && getOpcionIds(actual.modificadores).join(',') === getOpcionIds(item.modificadores).join(',')) {
+            return { ...item, modificadores: actual.modificadores || [] };
+        }
+
+        const resultado = validarSeleccionModificadores(gruposPorProducto.get(Number(item.producto_id)) || [], item.modificadores);
+        errores.push(...resultado.errores.map((error) => `Artículo ${index + 1}: ${error}`));
+        return { ...item, modificadores: resultado.modificadores };
+    });
+
+    return { errores, items: resueltos };
+};
+
+/**
+ * Verifica que los productos pedidos existan y no estén agotados (ni ellos ni su categoría).
+ * @param {Array<number|string>} productoIds - Productos pedidos.
+ * @param {object} [transaction] - Transacción de Sequelize en curso.
+ * @returns {Promise<Array<string>>} Un mensaje por producto que no se puede pedir.
+ */
+const verificarDisponibilidad = async (productoIds, transaction) => {
+    const productos = await Producto.findAll({
+        where: { producto_id: [...new Set(productoIds.map(Number))] },
+        attributes: ['producto_id', 'nombre_producto', 'disponible', 'is_deleted'],
+        include: [{ model: Categoria, attributes: ['nombre', 'disponible'], paranoid: false }],
+        transaction
+    });
+    return validarDisponibilidad(productoIds, productos);
+};
+
+/**
+ * Obtiene las líneas de un pedido con la forma de 'Productos' que consumen las
+ * vistas (cada producto con su 'DetallePedido' y la tarifa de 'impuesto' que le aplica).
+ * Cada línea incluye 'cantidad_facturada' (lo ya cobrado si la cuenta se dividió,
+ * sin contar las facturas anuladas con nota crédito).
+ * Se leen desde DetallePedido para no fusionar dos líneas del mismo producto con
+ * distintos modificadores.
+ * @param {number} pedidoId - ID del pedido.
+ * @returns {Promise<Array<object>>}
+ */
+const getProductosPedido = async (pedidoId) => {
+    const detalles = await DetallePedido.findAll({
+        where: { pedido_id: pedidoId },
+        include: [{
+            model: Producto,
+            attributes: ['producto_id', 'nombre_producto', 'valor_neto', 'categoria_id'],
+            include: [
+                { model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] },
+                {
+                    model: Categoria,
+                    attributes: ['categoria_id'],
+                    paranoid: false,
+                    include: [{ model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] }]
+                }
+            ]
+        }],
+        order: [['detalle_id', 'ASC']]
+    });
+    const facturadas = detalles.length > 0 ? await FacturaDetalle.findAll({
+        attributes: ['detalle_id', [sequelize.fn('SUM', sequelize.col('FacturaDetalle.cantidad')), 'cantidad']],
+        where: { detalle_id: detalles.map((detalle) => detalle.detalle_id) },
+        include: [{ model: Factura, attributes: [], where: { anulada: false } }],
+        group: ['FacturaDetalle.detalle_id'],
+        raw: true
+    }) : [];
+    const facturadoPorId = new Map(facturadas.map((fila) => [Number(fila.detalle_id), Number(fila.cantidad)]));
+    return detalles.map((detalle) => {
+        const { Producto: producto, ...linea } = detalle.toJSON();
+        const { Impuesto: _impuesto, Categoria: _categoria, ...datosProducto } = producto || {};
+        return {
+            ...datosProducto,
+            impuesto: getImpuestoAplicable(producto),
+            DetallePedido: {
+                ...linea,
+                modificadores: linea.modificadores || [],
+                cantidad_facturada: facturadoPorId.get(detalle.detalle_id) || 0
+            }
+        };
+    });
+};
 
 /**
  * Crea un nuevo pedido, sus detalles asociados, y actualiza el estado de la mesa.
+ * Se rechaza si algún producto está agotado o pertenece a una categoría agotada.
+ * Descuenta del inventario los ingredientes de las recetas de los productos pedidos.
  * Toda la operación se ejecuta dentro de una transacción para garantizar la atomicidad.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
@@ -19,11 +172,31 @@ const { Pedido, DetallePedido, Mesa, Producto, sequelize } = db;
 export const createPedido = async (req, res) => {
     // El ID del usuario (mesero) se obtiene del token verificado por el middleware.
     const usuario_id = req.userId;
-    const { mesa_id, items } = req.body;
+    const { mesa_id, items, comensales } = req.body;
 
     if (!mesa_id || !items || items.length === 0) {
         return res.status(400).send({ message: "La mesa y al menos un artículo son requeridos." });
     }
+    const errorComensales = validarComensales(comensales);
+    if (errorComensales) {
+        return res.status(400).send({ message: errorComensales });
+    }
+
+    // Se validan la disponibilidad de los productos y los modificadores elegidos.
+    let itemsResueltos;
+    try {
+        const noDisponibles = await verificarDisponibilidad(items.map(item => item.producto_id));
+        if (noDisponibles.length > 0) {
+            return res.status(409).send({ message: `No se puede tomar el pedido. ${noDisponibles.join(' ')}`, errores: noDisponibles });
+        }
+        const resultado = await resolverModificadores(items);
+        if (resultado.errores.length > 0) {
+            return res.status(400).send({ message: "Los modificadores seleccionados no son válidos.", errores: resultado.errores });
+        }
+        itemsResueltos = resultado.items;
+    } catch (error) {
+        return res.status(500).send({ message: "Error al crear el pedido: " + error.message });
+    }
 
     // Se inicia una transacción.
     const t = await sequelize.transaction();
@@ -32,19 +205,25 @@ export const createPedido = async (req, res) => {
         const pedido = await Pedido.create({
             usuario_id,
             mesa_id,
-            estado: 'pendiente'
+            estado: ESTADOS_PEDIDO.PENDIENTE,
+            // El número de comensales es opcional; activa el cargo por servicio de los grupos grandes.
+            comensales: comensales ? Number(comensales) : null
         }, { transaction: t });
 
         // Se prepara el array de detalles del pedido.
-        const detallesPedido = items.map(item => ({
+        const detallesPedido = itemsResueltos.map(item => ({
             pedido_id: pedido.pedido_id,
             producto_id: item.producto_id,
             cantidad: item.cantidad,
-            notas: item.notas
+            notas: item.notas,
+            modificadores: item.modificadores
         }));
         // 2. Se insertan todos los detalles del pedido en una sola operación.
         await DetallePedido.bulkCreate(detallesPedido, { transaction: t });
 
+        // 2b. Se descuentan del inventario los ingredientes que consumen las recetas de los productos.
+        const { alertas: alertasInventario } = await sincronizarConsumoPedido({ pedidoId: pedido.pedido_id, lineas: detallesPedido, usuarioId: usuario_id }, t);
+
         // 3. Se actualiza el estado de la mesa a 'ocupada'.
         await Mesa.update({ estado: 'ocupada' }, { where: { mesa_id: mesa_id }, transaction: t });
 
@@ -59,10 +238,28 @@ export const createPedido = async (req, res) => {
             ]
         });
         
-        // Emitir notificación en tiempo real via Socket.IO
+        // Emitir notificación en tiempo real via Socket.IO.
+        // Cada estación de cocina recibe solo la comanda con los productos de sus categorías.
         const io = req.app.get('io');
         if (io) {
-            emitNuevoPedido(io, pedidoCompleto.toJSON());
+            const [productos, estacionPorCategoria] = await Promise.all([
+                Producto.findAll({
+                    where: { producto_id: items.map((item) => item.producto_id) },
+                    attributes: ['producto_id', 'nombre_producto', 'categoria_id']
+                }),
+                getEstacionPorCategoria()
+            ]);
+            const productosPorId = new Map(productos.map((p) => [p.producto_id, p]));
+            const lineas = itemsResueltos.map((item) => ({
+                producto_id: item.producto_id,
+                nombre_producto: productosPorId.get(Number(item.producto_id))?.nombre_producto,
+                categoria_id: productosPorId.get(Number(item.producto_id))?.categoria_id,
+                cantidad: item.cantidad,
+                notas: item.notas,
+                modificadores: item.modificadores
+            }));
+            emitNuevoPedido(io, pedidoCompleto.toJSON(), dividirPedidoPorEstacion(lineas, estacionPorCategoria));
+            emitAlertasInventario(io, alertasInventario, usuario_id);
         }
         
         res.status(201).send({ message: "Pedido creado exitosamente.", pedido });
@@ -77,6 +274,8 @@ export const createPedido = async (req, res) => {
 
 /**
  * Obtiene una lista de todos los pedidos, con la opción de filtrar por estado.
+ * Con '?estacion_id=' solo se devuelven los productos de esa estación de cocina
+ * (y solo los pedidos que tienen alguno).
  * Incluye información detallada del usuario, mesa y productos asociados.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
@@ -102,12 +301,15 @@ export const getAllPedidos = async (req, res) => {
         // Para cada pedido, se obtienen sus datos asociados en paralelo.
         const pedidosCompletos = await Promise.all(
             pedidosBasicos.map(async (pedido) => {
-                const [usuario, mesa, productos] = await Promise.all([
+                const [usuario, mesa, productos, ultimaRevision] = await Promise.all([
                     pedido.getUsuario({ attributes: ['nombre'], required: false }),
                     pedido.getMesa({ attributes: ['numero_mesa'], required: false }),
-                    pedido.getProductos({
-                        attributes: ['nombre_producto', 'valor_neto'],
-                        through: { attributes: ['cantidad', 'notas'] }
+                    getProductosPedido(pedido.pedido_id),
+                    // La última edición permite a cocina resaltar lo que cambió en la comanda.
+                    PedidoRevision.findOne({
+                        where: { pedido_id: pedido.pedido_id },
+                        attributes: ['numero_revision', 'cambios', 'fecha_revision'],
+                        order: [['numero_revision', 'DESC']]
                     })
                 ]);
 
@@ -116,10 +318,38 @@ export const getAllPedidos = async (req, res) => {
                 pedidoJSON.Usuario = usuario;
                 pedidoJSON.Mesa = mesa;
                 pedidoJSON.Productos = productos; 
+                pedidoJSON.ultima_revision = ultimaRevision;
 
                 return pedidoJSON;
             })
         );
+
+        // Filtro por estación de cocina: se conservan solo sus productos.
+        if (req.query.estacion_id) {
+            const estacionId = Number(req.query.estacion_id);
+            const estacionPorCategoria = await getEstacionPorCategoria();
+            const esDeEstacion = (linea) => estacionPorCategoria.get(linea.categoria_id)?.estacion_id === estacionId;
+            const pedidosEstacion = pedidosCompletos
+                .map((pedido) => {
+                    const cambios = pedido.ultima_revision?.cambios;
+                    return {
+                        ...pedido,
+                        Productos: pedido.Productos.filter(esDeEstacion),
+                        // La última edición también se recorta a las líneas de la estación.
+                        ultima_revision: cambios ? {
+                            ...pedido.ultima_revision.toJSON(),
+                            cambios: {
+                                agregados: cambios.agregados.filter(esDeEstacion),
+                                eliminados: cambios.eliminados.filter(esDeEstacion),
+                                modificados: cambios.modificados.filter((m) => esDeEstacion(m.despues))
+                            }
+                        } : null
+                    };
+                })
+                .filter((pedido) => pedido.Productos.length > 0);
+            return res.status(200).send(pedidosEstacion);
+        }
+
         res.status(200).send(pedidosCompletos);
     } catch (error) {
         console.error("Error en getAllPedidos:", error);
@@ -130,22 +360,17 @@ export const getAllPedidos = async (req, res) => {
 
 
 /**
- * Obtiene un pedido específico por su ID, incluyendo sus productos.
+ * Obtiene un pedido específico por su ID, incluyendo sus productos (una entrada por línea).
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
 export const getPedidoById = async (req, res) => {
     try {
         const { id } = req.params;
-        // Se busca el pedido por su clave primaria e incluye los productos asociados.
-        const pedido = await Pedido.findByPk(id, {
-            include: [{
-                model: Producto,
-                through: { attributes: ['cantidad', 'notas'] }
-            }]
-        });
+        // Se busca el pedido por su clave primaria y se agregan sus líneas con el producto.
+        const pedido = await Pedido.findByPk(id);
         if (pedido) {
-            res.status(200).send(pedido);
+            res.status(200).send({ ...pedido.toJSON(), Productos: await getProductosPedido(pedido.pedido_id) });
         } else {
             res.status(404).send({ message: `Pedido con id=${id} no encontrado.` });
         }
@@ -154,74 +379,390 @@ export const getPedidoById = async (req, res) => {
     }
 };
 
+/**
+ * Devuelve la definición del ciclo de vida de los pedidos (estados, etiquetas y
+ * transiciones por rol) junto con los estados siguientes para el rol del usuario.
+ * Las vistas del frontend la usan para decidir qué acciones mostrar.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getCicloVidaPedido = (req, res) => {
+    res.status(200).send({
+        estados: Object.values(ESTADOS_PEDIDO),
+        etiquetas: ETIQUETAS_ESTADO,
+        transiciones: TRANSICIONES_PEDIDO,
+        estados_detalle: Object.values(ESTADOS_DETALLE),
+        transiciones_detalle: TRANSICIONES_DETALLE,
+        rol: req.userRol
+    });
+};
+
 /**
  * Actualiza el estado de un pedido específico.
+ * Solo se permiten las transiciones definidas en el ciclo de vida para el rol
+ * del usuario; cualquier otra se rechaza con 409 indicando los estados permitidos.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
 export const updatePedidoStatus = async (req, res) => {
+    const { id } = req.params;
+    const { estado } = req.body;
+
+    if (!esEstadoValido(estado)) {
+        return res.status(400).send({
+            message: `El estado '${estado}' no es válido.`,
+            estados_validos: Object.values(ESTADOS_PEDIDO)
+        });
+    }
+
+    const t = await sequelize.transaction();
     try {
-        const { id } = req.params;
-        const { estado } = req.body;
-        
         // Obtener el pedido actual para conocer el estado anterior
-        const pedidoActual = await Pedido.findByPk(id);
+        const pedidoActual = await Pedido.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
         if (!pedidoActual) {
+            await t.rollback();
             return res.status(404).send({ message: `No se encontró el pedido con id=${id}.` });
         }
-        
+
         const estadoAnterior = pedidoActual.estado;
-        
-        // Actualizar el estado
-        const [num] = await Pedido.update({ estado }, { where: { pedido_id: id } });
-        
-        if (num == 1) {
-            // Obtener el pedido actualizado con sus relaciones para notificación
+
+        // Se valida la transición contra la máquina de estados según el rol.
+        if (!esTransicionValida(estadoAnterior, estado, req.userRol)) {
+            await t.rollback();
+            const permitidos = getSiguientesEstados(estadoAnterior, req.userRol);
+            return res.status(409).send({
+                message: permitidos.length > 0
+                    ? `No se puede pasar el pedido de '${estadoAnterior}' a '${estado}'. Estados permitidos: ${permitidos.join(', ')}.`
+                    : `No se puede pasar el pedido de '${estadoAnterior}' a '${estado}'. No hay transiciones disponibles para su rol.`,
+                estado_actual: estadoAnterior,
+                estado_solicitado: estado,
+                transiciones_permitidas: permitidos
+            });
+        }
+
+        // Un pedido con facturas (cuenta dividida en curso) no se puede cancelar sin anularlas antes.
+        if (estado === ESTADOS_PEDIDO.CANCELADO && await Factura.count({ where: { pedido_id: id, anulada: false }, transaction: t }) > 0) {
+            await t.rollback();
+            return res.status(409).send({ message: "El pedido tiene facturas generadas. Anúlelas antes de cancelarlo." });
+        }
+
+        await pedidoActual.update({ estado }, { transaction: t });
+        let alertasInventario = null;
+
+        // Marcar el pedido completo como listo da por terminadas todas sus líneas.
+        if (estado === ESTADOS_PEDIDO.LISTO) {
+            await DetallePedido.update(
+                { estado_preparacion: ESTADOS_DETALLE.LISTO },
+                { where: { pedido_id: id }, transaction: t }
+            );
+        }
+
+        // Al cancelar un pedido se libera la mesa asociada y se devuelven sus ingredientes al inventario.
+        if (estado === ESTADOS_PEDIDO.CANCELADO) {
+            await Mesa.update({ estado: 'disponible' }, { where: { mesa_id: pedidoActual.mesa_id }, transaction: t });
+            ({ alertas: alertasInventario } = await devolverConsumoPedido({ pedidoId: pedidoActual.pedido_id, usuarioId: req.userId }, t));
+        }
+
+        await t.commit();
+
+        // Obtener el pedido actualizado con sus relaciones para notificación
+        const pedidoActualizado = await Pedido.findByPk(id, {
+            include: [
+                { model: db.Usuario, attributes: ['nombre'] },
+                { model: db.Mesa, attributes: ['numero_mesa'] }
+            ]
+        });
+
+        // Emitir notificación en tiempo real via Socket.IO
+        const io = req.app.get('io');
+        if (io) {
+            emitCambioEstado(io, pedidoActualizado.toJSON(), estadoAnterior);
+            if (alertasInventario) emitAlertasInventario(io, alertasInventario, req.userId);
+        }
+
+        res.send({
+            message: "Estado del pedido actualizado exitosamente.",
+            siguientes_estados: getSiguientesEstados(estado, req.userRol)
+        });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza el estado de preparación de una línea (DetallePedido) de un pedido.
+ * Cuando la primera línea empieza, el pedido pasa a 'en_preparacion'; cuando
+ * todas las líneas están listas, el pedido pasa a 'listo'.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateDetalleStatus = async (req, res) => {
+    const { id, detalleId } = req.params;
+    const { estado } = req.body;
+
+    if (!Object.values(ESTADOS_DETALLE).includes(estado)) {
+        return res.status(400).send({
+            message: `El estado '${estado}' no es válido para una línea del pedido.`,
+            estados_validos: Object.values(ESTADOS_DETALLE)
+        });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const pedido = await Pedido.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!pedido) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró el pedido con id=${id}.` });
+        }
+
+        // Las líneas solo se trabajan mientras el pedido está en cocina.
+        if (![ESTADOS_PEDIDO.PENDIENTE, ESTADOS_PEDIDO.EN_PREPARACION].includes(pedido.estado)) {
+            await t.rollback();
+            return res.status(409).send({
+                message: `No se pueden modificar las líneas de un pedido en estado '${pedido.estado}'.`,
+                estado_actual: pedido.estado
+            });
+        }
+
+        const detalle = await DetallePedido.findOne({
+            where: { detalle_id: detalleId, pedido_id: id },
+            include: [{ model: Producto, attributes: ['nombre_producto'] }],
+            transaction: t
+        });
+        if (!detalle) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró la línea ${detalleId} en el pedido #${id}.` });
+        }
+
+        const estadoAnteriorDetalle = detalle.estado_preparacion;
+        if (!esTransicionDetalleValida(estadoAnteriorDetalle, estado, req.userRol)) {
+            await t.rollback();
+            const destinos = TRANSICIONES_DETALLE[estadoAnteriorDetalle] || {};
+            return res.status(409).send({
+                message: `No se puede pasar la línea de '${estadoAnteriorDetalle}' a '${estado}'.`,
+                estado_actual: estadoAnteriorDetalle,
+                estado_solicitado: estado,
+                transiciones_permitidas: Object.keys(destinos).filter((d) => destinos[d].includes(req.userRol))
+            });
+        }
+
+        await detalle.update({ estado_preparacion: estado }, { transaction: t });
+
+        // Se recalcula el estado del pedido a partir de todas sus líneas.
+        // Solo avanza en el flujo de cocina; nunca retrocede.
+        const estadoAnteriorPedido = pedido.estado;
+        const detalles = await DetallePedido.findAll({
+            where: { pedido_id: id },
+            attributes: ['estado_preparacion'],
+            transaction: t
+        });
+        const estadoDerivado = getAvanceDerivado(estadoAnteriorPedido, detalles);
+        const pedidoCambio = Boolean(estadoDerivado);
+
+        if (pedidoCambio) {
+            await pedido.update({ estado: estadoDerivado }, { transaction: t });
+        }
+
+        await t.commit();
+
+        const io = req.app.get('io');
+        if (io) {
             const pedidoActualizado = await Pedido.findByPk(id, {
                 include: [
                     { model: db.Usuario, attributes: ['nombre'] },
                     { model: db.Mesa, attributes: ['numero_mesa'] }
                 ]
             });
-            
-            // Emitir notificación en tiempo real via Socket.IO
-            const io = req.app.get('io');
-            if (io) {
-                emitCambioEstado(io, pedidoActualizado.toJSON(), estadoAnterior);
+
+            emitCambioEstadoDetalle(io, pedidoActualizado.toJSON(), detalle.toJSON(), estadoAnteriorDetalle);
+            if (pedidoCambio) {
+                emitCambioEstado(io, pedidoActualizado.toJSON(), estadoAnteriorPedido);
             }
-            
-            res.send({ message: "Estado del pedido actualizado exitosamente." });
-        } else {
-            res.status(404).send({ message: `No se encontró el pedido con id=${id}.` });
         }
+
+        res.send({
+            message: "Estado de la línea actualizado exitosamente.",
+            detalle_id: detalle.detalle_id,
+            estado_preparacion: estado,
+            estado_pedido: pedidoCambio ? estadoDerivado : estadoAnteriorPedido
+        });
     } catch (error) {
+        await t.rollback();
         res.status(500).send({ message: error.message });
     }
 };
 
 /**
- * Actualiza la lista de ítems de un pedido existente.
+ * Estados en los que se pueden editar los productos de un pedido.
+ * Una vez listo, los cambios se hacen con un pedido nuevo.
+ */
+const ESTADOS_EDITABLES = [ESTADOS_PEDIDO.PENDIENTE, ESTADOS_PEDIDO.EN_PREPARACION];
+
+/**
+ * Actualiza la lista de ítems de un pedido existente sin reemplazarla:
+ * cada línea se agrega, elimina o modifica individualmente (las líneas
+ * conservadas mantienen su 'detalle_id' y su estado de preparación).
+ * Cada edición queda registrada como una revisión con el antes/después
+ * y el inventario descontado al pedido se ajusta a sus nuevas líneas.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
 export const updatePedidoItems = async (req, res) => {
     const { id } = req.params;
     const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).send({ message: "El pedido debe tener al menos un artículo." });
+    }
+    if (items.some((item) => !item.producto_id || !(Number(item.cantidad) >= 1))) {
+        return res.status(400).send({ message: "Cada artículo requiere un producto y una cantidad mayor a cero." });
+    }
+
     const t = await sequelize.transaction();
     try {
-        // 1. Se eliminan todos los detalles antiguos del pedido.
-        await DetallePedido.destroy({ where: { pedido_id: id }, transaction: t });
-        // Se prepara el array con los nuevos detalles.
-        const nuevosDetalles = items.map(item => ({
+        const pedido = await Pedido.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!pedido) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró el pedido con id=${id}.` });
+        }
+        if (!ESTADOS_EDITABLES.includes(pedido.estado)) {
+            await t.rollback();
+            return res.status(409).send({
+                message: `No se puede editar un pedido en estado '${pedido.estado}'.`,
+                estado_actual: pedido.estado
+            });
+        }
+
+        const detallesActuales = await DetallePedido.findAll({ where: { pedido_id: id }, transaction: t });
+
+        // Se validan los modificadores de las líneas nuevas o cambiadas.
+        const resultado = await resolverModificadores(items, detallesActuales, t);
+        if (resultado.errores.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: "Los modificadores seleccionados no son válidos.", errores: resultado.errores });
+        }
+
+        const cambios = calcularDiferenciaDetalles(detallesActuales, resultado.items);
+
+        if (esDiferenciaVacia(cambios)) {
+            await t.rollback();
+            return res.status(200).send({ message: "El pedido no tiene cambios.", revision: null });
+        }
+
+        // Las líneas que ya estaban se conservan aunque su producto se haya agotado después;
+        // solo se rechazan las nuevas.
+        const noDisponibles = cambios.agregados.length > 0
+            ? await verificarDisponibilidad(cambios.agregados.map((l) => l.producto_id), t)
+            : [];
+        if (noDisponibles.length > 0) {
+            await t.rollback();
+            return res.status(409).send({ message: `No se pueden agregar los artículos. ${noDisponibles.join(' ')}`, errores: noDisponibles });
+        }
+
+        // 1. Se eliminan solo las líneas que ya no están.
+        if (cambios.eliminados.length > 0) {
+            await DetallePedido.destroy({
+                where: { pedido_id: id, detalle_id: cambios.eliminados.map((l) => l.detalle_id) },
+                transaction: t
+            });
+        }
+
+        // 2. Se actualizan las líneas modificadas conservando su identidad.
+        for (const { despues } of cambios.modificados) {
+            await DetallePedido.update(
+                { cantidad: despues.cantidad, notas: despues.notas, modificadores: despues.modificadores },
+                { where: { detalle_id: despues.detalle_id, pedido_id: id }, transaction: t }
+            );
+        }
+
+        // 3. Se insertan las líneas nuevas (una a una para conocer su 'detalle_id').
+        for (const linea of cambios.agregados) {
+            const creado = await DetallePedido.create({
+                pedido_id: id,
+                producto_id: linea.producto_id,
+                cantidad: linea.cantidad,
+                notas: linea.notas,
+                modificadores: linea.modificadores
+            }, { transaction: t });
+            linea.detalle_id = creado.detalle_id;
+        }
+
+        // 3b. El inventario descontado al pedido se ajusta a sus nuevas líneas.
+        const { alertas: alertasInventario } = await sincronizarConsumoDetalles({ pedidoId: pedido.pedido_id, usuarioId: req.userId }, t);
+
+        // 4. Se registra la revisión con el antes y el después. Las líneas cambiadas
+        //    guardan el nombre del producto para mostrarlas aunque ya no existan.
+        const lineasCambiadas = [...cambios.agregados, ...cambios.eliminados, ...cambios.modificados.map((m) => m.despues)];
+        const productos = await Producto.findAll({
+            where: { producto_id: lineasCambiadas.map((l) => l.producto_id) },
+            attributes: ['producto_id', 'nombre_producto', 'categoria_id'],
+            transaction: t
+        });
+        const productosPorId = new Map(productos.map((p) => [p.producto_id, p]));
+        const conProducto = (linea) => ({
+            ...linea,
+            nombre_producto: productosPorId.get(linea.producto_id)?.nombre_producto,
+            categoria_id: productosPorId.get(linea.producto_id)?.categoria_id
+        });
+        const cambiosRevision = {
+            agregados: cambios.agregados.map(conProducto),
+            eliminados: cambios.eliminados.map(conProducto),
+            modificados: cambios.modificados.map((m) => ({ antes: conProducto(m.antes), despues: conProducto(m.despues) }))
+        };
+
+        const detallesDespues = await DetallePedido.findAll({ where: { pedido_id: id }, transaction: t });
+        const numeroRevision = (await PedidoRevision.count({ where: { pedido_id: id }, transaction: t })) + 1;
+        const revision = await PedidoRevision.create({
             pedido_id: id,
-            producto_id: item.producto_id,
-            cantidad: item.cantidad,
-            notas: item.notas
-        }));
-        // 2. Se insertan los nuevos detalles.
-        await DetallePedido.bulkCreate(nuevosDetalles, { transaction: t });
+            usuario_id: req.userId,
+            numero_revision: numeroRevision,
+            cambios: cambiosRevision,
+            detalles_antes: detallesActuales.map(normalizarLinea),
+            detalles_despues: detallesDespues.map(normalizarLinea)
+        }, { transaction: t });
+
+        // Si la edición quitó las últimas líneas sin terminar, el pedido avanza con las que quedan.
+        const estadoAnteriorPedido = pedido.estado;
+        const estadoDerivado = getAvanceDerivado(estadoAnteriorPedido, detallesDespues);
+        if (estadoDerivado) {
+            await pedido.update({ estado: estadoDerivado }, { transaction: t });
+        }
+
         await t.commit();
-        res.status(200).send({ message: "Pedido actualizado exitosamente." });
+
+        // Se avisa a cocina solo de lo que cambió; cada estación recibe su parte.
+        const io = req.app.get('io');
+        if (io) {
+            const [pedidoCompleto, estacionPorCategoria] = await Promise.all([
+                Pedido.findByPk(id, {
+                    include: [
+                        { model: db.Usuario, attributes: ['nombre'] },
+                        { model: db.Mesa, attributes: ['numero_mesa'] }
+                    ]
+                }),
+                getEstacionPorCategoria()
+            ]);
+            emitPedidoModificado(io, pedidoCompleto.toJSON(), {
+                numero_revision: numeroRevision,
+                usuario_id: req.userId,
+                ...cambiosRevision
+            }, estacionPorCategoria);
+            if (estadoDerivado) {
+                emitCambioEstado(io, pedidoCompleto.toJSON(), estadoAnteriorPedido);
+            }
+            emitAlertasInventario(io, alertasInventario, req.userId);
+        }
+
+        res.status(200).send({
+            message: "Pedido actualizado exitosamente.",
+            estado_pedido: pedido.estado,
+            revision: {
+                revision_id: revision.revision_id,
+                numero_revision: numeroRevision,
+                cambios: cambiosRevision
+            }
+        });
     } catch (error) {
         await t.rollback();
         res.status(500).send({ message: "Error al actualizar el pedido: " + error.message });
@@ -229,7 +770,32 @@ export const updatePedidoItems = async (req, res) => {
 };
 
 /**
- * Elimina un pedido y revierte el estado de la mesa a 'disponible'.
+ * Obtiene el historial de ediciones de un pedido, de la más reciente a la más antigua.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getPedidoRevisiones = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pedido = await Pedido.findByPk(id, { attributes: ['pedido_id'] });
+        if (!pedido) {
+            return res.status(404).send({ message: `Pedido con id=${id} no encontrado.` });
+        }
+
+        const revisiones = await PedidoRevision.findAll({
+            where: { pedido_id: id },
+            include: [{ model: db.Usuario, attributes: ['usuario_id', 'nombre'] }],
+            order: [['numero_revision', 'DESC']]
+        });
+        res.status(200).send(revisiones);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Elimina un pedido, revierte el estado de la mesa a 'disponible' y devuelve
+ * sus ingredientes al inventario.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
@@ -242,8 +808,27 @@ export const deletePedido = async (req, res) => {
             await t.rollback();
             return res.status(404).send({ message: "Pedido no encontrado." });
         }
-        // Se libera la mesa asociada al pedido.
+        // Solo se puede eliminar un pedido que el ciclo de vida permita cancelar.
+        if (!esTransicionValida(pedido.estado, ESTADOS_PEDIDO.CANCELADO, req.userRol)) {
+            await t.rollback();
+            const permitidos = getSiguientesEstados(pedido.estado, req.userRol);
+            return res.status(409).send({
+                message: `No se puede cancelar un pedido en estado '${pedido.estado}'.`,
+                estado_actual: pedido.estado,
+                estado_solicitado: ESTADOS_PEDIDO.CANCELADO,
+                transiciones_permitidas: permitidos
+            });
+        }
+        // Un pedido con facturas no se puede eliminar: incluso las anuladas se conservan como
+        // soporte de su nota crédito, así que el pedido solo puede pasar a 'cancelado'.
+        if (await Factura.count({ where: { pedido_id: id }, transaction: t }) > 0) {
+            await t.rollback();
+            return res.status(409).send({ message: "El pedido tiene facturas generadas y no se puede eliminar. Anule las facturas vigentes y cámbielo a 'cancelado'." });
+        }
+        // Se libera la mesa asociada al pedido y se devuelven sus ingredientes al inventario
+        // (los movimientos se conservan en el libro sin el pedido).
         await Mesa.update({ estado: 'disponible' }, { where: { mesa_id: pedido.mesa_id }, transaction: t });
+        const { alertas: alertasInventario } = await devolverConsumoPedido({ pedidoId: pedido.pedido_id, usuarioId: req.userId }, t);
         // Se elimina el pedido. La opción 'ON DELETE CASCADE' en la BD se encarga de los detalles.
         await Pedido.destroy({ where: { pedido_id: id }, transaction: t });
         
@@ -260,6 +845,7 @@ export const deletePedido = async (req, res) => {
         const io = req.app.get('io');
         if (io) {
             emitPedidoCancelado(io, pedidoParaNotificacion);
+            emitAlertasInventario(io, alertasInventario, req.userId);
         }
         
         res.status(200).send({ message: "Pedido cancelado y eliminado exitosamente." });
@@ -5,8 +5,30 @@
 // =================================================================
 
 import db from '../models/index.js';
+import { validarGrupoModificador } from '../helpers/modificadores.js';
+import { ROLES_DISPONIBILIDAD } from '../helpers/disponibilidad.js';
+import { validarReceta } from '../helpers/inventario.js';
+import { emitDisponibilidadActualizada } from '../socket/events.js';
 const Producto = db.Producto;
 const Categoria = db.Categoria;
+const { GrupoModificador, OpcionModificador, Impuesto, Receta, Ingrediente, sequelize } = db;
+
+/**
+ * Verifica que la tarifa de impuesto indicada exista (null/vacío significa usar la de la categoría).
+ * @param {number|string|null} impuesto_id - ID de la tarifa.
+ * @returns {Promise<boolean>}
+ */
+const existeImpuesto = async (impuesto_id) => {
+    if (impuesto_id === undefined || impuesto_id === null || impuesto_id === '') return true;
+    return Boolean(await Impuesto.findByPk(impuesto_id));
+};
+
+// Orden en que se muestran los grupos de modificadores y sus opciones.
+const ORDEN_MODIFICADORES = [
+    [{ model: GrupoModificador, as: 'grupos_modificadores' }, 'orden', 'ASC'],
+    [{ model: GrupoModificador, as: 'grupos_modificadores' }, 'grupo_id', 'ASC'],
+    [{ model: GrupoModificador, as: 'grupos_modificadores' }, { model: OpcionModificador, as: 'opciones' }, 'opcion_id', 'ASC']
+];
 
 /**
  * Crea un nuevo producto en la base de datos.
@@ -15,7 +37,7 @@ const Categoria = db.Categoria;
  */
 export const createProduct = async (req, res) => {
     try {
-        const { nombre_producto, descripcion_ingredientes, valor_neto, categoria_id } = req.body;
+        const { nombre_producto, descripcion_ingredientes, valor_neto, categoria_id, impuesto_id = null } = req.body;
 
         if (!nombre_producto || !valor_neto || !categoria_id) {
             return res.status(400).json({
@@ -23,6 +45,12 @@ export const createProduct = async (req, res) => {
             });
         }
 
+        if (!(await existeImpuesto(impuesto_id))) {
+            return res.status(400).json({
+                message: `El impuesto con id=${impuesto_id} no existe.`
+            });
+        }
+
         //  Verificar si ya existe producto con mismo nombre y categoría
         const productoExistente = await Producto.findOne({
             where: {
@@ -43,7 +71,8 @@ export const createProduct = async (req, res) => {
             nombre_producto,
             descripcion_ingredientes,
             valor_neto,
-            categoria_id
+            categoria_id,
+            impuesto_id: impuesto_id || null
         });
 
         res.status(201).json({
@@ -61,7 +90,9 @@ export const createProduct = async (req, res) => {
 
 
 /**
- * Obtiene una lista de todos los productos, incluyendo el nombre de su categoría.
+ * Obtiene una lista de todos los productos, incluyendo el nombre de su categoría,
+ * la tarifa de impuesto (propia y de la categoría) y sus grupos de modificadores
+ * con las opciones activas.
  * @param {object} req - El objeto de la petición de Express.
  * @param {object} res - El objeto de la respuesta de Express.
  */
@@ -75,8 +106,19 @@ export const getAllProducts = async (req, res) => {
             include: [{
                 model: Categoria,
                 // 'attributes' limita las columnas que se traen del modelo incluido.
-                attributes: ['nombre'] // Solo se incluye el nombre de la categoría.
-            }]
+                attributes: ['nombre', 'disponible'], // Solo se incluyen el nombre y la disponibilidad de la categoría...
+                include: [{ model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] }] // ...y su tarifa de impuesto.
+            }, {
+                // Tarifa propia del producto (reemplaza la de la categoría).
+                model: Impuesto,
+                attributes: ['impuesto_id', 'nombre', 'porcentaje']
+            }, {
+                // Grupos de modificadores para que el mesero elija opciones al tomar el pedido.
+                model: GrupoModificador,
+                as: 'grupos_modificadores',
+                include: [{ model: OpcionModificador, as: 'opciones', where: { activo: true }, required: false }]
+            }],
+            order: ORDEN_MODIFICADORES
         });
         res.status(200).send(productos);
     } catch (error) {
@@ -123,6 +165,9 @@ export const getProductById = async (req, res) => {
 export const updateProduct = async (req, res) => {
     try {
         const { id } = req.params;
+        if (!(await existeImpuesto(req.body.impuesto_id))) {
+            return res.status(400).send({ message: `El impuesto con id=${req.body.impuesto_id} no existe.` });
+        }
         // 'update' devuelve un array con el número de filas afectadas.
         const [num] = await Producto.update(req.body, { where: { producto_id: id } });
         if (num == 1) {
@@ -135,6 +180,51 @@ export const updateProduct = async (req, res) => {
     }
 };
 
+/**
+ * Agota un producto o lo vuelve a habilitar ({ disponible }). Lo pueden hacer la cocina
+ * y los administradores; el cambio se avisa en tiempo real a los meseros.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateProductAvailability = async (req, res) => {
+    if (!ROLES_DISPONIBILIDAD.includes(req.userRol)) {
+        return res.status(403).send({ message: 'Solo la cocina y los administradores pueden cambiar la disponibilidad.' });
+    }
+    const { disponible } = req.body;
+    if (typeof disponible !== 'boolean') {
+        return res.status(400).send({ message: "El campo 'disponible' debe ser true o false." });
+    }
+
+    try {
+        const { id } = req.params;
+        const producto = await Producto.findOne({ where: { producto_id: id, is_deleted: 0 } });
+        if (!producto) {
+            return res.status(404).send({ message: `No se encontró el producto con id=${id}.` });
+        }
+        // El cambio manual deja el producto en manos de la cocina: ya no se habilita solo al reponer inventario.
+        await producto.update({ disponible, agotado_por_inventario: false });
+
+        const io = req.app.get('io');
+        if (io) {
+            emitDisponibilidadActualizada(io, {
+                tipo: 'producto',
+                id: producto.producto_id,
+                nombre: producto.nombre_producto,
+                disponible,
+                producto_ids: [producto.producto_id],
+                usuario: req.userId
+            });
+        }
+
+        res.status(200).send({
+            message: disponible ? `${producto.nombre_producto} vuelve a estar disponible.` : `${producto.nombre_producto} quedó agotado.`,
+            producto
+        });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
 /**
  * Elimina un producto de la base de datos.
  * @param {object} req - El objeto de la petición de Express.
@@ -247,3 +337,256 @@ export const getDeletedProducts = async (req, res) => {
         res.status(500).json({ message: error.message });
     }
 };
+
+
+/**
+ * Obtiene los grupos de modificadores de un producto con todas sus opciones
+ * (incluidas las inactivas, para su administración).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getProductModifiers = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const producto = await Producto.findOne({
+            where: { producto_id: id, is_deleted: 0 },
+            attributes: ['producto_id', 'nombre_producto'],
+            include: [{
+                model: GrupoModificador,
+                as: 'grupos_modificadores',
+                include: [{ model: OpcionModificador, as: 'opciones' }]
+            }],
+            order: ORDEN_MODIFICADORES
+        });
+
+        if (!producto) {
+            return res.status(404).send({ message: `Producto con id=${id} no encontrado.` });
+        }
+
+        res.status(200).send(producto.grupos_modificadores);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Crea un grupo de modificadores (con sus opciones) para un producto.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createProductModifierGroup = async (req, res) => {
+    const { id } = req.params;
+    const { nombre, tipo = 'extra', min_seleccion = 0, max_seleccion = null, orden = 0, opciones = [] } = req.body;
+
+    const errores = validarGrupoModificador({ nombre, tipo, min_seleccion, max_seleccion, opciones });
+    if (errores.length > 0) {
+        return res.status(400).send({ message: errores[0], errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const producto = await Producto.findOne({ where: { producto_id: id, is_deleted: 0 }, transaction: t });
+        if (!producto) {
+            await t.rollback();
+            return res.status(404).send({ message: `Producto con id=${id} no encontrado.` });
+        }
+
+        const grupo = await GrupoModificador.create({
+            producto_id: id,
+            nombre: String(nombre).trim(),
+            tipo,
+            min_seleccion: Number(min_seleccion),
+            max_seleccion: max_seleccion === '' || max_seleccion == null ? null : Number(max_seleccion),
+            orden: Number(orden) || 0
+        }, { transaction: t });
+
+        await OpcionModificador.bulkCreate(opciones.map((opcion) => ({
+            grupo_id: grupo.grupo_id,
+            nombre: String(opcion.nombre).trim(),
+            precio_delta: Number(opcion.precio_delta) || 0,
+            activo: opcion.activo !== false
+        })), { transaction: t });
+
+        await t.commit();
+
+        const grupoCompleto = await GrupoModificador.findByPk(grupo.grupo_id, {
+            include: [{ model: OpcionModificador, as: 'opciones' }]
+        });
+        res.status(201).send({ message: "Grupo de modificadores creado exitosamente.", data: grupoCompleto });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza un grupo de modificadores. Si se envían 'opciones', se sincronizan:
+ * las que traen 'opcion_id' se actualizan, las nuevas se crean y las que no
+ * aparecen se eliminan. Los pedidos existentes conservan su copia de las opciones.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateProductModifierGroup = async (req, res) => {
+    const { grupoId } = req.params;
+
+    const t = await sequelize.transaction();
+    try {
+        const grupo = await GrupoModificador.findByPk(grupoId, {
+            include: [{ model: OpcionModificador, as: 'opciones' }],
+            transaction: t
+        });
+        if (!grupo) {
+            await t.rollback();
+            return res.status(404).send({ message: `Grupo de modificadores con id=${grupoId} no encontrado.` });
+        }
+
+        // Se valida el grupo resultante (valores actuales más los enviados).
+        const datos = {
+            nombre: req.body.nombre ?? grupo.nombre,
+            tipo: req.body.tipo ?? grupo.tipo,
+            min_seleccion: req.body.min_seleccion ?? grupo.min_seleccion,
+            max_seleccion: req.body.max_seleccion !== undefined ? req.body.max_seleccion : grupo.max_seleccion,
+            orden: req.body.orden ?? grupo.orden,
+            opciones: req.body.opciones ?? grupo.opciones.map((o) => o.toJSON())
+        };
+        const errores = validarGrupoModificador(datos);
+        if (errores.length > 0) {
+            await t.rollback();
+            return res.status(400).send({ message: errores[0], errores });
+        }
+
+        await grupo.update({
+            nombre: String(datos.nombre).trim(),
+            tipo: datos.tipo,
+            min_seleccion: Number(datos.min_seleccion),
+            max_seleccion: datos.max_seleccion === '' || datos.max_seleccion == null ? null : Number(datos.max_seleccion),
+            orden: Number(datos.orden) || 0
+        }, { transaction: t });
+
+        if (Array.isArray(req.body.opciones)) {
+            const actualesPorId = new Map(grupo.opciones.map((o) => [o.opcion_id, o]));
+            const conservadas = new Set();
+
+            for (const opcion of req.body.opciones) {
+                const valores = {
+                    nombre: String(opcion.nombre).trim(),
+                    precio_delta: Number(opcion.precio_delta) || 0,
+                    activo: opcion.activo !== false
+                };
+                const actual = actualesPorId.get(Number(opcion.opcion_id));
+                if (actual) {
+                    conservadas.add(actual.opcion_id);
+                    await actual.update(valores, { transaction: t });
+                } else {
+                    await OpcionModificador.create({ ...valores, grupo_id: grupo.grupo_id }, { transaction: t });
+                }
+            }
+
+            const eliminadas = grupo.opciones.filter((o) => !conservadas.has(o.opcion_id)).map((o) => o.opcion_id);
+            if (eliminadas.length > 0) {
+                await OpcionModificador.destroy({ where: { opcion_id: eliminadas }, transaction: t });
+            }
+        }
+
+        await t.commit();
+        res.send({ message: "Grupo de modificadores actualizado exitosamente." });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Elimina un grupo de modificadores y sus opciones.
+ * Los pedidos existentes conservan su copia de las opciones elegidas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const deleteProductModifierGroup = async (req, res) => {
+    const { grupoId } = req.params;
+    const t = await sequelize.transaction();
+    try {
+        const grupo = await GrupoModificador.findByPk(grupoId, { transaction: t });
+        if (!grupo) {
+            await t.rollback();
+            return res.status(404).send({ message: `Grupo de modificadores con id=${grupoId} no encontrado.` });
+        }
+
+        await OpcionModificador.destroy({ where: { grupo_id: grupoId }, transaction: t });
+        await grupo.destroy({ transaction: t });
+
+        await t.commit();
+        res.send({ message: "Grupo de modificadores eliminado exitosamente." });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Obtiene la receta de un producto: los ingredientes que consume una unidad y sus cantidades.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getProductRecipe = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const producto = await Producto.findOne({ where: { producto_id: id, is_deleted: 0 }, attributes: ['producto_id'] });
+        if (!producto) {
+            return res.status(404).send({ message: `Producto con id=${id} no encontrado.` });
+        }
+        const receta = await Receta.findAll({
+            where: { producto_id: id },
+            include: [{ model: Ingrediente, attributes: ['ingrediente_id', 'nombre', 'unidad', 'activo'] }],
+            order: [[Ingrediente, 'nombre', 'ASC']]
+        });
+        res.status(200).send(receta);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Reemplaza la receta de un producto ('ingredientes': [{ ingrediente_id, cantidad }]).
+ * Una lista vacía deja el producto sin receta (no descuenta inventario).
+ * Los pedidos ya tomados conservan lo que se les descontó hasta que se editen o cancelen.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateProductRecipe = async (req, res) => {
+    const { id } = req.params;
+    const { ingredientes } = req.body;
+
+    const errores = validarReceta(ingredientes);
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'La receta no es válida.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const producto = await Producto.findOne({ where: { producto_id: id, is_deleted: 0 }, transaction: t });
+        if (!producto) {
+            await t.rollback();
+            return res.status(404).send({ message: `Producto con id=${id} no encontrado.` });
+        }
+        const ingredienteIds = ingredientes.map((linea) => Number(linea.ingrediente_id));
+        const existentes = await Ingrediente.count({ where: { ingrediente_id: ingredienteIds }, transaction: t });
+        if (existentes !== ingredienteIds.length) {
+            await t.rollback();
+            return res.status(400).send({ message: 'La receta incluye ingredientes que no existen.' });
+        }
+
+        await Receta.destroy({ where: { producto_id: id }, transaction: t });
+        await Receta.bulkCreate(ingredientes.map((linea) => ({
+            producto_id: producto.producto_id,
+            ingrediente_id: Number(linea.ingrediente_id),
+            cantidad: Number(linea.cantidad)
+        })), { transaction: t });
+
+        await t.commit();
+        res.send({ message: `Receta de ${producto.nombre_producto} actualizada.` });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
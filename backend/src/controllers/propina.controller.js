@@ -0,0 +1,318 @@
+// =================================================================
+// ARCHIVO: src/controllers/propina.controller.js
+// ROL: Controlador del reparto de propinas: configuración de la
+//      regla de reparto, registro de las horas trabajadas de cada
+//      empleado y reporte de la parte de cada uno en un período,
+//      exportable en CSV y PDF. La misma configuración define las
+//      propinas sugeridas y el cargo por servicio al facturar.
+// =================================================================
+
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import { MODOS_REPARTO_PROPINAS, calcularRepartoPropinas, validarCargoServicio, validarConfiguracionPropinas, validarHoras, validarPorcentajesSugeridos } from '../helpers/propinas.js';
+import { esFechaValida, validarPeriodo } from '../helpers/fechas.js';
+import { generarCsv } from '../helpers/csv.js';
+
+const { ConfiguracionPropinas, HorasTrabajadas, Factura, Pedido, Usuario, Rol, Impuesto, sequelize } = db;
+
+// Descripción de cada modo de reparto para los reportes.
+const DESCRIPCION_MODOS = {
+    [MODOS_REPARTO_PROPINAS.POR_MESERO]: 'Por el mesero que tomó el pedido',
+    [MODOS_REPARTO_PROPINAS.POR_HORAS]: 'Fondo común por horas trabajadas',
+    [MODOS_REPARTO_PROPINAS.POR_AREA]: 'Por área (cocina y salón) y horas trabajadas'
+};
+
+// Nombre de cada área en los reportes.
+const NOMBRE_AREAS = { cocina: 'Cocina', salon: 'Salón' };
+
+/**
+ * Obtiene la configuración de propinas, con la tarifa del cargo por servicio. La usa
+ * también la pantalla de facturación (propinas sugeridas y cargo por servicio).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getConfiguracion = async (req, res) => {
+    try {
+        const config = await ConfiguracionPropinas.findByPk(1, {
+            include: [{ model: Impuesto, attributes: ['impuesto_id', 'nombre', 'porcentaje'] }]
+        });
+        if (!config) {
+            return res.status(404).send({ message: 'El reparto de propinas no está configurado.' });
+        }
+        res.status(200).send(config);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza la regla de reparto de propinas, las propinas sugeridas y el cargo por servicio.
+ * El reparto aplica a todos los reportes que se generen después, incluidos los de períodos
+ * anteriores; el cargo por servicio solo a las facturas nuevas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateConfiguracion = async (req, res) => {
+    try {
+        const impuestoId = req.body.cargo_servicio_impuesto_id ? Number(req.body.cargo_servicio_impuesto_id) : null;
+        const datos = {
+            modo: String(req.body.modo ?? '').trim(),
+            porcentaje_cocina: Number(req.body.porcentaje_cocina ?? 0),
+            porcentajes_sugeridos: req.body.porcentajes_sugeridos ?? [],
+            cargo_servicio_activo: Boolean(req.body.cargo_servicio_activo),
+            cargo_servicio_porcentaje: Number(req.body.cargo_servicio_porcentaje ?? 0),
+            cargo_servicio_min_comensales: Number(req.body.cargo_servicio_min_comensales ?? 0),
+            cargo_servicio_impuesto_id: impuestoId
+        };
+        const errores = [...validarConfiguracionPropinas(datos), ...validarCargoServicio(datos)];
+        const errorSugeridos = validarPorcentajesSugeridos(datos.porcentajes_sugeridos);
+        if (errorSugeridos) errores.push(errorSugeridos);
+        if (impuestoId && !(await Impuesto.findByPk(impuestoId))) {
+            errores.push('La tarifa de impuesto del cargo por servicio no existe.');
+        }
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'La configuración del reparto de propinas no es válida.', errores });
+        }
+        const config = await ConfiguracionPropinas.findByPk(1);
+        if (!config) {
+            return res.status(404).send({ message: 'El reparto de propinas no está configurado.' });
+        }
+        await config.update({ ...datos, porcentajes_sugeridos: datos.porcentajes_sugeridos.map(Number).sort((a, b) => a - b) });
+        res.status(200).send({ message: 'Configuración de propinas actualizada.', configuracion: config });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Lista las horas trabajadas registradas en un período (?desde=&hasta=).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getHoras = async (req, res) => {
+    const { desde, hasta } = req.query;
+    const errorPeriodo = validarPeriodo(desde, hasta);
+    if (errorPeriodo) {
+        return res.status(400).send({ message: errorPeriodo });
+    }
+    try {
+        const registros = await HorasTrabajadas.findAll({
+            where: { fecha: { [Op.between]: [desde, hasta] } },
+            include: [{ model: Usuario, attributes: ['usuario_id', 'nombre'], paranoid: false, include: [{ model: Rol, attributes: ['nombre_rol'] }] }],
+            order: [['fecha', 'DESC'], [Usuario, 'nombre', 'ASC']]
+        });
+        res.status(200).send(registros);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Registra las horas que trabajó un empleado en un día. Si ya tenía horas registradas
+ * ese día, se reemplazan.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const saveHoras = async (req, res) => {
+    const { usuario_id, fecha, horas } = req.body;
+    const errores = [];
+    if (!esFechaValida(fecha)) errores.push('La fecha es requerida (YYYY-MM-DD).');
+    const errorHoras = validarHoras(horas);
+    if (errorHoras) errores.push(errorHoras);
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'El registro de horas no es válido.', errores });
+    }
+
+    try {
+        const empleado = await Usuario.findByPk(usuario_id);
+        if (!empleado) {
+            return res.status(404).send({ message: 'Empleado no encontrado.' });
+        }
+        const registro = await sequelize.transaction(async (t) => {
+            const existente = await HorasTrabajadas.findOne({ where: { usuario_id: empleado.usuario_id, fecha }, transaction: t, lock: t.LOCK.UPDATE });
+            if (existente) {
+                return existente.update({ horas: Number(horas), registrado_por: req.userId }, { transaction: t });
+            }
+            return HorasTrabajadas.create({ usuario_id: empleado.usuario_id, fecha, horas: Number(horas), registrado_por: req.userId }, { transaction: t });
+        });
+        res.status(200).send({ message: `Horas de ${empleado.nombre} del ${fecha} registradas.`, registro });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Elimina un registro de horas trabajadas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const deleteHoras = async (req, res) => {
+    try {
+        const eliminados = await HorasTrabajadas.destroy({ where: { registro_id: req.params.id } });
+        if (eliminados === 0) {
+            return res.status(404).send({ message: 'Registro de horas no encontrado.' });
+        }
+        res.status(200).send({ message: 'Registro de horas eliminado.' });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Calcula el reparto de las propinas de un período. Cuentan las facturas vigentes (no
+ * anuladas) con propina; el mesero de cada factura es quien tomó su pedido.
+ * @param {string} desde - Fecha inicial (YYYY-MM-DD).
+ * @param {string} hasta - Fecha final (YYYY-MM-DD), incluida.
+ * @returns {Promise<object>} El reparto con el período y la regla aplicada.
+ */
+const getRepartoData = async (desde, hasta) => {
+    const finPeriodo = new Date(`${hasta}T00:00:00`);
+    finPeriodo.setDate(finPeriodo.getDate() + 1); // Se incluye el día final completo.
+    const [config, facturas, horas, usuarios] = await Promise.all([
+        ConfiguracionPropinas.findByPk(1),
+        Factura.findAll({
+            attributes: ['factura_id', 'propina'],
+            where: {
+                anulada: false,
+                propina: { [Op.gt]: 0 },
+                fecha_factura: { [Op.gte]: new Date(`${desde}T00:00:00`), [Op.lt]: finPeriodo }
+            },
+            include: [{ model: Pedido, attributes: ['usuario_id'] }]
+        }),
+        HorasTrabajadas.findAll({
+            attributes: ['usuario_id', [sequelize.fn('SUM', sequelize.col('horas')), 'horas']],
+            where: { fecha: { [Op.between]: [desde, hasta] } },
+            group: ['usuario_id'],
+            raw: true
+        }),
+        // Se incluyen los empleados eliminados: si trabajaron en el período, conservan su parte.
+        Usuario.findAll({ attributes: ['usuario_id', 'nombre'], include: [{ model: Rol, attributes: ['nombre_rol'] }], paranoid: false })
+    ]);
+
+    const reparto = calcularRepartoPropinas({
+        facturas: facturas.map(factura => ({ propina: factura.propina, usuario_id: factura.Pedido?.usuario_id ?? null })),
+        empleados: usuarios.map(usuario => ({ usuario_id: usuario.usuario_id, nombre: usuario.nombre, rol: usuario.Rol?.nombre_rol ?? null })),
+        horas: new Map(horas.map(registro => [registro.usuario_id, Number(registro.horas)])),
+        config: config ?? { modo: MODOS_REPARTO_PROPINAS.POR_MESERO, porcentaje_cocina: 0 }
+    });
+    return { desde, hasta, facturas: facturas.length, descripcion_modo: DESCRIPCION_MODOS[reparto.modo], ...reparto };
+};
+
+/**
+ * Filas del reparto para exportarlo: una por empleado.
+ * @param {object} reparto
+ * @returns {Array<Array<any>>}
+ */
+const getFilasReparto = (reparto) => reparto.participantes.map(participante => [
+    participante.nombre,
+    participante.rol ?? '-',
+    NOMBRE_AREAS[participante.area] ?? '-',
+    participante.horas.toFixed(2),
+    participante.facturas,
+    participante.monto.toFixed(2)
+]);
+
+// Columnas del reparto en el CSV y el PDF.
+const ENCABEZADOS_REPARTO = ['Empleado', 'Rol', 'Área', 'Horas', 'Facturas con propina', 'Propina asignada'];
+
+/**
+ * Genera el PDF del reparto de propinas.
+ * @param {object} reparto
+ * @returns {Promise<Buffer>}
+ */
+const createRepartoPdfBuffer = (reparto) => new Promise((resolve) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+    if (fs.existsSync('assets/logo.jpg')) {
+        doc.image('assets/logo.jpg', { fit: [60, 60], x: 50, y: 45 });
+    }
+    doc.fontSize(18).font('Helvetica-Bold').text('Reparto de Propinas - Sushi Burrito', { align: 'center' });
+    doc.fontSize(12).font('Helvetica').text(`Período: ${reparto.desde} a ${reparto.hasta}`, { align: 'center' });
+    const detalleArea = reparto.porcentaje_cocina !== null ? ` (cocina ${reparto.porcentaje_cocina}%, salón ${100 - reparto.porcentaje_cocina}%)` : '';
+    doc.fontSize(10).text(`Regla: ${reparto.descripcion_modo}${detalleArea}`, { align: 'center' });
+    doc.moveDown(2);
+
+    doc.fontSize(11).font('Helvetica');
+    doc.text(`Facturas con propina: ${reparto.facturas}`);
+    doc.text(`Total propinas: $${reparto.total_propinas.toFixed(2)}`);
+    doc.text(`Repartido: $${reparto.repartido.toFixed(2)}`);
+    doc.text(`Sin asignar: $${reparto.sin_asignar.toFixed(2)}`);
+    doc.moveDown(1.5);
+
+    // Tabla del reparto por empleado.
+    const columnas = [150, 75, 60, 50, 70, 90];
+    const dibujarFila = (celdas, y) => {
+        let x = 50;
+        celdas.forEach((celda, i) => {
+            doc.text(String(celda), x, y, { width: columnas[i] - 5, align: i >= 3 ? 'right' : 'left' });
+            x += columnas[i];
+        });
+    };
+    let y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9);
+    dibujarFila(ENCABEZADOS_REPARTO, y);
+    y += 25;
+    doc.moveTo(50, y - 5).lineTo(545, y - 5).stroke();
+    doc.font('Helvetica');
+    const filas = getFilasReparto(reparto).map(fila => [...fila.slice(0, 5), `$${fila[5]}`]);
+    if (filas.length === 0) {
+        doc.text('No hay propinas ni horas registradas en este período.', 50, y);
+    }
+    filas.forEach(fila => {
+        if (y > 760) {
+            doc.addPage();
+            y = 50;
+        }
+        dibujarFila(fila, y);
+        y += 18;
+    });
+
+    doc.end();
+});
+
+/**
+ * Reporte del reparto de propinas de un período (?desde=&hasta=). Con '?formato=csv' o
+ * '?formato=pdf' se descarga como archivo; si no, se devuelve en JSON.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getReporte = async (req, res) => {
+    const { desde, hasta, formato = 'json' } = req.query;
+    const errorPeriodo = validarPeriodo(desde, hasta);
+    if (errorPeriodo) {
+        return res.status(400).send({ message: errorPeriodo });
+    }
+    if (!['json', 'csv', 'pdf'].includes(formato)) {
+        return res.status(400).send({ message: "El formato del reporte debe ser 'json', 'csv' o 'pdf'." });
+    }
+
+    try {
+        const reparto = await getRepartoData(desde, hasta);
+        const nombreArchivo = `reparto_propinas_${desde}_${hasta}`;
+        if (formato === 'csv') {
+            const filas = [
+                ...getFilasReparto(reparto),
+                [],
+                ['Total propinas', '', '', '', reparto.facturas, reparto.total_propinas.toFixed(2)],
+                ['Sin asignar', '', '', '', '', reparto.sin_asignar.toFixed(2)]
+            ];
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.csv"`);
+            return res.status(200).send(generarCsv(ENCABEZADOS_REPARTO, filas));
+        }
+        if (formato === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.pdf"`);
+            return res.status(200).send(await createRepartoPdfBuffer(reparto));
+        }
+        res.status(200).send(reparto);
+    } catch (error) {
+        console.error('Error al generar el reparto de propinas:', error.message);
+        res.status(500).send({ message: 'Error al generar el reparto de propinas.' });
+    }
+};
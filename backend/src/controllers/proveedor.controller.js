@@ -0,0 +1,96 @@
+// =================================================================
+// ARCHIVO: src/controllers/proveedor.controller.js
+// ROL: Controlador del directorio de proveedores de ingredientes.
+//      Alta, edición y activación de los proveedores a los que se
+//      hacen las órdenes de compra.
+// =================================================================
+
+import db from '../models/index.js';
+import { validarProveedor } from '../helpers/compras.js';
+
+const { Proveedor } = db;
+
+/**
+ * Arma los campos de un proveedor a partir del cuerpo de la petición.
+ * @param {object} body - Cuerpo de la petición.
+ * @returns {object} Campos listos para guardar.
+ */
+const getDatosProveedor = (body) => ({
+    nombre: String(body.nombre ?? '').trim(),
+    nit: String(body.nit ?? '').replace(/[\s.]/g, '') || null,
+    contacto: String(body.contacto ?? '').trim() || null,
+    email: String(body.email ?? '').trim().toLowerCase() || null,
+    telefono: String(body.telefono ?? '').trim() || null,
+    direccion: String(body.direccion ?? '').trim() || null
+});
+
+/**
+ * Obtiene los proveedores ordenados por nombre. Con '?incluir_inactivos=true' también
+ * se listan los que ya no se usan.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getProveedores = async (req, res) => {
+    try {
+        const proveedores = await Proveedor.findAll({
+            where: req.query.incluir_inactivos === 'true' ? {} : { activo: true },
+            order: [['nombre', 'ASC']]
+        });
+        res.status(200).send(proveedores);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Registra un proveedor.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createProveedor = async (req, res) => {
+    try {
+        const datos = getDatosProveedor(req.body);
+        const errores = validarProveedor(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'Los datos del proveedor no son válidos.', errores });
+        }
+        const proveedor = await Proveedor.create(datos);
+        res.status(201).send({ message: 'Proveedor registrado exitosamente.', proveedor });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un proveedor con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza los datos de un proveedor o lo activa/inactiva. Un proveedor inactivo
+ * conserva sus órdenes, pero no se le pueden hacer órdenes nuevas.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateProveedor = async (req, res) => {
+    const { id } = req.params;
+    try {
+        const datos = getDatosProveedor(req.body);
+        const errores = validarProveedor(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'Los datos del proveedor no son válidos.', errores });
+        }
+        const proveedor = await Proveedor.findByPk(id);
+        if (!proveedor) {
+            return res.status(404).send({ message: `No se encontró el proveedor con id=${id}.` });
+        }
+        await proveedor.update({
+            ...datos,
+            activo: req.body.activo === undefined ? proveedor.activo : Boolean(req.body.activo)
+        });
+        res.status(200).send({ message: 'Proveedor actualizado exitosamente.', proveedor });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: 'Ya existe un proveedor con ese nombre.' });
+        }
+        res.status(500).send({ message: error.message });
+    }
+};
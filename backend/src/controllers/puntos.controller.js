@@ -0,0 +1,57 @@
+// =================================================================
+// ARCHIVO: src/controllers/puntos.controller.js
+// ROL: Controlador de la configuración del programa de puntos:
+//      cuánto hay que facturar para ganar un punto, cuánto descuenta
+//      un punto al canjearlo, el mínimo por canje y la vigencia.
+// =================================================================
+
+import { validarConfiguracionPuntos } from '../helpers/puntos.js';
+import { getConfiguracionPuntos } from '../utils/movimientosPuntos.js';
+
+/**
+ * Obtiene la configuración del programa de puntos (la pantalla de facturación la usa
+ * para calcular el canje antes de enviarlo).
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getConfiguracion = async (req, res) => {
+    try {
+        const config = await getConfiguracionPuntos();
+        if (!config) {
+            return res.status(404).send({ message: 'El programa de puntos no está configurado.' });
+        }
+        res.status(200).send(config);
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza la configuración del programa de puntos. Los cambios aplican a las facturas
+ * siguientes; los puntos ya ganados conservan su fecha de vencimiento.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateConfiguracion = async (req, res) => {
+    try {
+        const datos = {
+            activo: req.body.activo === undefined ? true : Boolean(req.body.activo),
+            pesos_por_punto: Number(req.body.pesos_por_punto),
+            valor_punto: Number(req.body.valor_punto),
+            minimo_canje: Number(req.body.minimo_canje),
+            vigencia_dias: Number(req.body.vigencia_dias)
+        };
+        const errores = validarConfiguracionPuntos(datos);
+        if (errores.length > 0) {
+            return res.status(400).send({ message: 'La configuración del programa de puntos no es válida.', errores });
+        }
+        const config = await getConfiguracionPuntos();
+        if (!config) {
+            return res.status(404).send({ message: 'El programa de puntos no está configurado.' });
+        }
+        await config.update(datos);
+        res.status(200).send({ message: 'Configuración del programa de puntos actualizada.', configuracion: config });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
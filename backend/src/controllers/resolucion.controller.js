@@ -0,0 +1,133 @@
+// =================================================================
+// ARCHIVO: src/controllers/resolucion.controller.js
+// ROL: Controlador que maneja las resoluciones de facturación de la
+//      DIAN: el prefijo, el rango de numeración, la vigencia y la
+//      clave técnica con que se numeran las facturas. Solo una
+//      resolución está activa a la vez.
+// =================================================================
+
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import { getAlertaNumeracion, getNumerosRestantes, validarResolucion } from '../helpers/facturaElectronica.js';
+const { ResolucionFacturacion, sequelize } = db;
+
+/**
+ * Arma los campos de una resolución a partir del cuerpo de la petición.
+ * @param {object} body - Cuerpo de la petición.
+ * @returns {object} Campos listos para guardar.
+ */
+const getDatosResolucion = (body) => ({
+    numero_resolucion: String(body.numero_resolucion ?? '').trim(),
+    prefijo: String(body.prefijo ?? '').trim().toUpperCase(),
+    rango_desde: Number(body.rango_desde),
+    rango_hasta: Number(body.rango_hasta),
+    fecha_desde: body.fecha_desde,
+    fecha_hasta: body.fecha_hasta,
+    clave_tecnica: String(body.clave_tecnica ?? '').trim(),
+    alerta_restantes: body.alerta_restantes === undefined || body.alerta_restantes === '' ? 100 : Number(body.alerta_restantes),
+    activa: body.activa === undefined ? true : Boolean(body.activa)
+});
+
+/**
+ * Desactiva las demás resoluciones cuando una queda activa.
+ * @param {number} resolucionId - Resolución que queda activa.
+ * @param {object} transaction - Transacción de Sequelize.
+ */
+const desactivarOtras = async (resolucionId, transaction) => {
+    await ResolucionFacturacion.update(
+        { activa: false },
+        { where: { resolucion_id: { [Op.ne]: resolucionId }, activa: true }, transaction }
+    );
+};
+
+/**
+ * Obtiene todas las resoluciones de facturación, la activa primero, con los números que
+ * les quedan y el aviso si la numeración está por agotarse o vencerse.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getResoluciones = async (req, res) => {
+    try {
+        const resoluciones = await ResolucionFacturacion.findAll({
+            order: [['activa', 'DESC'], ['fecha_hasta', 'DESC']]
+        });
+        res.status(200).send(resoluciones.map(resolucion => ({
+            ...resolucion.toJSON(),
+            numeros_restantes: getNumerosRestantes(resolucion),
+            alerta: resolucion.activa ? getAlertaNumeracion(resolucion) : null
+        })));
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Registra una resolución de facturación. Si queda activa, desactiva las demás.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createResolucion = async (req, res) => {
+    const datos = getDatosResolucion(req.body);
+    const errores = validarResolucion(datos);
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'Los datos de la resolución no son válidos.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const resolucion = await ResolucionFacturacion.create(datos, { transaction: t });
+        if (resolucion.activa) {
+            await desactivarOtras(resolucion.resolucion_id, t);
+        }
+        await t.commit();
+        res.status(201).send({ message: 'Resolución registrada exitosamente.', resolucion });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Actualiza una resolución de facturación. Una resolución ya usada conserva su
+ * prefijo y el inicio de su rango, y su rango no puede terminar antes del último
+ * número asignado.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const updateResolucion = async (req, res) => {
+    const { id } = req.params;
+    const datos = getDatosResolucion(req.body);
+    const errores = validarResolucion(datos);
+    if (errores.length > 0) {
+        return res.status(400).send({ message: 'Los datos de la resolución no son válidos.', errores });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const resolucion = await ResolucionFacturacion.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!resolucion) {
+            await t.rollback();
+            return res.status(404).send({ message: `No se encontró la resolución con id=${id}.` });
+        }
+        if (resolucion.ultimo_numero !== null) {
+            if (datos.prefijo !== resolucion.prefijo || datos.rango_desde !== resolucion.rango_desde) {
+                await t.rollback();
+                return res.status(409).send({ message: 'La resolución ya numeró facturas: no se puede cambiar su prefijo ni el inicio de su rango.' });
+            }
+            if (datos.rango_hasta < resolucion.ultimo_numero) {
+                await t.rollback();
+                return res.status(409).send({ message: `El rango no puede terminar antes del último número asignado (${resolucion.ultimo_numero}).` });
+            }
+        }
+
+        await resolucion.update(datos, { transaction: t });
+        if (resolucion.activa) {
+            await desactivarOtras(resolucion.resolucion_id, t);
+        }
+        await t.commit();
+        res.status(200).send({ message: 'Resolución actualizada exitosamente.', resolucion });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: error.message });
+    }
+};
@@ -7,29 +7,183 @@
 import db from '../models/index.js';
 import { Op, where } from 'sequelize';
 import PDFDocument from 'pdfkit';
-import nodemailer from 'nodemailer';
 import fs from 'fs';
+import { ESTADOS_SESION_CAJA, describirDiferencia } from '../helpers/caja.js';
+import { ESTADOS_PEDIDO } from '../helpers/pedidoEstados.js';
+import { sendPdfEmail } from '../helpers/email.js';
+import { drawTable, drawTables } from '../helpers/tablasPdf.js';
+import { armarDatosReporteZ, getTablasReporteZ, restarDescuentosAcreditados, restarImpuestosAcreditados, restarPagosAcreditados } from '../helpers/reportesVentas.js';
+import { ACCIONES_CLASE_MENU, CLASES_MENU, ETIQUETAS_CLASE_MENU, agruparVentasPorProducto, analizarIngenieriaMenu, calcularCostoReceta } from '../helpers/ingenieriaMenu.js';
 
-const { Factura, Pedido, DetallePedido, Producto, Usuario, MetodoPago, TransaccionPago, sequelize } = db;
+const { Factura, FacturaImpuesto, FacturaDescuento, NotaCredito, SesionCaja, ReporteZ, Pedido, DetallePedido, Producto, Receta, Ingrediente, Usuario, MetodoPago, TransaccionPago, sequelize } = db;
+
+/**
+ * Calcula el costo teórico, el margen y la clase de ingeniería de menú de los productos
+ * vendidos, a partir de las líneas de los pedidos pagados y las recetas con el costo
+ * promedio actual de sus ingredientes.
+ * Cada unidad se valora al precio base del producto, sin los recargos de sus modificadores,
+ * porque la receta solo tiene el costo del producto base. El precio es el valor neto actual
+ * del producto, no el que tenía al venderse: si el precio cambió en el período, el margen
+ * se calcula con el precio nuevo.
+ * @param {Array<object>} lineas - Líneas de pedido con 'Producto' (nombre y valor neto) incluido.
+ * @param {Array<object>} recetas - Filas de receta con 'Ingrediente' (costo promedio) incluido.
+ * @returns {object} La rentabilidad por producto, lista para la respuesta.
+ */
+const getRentabilidadProductos = (lineas, recetas) => {
+    const ventas = agruparVentasPorProducto(lineas.map(linea => ({
+        producto_id: linea.producto_id,
+        nombre: linea.Producto?.nombre_producto || `Producto #${linea.producto_id}`,
+        cantidad: linea.cantidad,
+        precio_unitario: Number(linea.Producto?.valor_neto || 0)
+    })));
+    const recetasPorProducto = new Map();
+    recetas.forEach(item => {
+        const receta = recetasPorProducto.get(item.producto_id) || [];
+        receta.push({ cantidad: item.cantidad, costo_promedio: item.Ingrediente?.costo_promedio ?? null });
+        recetasPorProducto.set(item.producto_id, receta);
+    });
+    const costos = new Map([...recetasPorProducto].map(([productoId, receta]) => [productoId, calcularCostoReceta(receta)]));
+    const analisis = analizarIngenieriaMenu(ventas, costos);
+
+    return {
+        products: analisis.productos.map(producto => ({
+            id: producto.producto_id,
+            name: producto.nombre,
+            quantity: producto.cantidad,
+            revenue: producto.ingresos,
+            averagePrice: producto.precio_promedio,
+            unitCost: producto.costo_unitario,
+            costComplete: producto.costo_completo,
+            foodCost: producto.costo_total,
+            foodCostPercentage: producto.porcentaje_costo,
+            marginPercentage: producto.porcentaje_margen,
+            contributionMargin: producto.margen_contribucion,
+            totalContributionMargin: producto.margen_contribucion_total,
+            menuMix: producto.participacion,
+            classification: producto.clase,
+            classificationLabel: ETIQUETAS_CLASE_MENU[producto.clase] || null,
+            action: ACCIONES_CLASE_MENU[producto.clase] || null
+        })),
+        averageContributionMargin: analisis.margenContribucionPromedio,
+        popularityThreshold: analisis.umbralPopularidad,
+        totals: {
+            revenue: analisis.totales.ingresos,
+            foodCost: analisis.totales.costo,
+            contributionMargin: analisis.totales.margen_contribucion,
+            foodCostPercentage: analisis.totales.porcentaje_costo,
+            withoutCost: analisis.totales.sin_costo
+        }
+    };
+};
+
+/**
+ * Construye el filtro de fechas de un período, incluyendo el día final completo.
+ * @param {string} startDate - Fecha de inicio (YYYY-MM-DD).
+ * @param {string} endDate - Fecha de fin (YYYY-MM-DD).
+ * @returns {object} Filtro de Sequelize para una columna de fecha.
+ */
+const getFiltroFechas = (startDate, endDate) => {
+    const finalEndDate = new Date(endDate);
+    finalEndDate.setDate(finalEndDate.getDate() + 1); // Se ajusta para incluir el día final completo.
+    return { [Op.gte]: new Date(startDate), [Op.lt]: finalEndDate };
+};
+
+/**
+ * Join con las facturas que cuentan en un período: las emitidas en él o, con
+ * 'anuladas', las anuladas en él (por la fecha de su nota crédito).
+ * @param {object} dateFilter - Filtro de fechas del período.
+ * @param {boolean} [anuladas]
+ * @returns {object} Include de Sequelize.
+ */
+const getIncludeFacturas = (dateFilter, anuladas = false) => (anuladas
+    ? {
+        model: Factura,
+        attributes: [],
+        required: true,
+        include: [{ model: NotaCredito, attributes: [], where: { fecha_nota: dateFilter }, required: true }]
+    }
+    : { model: Factura, attributes: [], where: { fecha_factura: dateFilter }, required: true });
+
+/**
+ * Impuestos agrupados por tarifa de las facturas del período (o de las anuladas en él).
+ * @param {object} dateFilter
+ * @param {boolean} [anuladas]
+ * @returns {Promise<Array<object>>}
+ */
+const getImpuestosPorTarifa = (dateFilter, anuladas = false) => FacturaImpuesto.findAll({
+    attributes: [
+        'nombre',
+        'porcentaje',
+        [sequelize.fn('SUM', sequelize.col('base')), 'base'],
+        [sequelize.fn('SUM', sequelize.col('valor')), 'totalTax']
+    ],
+    include: [getIncludeFacturas(dateFilter, anuladas)],
+    group: ['FacturaImpuesto.nombre', 'FacturaImpuesto.porcentaje'],
+    raw: true
+});
+
+/**
+ * Pagos agrupados por método de las facturas del período (o de las anuladas en él).
+ * Cada pago de una factura dividida cuenta en su propio método, por el monto aplicado
+ * (sin el cambio devuelto).
+ * @param {object} dateFilter
+ * @param {boolean} [anuladas]
+ * @returns {Promise<Array<object>>}
+ */
+const getPagosPorMetodo = (dateFilter, anuladas = false) => TransaccionPago.findAll({
+    attributes: [
+        [sequelize.col('MetodoPago.nombre_metodo'), 'name'],
+        [sequelize.fn('SUM', sequelize.col('monto_pagado')), 'totalAmount'],
+        [sequelize.fn('COUNT', sequelize.col('transaccion_id')), 'payments']
+    ],
+    include: [{ model: MetodoPago, attributes: [] }, getIncludeFacturas(dateFilter, anuladas)],
+    group: ['MetodoPago.nombre_metodo'],
+    raw: true
+});
+
+/**
+ * Descuentos agrupados por regla de las facturas del período (o de las anuladas en él).
+ * @param {object} dateFilter
+ * @param {boolean} [anuladas]
+ * @returns {Promise<Array<object>>}
+ */
+const getDescuentosPorRegla = (dateFilter, anuladas = false) => FacturaDescuento.findAll({
+    attributes: [
+        'nombre',
+        [sequelize.fn('COUNT', sequelize.col('factura_descuento_id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('monto')), 'totalAmount']
+    ],
+    include: [getIncludeFacturas(dateFilter, anuladas)],
+    group: ['FacturaDescuento.nombre'],
+    raw: true
+});
 
 /**
  * Función auxiliar que centraliza las consultas de estadísticas a la base de datos.
+ * Los ingresos, descuentos, impuestos, pagos por método y descuentos por regla son netos
+ * de las notas crédito emitidas en el período: una anulación cuenta en el período de su
+ * nota crédito, aunque la factura sea de un período anterior.
+ * Los cierres de caja son los de las sesiones cerradas en el período, con su cuadre.
+ * La rentabilidad por producto (costo teórico, margen e ingeniería de menú) se calcula
+ * con los pedidos pagados creados en el período.
  * @param {string} startDate - La fecha de inicio del rango.
  * @param {string} endDate - La fecha de fin del rango.
  * @returns {Promise<object>} - Un objeto con los datos de estadísticas agregados.
  */
 const getStatisticsData = async (startDate, endDate) => {
-    const finalEndDate = new Date(endDate);
-    finalEndDate.setDate(finalEndDate.getDate() + 1); // Se ajusta para incluir el día final completo.
-    const dateFilter = { [Op.gte]: new Date(startDate), [Op.lt]: finalEndDate };
+    const dateFilter = getFiltroFechas(startDate, endDate);
 
     // Se ejecutan todas las consultas de agregación en paralelo para mayor eficiencia.
-    const [summary, productsRanking, paymentMethods] = await Promise.all([
-        // 1. Resumen de totales de facturas.
+    const [summary, productsRanking, paymentMethods, taxBreakdown, discountsBreakdown, creditNotes, creditedTaxes, creditedPayments, creditedDiscounts, cashSessions, soldLines, recipes] = await Promise.all([
+        // 1. Resumen de totales de facturas. Los ingresos ya vienen netos de descuentos,
+        //    y el total descontado, los cargos por servicio y las propinas se reportan aparte.
         Factura.findOne({
             attributes: [
                 [sequelize.fn('COUNT', sequelize.col('factura_id')), 'totalOrders'],
-                [sequelize.fn('SUM', sequelize.col('total')), 'totalRevenue']
+                [sequelize.fn('SUM', sequelize.col('total')), 'totalRevenue'],
+                [sequelize.fn('SUM', sequelize.col('descuento_total')), 'totalDiscounts'],
+                [sequelize.fn('SUM', sequelize.col('cargo_servicio')), 'totalServiceCharges'],
+                [sequelize.fn('SUM', sequelize.col('propina')), 'totalTips']
             ],
             where: { fecha_factura: dateFilter },
             raw: true
@@ -50,69 +204,87 @@ const getStatisticsData = async (startDate, endDate) => {
             raw: true
         }),
         // 3. Desglose de ingresos por método de pago.
-        TransaccionPago.findAll({
+        getPagosPorMetodo(dateFilter),
+        // 4. Subtotales de impuestos agrupados por tarifa.
+        getImpuestosPorTarifa(dateFilter),
+        // 5. Descuentos aplicados agrupados por regla.
+        getDescuentosPorRegla(dateFilter),
+        // 6. Notas crédito emitidas en el período (anulaciones), que se restan de los ingresos.
+        NotaCredito.findOne({
             attributes: [
-                [sequelize.col('MetodoPago.nombre_metodo'), 'name'],
-                [sequelize.fn('SUM', sequelize.col('monto_pagado')), 'totalAmount']
-            ],
-            include: [
-                { model: MetodoPago, attributes: [] },
-                { model: Factura, attributes: [], where: { fecha_factura: dateFilter }, required: true }
+                [sequelize.fn('COUNT', sequelize.col('nota_credito_id')), 'count'],
+                [sequelize.fn('SUM', sequelize.col('total')), 'total'],
+                [sequelize.fn('SUM', sequelize.col('descuento_total')), 'discounts'],
+                [sequelize.fn('SUM', sequelize.col('cargo_servicio')), 'serviceCharges'],
+                [sequelize.fn('SUM', sequelize.col('propina')), 'tips']
             ],
-            group: ['MetodoPago.nombre_metodo'],
+            where: { fecha_nota: dateFilter },
             raw: true
+        }),
+        // 7. Impuestos, pagos y descuentos de las facturas anuladas en el período, que se restan.
+        getImpuestosPorTarifa(dateFilter, true),
+        getPagosPorMetodo(dateFilter, true),
+        getDescuentosPorRegla(dateFilter, true),
+        // 8. Sesiones de caja cerradas en el período, con el cuadre guardado al cierre.
+        SesionCaja.findAll({
+            attributes: ['sesion_caja_id', 'fecha_apertura', 'fecha_cierre', 'monto_apertura', 'ventas_efectivo', 'efectivo_esperado', 'efectivo_contado', 'diferencia'],
+            include: [{ model: Usuario, as: 'cajero', attributes: ['nombre'] }],
+            where: { estado: ESTADOS_SESION_CAJA.CERRADA, fecha_cierre: dateFilter },
+            order: [['fecha_cierre', 'ASC']]
+        }),
+        // 9. Líneas de los pedidos pagados del período, con el precio base actual del producto.
+        DetallePedido.findAll({
+            attributes: ['producto_id', 'cantidad'],
+            include: [
+                { model: Producto, attributes: ['nombre_producto', 'valor_neto'] },
+                { model: Pedido, attributes: [], where: { fecha_creacion: dateFilter, estado: ESTADOS_PEDIDO.PAGADO }, required: true }
+            ]
+        }),
+        // 10. Recetas con el costo promedio actual de cada ingrediente.
+        Receta.findAll({
+            attributes: ['producto_id', 'cantidad'],
+            include: [{ model: Ingrediente, attributes: ['costo_promedio'] }]
         })
     ]);
 
+    const grossRevenue = parseFloat(summary.totalRevenue || 0);
+    const creditNotesAmount = parseFloat(creditNotes.total || 0);
+
     return {
-        summary: { totalOrders: summary.totalOrders || 0, totalRevenue: parseFloat(summary.totalRevenue || 0).toFixed(2) },
+        summary: {
+            totalOrders: summary.totalOrders || 0,
+            grossRevenue: grossRevenue.toFixed(2),
+            creditNotesCount: creditNotes.count || 0,
+            creditNotesAmount: creditNotesAmount.toFixed(2),
+            totalRevenue: (grossRevenue - creditNotesAmount).toFixed(2),
+            totalDiscounts: (parseFloat(summary.totalDiscounts || 0) - parseFloat(creditNotes.discounts || 0)).toFixed(2),
+            totalServiceCharges: (parseFloat(summary.totalServiceCharges || 0) - parseFloat(creditNotes.serviceCharges || 0)).toFixed(2),
+            totalTips: (parseFloat(summary.totalTips || 0) - parseFloat(creditNotes.tips || 0)).toFixed(2)
+        },
         productsRanking,
-        paymentMethods
+        paymentMethods: restarPagosAcreditados(paymentMethods, creditedPayments),
+        taxBreakdown: restarImpuestosAcreditados(taxBreakdown, creditedTaxes),
+        discountsBreakdown: restarDescuentosAcreditados(discountsBreakdown, creditedDiscounts),
+        cashSessions: {
+            sessions: cashSessions.map(sesion => ({
+                id: sesion.sesion_caja_id,
+                cashier: sesion.cajero?.nombre || 'Usuario eliminado',
+                openedAt: sesion.fecha_apertura,
+                closedAt: sesion.fecha_cierre,
+                openingFloat: sesion.monto_apertura,
+                cashSales: sesion.ventas_efectivo,
+                expected: sesion.efectivo_esperado,
+                counted: sesion.efectivo_contado,
+                variance: sesion.diferencia
+            })),
+            totalExpected: cashSessions.reduce((acc, sesion) => acc + Number(sesion.efectivo_esperado), 0).toFixed(2),
+            totalCounted: cashSessions.reduce((acc, sesion) => acc + Number(sesion.efectivo_contado), 0).toFixed(2),
+            totalVariance: cashSessions.reduce((acc, sesion) => acc + Number(sesion.diferencia), 0).toFixed(2)
+        },
+        productProfitability: getRentabilidadProductos(soldLines, recipes)
     };
 };
 
-/**
- * Función auxiliar para dibujar una tabla con bordes en un documento PDF.
- * @param {PDFDocument} doc - La instancia del documento PDF de pdfkit.
- * @param {number} startY - La posición Y inicial para dibujar la tabla.
- * @param {string} title - El título de la tabla.
- * @param {Array<string>} headers - Un array con los nombres de las columnas.
- * @param {Array<Array<any>>} data - Un array de arrays con los datos de las filas.
- * @returns {number} - La posición Y final después de dibujar la tabla.
- */
-function drawTable(doc, startY, title, headers, data) {
-    let currentY = startY;
-    const tableTop = startY + 25;
-    const rowHeight = 25;
-    const colWidths = [350, 150];
-    const tableRight = 50 + colWidths[0] + colWidths[1];
-
-    doc.fontSize(14).font('Helvetica-Bold').text(title, 50, currentY);
-    currentY += 35;
-
-    doc.font('Helvetica-Bold');
-    headers.forEach((header, i) => {
-        doc.text(header, 50 + (i * colWidths[i-1] || 0), currentY, { width: colWidths[i], align: 'left' });
-    });
-    doc.moveTo(50, currentY + rowHeight - 5).lineTo(tableRight, currentY + rowHeight - 5).stroke();
-    currentY += rowHeight;
-
-    doc.font('Helvetica');
-    data.forEach(row => {
-        row.forEach((cell, i) => {
-            doc.text(String(cell), 50 + (i * colWidths[i-1] || 0), currentY, { width: colWidths[i], align: 'left' });
-        });
-        doc.moveTo(50, currentY + rowHeight - 5).lineTo(tableRight, currentY + rowHeight - 5).stroke();
-        currentY += rowHeight;
-    });
-
-    doc.moveTo(50, tableTop - 10).lineTo(50, currentY - 5).stroke();
-    doc.moveTo(50 + colWidths[0], tableTop - 10).lineTo(50 + colWidths[0], currentY - 5).stroke();
-    doc.moveTo(tableRight, tableTop - 10).lineTo(tableRight, currentY - 5).stroke();
-
-    return currentY;
-}
-
 /**
  * Función auxiliar para generar un PDF en memoria.
  * @param {object} stats - El objeto de estadísticas.
@@ -139,22 +311,86 @@ async function createPdfBuffer(stats, startDate, endDate) {
 
         const summaryData = [
             ['Total de Pedidos Facturados', stats.summary.totalOrders],
-            ['Ingresos Totales', `$${stats.summary.totalRevenue}`]
+            ['Ingresos Facturados', `$${stats.summary.grossRevenue}`],
+            [`Notas Crédito (${stats.summary.creditNotesCount})`, `-$${stats.summary.creditNotesAmount}`],
+            ['Ingresos Netos', `$${stats.summary.totalRevenue}`],
+            ['Descuentos Otorgados', `$${stats.summary.totalDiscounts}`],
+            ['Cargos por Servicio (antes de impuestos)', `$${stats.summary.totalServiceCharges}`],
+            ['Propinas Voluntarias', `$${stats.summary.totalTips}`]
         ];
         currentY = drawTable(doc, currentY, 'Resumen General', ['Descripción', 'Valor'], summaryData);
         currentY += 20;
 
         const paymentData = stats.paymentMethods.length > 0 
-            ? stats.paymentMethods.map(method => [method.name, `$${parseFloat(method.totalAmount).toFixed(2)}`])
+            ? stats.paymentMethods.map(method => [`${method.name} (${method.payments} pagos)`, `$${parseFloat(method.totalAmount).toFixed(2)}`])
             : [['No hay datos para este período.', '']];
         currentY = drawTable(doc, currentY, 'Desglose por Método de Pago', ['Método', 'Monto Total'], paymentData);
         currentY += 20;
 
+        const taxData = stats.taxBreakdown.length > 0
+            ? stats.taxBreakdown.map(tax => [
+                `${tax.nombre} (${Number(tax.porcentaje)}%) - base $${parseFloat(tax.base).toFixed(2)}`,
+                `$${parseFloat(tax.totalTax).toFixed(2)}`
+            ])
+            : [['No hay impuestos para este período.', '']];
+        currentY = drawTable(doc, currentY, 'Impuestos por Tarifa', ['Tarifa', 'Impuesto'], taxData);
+        currentY += 20;
+
+        const discountData = stats.discountsBreakdown.length > 0
+            ? stats.discountsBreakdown.map(discount => [`${discount.nombre} (${discount.count} aplicados)`, `$${parseFloat(discount.totalAmount).toFixed(2)}`])
+            : [['No hay descuentos para este período.', '']];
+        currentY = drawTable(doc, currentY, 'Descuentos Aplicados', ['Descuento', 'Monto Descontado'], discountData);
+        currentY += 20;
+
+        const cashData = stats.cashSessions.sessions.length > 0
+            ? stats.cashSessions.sessions.map(sesion => [
+                `Caja #${sesion.id} - ${sesion.cashier}: esperado $${parseFloat(sesion.expected).toFixed(2)}, contado $${parseFloat(sesion.counted).toFixed(2)}`,
+                `${describirDiferencia(sesion.variance)} $${parseFloat(sesion.variance).toFixed(2)}`
+            ])
+            : [['No hay cierres de caja para este período.', '']];
+        currentY = drawTable(doc, currentY, 'Cierres de Caja', ['Sesión', 'Diferencia'], cashData);
+        currentY += 20;
+
         const rankingData = stats.productsRanking.length > 0 
             ? stats.productsRanking.map(item => [item.name, item.quantity])
             : [['No hay ranking para este período.', '']];
         currentY = drawTable(doc, currentY, 'Ranking de Productos', ['Producto', 'Cantidad Vendida'], rankingData);
-        
+
+        // La rentabilidad va en una página aparte para que las tablas no se corten.
+        doc.addPage();
+        const { products, totals, averageContributionMargin } = stats.productProfitability;
+        const profitabilityData = products.length > 0
+            ? products.map(product => [
+                product.costComplete
+                    ? `${product.name} (${product.quantity}): costo ${product.foodCostPercentage ?? '-'}%, margen ${product.marginPercentage ?? '-'}%, MC $${product.contributionMargin.toFixed(2)}`
+                    : `${product.name} (${product.quantity}): sin costo de receta`,
+                product.costComplete ? `$${product.totalContributionMargin.toFixed(2)}` : '-'
+            ])
+            : [['No hay pedidos pagados en este período.', '']];
+        if (products.length > 0) {
+            profitabilityData.push([
+                `Total: costo ${totals.foodCostPercentage ?? '-'}% sobre ventas de $${totals.revenue.toFixed(2)}`,
+                `$${totals.contributionMargin.toFixed(2)}`
+            ]);
+        }
+        currentY = drawTable(doc, 50, 'Costo y Margen por Producto', ['Producto', 'Margen de Contribución'], profitabilityData);
+        currentY += 20;
+
+        const menuData = Object.values(CLASES_MENU).map(clase => {
+            const nombres = products.filter(product => product.classification === clase).map(product => product.name);
+            return [`${ETIQUETAS_CLASE_MENU[clase]}: ${nombres.length > 0 ? nombres.join(', ') : 'ninguno'}`, ACCIONES_CLASE_MENU[clase]];
+        });
+        if (averageContributionMargin !== null) {
+            menuData.push([`MC promedio por unidad: $${averageContributionMargin.toFixed(2)}`, '']);
+        }
+        currentY = drawTable(doc, currentY, 'Ingeniería de Menú', ['Clase', 'Acción Sugerida'], menuData);
+
+        doc.fontSize(9).font('Helvetica').text(
+            'Precios base actuales de cada producto, sin los recargos de los modificadores, y costo teórico según la receta ' +
+            'y el costo promedio actual de los ingredientes. Si un precio cambió durante el período, el margen usa el precio nuevo.',
+            50, currentY + 10, { width: 500 }
+        );
+
         doc.end();
     });
 }
@@ -180,7 +416,14 @@ export const sendStatisticsReport = async (req, res) => {
         const [stats, admin] = await Promise.all([ getStatisticsData(startDate, endDate), Usuario.findByPk(req.userId) ]);
         if (!admin) return res.status(404).send({ message: "Usuario administrador no encontrado." });
         const pdfBuffer = await createPdfBuffer(stats, startDate, endDate);
-        await sendEmailWithAttachment(admin.correo, pdfBuffer, startDate, endDate);
+        await sendPdfEmail({
+            to: admin.correo,
+            subject: `Reporte de (${startDate} a ${endDate})`,
+            text: 'Adjunto encontrarás el reporte de estadísticas de ventas generado para el periodo seleccionado.',
+            filename: `reporte_${startDate}_${endDate}.pdf`,
+            pdfBuffer,
+            fromName: 'Reporte ventas y estadísticas Sushi Burrito'
+        });
         res.status(200).send({ message: `Reporte enviado exitosamente a ${admin.correo}` });
     } catch (error) {
         console.error('Error al enviar reporte de estadísticas por correo:', error.message);
@@ -193,25 +436,24 @@ export const sendStatisticsReport = async (req, res) => {
  */
 export const getDashboardSummary = async (req, res) => {
     try {
-        const [pendingOrders, totalUsers, dailySales] = await Promise.all([
+        const today = {
+            [Op.gte]: new Date(new Date().setHours(0, 0, 0, 0)),
+            [Op.lt]: new Date(new Date().setHours(23, 59, 59, 999))
+        };
+        const [pendingOrders, totalUsers, dailySales, dailyCredits] = await Promise.all([
             Pedido.count({ where: { estado: { [Op.in]: ['pendiente', 'en_preparacion'] } } }),
             // Usuario.count(),
             Usuario.count({
                 where: {is_deleted: 0}
             }),
-            Factura.sum('total', {
-                where: {
-                    fecha_factura: {
-                        [Op.gte]: new Date(new Date().setHours(0, 0, 0, 0)),
-                        [Op.lt]: new Date(new Date().setHours(23, 59, 59, 999))
-                    }
-                }
-            })
+            Factura.sum('total', { where: { fecha_factura: today } }),
+            // Las anulaciones del día se restan de las ventas.
+            NotaCredito.sum('total', { where: { fecha_nota: today } })
         ]);
         res.status(200).send({
             pendingOrdersCount: pendingOrders || 0,
             registeredUsersCount: totalUsers || 0,
-            dailySalesAmount: parseFloat(dailySales || 0).toFixed(2)
+            dailySalesAmount: (parseFloat(dailySales || 0) - parseFloat(dailyCredits || 0)).toFixed(2)
         });
     } catch (error) {
         res.status(500).send({ message: "Error al procesar las estadísticas del dashboard." });
@@ -225,9 +467,11 @@ export const getRecentActivity = async (req, res) => {
     try {
         const recentOrders = await Pedido.findAll({ limit: 5, order: [['fecha_creacion', 'DESC']], attributes: ['pedido_id', 'fecha_creacion'] });
         const recentInvoices = await Factura.findAll({ limit: 5, order: [['fecha_factura', 'DESC']], attributes: ['factura_id', 'pedido_id', 'fecha_factura'] });
+        const recentCreditNotes = await NotaCredito.findAll({ limit: 5, order: [['fecha_nota', 'DESC']], attributes: ['nota_credito_id', 'factura_id', 'fecha_nota'] });
         const activities = [
             ...recentOrders.map(order => ({ type: 'pedido', date: order.fecha_creacion, description: `Nuevo pedido #${order.pedido_id} fue creado.` })),
-            ...recentInvoices.map(invoice => ({ type: 'factura', date: invoice.fecha_factura, description: `Se generó la factura #${invoice.factura_id} para el pedido #${invoice.pedido_id}.` }))
+            ...recentInvoices.map(invoice => ({ type: 'factura', date: invoice.fecha_factura, description: `Se generó la factura #${invoice.factura_id} para el pedido #${invoice.pedido_id}.` })),
+            ...recentCreditNotes.map(note => ({ type: 'nota_credito', date: note.fecha_nota, description: `Se emitió la nota crédito #${note.nota_credito_id} que anula la factura #${note.factura_id}.` }))
         ];
         const sortedActivities = activities.sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5);
         res.status(200).send(sortedActivities);
@@ -236,91 +480,232 @@ export const getRecentActivity = async (req, res) => {
     }
 };
 
+// --- Reporte Z (cierre diario) ---
+
 /**
- * Función auxiliar para enviar un correo con un archivo adjunto.
+ * Reúne las cifras del reporte Z de un día: ventas de las facturas emitidas ese día
+ * (brutas, descuentos, cargos por servicio, impuestos por tarifa y propinas), totales por método de pago,
+ * anulaciones (notas crédito del día), pedidos cancelados y el rango de facturas.
+ * El total neto, los impuestos por tarifa y los pagos por método descuentan lo anulado en el día.
+ * @param {string} fecha - Día del reporte (YYYY-MM-DD).
+ * @returns {Promise<object>} Las cifras que se guardan con el reporte.
  */
-async function sendEmailWithAttachment(recipientEmail, pdfBuffer, startDate, endDate) {
-    const mailProvider = String(process.env.MAIL_PROVIDER || 'smtp').toLowerCase();
-    const emailService = process.env.EMAIL_SERVICE || 'gmail';
-    const emailUser = process.env.EMAIL_USER;
-    const emailPassword = process.env.EMAIL_PASSWORD || process.env.EMAIL_PASS;
-    const emailHost = process.env.EMAIL_HOST || 'smtp.gmail.com';
-    const emailPort = Number(process.env.EMAIL_PORT || 465);
-    const emailSecure = String(process.env.EMAIL_SECURE || 'true').toLowerCase() === 'true';
-    const resendApiKey = process.env.RESEND_API_KEY;
-    const emailFrom = process.env.EMAIL_FROM || emailUser;
-
-    const subject = `Reporte de (${startDate} a ${endDate})`;
-    const text = 'Adjunto encontrarás el reporte de estadísticas de ventas generado para el periodo seleccionado.';
-    const filename = `reporte_${startDate}_${endDate}.pdf`;
-
-    if (mailProvider === 'resend') {
-        if (!resendApiKey || !emailFrom) {
-            throw new Error('Configuración Resend incompleta: define RESEND_API_KEY y EMAIL_FROM en backend/.env');
+const getReporteZData = async (fecha) => {
+    const dateFilter = getFiltroFechas(fecha, fecha);
+
+    const [invoices, invoiceNumbers, taxBreakdown, creditedTaxes, paymentMethods, creditedPayments, creditNotes, cancelledOrders] = await Promise.all([
+        // 1. Totales de las facturas del día.
+        Factura.findOne({
+            attributes: [
+                [sequelize.fn('COUNT', sequelize.col('factura_id')), 'count'],
+                [sequelize.fn('SUM', sequelize.col('subtotal')), 'gross'],
+                [sequelize.fn('SUM', sequelize.col('descuento_total')), 'discounts'],
+                [sequelize.fn('SUM', sequelize.col('cargo_servicio')), 'serviceCharges'],
+                [sequelize.fn('SUM', sequelize.col('impuesto_total')), 'taxes'],
+                [sequelize.fn('SUM', sequelize.col('propina')), 'tips'],
+                [sequelize.fn('SUM', sequelize.col('total')), 'total']
+            ],
+            where: { fecha_factura: dateFilter },
+            raw: true
+        }),
+        // 1b. Numeración de las facturas del día, para la primera y la última.
+        Factura.findAll({
+            attributes: ['factura_id', 'numero', 'consecutivo'],
+            where: { fecha_factura: dateFilter },
+            raw: true
+        }),
+        // 2. Impuestos de las facturas del día por tarifa.
+        getImpuestosPorTarifa(dateFilter),
+        // 3. Impuestos de las facturas anuladas en el día, que se restan de los del día.
+        getImpuestosPorTarifa(dateFilter, true),
+        // 4. Pagos recibidos por método (sin el cambio devuelto), y los de las facturas anuladas en el día, que se restan.
+        getPagosPorMetodo(dateFilter),
+        getPagosPorMetodo(dateFilter, true),
+        // 5. Facturas anuladas en el día (una nota crédito por anulación).
+        NotaCredito.findAll({
+            attributes: ['nota_credito_id', 'factura_id', 'motivo', 'total'],
+            include: [{ model: Factura, attributes: ['numero'] }],
+            where: { fecha_nota: dateFilter },
+            order: [['nota_credito_id', 'ASC']],
+            raw: true,
+            nest: true
+        }),
+        // 6. Pedidos cancelados en el día.
+        Pedido.findAll({
+            attributes: ['pedido_id'],
+            where: { estado: ESTADOS_PEDIDO.CANCELADO, fecha_modificacion: dateFilter },
+            order: [['pedido_id', 'ASC']],
+            raw: true
+        })
+    ]);
+
+    return armarDatosReporteZ(fecha, {
+        facturas: invoices,
+        numeracion: invoiceNumbers,
+        impuestos: taxBreakdown,
+        impuestosAcreditados: creditedTaxes,
+        pagos: paymentMethods,
+        pagosAcreditados: creditedPayments,
+        notasCredito: creditNotes,
+        pedidosCancelados: cancelledOrders.map(pedido => pedido.pedido_id)
+    });
+};
+
+/**
+ * Función auxiliar para generar el PDF del reporte Z en memoria.
+ * @param {object} datos - Las cifras del reporte (ver 'armarDatosReporteZ').
+ * @param {object} reporte - Número, fecha de generación y nombre de quien lo generó.
+ * @returns {Promise<Buffer>} - Una promesa que se resuelve con el buffer del PDF.
+ */
+async function createReporteZPdfBuffer(datos, { numero, generadoEn, generadoPor }) {
+    return new Promise((resolve) => {
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+        if (fs.existsSync('assets/logo.jpg')) {
+            doc.image('assets/logo.jpg', { fit: [60, 60], x: 50, y: 45 });
         }
 
-        const resendResponse = await fetch('https://api.resend.com/emails', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${resendApiKey}`
-            },
-            body: JSON.stringify({
-                from: emailFrom,
-                to: [recipientEmail],
-                subject,
-                text,
-                attachments: [{
-                    filename,
-                    content: pdfBuffer.toString('base64'),
-                    content_type: 'application/pdf'
-                }]
-            })
+        doc.fontSize(18).font('Helvetica-Bold').text(`Reporte Z #${numero} - Sushi Burrito`, { align: 'center' });
+        doc.fontSize(12).font('Helvetica').text(`Cierre del día ${datos.date}`, { align: 'center' });
+        doc.fontSize(10).text(`Generado el ${new Date(generadoEn).toLocaleString()} por ${generadoPor}`, { align: 'center' });
+        doc.moveDown(3);
+
+        drawTables(doc, doc.y, getTablasReporteZ(datos));
+
+        doc.end();
+    });
+}
+
+/**
+ * Devuelve la fecha de hoy (YYYY-MM-DD) en la hora local del servidor.
+ * @returns {string}
+ */
+const getFechaHoy = () => {
+    const hoy = new Date();
+    return `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, '0')}-${String(hoy.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Endpoint para generar el reporte Z de un día. El reporte se genera una sola vez:
+ * se guardan sus cifras y su PDF, que se envía al correo del administrador.
+ * Si el correo falla, el reporte queda guardado y puede reenviarse.
+ */
+export const generateZReport = async (req, res) => {
+    const { fecha } = req.body;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(fecha || '')) || Number.isNaN(new Date(fecha).getTime())) {
+        return res.status(400).send({ message: "La fecha del reporte Z es requerida (YYYY-MM-DD)." });
+    }
+    if (fecha > getFechaHoy()) {
+        return res.status(400).send({ message: "No se puede generar el reporte Z de un día futuro." });
+    }
+
+    try {
+        const [existente, admin] = await Promise.all([
+            ReporteZ.findOne({ where: { fecha }, attributes: ['reporte_z_id'] }),
+            Usuario.findByPk(req.userId)
+        ]);
+        if (existente) {
+            return res.status(409).send({ message: `El día ${fecha} ya tiene el reporte Z #${existente.reporte_z_id} y no se puede volver a generar.` });
+        }
+        if (!admin) return res.status(404).send({ message: "Usuario administrador no encontrado." });
+
+        // El número del reporte se conoce al crearlo; el PDF se guarda en la misma transacción.
+        const datos = await getReporteZData(fecha);
+        const { reporte, pdfBuffer } = await sequelize.transaction(async (t) => {
+            const nuevo = await ReporteZ.create({ fecha, generado_por: admin.usuario_id, datos, pdf: Buffer.alloc(0) }, { transaction: t });
+            const pdf = await createReporteZPdfBuffer(datos, { numero: nuevo.reporte_z_id, generadoEn: nuevo.fecha_generacion, generadoPor: admin.nombre });
+            await nuevo.update({ pdf }, { transaction: t });
+            return { reporte: nuevo, pdfBuffer: pdf };
         });
 
-        const resendBody = await resendResponse.json().catch(() => ({}));
-        if (!resendResponse.ok) {
-            throw new Error(`Resend ${resendResponse.status}: ${resendBody.message || resendBody.error || 'No fue posible enviar el reporte.'}`);
+        try {
+            await sendReporteZEmail(admin.correo, reporte, pdfBuffer);
+            await reporte.update({ enviado_a: admin.correo });
+        } catch (error) {
+            console.error('Error al enviar el reporte Z por correo:', error.message);
+            return res.status(201).send({
+                message: `Reporte Z #${reporte.reporte_z_id} del ${fecha} generado, pero no se pudo enviar a ${admin.correo}. Puede reenviarlo más tarde.`,
+                reporte: { reporte_z_id: reporte.reporte_z_id, fecha, datos }
+            });
         }
 
-        return;
+        res.status(201).send({
+            message: `Reporte Z #${reporte.reporte_z_id} del ${fecha} generado y enviado a ${admin.correo}.`,
+            reporte: { reporte_z_id: reporte.reporte_z_id, fecha, datos }
+        });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ message: `El día ${fecha} ya tiene un reporte Z y no se puede volver a generar.` });
+        }
+        console.error('Error al generar el reporte Z:', error.message);
+        res.status(500).send({ message: "Error al generar el reporte Z." });
     }
+};
 
-    if (!emailUser || !emailPassword) {
-        throw new Error('Configuración SMTP incompleta: define EMAIL_USER y EMAIL_PASSWORD en backend/.env');
+/**
+ * Endpoint para listar los reportes Z generados, los más recientes primero (sin el PDF).
+ */
+export const getZReports = async (req, res) => {
+    try {
+        const reportes = await ReporteZ.findAll({
+            attributes: ['reporte_z_id', 'fecha', 'fecha_generacion', 'enviado_a', 'datos'],
+            include: [{ model: Usuario, attributes: ['nombre'] }],
+            order: [['fecha', 'DESC']]
+        });
+        res.status(200).send(reportes);
+    } catch (error) {
+        res.status(500).send({ message: "Error al obtener los reportes Z." });
     }
+};
 
-    const baseTransport = {
-        auth: { user: emailUser, pass: emailPassword },
-        connectionTimeout: 10000,
-        greetingTimeout: 10000,
-        socketTimeout: 15000
-    };
+/**
+ * Endpoint para descargar el PDF guardado de un reporte Z.
+ */
+export const downloadZReportPdf = async (req, res) => {
+    try {
+        const reporte = await ReporteZ.findByPk(req.params.id, { attributes: ['reporte_z_id', 'fecha', 'pdf'] });
+        if (!reporte) return res.status(404).send({ message: "Reporte Z no encontrado." });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="reporte_z_${reporte.fecha}.pdf"`);
+        res.status(200).send(reporte.pdf);
+    } catch (error) {
+        res.status(500).send({ message: "Error al descargar el reporte Z." });
+    }
+};
 
-    const transporter = nodemailer.createTransport(
-        process.env.EMAIL_HOST || process.env.EMAIL_PORT || process.env.EMAIL_SECURE
-            ? {
-                ...baseTransport,
-                host: emailHost,
-                port: emailPort,
-                secure: emailSecure
-            }
-            : {
-                ...baseTransport,
-                service: emailService
-            }
-    );
-
-    await transporter.sendMail({
-        from: `"Reporte ventas y estadísticas Sushi Burrito" <${emailFrom}>`,
+/**
+ * Endpoint para reenviar el PDF guardado de un reporte Z al correo del administrador.
+ */
+export const resendZReport = async (req, res) => {
+    try {
+        const [reporte, admin] = await Promise.all([ReporteZ.findByPk(req.params.id), Usuario.findByPk(req.userId)]);
+        if (!reporte) return res.status(404).send({ message: "Reporte Z no encontrado." });
+        if (!admin) return res.status(404).send({ message: "Usuario administrador no encontrado." });
+        await sendReporteZEmail(admin.correo, reporte, reporte.pdf);
+        await reporte.update({ enviado_a: admin.correo });
+        res.status(200).send({ message: `Reporte Z #${reporte.reporte_z_id} enviado exitosamente a ${admin.correo}` });
+    } catch (error) {
+        console.error('Error al reenviar el reporte Z por correo:', error.message);
+        res.status(500).send({ message: "Error al enviar el reporte Z." });
+    }
+};
+
+/**
+ * Función auxiliar para enviar el PDF de un reporte Z por correo.
+ * @param {string} recipientEmail - El correo del destinatario.
+ * @param {object} reporte - El reporte Z (número y fecha).
+ * @param {Buffer} pdfBuffer - El PDF del reporte.
+ */
+async function sendReporteZEmail(recipientEmail, reporte, pdfBuffer) {
+    await sendPdfEmail({
         to: recipientEmail,
-        subject,
-        text,
-        attachments: [{
-            filename,
-            content: pdfBuffer,
-            contentType: 'application/pdf'
-        }]
+        subject: `Reporte Z #${reporte.reporte_z_id} - Cierre del ${reporte.fecha}`,
+        text: `Adjunto encontrarás el reporte Z con el cierre de ventas del día ${reporte.fecha}.`,
+        filename: `reporte_z_${reporte.fecha}.pdf`,
+        pdfBuffer,
+        fromName: 'Reporte ventas y estadísticas Sushi Burrito'
     });
 }
-
@@ -0,0 +1,164 @@
+// =================================================================
+// ARCHIVO: src/controllers/tarjeta_regalo.controller.js
+// ROL: Controlador de las tarjetas de regalo: venta de tarjetas con
+//      código único, consulta de saldo por código y reporte del
+//      saldo pendiente por redimir (pasivo) para administradores.
+//      La redención ocurre al facturar (ver 'factura.controller.js').
+// =================================================================
+
+import db from '../models/index.js';
+import { esEfectivo, esTarjetaRegalo } from '../helpers/pagos.js';
+import { ESTADOS_SESION_CAJA } from '../helpers/caja.js';
+import {
+    TIPOS_MOVIMIENTO_TARJETA,
+    formatearCodigoTarjeta,
+    generarCodigoTarjeta,
+    normalizarCodigoTarjeta,
+    resumirPasivo,
+    validarMontoTarjeta
+} from '../helpers/tarjetasRegalo.js';
+
+const { TarjetaRegalo, MovimientoTarjetaRegalo, MetodoPago, Cliente, SesionCaja, Usuario, sequelize } = db;
+
+// Intentos para generar un código que no esté en uso antes de desistir.
+const INTENTOS_CODIGO = 5;
+
+// Datos de la tarjeta que acompañan la consulta de saldo y el reporte.
+const INCLUDE_TARJETA = [
+    { model: Cliente, attributes: ['cliente_id', 'nombre'] },
+    { model: MetodoPago, attributes: ['metodo_pago_id', 'nombre_metodo'] },
+    { model: Usuario, as: 'vendedor', attributes: ['usuario_id', 'nombre'] }
+];
+
+/**
+ * Genera un código que no esté en uso. La restricción UNIQUE de la tabla garantiza la
+ * unicidad; la consulta previa solo evita fallar por una colisión improbable.
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<string|null>} El código, o null si no se encontró uno libre.
+ */
+const generarCodigoLibre = async (transaction) => {
+    for (let intento = 0; intento < INTENTOS_CODIGO; intento++) {
+        const codigo = generarCodigoTarjeta();
+        const existente = await TarjetaRegalo.findOne({ where: { codigo }, attributes: ['tarjeta_id'], transaction });
+        if (!existente) return codigo;
+    }
+    return null;
+};
+
+/**
+ * Vende una tarjeta de regalo por el monto indicado. El pago se recibe con 'metodo_pago_id'
+ * (no puede ser otra tarjeta de regalo); si es en efectivo, entra a la sesión de caja abierta
+ * de quien vende. Opcionalmente se asocia al cliente que la compra.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const createTarjeta = async (req, res) => {
+    const { monto, metodo_pago_id, cliente_id } = req.body;
+    const errorMonto = validarMontoTarjeta(monto);
+    if (errorMonto) {
+        return res.status(400).send({ message: errorMonto });
+    }
+
+    const t = await sequelize.transaction();
+    try {
+        const metodo = await MetodoPago.findByPk(metodo_pago_id, { transaction: t });
+        if (!metodo) {
+            await t.rollback();
+            return res.status(400).send({ message: "El método de pago indicado no existe." });
+        }
+        if (esTarjetaRegalo(metodo)) {
+            await t.rollback();
+            return res.status(400).send({ message: "Una tarjeta de regalo no se puede pagar con otra tarjeta de regalo." });
+        }
+        const cliente = cliente_id ? await Cliente.findByPk(cliente_id, { transaction: t }) : null;
+        if (cliente_id && !cliente) {
+            await t.rollback();
+            return res.status(400).send({ message: "El cliente indicado no existe." });
+        }
+        // El efectivo de la venta entra a la sesión de caja abierta de quien vende.
+        const sesionCaja = esEfectivo(metodo)
+            ? await SesionCaja.findOne({ where: { usuario_id: req.userId, estado: ESTADOS_SESION_CAJA.ABIERTA }, transaction: t, lock: t.LOCK.UPDATE })
+            : null;
+        if (esEfectivo(metodo) && !sesionCaja) {
+            await t.rollback();
+            return res.status(400).send({ message: "Debe abrir una sesión de caja para recibir pagos en efectivo." });
+        }
+
+        const codigo = await generarCodigoLibre(t);
+        if (!codigo) {
+            await t.rollback();
+            return res.status(500).send({ message: "No se pudo generar un código único para la tarjeta. Intente de nuevo." });
+        }
+        const valor = Number(monto);
+        const tarjeta = await TarjetaRegalo.create({
+            codigo,
+            monto_inicial: valor,
+            saldo: valor,
+            cliente_id: cliente?.cliente_id ?? null,
+            metodo_pago_id: metodo.metodo_pago_id,
+            sesion_caja_id: sesionCaja?.sesion_caja_id ?? null,
+            vendida_por: req.userId
+        }, { transaction: t });
+        await MovimientoTarjetaRegalo.create({
+            tarjeta_id: tarjeta.tarjeta_id,
+            tipo: TIPOS_MOVIMIENTO_TARJETA.VENTA,
+            monto: valor,
+            saldo_resultante: valor,
+            usuario_id: req.userId
+        }, { transaction: t });
+
+        await t.commit();
+        res.status(201).send({
+            message: `Tarjeta de regalo ${formatearCodigoTarjeta(codigo)} vendida por $${valor.toFixed(2)}.`,
+            tarjeta: { ...tarjeta.toJSON(), codigo_formateado: formatearCodigoTarjeta(codigo) }
+        });
+    } catch (error) {
+        await t.rollback();
+        res.status(500).send({ message: "Error al vender la tarjeta de regalo: " + error.message });
+    }
+};
+
+/**
+ * Consulta el saldo de una tarjeta de regalo por su código (con o sin guiones) y sus movimientos.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getTarjetaByCodigo = async (req, res) => {
+    try {
+        const codigo = normalizarCodigoTarjeta(req.params.codigo);
+        const tarjeta = codigo ? await TarjetaRegalo.findOne({
+            where: { codigo },
+            include: [...INCLUDE_TARJETA, { model: MovimientoTarjetaRegalo }],
+            order: [[MovimientoTarjetaRegalo, 'fecha', 'DESC']]
+        }) : null;
+        if (!tarjeta) {
+            return res.status(404).send({ message: `La tarjeta de regalo ${formatearCodigoTarjeta(codigo)} no existe.` });
+        }
+        res.status(200).send({ ...tarjeta.toJSON(), codigo_formateado: formatearCodigoTarjeta(tarjeta.codigo) });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
+
+/**
+ * Reporte del pasivo por tarjetas de regalo: lo vendido, lo redimido y el saldo pendiente,
+ * con el detalle de las tarjetas que aún tienen saldo.
+ * @param {object} req - El objeto de la petición de Express.
+ * @param {object} res - El objeto de la respuesta de Express.
+ */
+export const getReportePasivo = async (req, res) => {
+    try {
+        const tarjetas = await TarjetaRegalo.findAll({
+            include: INCLUDE_TARJETA,
+            order: [['fecha_venta', 'ASC']]
+        });
+        res.status(200).send({
+            resumen: resumirPasivo(tarjetas),
+            tarjetas: tarjetas
+                .filter(tarjeta => Number(tarjeta.saldo) > 0)
+                .map(tarjeta => ({ ...tarjeta.toJSON(), codigo_formateado: formatearCodigoTarjeta(tarjeta.codigo) }))
+        });
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
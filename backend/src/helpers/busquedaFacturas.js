@@ -0,0 +1,142 @@
+// =================================================================
+// ARCHIVO: src/helpers/busquedaFacturas.js
+// ROL: Valida y normaliza los filtros, el orden y la paginación con
+//      que se consulta el listado de facturas. Lo usa el controlador
+//      de facturas para armar la consulta y la exportación a CSV.
+// =================================================================
+
+import { esFechaValida } from './fechas.js';
+
+/**
+ * Campos por los que se puede ordenar el listado y la columna de cada uno.
+ * El número sigue el orden de emisión, así que se ordena por el ID.
+ */
+export const ORDENES_FACTURAS = Object.freeze({
+    fecha: 'fecha_factura',
+    total: 'total',
+    numero: 'factura_id'
+});
+
+export const POR_PAGINA_DEFECTO = 20;
+export const POR_PAGINA_MAXIMO = 100;
+
+/**
+ * Indica si un valor viene vacío en la consulta.
+ * @param {any} valor
+ * @returns {boolean}
+ */
+const estaVacio = (valor) => valor === undefined || valor === null || String(valor).trim() === '';
+
+/**
+ * Convierte un filtro opcional en un ID (entero positivo).
+ * @param {any} valor
+ * @returns {number|null|undefined} El ID, null si viene vacío o undefined si no es válido.
+ */
+const leerId = (valor) => {
+    if (estaVacio(valor)) return null;
+    const id = Number(valor);
+    return Number.isInteger(id) && id > 0 ? id : undefined;
+};
+
+/**
+ * Convierte un filtro opcional en un monto (número mayor o igual a 0).
+ * @param {any} valor
+ * @returns {number|null|undefined} El monto, null si viene vacío o undefined si no es válido.
+ */
+const leerMonto = (valor) => {
+    if (estaVacio(valor)) return null;
+    const monto = Number(valor);
+    return Number.isFinite(monto) && monto >= 0 ? monto : undefined;
+};
+
+/**
+ * Valida los filtros del listado de facturas recibidos en la consulta.
+ * Todos son opcionales: sin filtros se listan todas las facturas, las más recientes primero.
+ * @param {object} query - Parámetros de la consulta (desde, hasta, mesero_id, mesa_id,
+ *   metodo_pago_id, monto_min, monto_max, anulada, numero, orden, direccion, pagina, por_pagina).
+ * @returns {{errores: Array<string>, filtros: object}} Los mensajes de error y los filtros normalizados.
+ */
+export const validarFiltrosFacturas = (query = {}) => {
+    const errores = [];
+    const desde = estaVacio(query.desde) ? null : String(query.desde);
+    const hasta = estaVacio(query.hasta) ? null : String(query.hasta);
+    if ((desde && !esFechaValida(desde)) || (hasta && !esFechaValida(hasta))) {
+        errores.push('Las fechas del filtro deben tener el formato YYYY-MM-DD.');
+    } else if (desde && hasta && desde > hasta) {
+        errores.push('La fecha inicial no puede ser posterior a la fecha final.');
+    }
+
+    const ids = {
+        mesero_id: leerId(query.mesero_id),
+        mesa_id: leerId(query.mesa_id),
+        metodo_pago_id: leerId(query.metodo_pago_id)
+    };
+    if (Object.values(ids).includes(undefined)) {
+        errores.push('El mesero, la mesa y el método de pago deben indicarse con su ID.');
+    }
+
+    const monto_min = leerMonto(query.monto_min);
+    const monto_max = leerMonto(query.monto_max);
+    if (monto_min === undefined || monto_max === undefined) {
+        errores.push('Los montos del filtro deben ser números mayores o iguales a 0.');
+    } else if (monto_min !== null && monto_max !== null && monto_min > monto_max) {
+        errores.push('El monto mínimo no puede ser mayor al monto máximo.');
+    }
+
+    let anulada = null;
+    if (!estaVacio(query.anulada)) {
+        if (!['true', 'false'].includes(String(query.anulada))) {
+            errores.push("El filtro de anulación debe ser 'true' o 'false'.");
+        }
+        anulada = String(query.anulada) === 'true';
+    }
+
+    const orden = estaVacio(query.orden) ? 'fecha' : String(query.orden);
+    if (!ORDENES_FACTURAS[orden]) {
+        errores.push(`El orden debe ser uno de: ${Object.keys(ORDENES_FACTURAS).join(', ')}.`);
+    }
+    const direccion = estaVacio(query.direccion) ? 'desc' : String(query.direccion).toLowerCase();
+    if (!['asc', 'desc'].includes(direccion)) {
+        errores.push("La dirección del orden debe ser 'asc' o 'desc'.");
+    }
+
+    const pagina = estaVacio(query.pagina) ? 1 : Number(query.pagina);
+    const por_pagina = estaVacio(query.por_pagina) ? POR_PAGINA_DEFECTO : Number(query.por_pagina);
+    if (!Number.isInteger(pagina) || pagina < 1) {
+        errores.push('La página debe ser un entero mayor o igual a 1.');
+    }
+    if (!Number.isInteger(por_pagina) || por_pagina < 1 || por_pagina > POR_PAGINA_MAXIMO) {
+        errores.push(`Las facturas por página deben ser un entero entre 1 y ${POR_PAGINA_MAXIMO}.`);
+    }
+
+    return {
+        errores,
+        filtros: {
+            desde,
+            hasta,
+            ...ids,
+            monto_min,
+            monto_max,
+            anulada,
+            numero: String(query.numero ?? '').replace(/[^a-z0-9]/gi, '').toUpperCase() || null, // Se busca por coincidencia parcial
+            orden,
+            direccion,
+            pagina,
+            por_pagina
+        }
+    };
+};
+
+/**
+ * Resume la paginación de un listado.
+ * @param {number} total - Facturas que cumplen los filtros.
+ * @param {number} pagina - Página pedida.
+ * @param {number} porPagina - Facturas por página.
+ * @returns {{total: number, pagina: number, por_pagina: number, total_paginas: number}}
+ */
+export const getPaginacion = (total, pagina, porPagina) => ({
+    total,
+    pagina,
+    por_pagina: porPagina,
+    total_paginas: Math.max(1, Math.ceil(total / porPagina))
+});
@@ -0,0 +1,59 @@
+// =================================================================
+// ARCHIVO: src/helpers/caja.js
+// ROL: Reglas de las sesiones de caja. Valida los montos de apertura
+//      y de cierre y calcula el cuadre: efectivo esperado (base más
+//      ventas en efectivo) contra efectivo contado. Lo usan los
+//      controladores de caja, facturas y estadísticas.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+
+/**
+ * Estados de una sesión de caja.
+ */
+export const ESTADOS_SESION_CAJA = Object.freeze({
+    ABIERTA: 'abierta',
+    CERRADA: 'cerrada'
+});
+
+/**
+ * Valida un monto de efectivo de la caja (base de apertura o efectivo contado).
+ * @param {any} valor - Monto recibido en la petición.
+ * @param {string} etiqueta - Nombre del monto para el mensaje de error (ej. 'la base de apertura').
+ * @returns {string|null} El mensaje de error, o null si el monto es válido.
+ */
+export const validarMontoCaja = (valor, etiqueta) => {
+    if (valor === undefined || valor === null || valor === '') {
+        return `Debe indicar ${etiqueta}.`;
+    }
+    const numero = Number(valor);
+    if (!Number.isFinite(numero) || numero < 0) {
+        return `${etiqueta.charAt(0).toUpperCase()}${etiqueta.slice(1)} debe ser un número mayor o igual a 0.`;
+    }
+    return null;
+};
+
+/**
+ * Calcula el cuadre de una sesión de caja.
+ * @param {{monto_apertura: number, ventas_efectivo: number, efectivo_contado: number}} montos
+ * @returns {{efectivo_esperado: number, diferencia: number}} La diferencia es contado menos
+ * esperado: negativa si falta efectivo y positiva si sobra.
+ */
+export const calcularCuadre = ({ monto_apertura, ventas_efectivo, efectivo_contado }) => {
+    const efectivo_esperado = redondear(Number(monto_apertura || 0) + Number(ventas_efectivo || 0));
+    return {
+        efectivo_esperado,
+        diferencia: redondear(Number(efectivo_contado || 0) - efectivo_esperado)
+    };
+};
+
+/**
+ * Describe el resultado del cuadre para los reportes.
+ * @param {number} diferencia - Contado menos esperado.
+ * @returns {string} 'Cuadrada', 'Sobrante' o 'Faltante'.
+ */
+export const describirDiferencia = (diferencia) => {
+    const valor = redondear(diferencia);
+    if (valor === 0) return 'Cuadrada';
+    return valor > 0 ? 'Sobrante' : 'Faltante';
+};
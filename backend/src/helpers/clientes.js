@@ -0,0 +1,96 @@
+// =================================================================
+// ARCHIVO: src/helpers/clientes.js
+// ROL: Reglas del directorio de clientes. Valida y normaliza el
+//      documento de identidad (cédula, NIT...), calcula el dígito
+//      de verificación del NIT y arma los datos del cliente como
+//      adquiriente de la factura electrónica. Lo usan los
+//      controladores de clientes y de facturación electrónica.
+// =================================================================
+
+import { validateEmail } from './auth.js';
+
+/**
+ * Tipos de documento de identidad, con su código en la factura electrónica.
+ */
+export const TIPOS_DOCUMENTO = Object.freeze({
+    CC: { nombre: 'Cédula de ciudadanía', codigo_dian: '13' },
+    NIT: { nombre: 'NIT', codigo_dian: '31' },
+    CE: { nombre: 'Cédula de extranjería', codigo_dian: '22' },
+    TI: { nombre: 'Tarjeta de identidad', codigo_dian: '12' },
+    PP: { nombre: 'Pasaporte', codigo_dian: '41' }
+});
+
+// Los pasaportes y las cédulas de extranjería pueden tener letras; los demás documentos son numéricos.
+const DOCUMENTOS_ALFANUMERICOS = ['CE', 'PP'];
+
+// Pesos de la DIAN para el dígito de verificación, del último dígito del NIT hacia el primero.
+const PESOS_DIGITO_VERIFICACION = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+/**
+ * Normaliza un número de documento: sin puntos, guiones ni espacios y en mayúsculas.
+ * @param {string} numero
+ * @returns {string}
+ */
+export const normalizarDocumento = (numero) => String(numero ?? '').replace(/[\s.\-]/g, '').toUpperCase();
+
+/**
+ * Calcula el dígito de verificación de un NIT.
+ * @param {string} nit - NIT sin dígito de verificación.
+ * @returns {string}
+ */
+export const calcularDigitoVerificacion = (nit) => {
+    const digitos = normalizarDocumento(nit).split('').reverse();
+    const suma = digitos.reduce((acc, digito, index) => acc + Number(digito) * PESOS_DIGITO_VERIFICACION[index], 0);
+    const residuo = suma % 11;
+    return String(residuo > 1 ? 11 - residuo : residuo);
+};
+
+/**
+ * Valida los datos de un cliente.
+ * @param {object} datos - { tipo_documento, numero_documento, nombre, email, telefono } ya normalizados.
+ * @returns {Array<string>} Los mensajes de error (vacío si el cliente es válido).
+ */
+export const validarCliente = ({ tipo_documento, numero_documento, nombre, email, telefono }) => {
+    const errores = [];
+    if (!TIPOS_DOCUMENTO[tipo_documento]) {
+        errores.push(`El tipo de documento debe ser uno de: ${Object.keys(TIPOS_DOCUMENTO).join(', ')}.`);
+    } else {
+        const formato = DOCUMENTOS_ALFANUMERICOS.includes(tipo_documento) ? /^[A-Z0-9]{3,20}$/ : /^\d{3,15}$/;
+        if (!formato.test(numero_documento)) {
+            errores.push(DOCUMENTOS_ALFANUMERICOS.includes(tipo_documento)
+                ? 'El número de documento debe tener entre 3 y 20 letras o números.'
+                : 'El número de documento debe tener entre 3 y 15 dígitos (el NIT sin dígito de verificación).');
+        }
+    }
+    if (!nombre) {
+        errores.push('El nombre del cliente es requerido.');
+    }
+    if (email && !validateEmail(email)) {
+        errores.push('El correo del cliente no tiene un formato válido.');
+    }
+    if (telefono && !/^\+?[\d\s]{7,20}$/.test(telefono)) {
+        errores.push('El teléfono debe tener entre 7 y 20 dígitos.');
+    }
+    return errores;
+};
+
+/**
+ * Da formato al documento de un cliente para imprimirlo (el NIT con su dígito de verificación).
+ * @param {object} cliente - Cliente con tipo y número de documento.
+ * @returns {string} Ej. 'CC 1020304050' o 'NIT 900123456-7'.
+ */
+export const formatearDocumento = (cliente) => (cliente.tipo_documento === 'NIT'
+    ? `NIT ${cliente.numero_documento}-${calcularDigitoVerificacion(cliente.numero_documento)}`
+    : `${cliente.tipo_documento} ${cliente.numero_documento}`);
+
+/**
+ * Arma los datos de un cliente como adquiriente de la factura electrónica.
+ * @param {object} cliente - Cliente con tipo y número de documento y nombre.
+ * @returns {{tipo_documento: string, numero: string, dv: string|null, nombre: string}}
+ */
+export const getAdquiriente = (cliente) => ({
+    tipo_documento: TIPOS_DOCUMENTO[cliente.tipo_documento].codigo_dian,
+    numero: cliente.numero_documento,
+    dv: cliente.tipo_documento === 'NIT' ? calcularDigitoVerificacion(cliente.numero_documento) : null,
+    nombre: cliente.nombre
+});
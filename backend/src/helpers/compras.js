@@ -0,0 +1,187 @@
+// =================================================================
+// ARCHIVO: src/helpers/compras.js
+// ROL: Reglas de los proveedores y las órdenes de compra. Valida el
+//      proveedor y las líneas de la orden, define el ciclo de vida
+//      de la orden (borrador -> enviada -> recibida, con recepciones
+//      parciales) y valida cada recepción de mercancía contra lo que
+//      falta por recibir. Lo usan los controladores de proveedores y
+//      de órdenes de compra.
+// =================================================================
+
+import { validateEmail } from './auth.js';
+import { redondear } from './impuestos.js';
+import { redondearCantidad, redondearCosto } from './inventario.js';
+
+/**
+ * Estados de una orden de compra.
+ */
+export const ESTADOS_ORDEN_COMPRA = Object.freeze({
+    BORRADOR: 'borrador',
+    ENVIADA: 'enviada',
+    RECIBIDA_PARCIAL: 'recibida_parcial',
+    RECIBIDA: 'recibida',
+    CANCELADA: 'cancelada'
+});
+
+/**
+ * Etiquetas legibles de cada estado para mensajes, el PDF y las vistas.
+ */
+export const ETIQUETAS_ESTADO_ORDEN = Object.freeze({
+    borrador: 'Borrador',
+    enviada: 'Enviada',
+    recibida_parcial: 'Recibida parcialmente',
+    recibida: 'Recibida',
+    cancelada: 'Cancelada'
+});
+
+/**
+ * Cambios de estado que se hacen a mano: estado origen -> estados destino.
+ * Las recepciones mueven la orden a 'recibida_parcial' o 'recibida' por su cuenta;
+ * pasar a mano de 'recibida_parcial' a 'recibida' cierra la orden con lo que llegó.
+ * Una orden con mercancía recibida ya no se puede cancelar.
+ */
+export const TRANSICIONES_ORDEN_COMPRA = Object.freeze({
+    borrador: ['enviada', 'cancelada'],
+    enviada: ['cancelada'],
+    recibida_parcial: ['recibida'],
+    recibida: [],
+    cancelada: []
+});
+
+/**
+ * Estados en los que la orden puede recibir mercancía.
+ */
+export const ESTADOS_CON_RECEPCION = Object.freeze([ESTADOS_ORDEN_COMPRA.ENVIADA, ESTADOS_ORDEN_COMPRA.RECIBIDA_PARCIAL]);
+
+/**
+ * Indica si una orden puede pasar a mano de un estado a otro.
+ * @param {string} estadoActual
+ * @param {string} estadoNuevo
+ * @returns {boolean}
+ */
+export const esTransicionOrdenValida = (estadoActual, estadoNuevo) =>
+    (TRANSICIONES_ORDEN_COMPRA[estadoActual] || []).includes(estadoNuevo);
+
+/**
+ * Valida los datos de un proveedor.
+ * @param {object} datos - { nombre, nit, email, telefono } ya recortados.
+ * @returns {Array<string>} Los mensajes de error (vacío si el proveedor es válido).
+ */
+export const validarProveedor = ({ nombre, nit, email, telefono }) => {
+    const errores = [];
+    if (!nombre) {
+        errores.push('El nombre del proveedor es requerido.');
+    } else if (nombre.length > 150) {
+        errores.push('El nombre del proveedor admite máximo 150 caracteres.');
+    }
+    if (nit && !/^[\d\-]{5,20}$/.test(nit)) {
+        errores.push('El NIT debe tener entre 5 y 20 dígitos (puede incluir el guion del dígito de verificación).');
+    }
+    if (email && !validateEmail(email)) {
+        errores.push('El correo del proveedor no tiene un formato válido.');
+    }
+    if (telefono && !/^\+?[\d\s]{7,20}$/.test(telefono)) {
+        errores.push('El teléfono debe tener entre 7 y 20 dígitos.');
+    }
+    return errores;
+};
+
+/**
+ * Valida las líneas de una orden de compra: al menos una, cada ingrediente una sola vez,
+ * con una cantidad mayor a 0 (máximo 3 decimales) y un costo unitario mayor o igual a 0
+ * (máximo 4 decimales).
+ * @param {Array<{ingrediente_id: number, cantidad: number, costo_unitario: number}>} lineas
+ * @returns {Array<string>} Lista de errores; vacía si las líneas son válidas.
+ */
+export const validarLineasOrden = (lineas) => {
+    if (!Array.isArray(lineas) || lineas.length === 0) {
+        return ['La orden de compra debe tener al menos un ingrediente.'];
+    }
+    const errores = [];
+    const vistos = new Set();
+    lineas.forEach((linea, index) => {
+        const ingredienteId = Number(linea?.ingrediente_id);
+        const cantidad = Number(linea?.cantidad);
+        const costo = Number(linea?.costo_unitario);
+        if (!Number.isInteger(ingredienteId) || ingredienteId <= 0) {
+            errores.push(`La línea ${index + 1} de la orden requiere un ingrediente.`);
+        } else if (vistos.has(ingredienteId)) {
+            errores.push(`El ingrediente #${ingredienteId} está repetido en la orden.`);
+        }
+        vistos.add(ingredienteId);
+        if (!Number.isFinite(cantidad) || cantidad <= 0 || redondearCantidad(cantidad) !== cantidad) {
+            errores.push(`La cantidad de la línea ${index + 1} debe ser mayor a 0 con máximo 3 decimales.`);
+        }
+        if (linea?.costo_unitario === '' || linea?.costo_unitario == null || !Number.isFinite(costo) || costo < 0 || redondearCosto(costo) !== costo) {
+            errores.push(`El costo unitario de la línea ${index + 1} debe ser mayor o igual a 0 con máximo 4 decimales.`);
+        }
+    });
+    return errores;
+};
+
+/**
+ * Calcula el total de una orden de compra (cantidad pedida por costo unitario).
+ * @param {Array<{cantidad: number|string, costo_unitario: number|string}>} lineas
+ * @returns {number}
+ */
+export const calcularTotalOrden = (lineas) =>
+    redondear(lineas.reduce((acc, linea) => acc + Number(linea.cantidad) * Number(linea.costo_unitario), 0));
+
+/**
+ * Cantidad que falta por recibir de una línea.
+ * @param {{cantidad: number|string, cantidad_recibida: number|string}} linea
+ * @returns {number}
+ */
+export const getPendienteLinea = (linea) => redondearCantidad(Number(linea.cantidad) - Number(linea.cantidad_recibida));
+
+/**
+ * Valida una recepción de mercancía contra las líneas de la orden: cada línea recibida
+ * debe pertenecer a la orden y no puede superar lo que falta por recibir.
+ * Las líneas en 0 se ignoran (no llegó nada de ese ingrediente).
+ * @param {Array<{detalle_orden_compra_id: number, cantidad: number}>} recepcion - Lo recibido.
+ * @param {Array<object>} lineasOrden - Líneas de la orden con 'cantidad' y 'cantidad_recibida'.
+ * @returns {{errores: Array<string>, recibidas: Array<{linea: object, cantidad: number}>}}
+ */
+export const validarRecepcion = (recepcion, lineasOrden) => {
+    if (!Array.isArray(recepcion)) {
+        return { errores: ['Las líneas recibidas deben enviarse como una lista.'], recibidas: [] };
+    }
+    const errores = [];
+    const recibidas = [];
+    const lineasPorId = new Map(lineasOrden.map(linea => [Number(linea.detalle_orden_compra_id), linea]));
+    const vistas = new Set();
+    recepcion.forEach((item, index) => {
+        const linea = lineasPorId.get(Number(item?.detalle_orden_compra_id));
+        const cantidad = Number(item?.cantidad);
+        if (!linea) {
+            errores.push(`La línea ${index + 1} recibida no pertenece a la orden.`);
+            return;
+        }
+        if (vistas.has(linea.detalle_orden_compra_id)) {
+            errores.push(`La línea #${linea.detalle_orden_compra_id} está repetida en la recepción.`);
+            return;
+        }
+        vistas.add(linea.detalle_orden_compra_id);
+        if (!Number.isFinite(cantidad) || cantidad < 0 || redondearCantidad(cantidad) !== cantidad) {
+            errores.push(`La cantidad recibida de la línea ${index + 1} debe ser mayor o igual a 0 con máximo 3 decimales.`);
+        } else if (cantidad > getPendienteLinea(linea)) {
+            errores.push(`La cantidad recibida de la línea ${index + 1} supera lo pendiente (${getPendienteLinea(linea)}).`);
+        } else if (cantidad > 0) {
+            recibidas.push({ linea, cantidad });
+        }
+    });
+    if (errores.length === 0 && recibidas.length === 0) {
+        errores.push('Indique la cantidad recibida de al menos un ingrediente.');
+    }
+    return { errores, recibidas };
+};
+
+/**
+ * Estado de la orden después de una recepción: 'recibida' si ya llegó todo,
+ * 'recibida_parcial' si aún falta algo.
+ * @param {Array<{cantidad: number|string, cantidad_recibida: number|string}>} lineas - Con lo recibido ya sumado.
+ * @returns {string}
+ */
+export const getEstadoTrasRecepcion = (lineas) => (lineas.every(linea => getPendienteLinea(linea) <= 0)
+    ? ESTADOS_ORDEN_COMPRA.RECIBIDA
+    : ESTADOS_ORDEN_COMPRA.RECIBIDA_PARCIAL);
@@ -0,0 +1,28 @@
+// =================================================================
+// ARCHIVO: src/helpers/csv.js
+// ROL: Genera archivos CSV para exportar reportes. Los valores con
+//      comas, comillas o saltos de línea se encierran entre comillas.
+// =================================================================
+
+// Marca de orden de bytes para que Excel abra el archivo como UTF-8 (tildes y eñes).
+const BOM_UTF8 = '\uFEFF';
+
+/**
+ * Escapa un valor para una celda CSV.
+ * @param {any} valor
+ * @returns {string}
+ */
+const escaparCelda = (valor) => {
+    const texto = String(valor ?? '');
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Genera el contenido de un archivo CSV.
+ * @param {Array<string>} encabezados - Nombres de las columnas.
+ * @param {Array<Array<any>>} filas - Valores de cada fila, en el orden de los encabezados.
+ * @returns {string}
+ */
+export const generarCsv = (encabezados, filas) => BOM_UTF8 + [encabezados, ...filas]
+    .map(fila => fila.map(escaparCelda).join(','))
+    .join('\r\n');
@@ -0,0 +1,207 @@
+// =================================================================
+// ARCHIVO: src/helpers/descuentos.js
+// ROL: Reglas de los descuentos de una factura. Valida la
+//      configuración de cada regla, decide si puede aplicarse
+//      (vigencia, rol, motivo y autorización) y reparte el monto
+//      descontado entre las líneas antes de calcular los impuestos.
+//      Lo usan los controladores de descuentos y facturas.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+
+/**
+ * Tipos de descuento: porcentaje sobre la base o monto fijo en pesos.
+ */
+export const TIPOS_DESCUENTO = Object.freeze({
+    PORCENTAJE: 'porcentaje',
+    MONTO: 'monto'
+});
+
+/**
+ * Alcance de un descuento: un artículo de la cuenta o el pedido completo.
+ */
+export const ALCANCES_DESCUENTO = Object.freeze({
+    LINEA: 'linea',
+    PEDIDO: 'pedido'
+});
+
+/**
+ * Normaliza un código promocional (sin espacios y en mayúsculas).
+ * @param {string} codigo
+ * @returns {string|null} El código normalizado, o null si viene vacío.
+ */
+export const normalizarCodigo = (codigo) => {
+    const valor = String(codigo ?? '').trim().toUpperCase();
+    return valor || null;
+};
+
+/**
+ * Valida la configuración de una regla de descuento.
+ * @param {object} datos - Campos de la regla enviados por el administrador.
+ * @returns {Array<string>} Los mensajes de error (vacío si la regla es válida).
+ */
+export const validarDescuento = ({ nombre, tipo, valor, alcance, fecha_inicio, fecha_fin, roles_permitidos }) => {
+    const errores = [];
+    if (!nombre || !String(nombre).trim()) {
+        errores.push('El nombre del descuento es requerido.');
+    }
+    if (!Object.values(TIPOS_DESCUENTO).includes(tipo)) {
+        errores.push(`El tipo debe ser uno de: ${Object.values(TIPOS_DESCUENTO).join(', ')}.`);
+    }
+    const numero = Number(valor);
+    if (!Number.isFinite(numero) || numero <= 0) {
+        errores.push('El valor del descuento debe ser mayor a 0.');
+    } else if (tipo === TIPOS_DESCUENTO.PORCENTAJE && numero > 100) {
+        errores.push('El porcentaje de descuento no puede superar 100.');
+    }
+    if (!Object.values(ALCANCES_DESCUENTO).includes(alcance)) {
+        errores.push(`El alcance debe ser uno de: ${Object.values(ALCANCES_DESCUENTO).join(', ')}.`);
+    }
+    if (fecha_inicio && fecha_fin && String(fecha_inicio) > String(fecha_fin)) {
+        errores.push('La fecha de inicio no puede ser posterior a la fecha de fin.');
+    }
+    if (roles_permitidos !== undefined && roles_permitidos !== null
+        && (!Array.isArray(roles_permitidos) || roles_permitidos.some(rol => typeof rol !== 'string' || !rol.trim()))) {
+        errores.push('Los roles permitidos deben ser una lista de nombres de rol.');
+    }
+    return errores;
+};
+
+/**
+ * Convierte una fecha a 'YYYY-MM-DD' en la hora local del servidor.
+ * @param {Date} fecha
+ * @returns {string}
+ */
+const aFechaLocal = (fecha) => {
+    const mes = String(fecha.getMonth() + 1).padStart(2, '0');
+    const dia = String(fecha.getDate()).padStart(2, '0');
+    return `${fecha.getFullYear()}-${mes}-${dia}`;
+};
+
+/**
+ * Indica si un descuento está activo y dentro de su vigencia.
+ * @param {object} descuento - Regla con 'activo', 'fecha_inicio' y 'fecha_fin'.
+ * @param {Date} [fecha] - Momento de la factura.
+ * @returns {boolean}
+ */
+export const esDescuentoVigente = (descuento, fecha = new Date()) => {
+    if (!descuento?.activo) return false;
+    const hoy = aFechaLocal(fecha);
+    if (descuento.fecha_inicio && hoy < String(descuento.fecha_inicio)) return false;
+    if (descuento.fecha_fin && hoy > String(descuento.fecha_fin)) return false;
+    return true;
+};
+
+/**
+ * Indica si un rol puede aplicar el descuento (sin lista de roles, lo aplican todos).
+ * @param {object} descuento - Regla con 'roles_permitidos'.
+ * @param {string|null} rol - Nombre del rol del usuario.
+ * @returns {boolean}
+ */
+export const puedeAplicarDescuento = (descuento, rol) => {
+    const roles = descuento?.roles_permitidos;
+    if (!Array.isArray(roles) || roles.length === 0) return true;
+    return roles.includes(rol);
+};
+
+/**
+ * Valida que un descuento pueda aplicarse en esta factura.
+ * @param {object} descuento - Regla de descuento.
+ * @param {{rol: string|null, motivo?: string, aprobado_por?: number|null, fecha?: Date}} contexto
+ * @returns {string|null} El mensaje de error, o null si puede aplicarse.
+ */
+export const validarAplicacion = (descuento, { rol, motivo, aprobado_por, fecha } = {}) => {
+    if (!esDescuentoVigente(descuento, fecha)) {
+        return `El descuento "${descuento.nombre}" no está vigente.`;
+    }
+    if (!puedeAplicarDescuento(descuento, rol)) {
+        return `Su rol no puede aplicar el descuento "${descuento.nombre}".`;
+    }
+    if (descuento.requiere_motivo && !String(motivo ?? '').trim()) {
+        return `El descuento "${descuento.nombre}" requiere un motivo.`;
+    }
+    if (descuento.requiere_aprobacion && !aprobado_por) {
+        return `El descuento "${descuento.nombre}" requiere la autorización de un administrador.`;
+    }
+    return null;
+};
+
+/**
+ * Calcula el monto de un descuento sobre una base, sin superar la base.
+ * @param {object} descuento - Regla con 'tipo' y 'valor'.
+ * @param {number} base
+ * @returns {number}
+ */
+const montoSobreBase = (descuento, base) => {
+    const monto = descuento.tipo === TIPOS_DESCUENTO.PORCENTAJE
+        ? base * Number(descuento.valor) / 100
+        : Number(descuento.valor);
+    return redondear(Math.min(Math.max(monto, 0), base));
+};
+
+/**
+ * Aplica los descuentos a las líneas de una factura.
+ * Primero se aplican los descuentos por línea, en el orden recibido. Luego los
+ * descuentos del pedido se calculan sobre lo que queda y se reparten entre las
+ * líneas en proporción a su base (la última línea absorbe el redondeo), de modo
+ * que cada tarifa de impuesto se calcule sobre su base ya descontada.
+ * @param {Array<{detalle_id: number, base: number, impuesto: object}>} lineas - Líneas de la factura.
+ * @param {Array<{descuento: object, detalle_id?: number}>} aplicados - Descuentos a aplicar.
+ * @returns {{errores: Array<string>, lineas: Array<object>, descuentos: Array<object>, descuento_total: number}}
+ */
+export const calcularDescuentos = (lineas, aplicados = []) => {
+    const errores = [];
+    const resultado = lineas.map(linea => ({ ...linea, base: redondear(linea.base) }));
+    const porDetalle = new Map(resultado.map(linea => [Number(linea.detalle_id), linea]));
+    const vistos = new Set();
+    const descuentos = [];
+
+    const ordenados = [
+        ...aplicados.filter(({ descuento }) => descuento.alcance === ALCANCES_DESCUENTO.LINEA),
+        ...aplicados.filter(({ descuento }) => descuento.alcance !== ALCANCES_DESCUENTO.LINEA)
+    ];
+
+    for (const aplicado of ordenados) {
+        const { descuento } = aplicado;
+        const esLinea = descuento.alcance === ALCANCES_DESCUENTO.LINEA;
+        const detalleId = esLinea ? Number(aplicado.detalle_id) : null;
+        const clave = `${descuento.descuento_id}|${detalleId ?? 'pedido'}`;
+        if (vistos.has(clave)) {
+            errores.push(`El descuento "${descuento.nombre}" está repetido.`);
+            continue;
+        }
+        vistos.add(clave);
+
+        if (esLinea) {
+            const linea = porDetalle.get(detalleId);
+            if (!linea) {
+                errores.push(`El descuento "${descuento.nombre}" debe indicar un artículo de esta factura.`);
+                continue;
+            }
+            const monto = montoSobreBase(descuento, linea.base);
+            linea.base = redondear(linea.base - monto);
+            descuentos.push({ ...aplicado, detalle_id: detalleId, monto });
+            continue;
+        }
+
+        const restante = redondear(resultado.reduce((acc, linea) => acc + linea.base, 0));
+        const monto = montoSobreBase(descuento, restante);
+        const conBase = resultado.filter(linea => linea.base > 0);
+        let repartido = 0;
+        conBase.forEach((linea, index) => {
+            const parte = index === conBase.length - 1
+                ? redondear(monto - repartido)
+                : redondear(monto * linea.base / restante);
+            repartido = redondear(repartido + parte);
+            linea.base = redondear(linea.base - parte);
+        });
+        descuentos.push({ ...aplicado, detalle_id: null, monto });
+    }
+
+    return {
+        errores,
+        lineas: errores.length > 0 ? lineas : resultado,
+        descuentos: errores.length > 0 ? [] : descuentos,
+        descuento_total: errores.length > 0 ? 0 : redondear(descuentos.reduce((acc, d) => acc + d.monto, 0))
+    };
+};
@@ -0,0 +1,45 @@
+// =================================================================
+// ARCHIVO: src/helpers/disponibilidad.js
+// ROL: Reglas de la disponibilidad de los productos del menú. Un
+//      producto se puede pedir si no está eliminado, no está agotado
+//      y su categoría tampoco. Lo usan los controladores de pedidos,
+//      productos y categorías.
+// =================================================================
+
+/**
+ * Roles que pueden agotar o habilitar productos y categorías.
+ */
+export const ROLES_DISPONIBILIDAD = Object.freeze(['cocinero', 'administrador']);
+
+/**
+ * Indica si un producto se puede pedir.
+ * @param {object} producto - Producto con su 'Categoria' (si la tiene).
+ * @returns {boolean}
+ */
+export const estaDisponible = (producto) => Boolean(producto)
+    && !producto.is_deleted
+    && producto.disponible !== false
+    && producto.Categoria?.disponible !== false;
+
+/**
+ * Valida que los productos de un pedido existan y se puedan pedir.
+ * @param {Array<number|string>} productoIds - Productos pedidos.
+ * @param {Array<object>} productos - Productos encontrados, con su 'Categoria'.
+ * @returns {Array<string>} Un mensaje por producto que no se puede pedir (vacío si todos se pueden).
+ */
+export const validarDisponibilidad = (productoIds, productos) => {
+    const productosPorId = new Map(productos.map(producto => [producto.producto_id, producto]));
+    return [...new Set(productoIds.map(Number))].flatMap(id => {
+        const producto = productosPorId.get(id);
+        if (!producto || producto.is_deleted) {
+            return [`El producto #${id} no existe o ya no está en el menú.`];
+        }
+        if (producto.disponible === false) {
+            return [`${producto.nombre_producto} está agotado en este momento.`];
+        }
+        if (producto.Categoria?.disponible === false) {
+            return [`${producto.nombre_producto} no está disponible: la categoría ${producto.Categoria.nombre} está agotada.`];
+        }
+        return [];
+    });
+};
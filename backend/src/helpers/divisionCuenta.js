@@ -0,0 +1,99 @@
+// =================================================================
+// ARCHIVO: src/helpers/divisionCuenta.js
+// ROL: Reglas para dividir la cuenta de un pedido en varias facturas.
+//      Calcula lo que queda pendiente por cobrar de cada línea y las
+//      cantidades que entran en la siguiente factura (por artículo o
+//      en partes iguales). Lo usa el controlador de facturas.
+// =================================================================
+
+/**
+ * Redondea una cantidad a cuatro decimales (precisión de 'factura_detalles.cantidad').
+ * @param {number} valor
+ * @returns {number}
+ */
+export const redondearCantidad = (valor) => Math.round((Number(valor) + Number.EPSILON) * 10000) / 10000;
+
+/**
+ * Calcula la cantidad pendiente por cobrar de cada línea del pedido.
+ * @param {Array<{detalle_id: number, cantidad: number}>} detalles - Líneas del pedido.
+ * @param {Map<number, number>} facturado - Cantidad ya cobrada por 'detalle_id'.
+ * @returns {Array<{detalle_id: number, pendiente: number}>} Solo las líneas con algo pendiente.
+ */
+export const calcularPendientes = (detalles, facturado) => detalles
+    .map((detalle) => ({
+        detalle_id: Number(detalle.detalle_id),
+        pendiente: redondearCantidad(Number(detalle.cantidad) - (Number(facturado.get(Number(detalle.detalle_id))) || 0))
+    }))
+    .filter((linea) => linea.pendiente > 0);
+
+/**
+ * Determina qué cantidad de cada línea se cobra en la siguiente factura.
+ * - Con 'lineas' ([{ detalle_id, cantidad }]) se cobran esas cantidades (división por artículo).
+ * - Con 'partes' se cobra 1/partes de lo pendiente de cada línea (división en partes iguales);
+ *   con partes = 1 se cobra todo lo pendiente, de modo que la última parte cierra la cuenta exacta.
+ * - Sin ninguna de las dos se cobra todo lo pendiente.
+ * @param {Array<{detalle_id: number, pendiente: number}>} pendientes - Resultado de calcularPendientes.
+ * @param {{lineas?: Array<object>, partes?: number}} division - División solicitada.
+ * @returns {{errores: Array<string>, lineas: Array<{detalle_id: number, cantidad: number}>}}
+ */
+export const resolverLineasFactura = (pendientes, { lineas, partes } = {}) => {
+    if (pendientes.length === 0) {
+        return { errores: ['El pedido no tiene artículos pendientes por facturar.'], lineas: [] };
+    }
+
+    if (Array.isArray(lineas)) {
+        const errores = [];
+        const pendientePorId = new Map(pendientes.map((linea) => [linea.detalle_id, linea.pendiente]));
+        const vistos = new Set();
+        const resultado = [];
+        lineas.forEach((linea, index) => {
+            const detalleId = Number(linea?.detalle_id);
+            const cantidad = redondearCantidad(linea?.cantidad);
+            if (vistos.has(detalleId)) {
+                errores.push(`La línea ${detalleId} está repetida.`);
+                return;
+            }
+            vistos.add(detalleId);
+            if (!pendientePorId.has(detalleId)) {
+                errores.push(`El artículo ${index + 1} no pertenece al pedido o ya fue facturado.`);
+            } else if (!(cantidad > 0)) {
+                errores.push(`La cantidad del artículo ${index + 1} debe ser mayor a 0.`);
+            } else if (cantidad > pendientePorId.get(detalleId)) {
+                errores.push(`El artículo ${index + 1} solo tiene ${pendientePorId.get(detalleId)} unidad(es) pendiente(s).`);
+            } else {
+                resultado.push({ detalle_id: detalleId, cantidad });
+            }
+        });
+        if (errores.length === 0 && resultado.length === 0) {
+            errores.push('Debe seleccionar al menos un artículo para la factura.');
+        }
+        return { errores, lineas: errores.length > 0 ? [] : resultado };
+    }
+
+    if (partes !== undefined && partes !== null) {
+        const numeroPartes = Number(partes);
+        if (!Number.isInteger(numeroPartes) || numeroPartes < 1) {
+            return { errores: ['El número de partes debe ser un entero mayor o igual a 1.'], lineas: [] };
+        }
+        return {
+            errores: [],
+            lineas: pendientes.map((linea) => ({
+                detalle_id: linea.detalle_id,
+                cantidad: numeroPartes === 1 ? linea.pendiente : redondearCantidad(linea.pendiente / numeroPartes)
+            })).filter((linea) => linea.cantidad > 0)
+        };
+    }
+
+    return { errores: [], lineas: pendientes.map((linea) => ({ detalle_id: linea.detalle_id, cantidad: linea.pendiente })) };
+};
+
+/**
+ * Indica si, después de cobrar 'lineas', queda algo pendiente en el pedido.
+ * @param {Array<{detalle_id: number, pendiente: number}>} pendientes - Pendiente antes de la factura.
+ * @param {Array<{detalle_id: number, cantidad: number}>} lineas - Cantidades cobradas en la factura.
+ * @returns {boolean}
+ */
+export const quedaPendiente = (pendientes, lineas) => {
+    const cobradoPorId = new Map(lineas.map((linea) => [linea.detalle_id, linea.cantidad]));
+    return pendientes.some((linea) => redondearCantidad(linea.pendiente - (cobradoPorId.get(linea.detalle_id) || 0)) > 0);
+};
@@ -142,3 +142,118 @@ export const sendTemporaryPasswordEmail = async (to, temporaryPassword) => {
         throw new Error(`No se pudo enviar el correo (${error.code || 'SMTP_ERROR'}): ${error.message}`);
     }
 };
+
+/**
+ * Envía un correo en texto plano, con adjuntos opcionales, usando el proveedor configurado
+ * (SMTP por defecto o Resend con MAIL_PROVIDER=resend).
+ * @param {object} opciones
+ * @param {string|string[]} opciones.to - Correo (o correos) de los destinatarios.
+ * @param {string} opciones.subject - Asunto del correo.
+ * @param {string} opciones.text - Cuerpo del correo en texto plano.
+ * @param {Array<{filename: string, content: Buffer, contentType: string}>} [opciones.attachments] - Archivos adjuntos.
+ * @param {string} [opciones.fromName] - Nombre que se muestra como remitente (solo SMTP).
+ */
+const enviarCorreo = async ({ to, subject, text, attachments = [], fromName = 'Sushi Burrito' }) => {
+    const mailProvider = String(process.env.MAIL_PROVIDER || 'smtp').toLowerCase();
+    const emailService = process.env.EMAIL_SERVICE || 'gmail';
+    const emailUser = process.env.EMAIL_USER;
+    const emailPassword = process.env.EMAIL_PASSWORD || process.env.EMAIL_PASS;
+    const emailHost = process.env.EMAIL_HOST || 'smtp.gmail.com';
+    const emailPort = Number(process.env.EMAIL_PORT || 465);
+    const emailSecure = String(process.env.EMAIL_SECURE || 'true').toLowerCase() === 'true';
+    const resendApiKey = process.env.RESEND_API_KEY;
+    const emailFrom = process.env.EMAIL_FROM || emailUser;
+
+    if (mailProvider === 'resend') {
+        if (!resendApiKey || !emailFrom) {
+            throw new Error('Configuración Resend incompleta: define RESEND_API_KEY y EMAIL_FROM en backend/.env');
+        }
+
+        const resendResponse = await fetch('https://api.resend.com/emails', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${resendApiKey}`
+            },
+            body: JSON.stringify({
+                from: emailFrom,
+                to: Array.isArray(to) ? to : [to],
+                subject,
+                text,
+                attachments: attachments.map(adjunto => ({
+                    filename: adjunto.filename,
+                    content: adjunto.content.toString('base64'),
+                    content_type: adjunto.contentType
+                }))
+            })
+        });
+
+        const resendBody = await resendResponse.json().catch(() => ({}));
+        if (!resendResponse.ok) {
+            throw new Error(`Resend ${resendResponse.status}: ${resendBody.message || resendBody.error || 'No fue posible enviar el correo.'}`);
+        }
+
+        return;
+    }
+
+    if (!emailUser || !emailPassword) {
+        throw new Error('Configuración SMTP incompleta: define EMAIL_USER y EMAIL_PASSWORD en backend/.env');
+    }
+
+    const baseTransport = {
+        auth: { user: emailUser, pass: emailPassword },
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 15000
+    };
+
+    const transporter = nodemailer.createTransport(
+        process.env.EMAIL_HOST || process.env.EMAIL_PORT || process.env.EMAIL_SECURE
+            ? {
+                ...baseTransport,
+                host: emailHost,
+                port: emailPort,
+                secure: emailSecure
+            }
+            : {
+                ...baseTransport,
+                service: emailService
+            }
+    );
+
+    await transporter.sendMail({
+        from: `"${fromName}" <${emailFrom}>`,
+        to,
+        subject,
+        text,
+        attachments
+    });
+};
+
+/**
+ * Envía un correo con un PDF adjunto (facturas, notas crédito) usando el proveedor configurado
+ * (SMTP por defecto o Resend con MAIL_PROVIDER=resend).
+ * @param {object} opciones
+ * @param {string} opciones.to - Correo del destinatario.
+ * @param {string} opciones.subject - Asunto del correo.
+ * @param {string} opciones.text - Cuerpo del correo en texto plano.
+ * @param {string} opciones.filename - Nombre del archivo adjunto.
+ * @param {Buffer} opciones.pdfBuffer - Contenido del PDF.
+ * @param {string} [opciones.fromName] - Nombre que se muestra como remitente (solo SMTP).
+ */
+export const sendPdfEmail = ({ to, subject, text, filename, pdfBuffer, fromName }) => enviarCorreo({
+    to,
+    subject,
+    text,
+    attachments: [{ filename, content: pdfBuffer, contentType: 'application/pdf' }],
+    fromName
+});
+
+/**
+ * Envía un correo en texto plano sin adjuntos (resúmenes y avisos para el personal).
+ * @param {object} opciones
+ * @param {string|string[]} opciones.to - Correo (o correos) de los destinatarios.
+ * @param {string} opciones.subject - Asunto del correo.
+ * @param {string} opciones.text - Cuerpo del correo en texto plano.
+ */
+export const sendTextEmail = ({ to, subject, text }) => enviarCorreo({ to, subject, text });
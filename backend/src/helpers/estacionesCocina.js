@@ -0,0 +1,46 @@
+// =================================================================
+// ARCHIVO: src/helpers/estacionesCocina.js
+// ROL: Utilidades para el enrutamiento de pedidos por estación de
+//      cocina: nombres de salas de Socket.IO y división de un pedido
+//      en comandas (tickets) por estación según la categoría.
+// =================================================================
+
+/**
+ * Sala a la que se unen los sockets que eligieron una estación. Se excluye
+ * de los envíos generales a 'cocineros' para que no reciban pedidos completos.
+ */
+export const SALA_COCINEROS_CON_ESTACION = 'cocineros_con_estacion';
+
+/**
+ * Construye el nombre de la sala de Socket.IO de una estación.
+ * @param {number|string} estacionId - ID de la estación.
+ * @returns {string} Nombre de la sala (ej. 'estacion_3').
+ */
+export const getSalaEstacion = (estacionId) => `estacion_${estacionId}`;
+
+/**
+ * Divide las líneas de un pedido en comandas por estación.
+ * Las líneas cuya categoría no tiene estación asignada no generan comanda.
+ * @param {Array<object>} lineas - Líneas del pedido; cada una con 'categoria_id'.
+ * @param {Map<number, {estacion_id: number, nombre: string}>} estacionPorCategoria - Estación de cada categoría.
+ * @returns {Array<{estacion_id: number, estacion: string, items: Array<object>}>}
+ */
+export const dividirPedidoPorEstacion = (lineas, estacionPorCategoria) => {
+    const comandas = new Map();
+
+    for (const linea of lineas) {
+        const estacion = estacionPorCategoria.get(linea.categoria_id);
+        if (!estacion) continue;
+
+        if (!comandas.has(estacion.estacion_id)) {
+            comandas.set(estacion.estacion_id, {
+                estacion_id: estacion.estacion_id,
+                estacion: estacion.nombre,
+                items: []
+            });
+        }
+        comandas.get(estacion.estacion_id).items.push(linea);
+    }
+
+    return Array.from(comandas.values());
+};
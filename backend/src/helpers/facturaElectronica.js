@@ -0,0 +1,444 @@
+// =================================================================
+// ARCHIVO: src/helpers/facturaElectronica.js
+// ROL: Reglas de la factura electrónica de la DIAN. Asigna el
+//      consecutivo dentro del rango de la resolución (con el que se
+//      numera cada factura), avisa cuando el rango está por agotarse,
+//      calcula el CUFE y construye el XML UBL 2.1 de una factura. Lo
+//      usan los controladores de facturas y de facturación
+//      electrónica y los adaptadores de envío.
+// =================================================================
+
+import crypto from 'crypto';
+import { redondear } from './impuestos.js';
+
+/**
+ * Códigos de los tributos que se reportan en la factura electrónica.
+ */
+export const CODIGOS_TRIBUTO = Object.freeze({
+    IVA: '01',
+    ICA: '03',
+    INC: '04'
+});
+
+/**
+ * Nombre de cada tributo en el XML.
+ */
+const NOMBRES_TRIBUTO = Object.freeze({
+    [CODIGOS_TRIBUTO.IVA]: 'IVA',
+    [CODIGOS_TRIBUTO.ICA]: 'ICA',
+    [CODIGOS_TRIBUTO.INC]: 'INC'
+});
+
+/**
+ * Estados de un documento electrónico: generado y pendiente de validar, o ya validado.
+ */
+export const ESTADOS_DOCUMENTO = Object.freeze({
+    GENERADO: 'generado',
+    ACEPTADO: 'aceptado',
+    RECHAZADO: 'rechazado'
+});
+
+/**
+ * Adquiriente usado cuando la factura no identifica al cliente.
+ */
+export const CONSUMIDOR_FINAL = Object.freeze({
+    tipo_documento: '13',
+    numero: '222222222222',
+    nombre: 'Consumidor final'
+});
+
+// Días antes del fin de la vigencia de una resolución en que se empieza a avisar.
+const DIAS_ALERTA_VIGENCIA = 30;
+
+// Diferencia horaria de Colombia (sin horario de verano).
+const DESFASE_COLOMBIA_MS = -5 * 60 * 60 * 1000;
+
+/**
+ * Da formato a un valor monetario con dos decimales y punto decimal, como lo exige el CUFE.
+ * @param {number|string} valor
+ * @returns {string}
+ */
+export const formatearValor = (valor) => redondear(Number(valor) || 0).toFixed(2);
+
+/**
+ * Obtiene la fecha y la hora de emisión en la hora de Colombia.
+ * @param {Date} fecha
+ * @returns {{fecha: string, hora: string}} Fecha 'YYYY-MM-DD' y hora 'HH:MM:SS-05:00'.
+ */
+export const getFechaHoraColombia = (fecha) => {
+    const iso = new Date(new Date(fecha).getTime() + DESFASE_COLOMBIA_MS).toISOString();
+    return { fecha: iso.slice(0, 10), hora: `${iso.slice(11, 19)}-05:00` };
+};
+
+/**
+ * Escapa un texto para incluirlo en el XML.
+ * @param {string} texto
+ * @returns {string}
+ */
+export const escaparXml = (texto) => String(texto ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const sha384 = (texto) => crypto.createHash('sha384').update(texto, 'utf8').digest('hex');
+
+/**
+ * Calcula el CUFE (Código Único de Factura Electrónica): el SHA-384 de la concatenación
+ * del número, la fecha y hora, el valor antes de impuestos, el valor de cada tributo
+ * (IVA, INC e ICA, en ese orden), el total, el NIT del emisor, el documento del
+ * adquiriente, la clave técnica de la resolución y el ambiente.
+ * @param {object} datos
+ * @param {string} datos.numero - Prefijo y consecutivo.
+ * @param {string} datos.fecha - Fecha 'YYYY-MM-DD'.
+ * @param {string} datos.hora - Hora 'HH:MM:SS-05:00'.
+ * @param {number} datos.valor - Valor de la factura antes de impuestos.
+ * @param {object} datos.tributos - Valor de cada tributo por código.
+ * @param {number} datos.total - Valor a pagar.
+ * @param {string} datos.nitEmisor
+ * @param {string} datos.documentoAdquiriente
+ * @param {string} datos.claveTecnica
+ * @param {string} datos.ambiente - '1' producción, '2' pruebas.
+ * @returns {string}
+ */
+export const calcularCufe = ({ numero, fecha, hora, valor, tributos = {}, total, nitEmisor, documentoAdquiriente, claveTecnica, ambiente }) => sha384([
+    numero, fecha, hora, formatearValor(valor),
+    CODIGOS_TRIBUTO.IVA, formatearValor(tributos[CODIGOS_TRIBUTO.IVA]),
+    CODIGOS_TRIBUTO.INC, formatearValor(tributos[CODIGOS_TRIBUTO.INC]),
+    CODIGOS_TRIBUTO.ICA, formatearValor(tributos[CODIGOS_TRIBUTO.ICA]),
+    formatearValor(total), nitEmisor, documentoAdquiriente, claveTecnica, ambiente
+].join(''));
+
+/**
+ * Calcula el código de seguridad del software de facturación.
+ * @param {string} softwareId
+ * @param {string} pin
+ * @param {string} numero - Prefijo y consecutivo.
+ * @returns {string}
+ */
+export const calcularCodigoSeguridad = (softwareId, pin, numero) => sha384(`${softwareId}${pin}${numero}`);
+
+/**
+ * Valida los datos de una resolución de facturación.
+ * @param {object} datos - Campos enviados por el administrador.
+ * @returns {Array<string>} Los mensajes de error (vacío si la resolución es válida).
+ */
+export const validarResolucion = ({ numero_resolucion, prefijo, rango_desde, rango_hasta, fecha_desde, fecha_hasta, clave_tecnica, alerta_restantes }) => {
+    const errores = [];
+    if (!numero_resolucion || !String(numero_resolucion).trim()) {
+        errores.push('El número de la resolución es requerido.');
+    }
+    if (prefijo && !/^[A-Z0-9]{1,4}$/.test(String(prefijo))) {
+        errores.push('El prefijo debe tener hasta 4 letras mayúsculas o números.');
+    }
+    const desde = Number(rango_desde);
+    const hasta = Number(rango_hasta);
+    if (!Number.isInteger(desde) || !Number.isInteger(hasta) || desde < 1 || hasta < desde) {
+        errores.push('El rango de numeración debe ser de enteros positivos, con el inicio menor o igual al fin.');
+    }
+    const formatoFecha = /^\d{4}-\d{2}-\d{2}$/;
+    if (!formatoFecha.test(String(fecha_desde)) || !formatoFecha.test(String(fecha_hasta))) {
+        errores.push('Las fechas de vigencia deben tener el formato YYYY-MM-DD.');
+    } else if (String(fecha_desde) > String(fecha_hasta)) {
+        errores.push('La fecha de inicio de la vigencia no puede ser posterior a la fecha de fin.');
+    }
+    if (!clave_tecnica || !String(clave_tecnica).trim()) {
+        errores.push('La clave técnica es requerida.');
+    }
+    if (alerta_restantes !== undefined && (!Number.isInteger(Number(alerta_restantes)) || Number(alerta_restantes) < 0)) {
+        errores.push('Los números restantes para avisar deben ser un entero mayor o igual a 0.');
+    }
+    return errores;
+};
+
+/**
+ * Calcula el siguiente consecutivo de una resolución, validando su vigencia y su rango.
+ * @param {object} resolucion - Resolución con rango, vigencia y 'ultimo_numero'.
+ * @param {Date} [fecha] - Momento de la emisión.
+ * @returns {{consecutivo: number|null, error: string|null}}
+ */
+export const siguienteConsecutivo = (resolucion, fecha = new Date()) => {
+    const hoy = getFechaHoraColombia(fecha).fecha;
+    if (hoy < String(resolucion.fecha_desde) || hoy > String(resolucion.fecha_hasta)) {
+        return { consecutivo: null, error: `La resolución ${resolucion.numero_resolucion} no está vigente.` };
+    }
+    const consecutivo = resolucion.ultimo_numero === null || resolucion.ultimo_numero === undefined
+        ? Number(resolucion.rango_desde)
+        : Number(resolucion.ultimo_numero) + 1;
+    if (consecutivo > Number(resolucion.rango_hasta)) {
+        return { consecutivo: null, error: `Se agotó el rango de numeración de la resolución ${resolucion.numero_resolucion}.` };
+    }
+    return { consecutivo, error: null };
+};
+
+/**
+ * Arma el número de una factura con el prefijo de su resolución.
+ * @param {string} prefijo
+ * @param {number} consecutivo
+ * @returns {string} Ej. 'SETP990000001'.
+ */
+export const formatearNumeroFactura = (prefijo, consecutivo) => `${prefijo || ''}${consecutivo}`;
+
+/**
+ * Cuenta los números que le quedan a una resolución.
+ * @param {object} resolucion - Resolución con rango y 'ultimo_numero'.
+ * @returns {number}
+ */
+export const getNumerosRestantes = (resolucion) => {
+    const ultimo = resolucion.ultimo_numero === null || resolucion.ultimo_numero === undefined
+        ? Number(resolucion.rango_desde) - 1
+        : Number(resolucion.ultimo_numero);
+    return Math.max(0, Number(resolucion.rango_hasta) - ultimo);
+};
+
+/**
+ * Indica si la numeración de una resolución está por agotarse (quedan 'alerta_restantes'
+ * números o menos) o su vigencia por terminar.
+ * @param {object} resolucion - Resolución con rango, vigencia, 'ultimo_numero' y 'alerta_restantes'.
+ * @param {Date} [fecha]
+ * @returns {string|null} El aviso, o null si la numeración no requiere atención.
+ */
+export const getAlertaNumeracion = (resolucion, fecha = new Date()) => {
+    const restantes = getNumerosRestantes(resolucion);
+    if (restantes <= Number(resolucion.alerta_restantes ?? 0)) {
+        return `A la resolución ${resolucion.numero_resolucion} le quedan ${restantes} números de factura. Solicite una nueva resolución a la DIAN.`;
+    }
+    const hoy = new Date(`${getFechaHoraColombia(fecha).fecha}T00:00:00Z`);
+    const dias = Math.round((new Date(`${resolucion.fecha_hasta}T00:00:00Z`) - hoy) / (24 * 60 * 60 * 1000));
+    if (dias <= DIAS_ALERTA_VIGENCIA) {
+        return `La resolución ${resolucion.numero_resolucion} vence en ${dias} días (${resolucion.fecha_hasta}).`;
+    }
+    return null;
+};
+
+/**
+ * Elemento monetario en pesos colombianos.
+ * @param {string} etiqueta
+ * @param {number} valor
+ * @returns {string}
+ */
+const monto = (etiqueta, valor) => `<cbc:${etiqueta} currencyID="COP">${formatearValor(valor)}</cbc:${etiqueta}>`;
+
+/**
+ * Bloque TaxTotal de un tributo con un subtotal por tarifa.
+ * @param {string} codigo - Código del tributo.
+ * @param {Array<{porcentaje: number, base: number, valor: number}>} tarifas
+ * @returns {string}
+ */
+const xmlTaxTotal = (codigo, tarifas) => `
+    <cac:TaxTotal>
+      ${monto('TaxAmount', tarifas.reduce((acc, tarifa) => acc + Number(tarifa.valor), 0))}
+      ${tarifas.map(tarifa => `<cac:TaxSubtotal>
+        ${monto('TaxableAmount', tarifa.base)}
+        ${monto('TaxAmount', tarifa.valor)}
+        <cac:TaxCategory>
+          <cbc:Percent>${formatearValor(tarifa.porcentaje)}</cbc:Percent>
+          <cac:TaxScheme>
+            <cbc:ID>${codigo}</cbc:ID>
+            <cbc:Name>${NOMBRES_TRIBUTO[codigo]}</cbc:Name>
+          </cac:TaxScheme>
+        </cac:TaxCategory>
+      </cac:TaxSubtotal>`).join('\n      ')}
+    </cac:TaxTotal>`;
+
+/**
+ * Agrupa las tarifas por tributo; las tarifas sin código DIAN no se reportan.
+ * @param {Array<{codigo_dian: string|null}>} tarifas
+ * @returns {Map<string, Array<object>>}
+ */
+const agruparPorTributo = (tarifas) => {
+    const grupos = new Map();
+    tarifas.filter(tarifa => tarifa.codigo_dian).forEach(tarifa => {
+        grupos.set(tarifa.codigo_dian, [...(grupos.get(tarifa.codigo_dian) || []), tarifa]);
+    });
+    return grupos;
+};
+
+/**
+ * Parte (emisor o adquiriente) de la factura.
+ * @param {string} etiqueta - 'AccountingSupplierParty' o 'AccountingCustomerParty'.
+ * @param {{tipo_documento: string, numero: string, dv?: string, nombre: string, direccion?: string}} parte
+ * @returns {string}
+ */
+const xmlParte = (etiqueta, parte) => {
+    const dv = parte.dv !== undefined && parte.dv !== null && parte.dv !== '' ? ` schemeID="${escaparXml(parte.dv)}"` : '';
+    return `
+  <cac:${etiqueta}>
+    <cbc:AdditionalAccountID>${parte.tipo_documento === '31' ? '1' : '2'}</cbc:AdditionalAccountID>
+    <cac:Party>
+      <cac:PartyName>
+        <cbc:Name>${escaparXml(parte.nombre)}</cbc:Name>
+      </cac:PartyName>${parte.direccion ? `
+      <cac:PhysicalLocation>
+        <cac:Address>
+          <cac:AddressLine>
+            <cbc:Line>${escaparXml(parte.direccion)}</cbc:Line>
+          </cac:AddressLine>
+          <cac:Country>
+            <cbc:IdentificationCode>CO</cbc:IdentificationCode>
+          </cac:Country>
+        </cac:Address>
+      </cac:PhysicalLocation>` : ''}
+      <cac:PartyTaxScheme>
+        <cbc:RegistrationName>${escaparXml(parte.nombre)}</cbc:RegistrationName>
+        <cbc:CompanyID schemeAgencyID="195" schemeName="${escaparXml(parte.tipo_documento)}"${dv}>${escaparXml(parte.numero)}</cbc:CompanyID>
+        <cac:TaxScheme>
+          <cbc:ID>ZZ</cbc:ID>
+          <cbc:Name>No aplica</cbc:Name>
+        </cac:TaxScheme>
+      </cac:PartyTaxScheme>
+    </cac:Party>
+  </cac:${etiqueta}>`;
+};
+
+/**
+ * Línea de la factura con su descuento y sus impuestos.
+ * @param {object} linea
+ * @param {number} index
+ * @returns {string}
+ */
+const xmlLinea = (linea, index) => {
+    const impuesto = linea.impuesto?.codigo_dian
+        ? xmlTaxTotal(linea.impuesto.codigo_dian, [{
+            porcentaje: linea.impuesto.porcentaje,
+            base: linea.base,
+            valor: redondear(linea.base * Number(linea.impuesto.porcentaje) / 100)
+        }])
+        : '';
+    const descuento = linea.descuento > 0 ? `
+    <cac:AllowanceCharge>
+      <cbc:ID>1</cbc:ID>
+      <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+      <cbc:AllowanceChargeReason>Descuento</cbc:AllowanceChargeReason>
+      ${monto('Amount', linea.descuento)}
+      ${monto('BaseAmount', linea.bruto)}
+    </cac:AllowanceCharge>` : '';
+    return `
+  <cac:InvoiceLine>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:InvoicedQuantity unitCode="94">${Number(linea.cantidad)}</cbc:InvoicedQuantity>
+    ${monto('LineExtensionAmount', linea.base)}${descuento}${impuesto}
+    <cac:Item>
+      <cbc:Description>${escaparXml(linea.descripcion)}</cbc:Description>
+    </cac:Item>
+    <cac:Price>
+      ${monto('PriceAmount', linea.precio_unitario)}
+      <cbc:BaseQuantity unitCode="94">1</cbc:BaseQuantity>
+    </cac:Price>
+  </cac:InvoiceLine>`;
+};
+
+/**
+ * Construye la factura electrónica en XML UBL 2.1 y calcula su CUFE.
+ * Los descuentos se reportan en cada línea (reducen la base gravable) y la
+ * propina como un cargo del documento, que no hace parte de la base. El cargo por
+ * servicio también es un cargo del documento, pero su base sí está en el desglose
+ * de impuestos cuando se grava.
+ * @param {object} documento
+ * @param {string} documento.numero - Prefijo y consecutivo.
+ * @param {Date} documento.fecha - Momento de la emisión.
+ * @param {string} documento.ambiente - '1' producción, '2' pruebas.
+ * @param {object} documento.resolucion - Resolución con número, prefijo, rango, vigencia y clave técnica.
+ * @param {{id: string, pin: string}} documento.software
+ * @param {object} documento.emisor - { tipo_documento, numero, dv, nombre, direccion }.
+ * @param {object} [documento.adquiriente] - Por defecto, el consumidor final.
+ * @param {Array<object>} documento.lineas - { descripcion, cantidad, precio_unitario, bruto, descuento, base, impuesto }.
+ * @param {Array<object>} documento.impuestos - Desglose de la factura: { codigo_dian, porcentaje, base, valor }.
+ * @param {number} documento.propina
+ * @param {number} [documento.cargo_servicio] - Cargo por servicio antes de impuestos.
+ * @param {number} documento.total
+ * @param {string} documento.medio_pago - Código del medio de pago (10 efectivo, ZZZ otro).
+ * @returns {{xml: string, cufe: string}}
+ */
+export const construirXmlUbl = (documento) => {
+    const { numero, resolucion, emisor, lineas, impuestos, propina, total } = documento;
+    const cargoServicio = Number(documento.cargo_servicio) || 0;
+    const adquiriente = documento.adquiriente || CONSUMIDOR_FINAL;
+    const { fecha, hora } = getFechaHoraColombia(documento.fecha);
+
+    const porTributo = agruparPorTributo(impuestos);
+    const tributos = Object.fromEntries([...porTributo].map(([codigo, tarifas]) => [
+        codigo, redondear(tarifas.reduce((acc, tarifa) => acc + Number(tarifa.valor), 0))
+    ]));
+    const valorImpuestos = redondear(Object.values(tributos).reduce((acc, valor) => acc + valor, 0));
+    const valorLineas = redondear(lineas.reduce((acc, linea) => acc + Number(linea.base), 0));
+    const baseGravable = redondear([...porTributo.values()].flat().reduce((acc, tarifa) => acc + Number(tarifa.base), 0));
+
+    const cufe = calcularCufe({
+        numero, fecha, hora, valor: valorLineas, tributos, total,
+        nitEmisor: emisor.numero,
+        documentoAdquiriente: adquiriente.numero,
+        claveTecnica: resolucion.clave_tecnica,
+        ambiente: documento.ambiente
+    });
+    const codigoSeguridad = calcularCodigoSeguridad(documento.software.id, documento.software.pin, numero);
+
+    const cargos = [['Propina voluntaria', Number(propina)], ['Cargo por servicio', cargoServicio]]
+        .filter(([, valor]) => valor > 0);
+    const cargosXml = cargos.map(([motivo, valor], index) => `
+  <cac:AllowanceCharge>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:ChargeIndicator>true</cbc:ChargeIndicator>
+    <cbc:AllowanceChargeReason>${motivo}</cbc:AllowanceChargeReason>
+    ${monto('Amount', valor)}
+    ${monto('BaseAmount', valorLineas)}
+  </cac:AllowanceCharge>`).join('');
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"
+  xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2"
+  xmlns:sts="dian:gov:co:facturaelectronica:Structures-2-1">
+  <ext:UBLExtensions>
+    <ext:UBLExtension>
+      <ext:ExtensionContent>
+        <sts:DianExtensions>
+          <sts:InvoiceControl>
+            <sts:InvoiceAuthorization>${escaparXml(resolucion.numero_resolucion)}</sts:InvoiceAuthorization>
+            <sts:AuthorizationPeriod>
+              <cbc:StartDate>${resolucion.fecha_desde}</cbc:StartDate>
+              <cbc:EndDate>${resolucion.fecha_hasta}</cbc:EndDate>
+            </sts:AuthorizationPeriod>
+            <sts:AuthorizedInvoices>
+              <sts:Prefix>${escaparXml(resolucion.prefijo)}</sts:Prefix>
+              <sts:From>${resolucion.rango_desde}</sts:From>
+              <sts:To>${resolucion.rango_hasta}</sts:To>
+            </sts:AuthorizedInvoices>
+          </sts:InvoiceControl>
+          <sts:SoftwareProvider>
+            <sts:ProviderID schemeAgencyID="195" schemeID="${escaparXml(emisor.dv)}" schemeName="31">${escaparXml(emisor.numero)}</sts:ProviderID>
+            <sts:SoftwareID schemeAgencyID="195">${escaparXml(documento.software.id)}</sts:SoftwareID>
+          </sts:SoftwareProvider>
+          <sts:SoftwareSecurityCode schemeAgencyID="195">${codigoSeguridad}</sts:SoftwareSecurityCode>
+        </sts:DianExtensions>
+      </ext:ExtensionContent>
+    </ext:UBLExtension>
+  </ext:UBLExtensions>
+  <cbc:UBLVersionID>UBL 2.1</cbc:UBLVersionID>
+  <cbc:CustomizationID>10</cbc:CustomizationID>
+  <cbc:ProfileID>DIAN 2.1: Factura Electrónica de Venta</cbc:ProfileID>
+  <cbc:ProfileExecutionID>${documento.ambiente}</cbc:ProfileExecutionID>
+  <cbc:ID>${escaparXml(numero)}</cbc:ID>
+  <cbc:UUID schemeID="${documento.ambiente}" schemeName="CUFE-SHA384">${cufe}</cbc:UUID>
+  <cbc:IssueDate>${fecha}</cbc:IssueDate>
+  <cbc:IssueTime>${hora}</cbc:IssueTime>
+  <cbc:InvoiceTypeCode>01</cbc:InvoiceTypeCode>
+  <cbc:DocumentCurrencyCode>COP</cbc:DocumentCurrencyCode>
+  <cbc:LineCountNumeric>${lineas.length}</cbc:LineCountNumeric>${xmlParte('AccountingSupplierParty', emisor)}${xmlParte('AccountingCustomerParty', adquiriente)}
+  <cac:PaymentMeans>
+    <cbc:ID>1</cbc:ID>
+    <cbc:PaymentMeansCode>${documento.medio_pago}</cbc:PaymentMeansCode>
+  </cac:PaymentMeans>${cargosXml}${[...porTributo].map(([codigo, tarifas]) => xmlTaxTotal(codigo, tarifas)).join('')}
+  <cac:LegalMonetaryTotal>
+    ${monto('LineExtensionAmount', valorLineas)}
+    ${monto('TaxExclusiveAmount', baseGravable)}
+    ${monto('TaxInclusiveAmount', valorLineas + cargoServicio + valorImpuestos)}
+    ${monto('ChargeTotalAmount', Number(propina) + cargoServicio)}
+    ${monto('PayableAmount', total)}
+  </cac:LegalMonetaryTotal>${lineas.map(xmlLinea).join('')}
+</Invoice>
+`;
+    return { xml, cufe };
+};
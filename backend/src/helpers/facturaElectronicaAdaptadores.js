@@ -0,0 +1,136 @@
+// =================================================================
+// ARCHIVO: src/helpers/facturaElectronicaAdaptadores.js
+// ROL: Adaptadores de envío de la factura electrónica. Cada
+//      adaptador recibe el documento, lo valida contra su servicio
+//      y responde si fue aceptado o rechazado. El adaptador 'local'
+//      valida el XML sin conectarse a la DIAN (desarrollo y
+//      pruebas); un proveedor tecnológico real se agrega con
+//      'registrarAdaptador'.
+// =================================================================
+
+import { CODIGOS_TRIBUTO, ESTADOS_DOCUMENTO, calcularCufe } from './facturaElectronica.js';
+import { redondear } from './impuestos.js';
+
+/**
+ * Obtiene el contenido del primer elemento con la etiqueta indicada.
+ * @param {string} xml
+ * @param {string} etiqueta - Etiqueta con su prefijo (ej. 'cbc:ID').
+ * @returns {string|null}
+ */
+const leerElemento = (xml, etiqueta) => {
+    const coincidencia = xml.match(new RegExp(`<${etiqueta}(?:\\s[^>]*)?>([^<]*)</${etiqueta}>`));
+    return coincidencia ? coincidencia[1] : null;
+};
+
+/**
+ * Obtiene el bloque completo del primer elemento con la etiqueta indicada.
+ * @param {string} xml
+ * @param {string} etiqueta
+ * @returns {string}
+ */
+const leerBloque = (xml, etiqueta) => {
+    const coincidencia = xml.match(new RegExp(`<${etiqueta}>[\\s\\S]*?</${etiqueta}>`));
+    return coincidencia ? coincidencia[0] : '';
+};
+
+/**
+ * Suma el valor de cada tributo en los TaxTotal del documento (sin los de las líneas).
+ * @param {string} xml
+ * @returns {object} Valor por código de tributo.
+ */
+const leerTributos = (xml) => {
+    const documento = xml.replace(/<cac:InvoiceLine>[\s\S]*?<\/cac:InvoiceLine>/g, '');
+    const tributos = {};
+    for (const [bloque] of documento.matchAll(/<cac:TaxTotal>[\s\S]*?<\/cac:TaxTotal>/g)) {
+        const codigo = leerElemento(leerBloque(bloque, 'cac:TaxScheme'), 'cbc:ID');
+        tributos[codigo] = redondear((tributos[codigo] || 0) + Number(leerElemento(bloque, 'cbc:TaxAmount')));
+    }
+    return tributos;
+};
+
+/**
+ * Adaptador local: revisa que el XML tenga los elementos obligatorios, que los totales
+ * cuadren y que el CUFE corresponda a los datos del documento.
+ */
+const adaptadorLocal = {
+    /**
+     * @param {{numero: string, xml: string, clave_tecnica: string}} documento
+     * @returns {Promise<{estado: string, mensajes: Array<string>}>}
+     */
+    async enviar({ numero, xml, clave_tecnica }) {
+        const mensajes = [];
+        const requeridos = ['cbc:UBLVersionID', 'cbc:ID', 'cbc:UUID', 'cbc:IssueDate', 'cbc:IssueTime', 'cbc:PayableAmount', 'sts:InvoiceAuthorization'];
+        requeridos.filter(etiqueta => !leerElemento(xml, etiqueta)).forEach(etiqueta => {
+            mensajes.push(`Falta el elemento ${etiqueta}.`);
+        });
+        if (mensajes.length > 0) return { estado: ESTADOS_DOCUMENTO.RECHAZADO, mensajes };
+
+        if (leerElemento(xml, 'cbc:UBLVersionID') !== 'UBL 2.1') {
+            mensajes.push('La versión del documento debe ser UBL 2.1.');
+        }
+        if (leerElemento(xml, 'cbc:ID') !== numero) {
+            mensajes.push(`El número del documento no corresponde a ${numero}.`);
+        }
+
+        const totales = leerBloque(xml, 'cac:LegalMonetaryTotal');
+        const valorLineas = Number(leerElemento(totales, 'cbc:LineExtensionAmount'));
+        const sumaLineas = redondear([...xml.matchAll(/<cac:InvoiceLine>[\s\S]*?<\/cac:InvoiceLine>/g)]
+            .reduce((acc, [linea]) => acc + Number(leerElemento(linea, 'cbc:LineExtensionAmount')), 0));
+        if (sumaLineas !== valorLineas) {
+            mensajes.push(`La suma de las líneas (${sumaLineas.toFixed(2)}) no coincide con el valor antes de impuestos (${valorLineas.toFixed(2)}).`);
+        }
+
+        const tributos = leerTributos(xml);
+        const cufe = calcularCufe({
+            numero: leerElemento(xml, 'cbc:ID'),
+            fecha: leerElemento(xml, 'cbc:IssueDate'),
+            hora: leerElemento(xml, 'cbc:IssueTime'),
+            valor: valorLineas,
+            tributos: {
+                [CODIGOS_TRIBUTO.IVA]: tributos[CODIGOS_TRIBUTO.IVA],
+                [CODIGOS_TRIBUTO.INC]: tributos[CODIGOS_TRIBUTO.INC],
+                [CODIGOS_TRIBUTO.ICA]: tributos[CODIGOS_TRIBUTO.ICA]
+            },
+            total: leerElemento(totales, 'cbc:PayableAmount'),
+            nitEmisor: leerElemento(leerBloque(xml, 'cac:AccountingSupplierParty'), 'cbc:CompanyID'),
+            documentoAdquiriente: leerElemento(leerBloque(xml, 'cac:AccountingCustomerParty'), 'cbc:CompanyID'),
+            claveTecnica: clave_tecnica,
+            ambiente: leerElemento(xml, 'cbc:ProfileExecutionID')
+        });
+        if (cufe !== leerElemento(xml, 'cbc:UUID')) {
+            mensajes.push('El CUFE no corresponde a los datos del documento.');
+        }
+
+        return mensajes.length > 0
+            ? { estado: ESTADOS_DOCUMENTO.RECHAZADO, mensajes }
+            : { estado: ESTADOS_DOCUMENTO.ACEPTADO, mensajes: ['Documento validado por el adaptador local.'] };
+    }
+};
+
+// Adaptadores disponibles por nombre.
+const adaptadores = new Map([['local', adaptadorLocal]]);
+
+/**
+ * Registra un adaptador de envío (ej. el de un proveedor tecnológico).
+ * @param {string} nombre - Nombre con el que se selecciona en DIAN_ADAPTADOR.
+ * @param {{enviar: Function}} adaptador - Objeto con 'enviar(documento)' que resuelve { estado, mensajes }.
+ */
+export const registrarAdaptador = (nombre, adaptador) => {
+    if (typeof adaptador?.enviar !== 'function') {
+        throw new Error(`El adaptador "${nombre}" debe implementar enviar(documento).`);
+    }
+    adaptadores.set(nombre, adaptador);
+};
+
+/**
+ * Obtiene un adaptador de envío por su nombre.
+ * @param {string} nombre
+ * @returns {{enviar: Function}}
+ */
+export const getAdaptador = (nombre) => {
+    const adaptador = adaptadores.get(nombre);
+    if (!adaptador) {
+        throw new Error(`No existe el adaptador de facturación electrónica "${nombre}".`);
+    }
+    return adaptador;
+};
@@ -0,0 +1,31 @@
+// =================================================================
+// ARCHIVO: src/helpers/fechas.js
+// ROL: Validación de los períodos (desde/hasta) que reciben los
+//      reportes por rango de fechas.
+// =================================================================
+
+// Formato de las fechas de los filtros: YYYY-MM-DD.
+const FORMATO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Indica si un valor es una fecha válida con formato YYYY-MM-DD.
+ * @param {any} fecha
+ * @returns {boolean}
+ */
+export const esFechaValida = (fecha) => FORMATO_FECHA.test(String(fecha ?? '')) && !Number.isNaN(new Date(fecha).getTime());
+
+/**
+ * Valida un período de fechas (ambos extremos incluidos).
+ * @param {string} desde - Fecha inicial (YYYY-MM-DD).
+ * @param {string} hasta - Fecha final (YYYY-MM-DD).
+ * @returns {string|null} El mensaje de error, o null si el período es válido.
+ */
+export const validarPeriodo = (desde, hasta) => {
+    if (!esFechaValida(desde) || !esFechaValida(hasta)) {
+        return 'Las fechas inicial y final del período son requeridas (YYYY-MM-DD).';
+    }
+    if (desde > hasta) {
+        return 'La fecha inicial no puede ser posterior a la fecha final.';
+    }
+    return null;
+};
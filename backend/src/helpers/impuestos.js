@@ -0,0 +1,72 @@
+// =================================================================
+// ARCHIVO: src/helpers/impuestos.js
+// ROL: Reglas de las tarifas de impuesto. Resuelve la tarifa que
+//      aplica a cada producto (la propia o la de su categoría) y
+//      calcula el desglose por tarifa de una factura. Lo usan los
+//      controladores de pedidos y facturas.
+// =================================================================
+
+/**
+ * Tarifa usada para las líneas cuyo producto y categoría no tienen impuesto asignado.
+ */
+export const SIN_IMPUESTO = Object.freeze({ impuesto_id: null, nombre: 'Sin impuesto', porcentaje: 0 });
+
+/**
+ * Redondea un valor monetario a dos decimales.
+ * @param {number} valor
+ * @returns {number}
+ */
+export const redondear = (valor) => Math.round((Number(valor) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Obtiene la tarifa que aplica a un producto: la propia si la tiene,
+ * si no la de su categoría.
+ * @param {object} producto - Producto con 'Impuesto' y 'Categoria.Impuesto' incluidos.
+ * @returns {{impuesto_id: number|null, nombre: string, porcentaje: number}}
+ */
+export const getImpuestoAplicable = (producto) => {
+    const impuesto = producto?.Impuesto || producto?.Categoria?.Impuesto;
+    if (!impuesto) return SIN_IMPUESTO;
+    return {
+        impuesto_id: impuesto.impuesto_id,
+        nombre: impuesto.nombre,
+        porcentaje: Number(impuesto.porcentaje) || 0
+    };
+};
+
+/**
+ * Agrupa las líneas de una factura por tarifa y calcula el impuesto de cada grupo.
+ * El impuesto se calcula sobre la base acumulada de la tarifa (no línea por línea)
+ * para evitar diferencias de redondeo.
+ * @param {Array<{base: number, impuesto: object}>} lineas - Base gravable de cada línea y su tarifa.
+ * @returns {{desglose: Array<{impuesto_id: number|null, nombre: string, porcentaje: number, base: number, valor: number}>, impuesto_total: number}}
+ */
+export const calcularDesgloseImpuestos = (lineas) => {
+    const grupos = new Map();
+
+    for (const { base, impuesto } of lineas) {
+        const tarifa = impuesto || SIN_IMPUESTO;
+        const clave = `${tarifa.impuesto_id ?? 'ninguno'}|${tarifa.porcentaje}`;
+        const grupo = grupos.get(clave) || {
+            impuesto_id: tarifa.impuesto_id ?? null,
+            nombre: tarifa.nombre,
+            porcentaje: Number(tarifa.porcentaje) || 0,
+            base: 0
+        };
+        grupo.base += Number(base) || 0;
+        grupos.set(clave, grupo);
+    }
+
+    const desglose = [...grupos.values()]
+        .map((grupo) => ({
+            ...grupo,
+            base: redondear(grupo.base),
+            valor: redondear(grupo.base * grupo.porcentaje / 100)
+        }))
+        .sort((a, b) => b.porcentaje - a.porcentaje);
+
+    return {
+        desglose,
+        impuesto_total: redondear(desglose.reduce((acc, grupo) => acc + grupo.valor, 0))
+    };
+};
@@ -0,0 +1,159 @@
+// =================================================================
+// ARCHIVO: src/helpers/ingenieriaMenu.js
+// ROL: Rentabilidad de los productos del menú. Calcula el costo
+//      teórico de cada producto a partir de su receta (costo promedio
+//      de los ingredientes), su porcentaje de costo, su margen y su
+//      margen de contribución en un período, y los clasifica con la
+//      ingeniería de menú (estrella, caballo de batalla, rompecabezas
+//      y perro). Lo usa el controlador de estadísticas.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+import { redondearCosto } from './inventario.js';
+
+/**
+ * Clases de la ingeniería de menú, según popularidad y margen de contribución.
+ */
+export const CLASES_MENU = Object.freeze({
+    ESTRELLA: 'estrella',                    // Popular y rentable.
+    CABALLO_DE_BATALLA: 'caballo_de_batalla', // Popular, poco rentable.
+    ROMPECABEZAS: 'rompecabezas',            // Rentable, poco popular.
+    PERRO: 'perro'                           // Ni popular ni rentable.
+});
+
+/**
+ * Etiquetas legibles de cada clase para el PDF y las vistas.
+ */
+export const ETIQUETAS_CLASE_MENU = Object.freeze({
+    estrella: 'Estrella',
+    caballo_de_batalla: 'Caballo de batalla',
+    rompecabezas: 'Rompecabezas',
+    perro: 'Perro'
+});
+
+/**
+ * Acción sugerida para cada clase.
+ */
+export const ACCIONES_CLASE_MENU = Object.freeze({
+    estrella: 'Mantener',
+    caballo_de_batalla: 'Subir precio o bajar costo',
+    rompecabezas: 'Promocionar',
+    perro: 'Retirar o rediseñar'
+});
+
+/**
+ * Un producto es popular si su participación en las ventas llega al 70% de la
+ * participación que tendría si todos se vendieran por igual.
+ */
+export const FACTOR_POPULARIDAD = 0.7;
+
+/**
+ * Calcula el costo teórico de una unidad de un producto con su receta.
+ * El costo queda incompleto si algún ingrediente aún no tiene costo promedio
+ * (nunca se ha comprado con una orden de compra).
+ * @param {Array<{cantidad: number|string, costo_promedio: number|string|null}>} receta - Ingredientes por unidad del producto.
+ * @returns {{costo: number|null, completo: boolean}} 'costo' es null si el producto no tiene receta.
+ */
+export const calcularCostoReceta = (receta) => {
+    if (!Array.isArray(receta) || receta.length === 0) {
+        return { costo: null, completo: false };
+    }
+    const completo = receta.every(item => item.costo_promedio !== null && item.costo_promedio !== undefined);
+    const costo = receta.reduce((acc, item) => acc + Number(item.cantidad) * Number(item.costo_promedio || 0), 0);
+    return { costo: redondearCosto(costo), completo };
+};
+
+/**
+ * Agrupa por producto las líneas vendidas en el período.
+ * @param {Array<{producto_id: number, nombre: string, cantidad: number|string, precio_unitario: number}>} lineas
+ *        Líneas de pedido con el precio unitario con que se valoran.
+ * @returns {Array<{producto_id: number, nombre: string, cantidad: number, ingresos: number}>}
+ */
+export const agruparVentasPorProducto = (lineas) => {
+    const porProducto = new Map();
+    lineas.forEach(linea => {
+        const venta = porProducto.get(linea.producto_id) || { producto_id: linea.producto_id, nombre: linea.nombre, cantidad: 0, ingresos: 0 };
+        venta.cantidad += Number(linea.cantidad);
+        venta.ingresos += Number(linea.cantidad) * Number(linea.precio_unitario);
+        porProducto.set(linea.producto_id, venta);
+    });
+    return [...porProducto.values()].map(venta => ({ ...venta, ingresos: redondear(venta.ingresos) }));
+};
+
+/**
+ * Clasifica un producto con la ingeniería de menú.
+ * @param {boolean} popular - Si su participación en las ventas llega al umbral de popularidad.
+ * @param {boolean} rentable - Si su margen de contribución unitario llega al promedio.
+ * @returns {string} Una de CLASES_MENU.
+ */
+export const clasificarProductoMenu = (popular, rentable) => {
+    if (popular) return rentable ? CLASES_MENU.ESTRELLA : CLASES_MENU.CABALLO_DE_BATALLA;
+    return rentable ? CLASES_MENU.ROMPECABEZAS : CLASES_MENU.PERRO;
+};
+
+/**
+ * Calcula la rentabilidad de los productos vendidos y los clasifica con la ingeniería de menú.
+ * El precio es el promedio por unidad de los ingresos de 'ventas' (antes de impuestos y descuentos
+ * de la factura); debe cubrir lo mismo que la receta con que se calcula el costo.
+ * Solo se clasifican los productos con costo completo; la participación y el margen de
+ * contribución promedio se calculan entre ellos.
+ * @param {Array<{producto_id: number, nombre: string, cantidad: number, ingresos: number}>} ventas - Ventas agrupadas por producto.
+ * @param {Map<number, {costo: number|null, completo: boolean}>} costos - Costo de la receta de cada producto.
+ * @returns {{productos: Array<object>, margenContribucionPromedio: number|null, umbralPopularidad: number|null, totales: object}}
+ *          Los productos quedan ordenados por margen de contribución total, de mayor a menor.
+ */
+export const analizarIngenieriaMenu = (ventas, costos) => {
+    const productos = ventas.filter(venta => venta.cantidad > 0).map(venta => {
+        const { costo, completo } = costos.get(venta.producto_id) || { costo: null, completo: false };
+        const precio = venta.ingresos / venta.cantidad;
+        const conCosto = costo !== null && completo;
+        const margenUnitario = conCosto ? precio - costo : null;
+        return {
+            producto_id: venta.producto_id,
+            nombre: venta.nombre,
+            cantidad: venta.cantidad,
+            ingresos: redondear(venta.ingresos),
+            precio_promedio: redondear(precio),
+            costo_unitario: costo,
+            costo_completo: conCosto,
+            costo_total: conCosto ? redondear(costo * venta.cantidad) : null,
+            porcentaje_costo: conCosto && precio > 0 ? redondear((costo / precio) * 100) : null,
+            porcentaje_margen: conCosto && precio > 0 ? redondear((margenUnitario / precio) * 100) : null,
+            margen_contribucion: conCosto ? redondear(margenUnitario) : null,
+            margen_contribucion_total: conCosto ? redondear(margenUnitario * venta.cantidad) : null,
+            participacion: null,
+            clase: null
+        };
+    });
+
+    const clasificables = productos.filter(producto => producto.costo_completo);
+    const unidades = clasificables.reduce((acc, producto) => acc + producto.cantidad, 0);
+    const margenTotal = clasificables.reduce((acc, producto) => acc + producto.margen_contribucion_total, 0);
+    const margenContribucionPromedio = unidades > 0 ? redondear(margenTotal / unidades) : null;
+    const umbralPopularidad = clasificables.length > 0 ? redondear((FACTOR_POPULARIDAD / clasificables.length) * 100) : null;
+
+    clasificables.forEach(producto => {
+        producto.participacion = redondear((producto.cantidad / unidades) * 100);
+        producto.clase = clasificarProductoMenu(
+            producto.participacion >= umbralPopularidad,
+            producto.margen_contribucion >= margenContribucionPromedio
+        );
+    });
+
+    const ingresos = clasificables.reduce((acc, producto) => acc + producto.ingresos, 0);
+    const costoTotal = clasificables.reduce((acc, producto) => acc + producto.costo_total, 0);
+    productos.sort((a, b) => (b.margen_contribucion_total ?? -Infinity) - (a.margen_contribucion_total ?? -Infinity) || b.cantidad - a.cantidad);
+
+    return {
+        productos,
+        margenContribucionPromedio,
+        umbralPopularidad,
+        totales: {
+            ingresos: redondear(ingresos),
+            costo: redondear(costoTotal),
+            margen_contribucion: redondear(margenTotal),
+            porcentaje_costo: ingresos > 0 ? redondear((costoTotal / ingresos) * 100) : null,
+            sin_costo: productos.length - clasificables.length
+        }
+    };
+};
@@ -0,0 +1,311 @@
+// =================================================================
+// ARCHIVO: src/helpers/inventario.js
+// ROL: Reglas del inventario de ingredientes. Valida los
+//      ingredientes, las recetas de los productos y los ajustes
+//      manuales, calcula cuánto de cada ingrediente consumen las
+//      líneas de un pedido, recalcula el costo promedio con cada
+//      compra y decide qué ingredientes están bajos y qué productos
+//      se agotan o habilitan solos según la existencia. Lo usan los
+//      controladores de inventario, productos, pedidos y órdenes de
+//      compra ('utils/movimientosInventario.js') y el resumen diario.
+// =================================================================
+
+import { esFechaValida } from './fechas.js';
+import { POR_PAGINA_DEFECTO, POR_PAGINA_MAXIMO } from './busquedaFacturas.js';
+
+/**
+ * Unidades de medida de los ingredientes.
+ */
+export const UNIDADES_INGREDIENTE = Object.freeze(['g', 'kg', 'ml', 'l', 'unidad']);
+
+/**
+ * Tipos de movimiento de inventario.
+ */
+export const TIPOS_MOVIMIENTO_INVENTARIO = Object.freeze({
+    CONSUMO: 'consumo',
+    DEVOLUCION: 'devolucion',
+    AJUSTE: 'ajuste',
+    COMPRA: 'compra'
+});
+
+/**
+ * Redondea una cantidad de inventario a 3 decimales (la precisión con que se guarda).
+ * @param {number|string} valor
+ * @returns {number}
+ */
+export const redondearCantidad = (valor) => Math.round((Number(valor) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Redondea un costo unitario a 4 decimales (la precisión con que se guarda; los
+ * ingredientes en gramos o mililitros cuestan fracciones de peso por unidad).
+ * @param {number|string} valor
+ * @returns {number}
+ */
+export const redondearCosto = (valor) => Math.round((Number(valor) + Number.EPSILON) * 10000) / 10000;
+
+/**
+ * Indica si una cantidad tiene máximo 3 decimales.
+ * @param {number} valor
+ * @returns {boolean}
+ */
+const tienePrecisionValida = (valor) => redondearCantidad(valor) === valor;
+
+/**
+ * Valida los datos de un ingrediente antes de guardarlo.
+ * La existencia inicial es opcional; después solo cambia con movimientos de inventario.
+ * @param {object} ingrediente - { nombre, unidad, stock, stock_minimo }.
+ * @returns {Array<string>} Lista de errores; vacía si el ingrediente es válido.
+ */
+export const validarIngrediente = (ingrediente) => {
+    const errores = [];
+    if (!ingrediente.nombre || !String(ingrediente.nombre).trim()) {
+        errores.push('El nombre del ingrediente es requerido.');
+    } else if (String(ingrediente.nombre).trim().length > 100) {
+        errores.push('El nombre del ingrediente admite máximo 100 caracteres.');
+    }
+    if (!UNIDADES_INGREDIENTE.includes(ingrediente.unidad)) {
+        errores.push(`La unidad '${ingrediente.unidad ?? ''}' no es válida. Unidades permitidas: ${UNIDADES_INGREDIENTE.join(', ')}.`);
+    }
+    if (ingrediente.stock !== undefined && ingrediente.stock !== '') {
+        const stock = Number(ingrediente.stock);
+        if (!Number.isFinite(stock) || stock < 0 || !tienePrecisionValida(stock)) {
+            errores.push('La existencia inicial debe ser un número mayor o igual a 0 con máximo 3 decimales.');
+        }
+    }
+    if (ingrediente.stock_minimo !== undefined && ingrediente.stock_minimo !== null && ingrediente.stock_minimo !== '') {
+        const minimo = Number(ingrediente.stock_minimo);
+        if (!Number.isFinite(minimo) || minimo < 0 || !tienePrecisionValida(minimo)) {
+            errores.push('El punto de reorden debe ser un número mayor o igual a 0 con máximo 3 decimales (vacío para no avisar).');
+        }
+    }
+    return errores;
+};
+
+/**
+ * Valida la receta de un producto: cada ingrediente una sola vez y con una cantidad mayor a 0.
+ * Una receta vacía es válida (el producto no descuenta inventario).
+ * @param {Array<{ingrediente_id: number, cantidad: number}>} lineas
+ * @returns {Array<string>} Lista de errores; vacía si la receta es válida.
+ */
+export const validarReceta = (lineas) => {
+    if (!Array.isArray(lineas)) {
+        return ['Los ingredientes de la receta deben enviarse como una lista.'];
+    }
+    const errores = [];
+    const vistos = new Set();
+    lineas.forEach((linea, index) => {
+        const ingredienteId = Number(linea?.ingrediente_id);
+        const cantidad = Number(linea?.cantidad);
+        if (!Number.isInteger(ingredienteId) || ingredienteId <= 0) {
+            errores.push(`La línea ${index + 1} de la receta requiere un ingrediente.`);
+        } else if (vistos.has(ingredienteId)) {
+            errores.push(`El ingrediente #${ingredienteId} está repetido en la receta.`);
+        }
+        vistos.add(ingredienteId);
+        if (!Number.isFinite(cantidad) || cantidad <= 0 || !tienePrecisionValida(cantidad)) {
+            errores.push(`La cantidad de la línea ${index + 1} debe ser mayor a 0 con máximo 3 decimales.`);
+        }
+    });
+    return errores;
+};
+
+/**
+ * Valida un ajuste manual de inventario.
+ * @param {object} ajuste - { cantidad, motivo }; 'cantidad' es positiva si suma existencia y negativa si la descuenta.
+ * @returns {Array<string>} Lista de errores; vacía si el ajuste es válido.
+ */
+export const validarAjuste = (ajuste) => {
+    const errores = [];
+    const cantidad = Number(ajuste.cantidad);
+    if (ajuste.cantidad === '' || ajuste.cantidad == null || !Number.isFinite(cantidad) || cantidad === 0 || !tienePrecisionValida(cantidad)) {
+        errores.push('La cantidad del ajuste debe ser distinta de 0 con máximo 3 decimales (negativa para descontar).');
+    }
+    if (!ajuste.motivo || !String(ajuste.motivo).trim()) {
+        errores.push('El motivo del ajuste es requerido.');
+    } else if (String(ajuste.motivo).trim().length > 255) {
+        errores.push('El motivo del ajuste admite máximo 255 caracteres.');
+    }
+    return errores;
+};
+
+/**
+ * Calcula cuánto de cada ingrediente consumen las líneas de un pedido según las recetas.
+ * Los productos sin receta no consumen nada.
+ * @param {Array<{producto_id: number, cantidad: number}>} lineas - Líneas del pedido.
+ * @param {Array<{producto_id: number, ingrediente_id: number, cantidad: number|string}>} recetas - Recetas de esos productos.
+ * @returns {Map<number, number>} Cantidad consumida por ingrediente.
+ */
+export const calcularConsumo = (lineas, recetas) => {
+    const recetasPorProducto = new Map();
+    recetas.forEach(receta => {
+        const productoId = Number(receta.producto_id);
+        recetasPorProducto.set(productoId, [...(recetasPorProducto.get(productoId) || []), receta]);
+    });
+    const consumo = new Map();
+    lineas.forEach(linea => {
+        (recetasPorProducto.get(Number(linea.producto_id)) || []).forEach(receta => {
+            const ingredienteId = Number(receta.ingrediente_id);
+            consumo.set(ingredienteId, redondearCantidad((consumo.get(ingredienteId) || 0) + Number(receta.cantidad) * Number(linea.cantidad)));
+        });
+    });
+    return consumo;
+};
+
+/**
+ * Compara lo que un pedido debe consumir con lo que ya tiene registrado en el inventario.
+ * @param {Map<number, number>} requerido - Consumo según las líneas actuales del pedido.
+ * @param {Map<number, number>} registrado - Consumo neto ya descontado al pedido.
+ * @returns {Map<number, number>} Por ingrediente, lo que falta descontar (positivo) o
+ *          lo que se debe devolver (negativo); no incluye los ingredientes sin diferencia.
+ */
+export const calcularDiferenciaConsumo = (requerido, registrado) => {
+    const diferencia = new Map();
+    new Set([...requerido.keys(), ...registrado.keys()]).forEach(ingredienteId => {
+        const valor = redondearCantidad((requerido.get(ingredienteId) || 0) - (registrado.get(ingredienteId) || 0));
+        if (valor !== 0) diferencia.set(ingredienteId, valor);
+    });
+    return diferencia;
+};
+
+/**
+ * Valida los filtros del libro de movimientos de inventario recibidos en la consulta.
+ * Todos son opcionales: sin filtros se listan todos los movimientos, los más recientes primero.
+ * @param {object} query - Parámetros de la consulta (ingrediente_id, tipo, desde, hasta, pagina, por_pagina).
+ * @returns {{errores: Array<string>, filtros: object}} Los mensajes de error y los filtros normalizados.
+ */
+export const validarFiltrosMovimientos = (query = {}) => {
+    const errores = [];
+    const leer = (valor) => (valor === undefined || valor === null || String(valor).trim() === '' ? null : String(valor).trim());
+
+    const ingrediente = leer(query.ingrediente_id);
+    const ingrediente_id = ingrediente === null ? null : Number(ingrediente);
+    if (ingrediente_id !== null && (!Number.isInteger(ingrediente_id) || ingrediente_id <= 0)) {
+        errores.push('El ingrediente debe indicarse con su ID.');
+    }
+    const tipo = leer(query.tipo);
+    if (tipo !== null && !Object.values(TIPOS_MOVIMIENTO_INVENTARIO).includes(tipo)) {
+        errores.push(`El tipo debe ser uno de: ${Object.values(TIPOS_MOVIMIENTO_INVENTARIO).join(', ')}.`);
+    }
+    const desde = leer(query.desde);
+    const hasta = leer(query.hasta);
+    if ((desde && !esFechaValida(desde)) || (hasta && !esFechaValida(hasta))) {
+        errores.push('Las fechas del filtro deben tener el formato YYYY-MM-DD.');
+    } else if (desde && hasta && desde > hasta) {
+        errores.push('La fecha inicial no puede ser posterior a la fecha final.');
+    }
+    const pagina = leer(query.pagina) === null ? 1 : Number(query.pagina);
+    const por_pagina = leer(query.por_pagina) === null ? POR_PAGINA_DEFECTO : Number(query.por_pagina);
+    if (!Number.isInteger(pagina) || pagina < 1) {
+        errores.push('La página debe ser un entero mayor o igual a 1.');
+    }
+    if (!Number.isInteger(por_pagina) || por_pagina < 1 || por_pagina > POR_PAGINA_MAXIMO) {
+        errores.push(`Los movimientos por página deben ser un entero entre 1 y ${POR_PAGINA_MAXIMO}.`);
+    }
+
+    return { errores, filtros: { ingrediente_id, tipo, desde, hasta, pagina, por_pagina } };
+};
+
+/**
+ * Recalcula el costo promedio ponderado de un ingrediente al recibir una compra.
+ * La existencia negativa (consumos sin inventario registrado) no pesa en el promedio, y
+ * si el ingrediente aún no tiene costo el promedio arranca con el de la compra.
+ * @param {{stock: number|string, costo_promedio: number|string|null}} ingrediente - Antes de la compra.
+ * @param {number} cantidad - Cantidad recibida.
+ * @param {number} costoUnitario - Costo por unidad de la compra.
+ * @returns {number} El nuevo costo promedio por unidad.
+ */
+export const calcularCostoPromedio = (ingrediente, cantidad, costoUnitario) => {
+    const existencia = Math.max(Number(ingrediente.stock), 0);
+    if (ingrediente.costo_promedio === null || ingrediente.costo_promedio === undefined || existencia === 0) {
+        return redondearCosto(costoUnitario);
+    }
+    return redondearCosto((existencia * Number(ingrediente.costo_promedio) + Number(cantidad) * Number(costoUnitario)) / (existencia + Number(cantidad)));
+};
+
+/**
+ * Indica si un ingrediente llegó a su punto de reorden (o bajó de él).
+ * Los ingredientes sin punto de reorden nunca están bajos.
+ * @param {{stock: number|string, stock_minimo: number|string|null}} ingrediente
+ * @returns {boolean}
+ */
+export const estaBajoMinimo = (ingrediente) => ingrediente.stock_minimo !== null
+    && ingrediente.stock_minimo !== undefined
+    && Number(ingrediente.stock) <= Number(ingrediente.stock_minimo);
+
+/**
+ * Obtiene los ingredientes que un descuento de existencia acaba de llevar a su punto de
+ * reorden: solo se avisa al cruzarlo, no en cada consumo mientras siga bajo.
+ * @param {Array<{ingrediente_id: number, cantidad: number|string, stock_resultante: number|string}>} movimientos
+ * @param {Map<number, object>} ingredientesPorId - Ingredientes con su 'stock_minimo'.
+ * @returns {Array<object>} Los ingredientes que cruzaron el punto de reorden.
+ */
+export const getIngredientesQueLlegaronAlMinimo = (movimientos, ingredientesPorId) => movimientos
+    .filter(movimiento => Number(movimiento.cantidad) < 0)
+    .map(movimiento => {
+        const ingrediente = ingredientesPorId.get(Number(movimiento.ingrediente_id));
+        const anterior = redondearCantidad(Number(movimiento.stock_resultante) - Number(movimiento.cantidad));
+        return ingrediente
+            && estaBajoMinimo({ stock: movimiento.stock_resultante, stock_minimo: ingrediente.stock_minimo })
+            && !estaBajoMinimo({ stock: anterior, stock_minimo: ingrediente.stock_minimo })
+            ? ingrediente
+            : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Decide qué productos se agotan o se habilitan solos según la existencia de los
+ * ingredientes de su receta: un producto se puede preparar si alcanza para al menos una
+ * unidad. Solo se habilitan los que el sistema agotó; los que agotó la cocina siguen igual.
+ * Los productos sin receta no se tocan.
+ * @param {Array<{producto_id: number, disponible: boolean, agotado_por_inventario: boolean}>} productos
+ * @param {Array<{producto_id: number, ingrediente_id: number, cantidad: number|string}>} recetas - Recetas de esos productos.
+ * @param {Map<number, number>} stockPorIngrediente - Existencia de los ingredientes de esas recetas.
+ * @returns {{agotar: Array<number>, habilitar: Array<number>}} IDs de los productos a agotar y a habilitar.
+ */
+export const clasificarProductosPorExistencia = (productos, recetas, stockPorIngrediente) => {
+    const agotar = [];
+    const habilitar = [];
+    productos.forEach(producto => {
+        const receta = recetas.filter(linea => Number(linea.producto_id) === producto.producto_id);
+        if (receta.length === 0) return;
+        const alcanza = receta.every(linea => (stockPorIngrediente.get(Number(linea.ingrediente_id)) ?? 0) >= Number(linea.cantidad));
+        if (!alcanza && producto.disponible) agotar.push(producto.producto_id);
+        if (alcanza && !producto.disponible && producto.agotado_por_inventario) habilitar.push(producto.producto_id);
+    });
+    return { agotar, habilitar };
+};
+
+// Formato de la hora del resumen diario: HH:MM (24 horas).
+const FORMATO_HORA = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Calcula cuándo se debe enviar el próximo resumen diario de inventario.
+ * @param {string} hora - Hora local del envío (HH:MM).
+ * @param {Date} [ahora]
+ * @returns {Date|null} La fecha del próximo envío, o null si la hora no es válida.
+ */
+export const getProximoResumen = (hora, ahora = new Date()) => {
+    const partes = FORMATO_HORA.exec(String(hora ?? '').trim());
+    if (!partes) return null;
+    const proximo = new Date(ahora);
+    proximo.setHours(Number(partes[1]), Number(partes[2]), 0, 0);
+    if (proximo <= ahora) proximo.setDate(proximo.getDate() + 1);
+    return proximo;
+};
+
+/**
+ * Arma el texto del resumen de inventario bajo.
+ * @param {Array<{nombre: string, unidad: string, stock: number|string, stock_minimo: number|string}>} ingredientes - Ingredientes bajos.
+ * @param {Array<{nombre_producto: string}>} productos - Productos agotados por inventario.
+ * @returns {string}
+ */
+export const armarResumenInventario = (ingredientes, productos) => {
+    const lineas = ingredientes.length > 0
+        ? ['Ingredientes en su punto de reorden o por debajo:', ...ingredientes.map(ingrediente =>
+            `- ${ingrediente.nombre}: ${redondearCantidad(ingrediente.stock)} ${ingrediente.unidad} (mínimo ${redondearCantidad(ingrediente.stock_minimo)} ${ingrediente.unidad})`)]
+        : ['No hay ingredientes en su punto de reorden.'];
+    if (productos.length > 0) {
+        lineas.push('', 'Productos agotados por falta de ingredientes:', ...productos.map(producto => `- ${producto.nombre_producto}`));
+    }
+    return lineas.join('\n');
+};
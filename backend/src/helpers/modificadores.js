@@ -0,0 +1,161 @@
+// =================================================================
+// ARCHIVO: src/helpers/modificadores.js
+// ROL: Reglas de los modificadores de producto (grupos de opciones
+//      con ajuste de precio). Valida la configuración de un grupo, la
+//      selección hecha en cada línea de un pedido y calcula el precio
+//      unitario resultante. Lo usan los controladores de productos,
+//      pedidos y facturas.
+// =================================================================
+
+/**
+ * Tipos de grupo de modificadores.
+ */
+export const TIPOS_GRUPO_MODIFICADOR = Object.freeze(['proteina', 'salsa', 'extra', 'sin']);
+
+/**
+ * Obtiene los IDs de opción (ordenados) de una lista de modificadores.
+ * Acepta tanto IDs sueltos como objetos con 'opcion_id'.
+ * @param {Array<number|object>} [modificadores] - Modificadores de una línea.
+ * @returns {Array<number>}
+ */
+export const getOpcionIds = (modificadores) => {
+    if (!Array.isArray(modificadores)) return [];
+    return modificadores
+        .map((m) => Number(m?.opcion_id ?? m))
+        .sort((a, b) => a - b);
+};
+
+/**
+ * Valida los datos de un grupo de modificadores y sus opciones antes de guardarlos.
+ * @param {object} grupo - { nombre, tipo, min_seleccion, max_seleccion, opciones: [{ nombre, precio_delta }] }.
+ * @returns {Array<string>} Lista de errores; vacía si el grupo es válido.
+ */
+export const validarGrupoModificador = (grupo) => {
+    const errores = [];
+    const min = Number(grupo.min_seleccion ?? 0);
+    const max = grupo.max_seleccion == null || grupo.max_seleccion === '' ? null : Number(grupo.max_seleccion);
+
+    if (!grupo.nombre || !String(grupo.nombre).trim()) {
+        errores.push('El nombre del grupo es requerido.');
+    }
+    if (grupo.tipo !== undefined && !TIPOS_GRUPO_MODIFICADOR.includes(grupo.tipo)) {
+        errores.push(`El tipo '${grupo.tipo}' no es válido. Tipos permitidos: ${TIPOS_GRUPO_MODIFICADOR.join(', ')}.`);
+    }
+    if (!Number.isInteger(min) || min < 0) {
+        errores.push('La selección mínima debe ser un entero mayor o igual a 0.');
+    }
+    if (max !== null && (!Number.isInteger(max) || max < 1 || max < min)) {
+        errores.push('La selección máxima debe ser un entero mayor o igual a 1 y a la selección mínima.');
+    }
+
+    if (grupo.opciones !== undefined) {
+        if (!Array.isArray(grupo.opciones)) {
+            errores.push('Las opciones deben enviarse como una lista.');
+        } else {
+            grupo.opciones.forEach((opcion, index) => {
+                if (!opcion?.nombre || !String(opcion.nombre).trim()) {
+                    errores.push(`La opción ${index + 1} requiere un nombre.`);
+                }
+                if (opcion?.precio_delta !== undefined && !Number.isFinite(Number(opcion.precio_delta))) {
+                    errores.push(`El ajuste de precio de la opción ${index + 1} no es un número válido.`);
+                }
+            });
+            if (min > grupo.opciones.length) {
+                errores.push('La selección mínima no puede superar el número de opciones.');
+            }
+        }
+    }
+
+    return errores;
+};
+
+/**
+ * Valida las opciones elegidas para una línea contra los grupos del producto
+ * y construye la copia que se guarda en el detalle del pedido.
+ * @param {Array<object>} grupos - Grupos del producto con sus 'opciones'.
+ * @param {Array<number|object>} seleccion - Opciones elegidas (IDs u objetos con 'opcion_id').
+ * @returns {{errores: Array<string>, modificadores: Array<object>}}
+ */
+export const validarSeleccionModificadores = (grupos, seleccion) => {
+    const errores = [];
+    const ids = getOpcionIds(seleccion);
+    const opcionesPorId = new Map();
+
+    for (const grupo of grupos) {
+        for (const opcion of grupo.opciones || []) {
+            opcionesPorId.set(Number(opcion.opcion_id), { grupo, opcion });
+        }
+    }
+
+    const vistos = new Set();
+    for (const id of ids) {
+        if (vistos.has(id)) {
+            errores.push(`La opción ${id} está repetida.`);
+            continue;
+        }
+        vistos.add(id);
+
+        const encontrada = opcionesPorId.get(id);
+        if (!encontrada) {
+            errores.push(`La opción ${id} no pertenece a este producto.`);
+        } else if (encontrada.opcion.activo === false) {
+            errores.push(`La opción '${encontrada.opcion.nombre}' no está disponible.`);
+        }
+    }
+
+    // Reglas de cada grupo; las opciones se devuelven en el orden del menú.
+    const modificadores = [];
+    for (const grupo of grupos) {
+        const elegidas = (grupo.opciones || []).filter((o) => vistos.has(Number(o.opcion_id)));
+        const min = Number(grupo.min_seleccion) || 0;
+        const max = grupo.max_seleccion == null ? null : Number(grupo.max_seleccion);
+
+        if (elegidas.length < min) {
+            errores.push(`Debe elegir al menos ${min} opción(es) en '${grupo.nombre}'.`);
+        }
+        if (max !== null && elegidas.length > max) {
+            errores.push(`Puede elegir máximo ${max} opción(es) en '${grupo.nombre}'.`);
+        }
+
+        for (const opcion of elegidas) {
+            modificadores.push({
+                opcion_id: Number(opcion.opcion_id),
+                grupo_id: Number(grupo.grupo_id),
+                grupo: grupo.nombre,
+                tipo: grupo.tipo,
+                nombre: opcion.nombre,
+                precio_delta: Number(opcion.precio_delta) || 0
+            });
+        }
+    }
+
+    return { errores, modificadores };
+};
+
+/**
+ * Calcula el precio unitario de una línea sumando los ajustes de sus modificadores.
+ * El resultado nunca es negativo.
+ * @param {number|string} valorNeto - Precio base del producto.
+ * @param {Array<object>} [modificadores] - Modificadores guardados en la línea.
+ * @returns {number}
+ */
+export const calcularPrecioUnitario = (valorNeto, modificadores) => {
+    const ajuste = (modificadores || []).reduce((acc, m) => acc + (Number(m.precio_delta) || 0), 0);
+    return Math.max(0, (parseFloat(valorNeto) || 0) + ajuste);
+};
+
+/**
+ * Describe los modificadores de una línea en una sola cadena legible
+ * (ej. "Sin cebolla, Extra salsa (+$2000.00)").
+ * @param {Array<object>} [modificadores] - Modificadores guardados en la línea.
+ * @returns {string}
+ */
+export const describirModificadores = (modificadores) => {
+    return (modificadores || [])
+        .map((m) => {
+            const delta = Number(m.precio_delta) || 0;
+            if (delta === 0) return m.nombre;
+            return `${m.nombre} (${delta > 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)})`;
+        })
+        .join(', ');
+};
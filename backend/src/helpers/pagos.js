@@ -0,0 +1,93 @@
+// =================================================================
+// ARCHIVO: src/helpers/pagos.js
+// ROL: Reglas de los pagos de una factura. Valida que los pagos
+//      (uno o varios métodos) cubran el total y calcula el cambio que
+//      se devuelve en efectivo. Lo usan los controladores de facturas
+//      y de tarjetas de regalo.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+import { normalizarCodigoTarjeta } from './tarjetasRegalo.js';
+
+/**
+ * Indica si un método de pago es en efectivo (el único que admite devolver cambio).
+ * @param {object} metodo - Método de pago con 'nombre_metodo'.
+ * @returns {boolean}
+ */
+export const esEfectivo = (metodo) => String(metodo?.nombre_metodo || '').trim().toLowerCase() === 'efectivo';
+
+/**
+ * Indica si un método de pago es la tarjeta de regalo (el pago debe indicar el código de la tarjeta).
+ * @param {object} metodo - Método de pago con 'nombre_metodo'.
+ * @returns {boolean}
+ */
+export const esTarjetaRegalo = (metodo) => String(metodo?.nombre_metodo || '').trim().toLowerCase() === 'tarjeta de regalo';
+
+/**
+ * Valida los pagos de una factura y construye las transacciones a registrar.
+ * Cada pago indica el monto entregado por el cliente; si la suma supera el
+ * total, el excedente se devuelve como cambio desde los pagos en efectivo.
+ * Los pagos con tarjeta de regalo llevan su 'codigo_tarjeta'; el saldo lo valida quien factura.
+ * @param {Array<{metodo_pago_id: number, monto: number, codigo_tarjeta?: string}>} pagos - Pagos recibidos.
+ * @param {number} total - Total de la factura.
+ * @param {Map<number, object>} metodosPorId - Métodos de pago existentes por ID.
+ * @returns {{errores: Array<string>, transacciones: Array<object>, cambio: number}}
+ */
+export const validarPagos = (pagos, total, metodosPorId) => {
+    const errores = [];
+
+    if (!Array.isArray(pagos) || pagos.length === 0) {
+        return { errores: ['Debe registrar al menos un pago.'], transacciones: [], cambio: 0 };
+    }
+
+    const transacciones = pagos.map((pago, index) => {
+        const metodo = metodosPorId.get(Number(pago?.metodo_pago_id));
+        const monto = redondear(pago?.monto);
+        if (!metodo) {
+            errores.push(`El método de pago del pago ${index + 1} no existe.`);
+        }
+        if (!(monto > 0)) {
+            errores.push(`El monto del pago ${index + 1} debe ser mayor a 0.`);
+        }
+        const codigoTarjeta = esTarjetaRegalo(metodo) ? normalizarCodigoTarjeta(pago?.codigo_tarjeta) : null;
+        if (esTarjetaRegalo(metodo) && !codigoTarjeta) {
+            errores.push(`El pago ${index + 1} con tarjeta de regalo debe indicar el código de la tarjeta.`);
+        }
+        return {
+            metodo_pago_id: Number(pago?.metodo_pago_id),
+            efectivo: esEfectivo(metodo),
+            monto_recibido: monto,
+            monto_pagado: monto,
+            cambio: 0,
+            ...(codigoTarjeta ? { codigo_tarjeta: codigoTarjeta } : {})
+        };
+    });
+    if (errores.length > 0) return { errores, transacciones: [], cambio: 0 };
+
+    const recibido = redondear(transacciones.reduce((acc, tx) => acc + tx.monto_recibido, 0));
+    const excedente = redondear(recibido - total);
+    if (excedente < 0) {
+        return { errores: [`Los pagos ($${recibido.toFixed(2)}) no cubren el total de la factura ($${redondear(total).toFixed(2)}).`], transacciones: [], cambio: 0 };
+    }
+
+    const efectivoRecibido = redondear(transacciones.filter(tx => tx.efectivo).reduce((acc, tx) => acc + tx.monto_recibido, 0));
+    if (excedente > efectivoRecibido) {
+        return { errores: ['El excedente solo puede devolverse como cambio de un pago en efectivo.'], transacciones: [], cambio: 0 };
+    }
+
+    // El cambio se descuenta de los pagos en efectivo, empezando por el último.
+    let pendiente = excedente;
+    for (const tx of [...transacciones].reverse()) {
+        if (!tx.efectivo || pendiente <= 0) continue;
+        const cambio = Math.min(pendiente, tx.monto_recibido);
+        tx.cambio = redondear(cambio);
+        tx.monto_pagado = redondear(tx.monto_recibido - cambio);
+        pendiente = redondear(pendiente - cambio);
+    }
+
+    return {
+        errores,
+        transacciones: transacciones.map(({ efectivo: _efectivo, ...tx }) => tx),
+        cambio: excedente
+    };
+};
@@ -0,0 +1,190 @@
+// =================================================================
+// ARCHIVO: src/helpers/pedidoEstados.js
+// ROL: Define el ciclo de vida de un pedido (máquina de estados)
+//      y las transiciones permitidas para cada rol. Es la única
+//      fuente de verdad que usan el controlador de pedidos, los
+//      eventos de Socket.IO y las vistas del frontend (vía API).
+// =================================================================
+
+/**
+ * Estados válidos de un pedido, en el orden natural del flujo de trabajo.
+ */
+export const ESTADOS_PEDIDO = Object.freeze({
+    PENDIENTE: 'pendiente',
+    EN_PREPARACION: 'en_preparacion',
+    LISTO: 'listo',
+    ENTREGADO: 'entregado',
+    PAGADO: 'pagado',
+    CANCELADO: 'cancelado'
+});
+
+/**
+ * Etiquetas legibles de cada estado para mensajes y vistas.
+ */
+export const ETIQUETAS_ESTADO = Object.freeze({
+    pendiente: 'Pendiente',
+    en_preparacion: 'En preparación',
+    listo: 'Listo',
+    entregado: 'Entregado',
+    pagado: 'Pagado',
+    cancelado: 'Cancelado'
+});
+
+/**
+ * Estados que la cocina sigue en su tablero de trabajo.
+ */
+export const ESTADOS_COCINA = Object.freeze([
+    ESTADOS_PEDIDO.PENDIENTE,
+    ESTADOS_PEDIDO.EN_PREPARACION,
+    ESTADOS_PEDIDO.LISTO
+]);
+
+/**
+ * Rol interno usado para las transiciones que solo ocurren como efecto de la
+ * facturación (crear o anular una factura), nunca por petición directa.
+ */
+export const ROL_SISTEMA = 'sistema';
+
+/**
+ * Mapa de transiciones: estado origen -> estado destino -> roles autorizados.
+ * Los estados 'pagado' y 'cancelado' son terminales salvo la reversión
+ * 'pagado' -> 'entregado' que realiza la anulación de una factura.
+ */
+export const TRANSICIONES_PEDIDO = Object.freeze({
+    pendiente: {
+        en_preparacion: ['cocinero', 'administrador'],
+        cancelado: ['mesero', 'administrador']
+    },
+    en_preparacion: {
+        listo: ['cocinero', 'administrador'],
+        cancelado: ['administrador']
+    },
+    listo: {
+        entregado: ['mesero', 'administrador'],
+        cancelado: ['administrador']
+    },
+    entregado: {
+        pagado: [ROL_SISTEMA],
+        cancelado: ['administrador']
+    },
+    pagado: {
+        entregado: [ROL_SISTEMA]
+    },
+    cancelado: {}
+});
+
+/**
+ * Indica si un valor corresponde a un estado de pedido conocido.
+ * @param {string} estado - El estado a validar.
+ * @returns {boolean}
+ */
+export const esEstadoValido = (estado) => {
+    return Object.values(ESTADOS_PEDIDO).includes(estado);
+};
+
+/**
+ * Obtiene los estados a los que un rol puede mover un pedido desde su estado actual.
+ * @param {string} estadoActual - El estado actual del pedido.
+ * @param {string} rol - El rol del usuario que solicita el cambio.
+ * @returns {Array<string>} Lista de estados destino permitidos.
+ */
+export const getSiguientesEstados = (estadoActual, rol) => {
+    const destinos = TRANSICIONES_PEDIDO[estadoActual] || {};
+    return Object.keys(destinos).filter((destino) => destinos[destino].includes(rol));
+};
+
+/**
+ * Agrupa, para cada rol de personal, los estados siguientes desde un estado dado.
+ * Se usa para enriquecer las notificaciones en tiempo real.
+ * @param {string} estadoActual - El estado actual del pedido.
+ * @returns {object} Objeto { cocinero: [...], mesero: [...], administrador: [...] }.
+ */
+export const getSiguientesEstadosPorRol = (estadoActual) => {
+    return ['cocinero', 'mesero', 'administrador'].reduce((acc, rol) => {
+        acc[rol] = getSiguientesEstados(estadoActual, rol);
+        return acc;
+    }, {});
+};
+
+/**
+ * Verifica si una transición de estado está permitida para un rol.
+ * @param {string} estadoActual - El estado actual del pedido.
+ * @param {string} estadoNuevo - El estado solicitado.
+ * @param {string} rol - El rol del usuario (o ROL_SISTEMA).
+ * @returns {boolean}
+ */
+export const esTransicionValida = (estadoActual, estadoNuevo, rol) => {
+    return getSiguientesEstados(estadoActual, rol).includes(estadoNuevo);
+};
+
+/**
+ * Estados de preparación de cada línea (DetallePedido) de un pedido.
+ */
+export const ESTADOS_DETALLE = Object.freeze({
+    PENDIENTE: 'pendiente',
+    EN_PREPARACION: 'en_preparacion',
+    LISTO: 'listo'
+});
+
+/**
+ * Transiciones de una línea: estado origen -> estado destino -> roles autorizados.
+ */
+export const TRANSICIONES_DETALLE = Object.freeze({
+    pendiente: {
+        en_preparacion: ['cocinero', 'administrador'],
+        listo: ['cocinero', 'administrador']
+    },
+    en_preparacion: {
+        listo: ['cocinero', 'administrador'],
+        pendiente: ['cocinero', 'administrador']
+    },
+    listo: {
+        en_preparacion: ['cocinero', 'administrador']
+    }
+});
+
+/**
+ * Verifica si una línea puede pasar de un estado de preparación a otro.
+ * @param {string} estadoActual - Estado actual de la línea.
+ * @param {string} estadoNuevo - Estado solicitado.
+ * @param {string} rol - Rol del usuario.
+ * @returns {boolean}
+ */
+export const esTransicionDetalleValida = (estadoActual, estadoNuevo, rol) => {
+    const destinos = TRANSICIONES_DETALLE[estadoActual] || {};
+    return Boolean(destinos[estadoNuevo] && destinos[estadoNuevo].includes(rol));
+};
+
+/**
+ * Deriva el estado que debe tener un pedido a partir de sus líneas:
+ * 'listo' cuando todas están listas, 'en_preparacion' cuando alguna ya
+ * empezó, o 'pendiente' cuando ninguna ha empezado.
+ * @param {Array<{estado_preparacion: string}>} detalles - Líneas del pedido.
+ * @returns {string|null} El estado derivado, o null si no hay líneas.
+ */
+export const derivarEstadoPedido = (detalles) => {
+    if (!Array.isArray(detalles) || detalles.length === 0) return null;
+
+    if (detalles.every((d) => d.estado_preparacion === ESTADOS_DETALLE.LISTO)) {
+        return ESTADOS_PEDIDO.LISTO;
+    }
+    if (detalles.some((d) => d.estado_preparacion !== ESTADOS_DETALLE.PENDIENTE)) {
+        return ESTADOS_PEDIDO.EN_PREPARACION;
+    }
+    return ESTADOS_PEDIDO.PENDIENTE;
+};
+
+/**
+ * Obtiene el estado al que debe avanzar un pedido por el estado de sus líneas.
+ * Solo se avanza en el flujo de cocina (pendiente -> en_preparacion -> listo), nunca
+ * se retrocede; si todas las líneas quedan listas de una vez, un pedido 'pendiente'
+ * pasa directo a 'listo' (recorriendo 'en_preparacion').
+ * @param {string} estadoActual - El estado actual del pedido.
+ * @param {Array<{estado_preparacion: string}>} detalles - Líneas del pedido.
+ * @returns {string|null} El estado al que avanza, o null si se queda como está.
+ */
+export const getAvanceDerivado = (estadoActual, detalles) => {
+    const estadoDerivado = derivarEstadoPedido(detalles);
+    const posicionActual = ESTADOS_COCINA.indexOf(estadoActual);
+    return posicionActual >= 0 && ESTADOS_COCINA.indexOf(estadoDerivado) > posicionActual ? estadoDerivado : null;
+};
@@ -0,0 +1,76 @@
+// =================================================================
+// ARCHIVO: src/helpers/pedidoRevisiones.js
+// ROL: Calcula la diferencia por línea entre los productos actuales de
+//      un pedido y la lista enviada al editarlo. La usan el controlador
+//      de pedidos (para aplicar y registrar la revisión) y los eventos
+//      de Socket.IO (para avisar a cocina solo de lo que cambió).
+// =================================================================
+
+import { getOpcionIds } from './modificadores.js';
+
+/**
+ * Normaliza una línea para guardarla en el historial o enviarla por socket.
+ * @param {object} linea - Línea de DetallePedido o ítem recibido en la petición.
+ * @returns {object}
+ */
+export const normalizarLinea = (linea) => ({
+    detalle_id: linea.detalle_id ?? null,
+    producto_id: Number(linea.producto_id),
+    cantidad: Number(linea.cantidad),
+    notas: linea.notas || null,
+    modificadores: Array.isArray(linea.modificadores) ? linea.modificadores : []
+});
+
+/**
+ * Indica si dos líneas tienen las mismas opciones de modificador.
+ * @param {object} a - Línea normalizada.
+ * @param {object} b - Línea normalizada.
+ * @returns {boolean}
+ */
+const mismosModificadores = (a, b) => getOpcionIds(a.modificadores).join(',') === getOpcionIds(b.modificadores).join(',');
+
+/**
+ * Compara las líneas actuales de un pedido con la nueva lista de ítems.
+ * - Un ítem con 'detalle_id' de una línea existente la conserva; si cambia
+ *   la cantidad, las notas o los modificadores se registra como modificado.
+ * - Un ítem sin 'detalle_id' (o con uno que no pertenece al pedido) es un agregado.
+ *   También lo es si cambia el producto: la línea anterior se elimina.
+ * - Las líneas actuales que no aparecen en la nueva lista son eliminadas.
+ * @param {Array<object>} actuales - Líneas actuales (DetallePedido).
+ * @param {Array<object>} nuevos - Ítems recibidos en la edición.
+ * @returns {{agregados: Array<object>, eliminados: Array<object>, modificados: Array<{antes: object, despues: object}>}}
+ */
+export const calcularDiferenciaDetalles = (actuales, nuevos) => {
+    const actualesPorId = new Map(actuales.map((linea) => [Number(linea.detalle_id), normalizarLinea(linea)]));
+    const conservados = new Set();
+    const agregados = [];
+    const modificados = [];
+
+    for (const item of nuevos) {
+        const nuevo = normalizarLinea(item);
+        const actual = nuevo.detalle_id != null ? actualesPorId.get(Number(nuevo.detalle_id)) : null;
+
+        if (!actual || conservados.has(actual.detalle_id) || actual.producto_id !== nuevo.producto_id) {
+            agregados.push({ ...nuevo, detalle_id: null });
+            continue;
+        }
+
+        conservados.add(actual.detalle_id);
+        if (actual.cantidad !== nuevo.cantidad || actual.notas !== nuevo.notas || !mismosModificadores(actual, nuevo)) {
+            modificados.push({ antes: actual, despues: { ...nuevo, detalle_id: actual.detalle_id } });
+        }
+    }
+
+    const eliminados = [...actualesPorId.values()].filter((linea) => !conservados.has(linea.detalle_id));
+
+    return { agregados, eliminados, modificados };
+};
+
+/**
+ * Indica si una diferencia no contiene cambios.
+ * @param {{agregados: Array, eliminados: Array, modificados: Array}} cambios
+ * @returns {boolean}
+ */
+export const esDiferenciaVacia = (cambios) => {
+    return cambios.agregados.length === 0 && cambios.eliminados.length === 0 && cambios.modificados.length === 0;
+};
@@ -0,0 +1,234 @@
+// =================================================================
+// ARCHIVO: src/helpers/propinas.js
+// ROL: Reglas del reparto de propinas entre los empleados. Valida la
+//      configuración y las horas trabajadas, y calcula la parte de
+//      cada empleado según el modo: por el mesero que tomó el pedido,
+//      en un fondo común por horas trabajadas o por área (cocina y
+//      salón) por porcentaje. También calcula las propinas sugeridas
+//      al facturar y el cargo por servicio de los grupos grandes. Lo
+//      usan los controladores de propinas y facturas.
+// =================================================================
+
+import { redondear } from './impuestos.js';
+
+/**
+ * Modos de reparto de las propinas.
+ */
+export const MODOS_REPARTO_PROPINAS = Object.freeze({
+    POR_MESERO: 'por_mesero',
+    POR_HORAS: 'por_horas',
+    POR_AREA: 'por_area'
+});
+
+/**
+ * Áreas del restaurante en el modo por área; cada rol pertenece a una.
+ */
+export const AREAS_PROPINAS = Object.freeze({
+    COCINA: 'cocina',
+    SALON: 'salon'
+});
+
+// Área de cada rol. Los administradores no tienen área: solo reciben propinas por sus pedidos o sus horas.
+const AREA_POR_ROL = { cocinero: AREAS_PROPINAS.COCINA, mesero: AREAS_PROPINAS.SALON };
+
+// Máximo de horas que se pueden registrar a un empleado en un día.
+const MAX_HORAS_DIA = 24;
+
+/**
+ * Devuelve el área a la que pertenece un rol.
+ * @param {string} rol - Nombre del rol.
+ * @returns {string|null}
+ */
+export const getAreaRol = (rol) => AREA_POR_ROL[String(rol || '').toLowerCase()] ?? null;
+
+/**
+ * Valida la configuración del reparto de propinas.
+ * @param {object} datos - { modo, porcentaje_cocina }.
+ * @returns {Array<string>} Los mensajes de error (vacío si la configuración es válida).
+ */
+export const validarConfiguracionPropinas = ({ modo, porcentaje_cocina }) => {
+    const errores = [];
+    if (!Object.values(MODOS_REPARTO_PROPINAS).includes(modo)) {
+        errores.push(`El modo de reparto debe ser uno de: ${Object.values(MODOS_REPARTO_PROPINAS).join(', ')}.`);
+    }
+    const porcentaje = Number(porcentaje_cocina);
+    if (!Number.isFinite(porcentaje) || porcentaje < 0 || porcentaje > 100) {
+        errores.push('El porcentaje para la cocina debe estar entre 0 y 100.');
+    }
+    return errores;
+};
+
+/**
+ * Valida las horas trabajadas por un empleado en un día.
+ * @param {any} horas
+ * @returns {string|null} El mensaje de error, o null si las horas son válidas.
+ */
+export const validarHoras = (horas) => {
+    const valor = Number(horas);
+    if (!Number.isFinite(valor) || valor <= 0 || valor > MAX_HORAS_DIA) {
+        return `Las horas trabajadas deben ser mayores a 0 y máximo ${MAX_HORAS_DIA}.`;
+    }
+    return null;
+};
+
+// Máximo de porcentajes de propina sugeridos (uno por botón en la facturación).
+const MAX_PORCENTAJES_SUGERIDOS = 5;
+
+/**
+ * Valida los porcentajes de propina sugeridos al facturar.
+ * @param {any} porcentajes - Lista de porcentajes (ej. [10, 15, 20]); puede venir vacía.
+ * @returns {string|null} El mensaje de error, o null si los porcentajes son válidos.
+ */
+export const validarPorcentajesSugeridos = (porcentajes) => {
+    if (!Array.isArray(porcentajes) || porcentajes.length > MAX_PORCENTAJES_SUGERIDOS) {
+        return `Las propinas sugeridas deben ser una lista de máximo ${MAX_PORCENTAJES_SUGERIDOS} porcentajes.`;
+    }
+    if (porcentajes.some(porcentaje => !Number.isFinite(Number(porcentaje)) || Number(porcentaje) <= 0 || Number(porcentaje) > 100)) {
+        return 'Cada propina sugerida debe ser un porcentaje mayor a 0 y máximo 100.';
+    }
+    if (new Set(porcentajes.map(Number)).size !== porcentajes.length) {
+        return 'Las propinas sugeridas no pueden repetirse.';
+    }
+    return null;
+};
+
+/**
+ * Valida la configuración del cargo por servicio de los grupos grandes.
+ * @param {object} datos - { cargo_servicio_porcentaje, cargo_servicio_min_comensales }.
+ * @returns {Array<string>} Los mensajes de error (vacío si la configuración es válida).
+ */
+export const validarCargoServicio = ({ cargo_servicio_porcentaje, cargo_servicio_min_comensales }) => {
+    const errores = [];
+    const porcentaje = Number(cargo_servicio_porcentaje);
+    if (!Number.isFinite(porcentaje) || porcentaje <= 0 || porcentaje > 100) {
+        errores.push('El porcentaje del cargo por servicio debe ser mayor a 0 y máximo 100.');
+    }
+    if (!Number.isInteger(Number(cargo_servicio_min_comensales)) || Number(cargo_servicio_min_comensales) < 2) {
+        errores.push('El cargo por servicio debe aplicar desde un grupo de al menos 2 comensales.');
+    }
+    return errores;
+};
+
+/**
+ * Valida el número de comensales de un pedido.
+ * @param {any} comensales - null o vacío si no se indicó.
+ * @returns {string|null} El mensaje de error, o null si el valor es válido.
+ */
+export const validarComensales = (comensales) => {
+    if (comensales === null || comensales === undefined || comensales === '') return null;
+    if (!Number.isInteger(Number(comensales)) || Number(comensales) < 1) {
+        return 'El número de comensales debe ser un entero mayor a 0.';
+    }
+    return null;
+};
+
+/**
+ * Calcula las propinas sugeridas sobre el subtotal de una factura.
+ * @param {number} subtotal
+ * @param {Array<number>|null} porcentajes - Porcentajes configurados.
+ * @returns {Array<{porcentaje: number, monto: number}>} De menor a mayor porcentaje.
+ */
+export const calcularPropinasSugeridas = (subtotal, porcentajes) => (porcentajes || [])
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(porcentaje => ({ porcentaje, monto: redondear(Number(subtotal) * porcentaje / 100) }));
+
+/**
+ * Calcula el cargo por servicio de una factura: un porcentaje de su subtotal con descuentos
+ * que se cobra cuando el cargo está activo y la mesa tiene al menos el mínimo de comensales.
+ * @param {{base: number, comensales: number|null}} factura
+ * @param {object} config - Configuración de propinas con los campos 'cargo_servicio_*'.
+ * @returns {number} El valor del cargo antes de impuestos (0 si no aplica).
+ */
+export const calcularCargoServicio = ({ base, comensales }, config) => {
+    if (!config?.cargo_servicio_activo || !(Number(comensales) >= Number(config.cargo_servicio_min_comensales))) {
+        return 0;
+    }
+    return Math.max(0, redondear(Number(base) * Number(config.cargo_servicio_porcentaje) / 100));
+};
+
+/**
+ * Reparte un monto en proporción a los pesos indicados. Se reparte en centavos y los
+ * centavos sobrantes se asignan a quienes tengan la mayor fracción, para que la suma
+ * de las partes sea exactamente el monto.
+ * @param {number} monto
+ * @param {Array<{clave: any, peso: number}>} pesos - Solo cuentan los pesos mayores a 0.
+ * @returns {Map<any, number>} El monto de cada clave.
+ */
+export const repartirProporcional = (monto, pesos) => {
+    const validos = pesos.filter(({ peso }) => Number(peso) > 0);
+    const totalPesos = validos.reduce((acc, { peso }) => acc + Number(peso), 0);
+    const centavos = Math.round(Number(monto) * 100);
+    if (totalPesos <= 0 || centavos <= 0) return new Map();
+
+    const partes = validos.map(({ clave, peso }) => {
+        const exacto = centavos * Number(peso) / totalPesos;
+        return { clave, centavos: Math.floor(exacto), fraccion: exacto - Math.floor(exacto) };
+    });
+    let sobrantes = centavos - partes.reduce((acc, parte) => acc + parte.centavos, 0);
+    [...partes].sort((a, b) => b.fraccion - a.fraccion).forEach(parte => {
+        if (sobrantes > 0) {
+            parte.centavos += 1;
+            sobrantes -= 1;
+        }
+    });
+    return new Map(partes.map(parte => [parte.clave, parte.centavos / 100]));
+};
+
+/**
+ * Calcula el reparto de las propinas de un período.
+ * @param {object} datos
+ * @param {Array<{propina: number, usuario_id: number|null}>} datos.facturas - Facturas vigentes con propina y el mesero que tomó su pedido.
+ * @param {Array<{usuario_id: number, nombre: string, rol: string}>} datos.empleados - Empleados que pueden recibir propinas.
+ * @param {Map<number, number>} datos.horas - Horas trabajadas en el período por empleado.
+ * @param {object} datos.config - Configuración del reparto ({ modo, porcentaje_cocina }).
+ * @returns {{modo: string, porcentaje_cocina: number|null, total_propinas: number, repartido: number, sin_asignar: number, participantes: Array<object>}}
+ */
+export const calcularRepartoPropinas = ({ facturas, empleados, horas, config }) => {
+    const total_propinas = redondear(facturas.reduce((acc, factura) => acc + Number(factura.propina || 0), 0));
+    const empleadosPorId = new Map(empleados.map(empleado => [empleado.usuario_id, empleado]));
+    const montos = new Map();
+    const acumular = (usuarioId, monto) => montos.set(usuarioId, redondear((montos.get(usuarioId) || 0) + Number(monto || 0)));
+    const sumar = (reparto) => reparto.forEach((monto, usuarioId) => acumular(usuarioId, monto));
+    const pesosPorHoras = (lista) => lista.map(empleado => ({ clave: empleado.usuario_id, peso: horas.get(empleado.usuario_id) || 0 }));
+
+    if (config.modo === MODOS_REPARTO_PROPINAS.POR_MESERO) {
+        // Cada mesero recibe la propina de los pedidos que tomó.
+        facturas
+            .filter(factura => empleadosPorId.has(factura.usuario_id))
+            .forEach(factura => acumular(factura.usuario_id, factura.propina));
+    } else if (config.modo === MODOS_REPARTO_PROPINAS.POR_HORAS) {
+        // Un solo fondo para todos, en proporción a las horas trabajadas.
+        sumar(repartirProporcional(total_propinas, pesosPorHoras(empleados)));
+    } else if (config.modo === MODOS_REPARTO_PROPINAS.POR_AREA) {
+        // La cocina recibe su porcentaje y el salón el resto; dentro de cada área, por horas trabajadas.
+        const cocina = redondear(total_propinas * Number(config.porcentaje_cocina) / 100);
+        const fondos = { [AREAS_PROPINAS.COCINA]: cocina, [AREAS_PROPINAS.SALON]: redondear(total_propinas - cocina) };
+        Object.entries(fondos).forEach(([area, fondo]) => {
+            sumar(repartirProporcional(fondo, pesosPorHoras(empleados.filter(empleado => getAreaRol(empleado.rol) === area))));
+        });
+    }
+
+    const participantes = empleados
+        .map(empleado => ({
+            usuario_id: empleado.usuario_id,
+            nombre: empleado.nombre,
+            rol: empleado.rol,
+            area: getAreaRol(empleado.rol),
+            horas: redondear(horas.get(empleado.usuario_id) || 0),
+            facturas: facturas.filter(factura => factura.usuario_id === empleado.usuario_id && Number(factura.propina) > 0).length,
+            monto: montos.get(empleado.usuario_id) || 0
+        }))
+        .filter(participante => participante.monto > 0 || participante.horas > 0 || participante.facturas > 0)
+        .sort((a, b) => b.monto - a.monto || a.nombre.localeCompare(b.nombre));
+    const repartido = redondear(participantes.reduce((acc, participante) => acc + participante.monto, 0));
+    return {
+        modo: config.modo,
+        porcentaje_cocina: config.modo === MODOS_REPARTO_PROPINAS.POR_AREA ? Number(config.porcentaje_cocina) : null,
+        total_propinas,
+        repartido,
+        // Propinas sin a quién asignarlas (p. ej. nadie registró horas en un área).
+        sin_asignar: redondear(total_propinas - repartido),
+        participantes
+    };
+};
@@ -0,0 +1,164 @@
+// =================================================================
+// ARCHIVO: src/helpers/puntos.js
+// ROL: Reglas del programa de puntos de los clientes. Valida la
+//      configuración del programa, calcula los puntos que gana una
+//      factura, el saldo vigente, los lotes vencidos y el orden en
+//      que se consumen los puntos al canjearlos como descuento.
+//      Lo usan el controlador de puntos y el de facturas.
+// =================================================================
+
+import { ALCANCES_DESCUENTO, TIPOS_DESCUENTO } from './descuentos.js';
+import { redondear } from './impuestos.js';
+
+/**
+ * Tipos de movimiento del libro de puntos. Los positivos (acumulación y reverso
+ * de un canje) forman lotes con su fecha de vencimiento; los negativos los consumen.
+ */
+export const TIPOS_MOVIMIENTO_PUNTOS = Object.freeze({
+    ACUMULACION: 'acumulacion',
+    CANJE: 'canje',
+    VENCIMIENTO: 'vencimiento',
+    REVERSO: 'reverso'
+});
+
+// Milisegundos de un día, para calcular el vencimiento de los puntos.
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Valida la configuración del programa de puntos.
+ * @param {object} datos - { pesos_por_punto, valor_punto, minimo_canje, vigencia_dias }.
+ * @returns {Array<string>} Los mensajes de error (vacío si la configuración es válida).
+ */
+export const validarConfiguracionPuntos = ({ pesos_por_punto, valor_punto, minimo_canje, vigencia_dias }) => {
+    const errores = [];
+    if (!(Number(pesos_por_punto) > 0)) {
+        errores.push('El valor facturado por punto debe ser mayor a 0.');
+    }
+    if (!(Number(valor_punto) > 0)) {
+        errores.push('El valor de cada punto al canjearlo debe ser mayor a 0.');
+    }
+    if (!Number.isInteger(Number(minimo_canje)) || Number(minimo_canje) < 1) {
+        errores.push('El mínimo de puntos para canjear debe ser un entero mayor a 0.');
+    }
+    if (!Number.isInteger(Number(vigencia_dias)) || Number(vigencia_dias) < 1) {
+        errores.push('La vigencia de los puntos debe ser un número entero de días mayor a 0.');
+    }
+    return errores;
+};
+
+/**
+ * Calcula los puntos que gana una factura. La propina no acumula puntos.
+ * @param {{total: number, propina?: number}} factura
+ * @param {object} config - Configuración del programa.
+ * @returns {number} Puntos enteros ganados (0 si el programa está inactivo).
+ */
+export const calcularPuntosGanados = ({ total, propina = 0 }, config) => {
+    if (!config?.activo) return 0;
+    const base = redondear(Number(total) - Number(propina || 0));
+    return base > 0 ? Math.floor(base / Number(config.pesos_por_punto)) : 0;
+};
+
+/**
+ * Calcula la fecha en que vencen los puntos ganados en una fecha.
+ * @param {Date} fecha
+ * @param {number} vigenciaDias
+ * @returns {Date}
+ */
+export const calcularFechaVencimiento = (fecha, vigenciaDias) => new Date(fecha.getTime() + Number(vigenciaDias) * MS_POR_DIA);
+
+/**
+ * Indica si un lote de puntos ya venció.
+ * @param {object} lote - Movimiento positivo con 'fecha_vencimiento'.
+ * @param {Date} fecha
+ * @returns {boolean}
+ */
+const estaVencido = (lote, fecha) => Boolean(lote.fecha_vencimiento) && new Date(lote.fecha_vencimiento) <= fecha;
+
+/**
+ * Devuelve los lotes que vencieron con puntos sin usar.
+ * @param {Array<object>} lotes - Movimientos positivos con 'puntos_disponibles'.
+ * @param {Date} [fecha]
+ * @returns {Array<object>}
+ */
+export const getLotesVencidos = (lotes, fecha = new Date()) => lotes
+    .filter(lote => Number(lote.puntos_disponibles) > 0 && estaVencido(lote, fecha));
+
+/**
+ * Calcula el saldo vigente: los puntos disponibles de los lotes que no han vencido.
+ * @param {Array<object>} lotes
+ * @param {Date} [fecha]
+ * @returns {number}
+ */
+export const calcularSaldo = (lotes, fecha = new Date()) => lotes
+    .filter(lote => !estaVencido(lote, fecha))
+    .reduce((acc, lote) => acc + Number(lote.puntos_disponibles), 0);
+
+/**
+ * Reparte un consumo de puntos entre los lotes vigentes, empezando por los que vencen primero.
+ * @param {Array<object>} lotes
+ * @param {number} puntos - Puntos a consumir.
+ * @param {Date} [fecha]
+ * @returns {{consumos: Array<{lote: object, puntos: number}>, faltante: number}}
+ */
+export const consumirLotes = (lotes, puntos, fecha = new Date()) => {
+    const vigentes = lotes
+        .filter(lote => Number(lote.puntos_disponibles) > 0 && !estaVencido(lote, fecha))
+        .sort((a, b) => new Date(a.fecha_vencimiento) - new Date(b.fecha_vencimiento));
+    const consumos = [];
+    let faltante = puntos;
+    for (const lote of vigentes) {
+        if (faltante <= 0) break;
+        const usados = Math.min(faltante, Number(lote.puntos_disponibles));
+        consumos.push({ lote, puntos: usados });
+        faltante -= usados;
+    }
+    return { consumos, faltante };
+};
+
+/**
+ * Valida un canje de puntos al facturar.
+ * @param {number} puntos - Puntos a canjear.
+ * @param {number} saldo - Saldo vigente del cliente.
+ * @param {object} config - Configuración del programa.
+ * @returns {string|null} El mensaje de error, o null si el canje es válido.
+ */
+export const validarCanje = (puntos, saldo, config) => {
+    if (!config?.activo) {
+        return 'El programa de puntos no está activo.';
+    }
+    if (!Number.isInteger(puntos) || puntos <= 0) {
+        return 'Los puntos a canjear deben ser un número entero mayor a 0.';
+    }
+    if (puntos < Number(config.minimo_canje)) {
+        return `Se deben canjear al menos ${config.minimo_canje} puntos.`;
+    }
+    if (puntos > saldo) {
+        return `El cliente solo tiene ${saldo} puntos disponibles.`;
+    }
+    return null;
+};
+
+/**
+ * Arma el canje de puntos como un descuento en pesos sobre el pedido, para aplicarlo
+ * con 'calcularDescuentos' después de los demás descuentos de la factura.
+ * @param {number} puntos - Puntos canjeados.
+ * @param {object} config - Configuración del programa.
+ * @returns {object} Regla de descuento (sin 'descuento_id').
+ */
+export const crearDescuentoCanje = (puntos, config) => ({
+    descuento_id: null,
+    nombre: `Canje de ${puntos} puntos`,
+    codigo: null,
+    tipo: TIPOS_DESCUENTO.MONTO,
+    valor: redondear(puntos * Number(config.valor_punto)),
+    alcance: ALCANCES_DESCUENTO.PEDIDO
+});
+
+/**
+ * Calcula los puntos que cubren un monto descontado. Si la cuenta es menor que el
+ * valor de los puntos canjeados, solo se consumen los puntos necesarios para cubrirla.
+ * @param {number} monto - Monto descontado por el canje.
+ * @param {object} config - Configuración del programa.
+ * @returns {number}
+ */
+export const puntosParaMonto = (monto, config) => Math.ceil(redondear(monto / Number(config.valor_punto)));
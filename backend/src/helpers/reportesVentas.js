@@ -0,0 +1,202 @@
+// =================================================================
+// ARCHIVO: src/helpers/reportesVentas.js
+// ROL: Cálculos de los reportes de ventas que no dependen de la base
+//      de datos. Neta los impuestos, los pagos y los descuentos con lo
+//      acreditado en notas crédito y arma las cifras y las tablas del reporte Z
+//      (cierre diario). Lo usa el controlador de estadísticas.
+// =================================================================
+
+/**
+ * Resta de un desglose lo acreditado con notas crédito en el período. Las anulaciones
+ * cuentan en el período de la nota crédito, no en el de la factura: así un período ya
+ * reportado no cambia cuando después se anula una de sus facturas. Los grupos que solo
+ * aparecen en notas crédito (facturas de períodos anteriores) quedan en negativo.
+ * @param {Array<object>} filas - Desglose de las facturas del período.
+ * @param {Array<object>} acreditados - Desglose de las facturas anuladas en el período, con la misma forma.
+ * @param {function(object): string} getClave - Identifica el grupo de una fila.
+ * @param {Array<string>} campos - Campos numéricos que se restan.
+ * @returns {Array<object>} Las filas netas, con los campos numéricos como números.
+ */
+const restarAcreditados = (filas, acreditados, getClave, campos) => {
+    const aNumeros = (fila, signo) => campos.reduce((acc, campo) => ({ ...acc, [campo]: signo * Number(fila[campo] || 0) }), {});
+    const porClave = new Map(filas.map(fila => [getClave(fila), { ...fila, ...aNumeros(fila, 1) }]));
+    acreditados.forEach(nota => {
+        const clave = getClave(nota);
+        const fila = porClave.get(clave);
+        if (fila) {
+            campos.forEach(campo => { fila[campo] -= Number(nota[campo] || 0); });
+        } else {
+            porClave.set(clave, { ...nota, ...aNumeros(nota, -1) });
+        }
+    });
+    return [...porClave.values()];
+};
+
+/**
+ * Resta del desglose de impuestos por tarifa lo acreditado con notas crédito en el período.
+ * @param {Array<object>} impuestos - Filas { nombre, porcentaje, base, totalTax } de las facturas.
+ * @param {Array<object>} acreditados - Filas con la misma forma, de las facturas anuladas.
+ * @returns {Array<object>} De la tarifa más alta a la más baja.
+ */
+export const restarImpuestosAcreditados = (impuestos, acreditados) =>
+    restarAcreditados(impuestos, acreditados, tarifa => `${tarifa.nombre}|${Number(tarifa.porcentaje)}`, ['base', 'totalTax'])
+        .sort((a, b) => Number(b.porcentaje) - Number(a.porcentaje));
+
+/**
+ * Resta de los pagos por método los de las facturas anuladas en el período.
+ * @param {Array<object>} pagos - Filas { name, totalAmount, payments } de las facturas.
+ * @param {Array<object>} acreditados - Filas con la misma forma, de las facturas anuladas.
+ * @returns {Array<object>}
+ */
+export const restarPagosAcreditados = (pagos, acreditados) =>
+    restarAcreditados(pagos, acreditados, metodo => metodo.name, ['totalAmount', 'payments']);
+
+/**
+ * Resta de los descuentos aplicados los de las facturas anuladas en el período.
+ * @param {Array<object>} descuentos - Filas { nombre, count, totalAmount } de las facturas.
+ * @param {Array<object>} acreditados - Filas con la misma forma, de las facturas anuladas.
+ * @returns {Array<object>} Del mayor monto descontado al menor.
+ */
+export const restarDescuentosAcreditados = (descuentos, acreditados) =>
+    restarAcreditados(descuentos, acreditados, descuento => descuento.nombre, ['count', 'totalAmount'])
+        .sort((a, b) => b.totalAmount - a.totalAmount);
+
+/**
+ * Número con que se muestra una factura: el de su resolución o, en las facturas
+ * anteriores a la numeración, su ID.
+ * @param {{factura_id: number, numero: string|null}} factura
+ * @returns {string}
+ */
+export const getNumeroFactura = (factura) => factura.numero || `#${factura.factura_id}`;
+
+/**
+ * Primera y última factura de un día por su consecutivo. Si ninguna tiene número
+ * (facturas anteriores a la numeración) se usa su ID.
+ * @param {Array<{factura_id: number, numero: string|null, consecutivo: number|null}>} facturas
+ * @returns {{primera: string|null, ultima: string|null}}
+ */
+export const getRangoFacturas = (facturas) => {
+    if (facturas.length === 0) return { primera: null, ultima: null };
+    const numeradas = facturas.filter(factura => factura.numero && factura.consecutivo !== null && factura.consecutivo !== undefined);
+    const ordenadas = numeradas.length > 0
+        ? [...numeradas].sort((a, b) => Number(a.consecutivo) - Number(b.consecutivo))
+        : [...facturas].sort((a, b) => Number(a.factura_id) - Number(b.factura_id));
+    return { primera: getNumeroFactura(ordenadas[0]), ultima: getNumeroFactura(ordenadas[ordenadas.length - 1]) };
+};
+
+/**
+ * Arma las cifras del reporte Z de un día a partir de las consultas ya hechas.
+ * Las ventas son las de las facturas emitidas ese día; las anulaciones son las notas crédito
+ * del día (aunque anulen facturas de otros días) y se restan del total, de los impuestos
+ * por tarifa y de los pagos por método.
+ * @param {string} fecha - Día del reporte (YYYY-MM-DD).
+ * @param {object} consultas
+ * @param {object} consultas.facturas - Totales de las facturas del día { count, gross, discounts, serviceCharges, taxes, tips, total }.
+ * @param {Array<object>} consultas.numeracion - Las facturas del día { factura_id, numero, consecutivo }.
+ * @param {Array<object>} consultas.impuestos - Impuestos de las facturas del día por tarifa.
+ * @param {Array<object>} consultas.impuestosAcreditados - Impuestos de las facturas anuladas en el día, por tarifa.
+ * @param {Array<object>} consultas.pagos - Pagos de las facturas del día por método { name, totalAmount, payments }.
+ * @param {Array<object>} consultas.pagosAcreditados - Pagos de las facturas anuladas en el día, por método.
+ * @param {Array<object>} consultas.notasCredito - Notas crédito del día { nota_credito_id, factura_id, motivo, total, Factura: { numero } }.
+ * @param {Array<number>} consultas.pedidosCancelados - IDs de los pedidos cancelados en el día.
+ * @returns {object} Las cifras que se guardan con el reporte.
+ */
+export const armarDatosReporteZ = (fecha, { facturas, numeracion, impuestos, impuestosAcreditados, pagos, pagosAcreditados, notasCredito, pedidosCancelados }) => {
+    const total = parseFloat(facturas.total || 0);
+    const voidedTotal = notasCredito.reduce((acc, nota) => acc + Number(nota.total), 0);
+    const { primera, ultima } = getRangoFacturas(numeracion);
+
+    return {
+        date: fecha,
+        invoices: {
+            count: Number(facturas.count || 0),
+            firstNumber: primera,
+            lastNumber: ultima
+        },
+        sales: {
+            gross: parseFloat(facturas.gross || 0).toFixed(2),
+            discounts: parseFloat(facturas.discounts || 0).toFixed(2),
+            serviceCharges: parseFloat(facturas.serviceCharges || 0).toFixed(2),
+            taxes: parseFloat(facturas.taxes || 0).toFixed(2),
+            tips: parseFloat(facturas.tips || 0).toFixed(2),
+            total: total.toFixed(2)
+        },
+        taxBreakdown: restarImpuestosAcreditados(impuestos, impuestosAcreditados),
+        paymentMethods: restarPagosAcreditados(pagos, pagosAcreditados),
+        voids: {
+            count: notasCredito.length,
+            total: voidedTotal.toFixed(2),
+            creditNotes: notasCredito.map(nota => ({
+                creditNote: nota.nota_credito_id,
+                invoice: getNumeroFactura({ factura_id: nota.factura_id, numero: nota.Factura?.numero }),
+                reason: nota.motivo,
+                total: nota.total
+            }))
+        },
+        cancelledOrders: {
+            count: pedidosCancelados.length,
+            orders: pedidosCancelados
+        },
+        netTotal: (total - voidedTotal).toFixed(2)
+    };
+};
+
+/**
+ * Arma las tablas del PDF del reporte Z (título, encabezados y filas de dos columnas).
+ * @param {object} datos - Las cifras del reporte (ver 'armarDatosReporteZ').
+ * @returns {Array<{titulo: string, encabezados: Array<string>, filas: Array<Array<any>>}>}
+ */
+export const getTablasReporteZ = (datos) => {
+    const facturas = datos.invoices.count > 0
+        ? `${datos.invoices.count} (de la ${datos.invoices.firstNumber} a la ${datos.invoices.lastNumber})`
+        : '0';
+    return [
+        {
+            titulo: 'Ventas del Día',
+            encabezados: ['Concepto', 'Valor'],
+            filas: [
+                ['Facturas emitidas', facturas],
+                ['Ventas brutas', `$${datos.sales.gross}`],
+                ['Descuentos', `-$${datos.sales.discounts}`],
+                ['Cargos por servicio', `$${datos.sales.serviceCharges ?? '0.00'}`],
+                ['Impuestos', `$${datos.sales.taxes}`],
+                ['Propinas voluntarias', `$${datos.sales.tips}`],
+                ['Total facturado', `$${datos.sales.total}`],
+                [`Anulaciones (${datos.voids.count})`, `-$${datos.voids.total}`],
+                ['Total neto del día', `$${datos.netTotal}`]
+            ]
+        },
+        {
+            titulo: 'Impuestos por Tarifa',
+            encabezados: ['Tarifa', 'Impuesto'],
+            filas: datos.taxBreakdown.length > 0
+                ? datos.taxBreakdown.map(tax => [
+                    `${tax.nombre} (${Number(tax.porcentaje)}%) - base $${parseFloat(tax.base).toFixed(2)}`,
+                    `$${parseFloat(tax.totalTax).toFixed(2)}`
+                ])
+                : [['No hay impuestos para este día.', '']]
+        },
+        {
+            titulo: 'Totales por Método de Pago',
+            encabezados: ['Método', 'Monto Total'],
+            filas: datos.paymentMethods.length > 0
+                ? datos.paymentMethods.map(method => [`${method.name} (${method.payments} pagos)`, `$${parseFloat(method.totalAmount).toFixed(2)}`])
+                : [['No hay pagos para este día.', '']]
+        },
+        {
+            titulo: 'Facturas Anuladas',
+            encabezados: ['Nota Crédito', 'Valor'],
+            filas: datos.voids.creditNotes.length > 0
+                ? datos.voids.creditNotes.map(nota => [`Nota crédito #${nota.creditNote} - Factura ${nota.invoice}: ${nota.reason}`, `-$${parseFloat(nota.total).toFixed(2)}`])
+                : [['No hay facturas anuladas este día.', '']]
+        },
+        {
+            titulo: 'Pedidos Cancelados',
+            encabezados: ['Pedidos', 'Cantidad'],
+            filas: [[
+                datos.cancelledOrders.count > 0 ? datos.cancelledOrders.orders.map(id => `#${id}`).join(', ') : 'No hay pedidos cancelados este día.',
+                datos.cancelledOrders.count
+            ]]
+        }
+    ];
+};
@@ -0,0 +1,116 @@
+// =================================================================
+// ARCHIVO: src/helpers/tablasPdf.js
+// ROL: Dibuja las tablas de dos columnas con bordes de los reportes
+//      en PDF (estadísticas y reporte Z). Cuando una tabla no cabe en
+//      lo que queda de la página continúa en una página nueva, con
+//      su encabezado repetido.
+// =================================================================
+
+const ALTO_FILA = 25;
+const ALTO_TITULO = 35;
+const ANCHOS_COLUMNAS = [350, 150];
+const MARGEN_IZQUIERDO = 50;
+
+/**
+ * Posición Y hasta la que se puede dibujar en la página actual.
+ * @param {PDFDocument} doc - La instancia del documento PDF de pdfkit.
+ * @returns {number}
+ */
+export const getLimiteInferior = (doc) => doc.page.height - doc.page.margins.bottom;
+
+/**
+ * Pasa a una página nueva y devuelve la posición Y donde empieza.
+ * @param {PDFDocument} doc
+ * @returns {number}
+ */
+const nuevaPagina = (doc) => {
+    doc.addPage();
+    return doc.page.margins.top;
+};
+
+/**
+ * Dibuja la fila de encabezados y su línea inferior.
+ * @param {PDFDocument} doc
+ * @param {number} y
+ * @param {Array<string>} headers
+ * @returns {number} La posición Y de la primera fila de datos.
+ */
+const dibujarEncabezados = (doc, y, headers) => {
+    const tableRight = MARGEN_IZQUIERDO + ANCHOS_COLUMNAS[0] + ANCHOS_COLUMNAS[1];
+    doc.font('Helvetica-Bold');
+    headers.forEach((header, i) => {
+        doc.text(header, MARGEN_IZQUIERDO + (i * ANCHOS_COLUMNAS[i - 1] || 0), y, { width: ANCHOS_COLUMNAS[i], align: 'left' });
+    });
+    doc.moveTo(MARGEN_IZQUIERDO, y + ALTO_FILA - 5).lineTo(tableRight, y + ALTO_FILA - 5).stroke();
+    doc.font('Helvetica');
+    return y + ALTO_FILA;
+};
+
+/**
+ * Dibuja los bordes verticales de un tramo de la tabla (uno por página).
+ * @param {PDFDocument} doc
+ * @param {number} desde - Y del encabezado del tramo (los bordes arrancan 20 puntos arriba).
+ * @param {number} hasta - Y donde termina la última fila del tramo.
+ */
+const dibujarBordes = (doc, desde, hasta) => {
+    const tableRight = MARGEN_IZQUIERDO + ANCHOS_COLUMNAS[0] + ANCHOS_COLUMNAS[1];
+    [MARGEN_IZQUIERDO, MARGEN_IZQUIERDO + ANCHOS_COLUMNAS[0], tableRight].forEach(x => {
+        doc.moveTo(x, desde - 20).lineTo(x, hasta - 5).stroke();
+    });
+};
+
+/**
+ * Dibuja una tabla de dos columnas con bordes. Si el título, el encabezado y las filas
+ * no caben en lo que queda de la página, la tabla empieza en una página nueva; si aun así
+ * no cabe, continúa en las siguientes repitiendo el encabezado.
+ * @param {PDFDocument} doc - La instancia del documento PDF de pdfkit.
+ * @param {number} startY - La posición Y inicial para dibujar la tabla.
+ * @param {string} title - El título de la tabla.
+ * @param {Array<string>} headers - Un array con los nombres de las columnas.
+ * @param {Array<Array<any>>} data - Un array de arrays con los datos de las filas.
+ * @returns {number} - La posición Y final después de dibujar la tabla.
+ */
+export function drawTable(doc, startY, title, headers, data) {
+    let currentY = startY;
+    const altoTabla = ALTO_TITULO + ALTO_FILA * (data.length + 1);
+    if (currentY + altoTabla > getLimiteInferior(doc) && currentY > doc.page.margins.top) {
+        currentY = nuevaPagina(doc);
+    }
+
+    doc.fontSize(14).font('Helvetica-Bold').text(title, MARGEN_IZQUIERDO, currentY);
+    currentY += ALTO_TITULO;
+
+    let inicioTramo = currentY;
+    currentY = dibujarEncabezados(doc, currentY, headers);
+
+    data.forEach(row => {
+        // Las celdas largas ocupan varias líneas: la fila crece para que no se monten.
+        const altoFila = Math.max(ALTO_FILA, ...row.map((cell, i) => doc.heightOfString(String(cell), { width: ANCHOS_COLUMNAS[i] }) + 10));
+        if (currentY + altoFila > getLimiteInferior(doc)) {
+            dibujarBordes(doc, inicioTramo, currentY);
+            inicioTramo = nuevaPagina(doc);
+            currentY = dibujarEncabezados(doc, inicioTramo, headers);
+        }
+        row.forEach((cell, i) => {
+            doc.text(String(cell), MARGEN_IZQUIERDO + (i * ANCHOS_COLUMNAS[i - 1] || 0), currentY, { width: ANCHOS_COLUMNAS[i], align: 'left' });
+        });
+        const tableRight = MARGEN_IZQUIERDO + ANCHOS_COLUMNAS[0] + ANCHOS_COLUMNAS[1];
+        doc.moveTo(MARGEN_IZQUIERDO, currentY + altoFila - 5).lineTo(tableRight, currentY + altoFila - 5).stroke();
+        currentY += altoFila;
+    });
+
+    dibujarBordes(doc, inicioTramo, currentY);
+    return currentY;
+}
+
+/**
+ * Dibuja varias tablas seguidas, separadas por 20 puntos.
+ * @param {PDFDocument} doc - La instancia del documento PDF de pdfkit.
+ * @param {number} startY - La posición Y de la primera tabla.
+ * @param {Array<{titulo: string, encabezados: Array<string>, filas: Array<Array<any>>}>} tablas
+ * @returns {number} - La posición Y final después de la última tabla.
+ */
+export const drawTables = (doc, startY, tablas) => tablas.reduce(
+    (currentY, { titulo, encabezados, filas }, index) => drawTable(doc, currentY + (index > 0 ? 20 : 0), titulo, encabezados, filas),
+    startY
+);
@@ -0,0 +1,113 @@
+// =================================================================
+// ARCHIVO: src/helpers/tarjetasRegalo.js
+// ROL: Reglas de las tarjetas de regalo. Genera y normaliza sus
+//      códigos, valida la venta y la redención como pago de una
+//      factura y resume el saldo pendiente (pasivo) de las tarjetas
+//      vendidas. Lo usan los controladores de tarjetas y facturas.
+// =================================================================
+
+import { randomInt } from 'crypto';
+import { redondear } from './impuestos.js';
+
+/**
+ * Tipos de movimiento de una tarjeta de regalo.
+ */
+export const TIPOS_MOVIMIENTO_TARJETA = Object.freeze({
+    VENTA: 'venta',
+    REDENCION: 'redencion',
+    REVERSO: 'reverso'
+});
+
+// Caracteres del código: sin 0, O, 1 ni I para que no se confundan al digitarlo.
+const ALFABETO_CODIGO = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LONGITUD_CODIGO = 12;
+
+/**
+ * Genera un código aleatorio para una tarjeta nueva (la base de datos garantiza que sea único).
+ * @param {function(number): number} [aleatorio] - Devuelve un entero entre 0 y el máximo indicado (excluido).
+ * @returns {string} Código de 12 caracteres sin guiones.
+ */
+export const generarCodigoTarjeta = (aleatorio = randomInt) => Array
+    .from({ length: LONGITUD_CODIGO }, () => ALFABETO_CODIGO[aleatorio(ALFABETO_CODIGO.length)])
+    .join('');
+
+/**
+ * Normaliza un código digitado: sin guiones ni espacios y en mayúsculas.
+ * @param {string} codigo
+ * @returns {string|null} El código normalizado, o null si viene vacío.
+ */
+export const normalizarCodigoTarjeta = (codigo) => String(codigo ?? '').replace(/[^a-z0-9]/gi, '').toUpperCase() || null;
+
+/**
+ * Da formato a un código para imprimirlo (ej. 'ABCD-EFGH-JKLM').
+ * @param {string} codigo - Código normalizado.
+ * @returns {string}
+ */
+export const formatearCodigoTarjeta = (codigo) => String(codigo ?? '').match(/.{1,4}/g)?.join('-') ?? '';
+
+/**
+ * Oculta un código dejando visibles solo sus últimos 4 caracteres, para imprimirlo en la factura.
+ * @param {string} codigo - Código normalizado.
+ * @returns {string} Ej. '****-****-JKLM'.
+ */
+export const enmascararCodigoTarjeta = (codigo) => formatearCodigoTarjeta(String(codigo ?? '').replace(/.(?=.{4})/g, '*'));
+
+/**
+ * Valida el monto con que se vende una tarjeta.
+ * @param {any} monto
+ * @returns {string|null} El mensaje de error, o null si el monto es válido.
+ */
+export const validarMontoTarjeta = (monto) => {
+    const valor = Number(monto);
+    if (!Number.isFinite(valor) || valor <= 0) {
+        return 'El monto de la tarjeta de regalo debe ser mayor a 0.';
+    }
+    if (redondear(valor) !== valor) {
+        return 'El monto de la tarjeta de regalo admite máximo 2 decimales.';
+    }
+    return null;
+};
+
+/**
+ * Suma lo que se paga con cada tarjeta de regalo en una factura (una tarjeta puede
+ * aparecer en más de un pago).
+ * @param {Array<{codigo_tarjeta?: string, monto_pagado: number}>} transacciones
+ * @returns {Map<string, number>} Monto a redimir por código.
+ */
+export const agruparPagosPorTarjeta = (transacciones) => transacciones
+    .filter(tx => tx.codigo_tarjeta)
+    .reduce((mapa, tx) => mapa.set(tx.codigo_tarjeta, redondear((mapa.get(tx.codigo_tarjeta) || 0) + Number(tx.monto_pagado))), new Map());
+
+/**
+ * Valida que una tarjeta exista y tenga saldo para el monto a redimir.
+ * @param {object|null} tarjeta - Tarjeta encontrada por su código.
+ * @param {string} codigo - Código digitado (normalizado).
+ * @param {number} monto - Monto a redimir.
+ * @returns {string|null} El mensaje de error, o null si la redención es válida.
+ */
+export const validarRedencion = (tarjeta, codigo, monto) => {
+    if (!tarjeta) {
+        return `La tarjeta de regalo ${formatearCodigoTarjeta(codigo)} no existe.`;
+    }
+    if (Number(tarjeta.saldo) < redondear(monto)) {
+        return `La tarjeta de regalo ${formatearCodigoTarjeta(codigo)} solo tiene $${Number(tarjeta.saldo).toFixed(2)} disponibles.`;
+    }
+    return null;
+};
+
+/**
+ * Resume el pasivo de las tarjetas de regalo: lo vendido, lo redimido y el saldo pendiente.
+ * @param {Array<{monto_inicial: number, saldo: number}>} tarjetas
+ * @returns {{tarjetas: number, tarjetas_con_saldo: number, vendido: number, redimido: number, pasivo_pendiente: number}}
+ */
+export const resumirPasivo = (tarjetas) => {
+    const vendido = redondear(tarjetas.reduce((acc, tarjeta) => acc + Number(tarjeta.monto_inicial), 0));
+    const pasivo_pendiente = redondear(tarjetas.reduce((acc, tarjeta) => acc + Number(tarjeta.saldo), 0));
+    return {
+        tarjetas: tarjetas.length,
+        tarjetas_con_saldo: tarjetas.filter(tarjeta => Number(tarjeta.saldo) > 0).length,
+        vendido,
+        redimido: redondear(vendido - pasivo_pendiente),
+        pasivo_pendiente
+    };
+};
@@ -82,3 +82,32 @@ export const isAdmin = async (req, res, next) => {
         res.status(500).send({ message: error.message });
     }
 };
+
+/**
+ * Middleware que carga el rol del usuario autenticado y lo adjunta a la petición
+ * como 'req.userRol', para que los controladores apliquen reglas según el rol.
+ * Este middleware DEBE ejecutarse después de verifyToken.
+ *
+ * @param {object} req - El objeto de la petición de Express (debe contener req.userId).
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @param {function} next - La función callback para pasar el control.
+ */
+export const loadUserRole = async (req, res, next) => {
+    try {
+        const usuario = await db.Usuario.findByPk(req.userId, {
+            include: [{
+                model: db.Rol,
+                attributes: ["nombre_rol"],
+            }]
+        });
+
+        if (!usuario) {
+            return res.status(404).send({ message: "Usuario no encontrado." });
+        }
+
+        req.userRol = usuario.Rol ? usuario.Rol.nombre_rol : null;
+        next();
+    } catch (error) {
+        res.status(500).send({ message: error.message });
+    }
+};
@@ -35,6 +35,23 @@ export default (sequelize, DataTypes) => {
             allowNull: false,
             // unique: true crea una restricción de unicidad, asegurando que no haya dos categorías con el mismo nombre.
             unique: true
+        },
+        // Clave foránea que referencia a la estación de cocina que prepara esta categoría.
+        // Es opcional: las categorías sin estación solo llegan a la sala general 'cocineros'.
+        estacion_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Clave foránea que referencia a la tarifa de impuesto de los productos de esta categoría.
+        impuesto_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // En false agota temporalmente todos los productos de la categoría.
+        disponible: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
         }
     }, {
         // --- Opciones Adicionales del Modelo ---
@@ -0,0 +1,65 @@
+// =================================================================
+// ARCHIVO: src/models/cliente.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'clientes'.
+//      Un cliente se identifica por su tipo y número de documento
+//      (cédula, NIT...) y puede asociarse a las facturas para
+//      imprimir sus datos y consultar su historial de compras.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'Cliente' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'Cliente' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const Cliente = sequelize.define('Cliente', {
+        // --- Definición de Atributos (Columnas) ---
+
+        cliente_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Tipo de documento: CC, NIT, CE, TI o PP (ver 'helpers/clientes.js').
+        tipo_documento: {
+            type: DataTypes.ENUM('CC', 'NIT', 'CE', 'TI', 'PP'),
+            allowNull: false
+        },
+        // Número sin puntos ni guiones; el NIT se guarda sin dígito de verificación.
+        numero_documento: {
+            type: DataTypes.STRING(20),
+            allowNull: false
+        },
+        nombre: {
+            type: DataTypes.STRING(150),
+            allowNull: false
+        },
+        email: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        telefono: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        fecha_registro: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'clientes',
+        timestamps: false,
+        // Un documento identifica a un solo cliente.
+        indexes: [
+            { unique: true, fields: ['tipo_documento', 'numero_documento'] }
+        ]
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'hasMany' con el modelo Factura.
+    return Cliente;
+};
@@ -0,0 +1,78 @@
+// =================================================================
+// ARCHIVO: src/models/configuracion_propinas.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'configuracion_propinas'.
+//      Guarda en una sola fila la regla con que se reparten las
+//      propinas: por el mesero que tomó el pedido, en un fondo común
+//      por horas trabajadas o entre cocina y salón por porcentaje.
+//      También guarda las propinas sugeridas al facturar y el cargo
+//      por servicio que se cobra a los grupos grandes.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'ConfiguracionPropinas' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'ConfiguracionPropinas' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const ConfiguracionPropinas = sequelize.define('ConfiguracionPropinas', {
+        // --- Definición de Atributos (Columnas) ---
+
+        // Siempre es 1: el reparto tiene una sola configuración.
+        configuracion_id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            defaultValue: 1
+        },
+        // 'por_mesero', 'por_horas' o 'por_area' (ver 'helpers/propinas.js').
+        modo: {
+            type: DataTypes.ENUM('por_mesero', 'por_horas', 'por_area'),
+            allowNull: false,
+            defaultValue: 'por_mesero'
+        },
+        // Porcentaje del fondo para la cocina en el modo por área; el resto es para el salón.
+        porcentaje_cocina: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 30
+        },
+        // Porcentajes de propina sugeridos sobre el subtotal (ej. [10, 15, 20]).
+        porcentajes_sugeridos: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        // --- Cargo por servicio (grupos grandes) ---
+        cargo_servicio_activo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Porcentaje sobre el subtotal con descuentos.
+        cargo_servicio_porcentaje: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 10
+        },
+        // Comensales desde los que se cobra el cargo.
+        cargo_servicio_min_comensales: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 8
+        },
+        // Clave foránea a la tarifa con que se grava el cargo; null si no causa impuesto.
+        cargo_servicio_impuesto_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'configuracion_propinas',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'belongsTo' con el modelo Impuesto (la tarifa del cargo por servicio).
+    return ConfiguracionPropinas;
+};
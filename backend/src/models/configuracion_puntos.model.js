@@ -0,0 +1,59 @@
+// =================================================================
+// ARCHIVO: src/models/configuracion_puntos.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'configuracion_puntos'.
+//      Guarda en una sola fila los parámetros del programa de puntos:
+//      cuánto hay que facturar para ganar un punto, cuánto vale un
+//      punto al canjearlo, el mínimo por canje y la vigencia.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'ConfiguracionPuntos' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'ConfiguracionPuntos' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const ConfiguracionPuntos = sequelize.define('ConfiguracionPuntos', {
+        // --- Definición de Atributos (Columnas) ---
+
+        // Siempre es 1: el programa tiene una sola configuración.
+        configuracion_id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            defaultValue: 1
+        },
+        activo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        // Valor facturado (sin propina) que otorga un punto.
+        pesos_por_punto: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        // Pesos que descuenta cada punto al canjearlo.
+        valor_punto: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        minimo_canje: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Días que duran los puntos desde que se ganan.
+        vigencia_dias: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'configuracion_puntos',
+        timestamps: false
+    });
+
+    // Este modelo no tiene asociaciones; lo consultan los controladores de puntos y facturas.
+    return ConfiguracionPuntos;
+};
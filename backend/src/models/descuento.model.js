@@ -0,0 +1,89 @@
+// =================================================================
+// ARCHIVO: src/models/descuento.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'descuentos'.
+//      Cada registro es una regla de descuento configurada por el
+//      administrador: comida de personal, cortesía de gerencia,
+//      descuento porcentual o código promocional.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'Descuento' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'Descuento' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const Descuento = sequelize.define('Descuento', {
+        // --- Definición de Atributos (Columnas) ---
+
+        descuento_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true
+        },
+        // Código promocional que digita el mesero; si es NULL el descuento se elige de la lista.
+        codigo: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+            unique: true
+        },
+        // 'porcentaje' (valor entre 0 y 100) o 'monto' (valor fijo en pesos).
+        tipo: {
+            type: DataTypes.ENUM('porcentaje', 'monto'),
+            allowNull: false
+        },
+        valor: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        // 'linea' descuenta un artículo de la cuenta; 'pedido' descuenta el total.
+        alcance: {
+            type: DataTypes.ENUM('linea', 'pedido'),
+            allowNull: false,
+            defaultValue: 'pedido'
+        },
+        // Vigencia del descuento (ambas fechas inclusive); NULL significa sin límite.
+        fecha_inicio: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
+        fecha_fin: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
+        // Nombres de los roles que pueden aplicarlo (ej. ["mesero"]); NULL permite a todos.
+        roles_permitidos: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        requiere_motivo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Si es true, un administrador debe autorizarlo con su correo y contraseña.
+        requiere_aprobacion: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        activo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'descuentos',
+        timestamps: false
+    });
+
+    return Descuento;
+};
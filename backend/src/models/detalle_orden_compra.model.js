@@ -0,0 +1,60 @@
+// =================================================================
+// ARCHIVO: src/models/detalle_orden_compra.model.js
+// ROL: Define el modelo de Sequelize para la tabla
+//      'detalle_orden_compra'. Cada línea pide una cantidad de un
+//      ingrediente a un costo unitario y lleva la cuenta de lo que
+//      ya se recibió.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'DetalleOrdenCompra' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'DetalleOrdenCompra' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const DetalleOrdenCompra = sequelize.define('DetalleOrdenCompra', {
+        // --- Definición de Atributos (Columnas) ---
+
+        detalle_orden_compra_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'ordenes_compra'.
+        orden_compra_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Clave foránea que referencia a la tabla 'ingredientes'.
+        ingrediente_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Cantidad pedida, en la unidad del ingrediente.
+        cantidad: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: false
+        },
+        cantidad_recibida: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Costo por unidad del ingrediente.
+        costo_unitario: {
+            type: DataTypes.DECIMAL(12, 4),
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'detalle_orden_compra',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos OrdenCompra e Ingrediente.
+    return DetalleOrdenCompra;
+};
@@ -43,6 +43,20 @@ export default (sequelize, DataTypes) => {
         // Atributo adicional: notas específicas para este producto dentro de este pedido.
         notas: {
             type: DataTypes.TEXT // TEXT es adecuado para cadenas de longitud variable y potencialmente largas.
+        },
+        // Estado de preparación de esta línea en cocina ('pendiente', 'en_preparacion', 'listo').
+        // El pedido pasa a 'listo' solo cuando todas sus líneas lo están.
+        estado_preparacion: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: 'pendiente'
+        },
+        // Copia de las opciones de modificador elegidas en esta línea
+        // ({ opcion_id, grupo_id, grupo, tipo, nombre, precio_delta }). Se guarda
+        // el precio del momento para que la factura no cambie si el menú cambia.
+        modificadores: {
+            type: DataTypes.JSON,
+            allowNull: true
         }
     }, {
         // --- Opciones Adicionales del Modelo ---
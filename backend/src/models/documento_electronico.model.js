@@ -0,0 +1,88 @@
+// =================================================================
+// ARCHIVO: src/models/documento_electronico.model.js
+// ROL: Define el modelo de Sequelize para la tabla
+//      'documentos_electronicos'. Guarda la factura electrónica
+//      (XML UBL 2.1) de una factura, su número dentro de la
+//      resolución, su CUFE y el resultado de la validación.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'DocumentoElectronico' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'DocumentoElectronico' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const DocumentoElectronico = sequelize.define('DocumentoElectronico', {
+        // --- Definición de Atributos (Columnas) ---
+
+        documento_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la factura. Una factura tiene un solo documento electrónico.
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true
+        },
+        // Clave foránea que referencia a la resolución que autorizó el número.
+        resolucion_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        consecutivo: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Prefijo y consecutivo (ej. 'SETP990000001').
+        numero: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            unique: true
+        },
+        cufe: {
+            type: DataTypes.STRING(96),
+            allowNull: false
+        },
+        fecha_emision: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        xml: {
+            type: DataTypes.TEXT('medium'),
+            allowNull: false
+        },
+        // Estado del documento: 'generado' (pendiente de validar), 'aceptado' o 'rechazado'.
+        estado: {
+            type: DataTypes.ENUM('generado', 'aceptado', 'rechazado'),
+            allowNull: false,
+            defaultValue: 'generado'
+        },
+        // Adaptador de envío que validó el documento.
+        adaptador: {
+            type: DataTypes.STRING(30),
+            allowNull: true
+        },
+        // Mensajes de la validación.
+        mensajes: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        fecha_validacion: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'documentos_electronicos',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Factura y ResolucionFacturacion.
+    return DocumentoElectronico;
+};
@@ -0,0 +1,39 @@
+// =================================================================
+// ARCHIVO: src/models/estacion_cocina.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'estaciones_cocina'.
+//      Una estación agrupa las categorías que prepara una misma zona
+//      de la cocina (ej. barra de sushi, parrilla, bebidas).
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'EstacionCocina' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'EstacionCocina' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const EstacionCocina = sequelize.define('EstacionCocina', {
+        // --- Definición de Atributos (Columnas) ---
+
+        estacion_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true // No pueden existir dos estaciones con el mismo nombre.
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'estaciones_cocina',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'hasMany' con el modelo Categoria.
+    return EstacionCocina;
+};
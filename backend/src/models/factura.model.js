@@ -21,17 +21,38 @@ export default (sequelize, DataTypes) => {
             autoIncrement: true,
             primaryKey: true
         },
+        // Número de la factura: prefijo y consecutivo de la resolución activa al facturar.
+        // Es null en las facturas creadas antes de la numeración.
+        numero: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+            unique: true
+        },
+        // Clave foránea que referencia a la tabla 'resoluciones_facturacion'.
+        resolucion_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        consecutivo: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
         // Clave foránea que referencia a la tabla 'pedidos'.
+        // Un pedido puede tener varias facturas cuando la cuenta se divide.
         pedido_id: {
-            type: DataTypes.INTEGER,
-            // 'unique: true' impone una relación de uno a uno. Un pedido solo puede tener una factura.
-            unique: true
+            type: DataTypes.INTEGER
         },
         // Los campos monetarios se definen como DECIMAL para garantizar la precisión.
         subtotal: {
             type: DataTypes.DECIMAL(10, 2),
             allowNull: false
         },
+        // Suma de los descuentos aplicados; se resta del subtotal antes de calcular los impuestos.
+        descuento_total: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
         impuesto_total: {
             type: DataTypes.DECIMAL(10, 2),
             allowNull: false
@@ -41,6 +62,18 @@ export default (sequelize, DataTypes) => {
             // 'defaultValue' establece un valor por defecto si no se proporciona uno.
             defaultValue: 0.0
         },
+        // Cargo por servicio de los grupos grandes: es aparte de la propina voluntaria y, a diferencia
+        // de ella, causa impuesto. Su impuesto hace parte de 'impuesto_total' y se guarda también aquí.
+        cargo_servicio: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
+        impuesto_cargo_servicio: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
         total: {
             type: DataTypes.DECIMAL(10, 2),
             allowNull: false
@@ -53,6 +86,18 @@ export default (sequelize, DataTypes) => {
         // Clave foránea que referencia a la tabla 'metodos_pago'.
         metodo_pago_id: {
             type: DataTypes.INTEGER
+        },
+        // Una factura anulada se conserva y queda respaldada por su nota crédito;
+        // sus líneas vuelven a quedar pendientes por cobrar en el pedido.
+        anulada: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Clave foránea que referencia al cliente; null si la factura es de consumidor final.
+        cliente_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
         }
     }, {
         // --- Opciones Adicionales del Modelo ---
@@ -64,6 +109,6 @@ export default (sequelize, DataTypes) => {
     });
 
     // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
-    // con los modelos Pedido, MetodoPago y TransaccionPago.
+    // con los modelos Pedido, MetodoPago, ResolucionFacturacion, TransaccionPago, FacturaDetalle, FacturaDescuento y NotaCredito.
     return Factura;
 };
@@ -0,0 +1,89 @@
+// =================================================================
+// ARCHIVO: src/models/factura_descuento.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'factura_descuentos'.
+//      Registra cada descuento aplicado en una factura, con una copia
+//      de la regla, el monto descontado, el motivo y quién lo aplicó
+//      y lo autorizó.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'FacturaDescuento' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'FacturaDescuento' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const FacturaDescuento = sequelize.define('FacturaDescuento', {
+        // --- Definición de Atributos (Columnas) ---
+
+        factura_descuento_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'facturas'.
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Regla aplicada; queda en NULL si la regla se elimina después.
+        descuento_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Copia de la regla al momento de facturar, para que la factura no cambie si la regla cambia.
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        codigo: {
+            type: DataTypes.STRING(50),
+            allowNull: true
+        },
+        tipo: {
+            type: DataTypes.ENUM('porcentaje', 'monto'),
+            allowNull: false
+        },
+        valor: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        alcance: {
+            type: DataTypes.ENUM('linea', 'pedido'),
+            allowNull: false
+        },
+        // Línea del pedido descontada (solo para los descuentos por línea).
+        detalle_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Valor descontado de la base gravable.
+        monto: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        motivo: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Usuario que aplicó el descuento y administrador que lo autorizó.
+        aplicado_por: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        aprobado_por: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'factura_descuentos',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Factura, Descuento y Usuario.
+    return FacturaDescuento;
+};
@@ -0,0 +1,50 @@
+// =================================================================
+// ARCHIVO: src/models/factura_detalle.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'factura_detalles'.
+//      Registra qué cantidad de cada línea del pedido se cobró en cada
+//      factura, lo que permite dividir la cuenta de un pedido en
+//      varias facturas (por artículo o en partes iguales).
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'FacturaDetalle' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'FacturaDetalle' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const FacturaDetalle = sequelize.define('FacturaDetalle', {
+        // --- Definición de Atributos (Columnas) ---
+
+        factura_detalle_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'facturas'.
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Clave foránea que referencia a la línea del pedido ('detalle_pedido').
+        detalle_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Cantidad cobrada en esta factura; es fraccionaria cuando la cuenta se divide en partes iguales.
+        cantidad: {
+            type: DataTypes.DECIMAL(10, 4),
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'factura_detalles',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Factura y DetallePedido.
+    return FacturaDetalle;
+};
@@ -0,0 +1,61 @@
+// =================================================================
+// ARCHIVO: src/models/factura_impuesto.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'factura_impuestos'.
+//      Guarda el desglose de impuestos de una factura por tarifa
+//      (base gravable y valor), copiando nombre y porcentaje para
+//      que la factura no cambie si la tarifa se modifica después.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'FacturaImpuesto' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'FacturaImpuesto' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const FacturaImpuesto = sequelize.define('FacturaImpuesto', {
+        // --- Definición de Atributos (Columnas) ---
+
+        factura_impuesto_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'facturas'.
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Tarifa aplicada; null para las líneas sin impuesto.
+        impuesto_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        porcentaje: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false
+        },
+        // Suma de las líneas gravadas con esta tarifa.
+        base: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        // Impuesto calculado para esta tarifa.
+        valor: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'factura_impuestos',
+        timestamps: false
+    });
+
+    return FacturaImpuesto;
+};
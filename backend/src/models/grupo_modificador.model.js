@@ -0,0 +1,64 @@
+// =================================================================
+// ARCHIVO: src/models/grupo_modificador.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'grupos_modificadores'.
+//      Un grupo reúne las opciones que se pueden elegir para un producto
+//      (proteínas, salsas, extras o ingredientes a retirar) y fija
+//      cuántas de ellas se deben seleccionar.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'GrupoModificador' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'GrupoModificador' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const GrupoModificador = sequelize.define('GrupoModificador', {
+        // --- Definición de Atributos (Columnas) ---
+
+        grupo_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia al producto al que pertenece el grupo.
+        producto_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        // Tipo de grupo: 'proteina', 'salsa', 'extra' o 'sin'.
+        tipo: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: 'extra'
+        },
+        // Mínimo de opciones a elegir; 0 hace el grupo opcional.
+        min_seleccion: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Máximo de opciones a elegir; null significa sin límite.
+        max_seleccion: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        orden: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'grupos_modificadores',
+        timestamps: false
+    });
+
+    return GrupoModificador;
+};
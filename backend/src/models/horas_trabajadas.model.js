@@ -0,0 +1,53 @@
+// =================================================================
+// ARCHIVO: src/models/horas_trabajadas.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'horas_trabajadas'.
+//      Registra las horas que trabajó cada empleado en un día; se
+//      usan para repartir las propinas en los modos por horas y por área.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'HorasTrabajadas' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'HorasTrabajadas' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const HorasTrabajadas = sequelize.define('HorasTrabajadas', {
+        // --- Definición de Atributos (Columnas) ---
+
+        registro_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia al empleado. Un registro por empleado y día.
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        fecha: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        horas: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false
+        },
+        // Administrador que registró las horas.
+        registrado_por: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'horas_trabajadas',
+        timestamps: false,
+        indexes: [{ unique: true, fields: ['usuario_id', 'fecha'] }]
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'belongsTo' con el modelo Usuario.
+    return HorasTrabajadas;
+};
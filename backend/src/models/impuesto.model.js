@@ -0,0 +1,49 @@
+// =================================================================
+// ARCHIVO: src/models/impuesto.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'impuestos'.
+//      Cada registro es una tarifa (ej. impoconsumo, IVA, exento)
+//      que se asigna a categorías o, como excepción, a productos.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'Impuesto' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'Impuesto' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const Impuesto = sequelize.define('Impuesto', {
+        // --- Definición de Atributos (Columnas) ---
+
+        impuesto_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true // No pueden existir dos tarifas con el mismo nombre.
+        },
+        // Porcentaje sobre la base gravable (ej. 8.00 para el 8%).
+        porcentaje: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Código del tributo en la factura electrónica (01 IVA, 04 impuesto al consumo, 03 ICA).
+        // Null si la tarifa no se reporta como tributo (ej. exento).
+        codigo_dian: {
+            type: DataTypes.STRING(2),
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'impuestos',
+        timestamps: false
+    });
+
+    return Impuesto;
+};
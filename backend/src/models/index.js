@@ -23,6 +23,33 @@ import MetodoPagoModel from './metodo_pago.model.js';
 import FacturaModel from './factura.model.js';
 import TransaccionPagoModel from './transaccion_pago.model.js';
 import RefreshTokenSessionModel from './refresh_token_session.model.js';
+import EstacionCocinaModel from './estacion_cocina.model.js';
+import PedidoRevisionModel from './pedido_revision.model.js';
+import GrupoModificadorModel from './grupo_modificador.model.js';
+import OpcionModificadorModel from './opcion_modificador.model.js';
+import ImpuestoModel from './impuesto.model.js';
+import FacturaImpuestoModel from './factura_impuesto.model.js';
+import FacturaDetalleModel from './factura_detalle.model.js';
+import DescuentoModel from './descuento.model.js';
+import FacturaDescuentoModel from './factura_descuento.model.js';
+import NotaCreditoModel from './nota_credito.model.js';
+import SesionCajaModel from './sesion_caja.model.js';
+import ReporteZModel from './reporte_z.model.js';
+import ResolucionFacturacionModel from './resolucion_facturacion.model.js';
+import DocumentoElectronicoModel from './documento_electronico.model.js';
+import ClienteModel from './cliente.model.js';
+import ConfiguracionPuntosModel from './configuracion_puntos.model.js';
+import MovimientoPuntosModel from './movimiento_puntos.model.js';
+import TarjetaRegaloModel from './tarjeta_regalo.model.js';
+import MovimientoTarjetaRegaloModel from './movimiento_tarjeta_regalo.model.js';
+import ConfiguracionPropinasModel from './configuracion_propinas.model.js';
+import HorasTrabajadasModel from './horas_trabajadas.model.js';
+import IngredienteModel from './ingrediente.model.js';
+import RecetaModel from './receta.model.js';
+import MovimientoInventarioModel from './movimiento_inventario.model.js';
+import ProveedorModel from './proveedor.model.js';
+import OrdenCompraModel from './orden_compra.model.js';
+import DetalleOrdenCompraModel from './detalle_orden_compra.model.js';
 
 // Objeto 'db' que actuará como contenedor centralizado.
 const db = {};
@@ -45,6 +72,33 @@ db.MetodoPago = MetodoPagoModel(sequelize, Sequelize);
 db.Factura = FacturaModel(sequelize, Sequelize);
 db.TransaccionPago = TransaccionPagoModel(sequelize, Sequelize);
 db.RefreshTokenSession = RefreshTokenSessionModel(sequelize, Sequelize);
+db.EstacionCocina = EstacionCocinaModel(sequelize, Sequelize);
+db.PedidoRevision = PedidoRevisionModel(sequelize, Sequelize);
+db.GrupoModificador = GrupoModificadorModel(sequelize, Sequelize);
+db.OpcionModificador = OpcionModificadorModel(sequelize, Sequelize);
+db.Impuesto = ImpuestoModel(sequelize, Sequelize);
+db.FacturaImpuesto = FacturaImpuestoModel(sequelize, Sequelize);
+db.FacturaDetalle = FacturaDetalleModel(sequelize, Sequelize);
+db.Descuento = DescuentoModel(sequelize, Sequelize);
+db.FacturaDescuento = FacturaDescuentoModel(sequelize, Sequelize);
+db.NotaCredito = NotaCreditoModel(sequelize, Sequelize);
+db.SesionCaja = SesionCajaModel(sequelize, Sequelize);
+db.ReporteZ = ReporteZModel(sequelize, Sequelize);
+db.ResolucionFacturacion = ResolucionFacturacionModel(sequelize, Sequelize);
+db.DocumentoElectronico = DocumentoElectronicoModel(sequelize, Sequelize);
+db.Cliente = ClienteModel(sequelize, Sequelize);
+db.ConfiguracionPuntos = ConfiguracionPuntosModel(sequelize, Sequelize);
+db.MovimientoPuntos = MovimientoPuntosModel(sequelize, Sequelize);
+db.TarjetaRegalo = TarjetaRegaloModel(sequelize, Sequelize);
+db.MovimientoTarjetaRegalo = MovimientoTarjetaRegaloModel(sequelize, Sequelize);
+db.ConfiguracionPropinas = ConfiguracionPropinasModel(sequelize, Sequelize);
+db.HorasTrabajadas = HorasTrabajadasModel(sequelize, Sequelize);
+db.Ingrediente = IngredienteModel(sequelize, Sequelize);
+db.Receta = RecetaModel(sequelize, Sequelize);
+db.MovimientoInventario = MovimientoInventarioModel(sequelize, Sequelize);
+db.Proveedor = ProveedorModel(sequelize, Sequelize);
+db.OrdenCompra = OrdenCompraModel(sequelize, Sequelize);
+db.DetalleOrdenCompra = DetalleOrdenCompraModel(sequelize, Sequelize);
 
 
 
@@ -59,6 +113,25 @@ db.Usuario.belongsTo(db.Rol, { foreignKey: 'rol_id' });
 db.Categoria.hasMany(db.Producto, { foreignKey: 'categoria_id' });
 db.Producto.belongsTo(db.Categoria, { foreignKey: 'categoria_id' });
 
+// Relación Uno a Muchos: Una tarifa de Impuesto se asigna a Categorías y, como excepción, a Productos.
+db.Impuesto.hasMany(db.Categoria, { foreignKey: 'impuesto_id' });
+db.Categoria.belongsTo(db.Impuesto, { foreignKey: 'impuesto_id' });
+db.Impuesto.hasMany(db.Producto, { foreignKey: 'impuesto_id' });
+db.Producto.belongsTo(db.Impuesto, { foreignKey: 'impuesto_id' });
+// El cargo por servicio se grava con la tarifa elegida en la configuración de propinas.
+db.Impuesto.hasMany(db.ConfiguracionPropinas, { foreignKey: 'cargo_servicio_impuesto_id' });
+db.ConfiguracionPropinas.belongsTo(db.Impuesto, { foreignKey: 'cargo_servicio_impuesto_id' });
+
+// Relación Uno a Muchos: Un Producto tiene grupos de modificadores, y cada grupo sus opciones.
+db.Producto.hasMany(db.GrupoModificador, { foreignKey: 'producto_id', as: 'grupos_modificadores' });
+db.GrupoModificador.belongsTo(db.Producto, { foreignKey: 'producto_id' });
+db.GrupoModificador.hasMany(db.OpcionModificador, { foreignKey: 'grupo_id', as: 'opciones' });
+db.OpcionModificador.belongsTo(db.GrupoModificador, { foreignKey: 'grupo_id' });
+
+// Relación Uno a Muchos: Una Estación de cocina prepara muchas Categorías.
+db.EstacionCocina.hasMany(db.Categoria, { foreignKey: 'estacion_id' });
+db.Categoria.belongsTo(db.EstacionCocina, { foreignKey: 'estacion_id' });
+
 // Relación Uno a Muchos: Un Usuario (mesero) puede tomar muchos Pedidos.
 db.Usuario.hasMany(db.Pedido, { foreignKey: 'usuario_id' });
 db.Pedido.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
@@ -83,10 +156,120 @@ db.Pedido.hasMany(db.DetallePedido, { foreignKey: 'pedido_id' });
 db.DetallePedido.belongsTo(db.Producto, { foreignKey: 'producto_id' });
 db.Producto.hasMany(db.DetallePedido, { foreignKey: 'producto_id' });
 
-// Relación Uno a Uno: Un Pedido tiene una Factura.
-db.Pedido.hasOne(db.Factura, { foreignKey: 'pedido_id' });
+// Relación Uno a Muchos: Un Pedido guarda el historial de sus ediciones.
+db.Pedido.hasMany(db.PedidoRevision, { foreignKey: 'pedido_id' });
+db.PedidoRevision.belongsTo(db.Pedido, { foreignKey: 'pedido_id' });
+db.Usuario.hasMany(db.PedidoRevision, { foreignKey: 'usuario_id' });
+db.PedidoRevision.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
+
+// Relación Uno a Muchos: Un Pedido puede tener varias Facturas (cuenta dividida).
+db.Pedido.hasMany(db.Factura, { foreignKey: 'pedido_id' });
 db.Factura.belongsTo(db.Pedido, { foreignKey: 'pedido_id' });
 
+// Relación Uno a Muchos: Una Factura cobra una cantidad de una o varias líneas del pedido.
+db.Factura.hasMany(db.FacturaDetalle, { foreignKey: 'factura_id' });
+db.FacturaDetalle.belongsTo(db.Factura, { foreignKey: 'factura_id' });
+db.DetallePedido.hasMany(db.FacturaDetalle, { foreignKey: 'detalle_id' });
+db.FacturaDetalle.belongsTo(db.DetallePedido, { foreignKey: 'detalle_id' });
+
+// Relación Uno a Muchos: Una Factura guarda su desglose de impuestos por tarifa.
+db.Factura.hasMany(db.FacturaImpuesto, { foreignKey: 'factura_id' });
+db.FacturaImpuesto.belongsTo(db.Factura, { foreignKey: 'factura_id' });
+
+// Relación Uno a Muchos: Una Factura guarda los descuentos que se le aplicaron.
+db.Factura.hasMany(db.FacturaDescuento, { foreignKey: 'factura_id' });
+db.FacturaDescuento.belongsTo(db.Factura, { foreignKey: 'factura_id' });
+db.Descuento.hasMany(db.FacturaDescuento, { foreignKey: 'descuento_id' });
+db.FacturaDescuento.belongsTo(db.Descuento, { foreignKey: 'descuento_id' });
+db.Usuario.hasMany(db.FacturaDescuento, { foreignKey: 'aplicado_por', as: 'descuentos_aplicados' });
+db.FacturaDescuento.belongsTo(db.Usuario, { foreignKey: 'aplicado_por', as: 'aplicador' });
+db.Usuario.hasMany(db.FacturaDescuento, { foreignKey: 'aprobado_por', as: 'descuentos_aprobados' });
+db.FacturaDescuento.belongsTo(db.Usuario, { foreignKey: 'aprobado_por', as: 'aprobador' });
+
+// Relación Uno a Uno: Una Factura anulada tiene su Nota Crédito, emitida por un Usuario.
+db.Factura.hasOne(db.NotaCredito, { foreignKey: 'factura_id' });
+db.NotaCredito.belongsTo(db.Factura, { foreignKey: 'factura_id' });
+db.Usuario.hasMany(db.NotaCredito, { foreignKey: 'usuario_id' });
+db.NotaCredito.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
+
+// Relación Uno a Muchos: Una Sesión de Caja, abierta y cerrada por un Usuario, recibe los pagos en efectivo.
+db.Usuario.hasMany(db.SesionCaja, { foreignKey: 'usuario_id' });
+db.SesionCaja.belongsTo(db.Usuario, { foreignKey: 'usuario_id', as: 'cajero' });
+db.SesionCaja.belongsTo(db.Usuario, { foreignKey: 'cerrada_por', as: 'cerrador' });
+db.SesionCaja.hasMany(db.TransaccionPago, { foreignKey: 'sesion_caja_id' });
+db.TransaccionPago.belongsTo(db.SesionCaja, { foreignKey: 'sesion_caja_id' });
+
+// Relación Uno a Muchos: Un Usuario (administrador) genera los Reportes Z.
+db.Usuario.hasMany(db.ReporteZ, { foreignKey: 'generado_por' });
+db.ReporteZ.belongsTo(db.Usuario, { foreignKey: 'generado_por' });
+
+// Relación Uno a Uno: Una Factura tiene su Documento Electrónico, numerado con una Resolución de facturación.
+db.Factura.hasOne(db.DocumentoElectronico, { foreignKey: 'factura_id' });
+db.DocumentoElectronico.belongsTo(db.Factura, { foreignKey: 'factura_id' });
+db.ResolucionFacturacion.hasMany(db.DocumentoElectronico, { foreignKey: 'resolucion_id' });
+db.DocumentoElectronico.belongsTo(db.ResolucionFacturacion, { foreignKey: 'resolucion_id' });
+
+// Relación Uno a Muchos: Una Resolución de facturación numera muchas Facturas.
+db.ResolucionFacturacion.hasMany(db.Factura, { foreignKey: 'resolucion_id' });
+db.Factura.belongsTo(db.ResolucionFacturacion, { foreignKey: 'resolucion_id' });
+
+// Relación Uno a Muchos: Un Cliente tiene muchas Facturas (la factura sin cliente es de consumidor final).
+db.Cliente.hasMany(db.Factura, { foreignKey: 'cliente_id' });
+db.Factura.belongsTo(db.Cliente, { foreignKey: 'cliente_id' });
+
+// Relación Uno a Muchos: Un Cliente tiene su libro de puntos; cada movimiento puede venir de una Factura.
+db.Cliente.hasMany(db.MovimientoPuntos, { foreignKey: 'cliente_id' });
+db.MovimientoPuntos.belongsTo(db.Cliente, { foreignKey: 'cliente_id' });
+db.Factura.hasMany(db.MovimientoPuntos, { foreignKey: 'factura_id' });
+db.MovimientoPuntos.belongsTo(db.Factura, { foreignKey: 'factura_id' });
+db.Usuario.hasMany(db.MovimientoPuntos, { foreignKey: 'usuario_id' });
+db.MovimientoPuntos.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
+
+// Relación Uno a Muchos: Una Tarjeta de regalo se usa en Transacciones de pago y guarda sus movimientos.
+db.TarjetaRegalo.hasMany(db.TransaccionPago, { foreignKey: 'tarjeta_regalo_id' });
+db.TransaccionPago.belongsTo(db.TarjetaRegalo, { foreignKey: 'tarjeta_regalo_id' });
+db.TarjetaRegalo.hasMany(db.MovimientoTarjetaRegalo, { foreignKey: 'tarjeta_id' });
+db.MovimientoTarjetaRegalo.belongsTo(db.TarjetaRegalo, { foreignKey: 'tarjeta_id' });
+db.Cliente.hasMany(db.TarjetaRegalo, { foreignKey: 'cliente_id' });
+db.TarjetaRegalo.belongsTo(db.Cliente, { foreignKey: 'cliente_id' });
+db.MetodoPago.hasMany(db.TarjetaRegalo, { foreignKey: 'metodo_pago_id' });
+db.TarjetaRegalo.belongsTo(db.MetodoPago, { foreignKey: 'metodo_pago_id' });
+db.SesionCaja.hasMany(db.TarjetaRegalo, { foreignKey: 'sesion_caja_id' });
+db.TarjetaRegalo.belongsTo(db.SesionCaja, { foreignKey: 'sesion_caja_id' });
+db.Usuario.hasMany(db.TarjetaRegalo, { foreignKey: 'vendida_por' });
+db.TarjetaRegalo.belongsTo(db.Usuario, { foreignKey: 'vendida_por', as: 'vendedor' });
+
+// Relación Uno a Muchos: Un Usuario tiene sus registros de horas trabajadas (para repartir propinas).
+db.Usuario.hasMany(db.HorasTrabajadas, { foreignKey: 'usuario_id' });
+db.HorasTrabajadas.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
+
+// Relación Uno a Muchos: Un Producto tiene su receta (ingredientes y cantidades que consume).
+db.Producto.hasMany(db.Receta, { foreignKey: 'producto_id' });
+db.Receta.belongsTo(db.Producto, { foreignKey: 'producto_id' });
+db.Ingrediente.hasMany(db.Receta, { foreignKey: 'ingrediente_id' });
+db.Receta.belongsTo(db.Ingrediente, { foreignKey: 'ingrediente_id' });
+
+// Relación Uno a Muchos: Un Ingrediente guarda sus movimientos; cada uno puede venir de un Pedido.
+db.Ingrediente.hasMany(db.MovimientoInventario, { foreignKey: 'ingrediente_id' });
+db.MovimientoInventario.belongsTo(db.Ingrediente, { foreignKey: 'ingrediente_id' });
+db.Pedido.hasMany(db.MovimientoInventario, { foreignKey: 'pedido_id' });
+db.MovimientoInventario.belongsTo(db.Pedido, { foreignKey: 'pedido_id' });
+db.Usuario.hasMany(db.MovimientoInventario, { foreignKey: 'usuario_id' });
+db.MovimientoInventario.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
+
+// Relación Uno a Muchos: Un Proveedor recibe órdenes de compra con sus líneas de ingredientes.
+db.Proveedor.hasMany(db.OrdenCompra, { foreignKey: 'proveedor_id' });
+db.OrdenCompra.belongsTo(db.Proveedor, { foreignKey: 'proveedor_id' });
+db.Usuario.hasMany(db.OrdenCompra, { foreignKey: 'usuario_id' });
+db.OrdenCompra.belongsTo(db.Usuario, { foreignKey: 'usuario_id' });
+db.OrdenCompra.hasMany(db.DetalleOrdenCompra, { foreignKey: 'orden_compra_id' });
+db.DetalleOrdenCompra.belongsTo(db.OrdenCompra, { foreignKey: 'orden_compra_id' });
+db.Ingrediente.hasMany(db.DetalleOrdenCompra, { foreignKey: 'ingrediente_id' });
+db.DetalleOrdenCompra.belongsTo(db.Ingrediente, { foreignKey: 'ingrediente_id' });
+// La mercancía recibida de una orden queda en el libro de movimientos de inventario.
+db.OrdenCompra.hasMany(db.MovimientoInventario, { foreignKey: 'orden_compra_id' });
+db.MovimientoInventario.belongsTo(db.OrdenCompra, { foreignKey: 'orden_compra_id' });
+
 // Relación Uno a Muchos: Un MetodoPago puede estar en muchas Facturas.
 db.MetodoPago.hasMany(db.Factura, { foreignKey: 'metodo_pago_id' });
 db.Factura.belongsTo(db.MetodoPago, { foreignKey: 'metodo_pago_id' });
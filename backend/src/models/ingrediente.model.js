@@ -0,0 +1,65 @@
+// =================================================================
+// ARCHIVO: src/models/ingrediente.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'ingredientes'.
+//      Representa los insumos del inventario con su unidad de medida,
+//      su existencia actual y su costo promedio de compra.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'Ingrediente' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'Ingrediente' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const Ingrediente = sequelize.define('Ingrediente', {
+        // --- Definición de Atributos (Columnas) ---
+
+        ingrediente_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true
+        },
+        // 'g', 'kg', 'ml', 'l' o 'unidad' (ver 'helpers/inventario.js').
+        unidad: {
+            type: DataTypes.ENUM('g', 'kg', 'ml', 'l', 'unidad'),
+            allowNull: false
+        },
+        // Solo cambia junto con un movimiento de inventario; puede quedar negativa.
+        stock: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Punto de reorden: se avisa cuando la existencia llega a este valor o baja de él (null sin alerta).
+        stock_minimo: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: true
+        },
+        // Costo promedio ponderado por unidad; se recalcula con cada compra recibida (null hasta la primera).
+        costo_promedio: {
+            type: DataTypes.DECIMAL(12, 4),
+            allowNull: true
+        },
+        activo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'ingredientes',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // con las recetas de los productos y los movimientos de inventario.
+    return Ingrediente;
+};
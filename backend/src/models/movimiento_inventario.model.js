@@ -0,0 +1,77 @@
+// =================================================================
+// ARCHIVO: src/models/movimiento_inventario.model.js
+// ROL: Define el modelo de Sequelize para la tabla
+//      'movimientos_inventario'. Registra el consumo de ingredientes
+//      de cada pedido, su devolución al cancelarlo, los ajustes
+//      manuales y las compras recibidas, con la existencia que quedó.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'MovimientoInventario' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'MovimientoInventario' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const MovimientoInventario = sequelize.define('MovimientoInventario', {
+        // --- Definición de Atributos (Columnas) ---
+
+        movimiento_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'ingredientes'.
+        ingrediente_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // 'consumo', 'devolucion', 'ajuste' o 'compra' (ver 'helpers/inventario.js').
+        tipo: {
+            type: DataTypes.ENUM('consumo', 'devolucion', 'ajuste', 'compra'),
+            allowNull: false
+        },
+        // Positivo si suma existencia, negativo si la descuenta.
+        cantidad: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: false
+        },
+        stock_resultante: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: false
+        },
+        // Pedido que consumió o devolvió los ingredientes (null en los ajustes).
+        pedido_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Orden de compra de la que se recibió la mercancía (solo en las compras).
+        orden_compra_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Requerido en los ajustes manuales.
+        motivo: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'movimientos_inventario',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'belongsTo' con los modelos Ingrediente, Pedido, OrdenCompra y Usuario.
+    return MovimientoInventario;
+};
@@ -0,0 +1,78 @@
+// =================================================================
+// ARCHIVO: src/models/movimiento_puntos.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'movimientos_puntos'.
+//      Es el libro de puntos de cada cliente: cada acumulación, canje,
+//      vencimiento o reverso queda registrado. Los movimientos
+//      positivos son lotes con su vencimiento y sus puntos sin usar.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'MovimientoPuntos' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'MovimientoPuntos' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const MovimientoPuntos = sequelize.define('MovimientoPuntos', {
+        // --- Definición de Atributos (Columnas) ---
+
+        movimiento_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'clientes'.
+        cliente_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Factura que originó el movimiento (NULL en los vencimientos).
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // 'acumulacion', 'canje', 'vencimiento' o 'reverso' (ver 'helpers/puntos.js').
+        tipo: {
+            type: DataTypes.ENUM('acumulacion', 'canje', 'vencimiento', 'reverso'),
+            allowNull: false
+        },
+        // Positivo si suma puntos, negativo si los descuenta.
+        puntos: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Puntos del lote que aún no se han canjeado ni vencido (solo movimientos positivos).
+        puntos_disponibles: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        fecha_vencimiento: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        descripcion: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Usuario que facturó o anuló (NULL en los vencimientos).
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'movimientos_puntos',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Cliente, Factura y Usuario.
+    return MovimientoPuntos;
+};
@@ -0,0 +1,71 @@
+// =================================================================
+// ARCHIVO: src/models/movimiento_tarjeta_regalo.model.js
+// ROL: Define el modelo de Sequelize para la tabla
+//      'movimientos_tarjeta_regalo'. Registra la venta, cada
+//      redención al pagar una factura y los reversos por anulación,
+//      con el saldo que quedó en la tarjeta.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'MovimientoTarjetaRegalo' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'MovimientoTarjetaRegalo' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const MovimientoTarjetaRegalo = sequelize.define('MovimientoTarjetaRegalo', {
+        // --- Definición de Atributos (Columnas) ---
+
+        movimiento_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'tarjetas_regalo'.
+        tarjeta_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // 'venta', 'redencion' o 'reverso' (ver 'helpers/tarjetasRegalo.js').
+        tipo: {
+            type: DataTypes.ENUM('venta', 'redencion', 'reverso'),
+            allowNull: false
+        },
+        // Positivo si suma saldo, negativo si lo descuenta.
+        monto: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        saldo_resultante: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        // Factura y pago en que se redimió (o cuya anulación se reversó).
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        transaccion_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'movimientos_tarjeta_regalo',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'belongsTo' con el modelo TarjetaRegalo.
+    return MovimientoTarjetaRegalo;
+};
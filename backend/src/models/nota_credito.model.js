@@ -0,0 +1,81 @@
+// =================================================================
+// ARCHIVO: src/models/nota_credito.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'notas_credito'.
+//      Una nota crédito es el documento contable que anula una
+//      factura: la referencia, copia sus montos y registra el motivo
+//      y el usuario que la emitió. Su ID es el número de la nota.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'NotaCredito' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'NotaCredito' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const NotaCredito = sequelize.define('NotaCredito', {
+        // --- Definición de Atributos (Columnas) ---
+
+        nota_credito_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la factura anulada. Una factura se anula una sola vez.
+        factura_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true
+        },
+        motivo: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        // Usuario que emitió la nota crédito.
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha_nota: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        },
+        // Montos acreditados: copia de los de la factura anulada.
+        subtotal: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        descuento_total: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
+        impuesto_total: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        propina: {
+            type: DataTypes.DECIMAL(10, 2),
+            defaultValue: 0.0
+        },
+        cargo_servicio: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
+        total: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'notas_credito',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Factura y Usuario.
+    return NotaCredito;
+};
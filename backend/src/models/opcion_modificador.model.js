@@ -0,0 +1,53 @@
+// =================================================================
+// ARCHIVO: src/models/opcion_modificador.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'opciones_modificador'.
+//      Cada opción pertenece a un grupo de modificadores y puede
+//      ajustar el precio unitario del producto.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'OpcionModificador' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'OpcionModificador' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const OpcionModificador = sequelize.define('OpcionModificador', {
+        // --- Definición de Atributos (Columnas) ---
+
+        opcion_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia al grupo de la opción.
+        grupo_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        nombre: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        // Valor que se suma al precio unitario del producto (puede ser 0 o negativo).
+        precio_delta: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Las opciones inactivas dejan de ofrecerse sin perder el histórico.
+        activo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'opciones_modificador',
+        timestamps: false
+    });
+
+    return OpcionModificador;
+};
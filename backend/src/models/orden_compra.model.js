@@ -0,0 +1,73 @@
+// =================================================================
+// ARCHIVO: src/models/orden_compra.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'ordenes_compra'.
+//      Una orden de compra pide ingredientes a un proveedor y pasa
+//      de borrador a enviada y a recibida (parcial o totalmente).
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'OrdenCompra' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'OrdenCompra' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const OrdenCompra = sequelize.define('OrdenCompra', {
+        // --- Definición de Atributos (Columnas) ---
+
+        orden_compra_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'proveedores'.
+        proveedor_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // 'borrador', 'enviada', 'recibida_parcial', 'recibida' o 'cancelada' (ver 'helpers/compras.js').
+        estado: {
+            type: DataTypes.ENUM('borrador', 'enviada', 'recibida_parcial', 'recibida', 'cancelada'),
+            allowNull: false,
+            defaultValue: 'borrador'
+        },
+        // Suma de cantidad pedida por costo unitario de las líneas.
+        total: {
+            type: DataTypes.DECIMAL(12, 2),
+            allowNull: false,
+            defaultValue: 0
+        },
+        notas: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Quien creó la orden.
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha_creacion: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        },
+        fecha_envio: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Última recepción de mercancía.
+        fecha_recepcion: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'ordenes_compra',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // con el Proveedor, el Usuario, sus líneas y los movimientos de inventario.
+    return OrdenCompra;
+};
@@ -36,6 +36,11 @@ export default (sequelize, DataTypes) => {
             // Por defecto, un nuevo pedido siempre se crea en estado 'pendiente'.
             defaultValue: 'pendiente' 
         },
+        // Número de personas en la mesa; activa el cargo por servicio de los grupos grandes.
+        comensales: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
 
     }, { 
         // --- Opciones Adicionales del Modelo ---
@@ -0,0 +1,64 @@
+// =================================================================
+// ARCHIVO: src/models/pedido_revision.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'pedido_revisiones'.
+//      Cada fila es una edición de los productos de un pedido: quién la
+//      hizo, cuándo, qué líneas cambiaron y el antes/después completo.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'PedidoRevision' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'PedidoRevision' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const PedidoRevision = sequelize.define('PedidoRevision', {
+        // --- Definición de Atributos (Columnas) ---
+
+        revision_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'pedidos'.
+        pedido_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Clave foránea que referencia al usuario que hizo la edición.
+        usuario_id: {
+            type: DataTypes.INTEGER
+        },
+        // Número correlativo de la revisión dentro del pedido (1, 2, 3...).
+        numero_revision: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Diferencia por línea: { agregados, eliminados, modificados }.
+        cambios: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        // Líneas del pedido antes y después de la edición.
+        detalles_antes: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        detalles_despues: {
+            type: DataTypes.JSON,
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'pedido_revisiones',
+        timestamps: true,
+        createdAt: 'fecha_revision',
+        updatedAt: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Pedido y Usuario.
+    return PedidoRevision;
+};
@@ -35,6 +35,25 @@ export default (sequelize, DataTypes) => {
         categoria_id: {
             type: DataTypes.INTEGER
         },
+        // Tarifa de impuesto propia del producto; si es null se usa la de su categoría.
+        impuesto_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Se marca en false cuando el producto se agota temporalmente: no se puede pedir
+        // hasta que la cocina o un administrador lo vuelva a habilitar.
+        disponible: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        // true si el sistema lo agotó porque su receta ya no alcanza con la existencia;
+        // se vuelve a habilitar solo al reponer los ingredientes.
+        agotado_por_inventario: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
         is_deleted: {
             type: DataTypes.BOOLEAN,
             defaultValue: false
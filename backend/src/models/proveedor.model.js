@@ -0,0 +1,66 @@
+// =================================================================
+// ARCHIVO: src/models/proveedor.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'proveedores'.
+//      Directorio de proveedores de ingredientes, con los datos de
+//      contacto a los que se envían las órdenes de compra.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'Proveedor' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'Proveedor' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const Proveedor = sequelize.define('Proveedor', {
+        // --- Definición de Atributos (Columnas) ---
+
+        proveedor_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        nombre: {
+            type: DataTypes.STRING(150),
+            allowNull: false,
+            unique: true
+        },
+        nit: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        // Persona con quien se hacen los pedidos.
+        contacto: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        // Correo al que se envían las órdenes de compra.
+        email: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        },
+        telefono: {
+            type: DataTypes.STRING(20),
+            allowNull: true
+        },
+        direccion: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        activo: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'proveedores',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'hasMany' con el modelo OrdenCompra.
+    return Proveedor;
+};
@@ -0,0 +1,49 @@
+// =================================================================
+// ARCHIVO: src/models/receta.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'recetas'. Cada
+//      fila indica cuánto de un ingrediente consume una unidad de un
+//      producto del menú.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'Receta' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'Receta' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const Receta = sequelize.define('Receta', {
+        // --- Definición de Atributos (Columnas) ---
+
+        receta_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Clave foránea que referencia a la tabla 'productos'.
+        producto_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Clave foránea que referencia a la tabla 'ingredientes'.
+        ingrediente_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // En la unidad del ingrediente, por unidad del producto.
+        cantidad: {
+            type: DataTypes.DECIMAL(12, 3),
+            allowNull: false
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'recetas',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // 'belongsTo' con los modelos Producto e Ingrediente.
+    return Receta;
+};
@@ -0,0 +1,64 @@
+// =================================================================
+// ARCHIVO: src/models/reporte_z.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'reportes_z'.
+//      El reporte Z es el cierre formal de un día de ventas. Se
+//      genera una sola vez por fecha y queda bloqueado: guarda las
+//      cifras del día y el PDF que se envió por correo.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'ReporteZ' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'ReporteZ' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const ReporteZ = sequelize.define('ReporteZ', {
+        // --- Definición de Atributos (Columnas) ---
+
+        reporte_z_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Día que cierra el reporte. Solo puede existir un reporte por día.
+        fecha: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+            unique: true
+        },
+        // Administrador que generó el reporte.
+        generado_por: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha_generacion: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        },
+        // Cifras del día tal como se reportaron (ventas, impuestos, pagos, anulaciones...).
+        datos: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        // PDF generado, para reenviarlo o descargarlo sin recalcular el día.
+        pdf: {
+            type: DataTypes.BLOB('long'),
+            allowNull: false
+        },
+        enviado_a: {
+            type: DataTypes.STRING(100),
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'reportes_z',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'belongsTo' con el modelo Usuario.
+    return ReporteZ;
+};
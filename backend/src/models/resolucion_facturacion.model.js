@@ -0,0 +1,84 @@
+// =================================================================
+// ARCHIVO: src/models/resolucion_facturacion.model.js
+// ROL: Define el modelo de Sequelize para la tabla
+//      'resoluciones_facturacion'. Una resolución de la DIAN
+//      autoriza un prefijo y un rango de numeración durante una
+//      vigencia. Solo una resolución está activa a la vez, y con ella
+//      se numeran las facturas.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'ResolucionFacturacion' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'ResolucionFacturacion' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const ResolucionFacturacion = sequelize.define('ResolucionFacturacion', {
+        // --- Definición de Atributos (Columnas) ---
+
+        resolucion_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        numero_resolucion: {
+            type: DataTypes.STRING(30),
+            allowNull: false
+        },
+        prefijo: {
+            type: DataTypes.STRING(4),
+            allowNull: false,
+            defaultValue: ''
+        },
+        // Rango de consecutivos autorizado (inclusivo).
+        rango_desde: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        rango_hasta: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Vigencia de la resolución.
+        fecha_desde: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        fecha_hasta: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        // Clave técnica asignada por la DIAN; hace parte del cálculo del CUFE.
+        clave_tecnica: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        // Último consecutivo asignado (null si la resolución no se ha usado).
+        ultimo_numero: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Se avisa al facturar cuando quedan estos números o menos.
+        alerta_restantes: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 100
+        },
+        activa: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'resoluciones_facturacion',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer su asociación
+    // 'hasMany' con los modelos Factura y DocumentoElectronico.
+    return ResolucionFacturacion;
+};
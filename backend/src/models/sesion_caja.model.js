@@ -0,0 +1,86 @@
+// =================================================================
+// ARCHIVO: src/models/sesion_caja.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'sesiones_caja'.
+//      Una sesión de caja es el turno de un mesero o cajero: abre con
+//      una base de efectivo, recibe los pagos en efectivo de sus
+//      facturas y se cierra contando el efectivo para cuadrarla.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'SesionCaja' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'SesionCaja' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const SesionCaja = sequelize.define('SesionCaja', {
+        // --- Definición de Atributos (Columnas) ---
+
+        sesion_caja_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Usuario que abrió la caja. Sus pagos en efectivo quedan en esta sesión.
+        usuario_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        estado: {
+            type: DataTypes.ENUM('abierta', 'cerrada'),
+            allowNull: false,
+            defaultValue: 'abierta'
+        },
+        fecha_apertura: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        },
+        // Base de efectivo con la que abre la caja.
+        monto_apertura: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
+        fecha_cierre: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // Usuario que contó el efectivo y cerró la caja.
+        cerrada_por: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Cuadre calculado al cierre (null mientras la caja está abierta).
+        ventas_efectivo: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true
+        },
+        efectivo_esperado: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true
+        },
+        efectivo_contado: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true
+        },
+        // Contado menos esperado: negativo es faltante, positivo es sobrante.
+        diferencia: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true
+        },
+        observaciones: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'sesiones_caja',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // con los modelos Usuario y TransaccionPago.
+    return SesionCaja;
+};
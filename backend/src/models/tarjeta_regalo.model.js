@@ -0,0 +1,72 @@
+// =================================================================
+// ARCHIVO: src/models/tarjeta_regalo.model.js
+// ROL: Define el modelo de Sequelize para la tabla 'tarjetas_regalo'.
+//      Cada tarjeta vendida tiene un código único y un saldo que se
+//      usa como método de pago al facturar, total o parcialmente.
+// =================================================================
+
+/**
+ * Define y exporta el modelo 'TarjetaRegalo' de Sequelize.
+ *
+ * @param {object} sequelize - La instancia de conexión de Sequelize.
+ * @param {object} DataTypes - El objeto que contiene los tipos de datos de Sequelize.
+ * @returns {object} El modelo 'TarjetaRegalo' inicializado.
+ */
+export default (sequelize, DataTypes) => {
+    const TarjetaRegalo = sequelize.define('TarjetaRegalo', {
+        // --- Definición de Atributos (Columnas) ---
+
+        tarjeta_id: {
+            type: DataTypes.INTEGER,
+            autoIncrement: true,
+            primaryKey: true
+        },
+        // Código sin guiones (ver 'helpers/tarjetasRegalo.js').
+        codigo: {
+            type: DataTypes.CHAR(12),
+            allowNull: false,
+            unique: true
+        },
+        monto_inicial: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        // Saldo disponible; se descuenta al pagar con la tarjeta.
+        saldo: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false
+        },
+        // Comprador de la tarjeta (opcional).
+        cliente_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Método con que se pagó la tarjeta.
+        metodo_pago_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Sesión de caja que recibió el pago, si fue en efectivo.
+        sesion_caja_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        vendida_por: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        fecha_venta: {
+            type: DataTypes.DATE,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        // --- Opciones Adicionales del Modelo ---
+
+        tableName: 'tarjetas_regalo',
+        timestamps: false
+    });
+
+    // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
+    // con los modelos Cliente, MetodoPago, SesionCaja, Usuario y TransaccionPago.
+    return TarjetaRegalo;
+};
@@ -35,6 +35,27 @@ export default (sequelize, DataTypes) => {
         monto_pagado: {
             type: DataTypes.DECIMAL(10, 2),
             allowNull: false // La transacción debe tener un monto.
+        },
+        // Lo que entregó el cliente con este método (puede superar lo aplicado si hubo cambio).
+        monto_recibido: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true
+        },
+        // Cambio devuelto al cliente; solo aplica a pagos en efectivo.
+        cambio: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.0
+        },
+        // Clave foránea que referencia a la sesión de caja que recibió el pago (solo efectivo).
+        sesion_caja_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // Clave foránea que referencia a la tarjeta de regalo con que se pagó (solo ese método).
+        tarjeta_regalo_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true
         }
     }, {
         // --- Opciones Adicionales del Modelo ---
@@ -44,6 +65,6 @@ export default (sequelize, DataTypes) => {
     });
 
     // Este modelo será utilizado en 'index.js' para establecer sus asociaciones
-    // 'belongsTo' con los modelos Factura y MetodoPago.
+    // 'belongsTo' con los modelos Factura, MetodoPago, SesionCaja y TarjetaRegalo.
     return TransaccionPago;
 };
@@ -0,0 +1,26 @@
+// ========================================
+// ARCHIVO: src/routes/caja.routes.js
+// ========================================
+
+import { Router } from 'express';
+import * as cajaController from '../controllers/caja.controller.js';
+import { verifyToken, loadUserRole } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Abrir una sesión de caja con la base de efectivo
+router.post('/sesiones', [verifyToken], cajaController.abrirSesion);
+// Obtener la sesión de caja abierta del usuario
+router.get('/sesiones/actual', [verifyToken], cajaController.getSesionActual);
+// Listar sesiones de caja (el administrador ve todas)
+router.get('/sesiones', [verifyToken, loadUserRole], cajaController.getSesiones);
+// Obtener el reporte de una sesión de caja
+router.get('/sesiones/:id', [verifyToken, loadUserRole], cajaController.getSesionById);
+// Descargar el reporte de cierre en PDF
+router.get('/sesiones/:id/pdf', [verifyToken, loadUserRole], cajaController.downloadReportePdf);
+// Enviar el reporte de cierre al correo del usuario
+router.post('/sesiones/:id/send-report', [verifyToken, loadUserRole], cajaController.sendReporteByEmail);
+// Cerrar una sesión de caja con el efectivo contado
+router.post('/sesiones/:id/cerrar', [verifyToken, loadUserRole], cajaController.cerrarSesion);
+
+export default router;
@@ -4,7 +4,7 @@
 
 import { Router } from 'express';
 import * as categoriaController from '../controllers/categoria.controller.js';
-import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+import { verifyToken, isAdmin, loadUserRole } from '../middleware/auth.middleware.js';
 
 const router = Router();
 
@@ -31,6 +31,9 @@ router.get('/:id', categoriaController.getCategoryById);
 // Restaurar una categoría eliminada
 router.post('/:id/restore', [verifyToken, isAdmin], categoriaController.restoreCategory);
 
+// Agotar o habilitar todos los productos de la categoría (cocina y administradores)
+router.put('/:id/disponibilidad', [verifyToken, loadUserRole], categoriaController.updateCategoryAvailability);
+
 // --- Rutas Protegidas (Solo Administradores) ---
 
 // Crear una nueva categoría
@@ -0,0 +1,24 @@
+// =================================================================
+// ARCHIVO: src/routes/cliente.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as clienteController from '../controllers/cliente.controller.js';
+import { verifyToken } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Buscar clientes por nombre, documento o correo (?q=)
+router.get('/', [verifyToken], clienteController.getClientes);
+// Obtener un cliente por su ID
+router.get('/:id', [verifyToken], clienteController.getClienteById);
+// Historial de compras de un cliente
+router.get('/:id/facturas', [verifyToken], clienteController.getHistorialCliente);
+// Saldo y libro de puntos de un cliente
+router.get('/:id/puntos', [verifyToken], clienteController.getPuntosCliente);
+// Registrar un cliente (también desde la pantalla de facturación)
+router.post('/', [verifyToken], clienteController.createCliente);
+// Actualizar los datos de un cliente
+router.put('/:id', [verifyToken], clienteController.updateCliente);
+
+export default router;
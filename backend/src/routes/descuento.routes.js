@@ -0,0 +1,21 @@
+// =================================================================
+// ARCHIVO: src/routes/descuento.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as descuentoController from '../controllers/descuento.controller.js';
+import { verifyToken, isAdmin, loadUserRole } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Obtener los descuentos (protegido; cada rol recibe los que puede aplicar al facturar)
+router.get('/', [verifyToken, loadUserRole], descuentoController.getAllDescuentos);
+// Validar un código promocional antes de aplicarlo en la factura
+router.get('/codigo/:codigo', [verifyToken, loadUserRole], descuentoController.getDescuentoPorCodigo);
+
+// --- Rutas Protegidas (Solo Administradores) ---
+router.post('/', [verifyToken, isAdmin], descuentoController.createDescuento);
+router.put('/:id', [verifyToken, isAdmin], descuentoController.updateDescuento);
+router.delete('/:id', [verifyToken, isAdmin], descuentoController.deleteDescuento);
+
+export default router;
@@ -0,0 +1,19 @@
+// =================================================================
+// ARCHIVO: src/routes/estacion.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as estacionController from '../controllers/estacion.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Obtener todas las estaciones (protegido, lo usa la vista de cocina para elegir estación)
+router.get('/', [verifyToken], estacionController.getAllEstaciones);
+
+// --- Rutas Protegidas (Solo Administradores) ---
+router.post('/', [verifyToken, isAdmin], estacionController.createEstacion);
+router.put('/:id', [verifyToken, isAdmin], estacionController.updateEstacion);
+router.delete('/:id', [verifyToken, isAdmin], estacionController.deleteEstacion);
+
+export default router;
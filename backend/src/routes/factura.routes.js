@@ -4,17 +4,34 @@
 
 import { Router } from 'express';
 import * as facturaController from '../controllers/factura.controller.js';
-import { verifyToken } from '../middleware/auth.middleware.js';
+import * as facturaElectronicaController from '../controllers/factura_electronica.controller.js';
+import { verifyToken, isAdmin, loadUserRole } from '../middleware/auth.middleware.js';
 
 const router = Router();
 
-// Crear una nueva factura
-router.post('/', [verifyToken], facturaController.createInvoice);
+// Listar y buscar facturas con filtros, orden y paginación (o exportarlas en CSV)
+router.get('/', [verifyToken, isAdmin], facturaController.getInvoices);
+// Crear una nueva factura (el rol decide qué descuentos puede aplicar)
+router.post('/', [verifyToken, loadUserRole], facturaController.createInvoice);
+// Buscar una factura por su número (se declara antes de '/:id')
+router.get('/numero/:numero', [verifyToken], facturaController.getInvoiceByNumero);
 // Obtener una factura por su ID
 router.get('/:id', [verifyToken], facturaController.getInvoiceById);
+// Descargar el PDF de una factura para reimprimirla
+router.get('/:id/pdf', [verifyToken], facturaController.downloadInvoicePdf);
 // Enviar una factura específica por correo
 router.post('/:id/send-email', [verifyToken], facturaController.sendInvoiceByEmail);
 // Anular una factura existente
 router.post('/:id/void', [verifyToken], facturaController.voidInvoice);
 
+// --- Factura Electrónica (DIAN) ---
+// Generar y enviar la factura electrónica de una factura
+router.post('/:id/electronica', [verifyToken], facturaElectronicaController.generarFacturaElectronica);
+// Reenviar una factura electrónica que no ha sido aceptada
+router.post('/:id/electronica/reenviar', [verifyToken], facturaElectronicaController.reenviarFacturaElectronica);
+// Obtener el estado de la factura electrónica
+router.get('/:id/electronica', [verifyToken], facturaElectronicaController.getFacturaElectronica);
+// Descargar el XML UBL 2.1
+router.get('/:id/electronica/xml', [verifyToken], facturaElectronicaController.downloadFacturaElectronicaXml);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+// =================================================================
+// ARCHIVO: src/routes/impuesto.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as impuestoController from '../controllers/impuesto.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Obtener todas las tarifas (protegido, lo usan la administración del menú y la facturación)
+router.get('/', [verifyToken], impuestoController.getAllImpuestos);
+
+// --- Rutas Protegidas (Solo Administradores) ---
+router.post('/', [verifyToken, isAdmin], impuestoController.createImpuesto);
+router.put('/:id', [verifyToken, isAdmin], impuestoController.updateImpuesto);
+router.delete('/:id', [verifyToken, isAdmin], impuestoController.deleteImpuesto);
+
+export default router;
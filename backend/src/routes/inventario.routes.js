@@ -0,0 +1,28 @@
+// =================================================================
+// ARCHIVO: src/routes/inventario.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as inventarioController from '../controllers/inventario.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// --- Rutas Protegidas (Solo Administradores) ---
+// Ingredientes
+router.get('/ingredientes', [verifyToken, isAdmin], inventarioController.getIngredientes);
+router.post('/ingredientes', [verifyToken, isAdmin], inventarioController.createIngrediente);
+router.put('/ingredientes/:id', [verifyToken, isAdmin], inventarioController.updateIngrediente);
+
+// Ajuste manual de la existencia de un ingrediente (con su motivo)
+router.post('/ingredientes/:id/ajustes', [verifyToken, isAdmin], inventarioController.createAjuste);
+
+// Ingredientes en su punto de reorden y productos agotados por inventario (dashboard)
+router.get('/alertas', [verifyToken, isAdmin], inventarioController.getAlertas);
+// Enviar ahora el resumen de inventario bajo por correo
+router.post('/resumen', [verifyToken, isAdmin], inventarioController.sendResumen);
+
+// Libro de movimientos (consumos, devoluciones y ajustes)
+router.get('/movimientos', [verifyToken, isAdmin], inventarioController.getMovimientos);
+
+export default router;
@@ -0,0 +1,19 @@
+// ========================================
+// ARCHIVO: src/routes/nota_credito.routes.js
+// ========================================
+
+import { Router } from 'express';
+import * as notaCreditoController from '../controllers/nota_credito.controller.js';
+import { verifyToken } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Las notas crédito se emiten al anular una factura (POST /api/facturas/:id/void).
+// Obtener una nota crédito por su número
+router.get('/:id', [verifyToken], notaCreditoController.getNotaCreditoById);
+// Descargar una nota crédito en PDF
+router.get('/:id/pdf', [verifyToken], notaCreditoController.downloadNotaCreditoPdf);
+// Enviar una nota crédito por correo
+router.post('/:id/send-email', [verifyToken], notaCreditoController.sendNotaCreditoByEmail);
+
+export default router;
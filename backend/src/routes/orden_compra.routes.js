@@ -0,0 +1,29 @@
+// =================================================================
+// ARCHIVO: src/routes/orden_compra.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as ordenCompraController from '../controllers/orden_compra.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// --- Rutas Protegidas (Solo Administradores) ---
+// Listar órdenes de compra (?estado=&proveedor_id=)
+router.get('/', [verifyToken, isAdmin], ordenCompraController.getOrdenes);
+// Obtener una orden con sus líneas y recepciones
+router.get('/:id', [verifyToken, isAdmin], ordenCompraController.getOrdenById);
+// Crear una orden en borrador
+router.post('/', [verifyToken, isAdmin], ordenCompraController.createOrden);
+// Editar un borrador (proveedor, notas y líneas)
+router.put('/:id', [verifyToken, isAdmin], ordenCompraController.updateOrden);
+// Enviar, cancelar o cerrar una orden
+router.put('/:id/estado', [verifyToken, isAdmin], ordenCompraController.updateOrdenStatus);
+// Registrar una recepción de mercancía (total o parcial)
+router.post('/:id/recepciones', [verifyToken, isAdmin], ordenCompraController.receiveOrden);
+// Descargar la orden en PDF
+router.get('/:id/pdf', [verifyToken, isAdmin], ordenCompraController.downloadOrdenPdf);
+// Enviar la orden en PDF al correo del proveedor (un borrador queda enviado)
+router.post('/:id/send-email', [verifyToken, isAdmin], ordenCompraController.sendOrdenByEmail);
+
+export default router;
@@ -4,7 +4,7 @@
 
 import { Router } from 'express';
 import * as pedidoController from '../controllers/pedido.controller.js';
-import { verifyToken } from '../middleware/auth.middleware.js';
+import { verifyToken, loadUserRole } from '../middleware/auth.middleware.js';
 
 const router = Router();
 
@@ -13,20 +13,31 @@ const router = Router();
 // Crear un nuevo pedido (protegido para usuarios logueados, ej. meseros)
 router.post('/', [verifyToken], pedidoController.createPedido);
 
+// Obtener el ciclo de vida de los pedidos (estados y transiciones por rol)
+router.get('/estados', [verifyToken, loadUserRole], pedidoController.getCicloVidaPedido);
+
 // Obtener todos los pedidos (protegido)
 router.get('/', [verifyToken], pedidoController.getAllPedidos);
 
 // Obtener un pedido específico con sus detalles (protegido)
 router.get('/:id', [verifyToken], pedidoController.getPedidoById);
 
+// Obtener el historial de ediciones de un pedido (protegido)
+router.get('/:id/revisiones', [verifyToken], pedidoController.getPedidoRevisiones);
+
 // Actualizar el estado de un pedido (ej. de 'pendiente' a 'en_preparacion')
-router.put('/:id/estado', [verifyToken], pedidoController.updatePedidoStatus);
+// Las transiciones se validan contra el ciclo de vida según el rol del usuario.
+router.put('/:id/estado', [verifyToken, loadUserRole], pedidoController.updatePedidoStatus);
+
+// Actualizar el estado de preparación de una línea del pedido (cocina)
+router.put('/:id/detalles/:detalleId/estado', [verifyToken, loadUserRole], pedidoController.updateDetalleStatus);
 
 // Ruta para editar los productos de un pedido (protegido)
+// Aplica los cambios línea a línea y registra una revisión en el historial.
 router.put('/:id', [verifyToken], pedidoController.updatePedidoItems); 
 
 // Ruta para cancelar/eliminar un pedido (protegido)
-router.delete('/:id', [verifyToken], pedidoController.deletePedido); 
+router.delete('/:id', [verifyToken, loadUserRole], pedidoController.deletePedido); 
 
 
 export default router;
\ No newline at end of file
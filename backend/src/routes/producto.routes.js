@@ -4,7 +4,7 @@
 
 import { Router } from 'express';
 import * as productoController from '../controllers/producto.controller.js';
-import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+import { verifyToken, isAdmin, loadUserRole } from '../middleware/auth.middleware.js';
 
 const router = Router();
 
@@ -18,9 +18,22 @@ router.get('/eliminados', [verifyToken, isAdmin], productoController.getDeletedP
 // Restaurar producto
 router.put('/:id/restaurar', [verifyToken, isAdmin], productoController.restoreProduct);
 
+// Agotar o habilitar un producto (cocina y administradores)
+router.put('/:id/disponibilidad', [verifyToken, loadUserRole], productoController.updateProductAvailability);
+
 // Hard Delete
 router.delete('/:id/permanente', [verifyToken, isAdmin], productoController.deleteProductPermanent);
 
+// Grupos de modificadores (proteínas, salsas, extras, sin ...)
+router.get('/:id/modificadores', productoController.getProductModifiers);
+router.post('/:id/modificadores', [verifyToken, isAdmin], productoController.createProductModifierGroup);
+router.put('/modificadores/:grupoId', [verifyToken, isAdmin], productoController.updateProductModifierGroup);
+router.delete('/modificadores/:grupoId', [verifyToken, isAdmin], productoController.deleteProductModifierGroup);
+
+// Receta del producto (ingredientes que descuenta del inventario)
+router.get('/:id/receta', [verifyToken, isAdmin], productoController.getProductRecipe);
+router.put('/:id/receta', [verifyToken, isAdmin], productoController.updateProductRecipe);
+
 
 // RUTAS GENERALES 
 
@@ -0,0 +1,27 @@
+// =================================================================
+// ARCHIVO: src/routes/propina.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as propinaController from '../controllers/propina.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Obtener la configuración de propinas (protegido; la usa la pantalla de facturación)
+router.get('/configuracion', [verifyToken], propinaController.getConfiguracion);
+
+// --- Rutas Protegidas (Solo Administradores) ---
+
+// Regla de reparto, propinas sugeridas y cargo por servicio
+router.put('/configuracion', [verifyToken, isAdmin], propinaController.updateConfiguracion);
+
+// Horas trabajadas por empleado y día (?desde=&hasta=)
+router.get('/horas', [verifyToken, isAdmin], propinaController.getHoras);
+router.post('/horas', [verifyToken, isAdmin], propinaController.saveHoras);
+router.delete('/horas/:id', [verifyToken, isAdmin], propinaController.deleteHoras);
+
+// Reparto de las propinas de un período (?desde=&hasta=&formato=json|csv|pdf)
+router.get('/reporte', [verifyToken, isAdmin], propinaController.getReporte);
+
+export default router;
@@ -0,0 +1,18 @@
+// =================================================================
+// ARCHIVO: src/routes/proveedor.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as proveedorController from '../controllers/proveedor.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Listar proveedores (?incluir_inactivos=true para ver también los inactivos)
+router.get('/', [verifyToken, isAdmin], proveedorController.getProveedores);
+// Registrar un proveedor
+router.post('/', [verifyToken, isAdmin], proveedorController.createProveedor);
+// Actualizar un proveedor o activarlo/inactivarlo
+router.put('/:id', [verifyToken, isAdmin], proveedorController.updateProveedor);
+
+export default router;
@@ -0,0 +1,17 @@
+// =================================================================
+// ARCHIVO: src/routes/puntos.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as puntosController from '../controllers/puntos.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// Obtener la configuración del programa de puntos (protegido; la usa la pantalla de facturación)
+router.get('/configuracion', [verifyToken], puntosController.getConfiguracion);
+
+// --- Rutas Protegidas (Solo Administradores) ---
+router.put('/configuracion', [verifyToken, isAdmin], puntosController.updateConfiguracion);
+
+export default router;
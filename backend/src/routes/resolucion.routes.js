@@ -0,0 +1,17 @@
+// =================================================================
+// ARCHIVO: src/routes/resolucion.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as resolucionController from '../controllers/resolucion.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// --- Rutas Protegidas (Solo Administradores) ---
+// Resoluciones de facturación de la DIAN (prefijo, rango y vigencia de la numeración)
+router.get('/', [verifyToken, isAdmin], resolucionController.getResoluciones);
+router.post('/', [verifyToken, isAdmin], resolucionController.createResolucion);
+router.put('/:id', [verifyToken, isAdmin], resolucionController.updateResolucion);
+
+export default router;
@@ -22,5 +22,16 @@ router.get('/dashboard-summary', [verifyToken, isAdmin], statsController.getDash
 // Ruta para la actividad reciente del dashboard
 router.get('/recent-activity', [verifyToken, isAdmin], statsController.getRecentActivity);
 
+// --- Reporte Z (cierre diario, se genera una sola vez por día) ---
+
+// Generar, guardar y enviar el reporte Z de un día
+router.post('/z-reports', [verifyToken, isAdmin], statsController.generateZReport);
+// Listar los reportes Z generados
+router.get('/z-reports', [verifyToken, isAdmin], statsController.getZReports);
+// Descargar el PDF guardado de un reporte Z
+router.get('/z-reports/:id/pdf', [verifyToken, isAdmin], statsController.downloadZReportPdf);
+// Reenviar un reporte Z por correo
+router.post('/z-reports/:id/send-email', [verifyToken, isAdmin], statsController.resendZReport);
+
 
 export default router;
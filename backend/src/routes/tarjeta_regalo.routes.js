@@ -0,0 +1,20 @@
+// =================================================================
+// ARCHIVO: src/routes/tarjeta_regalo.routes.js
+// =================================================================
+
+import { Router } from 'express';
+import * as tarjetaRegaloController from '../controllers/tarjeta_regalo.controller.js';
+import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+// --- Rutas Protegidas (Solo Administradores) ---
+// Reporte del saldo pendiente por redimir (va antes de '/:codigo' para no confundirse con un código)
+router.get('/reporte', [verifyToken, isAdmin], tarjetaRegaloController.getReportePasivo);
+
+// Vender una tarjeta de regalo
+router.post('/', [verifyToken], tarjetaRegaloController.createTarjeta);
+// Consultar el saldo de una tarjeta por su código
+router.get('/:codigo', [verifyToken], tarjetaRegaloController.getTarjetaByCodigo);
+
+export default router;
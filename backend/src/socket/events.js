@@ -5,6 +5,8 @@
 // =================================================================
 
 import { notificationHistory } from '../utils/notificationHistory.js';
+import { ESTADOS_COCINA, ETIQUETAS_ESTADO, getSiguientesEstados } from '../helpers/pedidoEstados.js';
+import { SALA_COCINEROS_CON_ESTACION, getSalaEstacion } from '../helpers/estacionesCocina.js';
 
 /**
  * Registra todos los manejadores de eventos para un socket
@@ -80,6 +82,41 @@ export const registerSocketEvents = (io, socket) => {
         }
     });
 
+    /**
+     * Evento: unir_estacion
+     * Permite a un cocinero elegir su estación de cocina. A partir de ese momento
+     * solo recibe las comandas de su estación en lugar de los pedidos completos.
+     * Sin 'estacionId' vuelve a recibir todos los pedidos.
+     */
+    socket.on('unir_estacion', (data = {}) => {
+        if (!['cocinero', 'administrador'].includes(socket.userRol)) {
+            socket.emit('error', { message: 'No autorizado para unirse a una estación' });
+            return;
+        }
+
+        // Se abandona la estación anterior, si había una.
+        if (socket.data.estacionId) {
+            socket.leave(getSalaEstacion(socket.data.estacionId));
+            socket.leave(SALA_COCINEROS_CON_ESTACION);
+            socket.data.estacionId = null;
+        }
+
+        const estacionId = parseInt(data.estacionId, 10);
+        if (estacionId > 0) {
+            socket.join(getSalaEstacion(estacionId));
+            socket.join(SALA_COCINEROS_CON_ESTACION);
+            socket.data.estacionId = estacionId;
+        }
+
+        socket.emit('estacion_asignada', {
+            message: socket.data.estacionId
+                ? `Unido a la estación ${socket.data.estacionId}`
+                : 'Recibiendo pedidos de todas las estaciones',
+            estacionId: socket.data.estacionId,
+            sala: socket.data.estacionId ? getSalaEstacion(socket.data.estacionId) : 'cocineros'
+        });
+    });
+
     /**
      * Evento: disconnect
      * Se dispara cuando un cliente se desconecta
@@ -98,24 +135,37 @@ export const registerSocketEvents = (io, socket) => {
 };
 
 /**
- * Emite un evento de nuevo pedido a las salas correspondientes
+ * Emite un evento de nuevo pedido a las salas correspondientes.
+ * Los cocineros sin estación reciben el pedido completo; cada estación recibe
+ * solo su comanda con los productos de las categorías que tiene asignadas.
  * @param {object} io - Instancia de Socket.IO
  * @param {object} pedido - Datos del pedido creado
+ * @param {Array<object>} [comandas] - Comandas por estación (ver dividirPedidoPorEstacion)
  */
-export const emitNuevoPedido = (io, pedido) => {
+export const emitNuevoPedido = (io, pedido, comandas = []) => {
     const notification = notificationHistory.createNewPedidoNotification(pedido);
     
     // Agregar al historial
     notificationHistory.addNotification(notification);
     
-    // Emitir a cocineros
-    io.to('cocineros').emit('nuevo_pedido', {
+    // Emitir a cocineros que no eligieron estación
+    io.to('cocineros').except(SALA_COCINEROS_CON_ESTACION).emit('nuevo_pedido', {
         type: 'nuevo_pedido',
         message: `Nuevo pedido recibido - Mesa ${pedido.Mesa?.numero_mesa || 'N/A'}`,
         data: notification.data,
         timestamp: notification.timestamp
     });
 
+    // Emitir a cada estación solo su comanda
+    comandas.forEach((comanda) => {
+        io.to(getSalaEstacion(comanda.estacion_id)).emit('nuevo_pedido', {
+            type: 'nuevo_pedido',
+            message: `Nueva comanda para ${comanda.estacion} - Mesa ${pedido.Mesa?.numero_mesa || 'N/A'}`,
+            data: { ...notification.data, estacion_id: comanda.estacion_id, estacion: comanda.estacion, items: comanda.items },
+            timestamp: notification.timestamp
+        });
+    });
+
     // Emitir a meseros
     io.to('meseros').emit('nuevo_pedido', {
         type: 'nuevo_pedido',
@@ -131,36 +181,41 @@ export const emitNuevoPedido = (io, pedido) => {
 };
 
 /**
- * Emite un evento de cambio de estado de pedido
+ * Emite un evento de cambio de estado de pedido.
+ * El ciclo de vida determina qué salas lo reciben (la cocina solo recibe los
+ * cambios que afectan su tablero) y qué estados siguientes puede aplicar cada rol.
  * @param {object} io - Instancia de Socket.IO
  * @param {object} pedido - Datos del pedido actualizado
  * @param {string} estadoAnterior - Estado anterior del pedido
  */
 export const emitCambioEstado = (io, pedido, estadoAnterior) => {
     const notification = notificationHistory.createEstadoNotification(pedido, estadoAnterior);
+    const etiqueta = ETIQUETAS_ESTADO[pedido.estado] || pedido.estado;
     
     // Agregar al historial
     notificationHistory.addNotification(notification);
     
-    // Emitir a todas las salas relevantes
-    io.to('cocineros').emit('cambio_estado_pedido', {
-        type: 'cambio_estado_pedido',
-        message: `Pedido #${pedido.pedido_id} ahora está "${pedido.estado}"`,
-        data: notification.data,
-        timestamp: notification.timestamp
-    });
+    // Emitir a cocina solo si el cambio entra o sale de un estado de cocina
+    if (ESTADOS_COCINA.includes(estadoAnterior) || ESTADOS_COCINA.includes(pedido.estado)) {
+        io.to('cocineros').emit('cambio_estado_pedido', {
+            type: 'cambio_estado_pedido',
+            message: `Pedido #${pedido.pedido_id} ahora está "${etiqueta}"`,
+            data: { ...notification.data, siguientes_estados: getSiguientesEstados(pedido.estado, 'cocinero') },
+            timestamp: notification.timestamp
+        });
+    }
 
     io.to('meseros').emit('cambio_estado_pedido', {
         type: 'cambio_estado_pedido',
-        message: `Pedido #${pedido.pedido_id} actualizado a "${pedido.estado}"`,
-        data: notification.data,
+        message: `Pedido #${pedido.pedido_id} actualizado a "${etiqueta}"`,
+        data: { ...notification.data, siguientes_estados: getSiguientesEstados(pedido.estado, 'mesero') },
         timestamp: notification.timestamp
     });
 
     // Emitir a sala específica del pedido
     io.to(`pedido_${pedido.pedido_id}`).emit('cambio_estado_pedido', {
         type: 'cambio_estado_pedido',
-        message: `Tu pedido cambió a "${pedido.estado}"`,
+        message: `Tu pedido cambió a "${etiqueta}"`,
         data: notification.data,
         timestamp: notification.timestamp
     });
@@ -171,6 +226,106 @@ export const emitCambioEstado = (io, pedido, estadoAnterior) => {
     console.log(`Evento 'cambio_estado_pedido' emitido para para pedido #${pedido.pedido_id}`);
 };
 
+/**
+ * Emite un evento de cambio de estado de preparación de una línea del pedido.
+ * Lo reciben la cocina (para sincronizar tableros) y los meseros (para ver el avance).
+ * @param {object} io - Instancia de Socket.IO
+ * @param {object} pedido - Datos del pedido al que pertenece la línea
+ * @param {object} detalle - Línea (DetallePedido) actualizada
+ * @param {string} estadoAnterior - Estado anterior de la línea
+ */
+export const emitCambioEstadoDetalle = (io, pedido, detalle, estadoAnterior) => {
+    const etiqueta = ETIQUETAS_ESTADO[detalle.estado_preparacion] || detalle.estado_preparacion;
+    const nombreProducto = detalle.Producto?.nombre_producto || `Producto ${detalle.producto_id}`;
+    const notification = {
+        type: 'cambio_estado_detalle',
+        message: `${nombreProducto} del pedido #${pedido.pedido_id} ahora está "${etiqueta}"`,
+        data: {
+            pedido_id: pedido.pedido_id,
+            estado_pedido: pedido.estado,
+            mesa: pedido.Mesa?.numero_mesa,
+            detalle_id: detalle.detalle_id,
+            producto_id: detalle.producto_id,
+            nombre_producto: nombreProducto,
+            estado_anterior: estadoAnterior,
+            estado_preparacion: detalle.estado_preparacion
+        },
+        timestamp: new Date().toISOString(),
+        priority: 'low'
+    };
+
+    io.to('cocineros').emit('cambio_estado_detalle', notification);
+    io.to('meseros').emit('cambio_estado_detalle', notification);
+    io.to(`pedido_${pedido.pedido_id}`).emit('cambio_estado_detalle', notification);
+
+    console.log(`Evento 'cambio_estado_detalle' emitido para línea #${detalle.detalle_id} del pedido #${pedido.pedido_id}`);
+};
+
+/**
+ * Emite un evento de pedido modificado con solo las líneas que cambiaron.
+ * Los cocineros sin estación reciben todos los cambios; cada estación recibe
+ * solo los que afectan a las categorías que tiene asignadas.
+ * @param {object} io - Instancia de Socket.IO
+ * @param {object} pedido - Datos del pedido editado
+ * @param {object} revision - { numero_revision, usuario_id, agregados, eliminados, modificados }
+ * @param {Map<number, {estacion_id: number, nombre: string}>} [estacionPorCategoria] - Estación de cada categoría
+ */
+export const emitPedidoModificado = (io, pedido, revision, estacionPorCategoria = new Map()) => {
+    const { agregados, eliminados, modificados } = revision;
+    const notification = {
+        type: 'pedido_modificado',
+        message: `Pedido #${pedido.pedido_id} modificado - Mesa ${pedido.Mesa?.numero_mesa || 'N/A'} (+${agregados.length} / -${eliminados.length})`,
+        data: {
+            pedido_id: pedido.pedido_id,
+            mesa_numero: pedido.Mesa?.numero_mesa,
+            estado: pedido.estado,
+            numero_revision: revision.numero_revision,
+            usuario_id: revision.usuario_id,
+            agregados,
+            eliminados,
+            modificados
+        },
+        timestamp: new Date().toISOString(),
+        priority: 'high'
+    };
+
+    // Agregar al historial
+    notificationHistory.addNotification(notification);
+
+    // Emitir a cocineros que no eligieron estación
+    io.to('cocineros').except(SALA_COCINEROS_CON_ESTACION).emit('pedido_modificado', notification);
+
+    // Emitir a cada estación solo los cambios de sus categorías
+    const estacionDe = (linea) => estacionPorCategoria.get(linea.categoria_id);
+    const estaciones = new Map();
+    [...agregados, ...eliminados, ...modificados.map((m) => m.despues)].forEach((linea) => {
+        const estacion = estacionDe(linea);
+        if (estacion) estaciones.set(estacion.estacion_id, estacion);
+    });
+    estaciones.forEach((estacion) => {
+        const esDeEstacion = (linea) => estacionDe(linea)?.estacion_id === estacion.estacion_id;
+        io.to(getSalaEstacion(estacion.estacion_id)).emit('pedido_modificado', {
+            ...notification,
+            data: {
+                ...notification.data,
+                estacion_id: estacion.estacion_id,
+                estacion: estacion.nombre,
+                agregados: agregados.filter(esDeEstacion),
+                eliminados: eliminados.filter(esDeEstacion),
+                modificados: modificados.filter((m) => esDeEstacion(m.despues))
+            }
+        });
+    });
+
+    io.to('meseros').emit('pedido_modificado', notification);
+    io.to(`pedido_${pedido.pedido_id}`).emit('pedido_modificado', notification);
+
+    // Actualizar dashboard de administradores
+    io.to('administradores').emit('actualizar_dashboard', notification);
+
+    console.log(`Evento 'pedido_modificado' emitido para pedido #${pedido.pedido_id} (revisión ${revision.numero_revision})`);
+};
+
 /**
  * Emite un evento de pedido cancelado
  * @param {object} io - Instancia de Socket.IO
@@ -220,3 +375,91 @@ export const emitMesaActualizada = (io, mesa) => {
 
     console.log(`Evento 'mesa_actualizada' emitido para para mesa ${mesa.numero_mesa}`);
 };
+
+/**
+ * Emite un evento de cambio de disponibilidad de un producto o de una categoría
+ * completa, para que los meseros dejen de ofrecerlos (o los vuelvan a ofrecer) al instante.
+ * @param {object} io - Instancia de Socket.IO
+ * @param {object} cambio - { tipo: 'producto'|'categoria', id, nombre, disponible, producto_ids, usuario }
+ */
+export const emitDisponibilidadActualizada = (io, cambio) => {
+    const notification = {
+        type: 'disponibilidad_actualizada',
+        message: cambio.disponible
+            ? `${cambio.tipo === 'categoria' ? 'La categoría ' : ''}${cambio.nombre} vuelve a estar disponible`
+            : `${cambio.tipo === 'categoria' ? 'La categoría ' : ''}${cambio.nombre} está agotada`,
+        data: {
+            tipo: cambio.tipo,
+            id: cambio.id,
+            nombre: cambio.nombre,
+            disponible: cambio.disponible,
+            producto_ids: cambio.producto_ids,
+            usuario: cambio.usuario
+        },
+        timestamp: new Date().toISOString(),
+        priority: cambio.disponible ? 'low' : 'high'
+    };
+
+    // Agregar al historial
+    notificationHistory.addNotification(notification);
+
+    // Lo reciben meseros, cocina y administradores
+    io.to('notificaciones_globales').emit('disponibilidad_actualizada', notification);
+
+    // Actualizar dashboard de administradores
+    io.to('administradores').emit('actualizar_dashboard', notification);
+
+    console.log(`Evento 'disponibilidad_actualizada' emitido para ${cambio.tipo} #${cambio.id}`);
+};
+
+/**
+ * Emite las alertas de un cambio de existencia del inventario: los administradores
+ * reciben los ingredientes que llegaron a su punto de reorden y todos reciben los
+ * productos que se agotaron o se habilitaron solos por inventario.
+ * @param {object} io - Instancia de Socket.IO
+ * @param {object} alertas - { ingredientes_bajos, productos_agotados, productos_habilitados } (ver 'utils/movimientosInventario.js')
+ * @param {number} [usuarioId] - Usuario cuyo movimiento originó las alertas
+ */
+export const emitAlertasInventario = (io, alertas, usuarioId = null) => {
+    if (alertas.ingredientes_bajos.length > 0) {
+        const notification = {
+            type: 'inventario_bajo',
+            message: `Inventario bajo: ${alertas.ingredientes_bajos
+                .map(ingrediente => `${ingrediente.nombre} (${Number(ingrediente.stock)} ${ingrediente.unidad})`)
+                .join(', ')}`,
+            data: {
+                ingredientes: alertas.ingredientes_bajos.map(ingrediente => ({
+                    ingrediente_id: ingrediente.ingrediente_id,
+                    nombre: ingrediente.nombre,
+                    unidad: ingrediente.unidad,
+                    stock: Number(ingrediente.stock),
+                    stock_minimo: Number(ingrediente.stock_minimo)
+                }))
+            },
+            timestamp: new Date().toISOString(),
+            priority: 'high'
+        };
+
+        // Agregar al historial
+        notificationHistory.addNotification(notification);
+
+        // Solo lo reciben los administradores
+        io.to('administradores').emit('alerta_inventario', notification);
+        io.to('administradores').emit('actualizar_dashboard', notification);
+
+        console.log(`Evento 'alerta_inventario' emitido para ${alertas.ingredientes_bajos.length} ingrediente(s)`);
+    }
+
+    // Los productos agotados o habilitados por inventario se avisan como cualquier cambio de disponibilidad.
+    [
+        ...alertas.productos_agotados.map(producto => ({ ...producto, disponible: false })),
+        ...alertas.productos_habilitados.map(producto => ({ ...producto, disponible: true }))
+    ].forEach(producto => emitDisponibilidadActualizada(io, {
+        tipo: 'producto',
+        id: producto.producto_id,
+        nombre: producto.nombre_producto,
+        disponible: producto.disponible,
+        producto_ids: [producto.producto_id],
+        usuario: usuarioId
+    }));
+};
@@ -0,0 +1,245 @@
+// =================================================================
+// ARCHIVO: src/utils/movimientosInventario.js
+// ROL: Descuenta y devuelve la existencia de los ingredientes que
+//      consumen los pedidos, registra los ajustes manuales y suma las
+//      compras recibidas (recalculando el costo promedio), dejando
+//      cada cambio en el libro de movimientos de inventario. Después
+//      de cada cambio detecta los ingredientes que llegaron a su punto
+//      de reorden y agota (o habilita) los productos cuya receta ya no
+//      alcanza (o vuelve a alcanzar). Las reglas están en
+//      'helpers/inventario.js'; aquí solo se leen y escriben los
+//      ingredientes y productos. Las escrituras van dentro de la
+//      transacción de quien llama; los avisos los emite quien llama
+//      después de confirmarla.
+// =================================================================
+
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import {
+    TIPOS_MOVIMIENTO_INVENTARIO,
+    calcularConsumo,
+    calcularCostoPromedio,
+    calcularDiferenciaConsumo,
+    clasificarProductosPorExistencia,
+    estaBajoMinimo,
+    getIngredientesQueLlegaronAlMinimo,
+    redondearCantidad
+} from '../helpers/inventario.js';
+
+const { Ingrediente, Receta, MovimientoInventario, DetallePedido, Producto, sequelize } = db;
+
+/**
+ * Alertas de un cambio de existencia, para avisar a los administradores y a los meseros.
+ * @typedef {object} AlertasInventario
+ * @property {Array<object>} ingredientes_bajos - Ingredientes que llegaron a su punto de reorden.
+ * @property {Array<object>} productos_agotados - Productos que se agotaron porque su receta ya no alcanza.
+ * @property {Array<object>} productos_habilitados - Productos agotados por inventario que volvieron a alcanzar.
+ */
+
+/**
+ * Alertas vacías (ningún cambio de existencia).
+ * @returns {AlertasInventario}
+ */
+const sinAlertas = () => ({ ingredientes_bajos: [], productos_agotados: [], productos_habilitados: [] });
+
+/**
+ * Aplica las reglas de existencia después de registrar movimientos: detecta los ingredientes
+ * que llegaron a su punto de reorden y agota o habilita los productos que los usan.
+ * @param {Array<object>} movimientos - Movimientos recién registrados.
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<AlertasInventario>}
+ */
+const aplicarReglasExistencia = async (movimientos, transaction) => {
+    const alertas = sinAlertas();
+    const ingredienteIds = [...new Set(movimientos.map(movimiento => movimiento.ingrediente_id))];
+    if (ingredienteIds.length === 0) return alertas;
+
+    const ingredientes = await Ingrediente.findAll({ where: { ingrediente_id: ingredienteIds }, transaction });
+    alertas.ingredientes_bajos = getIngredientesQueLlegaronAlMinimo(movimientos, new Map(ingredientes.map(ingrediente => [ingrediente.ingrediente_id, ingrediente])))
+        .map(ingrediente => ingrediente.toJSON());
+
+    // Productos que usan alguno de los ingredientes que cambiaron, con su receta completa.
+    const productoIds = (await Receta.findAll({ attributes: ['producto_id'], where: { ingrediente_id: ingredienteIds }, transaction }))
+        .map(linea => linea.producto_id);
+    if (productoIds.length === 0) return alertas;
+    const [productos, recetas] = await Promise.all([
+        Producto.findAll({
+            attributes: ['producto_id', 'nombre_producto', 'disponible', 'agotado_por_inventario'],
+            where: { producto_id: [...new Set(productoIds)], is_deleted: 0 },
+            transaction
+        }),
+        Receta.findAll({ where: { producto_id: [...new Set(productoIds)] }, transaction })
+    ]);
+    const existencias = await Ingrediente.findAll({
+        attributes: ['ingrediente_id', 'stock'],
+        where: { ingrediente_id: [...new Set(recetas.map(linea => linea.ingrediente_id))] },
+        transaction
+    });
+    const { agotar, habilitar } = clasificarProductosPorExistencia(
+        productos,
+        recetas,
+        new Map(existencias.map(ingrediente => [ingrediente.ingrediente_id, Number(ingrediente.stock)]))
+    );
+    if (agotar.length > 0) {
+        await Producto.update({ disponible: false, agotado_por_inventario: true }, { where: { producto_id: agotar }, transaction });
+    }
+    if (habilitar.length > 0) {
+        await Producto.update({ disponible: true, agotado_por_inventario: false }, { where: { producto_id: habilitar }, transaction });
+    }
+    const resumen = (producto) => ({ producto_id: producto.producto_id, nombre_producto: producto.nombre_producto });
+    alertas.productos_agotados = productos.filter(producto => agotar.includes(producto.producto_id)).map(resumen);
+    alertas.productos_habilitados = productos.filter(producto => habilitar.includes(producto.producto_id)).map(resumen);
+    return alertas;
+};
+
+/**
+ * Obtiene el consumo neto que ya se descontó a un pedido (consumos menos devoluciones).
+ * @param {number} pedidoId - ID del pedido.
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<Map<number, number>>} Cantidad consumida por ingrediente.
+ */
+const getConsumoRegistrado = async (pedidoId, transaction) => {
+    const filas = await MovimientoInventario.findAll({
+        attributes: ['ingrediente_id', [sequelize.fn('SUM', sequelize.col('cantidad')), 'cantidad']],
+        where: { pedido_id: pedidoId, tipo: [TIPOS_MOVIMIENTO_INVENTARIO.CONSUMO, TIPOS_MOVIMIENTO_INVENTARIO.DEVOLUCION] },
+        group: ['ingrediente_id'],
+        raw: true,
+        transaction
+    });
+    return new Map(filas.map(fila => [Number(fila.ingrediente_id), -Number(fila.cantidad)]));
+};
+
+/**
+ * Deja el inventario descontado a un pedido igual a lo que consumen sus líneas actuales:
+ * al crearlo descuenta todo, al editarlo solo la diferencia y, sin líneas, devuelve lo
+ * que se le había descontado. Si una receta cambió después de tomar el pedido, la
+ * siguiente sincronización lo ajusta a la receta vigente.
+ * La existencia puede quedar negativa: el pedido no se bloquea por un inventario desactualizado,
+ * pero los productos que ya no alcanzan se agotan para los pedidos siguientes.
+ * @param {{pedidoId: number, lineas: Array<{producto_id: number, cantidad: number}>, usuarioId: number}} consumo
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<{movimientos: Array<object>, alertas: AlertasInventario}>} Los movimientos registrados y sus alertas.
+ */
+export const sincronizarConsumoPedido = async ({ pedidoId, lineas, usuarioId }, transaction) => {
+    const productoIds = [...new Set(lineas.map(linea => Number(linea.producto_id)))];
+    const recetas = productoIds.length > 0
+        ? await Receta.findAll({ where: { producto_id: productoIds }, transaction })
+        : [];
+    const diferencia = calcularDiferenciaConsumo(calcularConsumo(lineas, recetas), await getConsumoRegistrado(pedidoId, transaction));
+    if (diferencia.size === 0) return { movimientos: [], alertas: sinAlertas() };
+
+    // Se bloquean en orden de ID para que dos pedidos simultáneos no se crucen.
+    const ingredientes = await Ingrediente.findAll({
+        where: { ingrediente_id: [...diferencia.keys()] },
+        order: [['ingrediente_id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    const movimientos = [];
+    for (const ingrediente of ingredientes) {
+        const cantidad = -diferencia.get(ingrediente.ingrediente_id);
+        const stock = redondearCantidad(Number(ingrediente.stock) + cantidad);
+        await ingrediente.update({ stock }, { transaction });
+        movimientos.push(await MovimientoInventario.create({
+            ingrediente_id: ingrediente.ingrediente_id,
+            tipo: cantidad < 0 ? TIPOS_MOVIMIENTO_INVENTARIO.CONSUMO : TIPOS_MOVIMIENTO_INVENTARIO.DEVOLUCION,
+            cantidad,
+            stock_resultante: stock,
+            pedido_id: pedidoId,
+            usuario_id: usuarioId
+        }, { transaction }));
+    }
+    return { movimientos, alertas: await aplicarReglasExistencia(movimientos, transaction) };
+};
+
+/**
+ * Sincroniza el consumo de un pedido con las líneas que tiene guardadas.
+ * @param {{pedidoId: number, usuarioId: number}} pedido
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<{movimientos: Array<object>, alertas: AlertasInventario}>}
+ */
+export const sincronizarConsumoDetalles = async ({ pedidoId, usuarioId }, transaction) => {
+    const lineas = await DetallePedido.findAll({ attributes: ['producto_id', 'cantidad'], where: { pedido_id: pedidoId }, transaction });
+    return sincronizarConsumoPedido({ pedidoId, lineas, usuarioId }, transaction);
+};
+
+/**
+ * Devuelve al inventario todo lo que se le descontó a un pedido cancelado.
+ * @param {{pedidoId: number, usuarioId: number}} cancelacion
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<{movimientos: Array<object>, alertas: AlertasInventario}>}
+ */
+export const devolverConsumoPedido = ({ pedidoId, usuarioId }, transaction) =>
+    sincronizarConsumoPedido({ pedidoId, lineas: [], usuarioId }, transaction);
+
+/**
+ * Registra un ajuste manual de la existencia de un ingrediente (conteo físico, merma, compra...).
+ * @param {{ingredienteId: number, cantidad: number, motivo: string, usuarioId: number}} ajuste - Ajuste validado por 'validarAjuste'.
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<{ingrediente: object, movimiento: object, alertas: AlertasInventario}|null>} null si el ingrediente no existe.
+ */
+export const registrarAjuste = async ({ ingredienteId, cantidad, motivo, usuarioId }, transaction) => {
+    const ingrediente = await Ingrediente.findByPk(ingredienteId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!ingrediente) return null;
+    const stock = redondearCantidad(Number(ingrediente.stock) + Number(cantidad));
+    await ingrediente.update({ stock }, { transaction });
+    const movimiento = await MovimientoInventario.create({
+        ingrediente_id: ingrediente.ingrediente_id,
+        tipo: TIPOS_MOVIMIENTO_INVENTARIO.AJUSTE,
+        cantidad: Number(cantidad),
+        stock_resultante: stock,
+        motivo: String(motivo).trim(),
+        usuario_id: usuarioId
+    }, { transaction });
+    return { ingrediente, movimiento, alertas: await aplicarReglasExistencia([movimiento], transaction) };
+};
+
+/**
+ * Suma al inventario la mercancía recibida de una orden de compra y recalcula el costo
+ * promedio ponderado de cada ingrediente con el costo de la orden.
+ * @param {{ordenCompraId: number, lineas: Array<{ingredienteId: number, cantidad: number, costoUnitario: number}>, usuarioId: number}} compra
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<{movimientos: Array<object>, alertas: AlertasInventario}>} Los movimientos registrados y sus alertas.
+ */
+export const registrarCompra = async ({ ordenCompraId, lineas, usuarioId }, transaction) => {
+    const lineasPorIngrediente = new Map(lineas.map(linea => [Number(linea.ingredienteId), linea]));
+    // Se bloquean en orden de ID, igual que al descontar los pedidos.
+    const ingredientes = await Ingrediente.findAll({
+        where: { ingrediente_id: [...lineasPorIngrediente.keys()] },
+        order: [['ingrediente_id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    const movimientos = [];
+    for (const ingrediente of ingredientes) {
+        const { cantidad, costoUnitario } = lineasPorIngrediente.get(ingrediente.ingrediente_id);
+        const stock = redondearCantidad(Number(ingrediente.stock) + Number(cantidad));
+        await ingrediente.update({ stock, costo_promedio: calcularCostoPromedio(ingrediente, cantidad, costoUnitario) }, { transaction });
+        movimientos.push(await MovimientoInventario.create({
+            ingrediente_id: ingrediente.ingrediente_id,
+            tipo: TIPOS_MOVIMIENTO_INVENTARIO.COMPRA,
+            cantidad: Number(cantidad),
+            stock_resultante: stock,
+            orden_compra_id: ordenCompraId,
+            usuario_id: usuarioId
+        }, { transaction }));
+    }
+    return { movimientos, alertas: await aplicarReglasExistencia(movimientos, transaction) };
+};
+
+/**
+ * Obtiene lo que está bajo en el inventario: los ingredientes activos en su punto de
+ * reorden (o por debajo) y los productos agotados por falta de ingredientes.
+ * @returns {Promise<{ingredientes: Array<object>, productos: Array<object>}>}
+ */
+export const getInventarioBajo = async () => {
+    const [ingredientes, productos] = await Promise.all([
+        Ingrediente.findAll({ where: { activo: true, stock_minimo: { [Op.ne]: null } }, order: [['nombre', 'ASC']] }),
+        Producto.findAll({
+            attributes: ['producto_id', 'nombre_producto'],
+            where: { agotado_por_inventario: true, is_deleted: 0 },
+            order: [['nombre_producto', 'ASC']]
+        })
+    ]);
+    return { ingredientes: ingredientes.filter(estaBajoMinimo), productos };
+};
@@ -0,0 +1,182 @@
+// =================================================================
+// ARCHIVO: src/utils/movimientosPuntos.js
+// ROL: Registra los movimientos del libro de puntos de un cliente
+//      (acumulación, canje, vencimiento y reverso) manteniendo los
+//      puntos disponibles de cada lote. Las reglas están en
+//      'helpers/puntos.js'; aquí solo se leen y escriben los lotes.
+//      Las escrituras van dentro de la transacción de quien llama.
+// =================================================================
+
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import {
+    TIPOS_MOVIMIENTO_PUNTOS,
+    calcularFechaVencimiento,
+    calcularSaldo,
+    consumirLotes,
+    getLotesVencidos
+} from '../helpers/puntos.js';
+
+const { ConfiguracionPuntos, MovimientoPuntos } = db;
+
+/**
+ * Obtiene la configuración del programa de puntos.
+ * @param {object} [transaction] - Transacción de Sequelize.
+ * @returns {Promise<object|null>}
+ */
+export const getConfiguracionPuntos = (transaction) => ConfiguracionPuntos.findByPk(1, { transaction });
+
+/**
+ * Carga los lotes con puntos disponibles de un cliente, bloqueándolos, y registra el
+ * vencimiento de los que ya caducaron.
+ * @param {number} clienteId
+ * @param {object} transaction - Transacción de Sequelize.
+ * @param {Date} [fecha]
+ * @returns {Promise<{lotes: Array<object>, saldo: number}>} Los lotes vigentes y su saldo.
+ */
+export const cargarPuntosCliente = async (clienteId, transaction, fecha = new Date()) => {
+    const lotes = await MovimientoPuntos.findAll({
+        where: { cliente_id: clienteId, puntos_disponibles: { [Op.gt]: 0 } },
+        order: [['fecha_vencimiento', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+    const vencidos = getLotesVencidos(lotes, fecha);
+    for (const lote of vencidos) {
+        await MovimientoPuntos.create({
+            cliente_id: clienteId,
+            tipo: TIPOS_MOVIMIENTO_PUNTOS.VENCIMIENTO,
+            puntos: -lote.puntos_disponibles,
+            descripcion: `Vencimiento de los puntos del movimiento #${lote.movimiento_id}`,
+            fecha
+        }, { transaction });
+        await lote.update({ puntos_disponibles: 0 }, { transaction });
+    }
+    const vigentes = lotes.filter(lote => !vencidos.includes(lote));
+    return { lotes: vigentes, saldo: calcularSaldo(vigentes, fecha) };
+};
+
+/**
+ * Consulta el saldo vigente de un cliente sin registrar vencimientos (solo lectura).
+ * @param {number} clienteId
+ * @param {Date} [fecha]
+ * @returns {Promise<{saldo: number, proximo_vencimiento: Date|null}>} El saldo y la fecha en que vencen los próximos puntos.
+ */
+export const getSaldoPuntos = async (clienteId, fecha = new Date()) => {
+    const lotes = await MovimientoPuntos.findAll({
+        where: {
+            cliente_id: clienteId,
+            puntos_disponibles: { [Op.gt]: 0 },
+            [Op.or]: [{ fecha_vencimiento: null }, { fecha_vencimiento: { [Op.gt]: fecha } }]
+        },
+        order: [['fecha_vencimiento', 'ASC']]
+    });
+    return {
+        saldo: calcularSaldo(lotes, fecha),
+        proximo_vencimiento: lotes.find(lote => lote.fecha_vencimiento)?.fecha_vencimiento ?? null
+    };
+};
+
+/**
+ * Descuenta puntos de los lotes indicados, en el orden en que se consumen.
+ * @param {Array<{lote: object, puntos: number}>} consumos
+ * @param {object} transaction - Transacción de Sequelize.
+ */
+const descontarLotes = async (consumos, transaction) => {
+    for (const { lote, puntos } of consumos) {
+        await lote.update({ puntos_disponibles: lote.puntos_disponibles - puntos }, { transaction });
+    }
+};
+
+/**
+ * Registra el canje de puntos de una factura, consumiendo primero los que vencen antes.
+ * @param {{clienteId: number, facturaId: number, puntos: number, usuarioId: number, lotes: Array<object>}} canje
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<object>} El movimiento de canje.
+ */
+export const canjearPuntos = async ({ clienteId, facturaId, puntos, usuarioId, lotes }, transaction) => {
+    const { consumos } = consumirLotes(lotes, puntos);
+    await descontarLotes(consumos, transaction);
+    return MovimientoPuntos.create({
+        cliente_id: clienteId,
+        factura_id: facturaId,
+        tipo: TIPOS_MOVIMIENTO_PUNTOS.CANJE,
+        puntos: -puntos,
+        descripcion: `Canje en la factura #${facturaId}`,
+        usuario_id: usuarioId
+    }, { transaction });
+};
+
+/**
+ * Registra los puntos ganados en una factura como un lote nuevo.
+ * @param {{clienteId: number, facturaId: number, puntos: number, usuarioId: number, config: object}} acumulacion
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<object>} El movimiento de acumulación.
+ */
+export const acumularPuntos = async ({ clienteId, facturaId, puntos, usuarioId, config }, transaction) => MovimientoPuntos.create({
+    cliente_id: clienteId,
+    factura_id: facturaId,
+    tipo: TIPOS_MOVIMIENTO_PUNTOS.ACUMULACION,
+    puntos,
+    puntos_disponibles: puntos,
+    fecha_vencimiento: calcularFechaVencimiento(new Date(), config.vigencia_dias),
+    descripcion: `Puntos ganados en la factura #${facturaId}`,
+    usuario_id: usuarioId
+}, { transaction });
+
+/**
+ * Reversa los puntos de una factura anulada: devuelve al cliente los puntos que canjeó
+ * (como un lote nuevo con la vigencia actual) y retira los que ganó. Si el cliente ya
+ * usó parte de los puntos ganados, se retiran de su saldo hasta donde alcance.
+ * @param {{factura: object, usuarioId: number, config: object|null}} anulacion
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<Array<object>>} Los movimientos de reverso registrados.
+ */
+export const reversarPuntosFactura = async ({ factura, usuarioId, config }, transaction) => {
+    const movimientos = await MovimientoPuntos.findAll({
+        where: { factura_id: factura.factura_id, tipo: [TIPOS_MOVIMIENTO_PUNTOS.ACUMULACION, TIPOS_MOVIMIENTO_PUNTOS.CANJE] },
+        transaction
+    });
+    if (movimientos.length === 0) return [];
+
+    const reversos = [];
+    const canjeados = movimientos
+        .filter(mov => mov.tipo === TIPOS_MOVIMIENTO_PUNTOS.CANJE)
+        .reduce((acc, mov) => acc - mov.puntos, 0);
+    if (canjeados > 0) {
+        reversos.push(await MovimientoPuntos.create({
+            cliente_id: factura.cliente_id,
+            factura_id: factura.factura_id,
+            tipo: TIPOS_MOVIMIENTO_PUNTOS.REVERSO,
+            puntos: canjeados,
+            puntos_disponibles: canjeados,
+            fecha_vencimiento: config ? calcularFechaVencimiento(new Date(), config.vigencia_dias) : null,
+            descripcion: `Devolución de los puntos canjeados en la factura anulada #${factura.factura_id}`,
+            usuario_id: usuarioId
+        }, { transaction }));
+    }
+
+    const acumulacion = movimientos.find(mov => mov.tipo === TIPOS_MOVIMIENTO_PUNTOS.ACUMULACION);
+    if (acumulacion) {
+        // Se retiran primero los puntos que queden del lote de la factura y luego los más próximos a vencer.
+        const { lotes } = await cargarPuntosCliente(factura.cliente_id, transaction);
+        const loteFactura = lotes.find(lote => lote.movimiento_id === acumulacion.movimiento_id);
+        const propios = loteFactura ? Math.min(loteFactura.puntos_disponibles, acumulacion.puntos) : 0;
+        const consumos = propios > 0 ? [{ lote: loteFactura, puntos: propios }] : [];
+        const otros = consumirLotes(lotes.filter(lote => lote !== loteFactura), acumulacion.puntos - propios);
+        consumos.push(...otros.consumos);
+        const retirados = consumos.reduce((acc, consumo) => acc + consumo.puntos, 0);
+        if (retirados > 0) {
+            await descontarLotes(consumos, transaction);
+            reversos.push(await MovimientoPuntos.create({
+                cliente_id: factura.cliente_id,
+                factura_id: factura.factura_id,
+                tipo: TIPOS_MOVIMIENTO_PUNTOS.REVERSO,
+                puntos: -retirados,
+                descripcion: `Retiro de los puntos ganados en la factura anulada #${factura.factura_id}`,
+                usuario_id: usuarioId
+            }, { transaction }));
+        }
+    }
+    return reversos;
+};
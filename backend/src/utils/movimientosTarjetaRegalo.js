@@ -0,0 +1,92 @@
+// =================================================================
+// ARCHIVO: src/utils/movimientosTarjetaRegalo.js
+// ROL: Descuenta y devuelve el saldo de las tarjetas de regalo con
+//      que se paga una factura, registrando cada movimiento. Las
+//      reglas están en 'helpers/tarjetasRegalo.js'; aquí solo se leen
+//      y escriben las tarjetas. Las escrituras van dentro de la
+//      transacción de quien llama.
+// =================================================================
+
+import db from '../models/index.js';
+import { redondear } from '../helpers/impuestos.js';
+import { TIPOS_MOVIMIENTO_TARJETA, agruparPagosPorTarjeta, validarRedencion } from '../helpers/tarjetasRegalo.js';
+
+const { TarjetaRegalo, MovimientoTarjetaRegalo, TransaccionPago } = db;
+
+/**
+ * Carga y bloquea las tarjetas de regalo con que se pagará una factura y valida
+ * que cada una tenga saldo para lo que se paga con ella.
+ * @param {Array<object>} transacciones - Transacciones validadas por 'validarPagos'.
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<{errores: Array<string>, tarjetasPorCodigo: Map<string, object>}>}
+ */
+export const cargarTarjetasPago = async (transacciones, transaction) => {
+    const montosPorCodigo = agruparPagosPorTarjeta(transacciones);
+    const tarjetasPorCodigo = new Map();
+    const errores = [];
+    for (const [codigo, monto] of montosPorCodigo) {
+        const tarjeta = await TarjetaRegalo.findOne({ where: { codigo }, transaction, lock: transaction.LOCK.UPDATE });
+        const error = validarRedencion(tarjeta, codigo, monto);
+        if (error) {
+            errores.push(error);
+        } else {
+            tarjetasPorCodigo.set(codigo, tarjeta);
+        }
+    }
+    return { errores, tarjetasPorCodigo };
+};
+
+/**
+ * Descuenta de cada tarjeta lo pagado con ella en una factura.
+ * @param {{facturaId: number, transacciones: Array<object>, tarjetasPorCodigo: Map<string, object>, usuarioId: number}} redencion
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<Array<object>>} Los movimientos de redención registrados.
+ */
+export const redimirTarjetas = async ({ facturaId, transacciones, tarjetasPorCodigo, usuarioId }, transaction) => {
+    const tarjetasPorId = new Map([...tarjetasPorCodigo.values()].map(tarjeta => [tarjeta.tarjeta_id, tarjeta]));
+    const movimientos = [];
+    for (const tx of transacciones.filter(tx => tx.tarjeta_regalo_id)) {
+        const tarjeta = tarjetasPorId.get(tx.tarjeta_regalo_id);
+        const saldo = redondear(Number(tarjeta.saldo) - Number(tx.monto_pagado));
+        await tarjeta.update({ saldo }, { transaction });
+        movimientos.push(await MovimientoTarjetaRegalo.create({
+            tarjeta_id: tarjeta.tarjeta_id,
+            tipo: TIPOS_MOVIMIENTO_TARJETA.REDENCION,
+            monto: -Number(tx.monto_pagado),
+            saldo_resultante: saldo,
+            factura_id: facturaId,
+            transaccion_id: tx.transaccion_id,
+            usuario_id: usuarioId
+        }, { transaction }));
+    }
+    return movimientos;
+};
+
+/**
+ * Devuelve a las tarjetas de regalo lo que se pagó con ellas en una factura anulada.
+ * @param {{factura: object, usuarioId: number}} anulacion
+ * @param {object} transaction - Transacción de Sequelize.
+ * @returns {Promise<Array<object>>} Los movimientos de reverso registrados.
+ */
+export const reversarTarjetasFactura = async ({ factura, usuarioId }, transaction) => {
+    const pagos = await TransaccionPago.findAll({
+        where: { factura_id: factura.factura_id },
+        transaction
+    });
+    const movimientos = [];
+    for (const pago of pagos.filter(pago => pago.tarjeta_regalo_id)) {
+        const tarjeta = await TarjetaRegalo.findByPk(pago.tarjeta_regalo_id, { transaction, lock: transaction.LOCK.UPDATE });
+        const saldo = redondear(Number(tarjeta.saldo) + Number(pago.monto_pagado));
+        await tarjeta.update({ saldo }, { transaction });
+        movimientos.push(await MovimientoTarjetaRegalo.create({
+            tarjeta_id: tarjeta.tarjeta_id,
+            tipo: TIPOS_MOVIMIENTO_TARJETA.REVERSO,
+            monto: Number(pago.monto_pagado),
+            saldo_resultante: saldo,
+            factura_id: factura.factura_id,
+            transaccion_id: pago.transaccion_id,
+            usuario_id: usuarioId
+        }, { transaction }));
+    }
+    return movimientos;
+};
@@ -0,0 +1,38 @@
+// =================================================================
+// ARCHIVO: src/utils/numeracionFacturas.js
+// ROL: Asigna el siguiente número de la resolución de facturación
+//      activa. La resolución queda bloqueada hasta que termine la
+//      transacción de quien llama: dos facturas simultáneas no
+//      reciben el mismo número y, si la transacción se revierte, el
+//      número no se consume (la numeración no deja huecos).
+// =================================================================
+
+import db from '../models/index.js';
+import { formatearNumeroFactura, getAlertaNumeracion, siguienteConsecutivo } from '../helpers/facturaElectronica.js';
+
+const { ResolucionFacturacion } = db;
+
+/**
+ * Toma el siguiente consecutivo de la resolución activa y lo marca como usado.
+ * @param {object} transaction - Transacción de Sequelize.
+ * @param {Date} [fecha] - Momento de la emisión.
+ * @returns {Promise<{resolucion: object|null, consecutivo: number|null, numero: string|null, alerta: string|null, error: string|null}>}
+ */
+export const asignarNumeroFactura = async (transaction, fecha = new Date()) => {
+    const resolucion = await ResolucionFacturacion.findOne({ where: { activa: true }, transaction, lock: transaction.LOCK.UPDATE });
+    if (!resolucion) {
+        return { resolucion: null, consecutivo: null, numero: null, alerta: null, error: 'No hay una resolución de facturación activa.' };
+    }
+    const { consecutivo, error } = siguienteConsecutivo(resolucion, fecha);
+    if (error) {
+        return { resolucion, consecutivo: null, numero: null, alerta: null, error };
+    }
+    await resolucion.update({ ultimo_numero: consecutivo }, { transaction });
+    return {
+        resolucion,
+        consecutivo,
+        numero: formatearNumeroFactura(resolucion.prefijo, consecutivo),
+        alerta: getAlertaNumeracion(resolucion, fecha),
+        error: null
+    };
+};
@@ -0,0 +1,68 @@
+// =================================================================
+// ARCHIVO: src/utils/resumenInventario.js
+// ROL: Envía por correo a los administradores el resumen de lo que
+//      está bajo en el inventario (ingredientes en su punto de reorden
+//      y productos agotados por falta de ingredientes) y lo programa
+//      a diario a la hora de INVENTARIO_RESUMEN_HORA, si está definida.
+// =================================================================
+
+import db from '../models/index.js';
+import { armarResumenInventario, getProximoResumen } from '../helpers/inventario.js';
+import { sendTextEmail } from '../helpers/email.js';
+import { getInventarioBajo } from './movimientosInventario.js';
+
+const { Usuario, Rol } = db;
+
+/**
+ * Obtiene los correos de los administradores activos.
+ * @returns {Promise<string[]>}
+ */
+const getCorreosAdministradores = async () => {
+    const administradores = await Usuario.findAll({
+        attributes: ['correo'],
+        where: { is_deleted: false },
+        include: [{ model: Rol, attributes: [], where: { nombre_rol: 'administrador' } }]
+    });
+    return administradores.map(usuario => usuario.correo).filter(Boolean);
+};
+
+/**
+ * Envía el resumen de inventario bajo a los administradores.
+ * @param {{soloSiHayBajos?: boolean}} [opciones] - Con 'soloSiHayBajos' no se envía nada si todo está en orden.
+ * @returns {Promise<{destinatarios: string[], enviado: boolean}>}
+ */
+export const enviarResumenInventario = async ({ soloSiHayBajos = false } = {}) => {
+    const { ingredientes, productos } = await getInventarioBajo();
+    const destinatarios = await getCorreosAdministradores();
+    if (destinatarios.length === 0 || (soloSiHayBajos && ingredientes.length === 0 && productos.length === 0)) {
+        return { destinatarios, enviado: false };
+    }
+    await sendTextEmail({
+        to: destinatarios,
+        subject: `Resumen de inventario bajo - ${new Date().toLocaleDateString('es-CO')}`,
+        text: armarResumenInventario(ingredientes, productos)
+    });
+    return { destinatarios, enviado: true };
+};
+
+/**
+ * Programa el envío diario del resumen a la hora indicada. Si la hora no es válida
+ * no se programa nada. Los días sin nada bajo no se envía correo.
+ * @param {string} hora - Hora local en formato 'HH:MM'.
+ * @returns {boolean} true si quedó programado.
+ */
+export const programarResumenInventario = (hora) => {
+    const proximo = getProximoResumen(hora);
+    if (!proximo) return false;
+    const temporizador = setTimeout(async () => {
+        try {
+            await enviarResumenInventario({ soloSiHayBajos: true });
+        } catch (error) {
+            console.error('No se pudo enviar el resumen de inventario:', error.message);
+        }
+        programarResumenInventario(hora);
+    }, proximo.getTime() - Date.now());
+    // El temporizador no debe mantener vivo el proceso por sí solo.
+    temporizador.unref();
+    return true;
+};
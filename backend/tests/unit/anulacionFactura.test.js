@@ -0,0 +1,91 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { Factura, Pedido, NotaCredito, transaccion } = vi.hoisted(() => ({
+    Factura: { findByPk: vi.fn() },
+    Pedido: { findByPk: vi.fn() },
+    NotaCredito: { create: vi.fn() },
+    transaccion: { commit: vi.fn(), rollback: vi.fn(), LOCK: { UPDATE: 'UPDATE' } }
+}));
+
+vi.mock('../../src/models/index.js', () => ({
+    default: { Factura, Pedido, NotaCredito, sequelize: { transaction: vi.fn(async () => transaccion) } }
+}));
+vi.mock('../../src/utils/movimientosPuntos.js', () => ({
+    acumularPuntos: vi.fn(),
+    canjearPuntos: vi.fn(),
+    cargarPuntosCliente: vi.fn(),
+    getConfiguracionPuntos: vi.fn(),
+    getSaldoPuntos: vi.fn(),
+    reversarPuntosFactura: vi.fn(async () => [])
+}));
+vi.mock('../../src/utils/movimientosTarjetaRegalo.js', () => ({
+    cargarTarjetasPago: vi.fn(),
+    redimirTarjetas: vi.fn(),
+    reversarTarjetasFactura: vi.fn(async () => [])
+}));
+
+const { voidInvoice } = await import('../../src/controllers/factura.controller.js');
+
+function createMockResponse() {
+    const res = {
+        status: vi.fn().mockReturnThis(),
+        send: vi.fn(),
+    };
+
+    return res;
+}
+
+describe('anulación de facturas', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('exige el motivo de la anulación', async () => {
+        const res = createMockResponse();
+
+        await voidInvoice({ params: { id: 7 }, body: { motivo: '   ' }, userId: 1 }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(NotaCredito.create).not.toHaveBeenCalled();
+    });
+
+    it('emite la nota crédito por el total de la factura y devuelve el pedido a entregado', async () => {
+        const factura = {
+            factura_id: 7, numero: 'SB105', pedido_id: 3, cliente_id: null, anulada: false,
+            subtotal: '20000.00', descuento_total: '0.00', impuesto_total: '1600.00', propina: '2000.00', cargo_servicio: '0.00', total: '23600.00',
+            update: vi.fn()
+        };
+        const pedido = { pedido_id: 3, estado: 'pagado', update: vi.fn() };
+        Factura.findByPk.mockResolvedValue(factura);
+        Pedido.findByPk.mockResolvedValue(pedido);
+        NotaCredito.create.mockResolvedValue({ nota_credito_id: 4 });
+        const res = createMockResponse();
+
+        await voidInvoice({ params: { id: 7 }, body: { motivo: 'Cobro duplicado' }, userId: 1 }, res);
+
+        expect(NotaCredito.create).toHaveBeenCalledWith(expect.objectContaining({
+            factura_id: 7,
+            motivo: 'Cobro duplicado',
+            usuario_id: 1,
+            impuesto_total: '1600.00',
+            propina: '2000.00',
+            total: '23600.00'
+        }), { transaction: transaccion });
+        expect(factura.update).toHaveBeenCalledWith({ anulada: true }, { transaction: transaccion });
+        expect(pedido.update).toHaveBeenCalledWith({ estado: 'entregado' }, { transaction: transaccion });
+        expect(transaccion.commit).toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send.mock.calls[0][0].message).toContain('SB105');
+    });
+
+    it('no anula dos veces la misma factura', async () => {
+        Factura.findByPk.mockResolvedValue({ factura_id: 7, anulada: true, NotaCredito: { nota_credito_id: 4 } });
+        const res = createMockResponse();
+
+        await voidInvoice({ params: { id: 7 }, body: { motivo: 'Cobro duplicado' }, userId: 1 }, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(transaccion.rollback).toHaveBeenCalled();
+        expect(NotaCredito.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { POR_PAGINA_DEFECTO, getPaginacion, validarFiltrosFacturas } from '../../src/helpers/busquedaFacturas.js';
+
+describe('filtros del listado de facturas', () => {
+    it('sin filtros lista todas las facturas, las más recientes primero', () => {
+        const { errores, filtros } = validarFiltrosFacturas({});
+        expect(errores).toEqual([]);
+        expect(filtros).toMatchObject({ desde: null, mesero_id: null, anulada: null, numero: null, orden: 'fecha', direccion: 'desc', pagina: 1, por_pagina: POR_PAGINA_DEFECTO });
+    });
+
+    it('normaliza los filtros recibidos en la consulta', () => {
+        const { errores, filtros } = validarFiltrosFacturas({
+            desde: '2026-06-01', hasta: '2026-06-30', mesero_id: '4', metodo_pago_id: '2',
+            monto_min: '10000', monto_max: '', anulada: 'false', numero: ' setp-9900 ', orden: 'total', direccion: 'ASC', pagina: '3', por_pagina: '50'
+        });
+        expect(errores).toEqual([]);
+        expect(filtros).toMatchObject({ mesero_id: 4, mesa_id: null, metodo_pago_id: 2, monto_min: 10000, monto_max: null, anulada: false, numero: 'SETP9900', orden: 'total', direccion: 'asc', pagina: 3, por_pagina: 50 });
+    });
+
+    it('rechaza fechas, montos, orden y paginación inválidos', () => {
+        expect(validarFiltrosFacturas({ desde: '2026-06-30', hasta: '2026-06-01' }).errores).toEqual(['La fecha inicial no puede ser posterior a la fecha final.']);
+        expect(validarFiltrosFacturas({ desde: '01/06/2026', mesa_id: 'A1', monto_min: '500', monto_max: '100', anulada: 'si' }).errores).toHaveLength(4);
+        expect(validarFiltrosFacturas({ orden: 'mesero', direccion: 'arriba', pagina: '0', por_pagina: '500' }).errores).toHaveLength(4);
+    });
+
+    it('resume la paginación', () => {
+        expect(getPaginacion(45, 2, 20)).toEqual({ total: 45, pagina: 2, por_pagina: 20, total_paginas: 3 });
+        expect(getPaginacion(0, 1, 20).total_paginas).toBe(1);
+    });
+});
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { calcularCuadre, describirDiferencia, validarMontoCaja } from '../../src/helpers/caja.js';
+
+describe('cuadre de la sesión de caja', () => {
+    it('espera la base más las ventas en efectivo y calcula la diferencia contra lo contado', () => {
+        expect(calcularCuadre({ monto_apertura: '100000.00', ventas_efectivo: '85500.50', efectivo_contado: 185000 }))
+            .toEqual({ efectivo_esperado: 185500.5, diferencia: -500.5 });
+        expect(calcularCuadre({ monto_apertura: 50000, ventas_efectivo: 0, efectivo_contado: 50000 }).diferencia).toBe(0);
+    });
+
+    it('describe faltantes y sobrantes', () => {
+        expect(describirDiferencia(-500.5)).toBe('Faltante');
+        expect(describirDiferencia(200)).toBe('Sobrante');
+        expect(describirDiferencia(0.001)).toBe('Cuadrada');
+    });
+
+    it('valida los montos de apertura y cierre', () => {
+        expect(validarMontoCaja(undefined, 'la base de apertura')).toBe('Debe indicar la base de apertura.');
+        expect(validarMontoCaja(-1, 'el efectivo contado')).toBe('El efectivo contado debe ser un número mayor o igual a 0.');
+        expect(validarMontoCaja('0', 'el efectivo contado')).toBeNull();
+    });
+});
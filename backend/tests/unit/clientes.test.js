@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calcularDigitoVerificacion,
+    formatearDocumento,
+    getAdquiriente,
+    normalizarDocumento,
+    validarCliente
+} from '../../src/helpers/clientes.js';
+
+describe('documento del cliente', () => {
+    it('normaliza el número y calcula el dígito de verificación del NIT', () => {
+        expect(normalizarDocumento(' 890.903.938 ')).toBe('890903938');
+        expect(normalizarDocumento('ab-12 345')).toBe('AB12345');
+        expect(calcularDigitoVerificacion('800197268')).toBe('4');
+        expect(calcularDigitoVerificacion('890903938')).toBe('8');
+    });
+
+    it('imprime el NIT con su dígito de verificación y lo reporta como adquiriente', () => {
+        const empresa = { tipo_documento: 'NIT', numero_documento: '860034313', nombre: 'Empresa S.A.S.' };
+        expect(formatearDocumento(empresa)).toBe('NIT 860034313-7');
+        expect(formatearDocumento({ tipo_documento: 'CC', numero_documento: '1020304050' })).toBe('CC 1020304050');
+        expect(getAdquiriente(empresa)).toEqual({ tipo_documento: '31', numero: '860034313', dv: '7', nombre: 'Empresa S.A.S.' });
+    });
+});
+
+describe('validación del cliente', () => {
+    it('acepta documentos numéricos y pasaportes alfanuméricos', () => {
+        expect(validarCliente({ tipo_documento: 'CC', numero_documento: '1020304050', nombre: 'Ana Pérez', email: 'ana@correo.com', telefono: '+57 300 123 4567' })).toEqual([]);
+        expect(validarCliente({ tipo_documento: 'PP', numero_documento: 'AB123456', nombre: 'John Doe' })).toEqual([]);
+    });
+
+    it('rechaza tipos desconocidos, cédulas con letras y contactos inválidos', () => {
+        expect(validarCliente({ tipo_documento: 'XX', numero_documento: '123', nombre: 'A' })).toHaveLength(1);
+        expect(validarCliente({ tipo_documento: 'CC', numero_documento: 'AB123', nombre: '', email: 'correo', telefono: '12' })).toHaveLength(4);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calcularTotalOrden,
+    esTransicionOrdenValida,
+    getEstadoTrasRecepcion,
+    validarLineasOrden,
+    validarProveedor,
+    validarRecepcion
+} from '../../src/helpers/compras.js';
+import { calcularCostoPromedio } from '../../src/helpers/inventario.js';
+
+const lineasOrden = [
+    { detalle_orden_compra_id: 1, ingrediente_id: 10, cantidad: '5.000', cantidad_recibida: '0.000', costo_unitario: '42000.0000' },
+    { detalle_orden_compra_id: 2, ingrediente_id: 11, cantidad: '2000.000', cantidad_recibida: '1500.000', costo_unitario: '4.5000' }
+];
+
+describe('proveedores y órdenes de compra', () => {
+    it('valida el proveedor y las líneas de la orden', () => {
+        expect(validarProveedor({ nombre: 'Pescados del Pacífico', nit: '900123456-7', email: 'ventas@pacifico.co', telefono: '+57 300 1234567' })).toEqual([]);
+        expect(validarProveedor({ nombre: '', nit: 'ABC', email: 'ventas', telefono: '12' })).toHaveLength(4);
+
+        expect(validarLineasOrden([{ ingrediente_id: 10, cantidad: 5, costo_unitario: 42000 }, { ingrediente_id: 11, cantidad: 2000, costo_unitario: 4.5 }])).toEqual([]);
+        expect(validarLineasOrden([])).toEqual(['La orden de compra debe tener al menos un ingrediente.']);
+        expect(validarLineasOrden([{ ingrediente_id: 10, cantidad: 1, costo_unitario: 1 }, { ingrediente_id: 10, cantidad: 0, costo_unitario: 0.00001 }])).toEqual([
+            'El ingrediente #10 está repetido en la orden.',
+            'La cantidad de la línea 2 debe ser mayor a 0 con máximo 3 decimales.',
+            'El costo unitario de la línea 2 debe ser mayor o igual a 0 con máximo 4 decimales.'
+        ]);
+        expect(calcularTotalOrden(lineasOrden)).toBe(219000);
+    });
+
+    it('solo permite los cambios de estado manuales del ciclo de la orden', () => {
+        expect(esTransicionOrdenValida('borrador', 'enviada')).toBe(true);
+        expect(esTransicionOrdenValida('enviada', 'cancelada')).toBe(true);
+        expect(esTransicionOrdenValida('recibida_parcial', 'recibida')).toBe(true);
+        expect(esTransicionOrdenValida('recibida_parcial', 'cancelada')).toBe(false);
+        expect(esTransicionOrdenValida('enviada', 'recibida')).toBe(false); // Se recibe con una recepción.
+        expect(esTransicionOrdenValida('cancelada', 'borrador')).toBe(false);
+    });
+
+    it('valida las recepciones parciales contra lo pendiente', () => {
+        const { errores, recibidas } = validarRecepcion([
+            { detalle_orden_compra_id: 1, cantidad: 3 },
+            { detalle_orden_compra_id: 2, cantidad: 0 } // No llegó: se ignora.
+        ], lineasOrden);
+        expect(errores).toEqual([]);
+        expect(recibidas).toEqual([{ linea: lineasOrden[0], cantidad: 3 }]);
+
+        expect(validarRecepcion([{ detalle_orden_compra_id: 2, cantidad: 600 }, { detalle_orden_compra_id: 9, cantidad: 1 }], lineasOrden).errores).toEqual([
+            'La cantidad recibida de la línea 1 supera lo pendiente (500).',
+            'La línea 2 recibida no pertenece a la orden.'
+        ]);
+        expect(validarRecepcion([{ detalle_orden_compra_id: 1, cantidad: 0 }], lineasOrden).errores).toEqual(['Indique la cantidad recibida de al menos un ingrediente.']);
+
+        expect(getEstadoTrasRecepcion(lineasOrden)).toBe('recibida_parcial');
+        expect(getEstadoTrasRecepcion(lineasOrden.map(linea => ({ ...linea, cantidad_recibida: linea.cantidad })))).toBe('recibida');
+    });
+
+    it('recalcula el costo promedio ponderado con cada compra', () => {
+        expect(calcularCostoPromedio({ stock: 2, costo_promedio: 40000 }, 3, 42000)).toBe(41200);
+        // Sin costo previo o sin existencia, el promedio es el de la compra.
+        expect(calcularCostoPromedio({ stock: 2, costo_promedio: null }, 3, 42000)).toBe(42000);
+        expect(calcularCostoPromedio({ stock: -1.5, costo_promedio: 40000 }, 3, 42000)).toBe(42000);
+        expect(calcularCostoPromedio({ stock: '1000.000', costo_promedio: '4.2500' }, 500, 4.5)).toBe(4.3333);
+    });
+});
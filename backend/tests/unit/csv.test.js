@@ -0,0 +1,9 @@
+import { describe, expect, it } from 'vitest';
+import { generarCsv } from '../../src/helpers/csv.js';
+
+describe('exportación a CSV', () => {
+    it('encierra entre comillas los valores con comas o comillas', () => {
+        const csv = generarCsv(['Empleado', 'Monto'], [['Pérez, Ana', 100], ['El "Chef"', null]]);
+        expect(csv).toBe('\uFEFFEmpleado,Monto\r\n"Pérez, Ana",100\r\n"El ""Chef""",');
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { calcularDescuentos, validarAplicacion, validarDescuento } from '../../src/helpers/descuentos.js';
+
+describe('descuentos de una factura', () => {
+    const cortesia = { descuento_id: 1, nombre: 'Cortesía', tipo: 'porcentaje', valor: '100.00', alcance: 'linea', activo: true, requiere_motivo: true, requiere_aprobacion: true };
+    const diezPorCiento = { descuento_id: 2, nombre: '10%', tipo: 'porcentaje', valor: '10.00', alcance: 'pedido', activo: true };
+    const bono = { descuento_id: 3, nombre: 'Bono', tipo: 'monto', valor: '5000.00', alcance: 'pedido', activo: true, roles_permitidos: ['administrador'], fecha_fin: '2020-12-31' };
+
+    it('aplica primero los descuentos por línea y reparte los del pedido en proporción', () => {
+        const lineas = [
+            { detalle_id: 1, base: 30000, impuesto: null },
+            { detalle_id: 2, base: 20000, impuesto: null },
+            { detalle_id: 3, base: 10000, impuesto: null }
+        ];
+        const { errores, lineas: descontadas, descuentos, descuento_total } = calcularDescuentos(lineas, [
+            { descuento: diezPorCiento },
+            { descuento: cortesia, detalle_id: 3 }
+        ]);
+
+        expect(errores).toEqual([]);
+        expect(descontadas.map(linea => linea.base)).toEqual([27000, 18000, 0]);
+        expect(descuentos.map(({ descuento, monto }) => [descuento.nombre, monto])).toEqual([['Cortesía', 10000], ['10%', 5000]]);
+        expect(descuento_total).toBe(15000);
+    });
+
+    it('no descuenta más que la base y rechaza líneas ajenas a la factura', () => {
+        const lineas = [{ detalle_id: 1, base: 3000, impuesto: null }];
+        expect(calcularDescuentos(lineas, [{ descuento: bono }]).descuento_total).toBe(3000);
+        expect(calcularDescuentos(lineas, [{ descuento: cortesia, detalle_id: 9 }]).errores)
+            .toEqual(['El descuento "Cortesía" debe indicar un artículo de esta factura.']);
+    });
+
+    it('exige vigencia, rol, motivo y autorización', () => {
+        const fecha = new Date(2021, 0, 15);
+        expect(validarAplicacion(bono, { rol: 'administrador', fecha })).toBe('El descuento "Bono" no está vigente.');
+        expect(validarAplicacion({ ...bono, fecha_fin: null }, { rol: 'mesero', fecha })).toBe('Su rol no puede aplicar el descuento "Bono".');
+        expect(validarAplicacion(cortesia, { rol: 'mesero', fecha })).toBe('El descuento "Cortesía" requiere un motivo.');
+        expect(validarAplicacion(cortesia, { rol: 'mesero', motivo: 'Plato demorado', fecha }))
+            .toBe('El descuento "Cortesía" requiere la autorización de un administrador.');
+        expect(validarAplicacion(cortesia, { rol: 'mesero', motivo: 'Plato demorado', aprobado_por: 1, fecha })).toBeNull();
+    });
+
+    it('valida la configuración de la regla', () => {
+        expect(validarDescuento({ nombre: '', tipo: 'porcentaje', valor: 120, alcance: 'mesa' })).toEqual([
+            'El nombre del descuento es requerido.',
+            'El porcentaje de descuento no puede superar 100.',
+            'El alcance debe ser uno de: linea, pedido.'
+        ]);
+    });
+});
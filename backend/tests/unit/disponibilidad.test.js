@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { estaDisponible, validarDisponibilidad } from '../../src/helpers/disponibilidad.js';
+
+const producto = (producto_id, nombre_producto, disponible = true, categoriaDisponible = true) => ({
+    producto_id,
+    nombre_producto,
+    disponible,
+    is_deleted: false,
+    Categoria: { nombre: 'Burritos', disponible: categoriaDisponible }
+});
+
+describe('disponibilidad de productos', () => {
+    it('un producto agotado o de una categoría agotada no se puede pedir', () => {
+        expect(estaDisponible(producto(1, 'Burrito de salmón'))).toBe(true);
+        expect(estaDisponible(producto(1, 'Burrito de salmón', false))).toBe(false);
+        expect(estaDisponible(producto(1, 'Burrito de salmón', true, false))).toBe(false);
+        expect(estaDisponible({ ...producto(1, 'Burrito de salmón'), is_deleted: true })).toBe(false);
+        expect(estaDisponible({ producto_id: 2, disponible: true, is_deleted: false, Categoria: null })).toBe(true);
+    });
+
+    it('explica por qué no se puede pedir cada producto, una vez por producto', () => {
+        const productos = [producto(1, 'Burrito de salmón', false), producto(2, 'Burrito de pollo', true, false), producto(3, 'Limonada')];
+        expect(validarDisponibilidad([3, '3'], productos)).toEqual([]);
+        expect(validarDisponibilidad([1, 1, 2, 3, 9], productos)).toEqual([
+            'Burrito de salmón está agotado en este momento.',
+            'Burrito de pollo no está disponible: la categoría Burritos está agotada.',
+            'El producto #9 no existe o ya no está en el menú.'
+        ]);
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { calcularPendientes, quedaPendiente, resolverLineasFactura } from '../../src/helpers/divisionCuenta.js';
+
+describe('división de la cuenta', () => {
+    const detalles = [
+        { detalle_id: 1, cantidad: 2 },
+        { detalle_id: 2, cantidad: 1 },
+        { detalle_id: 3, cantidad: 3 }
+    ];
+
+    it('descuenta lo ya facturado y omite las líneas cobradas por completo', () => {
+        const pendientes = calcularPendientes(detalles, new Map([[1, 1], [2, 1]]));
+        expect(pendientes).toEqual([
+            { detalle_id: 1, pendiente: 1 },
+            { detalle_id: 3, pendiente: 3 }
+        ]);
+    });
+
+    it('cobra los artículos elegidos y valida las cantidades pendientes', () => {
+        const pendientes = calcularPendientes(detalles, new Map());
+
+        const porArticulo = resolverLineasFactura(pendientes, { lineas: [{ detalle_id: 1, cantidad: 1 }, { detalle_id: 3, cantidad: 3 }] });
+        expect(porArticulo).toEqual({ errores: [], lineas: [{ detalle_id: 1, cantidad: 1 }, { detalle_id: 3, cantidad: 3 }] });
+        expect(quedaPendiente(pendientes, porArticulo.lineas)).toBe(true);
+
+        const excedida = resolverLineasFactura(pendientes, { lineas: [{ detalle_id: 2, cantidad: 2 }, { detalle_id: 9, cantidad: 1 }] });
+        expect(excedida.errores).toEqual([
+            'El artículo 1 solo tiene 1 unidad(es) pendiente(s).',
+            'El artículo 2 no pertenece al pedido o ya fue facturado.'
+        ]);
+    });
+
+    it('reparte en partes iguales y la última parte cierra la cuenta exacta', () => {
+        let facturado = new Map();
+        const registrar = (lineas) => {
+            facturado = new Map(facturado);
+            lineas.forEach(({ detalle_id, cantidad }) => facturado.set(detalle_id, (facturado.get(detalle_id) || 0) + cantidad));
+        };
+
+        for (const partes of [3, 2, 1]) {
+            const pendientes = calcularPendientes(detalles, facturado);
+            const { errores, lineas } = resolverLineasFactura(pendientes, { partes });
+            expect(errores).toEqual([]);
+            expect(quedaPendiente(pendientes, lineas)).toBe(partes > 1);
+            registrar(lineas);
+        }
+
+        expect(calcularPendientes(detalles, facturado)).toEqual([]);
+        expect(resolverLineasFactura([], {}).errores).toEqual(['El pedido no tiene artículos pendientes por facturar.']);
+    });
+});
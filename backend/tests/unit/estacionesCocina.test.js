@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { dividirPedidoPorEstacion, getSalaEstacion } from '../../src/helpers/estacionesCocina.js';
+
+describe('enrutamiento por estación de cocina', () => {
+    const estacionPorCategoria = new Map([
+        [1, { estacion_id: 10, nombre: 'Barra de sushi' }],
+        [2, { estacion_id: 20, nombre: 'Bebidas' }],
+        [3, { estacion_id: 10, nombre: 'Barra de sushi' }]
+    ]);
+
+    it('agrupa las líneas por la estación de su categoría', () => {
+        const comandas = dividirPedidoPorEstacion([
+            { producto_id: 1, categoria_id: 1, cantidad: 2 },
+            { producto_id: 2, categoria_id: 2, cantidad: 1 },
+            { producto_id: 3, categoria_id: 3, cantidad: 1 }
+        ], estacionPorCategoria);
+
+        expect(comandas).toHaveLength(2);
+        expect(comandas[0]).toMatchObject({ estacion_id: 10, estacion: 'Barra de sushi' });
+        expect(comandas[0].items.map((i) => i.producto_id)).toEqual([1, 3]);
+        expect(comandas[1].items.map((i) => i.producto_id)).toEqual([2]);
+    });
+
+    it('omite las líneas de categorías sin estación', () => {
+        const comandas = dividirPedidoPorEstacion([{ producto_id: 9, categoria_id: 99, cantidad: 1 }], estacionPorCategoria);
+        expect(comandas).toEqual([]);
+    });
+
+    it('construye el nombre de la sala de una estación', () => {
+        expect(getSalaEstacion(4)).toBe('estacion_4');
+    });
+});
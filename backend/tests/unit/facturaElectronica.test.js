@@ -0,0 +1,145 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calcularCufe,
+    construirXmlUbl,
+    escaparXml,
+    formatearNumeroFactura,
+    getAlertaNumeracion,
+    getFechaHoraColombia,
+    getNumerosRestantes,
+    siguienteConsecutivo,
+    validarResolucion
+} from '../../src/helpers/facturaElectronica.js';
+import { getAdaptador, registrarAdaptador } from '../../src/helpers/facturaElectronicaAdaptadores.js';
+
+const resolucion = {
+    numero_resolucion: '18760000001',
+    prefijo: 'SETP',
+    rango_desde: 990000000,
+    rango_hasta: 995000000,
+    fecha_desde: '2019-01-19',
+    fecha_hasta: '2030-01-19',
+    clave_tecnica: 'fc8eac422eba16e22ffd8c6f94b3f40a6e38162c',
+    ultimo_numero: null
+};
+
+const documento = {
+    numero: 'SETP990000001',
+    fecha: new Date('2024-05-10T20:30:00Z'),
+    ambiente: '2',
+    resolucion,
+    software: { id: 'software-id', pin: '12345' },
+    emisor: { tipo_documento: '31', numero: '900123456', dv: '7', nombre: 'Sushi Burrito & Cía', direccion: 'Calle 1 # 2-3' },
+    lineas: [
+        { descripcion: 'Burrito', cantidad: 2, precio_unitario: 20000, bruto: 40000, descuento: 4000, base: 36000, impuesto: { codigo_dian: '04', porcentaje: 8 } },
+        { descripcion: 'Agua', cantidad: 1, precio_unitario: 5000, bruto: 5000, descuento: 0, base: 5000, impuesto: { codigo_dian: null, porcentaje: 0 } }
+    ],
+    impuestos: [
+        { codigo_dian: '04', porcentaje: 8, base: 36000, valor: 2880 },
+        { codigo_dian: null, porcentaje: 0, base: 5000, valor: 0 }
+    ],
+    propina: 4100,
+    total: 47980,
+    medio_pago: '10'
+};
+
+describe('numeración de la resolución', () => {
+    it('empieza en el inicio del rango y continúa desde el último número', () => {
+        const fecha = new Date('2024-05-10T15:00:00Z');
+        expect(siguienteConsecutivo(resolucion, fecha)).toEqual({ consecutivo: 990000000, error: null });
+        expect(siguienteConsecutivo({ ...resolucion, ultimo_numero: 990000041 }, fecha).consecutivo).toBe(990000042);
+    });
+
+    it('rechaza resoluciones vencidas o con el rango agotado', () => {
+        expect(siguienteConsecutivo(resolucion, new Date('2031-01-01T15:00:00Z')).error).toMatch('no está vigente');
+        expect(siguienteConsecutivo({ ...resolucion, ultimo_numero: 995000000 }, new Date('2024-05-10T15:00:00Z')).error).toMatch('Se agotó');
+    });
+
+    it('valida el rango, las fechas y el prefijo', () => {
+        expect(validarResolucion(resolucion)).toEqual([]);
+        expect(validarResolucion({ ...resolucion, prefijo: 'setp1', rango_hasta: 1, fecha_hasta: '2018-01-01', clave_tecnica: '' })).toHaveLength(4);
+        expect(validarResolucion({ ...resolucion, alerta_restantes: -1 })).toHaveLength(1);
+    });
+
+    it('arma el número con el prefijo y cuenta los números restantes', () => {
+        expect(formatearNumeroFactura('SETP', 990000042)).toBe('SETP990000042');
+        expect(formatearNumeroFactura('', 15)).toBe('15');
+        expect(getNumerosRestantes({ ...resolucion, rango_desde: 1, rango_hasta: 500 })).toBe(500);
+        expect(getNumerosRestantes({ ...resolucion, rango_desde: 1, rango_hasta: 500, ultimo_numero: 498 })).toBe(2);
+    });
+
+    it('avisa cuando el rango está por agotarse o la vigencia por terminar', () => {
+        const fecha = new Date('2024-05-10T15:00:00Z');
+        const pequena = { ...resolucion, rango_desde: 1, rango_hasta: 500, alerta_restantes: 100 };
+        expect(getAlertaNumeracion({ ...pequena, ultimo_numero: 350 }, fecha)).toBeNull();
+        expect(getAlertaNumeracion({ ...pequena, ultimo_numero: 400 }, fecha)).toMatch('le quedan 100 números');
+        expect(getAlertaNumeracion({ ...pequena, fecha_hasta: '2024-05-30' }, fecha)).toMatch('vence en 20 días');
+    });
+});
+
+describe('XML UBL 2.1', () => {
+    it('usa la fecha y la hora de Colombia', () => {
+        expect(getFechaHoraColombia(new Date('2024-05-11T02:15:30Z'))).toEqual({ fecha: '2024-05-10', hora: '21:15:30-05:00' });
+    });
+
+    it('calcula el CUFE sobre los valores del documento con los tributos en cero si no aplican', () => {
+        const { xml, cufe } = construirXmlUbl(documento);
+        expect(cufe).toBe(calcularCufe({
+            numero: 'SETP990000001', fecha: '2024-05-10', hora: '15:30:00-05:00', valor: 41000,
+            tributos: { '04': 2880 }, total: 47980, nitEmisor: '900123456',
+            documentoAdquiriente: '222222222222', claveTecnica: resolucion.clave_tecnica, ambiente: '2'
+        }));
+        expect(cufe).toHaveLength(96);
+        expect(xml).toContain(`<cbc:UUID schemeID="2" schemeName="CUFE-SHA384">${cufe}</cbc:UUID>`);
+    });
+
+    it('reporta los tributos, la propina, la resolución y escapa los textos', () => {
+        const { xml } = construirXmlUbl(documento);
+        expect(xml).toContain('<sts:Prefix>SETP</sts:Prefix>');
+        expect(xml).toContain('<cbc:Name>Sushi Burrito &amp; Cía</cbc:Name>');
+        expect(xml).toContain('<cbc:LineExtensionAmount currencyID="COP">41000.00</cbc:LineExtensionAmount>');
+        expect(xml).toContain('<cbc:TaxExclusiveAmount currencyID="COP">36000.00</cbc:TaxExclusiveAmount>');
+        expect(xml).toContain('<cbc:ChargeTotalAmount currencyID="COP">4100.00</cbc:ChargeTotalAmount>');
+        expect(xml).toContain('<cbc:PayableAmount currencyID="COP">47980.00</cbc:PayableAmount>');
+        expect(xml).toContain('<cbc:CompanyID schemeAgencyID="195" schemeName="13">222222222222</cbc:CompanyID>');
+        expect(xml).not.toContain('<cbc:ID>null</cbc:ID>');
+        expect(escaparXml('<a & "b">')).toBe('&lt;a &amp; &quot;b&quot;&gt;');
+    });
+
+    it('reporta el cargo por servicio como un cargo aparte de la propina', () => {
+        const { xml } = construirXmlUbl({
+            ...documento,
+            impuestos: [
+                { codigo_dian: '04', porcentaje: 8, base: 40100, valor: 3208 },
+                { codigo_dian: null, porcentaje: 0, base: 5000, valor: 0 }
+            ],
+            cargo_servicio: 4100,
+            total: 56408
+        });
+        expect(xml).toContain('<cbc:AllowanceChargeReason>Propina voluntaria</cbc:AllowanceChargeReason>');
+        expect(xml).toContain('<cbc:AllowanceChargeReason>Cargo por servicio</cbc:AllowanceChargeReason>');
+        expect(xml).toContain('<cbc:TaxInclusiveAmount currencyID="COP">48308.00</cbc:TaxInclusiveAmount>');
+        expect(xml).toContain('<cbc:ChargeTotalAmount currencyID="COP">8200.00</cbc:ChargeTotalAmount>');
+    });
+});
+
+describe('adaptador local', () => {
+    it('acepta un documento válido', async () => {
+        const { xml } = construirXmlUbl(documento);
+        const resultado = await getAdaptador('local').enviar({ numero: documento.numero, xml, clave_tecnica: resolucion.clave_tecnica });
+        expect(resultado.estado).toBe('aceptado');
+    });
+
+    it('rechaza un documento alterado o con otra clave técnica', async () => {
+        const { xml } = construirXmlUbl(documento);
+        const alterado = xml.replace('<cbc:PayableAmount currencyID="COP">47980.00', '<cbc:PayableAmount currencyID="COP">40000.00');
+        const local = getAdaptador('local');
+        expect((await local.enviar({ numero: documento.numero, xml: alterado, clave_tecnica: resolucion.clave_tecnica })).estado).toBe('rechazado');
+        expect((await local.enviar({ numero: documento.numero, xml, clave_tecnica: 'otra' })).mensajes).toContain('El CUFE no corresponde a los datos del documento.');
+    });
+
+    it('solo registra adaptadores que implementan el envío', () => {
+        expect(() => registrarAdaptador('proveedor', {})).toThrow('debe implementar');
+        expect(() => getAdaptador('inexistente')).toThrow('No existe');
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import {
+    SIN_IMPUESTO,
+    calcularDesgloseImpuestos,
+    getImpuestoAplicable
+} from '../../src/helpers/impuestos.js';
+
+describe('tarifas de impuesto', () => {
+    const impoconsumo = { impuesto_id: 1, nombre: 'Impoconsumo', porcentaje: '8.00' };
+    const iva = { impuesto_id: 2, nombre: 'IVA', porcentaje: '19.00' };
+    const exento = { impuesto_id: 3, nombre: 'Exento', porcentaje: '0.00' };
+
+    it('usa la tarifa del producto antes que la de su categoría', () => {
+        expect(getImpuestoAplicable({ Impuesto: iva, Categoria: { Impuesto: impoconsumo } }))
+            .toEqual({ impuesto_id: 2, nombre: 'IVA', porcentaje: 19 });
+        expect(getImpuestoAplicable({ Impuesto: null, Categoria: { Impuesto: impoconsumo } }))
+            .toEqual({ impuesto_id: 1, nombre: 'Impoconsumo', porcentaje: 8 });
+        expect(getImpuestoAplicable({ Impuesto: null, Categoria: null })).toBe(SIN_IMPUESTO);
+    });
+
+    it('agrupa las líneas por tarifa y suma el impuesto total', () => {
+        const { desglose, impuesto_total } = calcularDesgloseImpuestos([
+            { base: 20000, impuesto: getImpuestoAplicable({ Impuesto: impoconsumo }) },
+            { base: 15000, impuesto: getImpuestoAplicable({ Impuesto: impoconsumo }) },
+            { base: 10000, impuesto: getImpuestoAplicable({ Impuesto: iva }) },
+            { base: 5000, impuesto: getImpuestoAplicable({ Impuesto: exento }) }
+        ]);
+
+        expect(desglose).toEqual([
+            { impuesto_id: 2, nombre: 'IVA', porcentaje: 19, base: 10000, valor: 1900 },
+            { impuesto_id: 1, nombre: 'Impoconsumo', porcentaje: 8, base: 35000, valor: 2800 },
+            { impuesto_id: 3, nombre: 'Exento', porcentaje: 0, base: 5000, valor: 0 }
+        ]);
+        expect(impuesto_total).toBe(4700);
+    });
+
+    it('calcula el impuesto sobre la base acumulada para evitar diferencias de redondeo', () => {
+        const lineas = [1, 2, 3].map(() => ({ base: 0.05, impuesto: getImpuestoAplicable({ Impuesto: impoconsumo }) }));
+        const { desglose, impuesto_total } = calcularDesgloseImpuestos(lineas);
+
+        expect(desglose[0].base).toBe(0.15);
+        expect(impuesto_total).toBe(0.01);
+    });
+});
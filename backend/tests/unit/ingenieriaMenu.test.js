@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import {
+    CLASES_MENU,
+    agruparVentasPorProducto,
+    analizarIngenieriaMenu,
+    calcularCostoReceta,
+    clasificarProductoMenu
+} from '../../src/helpers/ingenieriaMenu.js';
+
+describe('ingeniería de menú', () => {
+    it('calcula el costo de la receta con el costo promedio de los ingredientes', () => {
+        expect(calcularCostoReceta([
+            { cantidad: '0.150', costo_promedio: '42000.0000' },
+            { cantidad: '20.000', costo_promedio: '4.5000' }
+        ])).toEqual({ costo: 6390, completo: true });
+        expect(calcularCostoReceta([{ cantidad: '0.150', costo_promedio: '42000.0000' }, { cantidad: '1.000', costo_promedio: null }]))
+            .toEqual({ costo: 6300, completo: false });
+        expect(calcularCostoReceta([])).toEqual({ costo: null, completo: false });
+    });
+
+    it('agrupa las ventas por producto con el precio de cada línea', () => {
+        expect(agruparVentasPorProducto([
+            { producto_id: 1, nombre: 'Burrito', cantidad: 2, precio_unitario: 20000 },
+            { producto_id: 2, nombre: 'Roll', cantidad: '1', precio_unitario: 15000 },
+            { producto_id: 1, nombre: 'Burrito', cantidad: 1, precio_unitario: 22000 }
+        ])).toEqual([
+            { producto_id: 1, nombre: 'Burrito', cantidad: 3, ingresos: 62000 },
+            { producto_id: 2, nombre: 'Roll', cantidad: 1, ingresos: 15000 }
+        ]);
+    });
+
+    it('clasifica por popularidad y margen de contribución', () => {
+        expect(clasificarProductoMenu(true, true)).toBe(CLASES_MENU.ESTRELLA);
+        expect(clasificarProductoMenu(true, false)).toBe(CLASES_MENU.CABALLO_DE_BATALLA);
+        expect(clasificarProductoMenu(false, true)).toBe(CLASES_MENU.ROMPECABEZAS);
+        expect(clasificarProductoMenu(false, false)).toBe(CLASES_MENU.PERRO);
+    });
+
+    it('analiza costo, margen y clase de cada producto vendido', () => {
+        const ventas = [
+            { producto_id: 1, nombre: 'Burrito', cantidad: 50, ingresos: 1000000 },
+            { producto_id: 2, nombre: 'Roll', cantidad: 40, ingresos: 400000 },
+            { producto_id: 3, nombre: 'Poke', cantidad: 5, ingresos: 150000 },
+            { producto_id: 4, nombre: 'Sopa', cantidad: 5, ingresos: 50000 },
+            { producto_id: 5, nombre: 'Limonada', cantidad: 30, ingresos: 150000 }
+        ];
+        const costos = new Map([
+            [1, { costo: 6000, completo: true }],
+            [2, { costo: 4000, completo: true }],
+            [3, { costo: 9000, completo: true }],
+            [4, { costo: 5000, completo: true }],
+            [5, { costo: 1000, completo: false }]
+        ]);
+        const { productos, margenContribucionPromedio, umbralPopularidad, totales } = analizarIngenieriaMenu(ventas, costos);
+
+        // MC promedio = (700000 + 240000 + 105000 + 25000) / 100 unidades; popular desde 0.7 / 4 = 17.5%.
+        expect(margenContribucionPromedio).toBe(10700);
+        expect(umbralPopularidad).toBe(17.5);
+        expect(productos.map(p => [p.nombre, p.clase])).toEqual([
+            ['Burrito', 'estrella'],
+            ['Roll', 'caballo_de_batalla'],
+            ['Poke', 'rompecabezas'],
+            ['Sopa', 'perro'],
+            ['Limonada', null]
+        ]);
+        expect(productos[0]).toMatchObject({
+            precio_promedio: 20000,
+            costo_total: 300000,
+            porcentaje_costo: 30,
+            porcentaje_margen: 70,
+            margen_contribucion: 14000,
+            margen_contribucion_total: 700000,
+            participacion: 50
+        });
+        expect(productos[4]).toMatchObject({ costo_completo: false, margen_contribucion: null, participacion: null });
+        expect(totales).toEqual({ ingresos: 1600000, costo: 530000, margen_contribucion: 1070000, porcentaje_costo: 33.13, sin_costo: 1 });
+    });
+});
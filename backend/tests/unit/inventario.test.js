@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import {
+    armarResumenInventario,
+    calcularConsumo,
+    calcularDiferenciaConsumo,
+    clasificarProductosPorExistencia,
+    estaBajoMinimo,
+    getIngredientesQueLlegaronAlMinimo,
+    getProximoResumen,
+    validarAjuste,
+    validarFiltrosMovimientos,
+    validarIngrediente,
+    validarReceta
+} from '../../src/helpers/inventario.js';
+
+const recetas = [
+    { producto_id: 1, ingrediente_id: 10, cantidad: '0.150' },
+    { producto_id: 1, ingrediente_id: 11, cantidad: '1.000' },
+    { producto_id: 2, ingrediente_id: 10, cantidad: '0.200' }
+];
+
+describe('validaciones del inventario', () => {
+    it('valida el ingrediente, la receta y el ajuste', () => {
+        expect(validarIngrediente({ nombre: 'Salmón', unidad: 'kg', stock: '12.5' })).toEqual([]);
+        expect(validarIngrediente({ nombre: ' ', unidad: 'libra', stock: -1 })).toHaveLength(3);
+        expect(validarIngrediente({ nombre: 'Arroz', unidad: 'kg', stock_minimo: '' })).toEqual([]);
+        expect(validarIngrediente({ nombre: 'Arroz', unidad: 'kg', stock_minimo: -2 })).toHaveLength(1);
+
+        expect(validarReceta([])).toEqual([]);
+        expect(validarReceta([{ ingrediente_id: 10, cantidad: 0.15 }])).toEqual([]);
+        expect(validarReceta([{ ingrediente_id: 10, cantidad: 1 }, { ingrediente_id: 10, cantidad: 0.0001 }])).toEqual([
+            'El ingrediente #10 está repetido en la receta.',
+            'La cantidad de la línea 2 debe ser mayor a 0 con máximo 3 decimales.'
+        ]);
+        expect(validarReceta('salmón')).toHaveLength(1);
+
+        expect(validarAjuste({ cantidad: -2.5, motivo: 'Merma' })).toEqual([]);
+        expect(validarAjuste({ cantidad: 0, motivo: '' })).toHaveLength(2);
+    });
+
+    it('valida los filtros del libro de movimientos', () => {
+        expect(validarFiltrosMovimientos({})).toEqual({
+            errores: [],
+            filtros: { ingrediente_id: null, tipo: null, desde: null, hasta: null, pagina: 1, por_pagina: 20 }
+        });
+        expect(validarFiltrosMovimientos({ ingrediente_id: 'x', tipo: 'robo', desde: '2026-02-01', hasta: '2026-01-01' }).errores).toHaveLength(3);
+    });
+});
+
+describe('consumo de ingredientes de un pedido', () => {
+    it('suma lo que consume cada línea según la receta de su producto', () => {
+        const consumo = calcularConsumo([
+            { producto_id: 1, cantidad: 2 },
+            { producto_id: '2', cantidad: 1 },
+            { producto_id: 3, cantidad: 4 } // Sin receta: no consume nada.
+        ], recetas);
+        expect(consumo).toEqual(new Map([[10, 0.5], [11, 2]]));
+    });
+
+    it('descuenta solo la diferencia al editar y devuelve todo al cancelar', () => {
+        const registrado = new Map([[10, 0.5], [11, 2]]);
+        const editado = calcularConsumo([{ producto_id: 1, cantidad: 1 }, { producto_id: 2, cantidad: 3 }], recetas);
+        expect(calcularDiferenciaConsumo(editado, registrado)).toEqual(new Map([[10, 0.25], [11, -1]]));
+        expect(calcularDiferenciaConsumo(registrado, registrado).size).toBe(0);
+        expect(calcularDiferenciaConsumo(new Map(), registrado)).toEqual(new Map([[10, -0.5], [11, -2]]));
+    });
+});
+
+describe('puntos de reorden y agotados por inventario', () => {
+    it('avisa solo cuando un descuento cruza el punto de reorden', () => {
+        const ingredientes = new Map([
+            [10, { ingrediente_id: 10, stock_minimo: '1.000' }],
+            [11, { ingrediente_id: 11, stock_minimo: null }]
+        ]);
+        expect(estaBajoMinimo({ stock: '1.000', stock_minimo: '1.000' })).toBe(true);
+        expect(estaBajoMinimo({ stock: 0, stock_minimo: null })).toBe(false);
+        expect(getIngredientesQueLlegaronAlMinimo([
+            { ingrediente_id: 10, cantidad: '-0.500', stock_resultante: '0.800' }, // 1.3 -> 0.8: cruza.
+            { ingrediente_id: 11, cantidad: -5, stock_resultante: -1 } // Sin punto de reorden.
+        ], ingredientes)).toEqual([ingredientes.get(10)]);
+        expect(getIngredientesQueLlegaronAlMinimo([{ ingrediente_id: 10, cantidad: -0.2, stock_resultante: 0.6 }], ingredientes)).toEqual([]);
+        expect(getIngredientesQueLlegaronAlMinimo([{ ingrediente_id: 10, cantidad: 0.2, stock_resultante: 0.6 }], ingredientes)).toEqual([]);
+    });
+
+    it('agota lo que ya no alcanza y habilita solo lo que agotó el sistema', () => {
+        const productos = [
+            { producto_id: 1, disponible: true, agotado_por_inventario: false },
+            { producto_id: 2, disponible: false, agotado_por_inventario: true },
+            { producto_id: 3, disponible: false, agotado_por_inventario: false }
+        ];
+        const recetasProductos = [...recetas, { producto_id: 3, ingrediente_id: 10, cantidad: '0.100' }];
+        expect(clasificarProductosPorExistencia(productos, recetasProductos, new Map([[10, 0.3], [11, 0.5]])))
+            .toEqual({ agotar: [1], habilitar: [2] });
+        expect(clasificarProductosPorExistencia(productos, recetasProductos, new Map([[10, 0.15], [11, 1]])))
+            .toEqual({ agotar: [], habilitar: [] });
+    });
+
+    it('programa el resumen diario y arma su texto', () => {
+        const ahora = new Date(2026, 2, 10, 9, 30);
+        expect(getProximoResumen('07:00', ahora)).toEqual(new Date(2026, 2, 11, 7, 0));
+        expect(getProximoResumen('18:15', ahora)).toEqual(new Date(2026, 2, 10, 18, 15));
+        expect(getProximoResumen('25:00', ahora)).toBeNull();
+        expect(getProximoResumen('', ahora)).toBeNull();
+
+        expect(armarResumenInventario(
+            [{ nombre: 'Salmón', unidad: 'kg', stock: '0.800', stock_minimo: '1.000' }],
+            [{ nombre_producto: 'Burrito Salmón' }]
+        )).toBe('Ingredientes en su punto de reorden o por debajo:\n- Salmón: 0.8 kg (mínimo 1 kg)\n\nProductos agotados por falta de ingredientes:\n- Burrito Salmón');
+        expect(armarResumenInventario([], [])).toBe('No hay ingredientes en su punto de reorden.');
+    });
+});
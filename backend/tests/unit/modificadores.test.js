@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calcularPrecioUnitario,
+    describirModificadores,
+    validarGrupoModificador,
+    validarSeleccionModificadores
+} from '../../src/helpers/modificadores.js';
+
+describe('modificadores de producto', () => {
+    const grupos = [
+        {
+            grupo_id: 1, nombre: 'Proteína', tipo: 'proteina', min_seleccion: 1, max_seleccion: 1,
+            opciones: [
+                { opcion_id: 10, nombre: 'Salmón', precio_delta: '4000.00', activo: true },
+                { opcion_id: 11, nombre: 'Pollo', precio_delta: '0.00', activo: true }
+            ]
+        },
+        {
+            grupo_id: 2, nombre: 'Retirar', tipo: 'sin', min_seleccion: 0, max_seleccion: null,
+            opciones: [
+                { opcion_id: 20, nombre: 'Sin cebolla', precio_delta: '0.00', activo: true },
+                { opcion_id: 21, nombre: 'Sin aguacate', precio_delta: '0.00', activo: false }
+            ]
+        }
+    ];
+
+    it('construye la copia de las opciones elegidas en el orden del menú', () => {
+        const { errores, modificadores } = validarSeleccionModificadores(grupos, [20, { opcion_id: 10 }]);
+        expect(errores).toEqual([]);
+        expect(modificadores.map((m) => m.nombre)).toEqual(['Salmón', 'Sin cebolla']);
+        expect(modificadores[0]).toMatchObject({ grupo_id: 1, grupo: 'Proteína', tipo: 'proteina', precio_delta: 4000 });
+    });
+
+    it('aplica mínimos, máximos, opciones inactivas y ajenas al producto', () => {
+        expect(validarSeleccionModificadores(grupos, []).errores).toHaveLength(1);
+        expect(validarSeleccionModificadores(grupos, [10, 11]).errores).toHaveLength(1);
+        expect(validarSeleccionModificadores(grupos, [10, 21]).errores).toHaveLength(1);
+        expect(validarSeleccionModificadores(grupos, [10, 99]).errores).toHaveLength(1);
+        expect(validarSeleccionModificadores(grupos, [10, 10]).errores).toHaveLength(1);
+    });
+
+    it('calcula el precio unitario y la descripción de la línea', () => {
+        const modificadores = [{ nombre: 'Extra salsa', precio_delta: 2000 }, { nombre: 'Sin cebolla', precio_delta: 0 }];
+        expect(calcularPrecioUnitario('30000.00', modificadores)).toBe(32000);
+        expect(calcularPrecioUnitario('1000.00', [{ precio_delta: -5000 }])).toBe(0);
+        expect(describirModificadores(modificadores)).toBe('Extra salsa (+$2000.00), Sin cebolla');
+    });
+
+    it('valida la configuración de un grupo', () => {
+        expect(validarGrupoModificador({ nombre: 'Salsas', tipo: 'salsa', min_seleccion: 0, max_seleccion: 2, opciones: [{ nombre: 'Soya' }] })).toEqual([]);
+        expect(validarGrupoModificador({ nombre: '', tipo: 'otro', min_seleccion: 2, max_seleccion: 1, opciones: [] })).toHaveLength(4);
+    });
+});
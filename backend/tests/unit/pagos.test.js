@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { validarPagos } from '../../src/helpers/pagos.js';
+
+describe('pagos de una factura', () => {
+    const metodosPorId = new Map([
+        [1, { metodo_pago_id: 1, nombre_metodo: 'Tarjeta Crédito' }],
+        [3, { metodo_pago_id: 3, nombre_metodo: 'Efectivo' }],
+        [5, { metodo_pago_id: 5, nombre_metodo: 'Tarjeta de regalo' }]
+    ]);
+
+    it('divide el total entre tarjeta y efectivo y devuelve el cambio del efectivo', () => {
+        const { errores, transacciones, cambio } = validarPagos([
+            { metodo_pago_id: 1, monto: 50000 },
+            { metodo_pago_id: 3, monto: 40000 }
+        ], 85000, metodosPorId);
+
+        expect(errores).toEqual([]);
+        expect(cambio).toBe(5000);
+        expect(transacciones).toEqual([
+            { metodo_pago_id: 1, monto_recibido: 50000, monto_pagado: 50000, cambio: 0 },
+            { metodo_pago_id: 3, monto_recibido: 40000, monto_pagado: 35000, cambio: 5000 }
+        ]);
+    });
+
+    it('rechaza pagos que no cubren el total', () => {
+        const { errores } = validarPagos([{ metodo_pago_id: 3, monto: 10000 }], 12000, metodosPorId);
+        expect(errores).toHaveLength(1);
+    });
+
+    it('no devuelve cambio de pagos con tarjeta', () => {
+        const { errores } = validarPagos([{ metodo_pago_id: 1, monto: 15000 }], 12000, metodosPorId);
+        expect(errores).toEqual(['El excedente solo puede devolverse como cambio de un pago en efectivo.']);
+    });
+
+    it('valida el método y el monto de cada pago', () => {
+        const { errores } = validarPagos([{ metodo_pago_id: 99, monto: 0 }], 1000, metodosPorId);
+        expect(errores).toEqual([
+            'El método de pago del pago 1 no existe.',
+            'El monto del pago 1 debe ser mayor a 0.'
+        ]);
+    });
+
+    it('exige el código en los pagos con tarjeta de regalo y lo normaliza', () => {
+        expect(validarPagos([{ metodo_pago_id: 5, monto: 12000 }], 12000, metodosPorId).errores)
+            .toEqual(['El pago 1 con tarjeta de regalo debe indicar el código de la tarjeta.']);
+        const { errores, transacciones } = validarPagos([{ metodo_pago_id: 5, monto: 12000, codigo_tarjeta: 'abcd-efgh-jklm' }], 12000, metodosPorId);
+        expect(errores).toEqual([]);
+        expect(transacciones[0].codigo_tarjeta).toBe('ABCDEFGHJKLM');
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import {
+    ESTADOS_PEDIDO,
+    ROL_SISTEMA,
+    derivarEstadoPedido,
+    esEstadoValido,
+    esTransicionDetalleValida,
+    esTransicionValida,
+    getAvanceDerivado,
+    getSiguientesEstados,
+    getSiguientesEstadosPorRol
+} from '../../src/helpers/pedidoEstados.js';
+
+describe('ciclo de vida de pedidos', () => {
+    it('reconoce solo los estados definidos', () => {
+        expect(esEstadoValido('en_preparacion')).toBe(true);
+        expect(esEstadoValido('preparado')).toBe(false);
+        expect(esEstadoValido(undefined)).toBe(false);
+    });
+
+    it('permite a cocina avanzar el pedido pero no entregarlo', () => {
+        expect(esTransicionValida('pendiente', 'en_preparacion', 'cocinero')).toBe(true);
+        expect(esTransicionValida('en_preparacion', 'listo', 'cocinero')).toBe(true);
+        expect(esTransicionValida('listo', 'entregado', 'cocinero')).toBe(false);
+    });
+
+    it('impide retroceder un pedido pagado por petición directa', () => {
+        expect(getSiguientesEstados(ESTADOS_PEDIDO.PAGADO, 'cocinero')).toEqual([]);
+        expect(getSiguientesEstados(ESTADOS_PEDIDO.PAGADO, 'administrador')).toEqual([]);
+        expect(esTransicionValida('pagado', 'entregado', ROL_SISTEMA)).toBe(true);
+    });
+
+    it('reserva el paso a pagado para la facturación', () => {
+        expect(getSiguientesEstados('entregado', 'mesero')).not.toContain('pagado');
+        expect(esTransicionValida('entregado', 'pagado', ROL_SISTEMA)).toBe(true);
+    });
+
+    it('agrupa los estados siguientes por rol', () => {
+        expect(getSiguientesEstadosPorRol('pendiente')).toEqual({
+            cocinero: ['en_preparacion'],
+            mesero: ['cancelado'],
+            administrador: ['en_preparacion', 'cancelado']
+        });
+    });
+});
+
+describe('estado de preparación por línea', () => {
+    it('solo cocina y administración cambian las líneas', () => {
+        expect(esTransicionDetalleValida('pendiente', 'en_preparacion', 'cocinero')).toBe(true);
+        expect(esTransicionDetalleValida('en_preparacion', 'listo', 'administrador')).toBe(true);
+        expect(esTransicionDetalleValida('pendiente', 'listo', 'mesero')).toBe(false);
+        expect(esTransicionDetalleValida('listo', 'listo', 'cocinero')).toBe(false);
+    });
+
+    it('deriva el estado del pedido a partir de sus líneas', () => {
+        const linea = (estado_preparacion) => ({ estado_preparacion });
+
+        expect(derivarEstadoPedido([])).toBeNull();
+        expect(derivarEstadoPedido([linea('pendiente'), linea('pendiente')])).toBe('pendiente');
+        expect(derivarEstadoPedido([linea('pendiente'), linea('en_preparacion')])).toBe('en_preparacion');
+        expect(derivarEstadoPedido([linea('listo'), linea('pendiente')])).toBe('en_preparacion');
+        expect(derivarEstadoPedido([linea('listo'), linea('listo')])).toBe('listo');
+    });
+
+    it('avanza el pedido con sus líneas sin retroceder', () => {
+        const linea = (estado_preparacion) => ({ estado_preparacion });
+
+        // Un pedido de una sola línea marcada de 'pendiente' a 'listo' queda listo.
+        expect(getAvanceDerivado('pendiente', [linea('listo')])).toBe('listo');
+        expect(getAvanceDerivado('pendiente', [linea('listo'), linea('pendiente')])).toBe('en_preparacion');
+        // Una edición que quita la última línea sin terminar deja el pedido listo.
+        expect(getAvanceDerivado('en_preparacion', [linea('listo'), linea('listo')])).toBe('listo');
+        expect(getAvanceDerivado('en_preparacion', [linea('pendiente')])).toBeNull();
+        expect(getAvanceDerivado('en_preparacion', [linea('en_preparacion')])).toBeNull();
+        expect(getAvanceDerivado('entregado', [linea('listo')])).toBeNull();
+        expect(getAvanceDerivado('pendiente', [])).toBeNull();
+    });
+});
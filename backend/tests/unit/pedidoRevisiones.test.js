@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { calcularDiferenciaDetalles, esDiferenciaVacia } from '../../src/helpers/pedidoRevisiones.js';
+
+describe('diferencia de líneas al editar un pedido', () => {
+    const actuales = [
+        { detalle_id: 1, producto_id: 10, cantidad: 2, notas: null },
+        { detalle_id: 2, producto_id: 20, cantidad: 1, notas: 'sin cebolla' },
+        { detalle_id: 3, producto_id: 30, cantidad: 1, notas: null }
+    ];
+
+    it('conserva las líneas enviadas sin cambios', () => {
+        const cambios = calcularDiferenciaDetalles(actuales, actuales);
+        expect(esDiferenciaVacia(cambios)).toBe(true);
+    });
+
+    it('detecta líneas agregadas, eliminadas y modificadas', () => {
+        const cambios = calcularDiferenciaDetalles(actuales, [
+            { detalle_id: 1, producto_id: 10, cantidad: 3 },
+            { detalle_id: 2, producto_id: 20, cantidad: 1, notas: 'sin cebolla' },
+            { producto_id: 40, cantidad: 1, notas: 'extra picante' }
+        ]);
+
+        expect(cambios.agregados).toEqual([{ detalle_id: null, producto_id: 40, cantidad: 1, notas: 'extra picante', modificadores: [] }]);
+        expect(cambios.eliminados.map((l) => l.detalle_id)).toEqual([3]);
+        expect(cambios.modificados).toHaveLength(1);
+        expect(cambios.modificados[0].antes.cantidad).toBe(2);
+        expect(cambios.modificados[0].despues).toMatchObject({ detalle_id: 1, cantidad: 3 });
+    });
+
+    it('trata el cambio de producto como eliminación más agregado', () => {
+        const cambios = calcularDiferenciaDetalles([actuales[0]], [{ detalle_id: 1, producto_id: 99, cantidad: 2 }]);
+        expect(cambios.eliminados.map((l) => l.detalle_id)).toEqual([1]);
+        expect(cambios.agregados.map((l) => l.producto_id)).toEqual([99]);
+        expect(cambios.modificados).toEqual([]);
+    });
+
+    it('registra como modificada la línea cuyos modificadores cambian', () => {
+        const conSalsa = { detalle_id: 5, producto_id: 10, cantidad: 1, modificadores: [{ opcion_id: 7, nombre: 'Extra salsa' }] };
+        expect(esDiferenciaVacia(calcularDiferenciaDetalles([conSalsa], [{ ...conSalsa, modificadores: [7] }]))).toBe(true);
+
+        const cambios = calcularDiferenciaDetalles([conSalsa], [{ ...conSalsa, modificadores: [7, 8] }]);
+        expect(cambios.modificados).toHaveLength(1);
+    });
+});
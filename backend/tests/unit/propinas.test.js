@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import {
+    calcularCargoServicio,
+    calcularPropinasSugeridas,
+    calcularRepartoPropinas,
+    repartirProporcional,
+    validarCargoServicio,
+    validarComensales,
+    validarConfiguracionPropinas,
+    validarHoras,
+    validarPorcentajesSugeridos
+} from '../../src/helpers/propinas.js';
+
+const empleados = [
+    { usuario_id: 1, nombre: 'Admin', rol: 'administrador' },
+    { usuario_id: 2, nombre: 'Ana', rol: 'mesero' },
+    { usuario_id: 3, nombre: 'Beto', rol: 'mesero' },
+    { usuario_id: 4, nombre: 'Carla', rol: 'cocinero' }
+];
+const facturas = [
+    { propina: 6000, usuario_id: 2 },
+    { propina: 3000, usuario_id: 2 },
+    { propina: 1000, usuario_id: 3 }
+];
+const horas = new Map([[2, 8], [3, 4], [4, 8]]);
+const montos = (reparto) => Object.fromEntries(reparto.participantes.map(p => [p.nombre, p.monto]));
+
+describe('reparto proporcional', () => {
+    it('reparte en centavos sin perder ni sobrar dinero', () => {
+        const reparto = repartirProporcional(100, [{ clave: 'a', peso: 1 }, { clave: 'b', peso: 1 }, { clave: 'c', peso: 1 }]);
+        expect([...reparto.values()]).toEqual([33.34, 33.33, 33.33]);
+        expect(repartirProporcional(100, [{ clave: 'a', peso: 0 }]).size).toBe(0);
+    });
+});
+
+describe('reparto de propinas', () => {
+    it('por mesero entrega a cada uno la propina de los pedidos que tomó', () => {
+        const reparto = calcularRepartoPropinas({ facturas, empleados, horas, config: { modo: 'por_mesero', porcentaje_cocina: 30 } });
+        expect(montos(reparto)).toEqual({ Ana: 9000, Beto: 1000, Carla: 0 });
+        expect(reparto.participantes.find(p => p.nombre === 'Ana').facturas).toBe(2);
+        expect(reparto.sin_asignar).toBe(0);
+    });
+
+    it('por horas reparte un fondo común entre quienes trabajaron', () => {
+        const reparto = calcularRepartoPropinas({ facturas, empleados, horas, config: { modo: 'por_horas', porcentaje_cocina: 30 } });
+        expect(montos(reparto)).toEqual({ Ana: 4000, Carla: 4000, Beto: 2000 });
+    });
+
+    it('por área separa el porcentaje de la cocina y deja sin asignar el área sin horas', () => {
+        const reparto = calcularRepartoPropinas({ facturas, empleados, horas, config: { modo: 'por_area', porcentaje_cocina: 30 } });
+        expect(montos(reparto)).toEqual({ Ana: 4666.67, Beto: 2333.33, Carla: 3000 });
+
+        const sinCocina = calcularRepartoPropinas({ facturas, empleados, horas: new Map([[2, 8]]), config: { modo: 'por_area', porcentaje_cocina: 30 } });
+        expect(sinCocina.repartido).toBe(7000);
+        expect(sinCocina.sin_asignar).toBe(3000);
+    });
+
+    it('valida la configuración y las horas', () => {
+        expect(validarConfiguracionPropinas({ modo: 'por_area', porcentaje_cocina: 30 })).toEqual([]);
+        expect(validarConfiguracionPropinas({ modo: 'otro', porcentaje_cocina: 120 })).toHaveLength(2);
+        expect(validarHoras(8.5)).toBeNull();
+        expect(validarHoras(0)).toMatch(/mayores a 0/);
+        expect(validarHoras(25)).toMatch(/máximo 24/);
+    });
+});
+
+describe('propinas sugeridas y cargo por servicio', () => {
+    const cargo = { cargo_servicio_activo: true, cargo_servicio_porcentaje: '10.00', cargo_servicio_min_comensales: 8 };
+
+    it('sugiere las propinas sobre el subtotal, de menor a mayor', () => {
+        expect(calcularPropinasSugeridas(45333, [20, 10, 15])).toEqual([
+            { porcentaje: 10, monto: 4533.3 },
+            { porcentaje: 15, monto: 6799.95 },
+            { porcentaje: 20, monto: 9066.6 }
+        ]);
+        expect(calcularPropinasSugeridas(45333, null)).toEqual([]);
+    });
+
+    it('cobra el cargo por servicio solo desde el mínimo de comensales y con el cargo activo', () => {
+        expect(calcularCargoServicio({ base: 150000, comensales: 8 }, cargo)).toBe(15000);
+        expect(calcularCargoServicio({ base: 150000, comensales: 7 }, cargo)).toBe(0);
+        expect(calcularCargoServicio({ base: 150000, comensales: null }, cargo)).toBe(0);
+        expect(calcularCargoServicio({ base: 150000, comensales: 12 }, { ...cargo, cargo_servicio_activo: false })).toBe(0);
+    });
+
+    it('valida los porcentajes sugeridos, el cargo y los comensales', () => {
+        expect(validarPorcentajesSugeridos([10, 15, 20])).toBeNull();
+        expect(validarPorcentajesSugeridos([])).toBeNull();
+        expect(validarPorcentajesSugeridos([10, 10])).toMatch(/repetirse/);
+        expect(validarPorcentajesSugeridos([0, 150])).toMatch(/mayor a 0/);
+        expect(validarPorcentajesSugeridos('10,15')).toMatch(/lista/);
+        expect(validarCargoServicio(cargo)).toEqual([]);
+        expect(validarCargoServicio({ cargo_servicio_porcentaje: 0, cargo_servicio_min_comensales: 1.5 })).toHaveLength(2);
+        expect(validarComensales(null)).toBeNull();
+        expect(validarComensales(6)).toBeNull();
+        expect(validarComensales(0)).toMatch(/entero mayor a 0/);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { calcularDescuentos } from '../../src/helpers/descuentos.js';
+import {
+    calcularPuntosGanados,
+    calcularSaldo,
+    consumirLotes,
+    crearDescuentoCanje,
+    getLotesVencidos,
+    puntosParaMonto,
+    validarCanje,
+    validarConfiguracionPuntos
+} from '../../src/helpers/puntos.js';
+
+const config = { activo: true, pesos_por_punto: '1000.00', valor_punto: '10.00', minimo_canje: 100, vigencia_dias: 365 };
+const hoy = new Date('2026-06-15T12:00:00Z');
+const lote = (movimiento_id, puntos_disponibles, fecha_vencimiento) => ({ movimiento_id, puntos_disponibles, fecha_vencimiento });
+
+describe('acumulación de puntos', () => {
+    it('otorga puntos enteros por el total sin propina y ninguno con el programa inactivo', () => {
+        expect(calcularPuntosGanados({ total: 58300, propina: 5300 }, config)).toBe(53);
+        expect(calcularPuntosGanados({ total: 999 }, config)).toBe(0);
+        expect(calcularPuntosGanados({ total: 58300 }, { ...config, activo: false })).toBe(0);
+    });
+
+    it('valida la configuración del programa', () => {
+        expect(validarConfiguracionPuntos(config)).toEqual([]);
+        expect(validarConfiguracionPuntos({ pesos_por_punto: 0, valor_punto: -1, minimo_canje: 1.5, vigencia_dias: 0 })).toHaveLength(4);
+    });
+});
+
+describe('saldo y vencimiento', () => {
+    const lotes = [
+        lote(1, 40, '2026-06-01T00:00:00Z'),
+        lote(2, 100, '2026-09-01T00:00:00Z'),
+        lote(3, 60, '2026-07-01T00:00:00Z')
+    ];
+
+    it('excluye del saldo los lotes vencidos', () => {
+        expect(getLotesVencidos(lotes, hoy).map(l => l.movimiento_id)).toEqual([1]);
+        expect(calcularSaldo(lotes, hoy)).toBe(160);
+    });
+
+    it('consume primero los puntos vigentes que vencen antes', () => {
+        const { consumos, faltante } = consumirLotes(lotes, 120, hoy);
+        expect(consumos.map(c => [c.lote.movimiento_id, c.puntos])).toEqual([[3, 60], [2, 60]]);
+        expect(faltante).toBe(0);
+        expect(consumirLotes(lotes, 200, hoy).faltante).toBe(40);
+    });
+});
+
+describe('canje de puntos', () => {
+    it('exige el mínimo y no permite canjear más que el saldo', () => {
+        expect(validarCanje(150, 160, config)).toBeNull();
+        expect(validarCanje(50, 160, config)).toMatch(/al menos 100/);
+        expect(validarCanje(200, 160, config)).toMatch(/160 puntos/);
+        expect(validarCanje(120.5, 160, config)).toMatch(/entero/);
+        expect(validarCanje(150, 160, { ...config, activo: false })).toMatch(/no está activo/);
+    });
+
+    it('descuenta el valor de los puntos después de los demás descuentos y solo consume lo necesario', () => {
+        const lineas = [{ detalle_id: 1, base: 1500, impuesto: { impuesto_id: 1, nombre: 'Impoconsumo', porcentaje: 8 } }];
+        const canje = { descuento: crearDescuentoCanje(200, config) };
+        const porcentaje = { descuento: { descuento_id: 3, nombre: 'Descuento 10%', tipo: 'porcentaje', valor: 10, alcance: 'pedido' } };
+        const calculo = calcularDescuentos(lineas, [porcentaje, canje]);
+        expect(calculo.descuentos.map(d => d.monto)).toEqual([150, 1350]);
+        expect(puntosParaMonto(1350, config)).toBe(135);
+        expect(puntosParaMonto(1345.5, config)).toBe(135);
+    });
+});
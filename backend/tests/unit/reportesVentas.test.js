@@ -0,0 +1,148 @@
+import { describe, expect, it } from 'vitest';
+import {
+    armarDatosReporteZ,
+    getRangoFacturas,
+    getTablasReporteZ,
+    restarDescuentosAcreditados,
+    restarImpuestosAcreditados,
+    restarPagosAcreditados
+} from '../../src/helpers/reportesVentas.js';
+
+describe('reportes de ventas', () => {
+    it('resta de cada tarifa los impuestos de las facturas anuladas', () => {
+        const impuestos = [
+            { nombre: 'IVA', porcentaje: '19.00', base: '100000.00', totalTax: '19000.00' },
+            { nombre: 'Impoconsumo', porcentaje: '8.00', base: '50000.00', totalTax: '4000.00' }
+        ];
+        const acreditados = [{ nombre: 'Impoconsumo', porcentaje: '8.00', base: '10000.00', totalTax: '800.00' }];
+
+        expect(restarImpuestosAcreditados(impuestos, acreditados)).toEqual([
+            { nombre: 'IVA', porcentaje: '19.00', base: 100000, totalTax: 19000 },
+            { nombre: 'Impoconsumo', porcentaje: '8.00', base: 40000, totalTax: 3200 }
+        ]);
+    });
+
+    it('deja en negativo la tarifa de una factura de un período anterior anulada en este', () => {
+        const impuestos = [{ nombre: 'Impoconsumo', porcentaje: '8.00', base: '50000.00', totalTax: '4000.00' }];
+        const acreditados = [{ nombre: 'IVA', porcentaje: '19.00', base: '20000.00', totalTax: '3800.00' }];
+
+        expect(restarImpuestosAcreditados(impuestos, acreditados)).toEqual([
+            { nombre: 'IVA', porcentaje: '19.00', base: -20000, totalTax: -3800 },
+            { nombre: 'Impoconsumo', porcentaje: '8.00', base: 50000, totalTax: 4000 }
+        ]);
+        expect(restarImpuestosAcreditados([], [])).toEqual([]);
+    });
+
+    it('cuenta una factura del período A anulada en el B en los pagos y descuentos de A y resta en B', () => {
+        // Factura de 30000 pagada con tarjeta y con un 10% de descuento, emitida en A y anulada en B.
+        const pagosFactura = [{ name: 'Tarjeta', totalAmount: '30000.00', payments: 1 }];
+        const descuentosFactura = [{ nombre: '10% clientes', count: 1, totalAmount: '3000.00' }];
+
+        // Período A: la factura aún cuenta completa, como en el resumen de ingresos.
+        expect(restarPagosAcreditados(
+            [{ name: 'Efectivo', totalAmount: '50000.00', payments: 2 }, ...pagosFactura],
+            []
+        )).toEqual([
+            { name: 'Efectivo', totalAmount: 50000, payments: 2 },
+            { name: 'Tarjeta', totalAmount: 30000, payments: 1 }
+        ]);
+        expect(restarDescuentosAcreditados(descuentosFactura, [])).toEqual([{ nombre: '10% clientes', count: 1, totalAmount: 3000 }]);
+
+        // Período B: la anulación se resta de los métodos y reglas del período, aunque no haya ventas con ellos.
+        expect(restarPagosAcreditados(
+            [{ name: 'Efectivo', totalAmount: '20000.00', payments: 1 }, { name: 'Tarjeta', totalAmount: '45000.00', payments: 2 }],
+            pagosFactura
+        )).toEqual([
+            { name: 'Efectivo', totalAmount: 20000, payments: 1 },
+            { name: 'Tarjeta', totalAmount: 15000, payments: 1 }
+        ]);
+        expect(restarDescuentosAcreditados(
+            [{ nombre: 'Hora feliz', count: 2, totalAmount: '4000.00' }],
+            descuentosFactura
+        )).toEqual([
+            { nombre: 'Hora feliz', count: 2, totalAmount: 4000 },
+            { nombre: '10% clientes', count: -1, totalAmount: -3000 }
+        ]);
+    });
+
+    it('arma el reporte Z con el total neto de las anulaciones del día', () => {
+        const datos = armarDatosReporteZ('2026-10-19', {
+            facturas: { count: 3, gross: '90000.00', discounts: '5000.00', serviceCharges: '0.00', taxes: '6800.00', tips: '4000.00', total: '95800.00' },
+            numeracion: [
+                { factura_id: 43, numero: 'SB107', consecutivo: 107 },
+                { factura_id: 41, numero: 'SB105', consecutivo: 105 },
+                { factura_id: 42, numero: 'SB106', consecutivo: 106 }
+            ],
+            impuestos: [{ nombre: 'Impoconsumo', porcentaje: '8.00', base: '85000.00', totalTax: '6800.00' }],
+            impuestosAcreditados: [{ nombre: 'Impoconsumo', porcentaje: '8.00', base: '20000.00', totalTax: '1600.00' }],
+            pagos: [{ name: 'Efectivo', totalAmount: '70000.00', payments: 2 }, { name: 'Tarjeta', totalAmount: '25800.00', payments: 1 }],
+            pagosAcreditados: [{ name: 'Tarjeta', totalAmount: '21600.00', payments: 1 }],
+            notasCredito: [
+                { nota_credito_id: 9, factura_id: 38, motivo: 'Cobro duplicado', total: '21600.00', Factura: { numero: 'SB102' } },
+                { nota_credito_id: 10, factura_id: 12, motivo: 'Error de cobro', total: '0.00', Factura: { numero: null } }
+            ],
+            pedidosCancelados: [12, 15]
+        });
+
+        expect(datos.invoices).toEqual({ count: 3, firstNumber: 'SB105', lastNumber: 'SB107' });
+        expect(datos.sales.total).toBe('95800.00');
+        expect(datos.voids).toEqual({
+            count: 2,
+            total: '21600.00',
+            creditNotes: [
+                { creditNote: 9, invoice: 'SB102', reason: 'Cobro duplicado', total: '21600.00' },
+                { creditNote: 10, invoice: '#12', reason: 'Error de cobro', total: '0.00' }
+            ]
+        });
+        expect(datos.netTotal).toBe('74200.00');
+        expect(datos.taxBreakdown).toEqual([{ nombre: 'Impoconsumo', porcentaje: '8.00', base: 65000, totalTax: 5200 }]);
+        // Los pagos por método también quedan netos de lo anulado en el día.
+        expect(datos.paymentMethods).toEqual([
+            { name: 'Efectivo', totalAmount: 70000, payments: 2 },
+            { name: 'Tarjeta', totalAmount: 4200, payments: 0 }
+        ]);
+        expect(datos.cancelledOrders).toEqual({ count: 2, orders: [12, 15] });
+
+        const [ventas, , , anuladas, cancelados] = getTablasReporteZ(datos);
+        expect(ventas.filas[0]).toEqual(['Facturas emitidas', '3 (de la SB105 a la SB107)']);
+        expect(ventas.filas.at(-1)).toEqual(['Total neto del día', '$74200.00']);
+        expect(anuladas.filas[0]).toEqual(['Nota crédito #9 - Factura SB102: Cobro duplicado', '-$21600.00']);
+        expect(anuladas.filas[1][0]).toBe('Nota crédito #10 - Factura #12: Error de cobro');
+        expect(cancelados.filas).toEqual([['#12, #15', 2]]);
+    });
+
+    it('arma el reporte Z de un día sin ventas', () => {
+        const datos = armarDatosReporteZ('2026-10-18', {
+            facturas: { count: 0, gross: null, discounts: null, serviceCharges: null, taxes: null, tips: null, total: null },
+            numeracion: [],
+            impuestos: [],
+            impuestosAcreditados: [],
+            pagos: [],
+            pagosAcreditados: [],
+            notasCredito: [],
+            pedidosCancelados: []
+        });
+
+        expect(datos.invoices).toEqual({ count: 0, firstNumber: null, lastNumber: null });
+        expect(datos.sales).toEqual({ gross: '0.00', discounts: '0.00', serviceCharges: '0.00', taxes: '0.00', tips: '0.00', total: '0.00' });
+        expect(datos.netTotal).toBe('0.00');
+        expect(getTablasReporteZ(datos).map(tabla => tabla.filas[0])).toEqual([
+            ['Facturas emitidas', '0'],
+            ['No hay impuestos para este día.', ''],
+            ['No hay pagos para este día.', ''],
+            ['No hay facturas anuladas este día.', ''],
+            ['No hay pedidos cancelados este día.', 0]
+        ]);
+    });
+
+    it('toma la primera y la última factura por su consecutivo, con el ID si no tienen número', () => {
+        expect(getRangoFacturas([
+            { factura_id: 40, numero: null, consecutivo: null },
+            { factura_id: 41, numero: 'SB1', consecutivo: 1 },
+            { factura_id: 42, numero: 'SB2', consecutivo: 2 }
+        ])).toEqual({ primera: 'SB1', ultima: 'SB2' });
+        expect(getRangoFacturas([{ factura_id: 9, numero: null, consecutivo: null }, { factura_id: 7, numero: null, consecutivo: null }]))
+            .toEqual({ primera: '#7', ultima: '#9' });
+        expect(getRangoFacturas([])).toEqual({ primera: null, ultima: null });
+    });
+});
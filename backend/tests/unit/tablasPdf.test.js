@@ -0,0 +1,81 @@
+import { describe, expect, it, vi } from 'vitest';
+import PDFDocument from 'pdfkit';
+import { drawTable, drawTables, getLimiteInferior } from '../../src/helpers/tablasPdf.js';
+import { armarDatosReporteZ, getTablasReporteZ } from '../../src/helpers/reportesVentas.js';
+
+/**
+ * Crea un documento que registra, por página, dónde se escribe texto y se trazan líneas.
+ */
+function crearDocumentoMedido() {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    doc.on('data', () => {});
+    const paginas = [[]];
+    doc.on('pageAdded', () => paginas.push([]));
+    const text = doc.text.bind(doc);
+    vi.spyOn(doc, 'text').mockImplementation((contenido, x, y, opciones) => {
+        if (typeof y === 'number') {
+            paginas[paginas.length - 1].push(y + doc.heightOfString(String(contenido), opciones));
+        }
+        return text(contenido, x, y, opciones);
+    });
+    const lineTo = doc.lineTo.bind(doc);
+    vi.spyOn(doc, 'lineTo').mockImplementation((x, y) => {
+        paginas[paginas.length - 1].push(y);
+        return lineTo(x, y);
+    });
+    return { doc, paginas };
+}
+
+// Un día normal: 2 tarifas, 3 métodos de pago, 1 anulación y 2 pedidos cancelados.
+const diaNormal = armarDatosReporteZ('2026-10-19', {
+    facturas: { count: 42, gross: '1800000.00', discounts: '40000.00', serviceCharges: '90000.00', taxes: '140000.00', tips: '60000.00', total: '2050000.00' },
+    numeracion: [{ factura_id: 300, numero: 'SB300', consecutivo: 300 }, { factura_id: 341, numero: 'SB341', consecutivo: 341 }],
+    impuestos: [
+        { nombre: 'Impoconsumo', porcentaje: '8.00', base: '1500000.00', totalTax: '120000.00' },
+        { nombre: 'IVA', porcentaje: '19.00', base: '105263.16', totalTax: '20000.00' }
+    ],
+    impuestosAcreditados: [],
+    pagos: [
+        { name: 'Efectivo', totalAmount: '900000.00', payments: 20 },
+        { name: 'Tarjeta', totalAmount: '1021600.00', payments: 19 },
+        { name: 'Transferencia', totalAmount: '128400.00', payments: 3 }
+    ],
+    pagosAcreditados: [{ name: 'Tarjeta', totalAmount: '21600.00', payments: 1 }],
+    notasCredito: [{ nota_credito_id: 9, factura_id: 320, motivo: 'Cobro duplicado', total: '21600.00', Factura: { numero: 'SB320' } }],
+    pedidosCancelados: [512, 530]
+});
+
+describe('tablas de los reportes en PDF', () => {
+    it('reparte el reporte Z de un día normal en páginas sin salirse del margen', () => {
+        const { doc, paginas } = crearDocumentoMedido();
+        // Mismo encabezado que el PDF del reporte Z.
+        doc.fontSize(18).font('Helvetica-Bold').text('Reporte Z #7 - Sushi Burrito', { align: 'center' });
+        doc.fontSize(12).font('Helvetica').text('Cierre del día 2026-10-19', { align: 'center' });
+        doc.fontSize(10).text('Generado el 19/10/2026 por Admin', { align: 'center' });
+        doc.moveDown(3);
+
+        drawTables(doc, doc.y, getTablasReporteZ(diaNormal));
+        const limite = getLimiteInferior(doc);
+        doc.end();
+
+        expect(paginas).toHaveLength(2);
+        paginas.forEach(posiciones => {
+            expect(Math.max(...posiciones)).toBeLessThanOrEqual(limite);
+        });
+    });
+
+    it('continúa en otra página una tabla más larga que la página', () => {
+        const { doc, paginas } = crearDocumentoMedido();
+        const filas = Array.from({ length: 40 }, (_, i) => [`Producto ${i + 1}`, i + 1]);
+
+        const finalY = drawTable(doc, 50, 'Ranking de Productos', ['Producto', 'Cantidad Vendida'], filas);
+        const limite = getLimiteInferior(doc);
+        doc.end();
+
+        expect(paginas).toHaveLength(2);
+        paginas.forEach(posiciones => {
+            expect(Math.max(...posiciones)).toBeLessThanOrEqual(limite);
+        });
+        expect(finalY).toBeLessThanOrEqual(limite);
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import {
+    agruparPagosPorTarjeta,
+    enmascararCodigoTarjeta,
+    formatearCodigoTarjeta,
+    generarCodigoTarjeta,
+    normalizarCodigoTarjeta,
+    resumirPasivo,
+    validarMontoTarjeta,
+    validarRedencion
+} from '../../src/helpers/tarjetasRegalo.js';
+
+describe('códigos de tarjetas de regalo', () => {
+    it('genera códigos de 12 caracteres sin letras ni dígitos confundibles', () => {
+        const codigo = generarCodigoTarjeta();
+        expect(codigo).toMatch(/^[A-HJ-NP-Z2-9]{12}$/);
+        expect(generarCodigoTarjeta(() => 0)).toBe('AAAAAAAAAAAA');
+    });
+
+    it('normaliza, formatea y enmascara el código', () => {
+        expect(normalizarCodigoTarjeta(' abcd-efgh jklm ')).toBe('ABCDEFGHJKLM');
+        expect(normalizarCodigoTarjeta('--')).toBeNull();
+        expect(formatearCodigoTarjeta('ABCDEFGHJKLM')).toBe('ABCD-EFGH-JKLM');
+        expect(enmascararCodigoTarjeta('ABCDEFGHJKLM')).toBe('****-****-JKLM');
+    });
+});
+
+describe('venta y redención', () => {
+    it('valida el monto de venta', () => {
+        expect(validarMontoTarjeta(50000)).toBeNull();
+        expect(validarMontoTarjeta(0)).toMatch(/mayor a 0/);
+        expect(validarMontoTarjeta(10.005)).toMatch(/2 decimales/);
+    });
+
+    it('suma lo pagado con cada tarjeta y permite el uso parcial del saldo', () => {
+        const montos = agruparPagosPorTarjeta([
+            { metodo_pago_id: 5, monto_pagado: 20000, codigo_tarjeta: 'ABCDEFGHJKLM' },
+            { metodo_pago_id: 3, monto_pagado: 5000 },
+            { metodo_pago_id: 5, monto_pagado: 10000, codigo_tarjeta: 'ABCDEFGHJKLM' }
+        ]);
+        expect([...montos]).toEqual([['ABCDEFGHJKLM', 30000]]);
+        expect(validarRedencion({ saldo: '50000.00' }, 'ABCDEFGHJKLM', 30000)).toBeNull();
+        expect(validarRedencion({ saldo: '20000.00' }, 'ABCDEFGHJKLM', 30000)).toMatch(/solo tiene \$20000\.00/);
+        expect(validarRedencion(null, 'ABCDEFGHJKLM', 30000)).toMatch(/ABCD-EFGH-JKLM no existe/);
+    });
+});
+
+describe('pasivo de tarjetas de regalo', () => {
+    it('resume lo vendido, lo redimido y el saldo pendiente', () => {
+        expect(resumirPasivo([
+            { monto_inicial: '50000.00', saldo: '20000.00' },
+            { monto_inicial: '30000.00', saldo: '0.00' }
+        ])).toEqual({ tarjetas: 2, tarjetas_con_saldo: 1, vendido: 80000, redimido: 60000, pasivo_pendiente: 20000 });
+    });
+});